@@ -3,6 +3,7 @@ const envPath = path.resolve(__dirname, '../../url.env');
 require('dotenv').config({ path: envPath });
 
 const crypto = require('crypto');
+const fs = require('fs');
 
 // Log loaded config (helpful for debugging)
 console.log(`[Config] Loaded .env from: ${envPath}`);
@@ -27,9 +28,32 @@ const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
 const BACKEND_URL = process.env.BACKEND_URL || 'http://localhost:3044';
 const CORS_ORIGINS = [FRONTEND_URL, BACKEND_URL];
 
-// Session configuration
+// Session secret: SESSION_SECRET, or a random one generated on first start and kept
+// next to the database so restarts don't sign everyone out
+const SESSION_SECRET_FILE = path.join(__dirname, '..', '.session_secret');
+
+function loadSessionSecret() {
+  if (process.env.SESSION_SECRET) return process.env.SESSION_SECRET;
+
+  try {
+    const stored = fs.readFileSync(SESSION_SECRET_FILE, 'utf8').trim();
+    if (stored) return stored;
+  } catch (err) {
+    // Not generated yet
+  }
+
+  const secret = 'neobase-secret-key-' + crypto.randomBytes(32).toString('hex');
+  try {
+    fs.writeFileSync(SESSION_SECRET_FILE, secret, { mode: 0o600 });
+  } catch (err) {
+    console.warn(`[Config] Could not persist session secret (${err.message}); sessions will not survive restarts`);
+  }
+  return secret;
+}
+
+// Session configuration (the store is attached in server.js)
 const SESSION_CONFIG = {
-  secret: process.env.SESSION_SECRET || 'neobase-secret-key-' + crypto.randomBytes(32).toString('hex'),
+  secret: loadSessionSecret(),
   resave: false,
   saveUninitialized: false,
   cookie: {
@@ -39,17 +63,171 @@ const SESSION_CONFIG = {
   }
 };
 
+// Persistent session store (SQLite) configuration
+const SESSION_STORE_CONFIG = {
+  cleanupInterval: 15 * 60 * 1000, // remove expired sessions every 15 minutes
+  touchInterval: 60 * 1000 // write last activity at most once a minute per session
+};
+
+// Login throttling configuration
+const LOGIN_THROTTLE_CONFIG = {
+  ipWindowMs: 15 * 60 * 1000, // 15 minutes
+  ipMaxAttempts: 20, // failed login/2FA requests per IP per window
+  accountMaxFailures: 5, // failed attempts before the account is locked
+  accountLockMs: 15 * 60 * 1000 // 15 minutes
+};
+
+// Secrets at rest (SSH private keys, registry passwords)
+// The master key comes from MASTER_KEY (32 bytes, hex or base64) or is derived from
+// MASTER_KEY_PASSPHRASE; without either, a random key is generated into keyFile
+const SECRETS_CONFIG = {
+  keyFile: path.join(__dirname, '..', '.master_key'),
+  algorithm: 'aes-256-gcm',
+  scrypt: { N: 32768, r: 8, p: 1, maxmem: 64 * 1024 * 1024 } // passphrase key derivation cost
+};
+
 // SSH connection pooling configuration
 const SSH_POOL_CONFIG = {
   idleTimeout: 5 * 60 * 1000, // 5 minutes
   maxConnections: 10, // max connections per server
-  connectionTimeout: 10000 // 10 seconds
+  connectionTimeout: 10000, // 10 seconds
+  defaultPort: 22,
+  maxJumpDepth: 3 // max chained jump hosts (bastions) per connection
+};
+
+// Background reachability checks of every server (online, offline and pending)
+const HEALTH_CHECK_CONFIG = {
+  tickInterval: 5000, // how often the checker looks for servers that are due
+  checkInterval: 60000, // online servers are probed every minute
+  retryInterval: 30000, // first retry of an unreachable server, doubled after every failure...
+  maxRetryInterval: 30 * 60 * 1000, // ...up to 30 minutes
+  concurrency: 5, // servers probed in parallel
+  historyRetentionDays: 400 // uptime/downtime intervals that ended before this are pruned
+};
+
+// Adopting existing servers (one-time password/key login) and bulk import
+const SERVER_IMPORT_CONFIG = {
+  maxHosts: 100, // hosts per import request
+  concurrency: 3 // servers set up in parallel
+};
+
+// SSH key rotation (per server, on demand or every N days)
+const KEY_ROTATION_CONFIG = {
+  checkInterval: 60 * 60 * 1000, // look for servers due a scheduled rotation every hour
+  concurrency: 2, // servers rotated in parallel
+  maxIntervalDays: 365
+};
+
+// Audit log configuration
+const AUDIT_CONFIG = {
+  retentionDays: parseInt(process.env.AUDIT_RETENTION_DAYS) || 365, // entries older than this are pruned
+  cleanupInterval: 24 * 60 * 60 * 1000, // daily
+  maxTextLength: 64 * 1024, // before/after file contents are truncated to this many characters
+  maxPageSize: 500,
+  maxExportRows: 50000,
+  // Request body fields never written to the log
+  redactedFields: [
+    'password', 'currentPassword', 'newPassword', 'passphrase', 'privateKey', 'token', 'secret', 'secrets', 'code', 'recoveryCode',
+    'registry_password', 'content', 'csv', 'hosts', 'env_vars', 'envVars', 'url'
+  ],
+  // Requests whose bodies carry credentials or app configuration: only the names of the fields are logged
+  bodyFieldsOnlyActions: [
+    'POST /api/servers/adopt',
+    'POST /api/servers/import',
+    'POST /api/apps',
+    'PUT /api/apps/:id',
+    'PUT /api/apps/:appId/deployments/:deploymentId',
+    'POST /api/notifications/channels',
+    'PUT /api/notifications/channels/:id'
+  ],
+  // Mutating requests that change nothing worth auditing
+  ignoredActions: [
+    'POST /api/apps/:id/check-ports',
+    'POST /api/migrations/preview',
+    'POST /api/migrations/check-conflicts',
+    'POST /api/servers/:id/metrics/refresh',
+    'POST /api/system/update-status/clear'
+  ]
 };
 
 // Metrics collection configuration
 const METRICS_CONFIG = {
-  collectionInterval: 30000, // 30 seconds
-  cacheTimeout: 120000 // 2 minutes
+  collectionInterval: 30000, // 30 seconds, unless a server sets its own interval
+  minCollectionInterval: 10000, // bounds for per-server intervals
+  maxCollectionInterval: 60 * 60 * 1000,
+  concurrency: parseInt(process.env.METRICS_CONCURRENCY) || 10, // servers collected at the same time
+  jitter: 0.1, // runs are shifted by up to ±10% of the interval so servers don't all collect at once
+  tickInterval: 1000, // how often the scheduler looks for servers that are due
+  cacheTimeout: 120000, // 2 minutes
+  rollupInterval: 60000, // how often raw samples are rolled up into 1m/15m/1h aggregates
+  // Days to keep each resolution; history requests pick the finest tier that still covers the range
+  retention: {
+    raw: parseInt(process.env.METRICS_RETENTION_RAW_DAYS) || 2,
+    '1m': parseInt(process.env.METRICS_RETENTION_1M_DAYS) || 7,
+    '15m': parseInt(process.env.METRICS_RETENTION_15M_DAYS) || 35,
+    '1h': parseInt(process.env.METRICS_RETENTION_1H_DAYS) || 400,
+    containers: parseInt(process.env.METRICS_RETENTION_CONTAINER_DAYS) || 7 // per-deployment docker stats
+  }
+};
+
+// Threshold alerts on collected metrics (evaluated after every metrics collection)
+const ALERT_CONFIG = {
+  maxDurationMinutes: 24 * 60, // longest "for N minutes" a rule can wait before firing
+  historyRetentionDays: 90, // resolved alerts older than this are deleted
+  maxPageSize: 200
+};
+
+// Notification channels (webhook, email, Slack, Discord)
+const NOTIFICATION_CONFIG = {
+  requestTimeout: 10000, // 10 seconds per delivery attempt
+  maxAttempts: 3, // attempts per delivery before it is logged as failed
+  retryDelay: 5000, // doubled after every failed attempt
+  signatureHeader: 'X-NoBase-Signature',
+  timestampHeader: 'X-NoBase-Timestamp',
+  deliveryRetentionDays: 30,
+  maxPageSize: 200
+};
+
+// Prometheus exposition at /metrics (scraped with an API token that has the metrics:read scope)
+const PROMETHEUS_CONFIG = {
+  containerStatsTtl: 30000, // docker stats per server are reused across scrapes for this long
+  sampleMaxAge: 120000 // server samples older than this are left out rather than reported stale
+};
+
+// Synthetic checks of deployments (HTTP, TCP port or a command run in the container)
+const DEPLOYMENT_CHECK_CONFIG = {
+  tickInterval: 5000, // how often the scheduler looks for checks that are due
+  defaultInterval: 60, // seconds between runs of a check
+  minInterval: 10,
+  maxInterval: 3600,
+  defaultTimeout: 10, // seconds before a run counts as failed
+  maxTimeout: 60,
+  concurrency: 5, // checks running in parallel
+  maxChecksPerDeployment: 10,
+  maxBodyBytes: 64 * 1024, // response body read for "body contains" matches
+  resultRetentionDays: 7
+};
+
+// Docker Compose stack apps
+const COMPOSE_CONFIG = {
+  stacksDir: '.nobase/stacks', // per-project directories on the server, relative to the SSH user's home
+  maxFileBytes: 64 * 1024, // the file is sent inside one SSH command
+  logTail: 200 // default log lines per service
+};
+
+// Rolling updates of a deployment to a new image tag
+const ROLLING_UPDATE_CONFIG = {
+  settleSeconds: 5, // a new container must stay up this long before it is checked
+  healthTimeout: 60, // seconds a new container gets to pass its health checks
+  healthInterval: 3 // seconds between check attempts
+};
+
+// Image update detection: running container digests compared with their tag's registry manifest
+const IMAGE_UPDATE_CONFIG = {
+  tickInterval: 5 * 60 * 1000, // how often the job looks for due checks and open maintenance windows
+  checkInterval: parseInt(process.env.IMAGE_UPDATE_CHECK_HOURS || '6') * 60 * 60 * 1000, // each deployment is checked this often
+  concurrency: 3, // deployments checked in parallel
+  requestTimeout: 15000 // per registry request
 };
 
 // Backup and snapshot configuration
@@ -61,6 +239,61 @@ const BACKUP_CONFIG = {
   compressionLevel: 6 // gzip level 1-9
 };
 
+// Personal access token configuration
+const API_TOKEN_CONFIG = {
+  prefix: 'qdt_', // makes tokens easy to spot in logs and secret scanners
+  maxTokensPerUser: 25,
+  scopes: [
+    'servers:read',
+    'servers:write',
+    'files:read',
+    'files:write',
+    'apps:read',
+    'apps:write',
+    'deployments:read',
+    'deployments:write',
+    'snapshots:read',
+    'snapshots:write',
+    'activities:read',
+    'alerts:read',
+    'alerts:write',
+    'notifications:read',
+    'notifications:write',
+    'metrics:read'
+  ]
+};
+
+// Team roles and what they may do
+// view: read servers, apps, metrics and logs
+// operate: terminal, file writes, service installs, deploy/start/stop/delete deployments, snapshots
+// manage: edit/delete servers and apps, manage team members and invitations
+const TEAM_CONFIG = {
+  roles: ['owner', 'operator', 'viewer'],
+  permissions: {
+    view: ['owner', 'operator', 'viewer'],
+    operate: ['owner', 'operator'],
+    manage: ['owner']
+  },
+  invitationExpiryDays: 7
+};
+
+// Account & user administration configuration
+const ACCOUNT_CONFIG = {
+  minPasswordLength: 8,
+  inviteExpiryDays: 7
+};
+
+// Two-factor authentication (TOTP, RFC 6238) configuration
+const TWO_FACTOR_CONFIG = {
+  issuer: 'NoBase',
+  digits: 6,
+  period: 30, // seconds per code
+  window: 1, // accept codes one period before/after to allow for clock drift
+  recoveryCodeCount: 10,
+  loginTimeout: 5 * 60 * 1000, // 5 minutes to enter the code after the password
+  maxAttempts: 5 // wrong codes before the password must be entered again
+};
+
 module.exports = {
   PORT,
   DB_FILE,
@@ -68,7 +301,25 @@ module.exports = {
   DEFAULT_SSH_USERNAME,
   CORS_ORIGINS,
   SESSION_CONFIG,
+  SESSION_STORE_CONFIG,
+  LOGIN_THROTTLE_CONFIG,
+  SECRETS_CONFIG,
   SSH_POOL_CONFIG,
+  HEALTH_CHECK_CONFIG,
+  SERVER_IMPORT_CONFIG,
+  KEY_ROTATION_CONFIG,
+  AUDIT_CONFIG,
   METRICS_CONFIG,
-  BACKUP_CONFIG
+  ALERT_CONFIG,
+  NOTIFICATION_CONFIG,
+  PROMETHEUS_CONFIG,
+  DEPLOYMENT_CHECK_CONFIG,
+  COMPOSE_CONFIG,
+  ROLLING_UPDATE_CONFIG,
+  IMAGE_UPDATE_CONFIG,
+  BACKUP_CONFIG,
+  API_TOKEN_CONFIG,
+  TEAM_CONFIG,
+  ACCOUNT_CONFIG,
+  TWO_FACTOR_CONFIG
 };
@@ -1,6 +1,8 @@
 const fs = require('fs').promises;
 const { run, all } = require('./connection');
 const { SSH_KEYS_DIR } = require('../config');
+const TeamModel = require('../models/TeamModel');
+const { ROLLUP_COLUMNS } = require('../models/MetricsModel');
 
 /**
  * Initialize database schema
@@ -123,6 +125,206 @@ async function initDatabase() {
     )
   `);
 
+  // Create api_tokens table for personal access tokens (only the hash is stored)
+  await run(`
+    CREATE TABLE IF NOT EXISTS api_tokens (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      token_hash TEXT UNIQUE NOT NULL,
+      token_prefix TEXT NOT NULL,
+      scopes TEXT NOT NULL,
+      expires_at TEXT,
+      last_used_at TEXT,
+      created_at TEXT NOT NULL,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Create user invitations table (admin invites that bypass closed registration)
+  await run(`
+    CREATE TABLE IF NOT EXISTS user_invitations (
+      id TEXT PRIMARY KEY,
+      email TEXT NOT NULL,
+      token_hash TEXT UNIQUE NOT NULL,
+      invited_by TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      expires_at TEXT NOT NULL
+    )
+  `);
+
+  // Create sessions table (express-session store, see database/sessionStore.js)
+  await run(`
+    CREATE TABLE IF NOT EXISTS sessions (
+      sid TEXT PRIMARY KEY,
+      user_id TEXT,
+      data TEXT NOT NULL,
+      expires_at INTEGER NOT NULL,
+      last_seen_at TEXT NOT NULL
+    )
+  `);
+  await run('CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id)');
+
+  // Create recovery codes table (one-time codes for users with two-factor authentication)
+  await run(`
+    CREATE TABLE IF NOT EXISTS user_recovery_codes (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      code_hash TEXT NOT NULL,
+      used_at TEXT,
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    )
+  `);
+
+  // Create teams tables (servers, apps and snapshots belong to a team)
+  await run(`
+    CREATE TABLE IF NOT EXISTS teams (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      created_at TEXT NOT NULL
+    )
+  `);
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS team_members (
+      team_id TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      role TEXT NOT NULL,
+      joined_at TEXT NOT NULL,
+      PRIMARY KEY (team_id, user_id),
+      FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS team_invitations (
+      id TEXT PRIMARY KEY,
+      team_id TEXT NOT NULL,
+      email TEXT NOT NULL,
+      role TEXT NOT NULL,
+      token_hash TEXT,
+      invited_by TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      expires_at TEXT NOT NULL,
+      FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Create audit log table (append-only, each entry chained to the previous one by an HMAC)
+  // No foreign keys: entries must outlive the users and resources they mention
+  await run(`
+    CREATE TABLE IF NOT EXISTS audit_log (
+      seq INTEGER PRIMARY KEY AUTOINCREMENT,
+      id TEXT NOT NULL UNIQUE,
+      timestamp TEXT NOT NULL,
+      actor_id TEXT,
+      actor_name TEXT,
+      actor_type TEXT NOT NULL,
+      token_id TEXT,
+      ip TEXT,
+      action TEXT NOT NULL,
+      status_code INTEGER,
+      target_type TEXT,
+      target_id TEXT,
+      target_label TEXT,
+      details TEXT,
+      prev_hash TEXT NOT NULL,
+      hash TEXT NOT NULL
+    )
+  `);
+  await run('CREATE INDEX IF NOT EXISTS idx_audit_log_timestamp ON audit_log(timestamp)');
+  await run('CREATE INDEX IF NOT EXISTS idx_audit_log_target ON audit_log(target_type, target_id)');
+
+  // Create alerting tables
+  // A rule targets one server, every server with a tag, or (neither set) every server of its team
+  await run(`
+    CREATE TABLE IF NOT EXISTS alert_rules (
+      id TEXT PRIMARY KEY,
+      team_id TEXT NOT NULL,
+      created_by TEXT,
+      name TEXT NOT NULL,
+      server_id TEXT,
+      tag TEXT,
+      metric TEXT NOT NULL,
+      operator TEXT NOT NULL DEFAULT '>',
+      threshold REAL,
+      duration_seconds INTEGER DEFAULT 0,
+      enabled INTEGER DEFAULT 1,
+      created_at TEXT NOT NULL,
+      updated_at TEXT
+    )
+  `);
+
+  // Alerts copy the rule and server names so history survives their deletion
+  await run(`
+    CREATE TABLE IF NOT EXISTS alerts (
+      id TEXT PRIMARY KEY,
+      rule_id TEXT NOT NULL,
+      team_id TEXT NOT NULL,
+      server_id TEXT NOT NULL,
+      rule_name TEXT,
+      server_name TEXT,
+      metric TEXT NOT NULL,
+      operator TEXT,
+      threshold REAL,
+      status TEXT NOT NULL,
+      value REAL,
+      resolved_value REAL,
+      started_at TEXT NOT NULL,
+      resolved_at TEXT
+    )
+  `);
+  await run('CREATE INDEX IF NOT EXISTS idx_alerts_status ON alerts(status)');
+  await run('CREATE INDEX IF NOT EXISTS idx_alerts_team_started ON alerts(team_id, started_at)');
+
+  // Uptime history: one row per stretch of time a server was online or offline (ended_at null = current)
+  await run(`
+    CREATE TABLE IF NOT EXISTS server_status_intervals (
+      id TEXT PRIMARY KEY,
+      server_id TEXT NOT NULL,
+      status TEXT NOT NULL,
+      error TEXT,
+      started_at TEXT NOT NULL,
+      ended_at TEXT
+    )
+  `);
+  await run('CREATE INDEX IF NOT EXISTS idx_server_status_intervals_server ON server_status_intervals(server_id, started_at)');
+
+  // Create notification tables (secret settings are stored encrypted in the secrets column)
+  await run(`
+    CREATE TABLE IF NOT EXISTS notification_channels (
+      id TEXT PRIMARY KEY,
+      team_id TEXT NOT NULL,
+      created_by TEXT,
+      name TEXT NOT NULL,
+      type TEXT NOT NULL,
+      config TEXT,
+      secrets TEXT,
+      events TEXT,
+      enabled INTEGER DEFAULT 1,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    )
+  `);
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS notification_deliveries (
+      id TEXT PRIMARY KEY,
+      channel_id TEXT NOT NULL,
+      team_id TEXT NOT NULL,
+      event TEXT NOT NULL,
+      title TEXT,
+      status TEXT NOT NULL,
+      attempts INTEGER DEFAULT 0,
+      response TEXT,
+      error TEXT,
+      duration_ms INTEGER,
+      created_at TEXT NOT NULL
+    )
+  `);
+  await run('CREATE INDEX IF NOT EXISTS idx_notification_deliveries_channel ON notification_deliveries(channel_id, created_at)');
+
   // Run migrations for additional columns
   await runMigrations();
 
@@ -141,12 +343,52 @@ async function initDatabase() {
  * Adds new columns to existing tables
  */
 async function runMigrations() {
+  // User table migrations
+  const userColumns = [
+    { name: 'is_admin', type: 'INTEGER DEFAULT 0' },               // Can manage users and system-wide settings
+    { name: 'disabled', type: 'INTEGER DEFAULT 0' },               // Disabled users cannot log in or use API tokens
+    { name: 'totp_secret', type: 'TEXT' },                         // TOTP secret, encrypted with the master key (set during enrollment)
+    { name: 'totp_enabled', type: 'INTEGER DEFAULT 0' },           // Login requires a TOTP or recovery code
+    { name: 'totp_last_step', type: 'INTEGER' },                   // Last TOTP time step accepted (older codes are refused)
+    { name: 'failed_login_attempts', type: 'INTEGER DEFAULT 0' },  // Consecutive failed logins
+    { name: 'locked_until', type: 'TEXT' }                         // Login is refused until this time
+  ];
+
+  for (const column of userColumns) {
+    try {
+      await run(`ALTER TABLE users ADD COLUMN ${column.name} ${column.type}`);
+      console.log(`Added column ${column.name} to users`);
+    } catch (err) {
+      // Ignore duplicate column errors
+    }
+  }
+
+  // Team invitations are accepted with a link token; older ones (matched by email) can't be
+  try {
+    await run('ALTER TABLE team_invitations ADD COLUMN token_hash TEXT');
+    console.log('Added column token_hash to team_invitations');
+  } catch (err) {
+    // Ignore duplicate column errors
+  }
+  const staleInvitations = await run('DELETE FROM team_invitations WHERE token_hash IS NULL');
+  if (staleInvitations.changes > 0) {
+    console.log(`Removed ${staleInvitations.changes} team invitation(s) without a link; invite again to send one`);
+  }
+
+  // Make sure there is an admin: promote the oldest user on upgrade
+  await run(`
+    UPDATE users SET is_admin = 1
+    WHERE id = (SELECT id FROM users ORDER BY created_at ASC LIMIT 1)
+      AND NOT EXISTS (SELECT 1 FROM users WHERE is_admin = 1)
+  `);
+
   // Migration: Add config snapshot fields to deployment_snapshots
   const snapshotColumns = [
     { name: 'app_config', type: 'TEXT' },
     { name: 'deployment_config', type: 'TEXT' },
     { name: 'app_id', type: 'TEXT' },
-    { name: 'app_name', type: 'TEXT' }
+    { name: 'app_name', type: 'TEXT' },
+    { name: 'team_id', type: 'TEXT' }  // Owning team (copied from the deployment's app)
   ];
 
   for (const column of snapshotColumns) {
@@ -189,7 +431,19 @@ async function runMigrations() {
     { name: 'network_rx_total', type: 'INTEGER' },  // Total bytes received
     { name: 'network_tx_total', type: 'INTEGER' },  // Total bytes sent
     // Ping latency
-    { name: 'ping_ms', type: 'REAL' }               // Ping latency in milliseconds
+    { name: 'ping_ms', type: 'REAL' },              // Ping latency in milliseconds
+    // Swap
+    { name: 'swap_total', type: 'INTEGER' },        // Total swap in MB
+    { name: 'swap_used', type: 'INTEGER' },         // Used swap in MB
+    { name: 'swap_percentage', type: 'INTEGER' },   // Swap usage %
+    // Disk I/O (sum over physical disks)
+    { name: 'disk_read_rate', type: 'INTEGER' },    // Read rate in bytes/sec
+    { name: 'disk_write_rate', type: 'INTEGER' },   // Write rate in bytes/sec
+    // Detailed per-item data as JSON
+    { name: 'filesystems_data', type: 'TEXT' },     // Every mounted filesystem
+    { name: 'disk_io_data', type: 'TEXT' },         // Read/write rate per disk
+    { name: 'interfaces_data', type: 'TEXT' },      // Every network interface
+    { name: 'processes_data', type: 'TEXT' }        // Top processes by CPU and memory
   ];
 
   for (const column of metricsColumns) {
@@ -204,6 +458,105 @@ async function runMigrations() {
     }
   }
 
+  await run('CREATE INDEX IF NOT EXISTS idx_server_metrics_server_time ON server_metrics(server_id, timestamp)');
+  await run('CREATE INDEX IF NOT EXISTS idx_server_metrics_timestamp ON server_metrics(timestamp)');
+
+  // Downsampled metrics: 1m, 15m and 1h buckets with avg/min/max per metric
+  await run(`
+    CREATE TABLE IF NOT EXISTS server_metrics_rollups (
+      server_id TEXT NOT NULL,
+      resolution TEXT NOT NULL,
+      bucket TEXT NOT NULL,
+      sample_count INTEGER NOT NULL,
+      ${ROLLUP_COLUMNS.map(column => `${column.name} ${column.type},`).join('\n      ')}
+      PRIMARY KEY (server_id, resolution, bucket)
+    )
+  `);
+  await run('CREATE INDEX IF NOT EXISTS idx_server_metrics_rollups_bucket ON server_metrics_rollups(resolution, bucket)');
+
+  // Per-deployment container stats, sampled with the server metrics
+  await run(`
+    CREATE TABLE IF NOT EXISTS deployment_stats (
+      deployment_id TEXT NOT NULL,
+      server_id TEXT NOT NULL,
+      timestamp TEXT NOT NULL,
+      cpu_percent REAL,
+      memory_used INTEGER,
+      memory_limit INTEGER,
+      memory_percent REAL,
+      network_rx INTEGER,
+      network_tx INTEGER,
+      block_read INTEGER,
+      block_write INTEGER,
+      network_rx_rate REAL,
+      network_tx_rate REAL,
+      block_read_rate REAL,
+      block_write_rate REAL
+    )
+  `);
+  await run('CREATE INDEX IF NOT EXISTS idx_deployment_stats_deployment ON deployment_stats(deployment_id, timestamp)');
+  await run('CREATE INDEX IF NOT EXISTS idx_deployment_stats_timestamp ON deployment_stats(timestamp)');
+
+  // Synthetic health checks of deployments and their results (response times)
+  await run(`
+    CREATE TABLE IF NOT EXISTS deployment_checks (
+      id TEXT PRIMARY KEY,
+      deployment_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      type TEXT NOT NULL,
+      source TEXT NOT NULL DEFAULT 'backend',
+      config TEXT NOT NULL,
+      interval_seconds INTEGER NOT NULL,
+      timeout_seconds INTEGER NOT NULL,
+      max_response_ms INTEGER,
+      enabled INTEGER NOT NULL DEFAULT 1,
+      last_result TEXT,
+      last_response_ms INTEGER,
+      last_error TEXT,
+      last_checked_at TEXT,
+      created_at TEXT NOT NULL
+    )
+  `);
+  await run('CREATE INDEX IF NOT EXISTS idx_deployment_checks_deployment ON deployment_checks(deployment_id)');
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS deployment_check_results (
+      check_id TEXT NOT NULL,
+      deployment_id TEXT NOT NULL,
+      timestamp TEXT NOT NULL,
+      result TEXT NOT NULL,
+      response_ms INTEGER,
+      status_code INTEGER,
+      error TEXT
+    )
+  `);
+  await run('CREATE INDEX IF NOT EXISTS idx_deployment_check_results_check ON deployment_check_results(check_id, timestamp)');
+  await run('CREATE INDEX IF NOT EXISTS idx_deployment_check_results_timestamp ON deployment_check_results(timestamp)');
+
+  // Every container configuration applied to a deployment, numbered per deployment (never updated)
+  await run(`
+    CREATE TABLE IF NOT EXISTS deployment_revisions (
+      id TEXT PRIMARY KEY,
+      deployment_id TEXT NOT NULL,
+      revision INTEGER NOT NULL,
+      image TEXT NOT NULL,
+      tag TEXT NOT NULL,
+      config TEXT NOT NULL,
+      reason TEXT NOT NULL,
+      rolled_back_to INTEGER,
+      created_by TEXT,
+      created_at TEXT NOT NULL,
+      UNIQUE (deployment_id, revision)
+    )
+  `);
+
+  // Metrics added later get their rollup columns here
+  const rollupTableColumns = new Set((await all('PRAGMA table_info(server_metrics_rollups)')).map(column => column.name));
+  for (const column of ROLLUP_COLUMNS.filter(column => !rollupTableColumns.has(column.name))) {
+    await run(`ALTER TABLE server_metrics_rollups ADD COLUMN ${column.name} ${column.type}`);
+    console.log(`Added column ${column.name} to server_metrics_rollups`);
+  }
+
   // Server table migrations
   const serverColumns = [
     { name: 'name', type: 'TEXT' },
@@ -215,7 +568,13 @@ async function runMigrations() {
     { name: 'icon_url', type: 'TEXT' },  // URL to custom uploaded icon
     { name: 'tags', type: 'TEXT' },  // JSON array of tags
     { name: 'first_connected_at', type: 'TEXT' },  // Timestamp of first successful connection
-    { name: 'os_type', type: 'TEXT DEFAULT \'ubuntu-debian\'' }  // Operating system type for setup commands
+    { name: 'os_type', type: 'TEXT DEFAULT \'ubuntu-debian\'' },  // Operating system type for setup commands
+    { name: 'port', type: 'INTEGER DEFAULT 22' },  // SSH port
+    { name: 'jump_host_id', type: 'TEXT' },  // Server ID of the bastion to tunnel through (null = direct)
+    { name: 'team_id', type: 'TEXT' },  // Owning team
+    { name: 'key_rotation_days', type: 'INTEGER' },  // Scheduled SSH key rotation interval (null = manual only)
+    { name: 'key_rotated_at', type: 'TEXT' },  // Timestamp of the last SSH key rotation
+    { name: 'metrics_interval', type: 'INTEGER' }  // Metrics collection interval in seconds (null = default)
   ];
 
   for (const column of serverColumns) {
@@ -240,7 +599,15 @@ async function runMigrations() {
     { name: 'web_ui_port', type: 'TEXT' },  // Host port that has web UI (null = no web UI)
     { name: 'icon', type: 'TEXT' },         // Icon type (predefined key or 'custom') - deployment-specific
     { name: 'icon_url', type: 'TEXT' },     // URL to custom uploaded icon - deployment-specific
-    { name: 'nickname', type: 'TEXT' }      // User-defined nickname for this deployment
+    { name: 'nickname', type: 'TEXT' },     // User-defined nickname for this deployment
+    { name: 'health_status', type: 'TEXT' }, // healthy, degraded or down from its checks (null = no checks)
+    { name: 'health_checked_at', type: 'TEXT' },
+    { name: 'compose_project', type: 'TEXT' }, // Compose project name (compose apps only)
+    { name: 'image_tag', type: 'TEXT' },        // Tag the container runs since its last update (null = the app's tag)
+    { name: 'image_digest', type: 'TEXT' },     // Registry digest of the running container's image
+    { name: 'latest_digest', type: 'TEXT' },    // Registry digest of its tag at the last image update check
+    { name: 'image_checked_at', type: 'TEXT' },
+    { name: 'image_check_error', type: 'TEXT' }
   ];
 
   for (const column of deploymentColumns) {
@@ -268,7 +635,13 @@ async function runMigrations() {
     { name: 'registry_password', type: 'TEXT' },
     { name: 'web_ui_port', type: 'TEXT' },     // Host port that has web UI (null = no web UI)
     { name: 'icon', type: 'TEXT' },            // Icon type (predefined key or 'custom')
-    { name: 'icon_url', type: 'TEXT' }         // URL to custom uploaded icon
+    { name: 'icon_url', type: 'TEXT' },        // URL to custom uploaded icon
+    { name: 'team_id', type: 'TEXT' },         // Owning team
+    { name: 'type', type: 'TEXT DEFAULT \'container\'' }, // container (single image) or compose (stack)
+    { name: 'compose_file', type: 'TEXT' },    // docker-compose.yml of a compose app
+    { name: 'auto_update', type: 'INTEGER DEFAULT 0' }, // Roll out newer images of the tag automatically
+    { name: 'update_window_start', type: 'TEXT' },      // Maintenance window for automatic updates ("HH:MM" UTC)
+    { name: 'update_window_end', type: 'TEXT' }
   ];
 
   for (const column of appsColumns) {
@@ -296,26 +669,74 @@ async function runMigrations() {
     console.error('Error copying icons to deployments:', err.message);
   }
 
-  // Create unique index on (user_id, ip) to prevent duplicate servers
-  // First, check if there are duplicates and handle them
+  await migrateToTeams();
+  await migrateServerIpIndex();
+}
+
+/**
+ * Give every user a personal team and move their existing resources into it
+ * Runs on every start; only touches users without a team and rows without a team_id
+ */
+async function migrateToTeams() {
+  const usersWithoutTeam = await all(`
+    SELECT id, name FROM users
+    WHERE id NOT IN (SELECT user_id FROM team_members)
+  `);
+
+  for (const user of usersWithoutTeam) {
+    const team = await TeamModel.create(`${user.name}'s Team`, user.id);
+    console.log(`Created personal team for user ${user.id}`);
+
+    await run('UPDATE servers SET team_id = ? WHERE user_id = ? AND team_id IS NULL', [team.id, user.id]);
+    await run('UPDATE apps SET team_id = ? WHERE user_id = ? AND team_id IS NULL', [team.id, user.id]);
+  }
+
+  // Snapshots follow the team of the app they were taken from
+  await run(`
+    UPDATE deployment_snapshots
+    SET team_id = (
+      SELECT a.team_id FROM app_deployments ad
+      JOIN apps a ON ad.app_id = a.id
+      WHERE ad.id = deployment_snapshots.deployment_id
+    )
+    WHERE team_id IS NULL
+  `);
+  await run(`
+    UPDATE deployment_snapshots
+    SET team_id = (
+      SELECT tm.team_id FROM team_members tm
+      WHERE tm.user_id = deployment_snapshots.user_id AND tm.role = 'owner'
+      ORDER BY tm.joined_at LIMIT 1
+    )
+    WHERE team_id IS NULL
+  `);
+}
+
+/**
+ * Make server IPs unique per team rather than per user
+ * Servers are checked for duplicates within their team, so the same user can add an IP to
+ * several teams. Runs after migrateToTeams so every server has a team.
+ */
+async function migrateServerIpIndex() {
   try {
     const duplicates = await all(`
-      SELECT user_id, ip, COUNT(*) as count 
-      FROM servers 
-      GROUP BY user_id, ip 
+      SELECT team_id, ip, COUNT(*) as count
+      FROM servers
+      WHERE team_id IS NOT NULL
+      GROUP BY team_id, ip
       HAVING COUNT(*) > 1
     `);
-    
+
     if (duplicates.length > 0) {
       console.log(`Found ${duplicates.length} duplicate server IP(s). Keeping only the most recent for each.`);
-      
+
       // For each duplicate, keep only the most recent one
       for (const dup of duplicates) {
         const servers = await all(
-          'SELECT id, added_at FROM servers WHERE user_id = ? AND ip = ? ORDER BY added_at DESC',
-          [dup.user_id, dup.ip]
+          'SELECT id, added_at FROM servers WHERE team_id = ? AND ip = ? ORDER BY added_at DESC',
+          [dup.team_id, dup.ip]
         );
-        
+
         // Delete all but the first (most recent)
         for (let i = 1; i < servers.length; i++) {
           await run('DELETE FROM servers WHERE id = ?', [servers[i].id]);
@@ -323,15 +744,11 @@ async function runMigrations() {
         }
       }
     }
-    
-    // Now create the unique index
-    await run('CREATE UNIQUE INDEX IF NOT EXISTS idx_servers_user_ip ON servers(user_id, ip)');
-    console.log('Created unique index on servers(user_id, ip)');
+
+    await run('DROP INDEX IF EXISTS idx_servers_user_ip');
+    await run('CREATE UNIQUE INDEX IF NOT EXISTS idx_servers_team_ip ON servers(team_id, ip)');
   } catch (err) {
-    // Ignore if index already exists
-    if (!err.message.includes('already exists')) {
-      console.error('Error creating unique index:', err.message);
-    }
+    console.error('Error creating unique index on servers(team_id, ip):', err.message);
   }
 }
 
@@ -0,0 +1,85 @@
+const session = require('express-session');
+const SessionModel = require('../models/SessionModel');
+const { SESSION_STORE_CONFIG } = require('../config');
+
+const ONE_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the expiry timestamp of a session from its cookie
+ * @param {Object} sess - express-session data
+ * @returns {number}
+ */
+function getExpiry(sess) {
+  if (sess.cookie && sess.cookie.expires) {
+    return new Date(sess.cookie.expires).getTime();
+  }
+  return Date.now() + ONE_DAY;
+}
+
+/**
+ * express-session store backed by the app's SQLite database
+ * Sessions survive restarts (pm2 restart, /api/system/restart)
+ */
+class SQLiteSessionStore extends session.Store {
+  constructor(options = {}) {
+    super();
+    this.touchInterval = options.touchInterval ?? SESSION_STORE_CONFIG.touchInterval;
+
+    const cleanupInterval = options.cleanupInterval ?? SESSION_STORE_CONFIG.cleanupInterval;
+    this.cleanupTimer = setInterval(() => {
+      SessionModel.removeExpired().catch(err => console.error('Failed to clean up sessions:', err));
+    }, cleanupInterval);
+    this.cleanupTimer.unref();
+  }
+
+  get(sid, callback) {
+    SessionModel.findBySid(sid)
+      .then(sess => callback(null, sess))
+      .catch(callback);
+  }
+
+  set(sid, sess, callback = () => {}) {
+    SessionModel.save(sid, sess, getExpiry(sess))
+      .then(() => callback(null))
+      .catch(callback);
+  }
+
+  touch(sid, sess, callback = () => {}) {
+    SessionModel.touch(sid, getExpiry(sess), this.touchInterval)
+      .then(() => callback(null))
+      .catch(callback);
+  }
+
+  destroy(sid, callback = () => {}) {
+    SessionModel.remove(sid)
+      .then(() => callback(null))
+      .catch(callback);
+  }
+
+  all(callback) {
+    SessionModel.findAll()
+      .then(sessions => callback(null, sessions))
+      .catch(callback);
+  }
+
+  length(callback) {
+    SessionModel.count()
+      .then(count => callback(null, count))
+      .catch(callback);
+  }
+
+  clear(callback = () => {}) {
+    SessionModel.clear()
+      .then(() => callback(null))
+      .catch(callback);
+  }
+
+  /**
+   * Stop the cleanup timer (for graceful shutdown)
+   */
+  close() {
+    clearInterval(this.cleanupTimer);
+  }
+}
+
+module.exports = SQLiteSessionStore;
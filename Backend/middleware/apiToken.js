@@ -0,0 +1,99 @@
+const { ApiTokenModel } = require('../models');
+
+/**
+ * Map API paths to token scope resources
+ * First match wins, so more specific paths come first.
+ * Paths not listed here (auth, tokens, teams, system, uploads, admin) are session-only.
+ */
+const SCOPE_RESOURCES = [
+  { pattern: /^\/api\/servers\/[^/]+\/files(\/|$)/, resource: 'files' },
+  { pattern: /^\/api\/servers(\/|$)/, resource: 'servers' },
+  { pattern: /^\/api\/apps\/[^/]+\/deployments\/[^/]+\/files(\/|$)/, resource: 'files' },
+  { pattern: /^\/api\/apps\/[^/]+\/deployments(\/|$)/, resource: 'deployments' },
+  { pattern: /^\/api\/apps\/deployments(\/|$)/, resource: 'deployments' },
+  { pattern: /^\/api\/deployments\/[^/]+\/snapshots(\/|$)/, resource: 'snapshots' },
+  { pattern: /^\/api\/snapshots(\/|$)/, resource: 'snapshots' },
+  { pattern: /^\/api\/migrations(\/|$)/, resource: 'deployments' },
+  { pattern: /^\/api\/(apps|templates)(\/|$)/, resource: 'apps' },
+  { pattern: /^\/api\/activities(\/|$)/, resource: 'activities' },
+  { pattern: /^\/api\/alerts(\/|$)/, resource: 'alerts' },
+  { pattern: /^\/api\/notifications(\/|$)/, resource: 'notifications' },
+  { pattern: /^\/metrics\/?$/, resource: 'metrics' }
+];
+
+/**
+ * Get the scope a request needs when made with an API token
+ * GET/HEAD need `<resource>:read`, everything else needs `<resource>:write`
+ * @param {Object} req - Express request
+ * @returns {string|null} - Required scope, or null if the path is not available to tokens
+ */
+function getRequiredScope(req) {
+  const match = SCOPE_RESOURCES.find(({ pattern }) => pattern.test(req.path));
+  if (!match) return null;
+
+  const access = ['GET', 'HEAD'].includes(req.method) ? 'read' : 'write';
+  return `${match.resource}:${access}`;
+}
+
+/**
+ * Check if a token's scopes grant the required scope
+ * A write scope also grants read on the same resource
+ * @param {Array<string>} scopes - Token scopes
+ * @param {string} requiredScope - Scope needed by the request
+ * @returns {boolean}
+ */
+function hasScope(scopes, requiredScope) {
+  if (scopes.includes(requiredScope)) return true;
+
+  const [resource, access] = requiredScope.split(':');
+  return access === 'read' && scopes.includes(`${resource}:write`);
+}
+
+/**
+ * API token authentication middleware
+ * Must run before express-session. When a Bearer token is present it stands in
+ * for the session (req.session = { userId, apiToken }) so that requireAuth and
+ * existing req.session.userId lookups work unchanged, and no cookie is issued.
+ */
+async function authenticateApiToken(req, res, next) {
+  const header = req.headers.authorization;
+  if (!header || !header.startsWith('Bearer ')) {
+    return next();
+  }
+
+  try {
+    const apiToken = await ApiTokenModel.findByToken(header.slice(7).trim());
+
+    if (!apiToken || ApiTokenModel.isExpired(apiToken)) {
+      return res.status(401).json({ error: 'Invalid or expired API token' });
+    }
+
+    const requiredScope = getRequiredScope(req);
+    if (!requiredScope) {
+      return res.status(403).json({ error: 'This endpoint is not available to API tokens' });
+    }
+
+    if (!hasScope(apiToken.scopes, requiredScope)) {
+      return res.status(403).json({ error: `API token is missing the '${requiredScope}' scope` });
+    }
+
+    req.session = {
+      userId: apiToken.userId,
+      apiToken: { id: apiToken.id, scopes: apiToken.scopes }
+    };
+
+    ApiTokenModel.touch(apiToken.id).catch(err => {
+      console.error('Failed to update API token usage:', err.message);
+    });
+
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  authenticateApiToken,
+  getRequiredScope,
+  hasScope
+};
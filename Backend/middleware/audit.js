@@ -0,0 +1,43 @@
+const auditService = require('../services/auditService');
+
+/**
+ * Methods that change state and are written to the audit log
+ */
+const AUDITED_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * Audit trail middleware
+ * Records every state-changing API request once the response is sent. Handlers can add
+ * a target, field changes or before/after content with auditService.annotate*(req, ...),
+ * or set req.audit.skip to leave a request out.
+ */
+function auditTrail(req, res, next) {
+  if (!AUDITED_METHODS.includes(req.method)) {
+    return next();
+  }
+
+  // The session may be gone by the time the response finishes (logout, account deletion)
+  const initialSession = req.session && req.session.userId
+    ? { userId: req.session.userId, apiToken: req.session.apiToken }
+    : null;
+
+  // Read the address now, the socket may be closed once the response has finished
+  req.audit = { target: null, details: {}, skip: false, ip: auditService.normalizeIp(req.ip) };
+
+  res.on('finish', async () => {
+    try {
+      if (!req.audit.actor) {
+        req.audit.actor = await auditService.getActor(req.session && req.session.userId ? req.session : initialSession);
+      }
+      await auditService.recordRequest(req, res);
+    } catch (err) {
+      console.error('Failed to write audit log entry:', err.message);
+    }
+  });
+
+  next();
+}
+
+module.exports = {
+  auditTrail
+};
@@ -3,12 +3,60 @@ const { UserModel } = require('../models');
 /**
  * Authentication middleware
  * Checks if user is logged in via session
+ * Users who still have to set up mandatory two-factor authentication are turned away
  */
 function requireAuth(req, res, next) {
-  if (req.session && req.session.userId) {
+  if (!req.session || !req.session.userId) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  if (req.session.twoFactorSetupRequired) {
+    return res.status(403).json({
+      error: 'Set up two-factor authentication to continue',
+      twoFactorSetupRequired: true
+    });
+  }
+  next();
+}
+
+/**
+ * Session-only authentication middleware
+ * Like requireAuth, but rejects API token requests (e.g. for managing tokens themselves)
+ */
+function requireSession(req, res, next) {
+  if (req.session && req.session.apiToken) {
+    return res.status(403).json({ error: 'This action requires a browser session' });
+  }
+  requireAuth(req, res, next);
+}
+
+/**
+ * Two-factor enrollment middleware
+ * Like requireSession, but also lets through users who still have to set up mandatory 2FA
+ */
+function requireEnrollmentSession(req, res, next) {
+  if (req.session && req.session.apiToken) {
+    return res.status(403).json({ error: 'This action requires a browser session' });
+  }
+  if (!req.session || !req.session.userId) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  next();
+}
+
+/**
+ * Admin middleware
+ * Use after requireAuth/requireSession; attaches the user to req.user
+ */
+async function requireAdmin(req, res, next) {
+  try {
+    const user = await UserModel.findById(req.session.userId);
+    if (!user || !user.is_admin || user.disabled) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    req.user = user;
     next();
-  } else {
-    res.status(401).json({ error: 'Authentication required' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
   }
 }
 
@@ -45,6 +93,9 @@ async function attachUser(req, res, next) {
 
 module.exports = {
   requireAuth,
+  requireSession,
+  requireEnrollmentSession,
+  requireAdmin,
   optionalAuth,
   attachUser
 };
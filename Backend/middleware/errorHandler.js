@@ -39,7 +39,14 @@ function notFoundHandler(req, res) {
  */
 function asyncHandler(fn) {
   return (req, res, next) => {
-    Promise.resolve(fn(req, res, next)).catch(next);
+    Promise.resolve(fn(req, res, next)).catch((err) => {
+      // Express resets baseUrl and params once the error leaves the router; the audit log needs them
+      if (req.audit) {
+        req.audit.baseUrl = req.baseUrl;
+        req.audit.params = req.params;
+      }
+      next(err);
+    });
   };
 }
 
@@ -1,5 +1,7 @@
 module.exports = {
   ...require('./auth'),
+  ...require('./apiToken'),
   ...require('./ownership'),
+  ...require('./audit'),
   ...require('./errorHandler')
 };
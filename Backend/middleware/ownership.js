@@ -1,84 +1,169 @@
-const { ServerModel, AppModel } = require('../models');
+const { ServerModel, AppModel, TeamModel } = require('../models');
 
 /**
- * Check if user owns a server
+ * Get a user's role on a team-owned resource
+ * Resources created before teams existed (no team) fall back to the creating user
+ * @param {string|null} teamId - Team owning the resource
+ * @param {string|null} ownerId - User who created the resource
+ * @param {string} userId - User ID
+ * @returns {Promise<string|null>} - Role, or null if the user has no access
+ */
+async function getResourceRole(teamId, ownerId, userId) {
+  if (teamId) {
+    return TeamModel.getRole(teamId, userId);
+  }
+  return !ownerId || ownerId === userId ? 'owner' : null;
+}
+
+/**
+ * Build the error returned when a role lacks a permission
+ * @param {string} role - Team role
+ * @returns {{error: string, status: number}}
+ */
+function roleError(role) {
+  return { error: `Your team role (${role}) does not allow this action`, status: 403 };
+}
+
+/**
+ * Check a permission on a team-owned resource (deployment, snapshot, ...)
+ * @param {string|null} teamId - Team owning the resource
+ * @param {string|null} ownerId - User who created the resource
+ * @param {string} userId - User ID
+ * @param {string} permission - Required permission ('view', 'operate' or 'manage')
+ * @returns {Promise<{role?: string, error?: string, status?: number}>}
+ */
+async function checkResourcePermission(teamId, ownerId, userId, permission = 'view') {
+  const role = await getResourceRole(teamId, ownerId, userId);
+
+  if (!role) {
+    return { error: 'Not authorized', status: 403 };
+  }
+
+  if (!TeamModel.roleAllows(role, permission)) {
+    return roleError(role);
+  }
+
+  return { role };
+}
+
+/**
+ * Check if user can access a server
  * @param {string} serverId - Server ID
  * @param {string} userId - User ID
- * @returns {Promise<{server?: Object, error?: string, status?: number}>}
+ * @param {string} permission - Required permission ('view', 'operate' or 'manage')
+ * @returns {Promise<{server?: Object, role?: string, error?: string, status?: number}>}
  */
-async function checkServerOwnership(serverId, userId) {
+async function checkServerOwnership(serverId, userId, permission = 'view') {
   const server = await ServerModel.findById(serverId);
-  
+
   if (!server) {
     return { error: 'Server not found', status: 404 };
   }
-  
-  if (server.userId && server.userId !== userId) {
+
+  const role = await getResourceRole(server.teamId, server.userId, userId);
+
+  if (!role) {
     return { error: 'Access denied', status: 403 };
   }
-  
-  return { server };
+
+  if (!TeamModel.roleAllows(role, permission)) {
+    return roleError(role);
+  }
+
+  return { server, role };
 }
 
 /**
- * Check if user owns an app
+ * Check if user can access an app
  * @param {string} appId - App ID
  * @param {string} userId - User ID
- * @returns {Promise<{app?: Object, error?: string, status?: number}>}
+ * @param {string} permission - Required permission ('view', 'operate' or 'manage')
+ * @returns {Promise<{app?: Object, role?: string, error?: string, status?: number}>}
  */
-async function checkAppOwnership(appId, userId) {
-  const app = await AppModel.findById(appId, userId);
-  
-  if (!app) {
+async function checkAppOwnership(appId, userId, permission = 'view') {
+  const app = await AppModel.findById(appId);
+
+  const role = app ? await getResourceRole(app.team_id, app.user_id, userId) : null;
+
+  // Apps outside the user's teams are reported as missing
+  if (!role) {
     return { error: 'App not found', status: 404 };
   }
-  
-  return { app };
+
+  if (!TeamModel.roleAllows(role, permission)) {
+    return roleError(role);
+  }
+
+  return { app, role };
 }
 
 /**
- * Middleware to verify server ownership
- * Attaches server to req.server
+ * Middleware factory requiring a permission on the server in the route
+ * Attaches server to req.server and the user's team role to req.teamRole
+ * @param {string} permission - Required permission ('view', 'operate' or 'manage')
  */
-function requireServerOwnership(req, res, next) {
-  const serverId = req.params.id || req.params.serverId;
-  
-  checkServerOwnership(serverId, req.session.userId)
-    .then(result => {
-      if (result.error) {
-        return res.status(result.status).json({ error: result.error });
-      }
-      req.server = result.server;
-      next();
-    })
-    .catch(err => {
-      res.status(500).json({ error: err.message });
-    });
+function requireServerPermission(permission) {
+  return (req, res, next) => {
+    const serverId = req.params.id || req.params.serverId;
+
+    checkServerOwnership(serverId, req.session.userId, permission)
+      .then(result => {
+        if (result.error) {
+          return res.status(result.status).json({ error: result.error });
+        }
+        req.server = result.server;
+        req.teamRole = result.role;
+        next();
+      })
+      .catch(err => {
+        res.status(500).json({ error: err.message });
+      });
+  };
 }
 
 /**
- * Middleware to verify app ownership
- * Attaches app to req.app
+ * Middleware factory requiring a permission on the app in the route
+ * Attaches app to req.appData (req.app is Express's application) and the role to req.teamRole
+ * @param {string} permission - Required permission ('view', 'operate' or 'manage')
  */
-function requireAppOwnership(req, res, next) {
-  const appId = req.params.id || req.params.appId;
-  
-  checkAppOwnership(appId, req.session.userId)
-    .then(result => {
-      if (result.error) {
-        return res.status(result.status).json({ error: result.error });
-      }
-      req.app = result.app;
-      next();
-    })
-    .catch(err => {
-      res.status(500).json({ error: err.message });
-    });
+function requireAppPermission(permission) {
+  return (req, res, next) => {
+    const appId = req.params.id || req.params.appId;
+
+    checkAppOwnership(appId, req.session.userId, permission)
+      .then(result => {
+        if (result.error) {
+          return res.status(result.status).json({ error: result.error });
+        }
+        req.appData = result.app;
+        req.teamRole = result.role;
+        next();
+      })
+      .catch(err => {
+        res.status(500).json({ error: err.message });
+      });
+  };
 }
 
+/**
+ * Middleware to verify the user can view a server
+ * Attaches server to req.server
+ */
+const requireServerOwnership = requireServerPermission('view');
+
+/**
+ * Middleware to verify the user can view an app
+ * Attaches app to req.appData
+ */
+const requireAppOwnership = requireAppPermission('view');
+
 module.exports = {
+  getResourceRole,
+  checkResourcePermission,
   checkServerOwnership,
   checkAppOwnership,
+  requireServerPermission,
+  requireAppPermission,
   requireServerOwnership,
   requireAppOwnership
 };
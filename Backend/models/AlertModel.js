@@ -0,0 +1,318 @@
+const { v4: uuidv4 } = require('uuid');
+const { run, get, all } = require('../database/connection');
+const { MEMBER_TEAMS_SQL } = require('./TeamModel');
+
+/**
+ * Convert rule row to camelCase object
+ * @param {Object} row - Database row
+ * @returns {Object}
+ */
+function ruleToCamelCase(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    teamId: row.team_id,
+    ...(row.team_name ? { teamName: row.team_name } : {}),
+    createdBy: row.created_by,
+    name: row.name,
+    serverId: row.server_id || null,
+    tag: row.tag || null,
+    metric: row.metric,
+    operator: row.operator,
+    threshold: row.threshold,
+    durationSeconds: row.duration_seconds || 0,
+    enabled: Boolean(row.enabled),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Convert alert row to camelCase object
+ * @param {Object} row - Database row
+ * @returns {Object}
+ */
+function alertToCamelCase(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    ruleId: row.rule_id,
+    teamId: row.team_id,
+    serverId: row.server_id,
+    ruleName: row.rule_name,
+    serverName: row.server_name,
+    metric: row.metric,
+    operator: row.operator,
+    threshold: row.threshold,
+    status: row.status,
+    value: row.value,
+    resolvedValue: row.resolved_value,
+    startedAt: row.started_at,
+    resolvedAt: row.resolved_at
+  };
+}
+
+// ==================== Rule Functions ====================
+
+/**
+ * Create an alert rule
+ * @param {Object} rule - { teamId, createdBy, name, serverId, tag, metric, operator, threshold, durationSeconds, enabled }
+ * @returns {Promise<Object>}
+ */
+async function createRule(rule) {
+  const id = uuidv4();
+  const now = new Date().toISOString();
+
+  await run(`
+    INSERT INTO alert_rules
+    (id, team_id, created_by, name, server_id, tag, metric, operator, threshold, duration_seconds, enabled, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    id,
+    rule.teamId,
+    rule.createdBy || null,
+    rule.name,
+    rule.serverId || null,
+    rule.tag || null,
+    rule.metric,
+    rule.operator,
+    rule.threshold ?? null,
+    rule.durationSeconds || 0,
+    rule.enabled === false ? 0 : 1,
+    now,
+    now
+  ]);
+
+  return findRuleById(id);
+}
+
+/**
+ * Get rule by ID
+ * @param {string} ruleId - Rule ID
+ * @returns {Promise<Object|null>}
+ */
+async function findRuleById(ruleId) {
+  const row = await get('SELECT * FROM alert_rules WHERE id = ?', [ruleId]);
+  return ruleToCamelCase(row);
+}
+
+/**
+ * Get the rules of every team the user belongs to
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>}
+ */
+async function findRulesByUser(userId) {
+  const rows = await all(
+    `SELECT r.*, t.name as team_name FROM alert_rules r
+     LEFT JOIN teams t ON t.id = r.team_id
+     WHERE r.team_id IN (${MEMBER_TEAMS_SQL})
+     ORDER BY r.created_at DESC`,
+    [userId]
+  );
+  return rows.map(ruleToCamelCase);
+}
+
+/**
+ * Get all enabled rules
+ * @returns {Promise<Array>}
+ */
+async function findEnabledRules() {
+  const rows = await all('SELECT * FROM alert_rules WHERE enabled = 1');
+  return rows.map(ruleToCamelCase);
+}
+
+/**
+ * Update a rule
+ * @param {string} ruleId - Rule ID
+ * @param {Object} rule - Complete rule fields (as for createRule, without teamId/createdBy)
+ * @returns {Promise<Object>}
+ */
+async function updateRule(ruleId, rule) {
+  await run(`
+    UPDATE alert_rules
+    SET name = ?, server_id = ?, tag = ?, metric = ?, operator = ?, threshold = ?, duration_seconds = ?, enabled = ?, updated_at = ?
+    WHERE id = ?
+  `, [
+    rule.name,
+    rule.serverId || null,
+    rule.tag || null,
+    rule.metric,
+    rule.operator,
+    rule.threshold ?? null,
+    rule.durationSeconds || 0,
+    rule.enabled === false ? 0 : 1,
+    new Date().toISOString(),
+    ruleId
+  ]);
+
+  return findRuleById(ruleId);
+}
+
+/**
+ * Delete a rule (its alert history is kept)
+ * @param {string} ruleId - Rule ID
+ * @returns {Promise<number>}
+ */
+async function removeRule(ruleId) {
+  const result = await run('DELETE FROM alert_rules WHERE id = ?', [ruleId]);
+  return result.changes;
+}
+
+/**
+ * Delete a team's rules and alerts
+ * @param {string} teamId - Team ID
+ * @returns {Promise<void>}
+ */
+async function removeByTeam(teamId) {
+  await run('DELETE FROM alerts WHERE team_id = ?', [teamId]);
+  await run('DELETE FROM alert_rules WHERE team_id = ?', [teamId]);
+}
+
+// ==================== Alert Functions ====================
+
+/**
+ * Open a firing alert
+ * @param {Object} alert - { ruleId, teamId, serverId, ruleName, serverName, metric, operator, threshold, value }
+ * @returns {Promise<Object>}
+ */
+async function createAlert(alert) {
+  const id = uuidv4();
+
+  await run(`
+    INSERT INTO alerts
+    (id, rule_id, team_id, server_id, rule_name, server_name, metric, operator, threshold, status, value, started_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'firing', ?, ?)
+  `, [
+    id,
+    alert.ruleId,
+    alert.teamId,
+    alert.serverId,
+    alert.ruleName,
+    alert.serverName,
+    alert.metric,
+    alert.operator || null,
+    alert.threshold ?? null,
+    alert.value ?? null,
+    new Date().toISOString()
+  ]);
+
+  return alertToCamelCase(await get('SELECT * FROM alerts WHERE id = ?', [id]));
+}
+
+/**
+ * Get every firing alert
+ * @returns {Promise<Array>}
+ */
+async function findFiring() {
+  const rows = await all("SELECT * FROM alerts WHERE status = 'firing'");
+  return rows.map(alertToCamelCase);
+}
+
+/**
+ * Resolve a firing alert
+ * @param {string} alertId - Alert ID
+ * @param {number|null} value - Metric value when it recovered
+ * @returns {Promise<Object|null>} - The resolved alert, or null if it was not firing
+ */
+async function resolveAlert(alertId, value = null) {
+  const result = await run(
+    "UPDATE alerts SET status = 'resolved', resolved_value = ?, resolved_at = ? WHERE id = ? AND status = 'firing'",
+    [value, new Date().toISOString(), alertId]
+  );
+  if (result.changes === 0) return null;
+  return alertToCamelCase(await get('SELECT * FROM alerts WHERE id = ?', [alertId]));
+}
+
+/**
+ * Resolve the firing alerts of a rule or a server (rule deleted or disabled, server deleted)
+ * @param {Object} where - { ruleId } or { serverId }
+ * @returns {Promise<number>}
+ */
+async function resolveAll({ ruleId, serverId }) {
+  const column = ruleId ? 'rule_id' : 'server_id';
+  const result = await run(
+    `UPDATE alerts SET status = 'resolved', resolved_at = ? WHERE ${column} = ? AND status = 'firing'`,
+    [new Date().toISOString(), ruleId || serverId]
+  );
+  return result.changes;
+}
+
+/**
+ * Build the WHERE clause for alert history queries
+ * @private
+ */
+function buildAlertFilter(userId, filters) {
+  const conditions = [`team_id IN (${MEMBER_TEAMS_SQL})`];
+  const params = [userId];
+
+  if (filters.status) {
+    conditions.push('status = ?');
+    params.push(filters.status);
+  }
+  if (filters.serverId) {
+    conditions.push('server_id = ?');
+    params.push(filters.serverId);
+  }
+  if (filters.ruleId) {
+    conditions.push('rule_id = ?');
+    params.push(filters.ruleId);
+  }
+
+  return { where: `WHERE ${conditions.join(' AND ')}`, params };
+}
+
+/**
+ * Get alerts in the user's teams, newest first
+ * @param {string} userId - User ID
+ * @param {Object} filters - { status, serverId, ruleId }
+ * @param {Object} options - { limit, offset }
+ * @returns {Promise<Array>}
+ */
+async function findAlerts(userId, filters = {}, { limit = 50, offset = 0 } = {}) {
+  const { where, params } = buildAlertFilter(userId, filters);
+  const rows = await all(
+    `SELECT * FROM alerts ${where} ORDER BY started_at DESC LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+  return rows.map(alertToCamelCase);
+}
+
+/**
+ * Count alerts in the user's teams
+ * @param {string} userId - User ID
+ * @param {Object} filters - { status, serverId, ruleId }
+ * @returns {Promise<number>}
+ */
+async function countAlerts(userId, filters = {}) {
+  const { where, params } = buildAlertFilter(userId, filters);
+  const row = await get(`SELECT COUNT(*) as count FROM alerts ${where}`, params);
+  return row.count;
+}
+
+/**
+ * Delete resolved alerts older than a number of days
+ * @param {number} daysOld - Age in days
+ * @returns {Promise<number>}
+ */
+async function deleteResolvedOlderThan(daysOld) {
+  const cutoff = new Date(Date.now() - daysOld * 24 * 60 * 60 * 1000).toISOString();
+  const result = await run("DELETE FROM alerts WHERE status = 'resolved' AND resolved_at < ?", [cutoff]);
+  return result.changes;
+}
+
+module.exports = {
+  createRule,
+  findRuleById,
+  findRulesByUser,
+  findEnabledRules,
+  updateRule,
+  removeRule,
+  removeByTeam,
+  createAlert,
+  findFiring,
+  resolveAlert,
+  resolveAll,
+  findAlerts,
+  countAlerts,
+  deleteResolvedOlderThan
+};
@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { run, get, all } = require('../database/connection');
+const { API_TOKEN_CONFIG } = require('../config');
+
+/**
+ * Hash a plain-text token for storage/lookup
+ * Tokens are long random strings, so a fast hash is sufficient
+ * @param {string} token - Plain-text token
+ * @returns {string}
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Convert database row to camelCase object (never exposes the hash)
+ * @param {Object} row - Database row
+ * @returns {Object|null}
+ */
+function toCamelCase(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    userId: row.user_id,
+    name: row.name,
+    tokenPrefix: row.token_prefix,
+    scopes: row.scopes ? JSON.parse(row.scopes) : [],
+    expiresAt: row.expires_at,
+    lastUsedAt: row.last_used_at,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Create a new API token
+ * @param {string} userId - Owner user ID
+ * @param {Object} data - { name, scopes, expiresAt }
+ * @returns {Promise<{token: string, apiToken: Object}>} - Plain-text token (shown once) and stored record
+ */
+async function create(userId, { name, scopes, expiresAt = null }) {
+  const id = uuidv4();
+  const token = API_TOKEN_CONFIG.prefix + crypto.randomBytes(24).toString('hex');
+  const createdAt = new Date().toISOString();
+  const tokenPrefix = token.slice(0, API_TOKEN_CONFIG.prefix.length + 6);
+
+  await run(
+    `INSERT INTO api_tokens (id, user_id, name, token_hash, token_prefix, scopes, expires_at, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [id, userId, name, hashToken(token), tokenPrefix, JSON.stringify(scopes), expiresAt, createdAt]
+  );
+
+  return { token, apiToken: await findById(id) };
+}
+
+/**
+ * Get token by ID
+ * @param {string} tokenId - Token ID
+ * @returns {Promise<Object|null>}
+ */
+async function findById(tokenId) {
+  const row = await get('SELECT * FROM api_tokens WHERE id = ?', [tokenId]);
+  return toCamelCase(row);
+}
+
+/**
+ * Get all tokens for a user
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>}
+ */
+async function findByUser(userId) {
+  const rows = await all(
+    'SELECT * FROM api_tokens WHERE user_id = ? ORDER BY created_at DESC',
+    [userId]
+  );
+  return rows.map(toCamelCase);
+}
+
+/**
+ * Look up a token by its plain-text value
+ * Tokens of disabled users are treated as missing
+ * @param {string} token - Plain-text token from the Authorization header
+ * @returns {Promise<Object|null>}
+ */
+async function findByToken(token) {
+  const row = await get(
+    `SELECT t.* FROM api_tokens t
+     JOIN users u ON t.user_id = u.id
+     WHERE t.token_hash = ? AND COALESCE(u.disabled, 0) = 0`,
+    [hashToken(token)]
+  );
+  return toCamelCase(row);
+}
+
+/**
+ * Count tokens owned by a user
+ * @param {string} userId - User ID
+ * @returns {Promise<number>}
+ */
+async function countByUser(userId) {
+  const row = await get('SELECT COUNT(*) as count FROM api_tokens WHERE user_id = ?', [userId]);
+  return row ? row.count : 0;
+}
+
+/**
+ * Record that a token was used
+ * @param {string} tokenId - Token ID
+ * @returns {Promise<void>}
+ */
+async function touch(tokenId) {
+  await run('UPDATE api_tokens SET last_used_at = ? WHERE id = ?', [new Date().toISOString(), tokenId]);
+}
+
+/**
+ * Revoke (delete) a token
+ * @param {string} tokenId - Token ID
+ * @param {string} userId - Owner user ID
+ * @returns {Promise<number>} - Number of deleted rows
+ */
+async function revoke(tokenId, userId) {
+  const result = await run('DELETE FROM api_tokens WHERE id = ? AND user_id = ?', [tokenId, userId]);
+  return result.changes;
+}
+
+/**
+ * Delete all tokens owned by a user
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} - Number of deleted rows
+ */
+async function removeByUser(userId) {
+  const result = await run('DELETE FROM api_tokens WHERE user_id = ?', [userId]);
+  return result.changes;
+}
+
+/**
+ * Check whether a token has expired
+ * @param {Object} apiToken - Token record
+ * @returns {boolean}
+ */
+function isExpired(apiToken) {
+  return !!apiToken.expiresAt && new Date(apiToken.expiresAt).getTime() <= Date.now();
+}
+
+module.exports = {
+  create,
+  findById,
+  findByUser,
+  findByToken,
+  countByUser,
+  touch,
+  revoke,
+  removeByUser,
+  isExpired
+};
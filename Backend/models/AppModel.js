@@ -1,14 +1,16 @@
 const { v4: uuidv4 } = require('uuid');
 const { run, get, all } = require('../database/connection');
+const { MEMBER_TEAMS_SQL } = require('./TeamModel');
+const secretsService = require('../services/secrets/secretsService');
 
 /**
- * Get all apps for a user
+ * Get all apps in the user's teams
  * @param {string} userId - User ID
  * @returns {Promise<Array>}
  */
 async function findAll(userId) {
   return all(
-    'SELECT * FROM apps WHERE user_id = ? ORDER BY created_at DESC',
+    `SELECT * FROM apps WHERE team_id IN (${MEMBER_TEAMS_SQL}) ORDER BY created_at DESC`,
     [userId]
   );
 }
@@ -22,7 +24,7 @@ async function findOrphaned(userId) {
   return all(
     `SELECT a.* FROM apps a
      LEFT JOIN app_deployments ad ON a.id = ad.app_id
-     WHERE a.user_id = ? AND ad.id IS NULL
+     WHERE a.team_id IN (${MEMBER_TEAMS_SQL}) AND ad.id IS NULL
      ORDER BY a.created_at DESC`,
     [userId]
   );
@@ -31,33 +33,34 @@ async function findOrphaned(userId) {
 /**
  * Get app by ID
  * @param {string} appId - App ID
- * @param {string} userId - User ID (for ownership verification)
+ * @param {string} userId - User ID (only returns apps in the user's teams)
  * @returns {Promise<Object|null>}
  */
 async function findById(appId, userId = null) {
   if (userId) {
-    return get('SELECT * FROM apps WHERE id = ? AND user_id = ?', [appId, userId]);
+    return get(`SELECT * FROM apps WHERE id = ? AND team_id IN (${MEMBER_TEAMS_SQL})`, [appId, userId]);
   }
   return get('SELECT * FROM apps WHERE id = ?', [appId]);
 }
 
 /**
  * Create a new app
- * @param {string} userId - User ID
+ * @param {string} userId - User ID (creator)
  * @param {string} name - App name
  * @param {string|null} description - App description
+ * @param {string|null} teamId - Owning team
  * @returns {Promise<Object>}
  */
-async function create(userId, name, description = null) {
+async function create(userId, name, description = null, teamId = null) {
   const id = uuidv4();
   const createdAt = new Date().toISOString();
 
   await run(
-    'INSERT INTO apps (id, user_id, name, description, created_at) VALUES (?, ?, ?, ?, ?)',
-    [id, userId, name, description, createdAt]
+    'INSERT INTO apps (id, user_id, team_id, name, description, created_at) VALUES (?, ?, ?, ?, ?, ?)',
+    [id, userId, teamId, name, description, createdAt]
   );
 
-  return { id, name, description, created_at: createdAt };
+  return { id, name, description, team_id: teamId, created_at: createdAt };
 }
 
 /**
@@ -80,6 +83,16 @@ async function update(appId, updates) {
     values.push(updates.description);
   }
   
+  // App type and compose file (compose apps)
+  if (updates.type !== undefined) {
+    fields.push('type = ?');
+    values.push(updates.type);
+  }
+  if (updates.compose_file !== undefined) {
+    fields.push('compose_file = ?');
+    values.push(updates.compose_file);
+  }
+
   // Docker configuration fields
   if (updates.image !== undefined) {
     fields.push('image = ?');
@@ -129,7 +142,7 @@ async function update(appId, updates) {
   }
   if (updates.registry_password !== undefined) {
     fields.push('registry_password = ?');
-    values.push(updates.registry_password);
+    values.push(updates.registry_password ? secretsService.encrypt(updates.registry_password) : null);
   }
   
   // Web UI configuration
@@ -138,6 +151,20 @@ async function update(appId, updates) {
     values.push(updates.web_ui_port || null);
   }
   
+  // Automatic image updates
+  if (updates.auto_update !== undefined) {
+    fields.push('auto_update = ?');
+    values.push(updates.auto_update ? 1 : 0);
+  }
+  if (updates.update_window_start !== undefined) {
+    fields.push('update_window_start = ?');
+    values.push(updates.update_window_start || null);
+  }
+  if (updates.update_window_end !== undefined) {
+    fields.push('update_window_end = ?');
+    values.push(updates.update_window_end || null);
+  }
+
   // Icon fields
   if (updates.icon !== undefined) {
     fields.push('icon = ?');
@@ -157,17 +184,62 @@ async function update(appId, updates) {
 /**
  * Delete an app
  * @param {string} appId - App ID
- * @param {string} userId - User ID (for ownership verification)
+ * @param {string} userId - User ID (app must be in one of the user's teams)
  * @returns {Promise<number>}
  */
 async function remove(appId, userId) {
   const result = await run(
-    'DELETE FROM apps WHERE id = ? AND user_id = ?',
+    `DELETE FROM apps WHERE id = ? AND team_id IN (${MEMBER_TEAMS_SQL})`,
     [appId, userId]
   );
   return result.changes;
 }
 
+/**
+ * Delete all apps of a team, with their deployment records, stats, health checks and revisions
+ * @param {string} teamId - Team ID
+ * @returns {Promise<number>} - Number of deleted apps
+ */
+async function removeByTeam(teamId) {
+  const teamDeployments = 'SELECT d.id FROM app_deployments d JOIN apps a ON d.app_id = a.id WHERE a.team_id = ?';
+  await run(`DELETE FROM deployment_stats WHERE deployment_id IN (${teamDeployments})`, [teamId]);
+  await run(`DELETE FROM deployment_check_results WHERE deployment_id IN (${teamDeployments})`, [teamId]);
+  await run(`DELETE FROM deployment_checks WHERE deployment_id IN (${teamDeployments})`, [teamId]);
+  await run(`DELETE FROM deployment_revisions WHERE deployment_id IN (${teamDeployments})`, [teamId]);
+  await run('DELETE FROM app_deployments WHERE app_id IN (SELECT id FROM apps WHERE team_id = ?)', [teamId]);
+  const result = await run('DELETE FROM apps WHERE team_id = ?', [teamId]);
+  return result.changes;
+}
+
+// ==================== Registry Credentials ====================
+
+/**
+ * Get the decrypted registry password of an app
+ * @param {Object} app - App row
+ * @returns {string|null}
+ */
+function getRegistryPassword(app) {
+  return secretsService.decrypt(app.registry_password);
+}
+
+/**
+ * Get all stored registry passwords (as stored, for re-encryption)
+ * @returns {Promise<Array<{id: string, registry_password: string}>>}
+ */
+async function findStoredRegistryPasswords() {
+  return all("SELECT id, registry_password FROM apps WHERE registry_password IS NOT NULL AND registry_password != ''");
+}
+
+/**
+ * Replace a stored registry password with an already encrypted value
+ * @param {string} appId - App ID
+ * @param {string} storedValue - Encrypted password
+ * @returns {Promise<void>}
+ */
+async function setStoredRegistryPassword(appId, storedValue) {
+  await run('UPDATE apps SET registry_password = ? WHERE id = ?', [storedValue, appId]);
+}
+
 // ==================== Deployment Functions ====================
 
 /**
@@ -182,11 +254,12 @@ async function findDeployments(appId, userId) {
       d.*,
       s.name as server_name,
       s.ip as server_ip,
-      a.name as app_name
+      a.name as app_name,
+      a.type as app_type
     FROM app_deployments d
     LEFT JOIN servers s ON d.server_id = s.id
     LEFT JOIN apps a ON d.app_id = a.id
-    WHERE d.app_id = ? AND a.user_id = ?
+    WHERE d.app_id = ? AND a.team_id IN (${MEMBER_TEAMS_SQL})
     ORDER BY d.deployed_at DESC
   `, [appId, userId]);
 
@@ -202,11 +275,11 @@ async function findDeployments(appId, userId) {
  */
 async function findDeploymentById(deploymentId, appId, userId) {
   return get(`
-    SELECT d.*, s.ip, s.username, s.private_key_path, a.user_id
+    SELECT d.*, s.ip, s.port, s.jump_host_id, s.username, s.private_key_path, s.os_type, a.user_id, a.team_id, a.type as app_type
     FROM app_deployments d
     LEFT JOIN servers s ON d.server_id = s.id
     LEFT JOIN apps a ON d.app_id = a.id
-    WHERE d.id = ? AND d.app_id = ? AND a.user_id = ?
+    WHERE d.id = ? AND d.app_id = ? AND a.team_id IN (${MEMBER_TEAMS_SQL})
   `, [deploymentId, appId, userId]);
 }
 
@@ -217,7 +290,8 @@ async function findDeploymentById(deploymentId, appId, userId) {
  */
 async function findDeploymentByIdSimple(deploymentId) {
   return get(`
-    SELECT d.*, s.ip, s.username, s.private_key_path, a.user_id, a.name as app_name, a.volumes
+    SELECT d.*, s.ip, s.port, s.jump_host_id, s.username, s.private_key_path, s.os_type, a.user_id, a.team_id, a.name as app_name, a.volumes,
+      a.type as app_type
     FROM app_deployments d
     LEFT JOIN servers s ON d.server_id = s.id
     LEFT JOIN apps a ON d.app_id = a.id
@@ -238,8 +312,8 @@ async function createDeployment(deployment) {
     : null;
 
   await run(`
-    INSERT INTO app_deployments (id, app_id, server_id, container_id, container_name, status, port_mappings, deployed_at, icon, icon_url, nickname)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO app_deployments (id, app_id, server_id, container_id, container_name, status, port_mappings, deployed_at, icon, icon_url, nickname, compose_project)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `, [
     id,
     deployment.appId,
@@ -251,7 +325,8 @@ async function createDeployment(deployment) {
     deployedAt,
     deployment.icon || null,
     deployment.iconUrl || null,
-    deployment.nickname || null
+    deployment.nickname || null,
+    deployment.composeProject || null
   ]);
 
   return { id, ...deployment, deployed_at: deployedAt };
@@ -276,12 +351,29 @@ async function updateDeploymentStatus(deploymentId, status, containerId = null)
 }
 
 /**
- * Delete a deployment
+ * Set the health of a deployment from its checks
+ * @param {string} deploymentId - Deployment ID
+ * @param {string|null} healthStatus - 'healthy', 'degraded', 'down' or null (no checks)
+ * @returns {Promise<void>}
+ */
+async function updateDeploymentHealth(deploymentId, healthStatus) {
+  await run(
+    'UPDATE app_deployments SET health_status = ?, health_checked_at = ? WHERE id = ?',
+    [healthStatus, healthStatus ? new Date().toISOString() : null, deploymentId]
+  );
+}
+
+/**
+ * Delete a deployment with its stats history, health checks and revisions
  * @param {string} deploymentId - Deployment ID
  * @returns {Promise<number>}
  */
 async function removeDeployment(deploymentId) {
   const result = await run('DELETE FROM app_deployments WHERE id = ?', [deploymentId]);
+  await run('DELETE FROM deployment_stats WHERE deployment_id = ?', [deploymentId]);
+  await run('DELETE FROM deployment_check_results WHERE deployment_id = ?', [deploymentId]);
+  await run('DELETE FROM deployment_checks WHERE deployment_id = ?', [deploymentId]);
+  await run('DELETE FROM deployment_revisions WHERE deployment_id = ?', [deploymentId]);
   return result.changes;
 }
 
@@ -339,6 +431,10 @@ async function updateDeploymentConfig(deploymentId, config) {
     fields.push('nickname = ?');
     values.push(config.nickname || null);
   }
+  if (config.image_tag !== undefined) {
+    fields.push('image_tag = ?');
+    values.push(config.image_tag || null);
+  }
 
   if (fields.length === 0) return;
 
@@ -360,13 +456,14 @@ async function findAllDeployments(userId) {
       a.name as app_name,
       a.image as app_image,
       a.tag as app_tag,
+      a.type as app_type,
       a.web_ui_port,
       d.icon as app_icon,
       d.icon_url as app_icon_url
     FROM app_deployments d
     LEFT JOIN servers s ON d.server_id = s.id
     LEFT JOIN apps a ON d.app_id = a.id
-    WHERE a.user_id = ?
+    WHERE a.team_id IN (${MEMBER_TEAMS_SQL})
     ORDER BY d.deployed_at DESC
   `, [userId]);
 
@@ -389,12 +486,65 @@ async function findDeploymentsByServer(serverId, userId) {
       d.status
     FROM app_deployments d
     LEFT JOIN apps a ON d.app_id = a.id
-    WHERE d.server_id = ? AND a.user_id = ?
+    WHERE d.server_id = ? AND a.team_id IN (${MEMBER_TEAMS_SQL})
   `, [serverId, userId]);
 
   return rows;
 }
 
+/**
+ * Get running deployments on a server (for container stats sampling)
+ * @param {string} serverId - Server ID
+ * @returns {Promise<Array>} - { id, server_id, container_name, container_id, compose_project }
+ */
+async function findRunningDeployments(serverId) {
+  return all(`
+    SELECT id, server_id, container_name, container_id, compose_project
+    FROM app_deployments
+    WHERE status = 'running' AND server_id = ?
+  `, [serverId]);
+}
+
+/**
+ * Get running container deployments whose image can be checked for updates, with their server fields
+ * @returns {Promise<Array>}
+ */
+async function findImageUpdateTargets() {
+  return all(`
+    SELECT d.*, s.ip, s.port, s.jump_host_id, s.username, s.private_key_path, s.os_type,
+      s.name as server_name, s.display_name as server_display_name, s.status as server_status,
+      a.user_id, a.team_id, a.type as app_type
+    FROM app_deployments d
+    JOIN apps a ON d.app_id = a.id
+    JOIN servers s ON d.server_id = s.id
+    WHERE d.status = 'running' AND d.compose_project IS NULL AND a.image IS NOT NULL AND a.image != ''
+  `);
+}
+
+/**
+ * Record the outcome of an image update check
+ * @param {string} deploymentId - Deployment ID
+ * @param {Object} result
+ * @param {string|null} result.imageDigest - Registry digest of the running image
+ * @param {string|null} result.latestDigest - Registry digest of its tag
+ * @param {string|null} result.error - Why the check failed (digests are then left as they were)
+ * @returns {Promise<void>}
+ */
+async function updateDeploymentImageCheck(deploymentId, { imageDigest = null, latestDigest = null, error = null }) {
+  const checkedAt = new Date().toISOString();
+  if (error) {
+    await run(
+      'UPDATE app_deployments SET image_checked_at = ?, image_check_error = ? WHERE id = ?',
+      [checkedAt, error, deploymentId]
+    );
+  } else {
+    await run(
+      'UPDATE app_deployments SET image_digest = ?, latest_digest = ?, image_checked_at = ?, image_check_error = NULL WHERE id = ?',
+      [imageDigest, latestDigest, checkedAt, deploymentId]
+    );
+  }
+}
+
 module.exports = {
   findAll,
   findById,
@@ -402,13 +552,21 @@ module.exports = {
   create,
   update,
   remove,
+  removeByTeam,
+  getRegistryPassword,
+  findStoredRegistryPasswords,
+  setStoredRegistryPassword,
   findDeployments,
   findDeploymentById,
   findDeploymentByIdSimple,
   createDeployment,
   updateDeploymentStatus,
   updateDeploymentConfig,
+  updateDeploymentHealth,
   removeDeployment,
   findAllDeployments,
-  findDeploymentsByServer
+  findDeploymentsByServer,
+  findRunningDeployments,
+  findImageUpdateTargets,
+  updateDeploymentImageCheck
 };
@@ -0,0 +1,191 @@
+const { run, get, all } = require('../database/connection');
+
+/**
+ * Columns covered by an entry's hash, in hashing order
+ */
+const HASHED_COLUMNS = [
+  'id', 'timestamp', 'actor_id', 'actor_name', 'actor_type', 'token_id', 'ip',
+  'action', 'status_code', 'target_type', 'target_id', 'target_label', 'details', 'prev_hash'
+];
+
+/**
+ * Convert database row to camelCase object
+ * @param {Object} row - Database row
+ * @returns {Object}
+ */
+function toCamelCase(row) {
+  if (!row) return null;
+  let details = null;
+  try {
+    details = row.details ? JSON.parse(row.details) : null;
+  } catch {
+    details = { raw: row.details };
+  }
+  return {
+    seq: row.seq,
+    id: row.id,
+    timestamp: row.timestamp,
+    actorId: row.actor_id,
+    actorName: row.actor_name,
+    actorType: row.actor_type,
+    tokenId: row.token_id,
+    ip: row.ip,
+    action: row.action,
+    statusCode: row.status_code,
+    targetType: row.target_type,
+    targetId: row.target_id,
+    targetLabel: row.target_label,
+    details
+  };
+}
+
+/**
+ * Build the WHERE clause for a filtered query
+ * @param {Object} filters - { actorId, action, targetType, targetId, from, to, outcome, search }
+ * @returns {{where: string, params: Array}}
+ */
+function buildFilter(filters = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (filters.actorId) {
+    conditions.push('actor_id = ?');
+    params.push(filters.actorId);
+  }
+  if (filters.action) {
+    conditions.push('action LIKE ?');
+    params.push(`%${filters.action}%`);
+  }
+  if (filters.targetType) {
+    conditions.push('target_type = ?');
+    params.push(filters.targetType);
+  }
+  if (filters.targetId) {
+    conditions.push('target_id = ?');
+    params.push(filters.targetId);
+  }
+  if (filters.from) {
+    conditions.push('timestamp >= ?');
+    params.push(filters.from);
+  }
+  if (filters.to) {
+    conditions.push('timestamp <= ?');
+    params.push(filters.to);
+  }
+  if (filters.outcome === 'success') {
+    conditions.push('(status_code IS NULL OR status_code < 400)');
+  } else if (filters.outcome === 'failure') {
+    conditions.push('status_code >= 400');
+  }
+  if (filters.search) {
+    conditions.push('(actor_name LIKE ? OR target_label LIKE ? OR ip LIKE ? OR details LIKE ?)');
+    const pattern = `%${filters.search}%`;
+    params.push(pattern, pattern, pattern, pattern);
+  }
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params
+  };
+}
+
+/**
+ * Append an entry
+ * @param {Object} row - Row values (snake_case, including prev_hash and hash)
+ * @returns {Promise<void>}
+ */
+async function insert(row) {
+  await run(`
+    INSERT INTO audit_log
+    (id, timestamp, actor_id, actor_name, actor_type, token_id, ip, action, status_code, target_type, target_id, target_label, details, prev_hash, hash)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    row.id,
+    row.timestamp,
+    row.actor_id,
+    row.actor_name,
+    row.actor_type,
+    row.token_id,
+    row.ip,
+    row.action,
+    row.status_code,
+    row.target_type,
+    row.target_id,
+    row.target_label,
+    row.details,
+    row.prev_hash,
+    row.hash
+  ]);
+}
+
+/**
+ * Get the hash of the newest entry
+ * @returns {Promise<string|null>}
+ */
+async function getLastHash() {
+  const row = await get('SELECT hash FROM audit_log ORDER BY seq DESC LIMIT 1');
+  return row ? row.hash : null;
+}
+
+/**
+ * Find entries, newest first
+ * @param {Object} filters - See buildFilter
+ * @param {Object} options - { limit, offset }
+ * @returns {Promise<Array>}
+ */
+async function find(filters = {}, { limit = 50, offset = 0 } = {}) {
+  const { where, params } = buildFilter(filters);
+  const rows = await all(
+    `SELECT * FROM audit_log ${where} ORDER BY seq DESC LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+  return rows.map(toCamelCase);
+}
+
+/**
+ * Count entries matching filters
+ * @param {Object} filters - See buildFilter
+ * @returns {Promise<number>}
+ */
+async function count(filters = {}) {
+  const { where, params } = buildFilter(filters);
+  const row = await get(`SELECT COUNT(*) as count FROM audit_log ${where}`, params);
+  return row.count;
+}
+
+/**
+ * Get raw rows in chain order, a page at a time (for verification)
+ * @param {number} afterSeq - Return rows after this sequence number
+ * @param {number} limit - Page size
+ * @returns {Promise<Array>}
+ */
+async function findRawAfter(afterSeq, limit = 1000) {
+  return all('SELECT * FROM audit_log WHERE seq > ? ORDER BY seq ASC LIMIT ?', [afterSeq, limit]);
+}
+
+/**
+ * Delete entries older than a date
+ * @param {Date} beforeDate - Delete entries before this date
+ * @returns {Promise<{deleted: number, lastHash: string|null}>} - lastHash is the hash of the newest deleted entry
+ */
+async function deleteOlderThan(beforeDate) {
+  const last = await get(
+    'SELECT seq, hash FROM audit_log WHERE timestamp < ? ORDER BY seq DESC LIMIT 1',
+    [beforeDate.toISOString()]
+  );
+  if (!last) return { deleted: 0, lastHash: null };
+
+  // Delete by sequence so the remaining entries always continue the chain from lastHash
+  const result = await run('DELETE FROM audit_log WHERE seq <= ?', [last.seq]);
+  return { deleted: result.changes, lastHash: last.hash };
+}
+
+module.exports = {
+  HASHED_COLUMNS,
+  insert,
+  getLastHash,
+  find,
+  count,
+  findRawAfter,
+  deleteOlderThan
+};
@@ -0,0 +1,127 @@
+const { run, all } = require('../database/connection');
+
+/**
+ * Store container stats samples (one per deployment)
+ * @param {Array<Object>} samples - { deploymentId, serverId, cpuPercent, memoryUsed, memoryLimit,
+ *   networkRx, networkTx, blockRead, blockWrite, networkRxRate, networkTxRate, blockReadRate, blockWriteRate }
+ * @returns {Promise<void>}
+ */
+async function storeMany(samples) {
+  const timestamp = new Date().toISOString();
+
+  for (const sample of samples) {
+    await run(`
+      INSERT INTO deployment_stats (
+        deployment_id, server_id, timestamp, cpu_percent, memory_used, memory_limit, memory_percent,
+        network_rx, network_tx, block_read, block_write,
+        network_rx_rate, network_tx_rate, block_read_rate, block_write_rate
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      sample.deploymentId,
+      sample.serverId,
+      timestamp,
+      sample.cpuPercent ?? null,
+      sample.memoryUsed ?? null,
+      sample.memoryLimit ?? null,
+      sample.memoryUsed != null && sample.memoryLimit ? (sample.memoryUsed / sample.memoryLimit) * 100 : null,
+      sample.networkRx ?? null,
+      sample.networkTx ?? null,
+      sample.blockRead ?? null,
+      sample.blockWrite ?? null,
+      sample.networkRxRate ?? null,
+      sample.networkTxRate ?? null,
+      sample.blockReadRate ?? null,
+      sample.blockWriteRate ?? null
+    ]);
+  }
+}
+
+/**
+ * Get stats history for a deployment, averaged into buckets for longer ranges
+ * @param {string} deploymentId - Deployment ID
+ * @param {number} hours - Number of hours to look back
+ * @returns {Promise<Array>}
+ */
+async function getHistory(deploymentId, hours = 24) {
+  const since = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+
+  // Same bucket sizes as server metrics history (~100-200 points per chart)
+  let intervalMinutes;
+  if (hours <= 1) {
+    intervalMinutes = 0;
+  } else if (hours <= 6) {
+    intervalMinutes = 5;
+  } else if (hours <= 12) {
+    intervalMinutes = 10;
+  } else if (hours <= 24) {
+    intervalMinutes = 15;
+  } else if (hours <= 72) {
+    intervalMinutes = 30;
+  } else {
+    intervalMinutes = 60;
+  }
+
+  if (intervalMinutes === 0) {
+    return all(`
+      SELECT timestamp, cpu_percent, memory_used, memory_limit, memory_percent,
+        network_rx, network_tx, block_read, block_write,
+        network_rx_rate, network_tx_rate, block_read_rate, block_write_rate
+      FROM deployment_stats
+      WHERE deployment_id = ? AND timestamp > ?
+      ORDER BY timestamp ASC
+    `, [deploymentId, since]);
+  }
+
+  const intervalSeconds = intervalMinutes * 60;
+
+  return all(`
+    SELECT
+      strftime('%Y-%m-%dT%H:%M:%fZ', (CAST(strftime('%s', timestamp) AS INTEGER) / ?) * ?, 'unixepoch') as timestamp,
+      AVG(cpu_percent) as cpu_percent,
+      MAX(cpu_percent) as cpu_percent_max,
+      AVG(memory_used) as memory_used,
+      MAX(memory_limit) as memory_limit,
+      AVG(memory_percent) as memory_percent,
+      MAX(network_rx) as network_rx,
+      MAX(network_tx) as network_tx,
+      MAX(block_read) as block_read,
+      MAX(block_write) as block_write,
+      AVG(network_rx_rate) as network_rx_rate,
+      AVG(network_tx_rate) as network_tx_rate,
+      AVG(block_read_rate) as block_read_rate,
+      AVG(block_write_rate) as block_write_rate,
+      COUNT(*) as sample_count
+    FROM deployment_stats
+    WHERE deployment_id = ? AND timestamp > ?
+    GROUP BY 1
+    ORDER BY 1 ASC
+  `, [intervalSeconds, intervalSeconds, deploymentId, since]);
+}
+
+/**
+ * Delete samples older than the retention period
+ * @param {number} daysOld - Delete samples older than this many days
+ * @returns {Promise<number>} - Number of deleted rows
+ */
+async function deleteOlderThan(daysOld) {
+  const cutoff = new Date(Date.now() - daysOld * 24 * 60 * 60 * 1000).toISOString();
+  const result = await run('DELETE FROM deployment_stats WHERE timestamp < ?', [cutoff]);
+  return result.changes;
+}
+
+/**
+ * Delete all samples of deployments on a server
+ * @param {string} serverId - Server ID
+ * @returns {Promise<number>}
+ */
+async function deleteForServer(serverId) {
+  const result = await run('DELETE FROM deployment_stats WHERE server_id = ?', [serverId]);
+  return result.changes;
+}
+
+module.exports = {
+  storeMany,
+  getHistory,
+  deleteOlderThan,
+  deleteForServer
+};
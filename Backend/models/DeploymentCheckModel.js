@@ -0,0 +1,301 @@
+const { v4: uuidv4 } = require('uuid');
+const { run, get, all } = require('../database/connection');
+
+/**
+ * Parse a JSON column
+ * @private
+ */
+function parseJson(value, fallback) {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * Convert check row to camelCase object
+ * @param {Object} row - Database row
+ * @returns {Object}
+ */
+function toCamelCase(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    deploymentId: row.deployment_id,
+    name: row.name,
+    type: row.type,
+    source: row.source,
+    config: parseJson(row.config, {}),
+    intervalSeconds: row.interval_seconds,
+    timeoutSeconds: row.timeout_seconds,
+    maxResponseMs: row.max_response_ms || null,
+    enabled: Boolean(row.enabled),
+    lastResult: row.last_result || null,
+    lastResponseMs: row.last_response_ms ?? null,
+    lastError: row.last_error || null,
+    lastCheckedAt: row.last_checked_at || null,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Convert result row to camelCase object
+ * @param {Object} row - Database row
+ * @returns {Object}
+ */
+function resultToCamelCase(row) {
+  return {
+    timestamp: row.timestamp,
+    result: row.result,
+    responseMs: row.response_ms ?? null,
+    statusCode: row.status_code ?? null,
+    error: row.error || null
+  };
+}
+
+/**
+ * Get the checks of a deployment
+ * @param {string} deploymentId - Deployment ID
+ * @returns {Promise<Array>}
+ */
+async function findByDeployment(deploymentId) {
+  const rows = await all(
+    'SELECT * FROM deployment_checks WHERE deployment_id = ? ORDER BY created_at ASC',
+    [deploymentId]
+  );
+  return rows.map(toCamelCase);
+}
+
+/**
+ * Get check by ID
+ * @param {string} checkId - Check ID
+ * @returns {Promise<Object|null>}
+ */
+async function findById(checkId) {
+  const row = await get('SELECT * FROM deployment_checks WHERE id = ?', [checkId]);
+  return toCamelCase(row);
+}
+
+/**
+ * Count the checks of a deployment
+ * @param {string} deploymentId - Deployment ID
+ * @returns {Promise<number>}
+ */
+async function countByDeployment(deploymentId) {
+  const row = await get('SELECT COUNT(*) as count FROM deployment_checks WHERE deployment_id = ?', [deploymentId]);
+  return row ? row.count : 0;
+}
+
+/**
+ * Get the enabled checks of running deployments, with what is needed to run them
+ * @returns {Promise<Array>} - Checks with a `target`: { deploymentId, appId, teamId, name,
+ *   containerName, serverId, serverName, serverStatus, healthStatus, server (row for buildServerConfig) }
+ */
+async function findRunnable() {
+  const rows = await all(`
+    SELECT c.*,
+      d.app_id, d.server_id, d.container_name, d.container_id, d.nickname, d.health_status,
+      a.name as app_name, a.team_id,
+      s.name as server_name, s.display_name as server_display_name, s.status as server_status,
+      s.ip, s.port, s.jump_host_id, s.username, s.private_key_path, s.os_type
+    FROM deployment_checks c
+    JOIN app_deployments d ON d.id = c.deployment_id
+    JOIN apps a ON a.id = d.app_id
+    JOIN servers s ON s.id = d.server_id
+    WHERE c.enabled = 1 AND d.status = 'running'
+  `);
+
+  return rows.map(row => ({
+    ...toCamelCase(row),
+    target: {
+      deploymentId: row.deployment_id,
+      appId: row.app_id,
+      teamId: row.team_id,
+      name: row.nickname || row.app_name,
+      containerName: row.container_name || row.container_id,
+      serverId: row.server_id,
+      serverName: row.server_display_name || row.server_name || row.ip,
+      serverStatus: row.server_status,
+      healthStatus: row.health_status || null,
+      server: {
+        ip: row.ip,
+        port: row.port,
+        jump_host_id: row.jump_host_id,
+        username: row.username,
+        private_key_path: row.private_key_path,
+        os_type: row.os_type
+      }
+    }
+  }));
+}
+
+/**
+ * Create a check
+ * @param {Object} check - { deploymentId, name, type, source, config, intervalSeconds, timeoutSeconds, maxResponseMs, enabled }
+ * @returns {Promise<Object>}
+ */
+async function create(check) {
+  const id = uuidv4();
+
+  await run(`
+    INSERT INTO deployment_checks
+    (id, deployment_id, name, type, source, config, interval_seconds, timeout_seconds, max_response_ms, enabled, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    id,
+    check.deploymentId,
+    check.name,
+    check.type,
+    check.source,
+    JSON.stringify(check.config || {}),
+    check.intervalSeconds,
+    check.timeoutSeconds,
+    check.maxResponseMs || null,
+    check.enabled === false ? 0 : 1,
+    new Date().toISOString()
+  ]);
+
+  return findById(id);
+}
+
+/**
+ * Update a check's settings
+ * Changing what is checked clears the last result
+ * @param {string} checkId - Check ID
+ * @param {Object} check - Normalized check (see create)
+ * @returns {Promise<Object|null>}
+ */
+async function update(checkId, check) {
+  await run(`
+    UPDATE deployment_checks
+    SET name = ?, type = ?, source = ?, config = ?, interval_seconds = ?, timeout_seconds = ?, max_response_ms = ?, enabled = ?,
+      last_result = NULL, last_response_ms = NULL, last_error = NULL, last_checked_at = NULL
+    WHERE id = ?
+  `, [
+    check.name,
+    check.type,
+    check.source,
+    JSON.stringify(check.config || {}),
+    check.intervalSeconds,
+    check.timeoutSeconds,
+    check.maxResponseMs || null,
+    check.enabled === false ? 0 : 1,
+    checkId
+  ]);
+
+  return findById(checkId);
+}
+
+/**
+ * Delete a check and its results
+ * @param {string} checkId - Check ID
+ * @returns {Promise<number>}
+ */
+async function remove(checkId) {
+  await run('DELETE FROM deployment_check_results WHERE check_id = ?', [checkId]);
+  const result = await run('DELETE FROM deployment_checks WHERE id = ?', [checkId]);
+  return result.changes;
+}
+
+/**
+ * Record the result of a check run
+ * @param {Object} check - Check (with id and deploymentId)
+ * @param {Object} outcome - { result: 'up'|'slow'|'down', responseMs, statusCode, error }
+ * @returns {Promise<void>}
+ */
+async function recordResult(check, outcome) {
+  const timestamp = new Date().toISOString();
+
+  await run(`
+    INSERT INTO deployment_check_results (check_id, deployment_id, timestamp, result, response_ms, status_code, error)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `, [
+    check.id,
+    check.deploymentId,
+    timestamp,
+    outcome.result,
+    outcome.responseMs ?? null,
+    outcome.statusCode ?? null,
+    outcome.error || null
+  ]);
+
+  await run(`
+    UPDATE deployment_checks
+    SET last_result = ?, last_response_ms = ?, last_error = ?, last_checked_at = ?
+    WHERE id = ?
+  `, [outcome.result, outcome.responseMs ?? null, outcome.error || null, timestamp, check.id]);
+}
+
+/**
+ * Get the results of a check over the last N hours, oldest first
+ * @param {string} checkId - Check ID
+ * @param {number} hours - Number of hours to look back
+ * @returns {Promise<Array>}
+ */
+async function getResults(checkId, hours = 24) {
+  const since = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+  const rows = await all(`
+    SELECT timestamp, result, response_ms, status_code, error
+    FROM deployment_check_results
+    WHERE check_id = ? AND timestamp > ?
+    ORDER BY timestamp ASC
+  `, [checkId, since]);
+  return rows.map(resultToCamelCase);
+}
+
+/**
+ * Move the checks of a deployment to another one (e.g. after a migration)
+ * @param {string} fromDeploymentId - Old deployment ID
+ * @param {string} toDeploymentId - New deployment ID
+ * @returns {Promise<number>} - Number of moved checks
+ */
+async function moveToDeployment(fromDeploymentId, toDeploymentId) {
+  await run('DELETE FROM deployment_check_results WHERE deployment_id = ?', [fromDeploymentId]);
+  const result = await run(`
+    UPDATE deployment_checks
+    SET deployment_id = ?, last_result = NULL, last_response_ms = NULL, last_error = NULL, last_checked_at = NULL
+    WHERE deployment_id = ?
+  `, [toDeploymentId, fromDeploymentId]);
+  return result.changes;
+}
+
+/**
+ * Delete results older than the retention period
+ * @param {number} daysOld - Delete results older than this many days
+ * @returns {Promise<number>} - Number of deleted rows
+ */
+async function deleteResultsOlderThan(daysOld) {
+  const cutoff = new Date(Date.now() - daysOld * 24 * 60 * 60 * 1000).toISOString();
+  const result = await run('DELETE FROM deployment_check_results WHERE timestamp < ?', [cutoff]);
+  return result.changes;
+}
+
+/**
+ * Delete the checks (and results) of every deployment on a server
+ * Must run before the deployment records themselves are deleted
+ * @param {string} serverId - Server ID
+ * @returns {Promise<number>} - Number of deleted checks
+ */
+async function deleteForServer(serverId) {
+  const deployments = 'SELECT id FROM app_deployments WHERE server_id = ?';
+  await run(`DELETE FROM deployment_check_results WHERE deployment_id IN (${deployments})`, [serverId]);
+  const result = await run(`DELETE FROM deployment_checks WHERE deployment_id IN (${deployments})`, [serverId]);
+  return result.changes;
+}
+
+module.exports = {
+  findByDeployment,
+  findById,
+  countByDeployment,
+  findRunnable,
+  create,
+  update,
+  remove,
+  recordResult,
+  getResults,
+  moveToDeployment,
+  deleteResultsOlderThan,
+  deleteForServer
+};
@@ -0,0 +1,117 @@
+const { v4: uuidv4 } = require('uuid');
+const { run, get, all } = require('../database/connection');
+
+// Container settings kept in a revision (the fields of a container spec, without its name)
+const CONFIG_FIELDS = ['ports', 'envVars', 'volumes', 'restartPolicy', 'networkMode', 'customArgs', 'command'];
+
+/**
+ * Parse a JSON column
+ * @private
+ */
+function parseJson(value, fallback) {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * Convert revision row to camelCase object
+ * @param {Object} row - Database row
+ * @returns {Object}
+ */
+function toCamelCase(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    deploymentId: row.deployment_id,
+    revision: row.revision,
+    image: row.image,
+    tag: row.tag,
+    config: parseJson(row.config, {}),
+    reason: row.reason,
+    rolledBackTo: row.rolled_back_to ?? null,
+    createdBy: row.created_by || null,
+    createdByName: row.created_by_name || null,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Get the revisions of a deployment, newest first
+ * @param {string} deploymentId - Deployment ID
+ * @returns {Promise<Array>}
+ */
+async function findByDeployment(deploymentId) {
+  const rows = await all(`
+    SELECT r.*, u.name as created_by_name
+    FROM deployment_revisions r
+    LEFT JOIN users u ON u.id = r.created_by
+    WHERE r.deployment_id = ?
+    ORDER BY r.revision DESC
+  `, [deploymentId]);
+  return rows.map(toCamelCase);
+}
+
+/**
+ * Get a revision of a deployment
+ * @param {string} revisionId - Revision ID
+ * @param {string} deploymentId - Deployment ID
+ * @returns {Promise<Object|null>}
+ */
+async function findById(revisionId, deploymentId) {
+  const row = await get(
+    'SELECT * FROM deployment_revisions WHERE id = ? AND deployment_id = ?',
+    [revisionId, deploymentId]
+  );
+  return toCamelCase(row);
+}
+
+/**
+ * Record the container configuration a deployment now runs with
+ * Nothing is recorded when it matches the deployment's latest revision (e.g. a plain recreate).
+ * @param {string} deploymentId - Deployment ID
+ * @param {Object} revision
+ * @param {Object} revision.spec - Container spec the container was created from (see resolveContainerSpec)
+ * @param {string} revision.reason - deploy, recreate, update, rollback or migrate
+ * @param {number} [revision.rolledBackTo] - Revision number a rollback re-applied
+ * @param {string} [revision.userId] - User who applied it
+ * @returns {Promise<Object|null>} - The new revision, or null if unchanged
+ */
+async function create(deploymentId, { spec, reason, rolledBackTo = null, userId = null }) {
+  const config = {};
+  for (const field of CONFIG_FIELDS) {
+    config[field] = spec[field] ?? null;
+  }
+  const configJson = JSON.stringify(config);
+  // Image references always end in ":<tag>" (see imageName)
+  const tag = spec.image.slice(spec.image.lastIndexOf(':') + 1);
+
+  const latest = await get(
+    'SELECT image, config FROM deployment_revisions WHERE deployment_id = ? ORDER BY revision DESC LIMIT 1',
+    [deploymentId]
+  );
+  if (latest && latest.image === spec.image && latest.config === configJson) {
+    return null;
+  }
+
+  const id = uuidv4();
+  const createdAt = new Date().toISOString();
+  // Numbered in the insert itself, so two applies at once can't take the same number
+  await run(`
+    INSERT INTO deployment_revisions (id, deployment_id, revision, image, tag, config, reason, rolled_back_to, created_by, created_at)
+    SELECT ?, ?, COALESCE(MAX(revision), 0) + 1, ?, ?, ?, ?, ?, ?, ?
+    FROM deployment_revisions WHERE deployment_id = ?
+  `, [id, deploymentId, spec.image, tag, configJson, reason, rolledBackTo, userId, createdAt, deploymentId]);
+
+  const row = await get('SELECT * FROM deployment_revisions WHERE id = ?', [id]);
+  return toCamelCase(row);
+}
+
+module.exports = {
+  findByDeployment,
+  findById,
+  create
+};
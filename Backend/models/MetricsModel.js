@@ -1,5 +1,72 @@
 const { v4: uuidv4 } = require('uuid');
 const { run, get, all } = require('../database/connection');
+const { METRICS_CONFIG } = require('../config');
+
+/**
+ * Rollup tiers: bucket size and the tier each one is computed from
+ * Retention per tier is configured in METRICS_CONFIG.retention
+ */
+const ROLLUP_TIERS = {
+  '1m': { seconds: 60, source: 'raw' },
+  '15m': { seconds: 15 * 60, source: '1m' },
+  '1h': { seconds: 60 * 60, source: '15m' }
+};
+
+// Numeric metrics kept as average (same column name), minimum (_min) and maximum (_max)
+const ROLLUP_FIELDS = [
+  'cpu_usage', 'cpu_cores', 'cpu_load_1min', 'cpu_load_5min', 'cpu_load_15min', 'cpu_temperature',
+  'memory_used', 'memory_total', 'memory_free', 'memory_percentage', 'disk_percentage',
+  'gpu_count', 'gpu_memory_total', 'gpu_memory_used', 'gpu_memory_free', 'gpu_memory_percentage',
+  'gpu_utilization', 'gpu_temperature',
+  'network_rx_rate', 'network_tx_rate', 'network_rx_total', 'network_tx_total',
+  'ping_ms', 'swap_total', 'swap_used', 'swap_percentage', 'disk_read_rate', 'disk_write_rate'
+];
+
+// Descriptive values (and df/uptime output, which is text) carried over as-is
+const ROLLUP_TEXT_FIELDS = [
+  'cpu_model', 'disk_total', 'disk_used', 'disk_available', 'os', 'hostname', 'uptime',
+  'gpu_vendor', 'gpu_name', 'network_interface'
+];
+
+// Value columns of server_metrics_rollups (created and migrated from this list)
+const ROLLUP_COLUMNS = [
+  ...ROLLUP_FIELDS.flatMap(field => [
+    { name: field, type: 'REAL' },
+    { name: `${field}_min`, type: 'REAL' },
+    { name: `${field}_max`, type: 'REAL' }
+  ]),
+  ...ROLLUP_TEXT_FIELDS.map(field => ({ name: field, type: 'TEXT' }))
+];
+
+/**
+ * SQL expression truncating an ISO timestamp column to the start of its bucket
+ * @private
+ */
+function bucketSql(column, seconds) {
+  const size = Number(seconds);
+  return `strftime('%Y-%m-%dT%H:%M:%fZ', (CAST(strftime('%s', ${column}) AS INTEGER) / ${size}) * ${size}, 'unixepoch')`;
+}
+
+/**
+ * SQL select list aggregating samples into the rollup columns, in ROLLUP_COLUMNS order
+ * Raw samples are averaged directly; rollup rows are averaged weighted by their sample count
+ * @private
+ * @param {string} source - 'raw' or 'rollup'
+ */
+function aggregateSql(source) {
+  const raw = source === 'raw';
+  const numeric = ROLLUP_FIELDS.map(field => (raw
+    ? `AVG(${field}) as ${field}, MIN(${field}) as ${field}_min, MAX(${field}) as ${field}_max`
+    : `SUM(${field} * sample_count) / SUM(CASE WHEN ${field} IS NOT NULL THEN sample_count END) as ${field}, ` +
+      `MIN(${field}_min) as ${field}_min, MAX(${field}_max) as ${field}_max`));
+  const text = ROLLUP_TEXT_FIELDS.map(field => `MAX(${field}) as ${field}`);
+
+  return [
+    raw ? 'COUNT(*) as sample_count' : 'SUM(sample_count) as sample_count',
+    ...numeric,
+    ...text
+  ].join(',\n      ');
+}
 
 /**
  * Store server metrics
@@ -13,6 +80,7 @@ async function store(serverId, metrics) {
 
   // Prepare GPU data - serialize multi-GPU details to JSON if present
   const gpuData = metrics.gpu?.gpus ? JSON.stringify(metrics.gpu.gpus) : null;
+  const toJson = (value) => (value ? JSON.stringify(value) : null);
 
   await run(`
     INSERT INTO server_metrics (
@@ -24,8 +92,10 @@ async function store(serverId, metrics) {
       gpu_memory_percentage, gpu_utilization, gpu_temperature, gpu_data,
       cpu_temperature,
       network_interface, network_rx_rate, network_tx_rate, network_rx_total, network_tx_total,
-      ping_ms
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ping_ms,
+      swap_total, swap_used, swap_percentage, disk_read_rate, disk_write_rate,
+      filesystems_data, disk_io_data, interfaces_data, processes_data
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `, [
     id,
     serverId,
@@ -67,7 +137,18 @@ async function store(serverId, metrics) {
     metrics.network?.rx_total ?? null,
     metrics.network?.tx_total ?? null,
     // Ping latency
-    metrics.ping ?? null
+    metrics.ping ?? null,
+    // Swap and disk I/O
+    metrics.swap?.total ?? null,
+    metrics.swap?.used ?? null,
+    metrics.swap?.percentage ?? null,
+    metrics.diskIo?.read_rate ?? null,
+    metrics.diskIo?.write_rate ?? null,
+    // Per-filesystem, per-disk, per-interface and per-process details
+    toJson(metrics.filesystems),
+    toJson(metrics.diskIo?.devices),
+    toJson(metrics.interfaces),
+    toJson(metrics.processes)
   ]);
 }
 
@@ -86,97 +167,146 @@ async function getLatest(serverId) {
 }
 
 /**
- * Get metrics history for a server with intelligent downsampling
- * @param {string} serverId - Server ID
+ * Pick the data source and bucket size for a history range
+ * Goal: ~100-200 data points max for good chart performance, read from the coarsest
+ * rollup tier that is still fine enough and whose retention covers the whole range
  * @param {number} hours - Number of hours to look back
- * @returns {Promise<Array>}
+ * @returns {{resolution: string, intervalSeconds: number}} - resolution is 'raw' or a rollup tier
  */
-async function getHistory(serverId, hours = 24) {
-  const since = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
-  
-  // Determine aggregation interval based on time range
-  // Goal: ~100-200 data points max for good chart performance
-  let intervalMinutes;
+function pickResolution(hours) {
+  let intervalSeconds;
   if (hours <= 1) {
     // 1 hour: no aggregation, return all points (~120 max)
-    intervalMinutes = 0;
+    intervalSeconds = 0;
   } else if (hours <= 6) {
     // 6 hours: 5-minute intervals (~72 points)
-    intervalMinutes = 5;
+    intervalSeconds = 5 * 60;
   } else if (hours <= 12) {
     // 12 hours: 10-minute intervals (~72 points)
-    intervalMinutes = 10;
+    intervalSeconds = 10 * 60;
   } else if (hours <= 24) {
     // 24 hours: 15-minute intervals (~96 points)
-    intervalMinutes = 15;
+    intervalSeconds = 15 * 60;
   } else if (hours <= 72) {
     // 3 days: 30-minute intervals (~144 points)
-    intervalMinutes = 30;
+    intervalSeconds = 30 * 60;
+  } else if (hours <= 7 * 24) {
+    // 7 days: 1-hour intervals (~168 points)
+    intervalSeconds = 60 * 60;
+  } else if (hours <= 30 * 24) {
+    // 30 days: 6-hour intervals (~120 points)
+    intervalSeconds = 6 * 60 * 60;
   } else {
-    // 7+ days: 1-hour intervals (~168 points for 7 days)
-    intervalMinutes = 60;
+    // Longer: daily intervals (~90 points for 90 days)
+    intervalSeconds = 24 * 60 * 60;
   }
 
-  // If no aggregation needed, return raw data
-  if (intervalMinutes === 0) {
+  const covers = (resolution) => METRICS_CONFIG.retention[resolution] * 24 >= hours;
+  const tiers = ['raw', ...Object.keys(ROLLUP_TIERS)];
+  const tierSeconds = (resolution) => (resolution === 'raw' ? 0 : ROLLUP_TIERS[resolution].seconds);
+
+  // Coarsest tier that is fine enough, then coarser tiers if the fine ones were pruned already
+  const fineEnough = tiers.filter(resolution => tierSeconds(resolution) <= intervalSeconds).reverse();
+  const coarser = tiers.filter(resolution => tierSeconds(resolution) > intervalSeconds);
+  const resolution = [...fineEnough, ...coarser].find(covers) || tiers[tiers.length - 1];
+
+  return { resolution, intervalSeconds: Math.max(intervalSeconds, tierSeconds(resolution)) };
+}
+
+/**
+ * Get metrics history for a server, downsampled to suit the range
+ * Ranges up to an hour return raw samples; longer ranges return buckets read from the rollup
+ * tiers, with <field> the average and <field>_min / <field>_max the extremes of each bucket
+ * @param {string} serverId - Server ID
+ * @param {number} hours - Number of hours to look back
+ * @returns {Promise<Array>}
+ */
+async function getHistory(serverId, hours = 24) {
+  const since = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+  const { resolution, intervalSeconds } = pickResolution(hours);
+
+  // If no aggregation needed, return raw data (without the per-item JSON details, charts don't use them)
+  if (intervalSeconds === 0) {
     return all(`
-      SELECT * FROM server_metrics 
+      SELECT id, server_id, timestamp, ${[...ROLLUP_FIELDS, ...ROLLUP_TEXT_FIELDS].join(', ')}
+      FROM server_metrics 
       WHERE server_id = ? AND timestamp > ?
       ORDER BY timestamp ASC
     `, [serverId, since]);
   }
 
-  // Use SQLite's strftime to group by time intervals
-  // Group timestamp into intervals by dividing minutes
-  const intervalSeconds = intervalMinutes * 60;
-  
-  const aggregated = await all(`
-    SELECT 
-      datetime(
-        (strftime('%s', timestamp) / ?) * ?, 
-        'unixepoch'
-      ) as timestamp,
-      AVG(cpu_usage) as cpu_usage,
-      AVG(cpu_cores) as cpu_cores,
-      MAX(cpu_model) as cpu_model,
-      AVG(cpu_load_1min) as cpu_load_1min,
-      AVG(cpu_load_5min) as cpu_load_5min,
-      AVG(cpu_load_15min) as cpu_load_15min,
-      AVG(memory_used) as memory_used,
-      AVG(memory_total) as memory_total,
-      AVG(memory_free) as memory_free,
-      AVG(memory_percentage) as memory_percentage,
-      AVG(disk_total) as disk_total,
-      AVG(disk_used) as disk_used,
-      AVG(disk_available) as disk_available,
-      AVG(disk_percentage) as disk_percentage,
-      MAX(os) as os,
-      MAX(hostname) as hostname,
-      AVG(uptime) as uptime,
-      MAX(gpu_vendor) as gpu_vendor,
-      AVG(gpu_count) as gpu_count,
-      MAX(gpu_name) as gpu_name,
-      AVG(gpu_memory_total) as gpu_memory_total,
-      AVG(gpu_memory_used) as gpu_memory_used,
-      AVG(gpu_memory_free) as gpu_memory_free,
-      AVG(gpu_memory_percentage) as gpu_memory_percentage,
-      AVG(gpu_utilization) as gpu_utilization,
-      AVG(gpu_temperature) as gpu_temperature,
-      AVG(cpu_temperature) as cpu_temperature,
-      MAX(network_interface) as network_interface,
-      AVG(network_rx_rate) as network_rx_rate,
-      AVG(network_tx_rate) as network_tx_rate,
-      AVG(network_rx_total) as network_rx_total,
-      AVG(network_tx_total) as network_tx_total,
-      AVG(ping_ms) as ping_ms,
-      COUNT(*) as sample_count
-    FROM server_metrics 
-    WHERE server_id = ? AND timestamp > ?
-    GROUP BY (strftime('%s', timestamp) / ?)
-    ORDER BY timestamp ASC
-  `, [intervalSeconds, intervalSeconds, serverId, since, intervalSeconds]);
-
-  return aggregated;
+  if (resolution === 'raw') {
+    return all(`
+      SELECT ${bucketSql('timestamp', intervalSeconds)} as timestamp,
+        ${aggregateSql('raw')}
+      FROM server_metrics 
+      WHERE server_id = ? AND timestamp > ?
+      GROUP BY 1
+      ORDER BY 1 ASC
+    `, [serverId, since]);
+  }
+
+  return all(`
+    SELECT ${bucketSql('bucket', intervalSeconds)} as timestamp,
+      ${aggregateSql('rollup')}
+    FROM server_metrics_rollups 
+    WHERE server_id = ? AND resolution = ? AND bucket > ?
+    GROUP BY 1
+    ORDER BY 1 ASC
+  `, [serverId, resolution, since]);
+}
+
+/**
+ * Roll samples up into one rollup tier (raw -> 1m -> 15m -> 1h)
+ * Starts from the newest bucket already in the tier, so the bucket still filling up is
+ * recomputed on every run and a first run backfills everything its source still holds
+ * @param {string} resolution - Rollup tier ('1m', '15m' or '1h')
+ * @returns {Promise<number>} - Number of buckets written
+ */
+async function rollup(resolution) {
+  const { seconds, source } = ROLLUP_TIERS[resolution];
+  const latest = await get(
+    'SELECT MAX(bucket) as bucket FROM server_metrics_rollups WHERE resolution = ?',
+    [resolution]
+  );
+  const since = latest?.bucket || '';
+  const columns = ['server_id', 'resolution', 'bucket', 'sample_count', ...ROLLUP_COLUMNS.map(column => column.name)];
+
+  const select = source === 'raw'
+    ? `
+      SELECT server_id, ?, ${bucketSql('timestamp', seconds)} as period, ${aggregateSql('raw')}
+      FROM server_metrics
+      WHERE timestamp >= ?
+      GROUP BY server_id, period
+    `
+    : `
+      SELECT server_id, ?, ${bucketSql('bucket', seconds)} as period, ${aggregateSql('rollup')}
+      FROM server_metrics_rollups
+      WHERE resolution = ? AND bucket >= ?
+      GROUP BY server_id, period
+    `;
+  const params = source === 'raw' ? [resolution, since] : [resolution, source, since];
+
+  const result = await run(
+    `INSERT OR REPLACE INTO server_metrics_rollups (${columns.join(', ')}) ${select}`,
+    params
+  );
+  return result.changes;
+}
+
+/**
+ * Delete rollups of one tier past its retention period
+ * @param {string} resolution - Rollup tier ('1m', '15m' or '1h')
+ * @param {number} daysOld - Delete buckets older than this many days
+ * @returns {Promise<number>} - Number of deleted rows
+ */
+async function deleteRollupsOlderThan(resolution, daysOld) {
+  const cutoff = new Date(Date.now() - daysOld * 24 * 60 * 60 * 1000).toISOString();
+  const result = await run(
+    'DELETE FROM server_metrics_rollups WHERE resolution = ? AND bucket < ?',
+    [resolution, cutoff]
+  );
+  return result.changes;
 }
 
 /**
@@ -191,15 +321,29 @@ async function deleteOlderThan(daysOld) {
 }
 
 /**
- * Delete all metrics for a server
+ * Delete all metrics for a server, including its rollups
  * @param {string} serverId - Server ID
  * @returns {Promise<number>}
  */
 async function deleteForServer(serverId) {
   const result = await run('DELETE FROM server_metrics WHERE server_id = ?', [serverId]);
+  await run('DELETE FROM server_metrics_rollups WHERE server_id = ?', [serverId]);
   return result.changes;
 }
 
+/**
+ * Parse a JSON details column, ignoring malformed values
+ * @private
+ */
+function parseJson(value) {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return null;
+  }
+}
+
 /**
  * Convert database row to frontend format
  * @param {Object} row - Database row
@@ -277,6 +421,40 @@ function toApiFormat(row) {
     result.ping = row.ping_ms;
   }
 
+  // Include swap and disk I/O if present
+  if (row.swap_total != null) {
+    result.swap = {
+      total: row.swap_total,
+      used: row.swap_used,
+      free: row.swap_total - (row.swap_used || 0),
+      percentage: row.swap_percentage
+    };
+  }
+
+  if (row.disk_read_rate != null || row.disk_write_rate != null) {
+    result.diskIo = {
+      read_rate: row.disk_read_rate,
+      write_rate: row.disk_write_rate,
+      devices: parseJson(row.disk_io_data) || []
+    };
+  }
+
+  // Include per-filesystem, per-interface and process details if present
+  const filesystems = parseJson(row.filesystems_data);
+  if (filesystems) {
+    result.filesystems = filesystems;
+  }
+
+  const interfaces = parseJson(row.interfaces_data);
+  if (interfaces) {
+    result.interfaces = interfaces;
+  }
+
+  const processes = parseJson(row.processes_data);
+  if (processes) {
+    result.processes = processes;
+  }
+
   return result;
 }
 
@@ -287,32 +465,33 @@ function toApiFormat(row) {
  */
 async function getAverages(serverId) {
   const now = Date.now();
-  const periods = {
-    '6h': new Date(now - 6 * 60 * 60 * 1000).toISOString(),
-    '12h': new Date(now - 12 * 60 * 60 * 1000).toISOString(),
-    '24h': new Date(now - 24 * 60 * 60 * 1000).toISOString(),
-    '7d': new Date(now - 7 * 24 * 60 * 60 * 1000).toISOString()
-  };
+  const periods = { '6h': 6, '12h': 12, '24h': 24, '7d': 7 * 24 };
+  const fields = [
+    'cpu_usage', 'cpu_temperature', 'memory_percentage', 'disk_percentage', 'gpu_utilization',
+    'gpu_memory_percentage', 'gpu_temperature', 'network_rx_rate', 'network_tx_rate', 'ping_ms',
+    'swap_percentage', 'disk_read_rate', 'disk_write_rate'
+  ];
 
   const results = {};
 
-  for (const [period, since] of Object.entries(periods)) {
-    const row = await get(`
-      SELECT 
-        AVG(cpu_usage) as cpu_usage,
-        AVG(cpu_temperature) as cpu_temperature,
-        AVG(memory_percentage) as memory_percentage,
-        AVG(disk_percentage) as disk_percentage,
-        AVG(gpu_utilization) as gpu_utilization,
-        AVG(gpu_memory_percentage) as gpu_memory_percentage,
-        AVG(gpu_temperature) as gpu_temperature,
-        AVG(network_rx_rate) as network_rx_rate,
-        AVG(network_tx_rate) as network_tx_rate,
-        AVG(ping_ms) as ping_ms,
-        COUNT(*) as data_points
-      FROM server_metrics 
-      WHERE server_id = ? AND timestamp > ?
-    `, [serverId, since]);
+  for (const [period, hours] of Object.entries(periods)) {
+    const since = new Date(now - hours * 60 * 60 * 1000).toISOString();
+    // Read from the same tier a history chart of this range uses
+    const { resolution } = pickResolution(hours);
+
+    const row = resolution === 'raw'
+      ? await get(`
+        SELECT ${fields.map(field => `AVG(${field}) as ${field}`).join(', ')},
+          COUNT(*) as data_points
+        FROM server_metrics 
+        WHERE server_id = ? AND timestamp > ?
+      `, [serverId, since])
+      : await get(`
+        SELECT ${fields.map(field => `SUM(${field} * sample_count) / SUM(CASE WHEN ${field} IS NOT NULL THEN sample_count END) as ${field}`).join(', ')},
+          SUM(sample_count) as data_points
+        FROM server_metrics_rollups 
+        WHERE server_id = ? AND resolution = ? AND bucket > ?
+      `, [serverId, resolution, since]);
 
     results[period] = {
       cpu_usage: row?.cpu_usage != null ? Math.round(row.cpu_usage * 10) / 10 : null,
@@ -337,7 +516,12 @@ module.exports = {
   getLatest,
   getHistory,
   getAverages,
+  rollup,
   deleteOlderThan,
+  deleteRollupsOlderThan,
   deleteForServer,
-  toApiFormat
+  toApiFormat,
+  pickResolution,
+  ROLLUP_TIERS,
+  ROLLUP_COLUMNS
 };
@@ -0,0 +1,322 @@
+const { v4: uuidv4 } = require('uuid');
+const { run, get, all } = require('../database/connection');
+const { MEMBER_TEAMS_SQL } = require('./TeamModel');
+const secretsService = require('../services/secrets/secretsService');
+
+/**
+ * Parse a JSON column
+ * @private
+ */
+function parseJson(value, fallback) {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * Convert channel row to camelCase object
+ * Secret settings are left out; use getChannelSecrets() to read them
+ * @param {Object} row - Database row
+ * @returns {Object}
+ */
+function channelToCamelCase(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    teamId: row.team_id,
+    ...(row.team_name ? { teamName: row.team_name } : {}),
+    createdBy: row.created_by,
+    name: row.name,
+    type: row.type,
+    config: parseJson(row.config, {}),
+    secretFields: Object.keys(parseJson(secretsService.decrypt(row.secrets), {})),
+    events: parseJson(row.events, []),
+    enabled: Boolean(row.enabled),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Convert delivery row to camelCase object
+ * @param {Object} row - Database row
+ * @returns {Object}
+ */
+function deliveryToCamelCase(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    channelId: row.channel_id,
+    ...(row.channel_name ? { channelName: row.channel_name } : {}),
+    teamId: row.team_id,
+    event: row.event,
+    title: row.title,
+    status: row.status,
+    attempts: row.attempts,
+    response: row.response,
+    error: row.error,
+    durationMs: row.duration_ms,
+    createdAt: row.created_at
+  };
+}
+
+// ==================== Channel Functions ====================
+
+/**
+ * Create a notification channel
+ * @param {Object} channel - { teamId, createdBy, name, type, config, secrets, events, enabled }
+ * @returns {Promise<Object>}
+ */
+async function createChannel(channel) {
+  const id = uuidv4();
+  const now = new Date().toISOString();
+
+  await run(`
+    INSERT INTO notification_channels
+    (id, team_id, created_by, name, type, config, secrets, events, enabled, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    id,
+    channel.teamId,
+    channel.createdBy || null,
+    channel.name,
+    channel.type,
+    JSON.stringify(channel.config || {}),
+    secretsService.encrypt(JSON.stringify(channel.secrets || {})),
+    JSON.stringify(channel.events || []),
+    channel.enabled === false ? 0 : 1,
+    now,
+    now
+  ]);
+
+  return findChannelById(id);
+}
+
+/**
+ * Get channel by ID
+ * @param {string} channelId - Channel ID
+ * @returns {Promise<Object|null>}
+ */
+async function findChannelById(channelId) {
+  const row = await get('SELECT * FROM notification_channels WHERE id = ?', [channelId]);
+  return channelToCamelCase(row);
+}
+
+/**
+ * Get the channels of every team the user belongs to
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>}
+ */
+async function findChannelsByUser(userId) {
+  const rows = await all(
+    `SELECT c.*, t.name as team_name FROM notification_channels c
+     LEFT JOIN teams t ON t.id = c.team_id
+     WHERE c.team_id IN (${MEMBER_TEAMS_SQL})
+     ORDER BY c.created_at DESC`,
+    [userId]
+  );
+  return rows.map(channelToCamelCase);
+}
+
+/**
+ * Get the enabled channels subscribed to an event
+ * @param {string} event - Event name
+ * @param {string|null} teamId - Team the event belongs to (null = system-wide event, any team)
+ * @returns {Promise<Array>}
+ */
+async function findSubscribedChannels(event, teamId) {
+  const rows = teamId
+    ? await all('SELECT * FROM notification_channels WHERE enabled = 1 AND team_id = ?', [teamId])
+    : await all('SELECT * FROM notification_channels WHERE enabled = 1');
+  return rows.map(channelToCamelCase).filter(channel => channel.events.includes(event));
+}
+
+/**
+ * Get a channel's decrypted secret settings
+ * @param {string} channelId - Channel ID
+ * @returns {Promise<Object>}
+ */
+async function getChannelSecrets(channelId) {
+  const row = await get('SELECT secrets FROM notification_channels WHERE id = ?', [channelId]);
+  return parseJson(row ? secretsService.decrypt(row.secrets) : null, {});
+}
+
+/**
+ * Update a channel
+ * @param {string} channelId - Channel ID
+ * @param {Object} channel - Complete channel fields (as for createChannel, without teamId/createdBy)
+ * @returns {Promise<Object>}
+ */
+async function updateChannel(channelId, channel) {
+  await run(`
+    UPDATE notification_channels
+    SET name = ?, type = ?, config = ?, secrets = ?, events = ?, enabled = ?, updated_at = ?
+    WHERE id = ?
+  `, [
+    channel.name,
+    channel.type,
+    JSON.stringify(channel.config || {}),
+    secretsService.encrypt(JSON.stringify(channel.secrets || {})),
+    JSON.stringify(channel.events || []),
+    channel.enabled === false ? 0 : 1,
+    new Date().toISOString(),
+    channelId
+  ]);
+
+  return findChannelById(channelId);
+}
+
+/**
+ * Delete a channel and its delivery log
+ * @param {string} channelId - Channel ID
+ * @returns {Promise<number>}
+ */
+async function removeChannel(channelId) {
+  await run('DELETE FROM notification_deliveries WHERE channel_id = ?', [channelId]);
+  const result = await run('DELETE FROM notification_channels WHERE id = ?', [channelId]);
+  return result.changes;
+}
+
+/**
+ * Delete a team's channels and delivery log
+ * @param {string} teamId - Team ID
+ * @returns {Promise<void>}
+ */
+async function removeByTeam(teamId) {
+  await run('DELETE FROM notification_deliveries WHERE team_id = ?', [teamId]);
+  await run('DELETE FROM notification_channels WHERE team_id = ?', [teamId]);
+}
+
+/**
+ * Get all stored channel secrets (as stored, for re-encryption)
+ * @returns {Promise<Array<{id: string, secrets: string}>>}
+ */
+async function findStoredSecrets() {
+  return all('SELECT id, secrets FROM notification_channels WHERE secrets IS NOT NULL');
+}
+
+/**
+ * Replace a channel's stored secrets with an already encrypted value
+ * @param {string} channelId - Channel ID
+ * @param {string} secrets - Encrypted secrets
+ * @returns {Promise<void>}
+ */
+async function setStoredSecrets(channelId, secrets) {
+  await run('UPDATE notification_channels SET secrets = ? WHERE id = ?', [secrets, channelId]);
+}
+
+// ==================== Delivery Functions ====================
+
+/**
+ * Record a delivery attempt
+ * @param {Object} delivery - { channelId, teamId, event, title, status, attempts, response, error, durationMs }
+ * @returns {Promise<Object>}
+ */
+async function createDelivery(delivery) {
+  const id = uuidv4();
+
+  await run(`
+    INSERT INTO notification_deliveries
+    (id, channel_id, team_id, event, title, status, attempts, response, error, duration_ms, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    id,
+    delivery.channelId,
+    delivery.teamId,
+    delivery.event,
+    delivery.title || null,
+    delivery.status,
+    delivery.attempts || 0,
+    delivery.response || null,
+    delivery.error || null,
+    delivery.durationMs ?? null,
+    new Date().toISOString()
+  ]);
+
+  return deliveryToCamelCase(await get('SELECT * FROM notification_deliveries WHERE id = ?', [id]));
+}
+
+/**
+ * Build the WHERE clause for delivery log queries
+ * @private
+ */
+function buildDeliveryFilter(userId, filters) {
+  const conditions = [`d.team_id IN (${MEMBER_TEAMS_SQL})`];
+  const params = [userId];
+
+  if (filters.channelId) {
+    conditions.push('d.channel_id = ?');
+    params.push(filters.channelId);
+  }
+  if (filters.status) {
+    conditions.push('d.status = ?');
+    params.push(filters.status);
+  }
+  if (filters.event) {
+    conditions.push('d.event = ?');
+    params.push(filters.event);
+  }
+
+  return { where: `WHERE ${conditions.join(' AND ')}`, params };
+}
+
+/**
+ * Get deliveries in the user's teams, newest first
+ * @param {string} userId - User ID
+ * @param {Object} filters - { channelId, status, event }
+ * @param {Object} options - { limit, offset }
+ * @returns {Promise<Array>}
+ */
+async function findDeliveries(userId, filters = {}, { limit = 50, offset = 0 } = {}) {
+  const { where, params } = buildDeliveryFilter(userId, filters);
+  const rows = await all(
+    `SELECT d.*, c.name as channel_name FROM notification_deliveries d
+     LEFT JOIN notification_channels c ON c.id = d.channel_id
+     ${where} ORDER BY d.created_at DESC LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+  return rows.map(deliveryToCamelCase);
+}
+
+/**
+ * Count deliveries in the user's teams
+ * @param {string} userId - User ID
+ * @param {Object} filters - { channelId, status, event }
+ * @returns {Promise<number>}
+ */
+async function countDeliveries(userId, filters = {}) {
+  const { where, params } = buildDeliveryFilter(userId, filters);
+  const row = await get(`SELECT COUNT(*) as count FROM notification_deliveries d ${where}`, params);
+  return row.count;
+}
+
+/**
+ * Delete deliveries older than a number of days
+ * @param {number} daysOld - Age in days
+ * @returns {Promise<number>}
+ */
+async function deleteDeliveriesOlderThan(daysOld) {
+  const cutoff = new Date(Date.now() - daysOld * 24 * 60 * 60 * 1000).toISOString();
+  const result = await run('DELETE FROM notification_deliveries WHERE created_at < ?', [cutoff]);
+  return result.changes;
+}
+
+module.exports = {
+  createChannel,
+  findChannelById,
+  findChannelsByUser,
+  findSubscribedChannels,
+  getChannelSecrets,
+  updateChannel,
+  removeChannel,
+  removeByTeam,
+  findStoredSecrets,
+  setStoredSecrets,
+  createDelivery,
+  findDeliveries,
+  countDeliveries,
+  deleteDeliveriesOlderThan
+};
@@ -25,10 +25,15 @@ function toCamelCase(row) {
   return {
     id: row.id,
     userId: row.user_id,
+    teamId: row.team_id || null,
+    // Caller's team role, only present on membership queries
+    ...(row.role ? { role: row.role } : {}),
     name: row.name,
     region: row.region,
     ip: row.ip,
     username: row.username,
+    port: row.port || 22,
+    jumpHostId: row.jump_host_id || null,
     osType: row.os_type || 'ubuntu-debian',
     // Resolve key path at runtime so it works across machines
     privateKeyPath: resolveKeyPath(row.private_key_path),
@@ -39,6 +44,9 @@ function toCamelCase(row) {
     addedAt: row.added_at,
     lastChecked: row.last_checked,
     firstConnectedAt: row.first_connected_at,
+    keyRotationDays: row.key_rotation_days || null,
+    keyRotatedAt: row.key_rotated_at || null,
+    metricsInterval: row.metrics_interval || null,
     // Customization fields
     displayName: row.display_name,
     color: row.color,
@@ -49,13 +57,15 @@ function toCamelCase(row) {
 }
 
 /**
- * Get all servers for a user
+ * Get all servers in the user's teams (with the user's role), or every server if no user
  * @param {string} userId - User ID (optional)
  * @returns {Promise<Array>}
  */
 async function findAll(userId = null) {
   const query = userId
-    ? 'SELECT * FROM servers WHERE user_id = ? ORDER BY added_at DESC'
+    ? `SELECT s.*, tm.role FROM servers s
+       JOIN team_members tm ON tm.team_id = s.team_id AND tm.user_id = ?
+       ORDER BY s.added_at DESC`
     : 'SELECT * FROM servers ORDER BY added_at DESC';
   const params = userId ? [userId] : [];
 
@@ -94,6 +104,27 @@ async function findByUserAndIp(userId, ip) {
   return toCamelCase(row);
 }
 
+/**
+ * Find server by team ID and IP address
+ * @param {string} teamId - Team ID
+ * @param {string} ip - Server IP address
+ * @returns {Promise<Object|null>}
+ */
+async function findByTeamAndIp(teamId, ip) {
+  const row = await get('SELECT * FROM servers WHERE team_id = ? AND ip = ?', [teamId, ip]);
+  return toCamelCase(row);
+}
+
+/**
+ * Get all servers belonging to a team
+ * @param {string} teamId - Team ID
+ * @returns {Promise<Array>}
+ */
+async function findByTeam(teamId) {
+  const rows = await all('SELECT * FROM servers WHERE team_id = ?', [teamId]);
+  return rows.map(toCamelCase);
+}
+
 /**
  * Create a new server
  * @param {Object} server - Server data
@@ -105,14 +136,17 @@ async function create(server) {
 
   await run(`
     INSERT INTO servers 
-    (id, user_id, name, region, ip, username, os_type, private_key_path, public_key, setup_command, status, error, added_at, last_checked, display_name, color, icon, tags)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    (id, user_id, team_id, name, region, ip, port, jump_host_id, username, os_type, private_key_path, public_key, setup_command, status, error, added_at, last_checked, display_name, color, icon, tags)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `, [
     id,
     server.userId || null,
+    server.teamId || null,
     server.name || null,
     server.region || null,
     server.ip,
+    server.port || 22,
+    server.jumpHostId || null,
     server.username,
     server.osType || 'ubuntu-debian',
     server.privateKeyPath,
@@ -150,15 +184,19 @@ async function update(serverId, updates) {
 
   await run(`
     INSERT OR REPLACE INTO servers 
-    (id, user_id, name, region, ip, username, private_key_path, public_key, setup_command, status, error, added_at, last_checked, display_name, color, icon, icon_url, tags)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    (id, user_id, team_id, name, region, ip, port, jump_host_id, username, os_type, private_key_path, public_key, setup_command, status, error, added_at, last_checked, first_connected_at, display_name, color, icon, icon_url, tags, key_rotation_days, key_rotated_at, metrics_interval)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `, [
     updatedServer.id,
     updatedServer.userId || null,
+    updatedServer.teamId || null,
     updatedServer.name || null,
     updatedServer.region || null,
     updatedServer.ip,
+    updatedServer.port || 22,
+    updatedServer.jumpHostId || null,
     updatedServer.username,
+    updatedServer.osType || 'ubuntu-debian',
     updatedServer.privateKeyPath,
     updatedServer.publicKey,
     updatedServer.setupCommand,
@@ -166,20 +204,55 @@ async function update(serverId, updates) {
     updatedServer.error || null,
     updatedServer.addedAt,
     updatedServer.lastChecked || null,
+    updatedServer.firstConnectedAt || null,
     updatedServer.displayName || null,
     updatedServer.color || null,
     updatedServer.icon || null,
     updatedServer.iconUrl || null,
-    tagsValue
+    tagsValue,
+    updatedServer.keyRotationDays || null,
+    updatedServer.keyRotatedAt || null,
+    updatedServer.metricsInterval || null
   ]);
 }
 
+/**
+ * Point a server at a new SSH key pair after rotation
+ * @param {string} serverId - Server ID
+ * @param {Object} keyInfo - { privateKeyPath, publicKey, setupCommand }
+ * @returns {Promise<string>} - Rotation timestamp
+ */
+async function updateKey(serverId, { privateKeyPath, publicKey, setupCommand }) {
+  const rotatedAt = new Date().toISOString();
+  await run(
+    'UPDATE servers SET private_key_path = ?, public_key = ?, setup_command = ?, key_rotated_at = ? WHERE id = ?',
+    [privateKeyPath, publicKey, setupCommand, rotatedAt, serverId]
+  );
+  return rotatedAt;
+}
+
+/**
+ * Get online servers whose scheduled key rotation is due
+ * The interval counts from the last rotation, or from when the server first connected
+ * @returns {Promise<Array>}
+ */
+async function findDueForKeyRotation() {
+  const rows = await all(`
+    SELECT * FROM servers
+    WHERE status = 'online' AND key_rotation_days > 0
+      AND julianday(COALESCE(key_rotated_at, first_connected_at, added_at)) + key_rotation_days <= julianday('now')
+  `);
+  return rows.map(toCamelCase);
+}
+
 /**
  * Delete a server
+ * Servers that used it as their jump host fall back to a direct connection
  * @param {string} serverId - Server ID
  * @returns {Promise<number>} - Number of deleted rows
  */
 async function remove(serverId) {
+  await run('UPDATE servers SET jump_host_id = NULL WHERE jump_host_id = ?', [serverId]);
   const result = await run('DELETE FROM servers WHERE id = ?', [serverId]);
   return result.changes;
 }
@@ -223,12 +296,17 @@ async function updateStatus(serverId, status, error = null) {
 }
 
 module.exports = {
+  resolveKeyPath,
   findAll,
   findById,
   findByStatus,
   findByUserAndIp,
+  findByTeamAndIp,
+  findByTeam,
   create,
   update,
+  updateKey,
+  findDueForKeyRotation,
   remove,
   updateStatus
 };
@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const { run, get, all } = require('../database/connection');
+
+/**
+ * Public identifier of a session
+ * The session ID itself authenticates the cookie, so it is never sent to clients
+ * @param {string} sid - Session ID
+ * @returns {string}
+ */
+function publicId(sid) {
+  return crypto.createHash('sha256').update(sid).digest('hex').slice(0, 24);
+}
+
+/**
+ * Convert database row to the shape shown in the active sessions list
+ * @param {Object} row - Database row
+ * @returns {Object|null}
+ */
+function toSessionInfo(row) {
+  if (!row) return null;
+  const data = JSON.parse(row.data);
+  const client = data.client || {};
+  return {
+    id: publicId(row.sid),
+    ip: client.ip || null,
+    userAgent: client.userAgent || null,
+    createdAt: client.createdAt || null,
+    lastSeenAt: row.last_seen_at,
+    expiresAt: new Date(row.expires_at).toISOString()
+  };
+}
+
+/**
+ * Get a session's data if it has not expired
+ * @param {string} sid - Session ID
+ * @returns {Promise<Object|null>} - Parsed session data
+ */
+async function findBySid(sid) {
+  const row = await get('SELECT data FROM sessions WHERE sid = ? AND expires_at > ?', [sid, Date.now()]);
+  return row ? JSON.parse(row.data) : null;
+}
+
+/**
+ * Create or replace a session
+ * @param {string} sid - Session ID
+ * @param {Object} data - Session data (express-session object)
+ * @param {number} expiresAt - Expiry timestamp in milliseconds
+ * @returns {Promise<void>}
+ */
+async function save(sid, data, expiresAt) {
+  const now = new Date().toISOString();
+  await run(
+    `INSERT INTO sessions (sid, user_id, data, expires_at, last_seen_at)
+     VALUES (?, ?, ?, ?, ?)
+     ON CONFLICT(sid) DO UPDATE SET user_id = excluded.user_id, data = excluded.data,
+       expires_at = excluded.expires_at, last_seen_at = excluded.last_seen_at`,
+    [sid, data.userId || null, JSON.stringify(data), expiresAt, now]
+  );
+}
+
+/**
+ * Extend a session and record activity
+ * Skipped when the session was touched less than minInterval ago, to avoid a write per request
+ * @param {string} sid - Session ID
+ * @param {number} expiresAt - New expiry timestamp in milliseconds
+ * @param {number} minInterval - Minimum time between writes in milliseconds
+ * @returns {Promise<void>}
+ */
+async function touch(sid, expiresAt, minInterval) {
+  const now = new Date();
+  await run(
+    'UPDATE sessions SET expires_at = ?, last_seen_at = ? WHERE sid = ? AND last_seen_at < ?',
+    [expiresAt, now.toISOString(), sid, new Date(now.getTime() - minInterval).toISOString()]
+  );
+}
+
+/**
+ * Delete a session
+ * @param {string} sid - Session ID
+ * @returns {Promise<void>}
+ */
+async function remove(sid) {
+  await run('DELETE FROM sessions WHERE sid = ?', [sid]);
+}
+
+/**
+ * Get all unexpired sessions
+ * @returns {Promise<Object>} - Session data keyed by session ID
+ */
+async function findAll() {
+  const rows = await all('SELECT sid, data FROM sessions WHERE expires_at > ?', [Date.now()]);
+  const sessions = {};
+  for (const row of rows) {
+    sessions[row.sid] = JSON.parse(row.data);
+  }
+  return sessions;
+}
+
+/**
+ * Count unexpired sessions
+ * @returns {Promise<number>}
+ */
+async function count() {
+  const row = await get('SELECT COUNT(*) as count FROM sessions WHERE expires_at > ?', [Date.now()]);
+  return row ? row.count : 0;
+}
+
+/**
+ * Delete every session
+ * @returns {Promise<void>}
+ */
+async function clear() {
+  await run('DELETE FROM sessions');
+}
+
+/**
+ * Delete expired sessions
+ * @returns {Promise<number>} - Number of deleted rows
+ */
+async function removeExpired() {
+  const result = await run('DELETE FROM sessions WHERE expires_at <= ?', [Date.now()]);
+  return result.changes;
+}
+
+// ==================== Per-User Functions ====================
+
+/**
+ * List a user's active sessions (most recently used first)
+ * @param {string} userId - User ID
+ * @param {string} currentSid - Session ID of the request, flagged as current
+ * @returns {Promise<Array>}
+ */
+async function findByUser(userId, currentSid) {
+  const rows = await all(
+    'SELECT * FROM sessions WHERE user_id = ? AND expires_at > ? ORDER BY last_seen_at DESC',
+    [userId, Date.now()]
+  );
+  return rows.map(row => ({ ...toSessionInfo(row), current: row.sid === currentSid }));
+}
+
+/**
+ * Delete one of a user's sessions by its public ID
+ * @param {string} userId - User ID
+ * @param {string} id - Public session ID (see publicId)
+ * @returns {Promise<string|null>} - The deleted session's ID, or null if not found
+ */
+async function removeByPublicId(userId, id) {
+  const rows = await all('SELECT sid FROM sessions WHERE user_id = ?', [userId]);
+  const match = rows.find(row => publicId(row.sid) === id);
+  if (!match) return null;
+
+  await remove(match.sid);
+  return match.sid;
+}
+
+/**
+ * Delete all sessions of a user
+ * @param {string} userId - User ID
+ * @param {string|null} exceptSid - Session ID to keep (e.g. the current one)
+ * @returns {Promise<number>} - Number of deleted sessions
+ */
+async function removeByUser(userId, exceptSid = null) {
+  const result = await run(
+    'DELETE FROM sessions WHERE user_id = ? AND sid != ?',
+    [userId, exceptSid || '']
+  );
+  return result.changes;
+}
+
+module.exports = {
+  publicId,
+  findBySid,
+  save,
+  touch,
+  remove,
+  findAll,
+  count,
+  clear,
+  removeExpired,
+  findByUser,
+  removeByPublicId,
+  removeByUser
+};
@@ -1,8 +1,9 @@
 const { v4: uuidv4 } = require('uuid');
 const { run, get, all } = require('../database/connection');
+const { MEMBER_TEAMS_SQL } = require('./TeamModel');
 
 /**
- * Get all snapshots for a user
+ * Get all snapshots in the user's teams
  * @param {string} userId - User ID
  * @returns {Promise<Array>}
  */
@@ -13,12 +14,21 @@ async function findAll(userId) {
      LEFT JOIN app_deployments ad ON ds.deployment_id = ad.id
      LEFT JOIN apps a ON ad.app_id = a.id
      LEFT JOIN servers s ON ds.server_id = s.id
-     WHERE ds.user_id = ?
+     WHERE ds.team_id IN (${MEMBER_TEAMS_SQL})
      ORDER BY ds.created_at DESC`,
     [userId]
   );
 }
 
+/**
+ * Get all snapshots belonging to a team
+ * @param {string} teamId - Team ID
+ * @returns {Promise<Array>}
+ */
+async function findByTeam(teamId) {
+  return all('SELECT * FROM deployment_snapshots WHERE team_id = ?', [teamId]);
+}
+
 /**
  * Get snapshots for a specific deployment
  * @param {string} deploymentId - Deployment ID
@@ -38,7 +48,7 @@ async function findByDeployment(deploymentId) {
 /**
  * Get snapshot by ID
  * @param {string} snapshotId - Snapshot ID
- * @param {string} userId - User ID (for ownership verification)
+ * @param {string} userId - User ID (only returns snapshots in the user's teams)
  * @returns {Promise<Object|null>}
  */
 async function findById(snapshotId, userId = null) {
@@ -49,7 +59,7 @@ async function findById(snapshotId, userId = null) {
        LEFT JOIN app_deployments ad ON ds.deployment_id = ad.id
        LEFT JOIN apps a ON ad.app_id = a.id
        LEFT JOIN servers s ON ds.server_id = s.id
-       WHERE ds.id = ? AND ds.user_id = ?`,
+       WHERE ds.id = ? AND ds.team_id IN (${MEMBER_TEAMS_SQL})`,
       [snapshotId, userId]
     );
   }
@@ -70,6 +80,7 @@ async function findById(snapshotId, userId = null) {
  * @param {string} params.deploymentId - Deployment ID
  * @param {string} params.serverId - Server ID
  * @param {string} params.userId - User ID
+ * @param {string} params.teamId - Owning team
  * @param {Array<string>} params.volumePaths - Array of volume paths to backup
  * @param {string} params.notes - Optional notes
 @@ * @param {Object} params.appConfig - Full app configuration snapshot
@@ -78,16 +89,16 @@ async function findById(snapshotId, userId = null) {
 @@ * @param {string} params.appName - App name
  * @returns {Promise<Object>}
  */
-async function create({ deploymentId, serverId, userId, volumePaths = [], notes = null, appConfig = null, deploymentConfig = null, appId = null, appName = null }) {
+async function create({ deploymentId, serverId, userId, teamId = null, volumePaths = [], notes = null, appConfig = null, deploymentConfig = null, appId = null, appName = null }) {
   const id = uuidv4();
   const createdAt = new Date().toISOString();
   const archiveFilename = `snapshot_${id}.tar.gz`;
 
   await run(
     `INSERT INTO deployment_snapshots 
-     (id, deployment_id, server_id, user_id, created_at, volume_paths, archive_filename, status, notes, app_config, deployment_config, app_id, app_name)
-     VALUES (?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?, ?, ?, ?)`,
-    [id, deploymentId, serverId, userId, createdAt, JSON.stringify(volumePaths), archiveFilename, notes, 
+     (id, deployment_id, server_id, user_id, team_id, created_at, volume_paths, archive_filename, status, notes, app_config, deployment_config, app_id, app_name)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?, ?, ?, ?)`,
+    [id, deploymentId, serverId, userId, teamId, createdAt, JSON.stringify(volumePaths), archiveFilename, notes, 
      appConfig ? JSON.stringify(appConfig) : null, 
      deploymentConfig ? JSON.stringify(deploymentConfig) : null,
      appId,
@@ -99,6 +110,7 @@ async function create({ deploymentId, serverId, userId, volumePaths = [], notes
     deployment_id: deploymentId,
     server_id: serverId,
     user_id: userId,
+    team_id: teamId,
     created_at: createdAt,
     size_bytes: 0,
     volume_paths: volumePaths,
@@ -205,6 +217,7 @@ async function findExpired(retentionDays) {
 
 module.exports = {
   findAll,
+  findByTeam,
   findByDeployment,
   findById,
   create,
@@ -97,11 +97,41 @@ async function updateBackupSettings(settings) {
   }
 }
 
+/**
+ * Get account-related settings with defaults
+ * @returns {Promise<Object>}
+ */
+async function getAccountSettings() {
+  const registrationOpen = await getValue('registration_open');
+  const twoFactorRequired = await getValue('two_factor_required');
+
+  return {
+    registrationOpen: registrationOpen !== false,
+    twoFactorRequired: twoFactorRequired === true
+  };
+}
+
+/**
+ * Update account-related settings
+ * @param {Object} settings - Settings to update
+ * @returns {Promise<void>}
+ */
+async function updateAccountSettings(settings) {
+  if (settings.registrationOpen !== undefined) {
+    await setValue('registration_open', Boolean(settings.registrationOpen));
+  }
+  if (settings.twoFactorRequired !== undefined) {
+    await setValue('two_factor_required', Boolean(settings.twoFactorRequired));
+  }
+}
+
 module.exports = {
   getValue,
   setValue,
   deleteValue,
   getAll,
   getBackupSettings,
-  updateBackupSettings
+  updateBackupSettings,
+  getAccountSettings,
+  updateAccountSettings
 };
@@ -0,0 +1,322 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { run, get, all } = require('../database/connection');
+const { TEAM_CONFIG } = require('../config');
+
+/**
+ * SQL fragment matching the teams a user belongs to
+ * Use as `team_id IN (${MEMBER_TEAMS_SQL})` with the user ID as the bound parameter
+ */
+const MEMBER_TEAMS_SQL = 'SELECT team_id FROM team_members WHERE user_id = ?';
+
+/**
+ * Create a team with its first owner
+ * @param {string} name - Team name
+ * @param {string} ownerId - User ID of the owner
+ * @returns {Promise<Object>}
+ */
+async function create(name, ownerId) {
+  const id = uuidv4();
+  const createdAt = new Date().toISOString();
+
+  await run('INSERT INTO teams (id, name, created_at) VALUES (?, ?, ?)', [id, name, createdAt]);
+  await run(
+    'INSERT INTO team_members (team_id, user_id, role, joined_at) VALUES (?, ?, ?, ?)',
+    [id, ownerId, 'owner', createdAt]
+  );
+
+  return { id, name, created_at: createdAt, role: 'owner' };
+}
+
+/**
+ * Get team by ID
+ * @param {string} teamId - Team ID
+ * @returns {Promise<Object|null>}
+ */
+async function findById(teamId) {
+  return get('SELECT * FROM teams WHERE id = ?', [teamId]);
+}
+
+/**
+ * Get all teams a user belongs to, with their role and member count
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>}
+ */
+async function findByUser(userId) {
+  return all(`
+    SELECT t.*, tm.role,
+      (SELECT COUNT(*) FROM team_members WHERE team_id = t.id) as member_count
+    FROM teams t
+    JOIN team_members tm ON tm.team_id = t.id
+    WHERE tm.user_id = ?
+    ORDER BY tm.joined_at ASC
+  `, [userId]);
+}
+
+/**
+ * Rename a team
+ * @param {string} teamId - Team ID
+ * @param {string} name - New name
+ * @returns {Promise<void>}
+ */
+async function update(teamId, name) {
+  await run('UPDATE teams SET name = ? WHERE id = ?', [name, teamId]);
+}
+
+/**
+ * Delete a team (members and invitations cascade)
+ * @param {string} teamId - Team ID
+ * @returns {Promise<number>}
+ */
+async function remove(teamId) {
+  await run('DELETE FROM team_members WHERE team_id = ?', [teamId]);
+  await run('DELETE FROM team_invitations WHERE team_id = ?', [teamId]);
+  const result = await run('DELETE FROM teams WHERE id = ?', [teamId]);
+  return result.changes;
+}
+
+/**
+ * Count servers and apps that still belong to a team
+ * @param {string} teamId - Team ID
+ * @returns {Promise<number>}
+ */
+async function countResources(teamId) {
+  const row = await get(`
+    SELECT
+      (SELECT COUNT(*) FROM servers WHERE team_id = ?) +
+      (SELECT COUNT(*) FROM apps WHERE team_id = ?) as count
+  `, [teamId, teamId]);
+  return row ? row.count : 0;
+}
+
+// ==================== Member Functions ====================
+
+/**
+ * Get a user's role in a team
+ * @param {string} teamId - Team ID
+ * @param {string} userId - User ID
+ * @returns {Promise<string|null>} - Role, or null if not a member
+ */
+async function getRole(teamId, userId) {
+  if (!teamId || !userId) return null;
+  const row = await get(
+    'SELECT role FROM team_members WHERE team_id = ? AND user_id = ?',
+    [teamId, userId]
+  );
+  return row ? row.role : null;
+}
+
+/**
+ * Get the team new resources go to when none is specified
+ * Prefers the oldest team the user owns (their personal team)
+ * @param {string} userId - User ID
+ * @returns {Promise<string|null>}
+ */
+async function getDefaultTeamId(userId) {
+  const row = await get(`
+    SELECT team_id FROM team_members
+    WHERE user_id = ?
+    ORDER BY CASE role WHEN 'owner' THEN 0 ELSE 1 END, joined_at ASC
+    LIMIT 1
+  `, [userId]);
+  return row ? row.team_id : null;
+}
+
+/**
+ * Get members of a team
+ * @param {string} teamId - Team ID
+ * @returns {Promise<Array>}
+ */
+async function findMembers(teamId) {
+  return all(`
+    SELECT u.id, u.email, u.name, tm.role, tm.joined_at
+    FROM team_members tm
+    JOIN users u ON tm.user_id = u.id
+    WHERE tm.team_id = ?
+    ORDER BY tm.joined_at ASC
+  `, [teamId]);
+}
+
+/**
+ * Add a user to a team
+ * @param {string} teamId - Team ID
+ * @param {string} userId - User ID
+ * @param {string} role - Team role
+ * @returns {Promise<void>}
+ */
+async function addMember(teamId, userId, role) {
+  await run(
+    'INSERT OR REPLACE INTO team_members (team_id, user_id, role, joined_at) VALUES (?, ?, ?, ?)',
+    [teamId, userId, role, new Date().toISOString()]
+  );
+}
+
+/**
+ * Change a member's role
+ * @param {string} teamId - Team ID
+ * @param {string} userId - User ID
+ * @param {string} role - New role
+ * @returns {Promise<number>}
+ */
+async function updateMemberRole(teamId, userId, role) {
+  const result = await run(
+    'UPDATE team_members SET role = ? WHERE team_id = ? AND user_id = ?',
+    [role, teamId, userId]
+  );
+  return result.changes;
+}
+
+/**
+ * Remove a user from a team
+ * @param {string} teamId - Team ID
+ * @param {string} userId - User ID
+ * @returns {Promise<number>}
+ */
+async function removeMember(teamId, userId) {
+  const result = await run(
+    'DELETE FROM team_members WHERE team_id = ? AND user_id = ?',
+    [teamId, userId]
+  );
+  return result.changes;
+}
+
+/**
+ * Count owners of a team (a team must always keep at least one)
+ * @param {string} teamId - Team ID
+ * @returns {Promise<number>}
+ */
+async function countOwners(teamId) {
+  const row = await get(
+    "SELECT COUNT(*) as count FROM team_members WHERE team_id = ? AND role = 'owner'",
+    [teamId]
+  );
+  return row ? row.count : 0;
+}
+
+// ==================== Invitation Functions ====================
+
+/**
+ * Columns of an invitation that are safe to return (never the token hash)
+ */
+const INVITATION_COLUMNS = 'i.id, i.team_id, i.email, i.role, i.invited_by, i.created_at, i.expires_at';
+
+/**
+ * Hash an invitation token for storage/lookup
+ * @param {string} token - Plain-text token
+ * @returns {string}
+ */
+function hashInvitationToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Invite someone to a team
+ * Replaces any pending invitation for the same email. The invitation is accepted with the
+ * returned token, which is only available here; the email just labels it for the owners.
+ * @param {string} teamId - Team ID
+ * @param {string} email - Invitee email
+ * @param {string} role - Role granted on acceptance
+ * @param {string} invitedBy - User ID of the inviter
+ * @returns {Promise<{token: string, invitation: Object}>}
+ */
+async function createInvitation(teamId, email, role, invitedBy) {
+  const id = uuidv4();
+  const token = crypto.randomBytes(24).toString('hex');
+  const createdAt = new Date();
+  const expiresAt = new Date(createdAt.getTime() + TEAM_CONFIG.invitationExpiryDays * 24 * 60 * 60 * 1000);
+  const normalizedEmail = email.trim().toLowerCase();
+
+  await run('DELETE FROM team_invitations WHERE team_id = ? AND email = ?', [teamId, normalizedEmail]);
+  await run(
+    `INSERT INTO team_invitations (id, team_id, email, role, token_hash, invited_by, created_at, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [id, teamId, normalizedEmail, role, hashInvitationToken(token), invitedBy, createdAt.toISOString(), expiresAt.toISOString()]
+  );
+
+  return { token, invitation: await findInvitationById(id) };
+}
+
+/**
+ * Get invitation by ID
+ * @param {string} invitationId - Invitation ID
+ * @returns {Promise<Object|null>}
+ */
+async function findInvitationById(invitationId) {
+  return get(`
+    SELECT ${INVITATION_COLUMNS}, t.name as team_name
+    FROM team_invitations i
+    JOIN teams t ON i.team_id = t.id
+    WHERE i.id = ?
+  `, [invitationId]);
+}
+
+/**
+ * Look up an invitation by its plain-text token
+ * @param {string} token - Invitation token
+ * @returns {Promise<Object|null>} - With team_name and invited_by_name; expired ones included
+ */
+async function findInvitationByToken(token) {
+  return get(`
+    SELECT ${INVITATION_COLUMNS}, t.name as team_name, u.name as invited_by_name
+    FROM team_invitations i
+    JOIN teams t ON i.team_id = t.id
+    LEFT JOIN users u ON i.invited_by = u.id
+    WHERE i.token_hash = ?
+  `, [hashInvitationToken(token)]);
+}
+
+/**
+ * Get pending invitations for a team
+ * @param {string} teamId - Team ID
+ * @returns {Promise<Array>}
+ */
+async function findInvitationsByTeam(teamId) {
+  return all(
+    `SELECT ${INVITATION_COLUMNS} FROM team_invitations i WHERE i.team_id = ? AND i.expires_at > ? ORDER BY i.created_at DESC`,
+    [teamId, new Date().toISOString()]
+  );
+}
+
+/**
+ * Delete an invitation (revoke, decline or after acceptance)
+ * @param {string} invitationId - Invitation ID
+ * @returns {Promise<number>}
+ */
+async function removeInvitation(invitationId) {
+  const result = await run('DELETE FROM team_invitations WHERE id = ?', [invitationId]);
+  return result.changes;
+}
+
+/**
+ * Check whether a role grants a permission
+ * @param {string|null} role - Team role
+ * @param {string} permission - 'view', 'operate' or 'manage'
+ * @returns {boolean}
+ */
+function roleAllows(role, permission = 'view') {
+  const allowedRoles = TEAM_CONFIG.permissions[permission] || [];
+  return !!role && allowedRoles.includes(role);
+}
+
+module.exports = {
+  MEMBER_TEAMS_SQL,
+  create,
+  findById,
+  findByUser,
+  update,
+  remove,
+  countResources,
+  getRole,
+  getDefaultTeamId,
+  findMembers,
+  addMember,
+  updateMemberRole,
+  removeMember,
+  countOwners,
+  createInvitation,
+  findInvitationById,
+  findInvitationsByTeam,
+  findInvitationByToken,
+  removeInvitation,
+  roleAllows
+};
@@ -0,0 +1,137 @@
+const { v4: uuidv4 } = require('uuid');
+const { run, get, all } = require('../database/connection');
+
+/**
+ * Convert interval row to camelCase object
+ * @param {Object} row - Database row
+ * @returns {Object}
+ */
+function toCamelCase(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    serverId: row.server_id,
+    status: row.status,
+    error: row.error || null,
+    startedAt: row.started_at,
+    endedAt: row.ended_at || null
+  };
+}
+
+/**
+ * Get the interval a server is currently in
+ * @param {string} serverId - Server ID
+ * @returns {Promise<Object|null>}
+ */
+async function getCurrent(serverId) {
+  const row = await get(
+    'SELECT * FROM server_status_intervals WHERE server_id = ? AND ended_at IS NULL ORDER BY started_at DESC LIMIT 1',
+    [serverId]
+  );
+  return toCamelCase(row);
+}
+
+/**
+ * Record a server's status, closing the current interval and opening a new one when it changed
+ * @param {string} serverId - Server ID
+ * @param {string} status - 'online' or 'offline'
+ * @param {string|null} error - Connection error when offline
+ * @returns {Promise<{previous: Object|null, current: Object}|null>} - null if the status did not change
+ */
+async function recordStatus(serverId, status, error = null) {
+  const previous = await getCurrent(serverId);
+  if (previous && previous.status === status) return null;
+
+  const now = new Date().toISOString();
+  if (previous) {
+    await run('UPDATE server_status_intervals SET ended_at = ? WHERE id = ?', [now, previous.id]);
+  }
+
+  const id = uuidv4();
+  await run(
+    'INSERT INTO server_status_intervals (id, server_id, status, error, started_at) VALUES (?, ?, ?, ?, ?)',
+    [id, serverId, status, status === 'offline' ? error : null, now]
+  );
+
+  return {
+    previous: previous ? { ...previous, endedAt: now } : null,
+    current: { id, serverId, status, error: status === 'offline' ? error : null, startedAt: now, endedAt: null }
+  };
+}
+
+/**
+ * Get the intervals overlapping the last N hours, oldest first
+ * @param {string} serverId - Server ID
+ * @param {number} hours - Number of hours to look back
+ * @returns {Promise<Array>}
+ */
+async function findIntervals(serverId, hours) {
+  const since = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+  const rows = await all(`
+    SELECT * FROM server_status_intervals
+    WHERE server_id = ? AND (ended_at IS NULL OR ended_at > ?)
+    ORDER BY started_at ASC
+  `, [serverId, since]);
+  return rows.map(toCamelCase);
+}
+
+/**
+ * Availability over the last N hours
+ * Time before the first recorded interval is unknown and left out rather than counted as downtime
+ * @param {string} serverId - Server ID
+ * @param {number} hours - Number of hours to look back
+ * @param {Array} [intervals] - Intervals from findIntervals covering at least this range
+ * @returns {Promise<{hours: number, percentage: number|null, onlineSeconds: number, offlineSeconds: number}>}
+ */
+async function getAvailability(serverId, hours, intervals = null) {
+  const now = Date.now();
+  const since = now - hours * 60 * 60 * 1000;
+  let online = 0;
+  let offline = 0;
+
+  for (const interval of intervals || await findIntervals(serverId, hours)) {
+    const start = Math.max(new Date(interval.startedAt).getTime(), since);
+    const end = interval.endedAt ? new Date(interval.endedAt).getTime() : now;
+    if (end <= start) continue;
+    if (interval.status === 'online') online += end - start;
+    else offline += end - start;
+  }
+
+  const total = online + offline;
+  return {
+    hours,
+    percentage: total > 0 ? Math.round((online / total) * 10000) / 100 : null,
+    onlineSeconds: Math.round(online / 1000),
+    offlineSeconds: Math.round(offline / 1000)
+  };
+}
+
+/**
+ * Delete intervals that ended before the retention period
+ * @param {number} daysOld - Delete intervals that ended more than this many days ago
+ * @returns {Promise<number>} - Number of deleted rows
+ */
+async function deleteOlderThan(daysOld) {
+  const cutoff = new Date(Date.now() - daysOld * 24 * 60 * 60 * 1000).toISOString();
+  const result = await run('DELETE FROM server_status_intervals WHERE ended_at IS NOT NULL AND ended_at < ?', [cutoff]);
+  return result.changes;
+}
+
+/**
+ * Delete the uptime history of a server
+ * @param {string} serverId - Server ID
+ * @returns {Promise<number>}
+ */
+async function deleteForServer(serverId) {
+  const result = await run('DELETE FROM server_status_intervals WHERE server_id = ?', [serverId]);
+  return result.changes;
+}
+
+module.exports = {
+  getCurrent,
+  recordStatus,
+  findIntervals,
+  getAvailability,
+  deleteOlderThan,
+  deleteForServer
+};
@@ -1,24 +1,34 @@
 const bcrypt = require('bcryptjs');
-const { run, get } = require('../database/connection');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { run, get, all } = require('../database/connection');
+const secretsService = require('../services/secrets/secretsService');
+const { ACCOUNT_CONFIG, LOGIN_THROTTLE_CONFIG } = require('../config');
+
+/**
+ * Columns that are safe to return to clients (never the password hash)
+ */
+const PUBLIC_COLUMNS = 'id, email, name, is_admin, disabled, totp_enabled, created_at';
 
 /**
  * Create a new user
  * @param {string} email - User email
  * @param {string} password - Plain text password
  * @param {string} name - User name
- * @returns {Promise<{id: string, email: string, name: string}>}
+ * @param {Object} options - { isAdmin }
+ * @returns {Promise<{id: string, email: string, name: string, isAdmin: boolean}>}
  */
-async function createUser(email, password, name) {
+async function createUser(email, password, name, { isAdmin = false } = {}) {
   const hashedPassword = await bcrypt.hash(password, 10);
   const userId = Date.now().toString();
   const createdAt = new Date().toISOString();
 
   await run(
-    'INSERT INTO users (id, email, password, name, created_at) VALUES (?, ?, ?, ?, ?)',
-    [userId, email, hashedPassword, name, createdAt]
+    'INSERT INTO users (id, email, password, name, is_admin, created_at) VALUES (?, ?, ?, ?, ?, ?)',
+    [userId, email, hashedPassword, name, isAdmin ? 1 : 0, createdAt]
   );
 
-  return { id: userId, email, name };
+  return { id: userId, email, name, isAdmin };
 }
 
 /**
@@ -36,7 +46,25 @@ async function findByEmail(email) {
  * @returns {Promise<Object|null>}
  */
 async function findById(userId) {
-  return get('SELECT id, email, name, created_at FROM users WHERE id = ?', [userId]);
+  return get(`SELECT ${PUBLIC_COLUMNS} FROM users WHERE id = ?`, [userId]);
+}
+
+/**
+ * Get all users (excludes passwords)
+ * @returns {Promise<Array>}
+ */
+async function findAll() {
+  return all(`SELECT ${PUBLIC_COLUMNS} FROM users ORDER BY created_at ASC`);
+}
+
+/**
+ * Get the password hash for a user
+ * @param {string} userId - User ID
+ * @returns {Promise<string|null>}
+ */
+async function getPasswordHash(userId) {
+  const row = await get('SELECT password FROM users WHERE id = ?', [userId]);
+  return row ? row.password : null;
 }
 
 /**
@@ -81,6 +109,14 @@ async function updateUser(userId, updates) {
     fields.push('password = ?');
     values.push(hashedPassword);
   }
+  if (updates.isAdmin !== undefined) {
+    fields.push('is_admin = ?');
+    values.push(updates.isAdmin ? 1 : 0);
+  }
+  if (updates.disabled !== undefined) {
+    fields.push('disabled = ?');
+    values.push(updates.disabled ? 1 : 0);
+  }
 
   if (fields.length === 0) return;
 
@@ -88,11 +124,300 @@ async function updateUser(userId, updates) {
   await run(`UPDATE users SET ${fields.join(', ')} WHERE id = ?`, values);
 }
 
+/**
+ * Count users with admin rights (disabled admins don't count)
+ * @returns {Promise<number>}
+ */
+async function countAdmins() {
+  const row = await get('SELECT COUNT(*) as count FROM users WHERE is_admin = 1 AND COALESCE(disabled, 0) = 0');
+  return row ? row.count : 0;
+}
+
+/**
+ * Delete a user record
+ * Owned data must be cleaned up first (see services/accountService)
+ * @param {string} userId - User ID
+ * @returns {Promise<number>}
+ */
+async function remove(userId) {
+  await run('DELETE FROM user_recovery_codes WHERE user_id = ?', [userId]);
+  const result = await run('DELETE FROM users WHERE id = ?', [userId]);
+  return result.changes;
+}
+
+// ==================== Login Throttling Functions ====================
+
+/**
+ * Record a failed login attempt, locking the account after too many in a row
+ * @param {string} userId - User ID
+ * @returns {Promise<string|null>} - Lock expiry (ISO) if the account is now locked
+ */
+async function recordFailedLogin(userId) {
+  const row = await get('SELECT failed_login_attempts FROM users WHERE id = ?', [userId]);
+  const attempts = (row ? row.failed_login_attempts || 0 : 0) + 1;
+
+  if (attempts >= LOGIN_THROTTLE_CONFIG.accountMaxFailures) {
+    const lockedUntil = new Date(Date.now() + LOGIN_THROTTLE_CONFIG.accountLockMs).toISOString();
+    await run('UPDATE users SET failed_login_attempts = 0, locked_until = ? WHERE id = ?', [lockedUntil, userId]);
+    return lockedUntil;
+  }
+
+  await run('UPDATE users SET failed_login_attempts = ? WHERE id = ?', [attempts, userId]);
+  return null;
+}
+
+/**
+ * Clear failed attempts and any lock after a successful login
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ */
+async function resetFailedLogins(userId) {
+  await run('UPDATE users SET failed_login_attempts = 0, locked_until = NULL WHERE id = ?', [userId]);
+}
+
+/**
+ * Get the time until which an account is locked
+ * @param {Object} user - User row (with locked_until)
+ * @returns {Date|null} - Null if the account is not locked
+ */
+function getLockExpiry(user) {
+  if (!user.locked_until) return null;
+  const lockedUntil = new Date(user.locked_until);
+  return lockedUntil > new Date() ? lockedUntil : null;
+}
+
+// ==================== Two-Factor Functions ====================
+
+/**
+ * Hash a recovery code for storage/lookup
+ * @param {string} code - Normalized recovery code
+ * @returns {string}
+ */
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(code).digest('hex');
+}
+
+/**
+ * Get a user's TOTP secret (decrypted), whether 2FA is enabled and the last time step accepted
+ * @param {string} userId - User ID
+ * @returns {Promise<{secret: string|null, enabled: boolean, lastStep: number|null}|null>}
+ */
+async function getTwoFactor(userId) {
+  const row = await get('SELECT totp_secret, totp_enabled, totp_last_step FROM users WHERE id = ?', [userId]);
+  if (!row) return null;
+  return {
+    secret: secretsService.decrypt(row.totp_secret),
+    enabled: Boolean(row.totp_enabled),
+    lastStep: row.totp_last_step
+  };
+}
+
+/**
+ * Store a TOTP secret that has not been confirmed yet (2FA stays disabled)
+ * @param {string} userId - User ID
+ * @param {string} secret - Base32 secret
+ * @returns {Promise<void>}
+ */
+async function setPendingTotpSecret(userId, secret) {
+  await run(
+    'UPDATE users SET totp_secret = ?, totp_enabled = 0, totp_last_step = NULL WHERE id = ?',
+    [secretsService.encrypt(secret), userId]
+  );
+}
+
+/**
+ * Record a TOTP time step as used, so its code can't be replayed
+ * @param {string} userId - User ID
+ * @param {number} step - Time step the code was accepted for
+ * @returns {Promise<boolean>} - False if this or a later step was already used
+ */
+async function useTotpStep(userId, step) {
+  const result = await run(
+    'UPDATE users SET totp_last_step = ? WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)',
+    [step, userId, step]
+  );
+  return result.changes > 0;
+}
+
+/**
+ * Get every stored TOTP secret as stored (for encryption at rest and key rotation)
+ * @returns {Promise<Array<{id: string, totp_secret: string}>>}
+ */
+async function findStoredTotpSecrets() {
+  return all("SELECT id, totp_secret FROM users WHERE totp_secret IS NOT NULL AND totp_secret != ''");
+}
+
+/**
+ * Replace a stored TOTP secret with an already encrypted value
+ * @param {string} userId - User ID
+ * @param {string} storedValue - Encrypted secret
+ * @returns {Promise<void>}
+ */
+async function setStoredTotpSecret(userId, storedValue) {
+  await run('UPDATE users SET totp_secret = ? WHERE id = ?', [storedValue, userId]);
+}
+
+/**
+ * Turn on 2FA for the stored secret and replace the user's recovery codes
+ * @param {string} userId - User ID
+ * @param {string[]} recoveryCodes - Normalized plain-text recovery codes
+ * @returns {Promise<void>}
+ */
+async function enableTwoFactor(userId, recoveryCodes) {
+  await run('UPDATE users SET totp_enabled = 1 WHERE id = ?', [userId]);
+  await replaceRecoveryCodes(userId, recoveryCodes);
+}
+
+/**
+ * Turn off 2FA, forgetting the secret and recovery codes
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ */
+async function disableTwoFactor(userId) {
+  await run('UPDATE users SET totp_secret = NULL, totp_enabled = 0, totp_last_step = NULL WHERE id = ?', [userId]);
+  await run('DELETE FROM user_recovery_codes WHERE user_id = ?', [userId]);
+}
+
+/**
+ * Replace all recovery codes of a user
+ * @param {string} userId - User ID
+ * @param {string[]} codes - Normalized plain-text recovery codes
+ * @returns {Promise<void>}
+ */
+async function replaceRecoveryCodes(userId, codes) {
+  await run('DELETE FROM user_recovery_codes WHERE user_id = ?', [userId]);
+  for (const code of codes) {
+    await run(
+      'INSERT INTO user_recovery_codes (id, user_id, code_hash) VALUES (?, ?, ?)',
+      [uuidv4(), userId, hashRecoveryCode(code)]
+    );
+  }
+}
+
+/**
+ * Consume a recovery code
+ * @param {string} userId - User ID
+ * @param {string} code - Normalized recovery code
+ * @returns {Promise<boolean>} - True if the code was valid and unused
+ */
+async function useRecoveryCode(userId, code) {
+  const result = await run(
+    'UPDATE user_recovery_codes SET used_at = ? WHERE user_id = ? AND code_hash = ? AND used_at IS NULL',
+    [new Date().toISOString(), userId, hashRecoveryCode(code)]
+  );
+  return result.changes > 0;
+}
+
+/**
+ * Count unused recovery codes
+ * @param {string} userId - User ID
+ * @returns {Promise<number>}
+ */
+async function countRecoveryCodes(userId) {
+  const row = await get(
+    'SELECT COUNT(*) as count FROM user_recovery_codes WHERE user_id = ? AND used_at IS NULL',
+    [userId]
+  );
+  return row ? row.count : 0;
+}
+
+// ==================== Invitation Functions ====================
+
+/**
+ * Hash an invitation token for storage/lookup
+ * @param {string} token - Plain-text token
+ * @returns {string}
+ */
+function hashInviteToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Invite someone to register (works even when public registration is closed)
+ * Replaces any pending invitation for the same email
+ * @param {string} email - Invitee email
+ * @param {string} invitedBy - Admin user ID
+ * @returns {Promise<{token: string, invitation: Object}>} - Plain-text token (shown once) and stored record
+ */
+async function createInvitation(email, invitedBy) {
+  const id = uuidv4();
+  const token = crypto.randomBytes(24).toString('hex');
+  const createdAt = new Date();
+  const expiresAt = new Date(createdAt.getTime() + ACCOUNT_CONFIG.inviteExpiryDays * 24 * 60 * 60 * 1000);
+  const normalizedEmail = email.trim().toLowerCase();
+
+  await run('DELETE FROM user_invitations WHERE email = ?', [normalizedEmail]);
+  await run(
+    `INSERT INTO user_invitations (id, email, token_hash, invited_by, created_at, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [id, normalizedEmail, hashInviteToken(token), invitedBy, createdAt.toISOString(), expiresAt.toISOString()]
+  );
+
+  return {
+    token,
+    invitation: { id, email: normalizedEmail, created_at: createdAt.toISOString(), expires_at: expiresAt.toISOString() }
+  };
+}
+
+/**
+ * Look up a pending invitation by its plain-text token
+ * @param {string} token - Invitation token
+ * @returns {Promise<Object|null>} - Null if unknown or expired
+ */
+async function findInvitationByToken(token) {
+  return get(
+    'SELECT id, email, invited_by, created_at, expires_at FROM user_invitations WHERE token_hash = ? AND expires_at > ?',
+    [hashInviteToken(token), new Date().toISOString()]
+  );
+}
+
+/**
+ * Get pending invitations
+ * @returns {Promise<Array>}
+ */
+async function findInvitations() {
+  return all(
+    'SELECT id, email, invited_by, created_at, expires_at FROM user_invitations WHERE expires_at > ? ORDER BY created_at DESC',
+    [new Date().toISOString()]
+  );
+}
+
+/**
+ * Delete an invitation (revoked or used)
+ * @param {string} invitationId - Invitation ID
+ * @returns {Promise<number>}
+ */
+async function removeInvitation(invitationId) {
+  const result = await run('DELETE FROM user_invitations WHERE id = ?', [invitationId]);
+  return result.changes;
+}
+
 module.exports = {
   createUser,
   findByEmail,
   findById,
+  findAll,
+  getPasswordHash,
   verifyPassword,
   hasUsers,
-  updateUser
+  updateUser,
+  countAdmins,
+  remove,
+  recordFailedLogin,
+  resetFailedLogins,
+  getLockExpiry,
+  getTwoFactor,
+  setPendingTotpSecret,
+  useTotpStep,
+  findStoredTotpSecrets,
+  setStoredTotpSecret,
+  enableTwoFactor,
+  disableTwoFactor,
+  replaceRecoveryCodes,
+  useRecoveryCode,
+  countRecoveryCodes,
+  createInvitation,
+  findInvitationByToken,
+  findInvitations,
+  removeInvitation
 };
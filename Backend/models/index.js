@@ -1,9 +1,19 @@
 module.exports = {
   UserModel: require('./UserModel'),
   ServerModel: require('./ServerModel'),
+  UptimeModel: require('./UptimeModel'),
   ActivityModel: require('./ActivityModel'),
   AppModel: require('./AppModel'),
   MetricsModel: require('./MetricsModel'),
+  ContainerStatsModel: require('./ContainerStatsModel'),
+  DeploymentCheckModel: require('./DeploymentCheckModel'),
+  DeploymentRevisionModel: require('./DeploymentRevisionModel'),
   SnapshotModel: require('./SnapshotModel'),
-  SystemSettingsModel: require('./SystemSettingsModel')
+  SystemSettingsModel: require('./SystemSettingsModel'),
+  ApiTokenModel: require('./ApiTokenModel'),
+  TeamModel: require('./TeamModel'),
+  SessionModel: require('./SessionModel'),
+  AuditLogModel: require('./AuditLogModel'),
+  AlertModel: require('./AlertModel'),
+  NotificationModel: require('./NotificationModel')
 };
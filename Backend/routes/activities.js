@@ -13,19 +13,4 @@ router.get('/', requireAuth, asyncHandler(async (req, res) => {
   res.json(activities);
 }));
 
-/**
- * POST /api/activities
- * Add new activity
- */
-router.post('/', requireAuth, asyncHandler(async (req, res) => {
-  const { type, message } = req.body;
-
-  if (!type || !message) {
-    return res.status(400).json({ error: 'Type and message are required' });
-  }
-
-  const activity = await ActivityModel.create(req.session.userId, type, message);
-  res.json(activity);
-}));
-
 module.exports = router;
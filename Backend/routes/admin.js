@@ -0,0 +1,261 @@
+const express = require('express');
+const router = express.Router();
+const { UserModel, SystemSettingsModel, ActivityModel, AuditLogModel } = require('../models');
+const { requireSession, requireAdmin, asyncHandler } = require('../middleware');
+const accountService = require('../services/accountService');
+const auditService = require('../services/auditService');
+const { AUDIT_CONFIG } = require('../config');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Every admin route requires a browser session of an admin user
+router.use(requireSession, requireAdmin);
+
+/**
+ * Log admin activity without failing the request
+ */
+async function logActivity(userId, type, message) {
+  try {
+    await ActivityModel.create(userId, type, message);
+  } catch (err) {
+    console.error('Failed to log activity:', err);
+  }
+}
+
+/**
+ * GET /api/admin/users
+ * List all users
+ */
+router.get('/users', asyncHandler(async (req, res) => {
+  const users = await UserModel.findAll();
+  res.json(users.map(user => ({
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    isAdmin: Boolean(user.is_admin),
+    disabled: Boolean(user.disabled),
+    twoFactorEnabled: Boolean(user.totp_enabled),
+    createdAt: user.created_at
+  })));
+}));
+
+/**
+ * PUT /api/admin/users/:id
+ * Disable/enable a user or change their admin flag
+ * Body: { disabled?, isAdmin? }
+ */
+router.put('/users/:id', asyncHandler(async (req, res) => {
+  const { disabled, isAdmin } = req.body;
+
+  if (req.params.id === req.session.userId) {
+    return res.status(400).json({ error: 'You cannot change your own account here' });
+  }
+
+  const user = await UserModel.findById(req.params.id);
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  await UserModel.updateUser(user.id, {
+    disabled: disabled === undefined ? undefined : Boolean(disabled),
+    isAdmin: isAdmin === undefined ? undefined : Boolean(isAdmin)
+  });
+
+  if (disabled) {
+    await accountService.destroyUserSessions(req.app.get('io'), user.id);
+  }
+
+  const updated = await UserModel.findById(user.id);
+  auditService.annotate(req, { target: { label: user.email } });
+  auditService.annotateChanges(req, user, updated, ['disabled', 'is_admin']);
+
+  if (disabled !== undefined && Boolean(disabled) !== Boolean(user.disabled)) {
+    await logActivity(req.session.userId, disabled ? 'error' : 'info', `User ${user.email} ${disabled ? 'disabled' : 'enabled'}`);
+  }
+  if (isAdmin !== undefined && Boolean(isAdmin) !== Boolean(user.is_admin)) {
+    await logActivity(req.session.userId, 'info', `User ${user.email} ${isAdmin ? 'granted' : 'revoked'} admin rights`);
+  }
+
+  res.json({ success: true });
+}));
+
+/**
+ * DELETE /api/admin/users/:id/2fa
+ * Reset a user's two-factor authentication (e.g. lost device and recovery codes)
+ */
+router.delete('/users/:id/2fa', asyncHandler(async (req, res) => {
+  const user = await UserModel.findById(req.params.id);
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  await UserModel.disableTwoFactor(user.id);
+  auditService.annotate(req, { target: { label: user.email } });
+  await logActivity(req.session.userId, 'error', `Two-factor authentication reset for ${user.email}`);
+
+  res.json({ success: true });
+}));
+
+/**
+ * DELETE /api/admin/users/:id
+ * Delete a user and the teams (with servers, apps and snapshots) only they belong to
+ */
+router.delete('/users/:id', asyncHandler(async (req, res) => {
+  if (req.params.id === req.session.userId) {
+    return res.status(400).json({ error: 'Delete your own account from Settings instead' });
+  }
+
+  const user = await UserModel.findById(req.params.id);
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  const blockers = await accountService.findOwnershipBlockers(user.id);
+  if (blockers.length > 0) {
+    return res.status(409).json({
+      error: 'This user is the only owner of teams with other members. Promote another owner first.',
+      teams: blockers
+    });
+  }
+
+  const removed = await accountService.deleteAccount(user.id, req.app.get('io'));
+  auditService.annotate(req, { target: { label: user.email }, removed });
+  await logActivity(req.session.userId, 'error', `User ${user.email} deleted`);
+
+  res.json({ success: true, removed });
+}));
+
+/**
+ * GET /api/admin/invitations
+ * List pending registration invitations
+ */
+router.get('/invitations', asyncHandler(async (req, res) => {
+  const invitations = await UserModel.findInvitations();
+  res.json(invitations);
+}));
+
+/**
+ * POST /api/admin/invitations
+ * Invite someone to register, even while public registration is closed
+ * Body: { email }
+ * The token is only returned once; the client turns it into a signup link
+ */
+router.post('/invitations', asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  if (!email || !EMAIL_PATTERN.test(email.trim())) {
+    return res.status(400).json({ error: 'A valid email address is required' });
+  }
+
+  if (await UserModel.findByEmail(email.trim())) {
+    return res.status(409).json({ error: 'A user with this email already exists' });
+  }
+
+  const { token, invitation } = await UserModel.createInvitation(email, req.session.userId);
+  await logActivity(req.session.userId, 'info', `Invited ${invitation.email} to register`);
+
+  res.json({ ...invitation, token });
+}));
+
+/**
+ * DELETE /api/admin/invitations/:id
+ * Revoke a registration invitation
+ */
+router.delete('/invitations/:id', asyncHandler(async (req, res) => {
+  const removed = await UserModel.removeInvitation(req.params.id);
+  if (!removed) {
+    return res.status(404).json({ error: 'Invitation not found' });
+  }
+  res.json({ success: true });
+}));
+
+/**
+ * GET /api/admin/settings
+ * Get account settings
+ */
+router.get('/settings', asyncHandler(async (req, res) => {
+  const settings = await SystemSettingsModel.getAccountSettings();
+  res.json(settings);
+}));
+
+/**
+ * PUT /api/admin/settings
+ * Update account settings
+ * Body: { registrationOpen, twoFactorRequired }
+ * With twoFactorRequired, users without 2FA must set it up before using the dashboard
+ */
+router.put('/settings', asyncHandler(async (req, res) => {
+  const { registrationOpen, twoFactorRequired } = req.body;
+
+  const previous = await SystemSettingsModel.getAccountSettings();
+  await SystemSettingsModel.updateAccountSettings({ registrationOpen, twoFactorRequired });
+
+  const settings = await SystemSettingsModel.getAccountSettings();
+  auditService.annotateChanges(req, previous, settings);
+  res.json(settings);
+}));
+
+/**
+ * Read audit log filters from the query string
+ * @param {Object} query - req.query
+ * @returns {Object} - Filters for AuditLogModel.find
+ */
+function getAuditFilters(query) {
+  return {
+    actorId: query.actorId || null,
+    action: query.action || null,
+    targetType: query.targetType || null,
+    targetId: query.targetId || null,
+    from: query.from || null,
+    to: query.to || null,
+    outcome: query.outcome || null,
+    search: query.search || null
+  };
+}
+
+/**
+ * GET /api/admin/audit
+ * Search the audit log, newest first
+ * Query: actorId, action, targetType, targetId, from, to (ISO timestamps),
+ * outcome (success|failure), search, limit, offset
+ */
+router.get('/audit', asyncHandler(async (req, res) => {
+  const filters = getAuditFilters(req.query);
+  const limit = Math.min(parseInt(req.query.limit) || 50, AUDIT_CONFIG.maxPageSize);
+  const offset = parseInt(req.query.offset) || 0;
+
+  const [entries, total] = await Promise.all([
+    AuditLogModel.find(filters, { limit, offset }),
+    AuditLogModel.count(filters)
+  ]);
+
+  res.json({ entries, total, limit, offset });
+}));
+
+/**
+ * GET /api/admin/audit/export
+ * Download the audit log (same filters as GET /audit)
+ * Query: format (csv|json, default json)
+ */
+router.get('/audit/export', asyncHandler(async (req, res) => {
+  const format = req.query.format === 'csv' ? 'csv' : 'json';
+  const entries = await AuditLogModel.find(getAuditFilters(req.query), { limit: AUDIT_CONFIG.maxExportRows });
+  const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  if (format === 'csv') {
+    res.type('text/csv').send(auditService.toCsv(entries));
+  } else {
+    res.json(entries);
+  }
+}));
+
+/**
+ * GET /api/admin/audit/verify
+ * Check that no audit log entry has been modified, removed or reordered
+ */
+router.get('/audit/verify', asyncHandler(async (req, res) => {
+  res.json(await auditService.verifyChain());
+}));
+
+module.exports = router;
@@ -0,0 +1,168 @@
+const express = require('express');
+const router = express.Router();
+const { AlertModel, TeamModel } = require('../models');
+const { requireAuth, asyncHandler, checkServerOwnership } = require('../middleware');
+const alerts = require('../services/metrics/alerts');
+const auditService = require('../services/auditService');
+const { ALERT_CONFIG } = require('../config');
+
+/**
+ * Work out and check the team a rule belongs to
+ * A server rule belongs to the server's team; other rules to the requested (or personal) team
+ * @param {string} userId - User ID
+ * @param {Object} rule - Normalized rule
+ * @param {string|null} teamId - Requested team
+ * @returns {Promise<Object>} - { teamId }, or { error, status }
+ */
+async function resolveRuleTeam(userId, rule, teamId) {
+  if (rule.serverId) {
+    const check = await checkServerOwnership(rule.serverId, userId, 'operate');
+    if (check.error) return check;
+    return { teamId: check.server.teamId };
+  }
+
+  const resolvedTeamId = teamId || await TeamModel.getDefaultTeamId(userId);
+  const role = await TeamModel.getRole(resolvedTeamId, userId);
+  if (!TeamModel.roleAllows(role, 'operate')) {
+    return { error: 'You cannot manage alert rules in this team', status: 403 };
+  }
+  return { teamId: resolvedTeamId };
+}
+
+/**
+ * Load a rule the user may change
+ * @returns {Promise<Object>} - { rule }, or { error, status }
+ */
+async function findEditableRule(ruleId, userId) {
+  const rule = await AlertModel.findRuleById(ruleId);
+  const role = rule ? await TeamModel.getRole(rule.teamId, userId) : null;
+  if (!role) {
+    return { error: 'Alert rule not found', status: 404 };
+  }
+  if (!TeamModel.roleAllows(role, 'operate')) {
+    return { error: `Your team role (${role}) does not allow this action`, status: 403 };
+  }
+  return { rule };
+}
+
+/**
+ * GET /api/alerts/metrics
+ * Metrics and operators available to rules
+ */
+router.get('/metrics', requireAuth, (req, res) => {
+  res.json({
+    metrics: Object.entries(alerts.ALERT_METRICS).map(([key, { label, unit }]) => ({ key, label, unit: unit.trim() })),
+    operators: Object.keys(alerts.OPERATORS)
+  });
+});
+
+/**
+ * GET /api/alerts/rules
+ * List alert rules in the user's teams
+ */
+router.get('/rules', requireAuth, asyncHandler(async (req, res) => {
+  const rules = await AlertModel.findRulesByUser(req.session.userId);
+  res.json(rules.map(rule => ({ ...rule, condition: alerts.describeCondition(rule) })));
+}));
+
+/**
+ * POST /api/alerts/rules
+ * Create an alert rule
+ * Body: { name, teamId, serverId | tag, metric, operator, threshold, durationMinutes, enabled }
+ */
+router.post('/rules', requireAuth, asyncHandler(async (req, res) => {
+  const { rule, error } = alerts.normalizeRule(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const team = await resolveRuleTeam(req.session.userId, rule, req.body.teamId);
+  if (team.error) {
+    return res.status(team.status).json({ error: team.error });
+  }
+
+  const created = await AlertModel.createRule({ ...rule, teamId: team.teamId, createdBy: req.session.userId });
+  auditService.annotate(req, { target: { id: created.id, label: created.name } });
+
+  res.json({ ...created, condition: alerts.describeCondition(created) });
+}));
+
+/**
+ * PUT /api/alerts/rules/:id
+ * Replace an alert rule's settings (open alerts are resolved and re-evaluated)
+ */
+router.put('/rules/:id', requireAuth, asyncHandler(async (req, res) => {
+  const check = await findEditableRule(req.params.id, req.session.userId);
+  if (check.error) {
+    return res.status(check.status).json({ error: check.error });
+  }
+
+  const { rule, error } = alerts.normalizeRule(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  // A rule stays in its team; a server rule must point at a server of that team
+  const team = await resolveRuleTeam(req.session.userId, rule, check.rule.teamId);
+  if (team.error) {
+    return res.status(team.status).json({ error: team.error });
+  }
+  if (team.teamId !== check.rule.teamId) {
+    return res.status(400).json({ error: 'The server belongs to a different team than this rule' });
+  }
+
+  await alerts.resolveRuleAlerts(check.rule.id);
+  const updated = await AlertModel.updateRule(check.rule.id, rule);
+
+  auditService.annotate(req, { target: { label: updated.name } });
+  auditService.annotateChanges(req, check.rule, updated,
+    ['name', 'serverId', 'tag', 'metric', 'operator', 'threshold', 'durationSeconds', 'enabled']);
+
+  res.json({ ...updated, condition: alerts.describeCondition(updated) });
+}));
+
+/**
+ * DELETE /api/alerts/rules/:id
+ * Delete an alert rule (its open alerts are resolved, history is kept)
+ */
+router.delete('/rules/:id', requireAuth, asyncHandler(async (req, res) => {
+  const check = await findEditableRule(req.params.id, req.session.userId);
+  if (check.error) {
+    return res.status(check.status).json({ error: check.error });
+  }
+
+  await alerts.resolveRuleAlerts(check.rule.id);
+  await AlertModel.removeRule(check.rule.id);
+  auditService.annotate(req, { target: { label: check.rule.name } });
+
+  res.json({ success: true });
+}));
+
+/**
+ * GET /api/alerts
+ * Alert history in the user's teams, newest first
+ * Query: status (firing|resolved), serverId, ruleId, limit, offset
+ */
+router.get('/', requireAuth, asyncHandler(async (req, res) => {
+  const filters = {
+    status: ['firing', 'resolved'].includes(req.query.status) ? req.query.status : null,
+    serverId: req.query.serverId || null,
+    ruleId: req.query.ruleId || null
+  };
+  const limit = Math.min(parseInt(req.query.limit) || 50, ALERT_CONFIG.maxPageSize);
+  const offset = parseInt(req.query.offset) || 0;
+
+  const [entries, total] = await Promise.all([
+    AlertModel.findAlerts(req.session.userId, filters, { limit, offset }),
+    AlertModel.countAlerts(req.session.userId, filters)
+  ]);
+
+  res.json({
+    alerts: entries.map(alert => ({ ...alert, condition: alerts.describeCondition({ ...alert, durationSeconds: 0 }) })),
+    total,
+    limit,
+    offset
+  });
+}));
+
+module.exports = router;
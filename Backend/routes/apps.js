@@ -1,10 +1,121 @@
 const express = require('express');
+const shellEscape = require('shell-escape');
 const router = express.Router();
-const { AppModel, ActivityModel } = require('../models');
-const { requireAuth, asyncHandler, checkServerOwnership } = require('../middleware');
-const { connectionManager } = require('../services/ssh');
+const { AppModel, ActivityModel, TeamModel, ContainerStatsModel, DeploymentCheckModel, DeploymentRevisionModel } = require('../models');
+const { requireAuth, asyncHandler, checkServerOwnership, requireAppPermission } = require('../middleware');
+const { connectionManager, serverConfig: { buildServerConfig } } = require('../services/ssh');
 const { checkPortsAvailable } = require('../services/metrics/collector');
+const { getContainerStats, getServerContainerStats, findDeploymentStats } = require('../services/metrics/containerStats');
 const containerFileService = require('../services/containerFileService');
+const auditService = require('../services/auditService');
+const { checkService } = require('../services/deploymentChecks');
+const { containerCommand, composeStack } = require('../services/docker');
+const { rollingUpdate, imageUpdates } = require('../services/updates');
+const { notificationService } = require('../services/notifications');
+const { emitToUser } = require('../websocket/auth');
+const { DEPLOYMENT_CHECK_CONFIG } = require('../config');
+
+// App, deployment and health check fields compared for the audit log
+const APP_AUDIT_FIELDS = ['name', 'description', 'type', 'compose_file', 'image', 'tag', 'ports', 'env_vars', 'volumes', 'restart_policy', 'network_mode', 'command', 'custom_args', 'registry_url', 'registry_username', 'registry_password', 'web_ui_port', 'icon', 'icon_url', 'auto_update', 'update_window_start', 'update_window_end'];
+const DEPLOYMENT_AUDIT_FIELDS = ['port_mappings', 'env_vars', 'volumes', 'restart_policy', 'network_mode', 'command', 'custom_args', 'web_ui_port', 'icon', 'icon_url', 'nickname'];
+const CHECK_AUDIT_FIELDS = ['name', 'type', 'source', 'config', 'intervalSeconds', 'timeoutSeconds', 'maxResponseMs', 'enabled'];
+
+// Docker's rule for image tags
+const IMAGE_TAG_PATTERN = /^[a-zA-Z0-9_][a-zA-Z0-9_.-]{0,127}$/;
+
+// Most log lines one logs request returns
+const MAX_LOG_LINES = 5000;
+
+// Store for Socket.IO instance (rolling update progress)
+let io = null;
+
+/**
+ * Set the Socket.IO instance for real-time progress updates
+ * @param {Object} socketIo - Socket.IO server instance
+ */
+function setSocketIO(socketIo) {
+  io = socketIo;
+}
+
+/**
+ * Record the outcome of a rolling update in the activity log and notification channels
+ * @private
+ */
+async function reportUpdate(req, deployment, tag, error = null) {
+  const name = deployment.nickname || deployment.container_name;
+  const where = deployment.server_name || deployment.ip;
+  try {
+    await ActivityModel.create(
+      req.session.userId,
+      error ? 'error' : 'success',
+      error
+        ? `Update of ${name} to ${tag} failed${error.rolledBack !== false ? ' and was rolled back' : ''}: ${error.message}`
+        : `Updated ${name} to ${tag}`
+    );
+  } catch (err) {
+    console.error('Failed to log activity:', err);
+  }
+
+  notificationService.notify(error ? 'deployment.update_failed' : 'deployment.updated', {
+    teamId: deployment.team_id,
+    title: error ? `Update of ${name} to ${tag} failed` : `${name} updated to ${tag}`,
+    message: error
+      ? `${error.message}\n${error.rolledBack !== false ? 'The previous container is running again.' : 'The previous container could not be restored.'}`
+      : `Rolled out ${tag} on ${where}.`,
+    severity: error ? 'error' : 'success',
+    fields: [
+      { name: 'Deployment', value: name },
+      { name: 'Server', value: where }
+    ],
+    data: { deploymentId: deployment.id, appId: deployment.app_id, tag, rolledBack: error ? error.rolledBack !== false : null }
+  });
+}
+
+/**
+ * Replace a deployment's container with one created from its settings and record them as a revision
+ * The command is built before anything changes, so a bad setting leaves the old container in place.
+ * @private
+ * @param {Object} app - App record
+ * @param {Object} deployment - Deployment with its server fields
+ * @param {Object} options
+ * @param {string} options.reason - Revision reason (recreate or rollback)
+ * @param {string} options.userId - User applying it
+ * @param {Object} [options.changes] - Deployment settings to save first (as for updateDeploymentConfig)
+ * @param {number} [options.rolledBackTo] - Revision number being re-applied
+ * @returns {Promise<{containerId: string, output: string, revision: Object|null}>}
+ * @throws {Error} If the command can't be built or the new container fails to start
+ */
+async function recreateContainer(app, deployment, { reason, userId, changes = null, rolledBackTo = null }) {
+  const containerRef = deployment.container_name || deployment.container_id;
+  const spec = containerCommand.resolveContainerSpec(app, { ...deployment, ...changes });
+  const cmd = containerCommand.buildRunCommand(spec);
+  const serverConfig = buildServerConfig(deployment);
+
+  if (changes) {
+    await AppModel.updateDeploymentConfig(deployment.id, changes);
+  }
+
+  console.log(`[Deployment Recreate] Stopping and removing old container ${containerRef}...`);
+  await connectionManager.executeCommand(
+    serverConfig,
+    `docker stop ${containerRef} 2>/dev/null; docker rm ${containerRef} 2>/dev/null || true`
+  );
+
+  console.log(`[Deployment Recreate] Running command: ${cmd}`);
+  const { stdout, stderr, code } = await connectionManager.executeCommand(serverConfig, cmd);
+  if (code !== 0) {
+    // The old container is gone either way
+    await AppModel.updateDeploymentStatus(deployment.id, 'stopped');
+    throw new Error(stderr || 'Failed to recreate container');
+  }
+
+  const containerId = stdout.trim().substring(0, 12);
+  console.log(`[Deployment Recreate] Container recreated successfully, new ID: ${containerId}`);
+  await AppModel.updateDeploymentStatus(deployment.id, 'running', containerId);
+  const revision = await DeploymentRevisionModel.create(deployment.id, { spec, reason, rolledBackTo, userId });
+
+  return { containerId, output: stdout, revision };
+}
 
 /**
  * GET /api/apps
@@ -58,7 +169,15 @@ router.post('/', requireAuth, asyncHandler(async (req, res) => {
     return res.status(400).json({ error: 'App name is required' });
   }
 
-  const app = await AppModel.create(req.session.userId, name, description);
+  // Apps go to the requested team, or the user's personal team
+  const teamId = req.body.teamId || await TeamModel.getDefaultTeamId(req.session.userId);
+  const role = await TeamModel.getRole(teamId, req.session.userId);
+  if (!TeamModel.roleAllows(role, 'operate')) {
+    return res.status(403).json({ error: 'You cannot create apps in this team' });
+  }
+
+  const app = await AppModel.create(req.session.userId, name, description, teamId);
+  auditService.annotate(req, { target: { id: app.id, label: name } });
 
   // Log activity
   try {
@@ -78,16 +197,12 @@ router.post('/', requireAuth, asyncHandler(async (req, res) => {
  * PUT /api/apps/:id
  * Update app
  */
-router.put('/:id', requireAuth, asyncHandler(async (req, res) => {
-  const app = await AppModel.findById(req.params.id, req.session.userId);
-  
-  if (!app) {
-    return res.status(404).json({ error: 'App not found' });
-  }
-
+router.put('/:id', requireAuth, requireAppPermission('operate'), asyncHandler(async (req, res) => {
   const { 
     name, 
     description, 
+    type,
+    compose_file,
     image, 
     tag, 
     ports, 
@@ -102,15 +217,55 @@ router.put('/:id', requireAuth, asyncHandler(async (req, res) => {
     registry_password,
     web_ui_port,
     icon,
-    icon_url
+    icon_url,
+    auto_update,
+    update_window_start,
+    update_window_end
   } = req.body;
+
+  // Automatic updates only run inside a maintenance window
+  const windowStart = update_window_start !== undefined ? update_window_start : req.appData.update_window_start;
+  const windowEnd = update_window_end !== undefined ? update_window_end : req.appData.update_window_end;
+  if ((windowStart || windowEnd) && !imageUpdates.isValidWindow(windowStart, windowEnd)) {
+    return res.status(400).json({ error: 'Maintenance window needs a start and an end time (HH:MM, UTC) that differ' });
+  }
+  const autoUpdate = auto_update !== undefined ? auto_update : req.appData.auto_update;
+  if (autoUpdate && !windowStart) {
+    return res.status(400).json({ error: 'Set a maintenance window to enable automatic updates' });
+  }
+
+  // A blank password keeps the stored one, unless the registry login is being removed
+  const keepRegistryPassword = registry_password === '' && registry_username;
+
+  // Running deployments were created for the current type, so it can only change without any
+  if (type !== undefined && type !== (req.appData.type || 'container')) {
+    if (!['container', 'compose'].includes(type)) {
+      return res.status(400).json({ error: 'App type must be container or compose' });
+    }
+    const deployments = await AppModel.findDeployments(req.params.id, req.session.userId);
+    if (deployments.length > 0) {
+      return res.status(400).json({ error: 'Remove the deployments of this app before changing its type' });
+    }
+  }
+
+  // A compose file's published ports become the app's ports, for port conflict checks
+  let composePorts;
+  if (compose_file && (type || req.appData.type) === 'compose') {
+    const validation = composeStack.validateComposeFile(compose_file);
+    if (validation.error) {
+      return res.status(400).json({ error: `Invalid compose file: ${validation.error}` });
+    }
+    composePorts = validation.ports;
+  }
   
   await AppModel.update(req.params.id, { 
     name, 
     description, 
+    type,
+    compose_file,
     image, 
     tag, 
-    ports, 
+    ports: composePorts || ports, 
     env_vars, 
     volumes, 
     restart_policy, 
@@ -119,13 +274,18 @@ router.put('/:id', requireAuth, asyncHandler(async (req, res) => {
     custom_args,
     registry_url,
     registry_username,
-    registry_password,
+    registry_password: keepRegistryPassword ? undefined : registry_password,
     web_ui_port,
     icon,
-    icon_url
+    icon_url,
+    auto_update,
+    update_window_start,
+    update_window_end
   });
 
   const updatedApp = await AppModel.findById(req.params.id, req.session.userId);
+  auditService.annotate(req, { target: { label: updatedApp.name } });
+  auditService.annotateChanges(req, req.appData, updatedApp, APP_AUDIT_FIELDS);
   res.json(updatedApp);
 }));
 
@@ -133,14 +293,11 @@ router.put('/:id', requireAuth, asyncHandler(async (req, res) => {
  * DELETE /api/apps/:id
  * Delete app
  */
-router.delete('/:id', requireAuth, asyncHandler(async (req, res) => {
-  const app = await AppModel.findById(req.params.id, req.session.userId);
-  
-  if (!app) {
-    return res.status(404).json({ error: 'App not found' });
-  }
+router.delete('/:id', requireAuth, requireAppPermission('manage'), asyncHandler(async (req, res) => {
+  const app = req.appData;
 
   await AppModel.remove(req.params.id, req.session.userId);
+  auditService.annotate(req, { target: { label: app.name } });
 
   // Log activity
   try {
@@ -203,11 +360,7 @@ router.post('/:id/check-ports', requireAuth, asyncHandler(async (req, res) => {
   
   // First, check ports that are actually in use on the server (running processes)
   const liveResult = await checkPortsAvailable(
-    {
-      host: server.ip,
-      username: server.username,
-      privateKeyPath: server.privateKeyPath
-    },
+    buildServerConfig(server),
     portNumbers
   );
   
@@ -284,7 +437,7 @@ router.get('/:appId/deployments', requireAuth, asyncHandler(async (req, res) =>
  * Remove a deployment
  * Query param: force=true to skip SSH and just remove from database (for orphaned deployments)
  */
-router.delete('/:appId/deployments/:deploymentId', requireAuth, asyncHandler(async (req, res) => {
+router.delete('/:appId/deployments/:deploymentId', requireAuth, requireAppPermission('operate'), asyncHandler(async (req, res) => {
   const { appId, deploymentId } = req.params;
   const forceRemove = req.query.force === 'true';
 
@@ -304,16 +457,23 @@ router.delete('/:appId/deployments/:deploymentId', requireAuth, asyncHandler(asy
     });
   }
 
+  // A compose stack is taken down as a whole (containers, networks and its stack directory)
+  if (deployment.compose_project) {
+    try {
+      await composeStack.down(buildServerConfig(deployment), deployment.compose_project);
+      await AppModel.removeDeployment(deploymentId);
+      return res.json({ success: true, message: 'Stack removed' });
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  }
+
   // Stop and remove container via SSH
   const stopCmd = `docker stop ${deployment.container_name} && docker rm ${deployment.container_name}`;
   
   try {
     const { stdout, stderr, code } = await connectionManager.executeCommand(
-      {
-        host: deployment.ip,
-        username: deployment.username,
-        privateKeyPath: deployment.private_key_path
-      },
+      buildServerConfig(deployment),
       stopCmd
     );
 
@@ -335,7 +495,7 @@ router.delete('/:appId/deployments/:deploymentId', requireAuth, asyncHandler(asy
  * Start a stopped container
  * If the deployment has config overrides, recreate the container with new settings
  */
-router.post('/:appId/deployments/:deploymentId/start', requireAuth, asyncHandler(async (req, res) => {
+router.post('/:appId/deployments/:deploymentId/start', requireAuth, requireAppPermission('operate'), asyncHandler(async (req, res) => {
   const { appId, deploymentId } = req.params;
 
   const deployment = await AppModel.findDeploymentById(deploymentId, appId, req.session.userId);
@@ -344,6 +504,26 @@ router.post('/:appId/deployments/:deploymentId/start', requireAuth, asyncHandler
     return res.status(404).json({ error: 'Deployment not found' });
   }
 
+  // A stack is brought up from the app's current compose file, so edits to it apply on start
+  if (deployment.compose_project) {
+    const app = await AppModel.findById(appId, req.session.userId);
+    const validation = composeStack.validateComposeFile(app && app.compose_file);
+    if (validation.error) {
+      return res.status(400).json({ error: `Invalid compose file: ${validation.error}` });
+    }
+
+    try {
+      await composeStack.up(buildServerConfig(deployment), deployment.compose_project, app.compose_file);
+      await AppModel.updateDeploymentStatus(deploymentId, 'running');
+      await AppModel.updateDeploymentConfig(deploymentId, { port_mappings: validation.ports });
+      auditService.annotate(req, { target: { label: deployment.compose_project }, services: validation.services });
+      return res.json({ success: true, message: 'Stack started' });
+    } catch (err) {
+      console.error(`[Deployment Start] Stack ${deployment.compose_project} failed:`, err.message);
+      return res.status(500).json({ error: err.message });
+    }
+  }
+
   const containerRef = deployment.container_name || deployment.container_id;
   if (!containerRef) {
     return res.status(400).json({ error: 'No container reference found' });
@@ -394,132 +574,27 @@ router.post('/:appId/deployments/:deploymentId/start', requireAuth, asyncHandler
         return res.status(404).json({ error: 'App not found' });
       }
 
-      // Parse JSON fields
-      const parseJson = (val) => {
-        if (!val) return null;
-        if (typeof val === 'string') {
-          try { return JSON.parse(val); } catch { return null; }
-        }
-        return val;
-      };
-
-      // Stop and remove the existing container
-      console.log(`[Deployment Start] Stopping and removing old container...`);
-      await connectionManager.executeCommand(
-        {
-          host: deployment.ip,
-          username: deployment.username,
-          privateKeyPath: deployment.private_key_path
-        },
-        `docker stop ${containerRef} 2>/dev/null; docker rm ${containerRef} 2>/dev/null || true`
-      );
-
-      // Build merged config (deployment overrides take precedence)
-      const portMappings = parseJson(deployment.port_mappings) || parseJson(app.ports) || [];
-      const envVars = parseJson(deployment.env_vars) || parseJson(app.env_vars) || [];
-      const volumes = parseJson(deployment.volumes) || parseJson(app.volumes) || [];
-      const restartPolicy = deployment.restart_policy || app.restart_policy || '';
-      const networkMode = deployment.network_mode || app.network_mode || '';
-      const command = deployment.command || app.command || '';
-      const customArgs = deployment.custom_args || app.custom_args || '';
-
-      // Build docker run command
-      let cmd = 'docker run -d';
-      
-      // Container name (reuse same name)
-      cmd += ` --name ${deployment.container_name}`;
-      
-      // Port mappings
-      if (portMappings.length > 0) {
-        portMappings.forEach(port => {
-          if (port.host && port.container) {
-            cmd += ` -p ${port.host}:${port.container}`;
-          }
-        });
-      }
-      
-      // Environment variables
-      if (envVars.length > 0) {
-        envVars.forEach(envVar => {
-          if (envVar.key && envVar.value) {
-            cmd += ` -e "${envVar.key}=${envVar.value}"`;
-          }
-        });
-      }
-      
-      // Volumes
-      if (volumes.length > 0) {
-        volumes.forEach(vol => {
-          if (vol.host && vol.container) {
-            cmd += ` -v ${vol.host}:${vol.container}`;
-          }
-        });
-      }
-      
-      // Restart policy
-      if (restartPolicy) {
-        cmd += ` --restart ${restartPolicy}`;
-      }
-      
-      // Network mode
-      if (networkMode) {
-        cmd += ` --network ${networkMode}`;
-      }
-      
-      // Custom arguments
-      if (customArgs && customArgs.trim()) {
-        cmd += ` ${customArgs.trim()}`;
-      }
-      
-      // Image
-      const image = app.image;
-      const tag = app.tag || 'latest';
-      const fullImage = app.registry_url 
-        ? `${app.registry_url}/${image}:${tag}` 
-        : `${image}:${tag}`;
-      cmd += ` ${fullImage}`;
-      
-      // Command override
-      if (command) {
-        cmd += ` ${command}`;
-      }
-
-      console.log(`[Deployment Start] Running command: ${cmd}`);
-
-      // Run the new container
-      const { stdout, stderr, code } = await connectionManager.executeCommand(
-        {
-          host: deployment.ip,
-          username: deployment.username,
-          privateKeyPath: deployment.private_key_path
-        },
-        cmd
-      );
-
-      if (code === 0) {
-        // Extract new container ID
-        const newContainerId = stdout.trim().substring(0, 12);
-        console.log(`[Deployment Start] Container recreated successfully, new ID: ${newContainerId}`);
-        await AppModel.updateDeploymentStatus(deploymentId, 'running', newContainerId);
-        res.json({ 
-          success: true, 
-          message: 'Container recreated with new configuration', 
-          output: stdout,
-          recreated: true
-        });
-      } else {
-        console.log(`[Deployment Start] Failed to recreate container: ${stderr}`);
-        res.status(500).json({ error: stderr || 'Failed to recreate container' });
-      }
+      const { containerId: newContainerId, output } = await recreateContainer(app, deployment, {
+        reason: 'recreate',
+        userId: req.session.userId
+      });
+      auditService.annotate(req, {
+        target: { label: deployment.container_name },
+        recreated: true,
+        previousContainerId: deployment.container_id,
+        newContainerId
+      });
+      res.json({ 
+        success: true, 
+        message: 'Container recreated with new configuration', 
+        output,
+        recreated: true
+      });
     } else {
       // Simple start without recreation
       console.log(`[Deployment Start] Simple start for container ${containerRef} (no config overrides)`);
       const { stdout, stderr, code } = await connectionManager.executeCommand(
-        {
-          host: deployment.ip,
-          username: deployment.username,
-          privateKeyPath: deployment.private_key_path
-        },
+        buildServerConfig(deployment),
         `docker start ${containerRef}`
       );
 
@@ -540,7 +615,7 @@ router.post('/:appId/deployments/:deploymentId/start', requireAuth, asyncHandler
  * POST /api/apps/:appId/deployments/:deploymentId/stop
  * Stop a running container
  */
-router.post('/:appId/deployments/:deploymentId/stop', requireAuth, asyncHandler(async (req, res) => {
+router.post('/:appId/deployments/:deploymentId/stop', requireAuth, requireAppPermission('operate'), asyncHandler(async (req, res) => {
   const { appId, deploymentId } = req.params;
 
   const deployment = await AppModel.findDeploymentById(deploymentId, appId, req.session.userId);
@@ -549,6 +624,16 @@ router.post('/:appId/deployments/:deploymentId/stop', requireAuth, asyncHandler(
     return res.status(404).json({ error: 'Deployment not found' });
   }
 
+  if (deployment.compose_project) {
+    try {
+      await composeStack.stop(buildServerConfig(deployment), deployment.compose_project);
+      await AppModel.updateDeploymentStatus(deploymentId, 'stopped');
+      return res.json({ success: true, message: 'Stack stopped' });
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  }
+
   const containerRef = deployment.container_name || deployment.container_id;
   if (!containerRef) {
     return res.status(400).json({ error: 'No container reference found' });
@@ -556,11 +641,7 @@ router.post('/:appId/deployments/:deploymentId/stop', requireAuth, asyncHandler(
 
   try {
     const { stdout, stderr, code } = await connectionManager.executeCommand(
-      {
-        host: deployment.ip,
-        username: deployment.username,
-        privateKeyPath: deployment.private_key_path
-      },
+      buildServerConfig(deployment),
       `docker stop ${containerRef}`
     );
 
@@ -576,6 +657,236 @@ router.post('/:appId/deployments/:deploymentId/stop', requireAuth, asyncHandler(
   }
 }));
 
+/**
+ * POST /api/apps/:appId/deployments/:deploymentId/update
+ * Roll a running deployment to another image tag, rolling back if the new container fails its checks
+ * Body: { tag } (defaults to the app's tag). Progress is pushed as `deployment-update-progress`.
+ */
+router.post('/:appId/deployments/:deploymentId/update', requireAuth, requireAppPermission('operate'), asyncHandler(async (req, res) => {
+  const { appId, deploymentId } = req.params;
+  const tag = req.body.tag || req.appData.tag || 'latest';
+
+  if (!IMAGE_TAG_PATTERN.test(tag)) {
+    return res.status(400).json({ error: 'Invalid image tag' });
+  }
+
+  const deployment = await AppModel.findDeploymentById(deploymentId, appId, req.session.userId);
+  if (!deployment) {
+    return res.status(404).json({ error: 'Deployment not found' });
+  }
+  if (deployment.compose_project) {
+    return res.status(400).json({ error: 'Compose stacks are updated by changing image tags in the compose file and starting the stack' });
+  }
+  if (deployment.status !== 'running') {
+    return res.status(400).json({ error: `Only running deployments can be updated (this one is ${deployment.status})` });
+  }
+
+  const previousTag = deployment.image_tag || req.appData.tag || 'latest';
+  auditService.annotate(req, { target: { label: deployment.container_name }, previousTag, tag });
+
+  try {
+    const result = await rollingUpdate.updateDeployment({
+      app: req.appData,
+      deployment,
+      tag,
+      userId: req.session.userId,
+      onProgress: (stage, percent, message) => {
+        if (io) {
+          emitToUser(io, req.session.userId, 'deployment-update-progress', { appId, deploymentId, stage, percent, message });
+        }
+      }
+    });
+    await reportUpdate(req, deployment, tag);
+    res.json({ success: true, ...result });
+  } catch (err) {
+    console.error(`[Deployment Update] ${deployment.container_name} to ${tag} failed:`, err.message);
+    await reportUpdate(req, deployment, tag, err);
+    res.status(500).json({ error: err.message, rolledBack: err.rolledBack !== false });
+  }
+}));
+
+/**
+ * POST /api/apps/:id/update
+ * Roll every running deployment of an app to an image tag, one after another
+ * Stops at the first deployment that fails (after rolling it back); once all succeed the
+ * tag becomes the app's tag, so new deployments use it too.
+ * Body: { tag }. Progress is pushed as `deployment-update-progress`.
+ */
+router.post('/:id/update', requireAuth, requireAppPermission('operate'), asyncHandler(async (req, res) => {
+  const appId = req.params.id;
+  const tag = req.body.tag || req.appData.tag || 'latest';
+
+  if (!IMAGE_TAG_PATTERN.test(tag)) {
+    return res.status(400).json({ error: 'Invalid image tag' });
+  }
+  if (req.appData.type === 'compose') {
+    return res.status(400).json({ error: 'Compose stacks are updated by changing image tags in the compose file and starting the stack' });
+  }
+
+  // Oldest first, and with the server fields each update connects with
+  const listed = await AppModel.findDeployments(appId, req.session.userId);
+  const deployments = (await Promise.all(
+    listed.reverse().map(async (item) => ({
+      ...await AppModel.findDeploymentById(item.id, appId, req.session.userId),
+      server_name: item.server_name
+    }))
+  )).filter(deployment => deployment.id);
+
+  if (!deployments.some(deployment => deployment.status === 'running')) {
+    return res.status(400).json({ error: 'The app has no running deployments to update' });
+  }
+
+  const result = await rollingUpdate.updateDeployments({
+    app: req.appData,
+    deployments,
+    tag,
+    userId: req.session.userId,
+    onProgress: (deployment, stage, percent, message) => {
+      if (io) {
+        emitToUser(io, req.session.userId, 'deployment-update-progress', { appId, deploymentId: deployment.id, stage, percent, message });
+      }
+    }
+  });
+
+  for (const updated of result.updated) {
+    await reportUpdate(req, deployments.find(deployment => deployment.id === updated.deploymentId), tag);
+  }
+  if (result.failed) {
+    const failed = deployments.find(deployment => deployment.id === result.failed.deploymentId);
+    const error = Object.assign(new Error(result.failed.error), { rolledBack: result.failed.rolledBack });
+    await reportUpdate(req, failed, tag, error);
+  } else {
+    await AppModel.update(appId, { tag });
+  }
+
+  auditService.annotate(req, {
+    target: { label: req.appData.name },
+    previousTag: req.appData.tag,
+    tag,
+    updated: result.updated.length,
+    skipped: result.skipped.length,
+    failed: result.failed ? result.failed.deploymentId : null
+  });
+
+  res.status(result.failed ? 500 : 200).json({
+    success: !result.failed,
+    ...result,
+    error: result.failed ? result.failed.error : undefined
+  });
+}));
+
+/**
+ * POST /api/apps/:id/image-updates/check
+ * Compare the images of the app's running containers with their tags in the registry now
+ * (instead of waiting for the periodic check)
+ */
+router.post('/:id/image-updates/check', requireAuth, requireAppPermission('operate'), asyncHandler(async (req, res) => {
+  if (req.appData.type === 'compose') {
+    return res.status(400).json({ error: 'Image updates of compose stacks are not tracked' });
+  }
+
+  const results = await imageUpdates.checkApp(req.appData);
+  auditService.annotate(req, {
+    target: { label: req.appData.name },
+    outdated: results.filter(result => result.outdated).length
+  });
+  res.json(results);
+}));
+
+/**
+ * GET /api/apps/:appId/deployments/:deploymentId/revisions
+ * Container configurations the deployment has run with, newest first
+ */
+router.get('/:appId/deployments/:deploymentId/revisions', requireAuth, asyncHandler(async (req, res) => {
+  const { appId, deploymentId } = req.params;
+
+  const deployment = await AppModel.findDeploymentById(deploymentId, appId, req.session.userId);
+  if (!deployment) {
+    return res.status(404).json({ error: 'Deployment not found' });
+  }
+
+  const revisions = await DeploymentRevisionModel.findByDeployment(deploymentId);
+  res.json(revisions);
+}));
+
+/**
+ * POST /api/apps/:appId/deployments/:deploymentId/revisions/:revisionId/rollback
+ * Re-apply an earlier revision: its settings and image tag become the deployment's and the
+ * container is recreated from them (a running container is replaced, so it is briefly down)
+ */
+router.post('/:appId/deployments/:deploymentId/revisions/:revisionId/rollback', requireAuth, requireAppPermission('operate'), asyncHandler(async (req, res) => {
+  const { appId, deploymentId, revisionId } = req.params;
+
+  const deployment = await AppModel.findDeploymentById(deploymentId, appId, req.session.userId);
+  if (!deployment) {
+    return res.status(404).json({ error: 'Deployment not found' });
+  }
+  if (deployment.compose_project) {
+    return res.status(400).json({ error: 'Compose stacks are configured in the app\'s compose file' });
+  }
+  if (!['running', 'stopped'].includes(deployment.status)) {
+    return res.status(400).json({ error: `Cannot roll back while the deployment is ${deployment.status}` });
+  }
+
+  const revision = await DeploymentRevisionModel.findById(revisionId, deploymentId);
+  if (!revision) {
+    return res.status(404).json({ error: 'Revision not found' });
+  }
+
+  // Only the tag is a deployment setting; the image itself belongs to the app
+  const app = req.appData;
+  if (containerCommand.imageName({ ...app, tag: revision.tag }) !== revision.image) {
+    return res.status(409).json({
+      error: `Revision ${revision.revision} ran ${revision.image}, but the app's image is now ${app.image}`
+    });
+  }
+
+  const { config } = revision;
+  auditService.annotate(req, {
+    target: { label: deployment.container_name },
+    revision: revision.revision,
+    tag: revision.tag
+  });
+
+  try {
+    const result = await recreateContainer(app, deployment, {
+      reason: 'rollback',
+      userId: req.session.userId,
+      rolledBackTo: revision.revision,
+      changes: {
+        port_mappings: config.ports,
+        env_vars: config.envVars,
+        volumes: config.volumes,
+        restart_policy: config.restartPolicy,
+        network_mode: config.networkMode,
+        command: config.command,
+        custom_args: config.customArgs,
+        image_tag: revision.tag
+      }
+    });
+
+    try {
+      await ActivityModel.create(
+        req.session.userId,
+        'info',
+        `Rolled back "${deployment.container_name}" to revision ${revision.revision} (${revision.tag})`
+      );
+    } catch (err) {
+      console.error('Failed to log activity:', err);
+    }
+
+    res.json({
+      success: true,
+      message: `Rolled back to revision ${revision.revision}`,
+      containerId: result.containerId,
+      revision: result.revision
+    });
+  } catch (err) {
+    console.error(`[Deployment Rollback] ${deployment.container_name} to revision ${revision.revision} failed:`, err.message);
+    res.status(500).json({ error: err.message });
+  }
+}));
+
 /**
  * GET /api/apps/:appId/deployments/:deploymentId/stats
  * Get deployment stats
@@ -597,6 +908,26 @@ router.get('/:appId/deployments/:deploymentId/stats', requireAuth, asyncHandler(
     server_ip: deployment.ip
   });
 
+  // A stack's stats are the sum of its containers
+  if (deployment.compose_project) {
+    try {
+      const stats = findDeploymentStats(await getServerContainerStats(buildServerConfig(deployment)), deployment);
+      if (!stats) {
+        return res.json({ error: 'No containers of the stack are running', status: 'stopped' });
+      }
+      return res.json({
+        cpu: stats.cpu,
+        memory: stats.memory,
+        network: stats.network,
+        blockIO: stats.blockIO,
+        containers: stats.containers,
+        status: 'running'
+      });
+    } catch (err) {
+      return res.json({ error: err.message, status: 'error' });
+    }
+  }
+
   // Use container_id if container_name isn't available
   const containerRef = deployment.container_name || deployment.container_id;
   
@@ -604,103 +935,273 @@ router.get('/:appId/deployments/:deploymentId/stats', requireAuth, asyncHandler(
     return res.json({ error: 'No container reference found', status: 'unknown' });
   }
 
-  const statsCmd = `docker stats ${containerRef} --no-stream --format "{{.CPUPerc}}|{{.MemUsage}}|{{.NetIO}}|{{.BlockIO}}"`;
-
   try {
-    const { stdout, stderr, code } = await connectionManager.executeCommand(
-      {
-        host: deployment.ip,
-        username: deployment.username,
-        privateKeyPath: deployment.private_key_path  // Note: DB column is snake_case
-      },
-      statsCmd
-    );
-
-    console.log('Stats command result:', { stdout, stderr, code });
+    const stats = await getContainerStats(buildServerConfig(deployment), containerRef);
 
-    if (code !== 0 || !stdout.trim()) {
-      return res.json({
-        error: stderr || 'Container not running',
-        status: 'stopped'
-      });
+    if (stats.error) {
+      return res.json({ error: stats.error, status: stats.status });
     }
 
-    // Parse stats
-    const parts = stdout.trim().split('|');
-    if (parts.length >= 4) {
-      const result = {
-        cpu: parts[0],
-        memory: parts[1],
-        network: parts[2],
-        blockIO: parts[3],
-        status: 'running'
-      };
+    const result = {
+      cpu: stats.cpu,
+      memory: stats.memory,
+      network: stats.network,
+      blockIO: stats.blockIO,
+      status: 'running'
+    };
+
+    // Try to get GPU stats for containers using NVIDIA GPU
+    // Uses docker inspect to get container ID, then checks nvidia-smi for processes in that container
+    try {
+      // Get container ID and check for GPU usage in a single command
+      const gpuCheckCmd = `
+        CONTAINER_ID=$(docker inspect --format '{{.Id}}' ${containerRef} 2>/dev/null | cut -c1-12)
+        if [ -n "$CONTAINER_ID" ] && command -v nvidia-smi &>/dev/null; then
+          # Get all GPU processes and check if any belong to this container
+          nvidia-smi --query-compute-apps=pid,used_gpu_memory,gpu_name --format=csv,noheader,nounits 2>/dev/null | while IFS=',' read pid mem name; do
+            if cat /proc/$pid/cgroup 2>/dev/null | grep -q "$CONTAINER_ID"; then
+              echo "$mem|$name"
+            fi
+          done
+        fi
+      `;
+      const { stdout: gpuOutput } = await connectionManager.executeCommand(
+        buildServerConfig(deployment),
+        gpuCheckCmd
+      );
 
-      // Try to get GPU stats for containers using NVIDIA GPU
-      // Uses docker inspect to get container ID, then checks nvidia-smi for processes in that container
-      try {
-        // Get container ID and check for GPU usage in a single command
-        const gpuCheckCmd = `
-          CONTAINER_ID=$(docker inspect --format '{{.Id}}' ${containerRef} 2>/dev/null | cut -c1-12)
-          if [ -n "$CONTAINER_ID" ] && command -v nvidia-smi &>/dev/null; then
-            # Get all GPU processes and check if any belong to this container
-            nvidia-smi --query-compute-apps=pid,used_gpu_memory,gpu_name --format=csv,noheader,nounits 2>/dev/null | while IFS=',' read pid mem name; do
-              if cat /proc/$pid/cgroup 2>/dev/null | grep -q "$CONTAINER_ID"; then
-                echo "$mem|$name"
-              fi
-            done
-          fi
-        `;
-        const { stdout: gpuOutput } = await connectionManager.executeCommand(
-          {
-            host: deployment.ip,
-            username: deployment.username,
-            privateKeyPath: deployment.private_key_path
-          },
-          gpuCheckCmd
-        );
-
-        if (gpuOutput && gpuOutput.trim()) {
-          // Sum up GPU memory from all processes in this container
-          const lines = gpuOutput.trim().split('\n');
-          let totalGpuMem = 0;
-          let gpuName = null;
-          
-          for (const line of lines) {
-            const [mem, name] = line.split('|').map(s => s.trim());
-            totalGpuMem += parseInt(mem) || 0;
-            if (!gpuName && name) gpuName = name;
-          }
+      if (gpuOutput && gpuOutput.trim()) {
+        // Sum up GPU memory from all processes in this container
+        const lines = gpuOutput.trim().split('\n');
+        let totalGpuMem = 0;
+        let gpuName = null;
+        
+        for (const line of lines) {
+          const [mem, name] = line.split('|').map(s => s.trim());
+          totalGpuMem += parseInt(mem) || 0;
+          if (!gpuName && name) gpuName = name;
+        }
 
-          if (totalGpuMem > 0 || gpuName) {
-            result.gpu = {
-              memory_used: totalGpuMem,
-              name: gpuName
-            };
-          }
+        if (totalGpuMem > 0 || gpuName) {
+          result.gpu = {
+            memory_used: totalGpuMem,
+            name: gpuName
+          };
         }
-      } catch (gpuErr) {
-        // GPU stats are optional, don't fail if nvidia-smi isn't available
-        console.log('GPU stats not available for container:', gpuErr.message);
       }
-
-      res.json(result);
-    } else {
-      res.json({ error: 'Invalid stats format', status: 'unknown' });
+    } catch (gpuErr) {
+      // GPU stats are optional, don't fail if nvidia-smi isn't available
+      console.log('GPU stats not available for container:', gpuErr.message);
     }
+
+    res.json(result);
   } catch (err) {
     console.error('Stats error:', err);
     res.json({ error: err.message, status: 'error' });
   }
 }));
 
+/**
+ * GET /api/apps/:appId/deployments/:deploymentId/stats/history
+ * Get container stats history of a deployment (sampled with the server metrics)
+ * Query: hours (default 24)
+ */
+router.get('/:appId/deployments/:deploymentId/stats/history', requireAuth, asyncHandler(async (req, res) => {
+  const { appId, deploymentId } = req.params;
+
+  const deployment = await AppModel.findDeploymentById(deploymentId, appId, req.session.userId);
+  if (!deployment) {
+    return res.status(404).json({ error: 'Deployment not found' });
+  }
+
+  const hours = parseInt(req.query.hours) || 24;
+  const history = await ContainerStatsModel.getHistory(deploymentId, hours);
+
+  res.json(history);
+}));
+
+/**
+ * GET /api/apps/:appId/deployments/:deploymentId/services
+ * Get the containers of a compose stack with their service, state and live stats
+ */
+router.get('/:appId/deployments/:deploymentId/services', requireAuth, asyncHandler(async (req, res) => {
+  const { appId, deploymentId } = req.params;
+
+  const deployment = await AppModel.findDeploymentById(deploymentId, appId, req.session.userId);
+  if (!deployment) {
+    return res.status(404).json({ error: 'Deployment not found' });
+  }
+  if (!deployment.compose_project) {
+    return res.status(400).json({ error: 'Deployment is not a compose stack' });
+  }
+
+  const serverConfig = buildServerConfig(deployment);
+  const services = await composeStack.listServices(serverConfig, deployment.compose_project);
+
+  // Stats only exist for running containers; a stopped stack just lists its services
+  let stats = new Map();
+  if (services.some(service => service.state === 'running')) {
+    try {
+      stats = await getServerContainerStats(serverConfig);
+    } catch (err) {
+      console.warn(`Failed to read stats of stack ${deployment.compose_project}:`, err.message);
+    }
+  }
+
+  res.json(services.map(service => {
+    const serviceStats = stats.get(service.name);
+    return {
+      ...service,
+      stats: serviceStats ? {
+        cpu: serviceStats.cpu,
+        memory: serviceStats.memory,
+        network: serviceStats.network,
+        blockIO: serviceStats.blockIO
+      } : null
+    };
+  }));
+}));
+
+/**
+ * GET /api/apps/:appId/deployments/:deploymentId/checks
+ * Get the health checks of a deployment with their latest results
+ */
+router.get('/:appId/deployments/:deploymentId/checks', requireAuth, asyncHandler(async (req, res) => {
+  const { appId, deploymentId } = req.params;
+
+  const deployment = await AppModel.findDeploymentById(deploymentId, appId, req.session.userId);
+  if (!deployment) {
+    return res.status(404).json({ error: 'Deployment not found' });
+  }
+
+  res.json({
+    health: deployment.health_status || null,
+    healthCheckedAt: deployment.health_checked_at || null,
+    checks: await DeploymentCheckModel.findByDeployment(deploymentId)
+  });
+}));
+
+/**
+ * POST /api/apps/:appId/deployments/:deploymentId/checks
+ * Add a health check to a deployment
+ * Body: { name, type: 'http'|'tcp'|'exec', source: 'backend'|'server', config, intervalSeconds, timeoutSeconds, maxResponseMs, enabled }
+ */
+router.post('/:appId/deployments/:deploymentId/checks', requireAuth, requireAppPermission('operate'), asyncHandler(async (req, res) => {
+  const { appId, deploymentId } = req.params;
+
+  const deployment = await AppModel.findDeploymentById(deploymentId, appId, req.session.userId);
+  if (!deployment) {
+    return res.status(404).json({ error: 'Deployment not found' });
+  }
+
+  if (await DeploymentCheckModel.countByDeployment(deploymentId) >= DEPLOYMENT_CHECK_CONFIG.maxChecksPerDeployment) {
+    return res.status(400).json({ error: `A deployment can have at most ${DEPLOYMENT_CHECK_CONFIG.maxChecksPerDeployment} checks` });
+  }
+
+  const { check, error } = checkService.normalizeCheck(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  if (check.type === 'exec' && deployment.compose_project) {
+    return res.status(400).json({ error: 'Command checks are not supported for compose stacks: use an HTTP or TCP check' });
+  }
+
+  const created = await DeploymentCheckModel.create({ ...check, deploymentId });
+  auditService.annotate(req, { target: { type: 'check', id: created.id, label: `${deployment.container_name}: ${created.name}` } });
+
+  res.status(201).json(created);
+}));
+
+/**
+ * PUT /api/apps/:appId/deployments/:deploymentId/checks/:checkId
+ * Update a health check (clears its last result)
+ */
+router.put('/:appId/deployments/:deploymentId/checks/:checkId', requireAuth, requireAppPermission('operate'), asyncHandler(async (req, res) => {
+  const { appId, deploymentId, checkId } = req.params;
+
+  const deployment = await AppModel.findDeploymentById(deploymentId, appId, req.session.userId);
+  const existing = deployment ? await DeploymentCheckModel.findById(checkId) : null;
+  if (!existing || existing.deploymentId !== deploymentId) {
+    return res.status(404).json({ error: 'Check not found' });
+  }
+
+  const { check, error } = checkService.normalizeCheck({ ...existing, ...req.body });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  if (check.type === 'exec' && deployment.compose_project) {
+    return res.status(400).json({ error: 'Command checks are not supported for compose stacks: use an HTTP or TCP check' });
+  }
+
+  const updated = await DeploymentCheckModel.update(checkId, check);
+  await checkService.refreshDeploymentHealth(deploymentId);
+  auditService.annotate(req, { target: { label: `${deployment.container_name}: ${updated.name}` } });
+  auditService.annotateChanges(req, existing, updated, CHECK_AUDIT_FIELDS);
+
+  res.json(updated);
+}));
+
+/**
+ * DELETE /api/apps/:appId/deployments/:deploymentId/checks/:checkId
+ * Remove a health check and its results
+ */
+router.delete('/:appId/deployments/:deploymentId/checks/:checkId', requireAuth, requireAppPermission('operate'), asyncHandler(async (req, res) => {
+  const { appId, deploymentId, checkId } = req.params;
+
+  const deployment = await AppModel.findDeploymentById(deploymentId, appId, req.session.userId);
+  const existing = deployment ? await DeploymentCheckModel.findById(checkId) : null;
+  if (!existing || existing.deploymentId !== deploymentId) {
+    return res.status(404).json({ error: 'Check not found' });
+  }
+
+  await DeploymentCheckModel.remove(checkId);
+  await checkService.refreshDeploymentHealth(deploymentId);
+  auditService.annotate(req, { target: { label: `${deployment.container_name}: ${existing.name}` } });
+
+  res.json({ success: true });
+}));
+
+/**
+ * POST /api/apps/:appId/deployments/:deploymentId/checks/:checkId/run
+ * Run a health check now (the deployment must be running and the check enabled)
+ */
+router.post('/:appId/deployments/:deploymentId/checks/:checkId/run', requireAuth, requireAppPermission('operate'), asyncHandler(async (req, res) => {
+  const { appId, deploymentId, checkId } = req.params;
+
+  const deployment = await AppModel.findDeploymentById(deploymentId, appId, req.session.userId);
+  const check = deployment ? await checkService.findRunnableCheck(checkId) : null;
+  if (!check || check.deploymentId !== deploymentId) {
+    return res.status(400).json({ error: 'Only enabled checks of running deployments can be run' });
+  }
+
+  res.json(await checkService.runCheck(check));
+}));
+
+/**
+ * GET /api/apps/:appId/deployments/:deploymentId/checks/:checkId/results
+ * Get the results (with response times) of a health check
+ * Query: hours (default 24)
+ */
+router.get('/:appId/deployments/:deploymentId/checks/:checkId/results', requireAuth, asyncHandler(async (req, res) => {
+  const { appId, deploymentId, checkId } = req.params;
+
+  const deployment = await AppModel.findDeploymentById(deploymentId, appId, req.session.userId);
+  const check = deployment ? await DeploymentCheckModel.findById(checkId) : null;
+  if (!check || check.deploymentId !== deploymentId) {
+    return res.status(404).json({ error: 'Check not found' });
+  }
+
+  const hours = Math.min(parseInt(req.query.hours) || 24, DEPLOYMENT_CHECK_CONFIG.resultRetentionDays * 24);
+  res.json(await DeploymentCheckModel.getResults(checkId, hours));
+}));
+
 /**
  * GET /api/apps/:appId/deployments/:deploymentId/logs
  * Get deployment container logs
  */
 router.get('/:appId/deployments/:deploymentId/logs', requireAuth, asyncHandler(async (req, res) => {
   const { appId, deploymentId } = req.params;
-  const { lines = 100 } = req.query;
+  const lines = Math.max(1, Math.min(parseInt(req.query.lines, 10) || 100, MAX_LOG_LINES));
 
   const deployment = await AppModel.findDeploymentById(deploymentId, appId, req.session.userId);
   
@@ -708,21 +1209,35 @@ router.get('/:appId/deployments/:deploymentId/logs', requireAuth, asyncHandler(a
     return res.status(404).json({ error: 'Deployment not found' });
   }
 
+  // Stacks log per service, or all services interleaved
+  if (deployment.compose_project) {
+    const { service } = req.query;
+    if (service !== undefined && !/^[a-zA-Z0-9][a-zA-Z0-9_.-]*$/.test(service)) {
+      return res.status(400).json({ error: 'Invalid service name' });
+    }
+    try {
+      const logs = await composeStack.getLogs(buildServerConfig(deployment), deployment.compose_project, {
+        service: service || null,
+        tail: lines
+      });
+      return res.json({ logs: logs || 'No logs available', error: null });
+    } catch (err) {
+      console.error('Logs error:', err);
+      return res.json({ error: err.message, logs: '' });
+    }
+  }
+
   const containerRef = deployment.container_name || deployment.container_id;
   
   if (!containerRef) {
     return res.json({ error: 'No container reference found', logs: '' });
   }
 
-  const logsCmd = `docker logs ${containerRef} --tail ${lines} 2>&1`;
+  const logsCmd = `${shellEscape(['docker', 'logs', containerRef, '--tail', String(lines)])} 2>&1`;
 
   try {
     const { stdout, stderr, code } = await connectionManager.executeCommand(
-      {
-        host: deployment.ip,
-        username: deployment.username,
-        privateKeyPath: deployment.private_key_path
-      },
+      buildServerConfig(deployment),
       logsCmd
     );
 
@@ -739,7 +1254,7 @@ router.get('/:appId/deployments/:deploymentId/logs', requireAuth, asyncHandler(a
  * PUT /api/apps/:appId/deployments/:deploymentId
  * Update deployment configuration (only when stopped)
  */
-router.put('/:appId/deployments/:deploymentId', requireAuth, asyncHandler(async (req, res) => {
+router.put('/:appId/deployments/:deploymentId', requireAuth, requireAppPermission('operate'), asyncHandler(async (req, res) => {
   const { appId, deploymentId } = req.params;
 
   const deployment = await AppModel.findDeploymentById(deploymentId, appId, req.session.userId);
@@ -769,6 +1284,13 @@ router.put('/:appId/deployments/:deploymentId', requireAuth, asyncHandler(async
     command !== undefined || custom_args !== undefined || web_ui_port !== undefined;
   const isMetadataOnlyUpdate = hasMetadataFields && !hasContainerConfigFields;
 
+  // A stack's containers are configured by the app's compose file
+  const hasStackConfigFields = [port_mappings, env_vars, volumes, restart_policy, network_mode, command, custom_args]
+    .some(value => value !== undefined);
+  if (deployment.compose_project && hasStackConfigFields) {
+    return res.status(400).json({ error: 'Compose stacks are configured in the app\'s compose file' });
+  }
+
   // Only allow editing container config on stopped containers
   if (!isMetadataOnlyUpdate && deployment.status === 'running') {
     return res.status(400).json({ error: 'Cannot edit a running deployment. Stop the container first.' });
@@ -831,6 +1353,10 @@ router.put('/:appId/deployments/:deploymentId', requireAuth, asyncHandler(async
     nickname
   });
 
+  const updatedDeployment = await AppModel.findDeploymentById(deploymentId, appId, req.session.userId);
+  auditService.annotate(req, { target: { label: deployment.container_name } });
+  auditService.annotateChanges(req, deployment, updatedDeployment, DEPLOYMENT_AUDIT_FIELDS);
+
   // Log activity
   try {
     await ActivityModel.create(
@@ -891,6 +1417,10 @@ router.get('/:appId/deployments/:deploymentId/files', requireAuth, asyncHandler(
     return res.status(404).json({ error: 'Deployment not found' });
   }
 
+  if (deployment.compose_project) {
+    return res.status(400).json({ error: 'The file browser works on single containers, not compose stacks' });
+  }
+
   const containerRef = deployment.container_name || deployment.container_id;
   if (!containerRef) {
     return res.status(400).json({ error: 'No container reference found' });
@@ -898,11 +1428,7 @@ router.get('/:appId/deployments/:deploymentId/files', requireAuth, asyncHandler(
 
   try {
     const result = await containerFileService.listContainerFiles(
-      { 
-        host: deployment.ip,
-        username: deployment.username,
-        privateKeyPath: deployment.private_key_path
-      },
+      buildServerConfig(deployment),
       containerRef,
       path
     );
@@ -931,6 +1457,10 @@ router.get('/:appId/deployments/:deploymentId/files/read', requireAuth, asyncHan
     return res.status(404).json({ error: 'Deployment not found' });
   }
 
+  if (deployment.compose_project) {
+    return res.status(400).json({ error: 'The file browser works on single containers, not compose stacks' });
+  }
+
   const containerRef = deployment.container_name || deployment.container_id;
   if (!containerRef) {
     return res.status(400).json({ error: 'No container reference found' });
@@ -938,11 +1468,7 @@ router.get('/:appId/deployments/:deploymentId/files/read', requireAuth, asyncHan
 
   try {
     const content = await containerFileService.readContainerFile(
-      { 
-        host: deployment.ip,
-        username: deployment.username,
-        privateKeyPath: deployment.private_key_path
-      },
+      buildServerConfig(deployment),
       containerRef,
       filePath
     );
@@ -957,7 +1483,7 @@ router.get('/:appId/deployments/:deploymentId/files/read', requireAuth, asyncHan
  * PUT /api/apps/:appId/deployments/:deploymentId/files/write
  * Write file content to container volume
  */
-router.put('/:appId/deployments/:deploymentId/files/write', requireAuth, asyncHandler(async (req, res) => {
+router.put('/:appId/deployments/:deploymentId/files/write', requireAuth, requireAppPermission('operate'), asyncHandler(async (req, res) => {
   const { appId, deploymentId } = req.params;
   const { path: filePath, content } = req.body;
 
@@ -975,6 +1501,10 @@ router.put('/:appId/deployments/:deploymentId/files/write', requireAuth, asyncHa
     return res.status(404).json({ error: 'Deployment not found' });
   }
 
+  if (deployment.compose_project) {
+    return res.status(400).json({ error: 'The file browser works on single containers, not compose stacks' });
+  }
+
   const containerRef = deployment.container_name || deployment.container_id;
   if (!containerRef) {
     return res.status(400).json({ error: 'No container reference found' });
@@ -982,11 +1512,7 @@ router.put('/:appId/deployments/:deploymentId/files/write', requireAuth, asyncHa
 
   // Check if container is running - only allow editing when stopped
   const isRunning = await containerFileService.isContainerRunning(
-    { 
-      host: deployment.ip,
-      username: deployment.username,
-      privateKeyPath: deployment.private_key_path
-    },
+    buildServerConfig(deployment),
     containerRef
   );
 
@@ -994,18 +1520,21 @@ router.put('/:appId/deployments/:deploymentId/files/write', requireAuth, asyncHa
     return res.status(400).json({ error: 'Cannot edit files while container is running. Stop the container first.' });
   }
 
+  // Keep the previous content for the audit log (a new file has none)
+  const previousContent = await containerFileService.readContainerFile(buildServerConfig(deployment), containerRef, filePath)
+    .catch(() => null);
+
   try {
     await containerFileService.writeContainerFile(
-      { 
-        host: deployment.ip,
-        username: deployment.username,
-        privateKeyPath: deployment.private_key_path
-      },
+      buildServerConfig(deployment),
       containerRef,
       filePath,
       content
     );
 
+    auditService.annotate(req, { target: { label: containerRef }, path: filePath });
+    auditService.annotateContent(req, previousContent, content);
+
     res.json({ success: true, message: 'File saved successfully', path: filePath });
   } catch (error) {
     res.status(500).json({ error: error.message || 'Failed to write file' });
@@ -1030,6 +1559,10 @@ router.get('/:appId/deployments/:deploymentId/files/info', requireAuth, asyncHan
     return res.status(404).json({ error: 'Deployment not found' });
   }
 
+  if (deployment.compose_project) {
+    return res.status(400).json({ error: 'The file browser works on single containers, not compose stacks' });
+  }
+
   const containerRef = deployment.container_name || deployment.container_id;
   if (!containerRef) {
     return res.status(400).json({ error: 'No container reference found' });
@@ -1037,11 +1570,7 @@ router.get('/:appId/deployments/:deploymentId/files/info', requireAuth, asyncHan
 
   try {
     const info = await containerFileService.getContainerFileInfo(
-      { 
-        host: deployment.ip,
-        username: deployment.username,
-        privateKeyPath: deployment.private_key_path
-      },
+      buildServerConfig(deployment),
       containerRef,
       filePath
     );
@@ -1078,16 +1607,16 @@ router.get('/:appId/deployments/:deploymentId/files/download', requireAuth, asyn
     return res.status(404).json({ error: 'Deployment not found' });
   }
 
+  if (deployment.compose_project) {
+    return res.status(400).json({ error: 'The file browser works on single containers, not compose stacks' });
+  }
+
   const containerRef = deployment.container_name || deployment.container_id;
   if (!containerRef) {
     return res.status(400).json({ error: 'No container reference found' });
   }
 
-  const serverConfig = { 
-    host: deployment.ip,
-    username: deployment.username,
-    privateKeyPath: deployment.private_key_path
-  };
+  const serverConfig = buildServerConfig(deployment);
 
   try {
     // Get file info first to determine if it's a directory
@@ -1128,4 +1657,5 @@ router.get('/:appId/deployments/:deploymentId/files/download', requireAuth, asyn
   }
 }));
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
+module.exports.setSocketIO = setSocketIO;
@@ -1,45 +1,195 @@
 const express = require('express');
+const { rateLimit } = require('express-rate-limit');
 const router = express.Router();
-const { UserModel } = require('../models');
-const { asyncHandler } = require('../middleware');
+const { UserModel, TeamModel, SystemSettingsModel, ActivityModel, SessionModel } = require('../models');
+const { requireSession, requireEnrollmentSession, asyncHandler } = require('../middleware');
+const { ACCOUNT_CONFIG, TWO_FACTOR_CONFIG, LOGIN_THROTTLE_CONFIG } = require('../config');
+const accountService = require('../services/accountService');
+const twoFactorService = require('../services/twoFactorService');
+
+/**
+ * Per-IP throttling of login attempts (only failed requests count)
+ */
+const loginLimiter = rateLimit({
+  windowMs: LOGIN_THROTTLE_CONFIG.ipWindowMs,
+  limit: LOGIN_THROTTLE_CONFIG.ipMaxAttempts,
+  skipSuccessfulRequests: true,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  message: { error: 'Too many login attempts from this address, please try again later' }
+});
+
+/**
+ * Shape a user row for API responses
+ * @param {Object} user - User row
+ * @returns {Object}
+ */
+function toPublicUser(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    isAdmin: Boolean(user.is_admin),
+    twoFactorEnabled: Boolean(user.totp_enabled),
+    createdAt: user.created_at
+  };
+}
+
+/**
+ * Log account activity without failing the request
+ */
+async function logActivity(userId, type, message) {
+  try {
+    await ActivityModel.create(userId, type, message);
+  } catch (err) {
+    console.error('Failed to log activity:', err);
+  }
+}
+
+/**
+ * Replace the session with a new one under a fresh ID
+ * Called whenever a session gains privileges, so an ID planted before login is worthless after it
+ * @param {Object} req - Express request
+ * @returns {Promise<void>}
+ */
+function regenerateSession(req) {
+  return new Promise((resolve, reject) => {
+    req.session.regenerate(err => (err ? reject(err) : resolve()));
+  });
+}
+
+/**
+ * Complete a login: move to a new session, attach the user to it and flag it if the
+ * admin requires 2FA and the user has not set it up yet
+ * @param {Object} req - Express request
+ * @param {Object} user - User row
+ * @returns {Promise<Object>} - Response body
+ */
+async function completeLogin(req, user) {
+  const { twoFactorRequired } = await SystemSettingsModel.getAccountSettings();
+  const twoFactorSetupRequired = twoFactorRequired && !user.totp_enabled;
+
+  await regenerateSession(req);
+  req.session.userId = user.id;
+  req.session.client = {
+    ip: req.ip,
+    userAgent: req.get('user-agent') || null,
+    createdAt: new Date().toISOString()
+  };
+  if (twoFactorSetupRequired) {
+    req.session.twoFactorSetupRequired = true;
+  }
+  await UserModel.resetFailedLogins(user.id);
+
+  return { user: { ...toPublicUser(user), twoFactorSetupRequired } };
+}
+
+/**
+ * Response for a locked account
+ * @param {Object} res - Express response
+ * @param {Date|string} lockedUntil - Lock expiry
+ */
+function sendLocked(res, lockedUntil) {
+  const minutes = Math.max(1, Math.ceil((new Date(lockedUntil) - Date.now()) / 60000));
+  return res.status(429).json({
+    error: `Too many failed login attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`,
+    lockedUntil: new Date(lockedUntil).toISOString()
+  });
+}
+
+/**
+ * Check a TOTP code and use it up, so it can't be replayed while it is still valid
+ * @param {string} userId - User ID
+ * @param {Object} twoFactor - Result of UserModel.getTwoFactor
+ * @param {string} code - Code entered by the user
+ * @returns {Promise<boolean>}
+ */
+async function verifyTotpCode(userId, twoFactor, code) {
+  const step = twoFactorService.verifyCode(twoFactor.secret, code, twoFactor.lastStep);
+  return step !== null && UserModel.useTotpStep(userId, step);
+}
+
+/**
+ * Check a second factor: a TOTP code, or else a one-time recovery code
+ * @param {string} userId - User ID
+ * @param {Object} twoFactor - Result of UserModel.getTwoFactor
+ * @param {Object} factors - { code, recoveryCode }
+ * @returns {Promise<boolean>}
+ */
+async function verifySecondFactor(userId, twoFactor, { code, recoveryCode }) {
+  if (code) {
+    return verifyTotpCode(userId, twoFactor, code);
+  }
+  if (recoveryCode) {
+    return UserModel.useRecoveryCode(userId, twoFactorService.normalizeRecoveryCode(recoveryCode));
+  }
+  return false;
+}
 
 /**
  * GET /api/auth/has-users
  * Check if any users exist (for first-time setup redirect)
+ * and whether public registration is open
  */
 router.get('/has-users', asyncHandler(async (req, res) => {
   const hasUsers = await UserModel.hasUsers();
-  res.json({ hasUsers });
+  const { registrationOpen } = await SystemSettingsModel.getAccountSettings();
+  res.json({ hasUsers, registrationOpen: !hasUsers || registrationOpen });
 }));
 
 /**
  * POST /api/auth/register
  * Register a new user
+ * The first user becomes an admin. When public registration is closed,
+ * an invitation token from an admin is required.
  */
 router.post('/register', asyncHandler(async (req, res) => {
-  const { email, password, name } = req.body;
+  const { email, password, name, inviteToken } = req.body;
 
   if (!email || !password || !name) {
     return res.status(400).json({ error: 'Email, password, and name are required' });
   }
 
+  if (password.length < ACCOUNT_CONFIG.minPasswordLength) {
+    return res.status(400).json({ error: `Password must be at least ${ACCOUNT_CONFIG.minPasswordLength} characters` });
+  }
+
+  const isFirstUser = !(await UserModel.hasUsers());
+  const { registrationOpen } = await SystemSettingsModel.getAccountSettings();
+
+  let invitation = null;
+  if (inviteToken) {
+    invitation = await UserModel.findInvitationByToken(inviteToken);
+    if (!invitation) {
+      return res.status(400).json({ error: 'Invitation is invalid or has expired' });
+    }
+    if (invitation.email !== email.trim().toLowerCase()) {
+      return res.status(400).json({ error: 'This invitation was issued for a different email address' });
+    }
+  } else if (!isFirstUser && !registrationOpen) {
+    return res.status(403).json({ error: 'Registration is closed. Ask an administrator for an invitation.' });
+  }
+
   // Check if user already exists
   const existingUser = await UserModel.findByEmail(email);
   if (existingUser) {
     return res.status(400).json({ error: 'User already exists' });
   }
 
-  const user = await UserModel.createUser(email, password, name);
-  req.session.userId = user.id;
+  const user = await UserModel.createUser(email, password, name, { isAdmin: isFirstUser });
+  await TeamModel.create(`${name}'s Team`, user.id);
+  if (invitation) {
+    await UserModel.removeInvitation(invitation.id);
+  }
 
-  res.json({ user });
+  res.json(await completeLogin(req, await UserModel.findById(user.id)));
 }));
 
 /**
  * POST /api/auth/login
  * Login user
  */
-router.post('/login', asyncHandler(async (req, res) => {
+router.post('/login', loginLimiter, asyncHandler(async (req, res) => {
   const { email, password } = req.body;
 
   if (!email || !password) {
@@ -51,20 +201,82 @@ router.post('/login', asyncHandler(async (req, res) => {
     return res.status(401).json({ error: 'Invalid credentials' });
   }
 
+  const lockedUntil = UserModel.getLockExpiry(user);
+  if (lockedUntil) {
+    return sendLocked(res, lockedUntil);
+  }
+
   const validPassword = await UserModel.verifyPassword(password, user.password);
   if (!validPassword) {
+    const newLock = await UserModel.recordFailedLogin(user.id);
+    if (newLock) {
+      await logActivity(user.id, 'error', `Account locked after repeated failed logins from ${req.ip}`);
+      return sendLocked(res, newLock);
+    }
     return res.status(401).json({ error: 'Invalid credentials' });
   }
 
-  req.session.userId = user.id;
+  if (user.disabled) {
+    return res.status(403).json({ error: 'This account has been disabled' });
+  }
 
-  res.json({
-    user: {
-      id: user.id,
-      email: user.email,
-      name: user.name
+  // With 2FA the session only gets the user once the code is checked
+  if (user.totp_enabled) {
+    await regenerateSession(req);
+    req.session.pendingTwoFactor = {
+      userId: user.id,
+      expiresAt: Date.now() + TWO_FACTOR_CONFIG.loginTimeout,
+      attempts: 0
+    };
+    return res.json({ twoFactorRequired: true });
+  }
+
+  res.json(await completeLogin(req, user));
+}));
+
+/**
+ * POST /api/auth/login/2fa
+ * Second login step for users with two-factor authentication
+ * Body: { code } or { recoveryCode }
+ */
+router.post('/login/2fa', loginLimiter, asyncHandler(async (req, res) => {
+  const pending = req.session.pendingTwoFactor;
+
+  if (!pending || pending.expiresAt < Date.now()) {
+    delete req.session.pendingTwoFactor;
+    return res.status(401).json({ error: 'Login expired, please sign in again', loginExpired: true });
+  }
+
+  const user = await UserModel.findById(pending.userId);
+  const twoFactor = await UserModel.getTwoFactor(pending.userId);
+  if (!user || user.disabled || !twoFactor || !twoFactor.enabled) {
+    delete req.session.pendingTwoFactor;
+    return res.status(401).json({ error: 'Login expired, please sign in again', loginExpired: true });
+  }
+
+  if (!(await verifySecondFactor(user.id, twoFactor, req.body))) {
+    // Wrong codes count towards the account lockout as well
+    const newLock = await UserModel.recordFailedLogin(user.id);
+    if (newLock) {
+      delete req.session.pendingTwoFactor;
+      await logActivity(user.id, 'error', `Account locked after repeated failed logins from ${req.ip}`);
+      return sendLocked(res, newLock);
     }
-  });
+
+    pending.attempts += 1;
+    if (pending.attempts >= TWO_FACTOR_CONFIG.maxAttempts) {
+      delete req.session.pendingTwoFactor;
+      return res.status(401).json({ error: 'Too many invalid codes, please sign in again', loginExpired: true });
+    }
+    return res.status(401).json({ error: 'Invalid authentication code' });
+  }
+
+  delete req.session.pendingTwoFactor;
+  if (req.body.recoveryCode) {
+    await logActivity(user.id, 'info', 'Signed in with a recovery code');
+  }
+
+  res.json(await completeLogin(req, user));
 }));
 
 /**
@@ -94,7 +306,239 @@ router.get('/me', asyncHandler(async (req, res) => {
     return res.status(404).json({ error: 'User not found' });
   }
 
-  res.json({ user });
+  // Sessions from before 2FA was made mandatory are flagged here too
+  const { twoFactorRequired } = await SystemSettingsModel.getAccountSettings();
+  const twoFactorSetupRequired = twoFactorRequired && !user.totp_enabled;
+  if (twoFactorSetupRequired) {
+    req.session.twoFactorSetupRequired = true;
+  } else {
+    delete req.session.twoFactorSetupRequired;
+  }
+
+  res.json({ user: { ...toPublicUser(user), twoFactorSetupRequired } });
+}));
+
+/**
+ * PUT /api/auth/password
+ * Change the current user's password
+ * Body: { currentPassword, newPassword }
+ * Other sessions of the user are signed out
+ */
+router.put('/password', requireSession, asyncHandler(async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  if (!currentPassword || !newPassword) {
+    return res.status(400).json({ error: 'Current and new password are required' });
+  }
+
+  if (newPassword.length < ACCOUNT_CONFIG.minPasswordLength) {
+    return res.status(400).json({ error: `Password must be at least ${ACCOUNT_CONFIG.minPasswordLength} characters` });
+  }
+
+  const passwordHash = await UserModel.getPasswordHash(req.session.userId);
+  if (!passwordHash || !(await UserModel.verifyPassword(currentPassword, passwordHash))) {
+    return res.status(401).json({ error: 'Current password is incorrect' });
+  }
+
+  await UserModel.updateUser(req.session.userId, { password: newPassword });
+  await accountService.destroyUserSessions(req.app.get('io'), req.session.userId, req.sessionID);
+  await logActivity(req.session.userId, 'info', 'Password changed');
+
+  res.json({ success: true });
+}));
+
+/**
+ * DELETE /api/auth/account
+ * Delete the current user's account
+ * Body: { password }
+ * Fails with 409 while the user is the only owner of a team that has other members
+ */
+router.delete('/account', requireSession, asyncHandler(async (req, res) => {
+  const { password } = req.body;
+
+  if (!password) {
+    return res.status(400).json({ error: 'Password is required' });
+  }
+
+  const passwordHash = await UserModel.getPasswordHash(req.session.userId);
+  if (!passwordHash || !(await UserModel.verifyPassword(password, passwordHash))) {
+    return res.status(401).json({ error: 'Password is incorrect' });
+  }
+
+  const blockers = await accountService.findOwnershipBlockers(req.session.userId);
+  if (blockers.length > 0) {
+    return res.status(409).json({
+      error: 'Transfer ownership of your shared teams or remove their other members first',
+      teams: blockers
+    });
+  }
+
+  const user = await UserModel.findById(req.session.userId);
+  if (user.is_admin && await UserModel.countAdmins() <= 1 && (await UserModel.findAll()).length > 1) {
+    return res.status(409).json({ error: 'Make another user an admin before deleting the last admin account' });
+  }
+
+  const removed = await accountService.deleteAccount(req.session.userId, req.app.get('io'));
+
+  res.clearCookie('connect.sid');
+  res.json({ success: true, removed });
+}));
+
+// ==================== Active Sessions ====================
+
+/**
+ * GET /api/auth/sessions
+ * List the current user's signed-in browsers/devices
+ */
+router.get('/sessions', requireSession, asyncHandler(async (req, res) => {
+  const sessions = await SessionModel.findByUser(req.session.userId, req.sessionID);
+  res.json(sessions);
+}));
+
+/**
+ * DELETE /api/auth/sessions
+ * Sign out every other session of the current user
+ */
+router.delete('/sessions', requireSession, asyncHandler(async (req, res) => {
+  const count = await accountService.destroyUserSessions(req.app.get('io'), req.session.userId, req.sessionID);
+  res.json({ success: true, count });
+}));
+
+/**
+ * DELETE /api/auth/sessions/:id
+ * Sign out one session (use POST /logout for the current one)
+ */
+router.delete('/sessions/:id', requireSession, asyncHandler(async (req, res) => {
+  if (req.params.id === SessionModel.publicId(req.sessionID)) {
+    return res.status(400).json({ error: 'Use logout to end the current session' });
+  }
+
+  const removed = await accountService.revokeSession(req.app.get('io'), req.session.userId, req.params.id);
+  if (!removed) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+
+  res.json({ success: true });
+}));
+
+// ==================== Two-Factor Authentication ====================
+
+/**
+ * GET /api/auth/2fa
+ * Get the current user's two-factor status
+ */
+router.get('/2fa', requireEnrollmentSession, asyncHandler(async (req, res) => {
+  const twoFactor = await UserModel.getTwoFactor(req.session.userId);
+  const { twoFactorRequired } = await SystemSettingsModel.getAccountSettings();
+
+  res.json({
+    enabled: twoFactor.enabled,
+    required: twoFactorRequired,
+    recoveryCodesRemaining: twoFactor.enabled ? await UserModel.countRecoveryCodes(req.session.userId) : 0
+  });
+}));
+
+/**
+ * POST /api/auth/2fa/setup
+ * Start enrollment: generate a secret and return it with a QR code
+ * 2FA is only turned on once a code is confirmed via /2fa/enable
+ */
+router.post('/2fa/setup', requireEnrollmentSession, asyncHandler(async (req, res) => {
+  const user = await UserModel.findById(req.session.userId);
+  if (user.totp_enabled) {
+    return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+  }
+
+  const secret = twoFactorService.generateSecret();
+  await UserModel.setPendingTotpSecret(user.id, secret);
+
+  const otpauthUrl = twoFactorService.getOtpauthUrl(secret, user.email);
+  const qrCode = await twoFactorService.generateQrCode(otpauthUrl);
+
+  res.json({ secret, otpauthUrl, qrCode });
+}));
+
+/**
+ * POST /api/auth/2fa/enable
+ * Confirm enrollment with a code from the authenticator app
+ * Body: { code }
+ * Returns the recovery codes, which are only shown once
+ */
+router.post('/2fa/enable', requireEnrollmentSession, asyncHandler(async (req, res) => {
+  const twoFactor = await UserModel.getTwoFactor(req.session.userId);
+
+  if (twoFactor.enabled) {
+    return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+  }
+  if (!twoFactor.secret) {
+    return res.status(400).json({ error: 'Start the setup first' });
+  }
+  if (!(await verifyTotpCode(req.session.userId, twoFactor, req.body.code))) {
+    return res.status(400).json({ error: 'Invalid authentication code' });
+  }
+
+  const recoveryCodes = twoFactorService.generateRecoveryCodes();
+  await UserModel.enableTwoFactor(req.session.userId, recoveryCodes);
+  delete req.session.twoFactorSetupRequired;
+
+  // Other sessions were opened with the password alone
+  await accountService.destroyUserSessions(req.app.get('io'), req.session.userId, req.sessionID);
+  await logActivity(req.session.userId, 'success', 'Two-factor authentication enabled');
+
+  res.json({ recoveryCodes });
+}));
+
+/**
+ * POST /api/auth/2fa/disable
+ * Turn off two-factor authentication
+ * Body: { password, code } or { password, recoveryCode }
+ */
+router.post('/2fa/disable', requireSession, asyncHandler(async (req, res) => {
+  const { password } = req.body;
+
+  const { twoFactorRequired } = await SystemSettingsModel.getAccountSettings();
+  if (twoFactorRequired) {
+    return res.status(403).json({ error: 'Two-factor authentication is required by your administrator' });
+  }
+
+  const passwordHash = await UserModel.getPasswordHash(req.session.userId);
+  if (!password || !(await UserModel.verifyPassword(password, passwordHash))) {
+    return res.status(401).json({ error: 'Password is incorrect' });
+  }
+
+  const twoFactor = await UserModel.getTwoFactor(req.session.userId);
+  if (!twoFactor.enabled) {
+    return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+  }
+  if (!(await verifySecondFactor(req.session.userId, twoFactor, req.body))) {
+    return res.status(401).json({ error: 'Invalid authentication code' });
+  }
+
+  await UserModel.disableTwoFactor(req.session.userId);
+  await logActivity(req.session.userId, 'error', 'Two-factor authentication disabled');
+
+  res.json({ success: true });
+}));
+
+/**
+ * POST /api/auth/2fa/recovery-codes
+ * Replace the recovery codes (the old ones stop working)
+ * Body: { code }
+ */
+router.post('/2fa/recovery-codes', requireSession, asyncHandler(async (req, res) => {
+  const twoFactor = await UserModel.getTwoFactor(req.session.userId);
+
+  if (!twoFactor.enabled) {
+    return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+  }
+  if (!(await verifyTotpCode(req.session.userId, twoFactor, req.body.code))) {
+    return res.status(401).json({ error: 'Invalid authentication code' });
+  }
+
+  const recoveryCodes = twoFactorService.generateRecoveryCodes();
+  await UserModel.replaceRecoveryCodes(req.session.userId, recoveryCodes);
+
+  res.json({ recoveryCodes });
 }));
 
 module.exports = router;
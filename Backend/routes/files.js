@@ -1,8 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const multer = require('multer');
+const { TeamModel } = require('../models');
 const { requireAuth, asyncHandler, checkServerOwnership } = require('../middleware');
-const { sftpService } = require('../services/ssh');
+const { sftpService, serverConfig: { buildServerConfig } } = require('../services/ssh');
+const auditService = require('../services/auditService');
 
 // Configure multer for file uploads (store in memory for transfer to remote server)
 const upload = multer({
@@ -26,14 +28,11 @@ router.get('/:id/files', requireAuth, asyncHandler(async (req, res) => {
   const dirPath = req.query.path || '/';
 
   try {
-    // Use smart listing that auto-elevates for protected paths
+    // Use smart listing that auto-elevates for protected paths (sudo needs the operate role)
     const items = await sftpService.listDirectorySmart(
-      {
-        host: server.ip,
-        username: server.username,
-        privateKeyPath: server.privateKeyPath
-      },
-      dirPath
+      buildServerConfig(server),
+      dirPath,
+      { elevate: TeamModel.roleAllows(check.role, 'operate') }
     );
 
     res.json({
@@ -41,14 +40,14 @@ router.get('/:id/files', requireAuth, asyncHandler(async (req, res) => {
       items
     });
   } catch (err) {
+    if (err.status === 403) {
+      return res.status(403).json({ error: err.message });
+    }
+
     // Fallback to ls command
     try {
       const files = await sftpService.listFilesViaCommand(
-        {
-          host: server.ip,
-          username: server.username,
-          privateKeyPath: server.privateKeyPath
-        },
+        buildServerConfig(server),
         dirPath
       );
 
@@ -79,14 +78,11 @@ router.get('/:id/files/read', requireAuth, asyncHandler(async (req, res) => {
     return res.status(400).json({ error: 'File path is required' });
   }
 
-  // Use smart read that auto-elevates for protected files
+  // Use smart read that auto-elevates for protected files (sudo needs the operate role)
   const content = await sftpService.readFileSmart(
-    {
-      host: server.ip,
-      username: server.username,
-      privateKeyPath: server.privateKeyPath
-    },
-    filePath
+    buildServerConfig(server),
+    filePath,
+    { elevate: TeamModel.roleAllows(check.role, 'operate') }
   );
 
   res.json({
@@ -114,11 +110,7 @@ router.get('/:id/files/search', requireAuth, asyncHandler(async (req, res) => {
   }
 
   const results = await sftpService.searchFiles(
-    {
-      host: server.ip,
-      username: server.username,
-      privateKeyPath: server.privateKeyPath
-    },
+    buildServerConfig(server),
     query,
     searchPath
   );
@@ -135,7 +127,7 @@ router.get('/:id/files/search', requireAuth, asyncHandler(async (req, res) => {
  * Write file contents
  */
 router.put('/:id/files/write', requireAuth, asyncHandler(async (req, res) => {
-  const check = await checkServerOwnership(req.params.id, req.session.userId);
+  const check = await checkServerOwnership(req.params.id, req.session.userId, 'operate');
   if (check.error) {
     return res.status(check.status).json({ error: check.error });
   }
@@ -147,17 +139,19 @@ router.put('/:id/files/write', requireAuth, asyncHandler(async (req, res) => {
     return res.status(400).json({ error: 'File path is required' });
   }
 
+  // Keep the previous content for the audit log (a new file has none)
+  const previousContent = await sftpService.readFileSmart(buildServerConfig(server), filePath).catch(() => null);
+
   // Use smart write that auto-elevates for protected files
   await sftpService.writeFileSmart(
-    {
-      host: server.ip,
-      username: server.username,
-      privateKeyPath: server.privateKeyPath
-    },
+    buildServerConfig(server),
     filePath,
     content || ''
   );
 
+  auditService.annotate(req, { target: { label: server.name || server.ip }, path: filePath });
+  auditService.annotateContent(req, previousContent, content || '');
+
   res.json({ success: true, path: filePath });
 }));
 
@@ -179,11 +173,7 @@ router.get('/:id/files/stats', requireAuth, asyncHandler(async (req, res) => {
   }
 
   const stats = await sftpService.getFileStats(
-    {
-      host: server.ip,
-      username: server.username,
-      privateKeyPath: server.privateKeyPath
-    },
+    buildServerConfig(server),
     filePath
   );
 
@@ -195,7 +185,7 @@ router.get('/:id/files/stats', requireAuth, asyncHandler(async (req, res) => {
  * Create directory
  */
 router.post('/:id/files/mkdir', requireAuth, asyncHandler(async (req, res) => {
-  const check = await checkServerOwnership(req.params.id, req.session.userId);
+  const check = await checkServerOwnership(req.params.id, req.session.userId, 'operate');
   if (check.error) {
     return res.status(check.status).json({ error: check.error });
   }
@@ -208,11 +198,7 @@ router.post('/:id/files/mkdir', requireAuth, asyncHandler(async (req, res) => {
   }
 
   await sftpService.createDirectory(
-    {
-      host: server.ip,
-      username: server.username,
-      privateKeyPath: server.privateKeyPath
-    },
+    buildServerConfig(server),
     dirPath
   );
 
@@ -224,7 +210,7 @@ router.post('/:id/files/mkdir', requireAuth, asyncHandler(async (req, res) => {
  * Delete file or directory
  */
 router.delete('/:id/files', requireAuth, asyncHandler(async (req, res) => {
-  const check = await checkServerOwnership(req.params.id, req.session.userId);
+  const check = await checkServerOwnership(req.params.id, req.session.userId, 'operate');
   if (check.error) {
     return res.status(check.status).json({ error: check.error });
   }
@@ -238,11 +224,7 @@ router.delete('/:id/files', requireAuth, asyncHandler(async (req, res) => {
     return res.status(400).json({ error: 'File path is required' });
   }
 
-  const serverConfig = {
-    host: server.ip,
-    username: server.username,
-    privateKeyPath: server.privateKeyPath
-  };
+  const serverConfig = buildServerConfig(server);
 
   // Create job ID
   const jobId = `delete-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
@@ -304,7 +286,7 @@ router.delete('/:id/files', requireAuth, asyncHandler(async (req, res) => {
  * Rename/move file or directory
  */
 router.post('/:id/files/rename', requireAuth, asyncHandler(async (req, res) => {
-  const check = await checkServerOwnership(req.params.id, req.session.userId);
+  const check = await checkServerOwnership(req.params.id, req.session.userId, 'operate');
   if (check.error) {
     return res.status(check.status).json({ error: check.error });
   }
@@ -317,11 +299,7 @@ router.post('/:id/files/rename', requireAuth, asyncHandler(async (req, res) => {
   }
 
   await sftpService.rename(
-    {
-      host: server.ip,
-      username: server.username,
-      privateKeyPath: server.privateKeyPath
-    },
+    buildServerConfig(server),
     oldPath,
     newPath
   );
@@ -334,7 +312,7 @@ router.post('/:id/files/rename', requireAuth, asyncHandler(async (req, res) => {
  * Upload a file to the remote server
  */
 router.post('/:id/files/upload', requireAuth, upload.single('file'), asyncHandler(async (req, res) => {
-  const check = await checkServerOwnership(req.params.id, req.session.userId);
+  const check = await checkServerOwnership(req.params.id, req.session.userId, 'operate');
   if (check.error) {
     return res.status(check.status).json({ error: check.error });
   }
@@ -370,11 +348,7 @@ router.post('/:id/files/upload', requireAuth, upload.single('file'), asyncHandle
 
     // Upload file from buffer to remote server
     await sftpService.uploadFileFromBuffer(
-      {
-        host: server.ip,
-        username: server.username,
-        privateKeyPath: server.privateKeyPath
-      },
+      buildServerConfig(server),
       req.file.buffer,
       remotePath
     );
@@ -412,7 +386,7 @@ router.post('/:id/files/upload', requireAuth, upload.single('file'), asyncHandle
  * Upload multiple files to the remote server (for folder uploads)
  */
 router.post('/:id/files/upload-multiple', requireAuth, upload.any(), asyncHandler(async (req, res) => {
-  const check = await checkServerOwnership(req.params.id, req.session.userId);
+  const check = await checkServerOwnership(req.params.id, req.session.userId, 'operate');
   if (check.error) {
     return res.status(check.status).json({ error: check.error });
   }
@@ -455,11 +429,7 @@ router.post('/:id/files/upload-multiple', requireAuth, upload.any(), asyncHandle
           currentPath = currentPath ? `${currentPath}/${part}` : part;
           try {
             await sftpService.createDirectory(
-              {
-                host: server.ip,
-                username: server.username,
-                privateKeyPath: server.privateKeyPath
-              },
+              buildServerConfig(server),
               currentPath
             );
           } catch (mkdirErr) {
@@ -515,11 +485,7 @@ router.post('/:id/files/upload-multiple', requireAuth, upload.any(), asyncHandle
               currentPath = currentPath ? `${currentPath}/${part}` : part;
               try {
                 await sftpService.createDirectory(
-                  {
-                    host: server.ip,
-                    username: server.username,
-                    privateKeyPath: server.privateKeyPath
-                  },
+                  buildServerConfig(server),
                   currentPath
                 );
               } catch (mkdirErr) {
@@ -536,11 +502,7 @@ router.post('/:id/files/upload-multiple', requireAuth, upload.any(), asyncHandle
 
         // Upload the file
         await sftpService.uploadFileFromBuffer(
-          {
-            host: server.ip,
-            username: server.username,
-            privateKeyPath: server.privateKeyPath
-          },
+          buildServerConfig(server),
           file.buffer,
           remotePath
         );
@@ -603,11 +565,7 @@ router.get('/:id/files/download', requireAuth, asyncHandler(async (req, res) =>
   try {
     // Get file stats first
     const stats = await sftpService.getFileStats(
-      {
-        host: server.ip,
-        username: server.username,
-        privateKeyPath: server.privateKeyPath
-      },
+      buildServerConfig(server),
       remotePath
     );
 
@@ -617,11 +575,7 @@ router.get('/:id/files/download', requireAuth, asyncHandler(async (req, res) =>
 
     // Download file to buffer
     const fileBuffer = await sftpService.downloadFileToBuffer(
-      {
-        host: server.ip,
-        username: server.username,
-        privateKeyPath: server.privateKeyPath
-      },
+      buildServerConfig(server),
       remotePath
     );
 
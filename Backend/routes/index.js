@@ -8,5 +8,11 @@ module.exports = {
   serviceRoutes: require('./services'),
   systemRoutes: require('./system'),
   snapshotRoutes: require('./snapshots'),
-  migrationRoutes: require('./migrations')
+  migrationRoutes: require('./migrations'),
+  tokenRoutes: require('./tokens'),
+  teamRoutes: require('./teams'),
+  adminRoutes: require('./admin'),
+  alertRoutes: require('./alerts'),
+  notificationRoutes: require('./notifications'),
+  prometheusRoutes: require('./prometheus')
 };
@@ -3,6 +3,7 @@ const router = express.Router();
 const { MetricsModel } = require('../models');
 const { requireAuth, asyncHandler, checkServerOwnership } = require('../middleware');
 const { collectMetrics } = require('../services/metrics/collector');
+const { buildServerConfig } = require('../services/ssh/serverConfig');
 const { METRICS_CONFIG } = require('../config');
 
 /**
@@ -27,12 +28,7 @@ router.get('/:id/metrics', requireAuth, asyncHandler(async (req, res) => {
   // If no metrics exist or they're stale, fetch fresh ones
   if (!latestMetric || (Date.now() - new Date(latestMetric.timestamp).getTime()) > METRICS_CONFIG.cacheTimeout) {
     try {
-      const metrics = await collectMetrics({
-        host: server.ip,
-        username: server.username,
-        privateKeyPath: server.privateKeyPath,
-        osType: server.osType || 'ubuntu-debian'
-      });
+      const metrics = await collectMetrics(buildServerConfig(server));
       
       // Store the new metrics
       await MetricsModel.store(server.id, metrics);
@@ -94,12 +90,7 @@ router.post('/:id/metrics/refresh', requireAuth, asyncHandler(async (req, res) =
     return res.status(400).json({ error: 'Server is not online' });
   }
 
-  const metrics = await collectMetrics({
-    host: server.ip,
-    username: server.username,
-    privateKeyPath: server.privateKeyPath,
-    osType: server.osType || 'ubuntu-debian'
-  });
+  const metrics = await collectMetrics(buildServerConfig(server));
 
   // Store the new metrics
   await MetricsModel.store(server.id, metrics);
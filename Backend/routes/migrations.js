@@ -1,8 +1,11 @@
 const express = require('express');
 const router = express.Router();
-const { requireAuth, asyncHandler } = require('../middleware');
+const { requireAuth, asyncHandler, checkServerOwnership, checkResourcePermission } = require('../middleware');
 const { AppModel, ServerModel, ActivityModel } = require('../models');
 const { migrationService } = require('../services/migration');
+const { containerCommand, composeStack } = require('../services/docker');
+const { emitToUser } = require('../websocket/auth');
+const { notificationService } = require('../services/notifications');
 
 // Store for Socket.IO instance
 let io = null;
@@ -49,10 +52,11 @@ router.post('/preview', requireAuth, asyncHandler(async (req, res) => {
   }
 
   // Get target server
-  const targetServer = await ServerModel.findById(targetServerId);
-  if (!targetServer) {
-    return res.status(404).json({ error: 'Target server not found' });
+  const targetCheck = await checkServerOwnership(targetServerId, req.session.userId);
+  if (targetCheck.error) {
+    return res.status(targetCheck.status).json({ error: targetCheck.error });
   }
+  const targetServer = targetCheck.server;
 
   // Parse volumes
   let volumes = [];
@@ -86,6 +90,7 @@ router.post('/preview', requireAuth, asyncHandler(async (req, res) => {
       id: deployment.id,
       containerName: deployment.container_name,
       containerId: deployment.container_id,
+      composeProject: deployment.compose_project || null,
       status: deployment.status
     },
     sourceServer: {
@@ -106,8 +111,10 @@ router.post('/preview', requireAuth, asyncHandler(async (req, res) => {
     } : null,
     volumes: volumes,
     portMappings: portMappings,
-    hasVolumes: volumes.length > 0,
-    suggestedContainerName: `${deployment.container_name}_${targetServer.name || 'copy'}`.replace(/[^a-zA-Z0-9_-]/g, '_')
+    hasVolumes: volumes.length > 0 || Boolean(deployment.compose_project),
+    suggestedContainerName: deployment.compose_project
+      ? `${deployment.container_name}_${targetServer.name || 'copy'}`.toLowerCase().replace(/[^a-z0-9_-]/g, '_')
+      : `${deployment.container_name}_${targetServer.name || 'copy'}`.replace(/[^a-zA-Z0-9_-]/g, '_')
   });
 }));
 
@@ -186,14 +193,28 @@ router.post('/execute', requireAuth, asyncHandler(async (req, res) => {
     });
   }
 
+  if (!containerCommand.isValidContainerName(containerName)) {
+    return res.status(400).json({ error: 'Container name may only contain letters, digits, "_", "." and "-"' });
+  }
+
   // Get deployment
   const deployment = await AppModel.findDeploymentById(deploymentId, appId, req.session.userId);
   if (!deployment) {
     return res.status(404).json({ error: 'Deployment not found' });
   }
 
-  // Check status - can't migrate while snapshotting/restoring/migrating
-  if (['snapshotting', 'restoring', 'migrating'].includes(deployment.status)) {
+  // A stack's name becomes its compose project name on the target
+  if (deployment.compose_project && !composeStack.isValidProjectName(containerName)) {
+    return res.status(400).json({ error: 'Stack name may only contain lowercase letters, digits, "_" and "-"' });
+  }
+
+  const access = await checkResourcePermission(deployment.team_id, deployment.user_id, req.session.userId, 'operate');
+  if (access.error) {
+    return res.status(access.status).json({ error: access.error });
+  }
+
+  // Check status - can't migrate while snapshotting/restoring/migrating/updating
+  if (['snapshotting', 'restoring', 'migrating', 'updating'].includes(deployment.status)) {
     return res.status(400).json({ error: `Cannot migrate while deployment is ${deployment.status}` });
   }
 
@@ -203,18 +224,19 @@ router.post('/execute', requireAuth, asyncHandler(async (req, res) => {
     return res.status(404).json({ error: 'Source server not found' });
   }
 
-  // Get target server
-  const targetServer = await ServerModel.findById(targetServerId);
-  if (!targetServer) {
-    return res.status(404).json({ error: 'Target server not found' });
+  // Get target server (deploying to it requires operator access)
+  const targetCheck = await checkServerOwnership(targetServerId, req.session.userId, 'operate');
+  if (targetCheck.error) {
+    return res.status(targetCheck.status).json({ error: targetCheck.error });
   }
+  const targetServer = targetCheck.server;
 
   // Same server check
   if (sourceServer.id === targetServer.id) {
     return res.status(400).json({ error: 'Source and target servers must be different' });
   }
 
-  // Progress callback (broadcast to all clients)
+  // Progress callback (sent to the user's sockets)
   const onProgress = (stage, percent, message) => {
     // Update tracking
     if (activeMigrations.has(deploymentId)) {
@@ -223,7 +245,7 @@ router.post('/execute', requireAuth, asyncHandler(async (req, res) => {
     }
     
     if (io) {
-      io.emit('migration-progress', {
+      emitToUser(io, req.session.userId, 'migration-progress', {
         deploymentId,
         stage,
         percent,
@@ -266,6 +288,18 @@ router.post('/execute', requireAuth, asyncHandler(async (req, res) => {
       `${deleteOriginal ? 'Moved' : 'Copied'} ${deployment.container_name} from ${sourceServer.name || sourceServer.ip} to ${targetServer.name || targetServer.ip}`
     );
 
+    notificationService.notify('migration.completed', {
+      teamId: deployment.team_id || targetServer.teamId,
+      title: `${deleteOriginal ? 'Move' : 'Copy'} of ${deployment.container_name} completed`,
+      message: `${deleteOriginal ? 'Moved' : 'Copied'} ${deployment.container_name} to ${targetServer.name || targetServer.ip}.`,
+      severity: 'success',
+      fields: [
+        { name: 'From', value: sourceServer.name || sourceServer.ip },
+        { name: 'To', value: targetServer.name || targetServer.ip }
+      ],
+      data: { deploymentId, sourceServerId: sourceServer.id, targetServerId: targetServer.id }
+    });
+
     res.json(result);
   } catch (error) {
     // Remove from active migrations
@@ -279,9 +313,21 @@ router.post('/execute', requireAuth, asyncHandler(async (req, res) => {
       'migration_failed',
       `Migration of ${deployment.container_name} failed: ${error.message}`
     );
+
+    notificationService.notify('migration.failed', {
+      teamId: deployment.team_id || targetServer.teamId,
+      title: `${deleteOriginal ? 'Move' : 'Copy'} of ${deployment.container_name} failed`,
+      message: error.message,
+      severity: 'error',
+      fields: [
+        { name: 'From', value: sourceServer.name || sourceServer.ip },
+        { name: 'To', value: targetServer.name || targetServer.ip }
+      ],
+      data: { deploymentId, sourceServerId: sourceServer.id, targetServerId: targetServer.id }
+    });
     
     if (io) {
-      io.emit('migration-progress', {
+      emitToUser(io, req.session.userId, 'migration-progress', {
         deploymentId,
         stage: 'error',
         percent: 0,
@@ -330,7 +376,7 @@ router.post('/:deploymentId/cancel', requireAuth, asyncHandler(async (req, res)
   );
 
   if (io) {
-    io.emit('migration-progress', {
+    emitToUser(io, req.session.userId, 'migration-progress', {
       deploymentId,
       stage: 'cancelled',
       percent: migration.percent,
@@ -0,0 +1,174 @@
+const express = require('express');
+const router = express.Router();
+const { NotificationModel, TeamModel, UserModel } = require('../models');
+const { requireAuth, asyncHandler } = require('../middleware');
+const { notificationService } = require('../services/notifications');
+const auditService = require('../services/auditService');
+const { NOTIFICATION_CONFIG } = require('../config');
+
+/**
+ * Check the user may subscribe a channel to these events (system events are admin only)
+ * @returns {Promise<Object|null>} - { error, status } or null
+ */
+async function checkEventAccess(userId, events) {
+  if (!notificationService.hasSystemEvents(events)) return null;
+  const user = await UserModel.findById(userId);
+  if (!user || !user.is_admin) {
+    return { error: 'Only admins can subscribe channels to system events', status: 403 };
+  }
+  return null;
+}
+
+/**
+ * Load a channel the user may change
+ * @returns {Promise<Object>} - { channel }, or { error, status }
+ */
+async function findEditableChannel(channelId, userId) {
+  const channel = await NotificationModel.findChannelById(channelId);
+  const role = channel ? await TeamModel.getRole(channel.teamId, userId) : null;
+  if (!role) {
+    return { error: 'Notification channel not found', status: 404 };
+  }
+  if (!TeamModel.roleAllows(role, 'operate')) {
+    return { error: `Your team role (${role}) does not allow this action`, status: 403 };
+  }
+  return { channel };
+}
+
+/**
+ * GET /api/notifications/options
+ * Channel types and events a channel can subscribe to
+ */
+router.get('/options', requireAuth, (req, res) => {
+  res.json({
+    types: Object.entries(notificationService.CHANNEL_TYPES).map(([key, { label, secrets }]) => ({ key, label, secrets })),
+    events: Object.entries(notificationService.NOTIFICATION_EVENTS).map(([key, { label, system }]) => ({ key, label, system: Boolean(system) }))
+  });
+});
+
+/**
+ * GET /api/notifications/channels
+ * List notification channels in the user's teams
+ */
+router.get('/channels', requireAuth, asyncHandler(async (req, res) => {
+  const channels = await NotificationModel.findChannelsByUser(req.session.userId);
+  res.json(channels);
+}));
+
+/**
+ * POST /api/notifications/channels
+ * Create a notification channel
+ * Body: { name, teamId, type, config, secrets, events, enabled }
+ */
+router.post('/channels', requireAuth, asyncHandler(async (req, res) => {
+  const { channel, error } = notificationService.normalizeChannel(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const teamId = req.body.teamId || await TeamModel.getDefaultTeamId(req.session.userId);
+  const role = await TeamModel.getRole(teamId, req.session.userId);
+  if (!TeamModel.roleAllows(role, 'operate')) {
+    return res.status(403).json({ error: 'You cannot manage notification channels in this team' });
+  }
+
+  const access = await checkEventAccess(req.session.userId, channel.events);
+  if (access) {
+    return res.status(access.status).json({ error: access.error });
+  }
+
+  const created = await NotificationModel.createChannel({ ...channel, teamId, createdBy: req.session.userId });
+  auditService.annotate(req, { target: { type: 'channel', id: created.id, label: created.name } });
+
+  res.json(created);
+}));
+
+/**
+ * PUT /api/notifications/channels/:id
+ * Replace a channel's settings (blank secret fields keep their current value)
+ */
+router.put('/channels/:id', requireAuth, asyncHandler(async (req, res) => {
+  const check = await findEditableChannel(req.params.id, req.session.userId);
+  if (check.error) {
+    return res.status(check.status).json({ error: check.error });
+  }
+
+  // Secrets only carry over while the type stays the same
+  const existingSecrets = req.body.type === check.channel.type
+    ? await NotificationModel.getChannelSecrets(check.channel.id)
+    : {};
+  const { channel, error } = notificationService.normalizeChannel(req.body, existingSecrets);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  // Keeping an admin's system subscriptions is fine; adding new ones is not
+  const addedEvents = channel.events.filter(event => !check.channel.events.includes(event));
+  const access = await checkEventAccess(req.session.userId, addedEvents);
+  if (access) {
+    return res.status(access.status).json({ error: access.error });
+  }
+
+  const updated = await NotificationModel.updateChannel(check.channel.id, channel);
+
+  auditService.annotate(req, { target: { label: updated.name } });
+  auditService.annotateChanges(req, check.channel, updated, ['name', 'type', 'config', 'events', 'enabled']);
+
+  res.json(updated);
+}));
+
+/**
+ * DELETE /api/notifications/channels/:id
+ * Delete a channel and its delivery log
+ */
+router.delete('/channels/:id', requireAuth, asyncHandler(async (req, res) => {
+  const check = await findEditableChannel(req.params.id, req.session.userId);
+  if (check.error) {
+    return res.status(check.status).json({ error: check.error });
+  }
+
+  await NotificationModel.removeChannel(check.channel.id);
+  auditService.annotate(req, { target: { label: check.channel.name } });
+
+  res.json({ success: true });
+}));
+
+/**
+ * POST /api/notifications/channels/:id/test
+ * Send a test notification; returns the delivery record
+ */
+router.post('/channels/:id/test', requireAuth, asyncHandler(async (req, res) => {
+  const check = await findEditableChannel(req.params.id, req.session.userId);
+  if (check.error) {
+    return res.status(check.status).json({ error: check.error });
+  }
+
+  const delivery = await notificationService.sendTest(check.channel);
+  auditService.annotate(req, { target: { label: check.channel.name }, result: delivery.status });
+
+  res.json(delivery);
+}));
+
+/**
+ * GET /api/notifications/deliveries
+ * Delivery log in the user's teams, newest first
+ * Query: channelId, status (success|failed), event, limit, offset
+ */
+router.get('/deliveries', requireAuth, asyncHandler(async (req, res) => {
+  const filters = {
+    channelId: req.query.channelId || null,
+    status: ['success', 'failed'].includes(req.query.status) ? req.query.status : null,
+    event: req.query.event || null
+  };
+  const limit = Math.min(parseInt(req.query.limit) || 50, NOTIFICATION_CONFIG.maxPageSize);
+  const offset = parseInt(req.query.offset) || 0;
+
+  const [deliveries, total] = await Promise.all([
+    NotificationModel.findDeliveries(req.session.userId, filters, { limit, offset }),
+    NotificationModel.countDeliveries(req.session.userId, filters)
+  ]);
+
+  res.json({ deliveries, total, limit, offset });
+}));
+
+module.exports = router;
@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const { UserModel } = require('../models');
+const { requireAuth, asyncHandler } = require('../middleware');
+const { prometheus } = require('../services/metrics');
+const { getActiveMigrations } = require('./migrations');
+
+/**
+ * GET /metrics
+ * Prometheus text exposition of the servers and deployments in the caller's teams
+ * Scrape with an API token that has the metrics:read scope (Authorization: Bearer <token>).
+ * Internal gauges (SSH pool, migrations, collection runs) are included for admins only.
+ */
+router.get('/', requireAuth, asyncHandler(async (req, res) => {
+  const user = await UserModel.findById(req.session.userId);
+  const body = await prometheus.renderMetrics(req.session.userId, {
+    includeInternal: Boolean(user?.is_admin),
+    activeMigrations: getActiveMigrations().size
+  });
+
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(body);
+}));
+
+module.exports = router;
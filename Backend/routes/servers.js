@@ -1,9 +1,55 @@
 const express = require('express');
 const router = express.Router();
-const { ServerModel, ActivityModel } = require('../models');
+const { ServerModel, ActivityModel, TeamModel, AlertModel, MetricsModel, ContainerStatsModel, UptimeModel, DeploymentCheckModel } = require('../models');
 const { requireAuth, asyncHandler, checkServerOwnership } = require('../middleware');
-const { keyManager, connectionManager, sftpService } = require('../services/ssh');
-const { DEFAULT_SSH_USERNAME } = require('../config');
+const { keyManager, keyRotation, connectionManager, sftpService, serverAdoption, healthChecker, serverConfig: { buildServerConfig } } = require('../services/ssh');
+const { emitToUser } = require('../websocket/auth');
+const auditService = require('../services/auditService');
+const { DEFAULT_SSH_USERNAME, SSH_POOL_CONFIG, SERVER_IMPORT_CONFIG, KEY_ROTATION_CONFIG, METRICS_CONFIG } = require('../config');
+
+/**
+ * Validate SSH port and jump host settings for a server
+ * @param {string} teamId - Team owning the server
+ * @param {string|null} serverId - Server being updated (null when adding)
+ * @param {*} port - Requested SSH port
+ * @param {string|null} jumpHostId - Requested jump host server ID
+ * @returns {Promise<string|null>} - Error message, or null if valid
+ */
+async function validateSshRoute(teamId, serverId, port, jumpHostId) {
+  if (port !== undefined && port !== null && port !== '') {
+    const portNumber = Number(port);
+    if (!Number.isInteger(portNumber) || portNumber < 1 || portNumber > 65535) {
+      return 'SSH port must be a number between 1 and 65535';
+    }
+  }
+
+  if (!jumpHostId) return null;
+
+  if (jumpHostId === serverId) {
+    return 'A server cannot be its own jump host';
+  }
+
+  // Walk the jump chain to make sure it stays within the team, loop-free and not too deep
+  let hops = 0;
+  let currentId = jumpHostId;
+  while (currentId) {
+    const hop = await ServerModel.findById(currentId);
+    if (!hop || hop.teamId !== teamId) {
+      return 'Jump host not found';
+    }
+    if (serverId && hop.jumpHostId === serverId) {
+      return 'Jump host chain would loop back to this server';
+    }
+
+    hops++;
+    if (hops > SSH_POOL_CONFIG.maxJumpDepth) {
+      return `Jump host chain cannot exceed ${SSH_POOL_CONFIG.maxJumpDepth} hops`;
+    }
+    currentId = hop.jumpHostId;
+  }
+
+  return null;
+}
 
 /**
  * GET /api/servers/os-types
@@ -52,11 +98,7 @@ router.get('/status/all', requireAuth, asyncHandler(async (req, res) => {
   const servers = await ServerModel.findAll(req.session.userId);
   
   const statusPromises = servers.map(async (server) => {
-    const result = await connectionManager.testConnection(
-      server.ip,
-      server.username,
-      server.privateKeyPath
-    );
+    const result = await connectionManager.testConnection(buildServerConfig(server));
     return {
       id: server.id,
       status: result.status,
@@ -66,13 +108,9 @@ router.get('/status/all', requireAuth, asyncHandler(async (req, res) => {
 
   const statuses = await Promise.all(statusPromises);
 
-  // Update all servers in storage
+  // Update all servers in storage (and their uptime history)
   for (let i = 0; i < servers.length; i++) {
-    await ServerModel.updateStatus(
-      servers[i].id,
-      statuses[i].status,
-      statuses[i].error || null
-    );
+    await healthChecker.applyStatus(servers[i], statuses[i]);
   }
 
   res.json(statuses);
@@ -88,7 +126,7 @@ router.get('/:id', requireAuth, asyncHandler(async (req, res) => {
     return res.status(check.status).json({ error: check.error });
   }
 
-  res.json(check.server);
+  res.json({ ...check.server, role: check.role });
 }));
 
 /**
@@ -96,13 +134,32 @@ router.get('/:id', requireAuth, asyncHandler(async (req, res) => {
  * Update server details
  */
 router.put('/:id', requireAuth, asyncHandler(async (req, res) => {
-  const check = await checkServerOwnership(req.params.id, req.session.userId);
+  const check = await checkServerOwnership(req.params.id, req.session.userId, 'manage');
   if (check.error) {
     return res.status(check.status).json({ error: check.error });
   }
 
-  const { name, region, displayName, color, icon, icon_url, tags } = req.body;
-  console.log('[Server Update] Received body:', { name, region, displayName, color, icon, icon_url, tags });
+  const { name, region, displayName, color, icon, icon_url, tags, port, jumpHostId, keyRotationDays, metricsInterval } = req.body;
+  console.log('[Server Update] Received body:', { name, region, displayName, color, icon, icon_url, tags, port, jumpHostId, keyRotationDays, metricsInterval });
+
+  const routeError = await validateSshRoute(check.server.teamId, req.params.id, port, jumpHostId);
+  if (routeError) {
+    return res.status(400).json({ error: routeError });
+  }
+
+  // Empty or 0 turns scheduled key rotation off
+  const rotationDays = keyRotationDays ? Number(keyRotationDays) : null;
+  if (rotationDays !== null && (!Number.isInteger(rotationDays) || rotationDays < 1 || rotationDays > KEY_ROTATION_CONFIG.maxIntervalDays)) {
+    return res.status(400).json({ error: `Key rotation interval must be between 1 and ${KEY_ROTATION_CONFIG.maxIntervalDays} days` });
+  }
+
+  // Empty or 0 uses the default collection interval
+  const intervalSeconds = metricsInterval ? Number(metricsInterval) : null;
+  const minInterval = METRICS_CONFIG.minCollectionInterval / 1000;
+  const maxInterval = METRICS_CONFIG.maxCollectionInterval / 1000;
+  if (intervalSeconds !== null && (!Number.isInteger(intervalSeconds) || intervalSeconds < minInterval || intervalSeconds > maxInterval)) {
+    return res.status(400).json({ error: `Metrics interval must be between ${minInterval} and ${maxInterval} seconds` });
+  }
   
   const updates = {};
   
@@ -113,62 +170,199 @@ router.put('/:id', requireAuth, asyncHandler(async (req, res) => {
   if (icon !== undefined) updates.icon = icon || null;
   if (icon_url !== undefined) updates.iconUrl = icon_url || null;
   if (tags !== undefined) updates.tags = tags || [];
+  if (port !== undefined) updates.port = parseInt(port) || SSH_POOL_CONFIG.defaultPort;
+  if (jumpHostId !== undefined) updates.jumpHostId = jumpHostId || null;
+  if (keyRotationDays !== undefined) updates.keyRotationDays = rotationDays;
+  if (metricsInterval !== undefined) updates.metricsInterval = intervalSeconds;
 
   console.log('[Server Update] Mapped updates:', updates);
   await ServerModel.update(req.params.id, updates);
+
+  // Drop the pooled connection if the SSH route changed so the next command reconnects
+  const oldServer = check.server;
+  if ((updates.port !== undefined && updates.port !== oldServer.port) ||
+      (updates.jumpHostId !== undefined && updates.jumpHostId !== oldServer.jumpHostId)) {
+    connectionManager.pool.closeConnection(buildServerConfig(oldServer));
+  }
   
   const updatedServer = await ServerModel.findById(req.params.id);
+  auditService.annotate(req, { target: { label: updatedServer.name || updatedServer.ip } });
+  auditService.annotateChanges(req, oldServer, updatedServer, ['name', 'region', 'displayName', 'color', 'icon', 'iconUrl', 'tags', 'port', 'jumpHostId', 'keyRotationDays', 'metricsInterval']);
   console.log('[Server Update] After save, server data:', { id: updatedServer.id, icon: updatedServer.icon, iconUrl: updatedServer.iconUrl });
   res.json(updatedServer);
 }));
 
+// Last ID handed out by newServerId
+let lastServerId = 0;
+
 /**
- * POST /api/servers
- * Add a new server
+ * Generate a server ID (timestamp based, unique even for servers added in the same millisecond)
+ * @returns {string}
  */
-router.post('/', requireAuth, asyncHandler(async (req, res) => {
-  const { name, region, ip, username: providedUsername, osType } = req.body;
+function newServerId() {
+  lastServerId = Math.max(Date.now(), lastServerId + 1);
+  return lastServerId.toString();
+}
 
-  // Use provided username or default to nobase user
-  const username = providedUsername || DEFAULT_SSH_USERNAME;
+/**
+ * Check that a server can be added and resolve the team it goes to
+ * @param {string} userId - User adding the server
+ * @param {Object} input - { ip, port, jumpHostId, teamId }
+ * @returns {Promise<Object>} - { teamId }, or { error, status, existingServer? }
+ */
+async function validateNewServer(userId, input) {
+  if (!input.ip) {
+    return { error: 'IP address is required', status: 400 };
+  }
 
-  if (!ip) {
-    return res.status(400).json({ error: 'IP address is required' });
+  // Servers go to the requested team, or the user's personal team
+  const teamId = input.teamId || await TeamModel.getDefaultTeamId(userId);
+  const role = await TeamModel.getRole(teamId, userId);
+  if (!TeamModel.roleAllows(role, 'operate')) {
+    return { error: 'You cannot add servers to this team', status: 403 };
   }
 
-  // Check if server with this IP already exists for this user
-  const existingServer = await ServerModel.findByUserAndIp(req.session.userId, ip);
+  const routeError = await validateSshRoute(teamId, null, input.port, input.jumpHostId);
+  if (routeError) {
+    return { error: routeError, status: 400 };
+  }
+
+  // Check if server with this IP already exists in the team
+  const existingServer = await ServerModel.findByTeamAndIp(teamId, input.ip);
   if (existingServer) {
-    return res.status(409).json({ 
+    return {
       error: 'A server with this IP address already exists',
+      status: 409,
       existingServer: {
         id: existingServer.id,
         name: existingServer.name,
         ip: existingServer.ip,
         status: existingServer.status
       }
-    });
+    };
   }
 
-  const serverId = Date.now().toString();
+  return { teamId };
+}
 
-  // Generate SSH key for this server with the target username and OS type
-  const keyInfo = await keyManager.generateKeyPair(serverId, username, osType);
-
-  const newServer = await ServerModel.create({
+/**
+ * Save a new server record
+ * @param {string} userId - User adding the server
+ * @param {string} teamId - Owning team
+ * @param {string} serverId - Server ID (the key pair is named after it)
+ * @param {Object} input - { name, region, ip, port, jumpHostId }
+ * @param {Object} keyInfo - Result of keyManager.generateKeyPair
+ * @param {string} status - Initial status
+ * @returns {Promise<Object>}
+ */
+async function saveNewServer(userId, teamId, serverId, input, keyInfo, status) {
+  return ServerModel.create({
     id: serverId,
-    userId: req.session.userId,
-    name: name || null,
-    region: region || null,
-    ip,
-    username,
+    userId,
+    teamId,
+    name: input.name || null,
+    region: input.region || null,
+    ip: input.ip,
+    port: parseInt(input.port) || SSH_POOL_CONFIG.defaultPort,
+    jumpHostId: input.jumpHostId || null,
+    username: keyInfo.username,
     osType: keyInfo.osType,
     privateKeyPath: keyInfo.privateKeyPath,
     publicKey: keyInfo.publicKey,
     setupCommand: keyInfo.setupCommand,
-    status: 'pending'
+    status
+  });
+}
+
+/**
+ * Get one-time login credentials from a request body
+ * @param {Object} body - { loginUsername, password } or { loginUsername, privateKey, passphrase }
+ * @returns {Object|null} - Null if neither a password nor a key was given
+ */
+function getAdoptionCredentials(body) {
+  const { loginUsername, password, privateKey, passphrase } = body;
+  if (!password && !privateKey) return null;
+  return { loginUsername: loginUsername || null, password: password || null, privateKey: privateKey || null, passphrase: passphrase || null };
+}
+
+/**
+ * Add a server by logging in once with existing credentials and installing a generated key
+ * @param {string} userId - User adding the server
+ * @param {Object} input - Server fields (as for POST /api/servers)
+ * @param {Object} credentials - See getAdoptionCredentials
+ * @returns {Promise<Object>} - { server }, or { error, status, existingServer? }
+ */
+async function adoptNewServer(userId, input, credentials) {
+  const validation = await validateNewServer(userId, input);
+  if (validation.error) return validation;
+
+  const serverId = newServerId();
+  const username = input.username || DEFAULT_SSH_USERNAME;
+  const keyInfo = await keyManager.generateKeyPair(serverId, username, input.osType);
+
+  const config = buildServerConfig({
+    ip: input.ip,
+    port: input.port,
+    username,
+    privateKeyPath: keyInfo.privateKeyPath,
+    osType: keyInfo.osType,
+    jumpHostId: input.jumpHostId || null
   });
 
+  try {
+    await serverAdoption.adoptServer(config, keyInfo, credentials);
+  } catch (err) {
+    await keyManager.deleteKeyPair(keyInfo.privateKeyPath);
+    return { error: err.message, status: 502 };
+  }
+
+  let server;
+  try {
+    server = await saveNewServer(userId, validation.teamId, serverId, input, keyInfo, 'online');
+  } catch (err) {
+    await keyManager.deleteKeyPair(keyInfo.privateKeyPath);
+    throw err;
+  }
+
+  try {
+    await ActivityModel.create(userId, 'success', `Server ${input.name || input.ip} adopted and online`);
+  } catch (err) {
+    console.error('Failed to log activity:', err);
+  }
+
+  return { server };
+}
+
+/**
+ * POST /api/servers
+ * Add a new server
+ */
+router.post('/', requireAuth, asyncHandler(async (req, res) => {
+  const { name, ip, username: providedUsername, osType } = req.body;
+
+  // Use provided username or default to nobase user
+  const username = providedUsername || DEFAULT_SSH_USERNAME;
+
+  const validation = await validateNewServer(req.session.userId, req.body);
+  if (validation.error) {
+    const { status, ...body } = validation;
+    return res.status(status).json(body);
+  }
+
+  const serverId = newServerId();
+
+  // Generate SSH key for this server with the target username and OS type
+  const keyInfo = await keyManager.generateKeyPair(serverId, username, osType);
+
+  let newServer;
+  try {
+    newServer = await saveNewServer(req.session.userId, validation.teamId, serverId, req.body, keyInfo, 'pending');
+  } catch (err) {
+    await keyManager.deleteKeyPair(keyInfo.privateKeyPath);
+    throw err;
+  }
+  auditService.annotate(req, { target: { id: newServer.id, label: newServer.name || newServer.ip } });
+
   // Log activity
   try {
     await ActivityModel.create(
@@ -183,6 +377,175 @@ router.post('/', requireAuth, asyncHandler(async (req, res) => {
   res.json(newServer);
 }));
 
+/**
+ * POST /api/servers/adopt
+ * Add an existing server using a one-time password or private key instead of the setup command
+ * Body: server fields as for POST /api/servers, plus { loginUsername, password } or
+ * { loginUsername, privateKey, passphrase }. The credentials are used once and not stored.
+ */
+router.post('/adopt', requireAuth, asyncHandler(async (req, res) => {
+  const credentials = getAdoptionCredentials(req.body);
+  if (!credentials) {
+    return res.status(400).json({ error: 'A password or private key is required' });
+  }
+
+  const result = await adoptNewServer(req.session.userId, req.body, credentials);
+  if (result.error) {
+    const { status, ...body } = result;
+    return res.status(status).json(body);
+  }
+
+  auditService.annotate(req, { target: { id: result.server.id, label: result.server.name || result.server.ip } });
+  res.json(result.server);
+}));
+
+/**
+ * POST /api/servers/import
+ * Adopt many servers at once
+ * Body: { hosts: [...] } or { csv: "ip,name,..." }, plus defaults for every host
+ * (teamId, username, osType, port, jumpHostId, region) and shared credentials
+ * (loginUsername, password or privateKey/passphrase). A host's own password or
+ * loginUsername overrides the shared one. Progress is sent as server-import-progress events.
+ */
+router.post('/import', requireAuth, asyncHandler(async (req, res) => {
+  const { hosts: hostList, csv } = req.body;
+
+  const hosts = Array.isArray(hostList)
+    ? hostList
+    : serverAdoption.parseHostCsv(typeof csv === 'string' ? csv : '');
+
+  if (hosts.length === 0) {
+    return res.status(400).json({ error: 'No hosts to import' });
+  }
+  if (hosts.length > SERVER_IMPORT_CONFIG.maxHosts) {
+    return res.status(400).json({ error: `At most ${SERVER_IMPORT_CONFIG.maxHosts} hosts can be imported at once` });
+  }
+
+  const defaults = {
+    teamId: req.body.teamId,
+    username: req.body.username,
+    osType: req.body.osType,
+    port: req.body.port,
+    jumpHostId: req.body.jumpHostId,
+    region: req.body.region
+  };
+  const sharedCredentials = getAdoptionCredentials(req.body);
+
+  const io = req.app.get('io');
+  const results = new Array(hosts.length);
+  const seenIps = new Set();
+  const queue = hosts.map((host, index) => ({ host, index }));
+  let completed = 0;
+
+  const importHost = async (host) => {
+    const input = { ...defaults, ...host, teamId: defaults.teamId };
+    if (seenIps.has(input.ip)) {
+      return { error: 'Duplicate host in import list' };
+    }
+    seenIps.add(input.ip);
+
+    const credentials = host.password
+      ? { loginUsername: host.loginUsername || req.body.loginUsername || null, password: host.password }
+      : sharedCredentials && { ...sharedCredentials, loginUsername: host.loginUsername || sharedCredentials.loginUsername };
+    if (!credentials) {
+      return { error: 'No password or private key for this host' };
+    }
+
+    try {
+      return await adoptNewServer(req.session.userId, input, credentials);
+    } catch (err) {
+      return { error: err.message };
+    }
+  };
+
+  const worker = async () => {
+    while (queue.length > 0) {
+      const { host, index } = queue.shift();
+      const result = await importHost(host);
+      results[index] = result.server
+        ? { ip: host.ip, success: true, server: result.server }
+        : { ip: host.ip || null, success: false, error: result.error };
+
+      completed++;
+      if (io) {
+        emitToUser(io, req.session.userId, 'server-import-progress', {
+          completed,
+          total: hosts.length,
+          result: results[index]
+        });
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(SERVER_IMPORT_CONFIG.concurrency, hosts.length) }, worker));
+
+  const imported = results.filter(r => r.success).length;
+  if (imported > 0) {
+    await ActivityModel.create(
+      req.session.userId,
+      imported === hosts.length ? 'success' : 'error',
+      `Imported ${imported} of ${hosts.length} server(s)`
+    );
+  }
+
+  res.json({ imported, failed: hosts.length - imported, results });
+}));
+
+/**
+ * POST /api/servers/rotate-keys
+ * Rotate the SSH keys of several servers
+ * Body: { serverIds } - servers the user cannot manage are reported as failed
+ * Progress is sent as server-key-rotation-progress events.
+ */
+router.post('/rotate-keys', requireAuth, asyncHandler(async (req, res) => {
+  const { serverIds } = req.body;
+  if (!Array.isArray(serverIds) || serverIds.length === 0) {
+    return res.status(400).json({ error: 'serverIds must be a non-empty array' });
+  }
+
+  const servers = [];
+  const results = [];
+  for (const serverId of [...new Set(serverIds)]) {
+    const check = await checkServerOwnership(serverId, req.session.userId, 'manage');
+    if (check.error) {
+      results.push({ serverId, success: false, error: check.error });
+    } else {
+      servers.push(check.server);
+    }
+  }
+
+  const io = req.app.get('io');
+  const total = servers.length;
+  results.push(...await keyRotation.rotateServerKeys(servers, req.session.userId, {
+    onResult: (result, completed) => {
+      if (io) {
+        emitToUser(io, req.session.userId, 'server-key-rotation-progress', { completed, total, result });
+      }
+    }
+  }));
+
+  const rotated = results.filter(r => r.success).length;
+  res.json({ rotated, failed: results.length - rotated, results });
+}));
+
+/**
+ * POST /api/servers/:id/rotate-key
+ * Replace a server's SSH key with a newly generated one
+ */
+router.post('/:id/rotate-key', requireAuth, asyncHandler(async (req, res) => {
+  const check = await checkServerOwnership(req.params.id, req.session.userId, 'manage');
+  if (check.error) {
+    return res.status(check.status).json({ error: check.error });
+  }
+
+  const result = await keyRotation.rotateAndLog(check.server, req.session.userId);
+  if (!result.success) {
+    return res.status(502).json({ error: result.error });
+  }
+
+  res.json(await ServerModel.findById(req.params.id));
+}));
+
 /**
  * GET /api/servers/:id/status
  * Check connection status for a specific server
@@ -194,24 +557,48 @@ router.get('/:id/status', requireAuth, asyncHandler(async (req, res) => {
   }
 
   const server = check.server;
-  const result = await connectionManager.testConnection(
-    server.ip,
-    server.username,
-    server.privateKeyPath
-  );
+  const result = await connectionManager.testConnection(buildServerConfig(server));
 
-  // Update server status
-  await ServerModel.updateStatus(server.id, result.status, result.error || null);
+  // Update server status (and its uptime history)
+  await healthChecker.applyStatus(server, result);
 
   res.json(result);
 }));
 
+/**
+ * GET /api/servers/:id/uptime
+ * Reachability history from background health checks: current status, availability over the
+ * last 24 hours, 7 days and 30 days, and the status intervals of the last `hours` (default 24)
+ */
+router.get('/:id/uptime', requireAuth, asyncHandler(async (req, res) => {
+  const check = await checkServerOwnership(req.params.id, req.session.userId);
+  if (check.error) {
+    return res.status(check.status).json({ error: check.error });
+  }
+
+  const hours = Math.min(Math.max(parseInt(req.query.hours, 10) || 24, 1), 24 * 30);
+  const intervals = await UptimeModel.findIntervals(check.server.id, 24 * 30);
+  const since = Date.now() - hours * 60 * 60 * 1000;
+
+  res.json({
+    status: check.server.status,
+    lastChecked: check.server.lastChecked,
+    since: (await UptimeModel.getCurrent(check.server.id))?.startedAt || null,
+    availability: {
+      day: await UptimeModel.getAvailability(check.server.id, 24, intervals),
+      week: await UptimeModel.getAvailability(check.server.id, 24 * 7, intervals),
+      month: await UptimeModel.getAvailability(check.server.id, 24 * 30, intervals)
+    },
+    intervals: intervals.filter(interval => !interval.endedAt || new Date(interval.endedAt).getTime() > since)
+  });
+}));
+
 /**
  * DELETE /api/servers/:id
  * Delete a server
  */
 router.delete('/:id', requireAuth, asyncHandler(async (req, res) => {
-  const check = await checkServerOwnership(req.params.id, req.session.userId);
+  const check = await checkServerOwnership(req.params.id, req.session.userId, 'manage');
   if (check.error) {
     return res.status(check.status).json({ error: check.error });
   }
@@ -246,16 +633,12 @@ router.delete('/:id', requireAuth, asyncHandler(async (req, res) => {
         try {
           // Stop the container
           await connectionManager.executeCommand(
-            server.ip,
-            server.username,
-            server.privateKeyPath,
+            buildServerConfig(server),
             `docker stop ${deployment.container_name} 2>/dev/null || true`
           );
           // Remove the container
           await connectionManager.executeCommand(
-            server.ip,
-            server.username,
-            server.privateKeyPath,
+            buildServerConfig(server),
             `docker rm ${deployment.container_name} 2>/dev/null || true`
           );
           console.log(`Stopped and removed container ${deployment.container_name}`);
@@ -271,13 +654,19 @@ router.delete('/:id', requireAuth, asyncHandler(async (req, res) => {
   await keyManager.deleteKeyPair(server.privateKeyPath);
 
   // Close any pooled connections
-  connectionManager.pool.closeConnection(server.ip, server.username);
+  connectionManager.pool.closeConnection(buildServerConfig(server));
 
   // Delete deployment records for this server
   const { run: dbRun } = require('../database/connection');
+  await DeploymentCheckModel.deleteForServer(req.params.id);
   await dbRun('DELETE FROM app_deployments WHERE server_id = ?', [req.params.id]);
+  await MetricsModel.deleteForServer(req.params.id);
+  await ContainerStatsModel.deleteForServer(req.params.id);
+  await UptimeModel.deleteForServer(req.params.id);
 
   await ServerModel.remove(req.params.id);
+  await AlertModel.resolveAll({ serverId: req.params.id });
+  auditService.annotate(req, { target: { label: server.name || server.ip } });
 
   // Log activity
   try {
@@ -309,11 +698,7 @@ router.get('/:id/os-info', requireAuth, asyncHandler(async (req, res) => {
   const server = check.server;
   const { getOsInfo } = require('../services/metrics/collector');
   
-  const osInfo = await getOsInfo({
-    host: server.ip,
-    username: server.username,
-    privateKeyPath: server.privateKeyPath
-  });
+  const osInfo = await getOsInfo(buildServerConfig(server));
 
   res.json(osInfo);
 }));
@@ -333,11 +718,7 @@ router.get('/:id/docker-status', requireAuth, asyncHandler(async (req, res) => {
   try {
     // Check if docker command exists and get version
     const { stdout, stderr, code } = await connectionManager.executeCommand(
-      {
-        host: server.ip,
-        username: server.username,
-        privateKeyPath: server.privateKeyPath
-      },
+      buildServerConfig(server),
       'docker --version && docker info --format "{{.ServerVersion}}" 2>/dev/null'
     );
 
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { requireAuth, asyncHandler, checkServerOwnership } = require('../middleware');
-const { connectionManager } = require('../services/ssh');
+const { connectionManager, serverConfig: { buildServerConfig } } = require('../services/ssh');
 const { getServiceStatus } = require('../services/metrics/collector');
 
 /**
@@ -57,12 +57,7 @@ router.get('/:id/services/:serviceName/status', requireAuth, asyncHandler(async
   const { serviceName } = req.params;
 
   const status = await getServiceStatus(
-    {
-      host: server.ip,
-      username: server.username,
-      privateKeyPath: server.privateKeyPath,
-      osType: server.osType || 'ubuntu-debian'
-    },
+    buildServerConfig(server),
     serviceName
   );
 
@@ -74,7 +69,7 @@ router.get('/:id/services/:serviceName/status', requireAuth, asyncHandler(async
  * Install a service
  */
 router.post('/:id/services/:serviceName/install', requireAuth, asyncHandler(async (req, res) => {
-  const check = await checkServerOwnership(req.params.id, req.session.userId);
+  const check = await checkServerOwnership(req.params.id, req.session.userId, 'operate');
   if (check.error) {
     return res.status(check.status).json({ error: check.error });
   }
@@ -89,11 +84,7 @@ router.post('/:id/services/:serviceName/install', requireAuth, asyncHandler(asyn
   }
 
   const { stdout, stderr, code } = await connectionManager.executeCommand(
-    {
-      host: server.ip,
-      username: server.username,
-      privateKeyPath: server.privateKeyPath
-    },
+    buildServerConfig(server),
     installCmd
   );
 
@@ -118,7 +109,7 @@ router.post('/:id/services/:serviceName/install', requireAuth, asyncHandler(asyn
  * Manage service (start/stop/restart/enable/disable)
  */
 router.post('/:id/services/:serviceName/:action', requireAuth, asyncHandler(async (req, res) => {
-  const check = await checkServerOwnership(req.params.id, req.session.userId);
+  const check = await checkServerOwnership(req.params.id, req.session.userId, 'operate');
   if (check.error) {
     return res.status(check.status).json({ error: check.error });
   }
@@ -174,11 +165,7 @@ router.post('/:id/services/:serviceName/:action', requireAuth, asyncHandler(asyn
   }
 
   const { stdout, stderr, code } = await connectionManager.executeCommand(
-    {
-      host: server.ip,
-      username: server.username,
-      privateKeyPath: server.privateKeyPath
-    },
+    buildServerConfig(server),
     actionCmd
   );
 
@@ -216,12 +203,7 @@ router.get('/:id/services', requireAuth, asyncHandler(async (req, res) => {
     ? ['nginx', 'docker', 'nodejs', 'npm', 'git', 'iis', 'mysql']
     : ['nginx', 'docker', 'nodejs', 'npm', 'git'];
   
-  const serverConfig = {
-    host: server.ip,
-    username: server.username,
-    privateKeyPath: server.privateKeyPath,
-    osType: osType
-  };
+  const serverConfig = buildServerConfig(server);
 
   const statuses = await Promise.all(
     services.map(async (serviceName) => {
@@ -3,8 +3,10 @@ const router = express.Router();
 const path = require('path');
 const fs = require('fs');
 const { SnapshotModel, AppModel, ServerModel, ActivityModel, SystemSettingsModel } = require('../models');
-const { requireAuth, asyncHandler } = require('../middleware');
+const { requireAuth, requireAdmin, asyncHandler, checkResourcePermission } = require('../middleware');
 const { snapshotService } = require('../services/snapshots');
+const { emitToUser } = require('../websocket/auth');
+const { notificationService } = require('../services/notifications');
 const { BACKUP_CONFIG } = require('../config');
 
 /**
@@ -84,6 +86,11 @@ router.patch('/snapshots/:id', requireAuth, asyncHandler(async (req, res) => {
   if (!snapshot) {
     return res.status(404).json({ error: 'Snapshot not found' });
   }
+
+  const access = await checkResourcePermission(snapshot.team_id, snapshot.user_id, req.session.userId, 'operate');
+  if (access.error) {
+    return res.status(access.status).json({ error: access.error });
+  }
   
   await SnapshotModel.updateNotes(req.params.id, notes);
   
@@ -98,6 +105,11 @@ router.delete('/snapshots/:id', requireAuth, asyncHandler(async (req, res) => {
   if (!snapshot) {
     return res.status(404).json({ error: 'Snapshot not found' });
   }
+
+  const access = await checkResourcePermission(snapshot.team_id, snapshot.user_id, req.session.userId, 'operate');
+  if (access.error) {
+    return res.status(access.status).json({ error: access.error });
+  }
   
   await snapshotService.deleteSnapshot(snapshot);
   
@@ -117,7 +129,7 @@ router.delete('/snapshots/:id', requireAuth, asyncHandler(async (req, res) => {
 router.post('/deployments/:id/snapshots', requireAuth, asyncHandler(async (req, res) => {
   const { notes, socketId } = req.body;
   const deploymentId = req.params.id;
-  const { io } = req.app.get('io') || {};
+  const io = req.app.get('io');
   
   // Get deployment with app info
   const deployment = await AppModel.findDeploymentByIdSimple(deploymentId);
@@ -126,9 +138,10 @@ router.post('/deployments/:id/snapshots', requireAuth, asyncHandler(async (req,
     return res.status(404).json({ error: 'Deployment not found' });
   }
   
-  // Verify ownership via app
-  if (deployment.user_id !== req.session.userId) {
-    return res.status(403).json({ error: 'Not authorized' });
+  // Verify the user can operate the app's team
+  const access = await checkResourcePermission(deployment.team_id, deployment.user_id, req.session.userId, 'operate');
+  if (access.error) {
+    return res.status(access.status).json({ error: access.error });
   }
   
   // Get server
@@ -142,9 +155,8 @@ router.post('/deployments/:id/snapshots', requireAuth, asyncHandler(async (req,
     return res.status(400).json({ error: 'Deployment must be running or stopped to create snapshot' });
   }
   
-  // Check volumes exist
-  const volumePaths = snapshotService.getVolumePaths(deployment);
-  if (volumePaths.length === 0) {
+  // Check volumes exist (a stack's data paths are read from the server while snapshotting)
+  if (!deployment.compose_project && snapshotService.getVolumePaths(deployment).length === 0) {
     return res.status(400).json({ error: 'No volumes configured for this deployment' });
   }
   
@@ -161,11 +173,11 @@ router.post('/deployments/:id/snapshots', requireAuth, asyncHandler(async (req,
     complete: { percent: 100, label: 'Complete' }
   };
   
-  // Progress callback to emit Socket.IO events (broadcast to all clients)
+  // Progress callback to emit Socket.IO events (sent to the user's sockets)
   const onProgress = (stage, message) => {
     if (io) {
       const stageInfo = progressStages[stage] || { percent: 0, label: stage };
-      io.emit('snapshot-progress', {
+      emitToUser(io, req.session.userId, 'snapshot-progress', {
         deploymentId,
         stage,
         percent: stageInfo.percent,
@@ -193,14 +205,34 @@ router.post('/deployments/:id/snapshots', requireAuth, asyncHandler(async (req,
       'snapshot_created',
       `Created snapshot for ${deployment.app_name} on ${server.name || server.ip}`
     );
+
+    notificationService.notify('snapshot.completed', {
+      teamId: deployment.team_id || server.teamId,
+      title: `Snapshot of ${deployment.app_name} completed`,
+      message: `Created a snapshot of ${deployment.container_name} on ${server.name || server.ip}.`,
+      severity: 'success',
+      fields: [
+        { name: 'Server', value: server.name || server.ip },
+        { name: 'Size', value: `${(snapshot.size_bytes / (1024 * 1024)).toFixed(1)} MB` }
+      ],
+      data: { snapshotId: snapshot.id, deploymentId, serverId: server.id }
+    });
     
     res.json(snapshot);
   } catch (error) {
     console.error('Snapshot creation failed:', error);
     // Restore original status on error
     await AppModel.updateDeploymentStatus(deploymentId, originalStatus);
+    notificationService.notify('snapshot.failed', {
+      teamId: deployment.team_id || server.teamId,
+      title: `Snapshot of ${deployment.app_name} failed`,
+      message: error.message,
+      severity: 'error',
+      fields: [{ name: 'Server', value: server.name || server.ip }],
+      data: { deploymentId, serverId: server.id }
+    });
     if (io) {
-      io.emit('snapshot-progress', {
+      emitToUser(io, req.session.userId, 'snapshot-progress', {
         deploymentId,
         stage: 'error',
         percent: 0,
@@ -220,14 +252,15 @@ router.post('/deployments/:id/snapshots', requireAuth, asyncHandler(async (req,
 router.get('/deployments/:id/snapshots', requireAuth, asyncHandler(async (req, res) => {
   const deploymentId = req.params.id;
   
-  // Verify ownership
+  // Verify access
   const deployment = await AppModel.findDeploymentByIdSimple(deploymentId);
   if (!deployment) {
     return res.status(404).json({ error: 'Deployment not found' });
   }
   
-  if (deployment.user_id !== req.session.userId) {
-    return res.status(403).json({ error: 'Not authorized' });
+  const access = await checkResourcePermission(deployment.team_id, deployment.user_id, req.session.userId);
+  if (access.error) {
+    return res.status(access.status).json({ error: access.error });
   }
   
   const snapshots = await SnapshotModel.findByDeployment(deploymentId);
@@ -240,13 +273,18 @@ router.get('/deployments/:id/snapshots', requireAuth, asyncHandler(async (req, r
  */
 router.post('/snapshots/:id/restore', requireAuth, asyncHandler(async (req, res) => {
   const { socketId } = req.body;
-  const { io } = req.app.get('io') || {};
+  const io = req.app.get('io');
   
   const snapshot = await SnapshotModel.findById(req.params.id, req.session.userId);
   
   if (!snapshot) {
     return res.status(404).json({ error: 'Snapshot not found' });
   }
+
+  const access = await checkResourcePermission(snapshot.team_id, snapshot.user_id, req.session.userId, 'operate');
+  if (access.error) {
+    return res.status(access.status).json({ error: access.error });
+  }
   
   if (snapshot.status !== 'complete') {
     return res.status(400).json({ error: 'Snapshot is not complete' });
@@ -277,11 +315,11 @@ router.post('/snapshots/:id/restore', requireAuth, asyncHandler(async (req, res)
     complete: { percent: 100, label: 'Complete' }
   };
   
-  // Progress callback to emit Socket.IO events (broadcast to all clients)
+  // Progress callback to emit Socket.IO events (sent to the user's sockets)
   const onProgress = (stage, message) => {
     if (io) {
       const stageInfo = progressStages[stage] || { percent: 0, label: stage };
-      io.emit('snapshot-progress', {
+      emitToUser(io, req.session.userId, 'snapshot-progress', {
         snapshotId: snapshot.id,
         deploymentId: snapshot.deployment_id,
         stage,
@@ -315,7 +353,7 @@ router.post('/snapshots/:id/restore', requireAuth, asyncHandler(async (req, res)
     // Restore original status on error
     await AppModel.updateDeploymentStatus(snapshot.deployment_id, originalStatus);
     if (io) {
-      io.emit('snapshot-progress', {
+      emitToUser(io, req.session.userId, 'snapshot-progress', {
         snapshotId: snapshot.id,
         deploymentId: snapshot.deployment_id,
         stage: 'error',
@@ -333,7 +371,7 @@ router.post('/snapshots/:id/restore', requireAuth, asyncHandler(async (req, res)
  * GET /api/settings/backup
  * Get backup settings
  */
-router.get('/settings/backup', requireAuth, asyncHandler(async (req, res) => {
+router.get('/settings/backup', requireAuth, requireAdmin, asyncHandler(async (req, res) => {
   const settings = await SystemSettingsModel.getBackupSettings();
   const stats = await snapshotService.getStorageStats();
   
@@ -347,7 +385,7 @@ router.get('/settings/backup', requireAuth, asyncHandler(async (req, res) => {
  * PUT /api/settings/backup
  * Update backup settings
  */
-router.put('/settings/backup', requireAuth, asyncHandler(async (req, res) => {
+router.put('/settings/backup', requireAuth, requireAdmin, asyncHandler(async (req, res) => {
   const { storagePath, maxStorageGB, retentionDays } = req.body;
   
   await SystemSettingsModel.updateBackupSettings({
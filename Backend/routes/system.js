@@ -9,7 +9,10 @@ const { promisify } = require('util');
 const path = require('path');
 const fs = require('fs').promises;
 
-const { requireAuth, asyncHandler } = require('../middleware');
+const { requireAuth, requireAdmin, asyncHandler } = require('../middleware');
+const { notificationService } = require('../services/notifications');
+const { connectionPool, healthChecker } = require('../services/ssh');
+const { scheduler: metricsScheduler } = require('../services/metrics');
 
 const execAsync = promisify(exec);
 
@@ -209,6 +212,18 @@ router.get('/status', requireAuth, asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * Get background job detail (per connection and per server; covers every team's servers)
+ * GET /api/system/health
+ */
+router.get('/health', requireAuth, requireAdmin, (req, res) => {
+  res.json({
+    sshPoolStats: connectionPool.getStats(),
+    metricsScheduler: metricsScheduler.getStats(),
+    healthChecks: { ...healthChecker.getStats(), schedule: healthChecker.getSchedule() }
+  });
+});
+
 /**
  * Get update logs (recent git commits)
  * GET /api/system/changelog
@@ -259,7 +274,7 @@ router.get('/update-status', requireAuth, asyncHandler(async (req, res) => {
  * Clear update status (reset to idle)
  * POST /api/system/update-status/clear
  */
-router.post('/update-status/clear', requireAuth, asyncHandler(async (req, res) => {
+router.post('/update-status/clear', requireAuth, requireAdmin, asyncHandler(async (req, res) => {
   // Only allow clearing if not currently updating
   if (updateState.status === 'updating') {
     return res.status(400).json({ error: 'Cannot clear status while update is in progress' });
@@ -281,7 +296,7 @@ router.post('/update-status/clear', requireAuth, asyncHandler(async (req, res) =
  * Perform system update (runs in background)
  * POST /api/system/update
  */
-router.post('/update', requireAuth, asyncHandler(async (req, res) => {
+router.post('/update', requireAuth, requireAdmin, asyncHandler(async (req, res) => {
   const io = req.app.get('io');
 
   // Prevent multiple concurrent updates
@@ -380,6 +395,14 @@ async function runBackgroundUpdate(io) {
     emitProgress('complete', 'Update completed successfully!', io);
     addUpdateLog('Server restart required to apply changes.', 'warning', io);
 
+    notificationService.notify('system.update_completed', {
+      title: 'System update completed',
+      message: `Updated to version ${updateState.newVersion} (${updateState.newCommit}). Restart the server to apply it.`,
+      severity: 'success',
+      fields: [{ name: 'Version', value: `${updateState.newVersion} (${updateState.newCommit})` }],
+      data: { newVersion: updateState.newVersion, newCommit: updateState.newCommit }
+    });
+
     // Emit completion event for modals
     if (io) {
       io.emit('system-update-complete', {
@@ -399,6 +422,13 @@ async function runBackgroundUpdate(io) {
 
     addUpdateLog(`Update failed: ${error.message}`, 'error', io);
 
+    notificationService.notify('system.update_failed', {
+      title: 'System update failed',
+      message: error.message,
+      severity: 'error',
+      data: {}
+    });
+
     // Emit error event
     if (io) {
       io.emit('system-update-complete', {
@@ -414,7 +444,7 @@ async function runBackgroundUpdate(io) {
  * Restart the server (requires PM2 or similar process manager)
  * POST /api/system/restart
  */
-router.post('/restart', requireAuth, asyncHandler(async (req, res) => {
+router.post('/restart', requireAuth, requireAdmin, asyncHandler(async (req, res) => {
   const io = req.app.get('io');
   
   // Clear update state since we're restarting
@@ -0,0 +1,291 @@
+const express = require('express');
+const router = express.Router();
+const { TeamModel, UserModel, ActivityModel } = require('../models');
+const { requireSession, asyncHandler } = require('../middleware');
+const { TEAM_CONFIG } = require('../config');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Middleware factory requiring a permission on the team in the route
+ * Attaches the user's role to req.teamRole
+ * @param {string} permission - Required permission ('view', 'operate' or 'manage')
+ */
+function requireTeamPermission(permission) {
+  return (req, res, next) => {
+    TeamModel.getRole(req.params.id, req.session.userId)
+      .then(role => {
+        if (!role) {
+          return res.status(404).json({ error: 'Team not found' });
+        }
+        if (!TeamModel.roleAllows(role, permission)) {
+          return res.status(403).json({ error: `Your team role (${role}) does not allow this action` });
+        }
+        req.teamRole = role;
+        next();
+      })
+      .catch(err => {
+        res.status(500).json({ error: err.message });
+      });
+  };
+}
+
+/**
+ * Log team activity without failing the request
+ */
+async function logActivity(userId, type, message) {
+  try {
+    await ActivityModel.create(userId, type, message);
+  } catch (err) {
+    console.error('Failed to log activity:', err);
+  }
+}
+
+/**
+ * GET /api/teams
+ * List the teams the user belongs to, with their role
+ */
+router.get('/', requireSession, asyncHandler(async (req, res) => {
+  const teams = await TeamModel.findByUser(req.session.userId);
+  res.json(teams);
+}));
+
+/**
+ * POST /api/teams
+ * Create a team, owned by the current user
+ */
+router.post('/', requireSession, asyncHandler(async (req, res) => {
+  const { name } = req.body;
+
+  if (!name || !name.trim()) {
+    return res.status(400).json({ error: 'Team name is required' });
+  }
+
+  const team = await TeamModel.create(name.trim(), req.session.userId);
+  await logActivity(req.session.userId, 'success', `Team "${team.name}" created`);
+
+  res.json(team);
+}));
+
+/**
+ * Look up a pending invitation from its link
+ * @param {string} token - Token from the invitation link
+ * @returns {Promise<Object>} - { invitation } or { error, status }
+ */
+async function findPendingInvitation(token) {
+  const invitation = typeof token === 'string' && token ? await TeamModel.findInvitationByToken(token) : null;
+  if (!invitation) {
+    return { error: 'Invitation not found', status: 404 };
+  }
+  if (new Date(invitation.expires_at) <= new Date()) {
+    await TeamModel.removeInvitation(invitation.id);
+    return { error: 'Invitation has expired', status: 410 };
+  }
+  return { invitation };
+}
+
+/**
+ * GET /api/teams/invitations/preview?token=...
+ * Show which team an invitation link is for before accepting it
+ */
+router.get('/invitations/preview', requireSession, asyncHandler(async (req, res) => {
+  const { invitation, error, status } = await findPendingInvitation(req.query.token);
+  if (error) {
+    return res.status(status).json({ error });
+  }
+
+  res.json({
+    teamName: invitation.team_name,
+    role: invitation.role,
+    invitedByName: invitation.invited_by_name,
+    expiresAt: invitation.expires_at
+  });
+}));
+
+/**
+ * POST /api/teams/invitations/accept
+ * Join the team an invitation link is for
+ * Body: { token }
+ * Whoever holds the link can accept it; the invited email only labels it for the owners
+ */
+router.post('/invitations/accept', requireSession, asyncHandler(async (req, res) => {
+  const { invitation, error, status } = await findPendingInvitation(req.body.token);
+  if (error) {
+    return res.status(status).json({ error });
+  }
+
+  // Accepting never downgrades an existing owner
+  const userId = req.session.userId;
+  const currentRole = await TeamModel.getRole(invitation.team_id, userId);
+  if (currentRole !== 'owner') {
+    await TeamModel.addMember(invitation.team_id, userId, invitation.role);
+  }
+  await TeamModel.removeInvitation(invitation.id);
+
+  await logActivity(userId, 'success', `Joined team "${invitation.team_name}" as ${invitation.role}`);
+
+  res.json({ success: true, teamId: invitation.team_id });
+}));
+
+/**
+ * POST /api/teams/invitations/decline
+ * Decline an invitation link (it stops working)
+ * Body: { token }
+ */
+router.post('/invitations/decline', requireSession, asyncHandler(async (req, res) => {
+  const { invitation, error, status } = await findPendingInvitation(req.body.token);
+  if (error) {
+    return res.status(status).json({ error });
+  }
+
+  await TeamModel.removeInvitation(invitation.id);
+  res.json({ success: true });
+}));
+
+/**
+ * PUT /api/teams/:id
+ * Rename a team (owners only)
+ */
+router.put('/:id', requireSession, requireTeamPermission('manage'), asyncHandler(async (req, res) => {
+  const { name } = req.body;
+
+  if (!name || !name.trim()) {
+    return res.status(400).json({ error: 'Team name is required' });
+  }
+
+  await TeamModel.update(req.params.id, name.trim());
+  const team = await TeamModel.findById(req.params.id);
+
+  res.json({ ...team, role: req.teamRole });
+}));
+
+/**
+ * DELETE /api/teams/:id
+ * Delete a team (owners only). The team must not own any servers or apps.
+ */
+router.delete('/:id', requireSession, requireTeamPermission('manage'), asyncHandler(async (req, res) => {
+  const resourceCount = await TeamModel.countResources(req.params.id);
+  if (resourceCount > 0) {
+    return res.status(400).json({ error: 'Delete the team\'s servers and apps before deleting the team' });
+  }
+
+  const team = await TeamModel.findById(req.params.id);
+  await TeamModel.remove(req.params.id);
+  await logActivity(req.session.userId, 'error', `Team "${team.name}" deleted`);
+
+  res.json({ success: true });
+}));
+
+/**
+ * GET /api/teams/:id/members
+ * List team members
+ */
+router.get('/:id/members', requireSession, requireTeamPermission('view'), asyncHandler(async (req, res) => {
+  const members = await TeamModel.findMembers(req.params.id);
+  res.json(members);
+}));
+
+/**
+ * PUT /api/teams/:id/members/:userId
+ * Change a member's role (owners only)
+ */
+router.put('/:id/members/:userId', requireSession, requireTeamPermission('manage'), asyncHandler(async (req, res) => {
+  const { id: teamId, userId } = req.params;
+  const { role } = req.body;
+
+  if (!TEAM_CONFIG.roles.includes(role)) {
+    return res.status(400).json({ error: `Role must be one of: ${TEAM_CONFIG.roles.join(', ')}` });
+  }
+
+  const currentRole = await TeamModel.getRole(teamId, userId);
+  if (!currentRole) {
+    return res.status(404).json({ error: 'Member not found' });
+  }
+
+  if (currentRole === 'owner' && role !== 'owner' && await TeamModel.countOwners(teamId) <= 1) {
+    return res.status(400).json({ error: 'A team must have at least one owner' });
+  }
+
+  await TeamModel.updateMemberRole(teamId, userId, role);
+  res.json({ success: true });
+}));
+
+/**
+ * DELETE /api/teams/:id/members/:userId
+ * Remove a member (owners), or leave the team (any member removing themselves)
+ */
+router.delete('/:id/members/:userId', requireSession, requireTeamPermission('view'), asyncHandler(async (req, res) => {
+  const { id: teamId, userId } = req.params;
+  const isSelf = userId === req.session.userId;
+
+  if (!isSelf && !TeamModel.roleAllows(req.teamRole, 'manage')) {
+    return res.status(403).json({ error: 'Only team owners can remove members' });
+  }
+
+  const memberRole = await TeamModel.getRole(teamId, userId);
+  if (!memberRole) {
+    return res.status(404).json({ error: 'Member not found' });
+  }
+
+  if (memberRole === 'owner' && await TeamModel.countOwners(teamId) <= 1) {
+    return res.status(400).json({ error: 'A team must have at least one owner' });
+  }
+
+  await TeamModel.removeMember(teamId, userId);
+  res.json({ success: true });
+}));
+
+/**
+ * GET /api/teams/:id/invitations
+ * List pending invitations (owners only)
+ */
+router.get('/:id/invitations', requireSession, requireTeamPermission('manage'), asyncHandler(async (req, res) => {
+  const invitations = await TeamModel.findInvitationsByTeam(req.params.id);
+  res.json(invitations);
+}));
+
+/**
+ * POST /api/teams/:id/invitations
+ * Invite someone (owners only)
+ * Body: { email, role }
+ * Returns the invitation with its link token, which is only returned once. The owner sends
+ * the link to the invitee, who accepts it after signing in.
+ */
+router.post('/:id/invitations', requireSession, requireTeamPermission('manage'), asyncHandler(async (req, res) => {
+  const { email, role = 'viewer' } = req.body;
+
+  if (!email || !EMAIL_PATTERN.test(email.trim())) {
+    return res.status(400).json({ error: 'A valid email address is required' });
+  }
+
+  if (!TEAM_CONFIG.roles.includes(role)) {
+    return res.status(400).json({ error: `Role must be one of: ${TEAM_CONFIG.roles.join(', ')}` });
+  }
+
+  const invitee = await UserModel.findByEmail(email.trim());
+  if (invitee && await TeamModel.getRole(req.params.id, invitee.id)) {
+    return res.status(409).json({ error: 'This user is already a member of the team' });
+  }
+
+  const { token, invitation } = await TeamModel.createInvitation(req.params.id, email, role, req.session.userId);
+  await logActivity(req.session.userId, 'info', `Invited ${invitation.email} to team "${invitation.team_name}" as ${role}`);
+
+  res.json({ ...invitation, token });
+}));
+
+/**
+ * DELETE /api/teams/:id/invitations/:invitationId
+ * Revoke a pending invitation (owners only)
+ */
+router.delete('/:id/invitations/:invitationId', requireSession, requireTeamPermission('manage'), asyncHandler(async (req, res) => {
+  const invitation = await TeamModel.findInvitationById(req.params.invitationId);
+
+  if (!invitation || invitation.team_id !== req.params.id) {
+    return res.status(404).json({ error: 'Invitation not found' });
+  }
+
+  await TeamModel.removeInvitation(invitation.id);
+  res.json({ success: true });
+}));
+
+module.exports = router;
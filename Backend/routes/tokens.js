@@ -0,0 +1,96 @@
+const express = require('express');
+const router = express.Router();
+const { ApiTokenModel, ActivityModel } = require('../models');
+const { requireSession, asyncHandler } = require('../middleware');
+const { API_TOKEN_CONFIG } = require('../config');
+
+/**
+ * GET /api/tokens/scopes
+ * Get the scopes that can be granted to a token
+ */
+router.get('/scopes', requireSession, (req, res) => {
+  res.json(API_TOKEN_CONFIG.scopes);
+});
+
+/**
+ * GET /api/tokens
+ * List the user's API tokens (token values are never returned)
+ */
+router.get('/', requireSession, asyncHandler(async (req, res) => {
+  const tokens = await ApiTokenModel.findByUser(req.session.userId);
+  res.json(tokens);
+}));
+
+/**
+ * POST /api/tokens
+ * Create a new API token
+ * Body: { name, scopes: string[], expiresInDays?: number }
+ * The plain-text token is only returned in this response
+ */
+router.post('/', requireSession, asyncHandler(async (req, res) => {
+  const { name, scopes, expiresInDays } = req.body;
+
+  if (!name || !name.trim()) {
+    return res.status(400).json({ error: 'Token name is required' });
+  }
+
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return res.status(400).json({ error: 'At least one scope is required' });
+  }
+
+  const invalidScopes = scopes.filter(scope => !API_TOKEN_CONFIG.scopes.includes(scope));
+  if (invalidScopes.length > 0) {
+    return res.status(400).json({ error: `Invalid scopes: ${invalidScopes.join(', ')}` });
+  }
+
+  let expiresAt = null;
+  if (expiresInDays !== undefined && expiresInDays !== null && expiresInDays !== '') {
+    const days = Number(expiresInDays);
+    if (!Number.isInteger(days) || days < 1 || days > 365) {
+      return res.status(400).json({ error: 'Expiry must be between 1 and 365 days' });
+    }
+    expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+  }
+
+  const tokenCount = await ApiTokenModel.countByUser(req.session.userId);
+  if (tokenCount >= API_TOKEN_CONFIG.maxTokensPerUser) {
+    return res.status(400).json({ error: `You can have at most ${API_TOKEN_CONFIG.maxTokensPerUser} API tokens` });
+  }
+
+  const { token, apiToken } = await ApiTokenModel.create(req.session.userId, {
+    name: name.trim(),
+    scopes: [...new Set(scopes)],
+    expiresAt
+  });
+
+  try {
+    await ActivityModel.create(req.session.userId, 'info', `API token "${apiToken.name}" created`);
+  } catch (err) {
+    console.error('Failed to log activity:', err);
+  }
+
+  res.json({ ...apiToken, token });
+}));
+
+/**
+ * DELETE /api/tokens/:id
+ * Revoke an API token
+ */
+router.delete('/:id', requireSession, asyncHandler(async (req, res) => {
+  const apiToken = await ApiTokenModel.findById(req.params.id);
+  const deleted = await ApiTokenModel.revoke(req.params.id, req.session.userId);
+
+  if (!deleted) {
+    return res.status(404).json({ error: 'API token not found' });
+  }
+
+  try {
+    await ActivityModel.create(req.session.userId, 'info', `API token "${apiToken.name}" revoked`);
+  } catch (err) {
+    console.error('Failed to log activity:', err);
+  }
+
+  res.json({ success: true });
+}));
+
+module.exports = router;
@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+/**
+ * Local stand-in for notification endpoints, for trying out channels without real services
+ *
+ * HTTP (webhook, Slack, Discord): every POST is printed and answered with 200.
+ *   Point a channel at http://localhost:4040/<anything>. With SINK_SECRET set, webhook
+ *   signatures are verified and requests with a bad signature get 401.
+ *   Paths starting with /fail/<status> answer with that status (e.g. /fail/500 to see retries).
+ * SMTP (email): accepts every message and prints it. Use host localhost, port 2525, security "none".
+ *
+ * Usage: npm run notification-sink
+ * Env: SINK_HTTP_PORT (4040), SINK_SMTP_PORT (2525), SINK_SECRET
+ */
+const http = require('http');
+const net = require('net');
+const crypto = require('crypto');
+const { signPayload } = require('../services/notifications/senders');
+const { NOTIFICATION_CONFIG } = require('../config');
+
+const HTTP_PORT = parseInt(process.env.SINK_HTTP_PORT) || 4040;
+const SMTP_PORT = parseInt(process.env.SINK_SMTP_PORT) || 2525;
+const SECRET = process.env.SINK_SECRET || null;
+
+/**
+ * Check a webhook signature in constant time
+ */
+function verifySignature(req, body) {
+  const timestamp = req.headers[NOTIFICATION_CONFIG.timestampHeader.toLowerCase()];
+  const signature = req.headers[NOTIFICATION_CONFIG.signatureHeader.toLowerCase()];
+  if (!timestamp || !signature) return false;
+
+  const expected = Buffer.from(signPayload(SECRET, timestamp, body));
+  const received = Buffer.from(signature);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+const httpServer = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const failure = req.url.match(/^\/fail\/(\d{3})/);
+    const signed = Boolean(req.headers[NOTIFICATION_CONFIG.signatureHeader.toLowerCase()]);
+    const valid = SECRET && signed ? verifySignature(req, body) : null;
+
+    console.log(`\n[http] ${req.method} ${req.url}${valid === null ? '' : ` (signature ${valid ? 'valid' : 'INVALID'})`}`);
+    try {
+      console.log(JSON.stringify(JSON.parse(body), null, 2));
+    } catch {
+      console.log(body);
+    }
+
+    if (valid === false) {
+      res.writeHead(401).end('invalid signature');
+    } else if (failure) {
+      res.writeHead(parseInt(failure[1])).end('failing on purpose');
+    } else {
+      res.writeHead(200, { 'Content-Type': 'text/plain' }).end('ok');
+    }
+  });
+});
+
+/**
+ * Minimal SMTP server: enough of RFC 5321 for nodemailer without TLS
+ */
+const smtpServer = net.createServer((socket) => {
+  let inData = false;
+  let message = '';
+  let buffer = '';
+  let loginPrompts = 0;
+  const reply = (line) => socket.write(`${line}\r\n`);
+
+  reply('220 notification-sink ESMTP');
+
+  socket.on('data', (chunk) => {
+    buffer += chunk.toString();
+    let index;
+    while ((index = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, index);
+      buffer = buffer.slice(index + 2);
+
+      if (inData) {
+        if (line === '.') {
+          inData = false;
+          console.log(`\n[smtp] message received\n${message}`);
+          message = '';
+          reply('250 2.0.0 Message accepted');
+        } else {
+          message += `${line.startsWith('..') ? line.slice(1) : line}\n`;
+        }
+        continue;
+      }
+
+      // Any credentials are accepted; AUTH LOGIN asks for the username and password in turn
+      if (loginPrompts > 0) {
+        loginPrompts--;
+        reply(loginPrompts > 0 ? '334 UGFzc3dvcmQ6' : '235 2.7.0 Authentication successful');
+        continue;
+      }
+
+      const command = line.split(' ')[0].toUpperCase();
+      if (command === 'EHLO') {
+        socket.write('250-notification-sink\r\n250-AUTH PLAIN LOGIN\r\n250 8BITMIME\r\n');
+      } else if (command === 'HELO') {
+        reply('250 notification-sink');
+      } else if (command === 'AUTH') {
+        if (/^AUTH LOGIN$/i.test(line.trim())) {
+          loginPrompts = 2;
+          reply('334 VXNlcm5hbWU6');
+        } else {
+          reply('235 2.7.0 Authentication successful');
+        }
+      } else if (command === 'DATA') {
+        inData = true;
+        reply('354 End data with <CR><LF>.<CR><LF>');
+      } else if (command === 'QUIT') {
+        reply('221 Bye');
+        socket.end();
+      } else {
+        reply('250 OK');
+      }
+    }
+  });
+  socket.on('error', () => {});
+});
+
+httpServer.listen(HTTP_PORT, () => console.log(`Webhook sink on http://localhost:${HTTP_PORT}${SECRET ? ' (verifying signatures)' : ''}`));
+smtpServer.listen(SMTP_PORT, () => console.log(`SMTP sink on localhost:${SMTP_PORT}`));
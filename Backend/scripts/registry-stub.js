@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+/**
+ * Local stand-in for a Docker registry, for trying out image update detection without a real one
+ *
+ * Answers manifest requests of the Registry HTTP API v2 for any repository and tag with a small
+ * OCI index whose digest stays the same until the tag is "rebuilt":
+ *   POST /_rebuild/<repository>/<tag>  gives the tag a new digest (e.g. /_rebuild/team/web/latest)
+ * Set an app's registry URL to http://localhost:5050 to check against it.
+ * With REGISTRY_USER and REGISTRY_PASSWORD set, pulls need a bearer token from /token obtained
+ * with those credentials, the way Docker Hub and most hosted registries work.
+ * With REGISTRY_NO_DIGEST_HEADER set, the Docker-Content-Digest header is left out.
+ *
+ * Usage: npm run registry-stub
+ * Env: REGISTRY_PORT (5050), REGISTRY_USER, REGISTRY_PASSWORD, REGISTRY_NO_DIGEST_HEADER
+ */
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = parseInt(process.env.REGISTRY_PORT) || 5050;
+const USER = process.env.REGISTRY_USER || null;
+const PASSWORD = process.env.REGISTRY_PASSWORD || '';
+const SEND_DIGEST = !process.env.REGISTRY_NO_DIGEST_HEADER;
+const TOKEN = crypto.randomBytes(16).toString('hex');
+
+// "<repository>:<tag>" -> number of rebuilds
+const builds = new Map();
+
+/**
+ * Manifest body of a tag at its current build
+ */
+function manifestFor(repository, tag) {
+  const build = builds.get(`${repository}:${tag}`) || 1;
+  const configDigest = crypto.createHash('sha256').update(`${repository}:${tag}:${build}`).digest('hex');
+  return JSON.stringify({
+    schemaVersion: 2,
+    mediaType: 'application/vnd.oci.image.index.v1+json',
+    manifests: [{
+      mediaType: 'application/vnd.oci.image.manifest.v1+json',
+      digest: `sha256:${configDigest}`,
+      size: 0,
+      platform: { architecture: 'amd64', os: 'linux' }
+    }]
+  });
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  console.log(`[registry] ${req.method} ${url.pathname}${url.search}${req.headers.authorization ? ` (${req.headers.authorization.split(' ')[0]})` : ''}`);
+
+  const rebuild = url.pathname.match(/^\/_rebuild\/(.+)\/([^/]+)$/);
+  if (rebuild && req.method === 'POST') {
+    const key = `${rebuild[1]}:${rebuild[2]}`;
+    builds.set(key, (builds.get(key) || 1) + 1);
+    const digest = crypto.createHash('sha256').update(manifestFor(rebuild[1], rebuild[2])).digest('hex');
+    console.log(`[registry] ${key} rebuilt, now sha256:${digest}`);
+    return res.writeHead(200, { 'Content-Type': 'text/plain' }).end(`sha256:${digest}\n`);
+  }
+
+  if (url.pathname === '/token') {
+    const expected = `Basic ${Buffer.from(`${USER}:${PASSWORD}`).toString('base64')}`;
+    if (req.headers.authorization !== expected) {
+      return res.writeHead(401).end('bad credentials');
+    }
+    return res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify({ token: TOKEN }));
+  }
+
+  if (USER && req.headers.authorization !== `Bearer ${TOKEN}`) {
+    const scope = url.pathname.match(/^\/v2\/(.+)\/manifests\//);
+    return res.writeHead(401, {
+      'WWW-Authenticate': `Bearer realm="http://localhost:${PORT}/token",service="registry-stub"${scope ? `,scope="repository:${scope[1]}:pull"` : ''}`
+    }).end();
+  }
+
+  if (url.pathname === '/v2/') {
+    return res.writeHead(200, { 'Content-Type': 'application/json' }).end('{}');
+  }
+
+  const manifest = url.pathname.match(/^\/v2\/(.+)\/manifests\/([^/]+)$/);
+  if (!manifest || !['GET', 'HEAD'].includes(req.method)) {
+    return res.writeHead(404).end();
+  }
+
+  const body = manifestFor(manifest[1], decodeURIComponent(manifest[2]));
+  const headers = { 'Content-Type': 'application/vnd.oci.image.index.v1+json', 'Content-Length': Buffer.byteLength(body) };
+  if (SEND_DIGEST) {
+    headers['Docker-Content-Digest'] = `sha256:${crypto.createHash('sha256').update(body).digest('hex')}`;
+  }
+  res.writeHead(200, headers);
+  res.end(req.method === 'GET' ? body : undefined);
+});
+
+server.listen(PORT, () => console.log(`Registry stub on http://localhost:${PORT}${USER ? ` (login ${USER})` : ''}`));
@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+/**
+ * Rotate the master key that encrypts SSH private keys, registry passwords, notification channel secrets
+ * and two-factor secrets
+ *
+ * Stop the server first, then run with the current key configured as usual
+ * (MASTER_KEY, MASTER_KEY_PASSPHRASE or the key file) and the new key in:
+ *   NEW_MASTER_KEY=<32 bytes hex/base64>   or
+ *   NEW_MASTER_KEY_PASSPHRASE=<passphrase>
+ * Without either, a random key is generated and written to the key file.
+ *
+ * Usage: npm run rotate-master-key
+ */
+const crypto = require('crypto');
+const { initDatabase } = require('../database/init');
+const { closeDb } = require('../database/connection');
+const { secretsService, storedSecrets } = require('../services/secrets');
+const { SECRETS_CONFIG } = require('../config');
+
+async function rotate() {
+  await initDatabase();
+  const currentKey = await secretsService.init();
+
+  const newSource = {
+    key: process.env.NEW_MASTER_KEY,
+    passphrase: process.env.NEW_MASTER_KEY_PASSPHRASE
+  };
+  const generated = !newSource.key && !newSource.passphrase;
+  const salt = newSource.passphrase && !newSource.key ? crypto.randomBytes(16).toString('hex') : null;
+  const newKey = generated ? secretsService.generateKey() : secretsService.resolveKey(newSource, salt);
+
+  if (secretsService.getKeyId(newKey) === secretsService.getKeyId(currentKey)) {
+    throw new Error('The new master key is the same as the current one');
+  }
+
+  if (generated) {
+    // Printed before anything is rewritten so a failed run can be finished with NEW_MASTER_KEY
+    console.log(`New master key: ${newKey.toString('hex')}`);
+  }
+
+  const counts = await storedSecrets.reencryptStoredSecrets({ fromKey: currentKey, toKey: newKey });
+  await secretsService.saveKeyInfo(newKey, salt);
+
+  if (generated) {
+    secretsService.writeKeyFile(newKey);
+    console.log(`Wrote the new key to ${SECRETS_CONFIG.keyFile}`);
+  }
+
+  console.log(`Re-encrypted ${counts.keys} SSH key(s), ${counts.registryPasswords} registry password(s), ${counts.channels} notification channel(s) and ${counts.totpSecrets} two-factor secret(s)`);
+
+  const envKey = process.env.MASTER_KEY ? 'MASTER_KEY' : process.env.MASTER_KEY_PASSPHRASE ? 'MASTER_KEY_PASSPHRASE' : null;
+  if (generated && envKey) {
+    console.log(`Unset ${envKey} (or set MASTER_KEY to the key above) before starting the server.`);
+  } else if (!generated) {
+    console.log(`Set ${newSource.key ? 'MASTER_KEY' : 'MASTER_KEY_PASSPHRASE'} to the new value before starting the server.`);
+  }
+}
+
+rotate()
+  .then(() => closeDb())
+  .catch(async (err) => {
+    console.error('Master key rotation failed:', err.message);
+    await closeDb();
+    process.exit(1);
+  });
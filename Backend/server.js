@@ -16,6 +16,7 @@ const { PORT, CORS_ORIGINS, SESSION_CONFIG } = require('./config');
 
 // Database
 const { initDatabase } = require('./database/init');
+const SQLiteSessionStore = require('./database/sessionStore');
 
 // Routes
 const {
@@ -28,21 +29,32 @@ const {
   serviceRoutes,
   systemRoutes,
   snapshotRoutes,
-  migrationRoutes
+  migrationRoutes,
+  tokenRoutes,
+  teamRoutes,
+  adminRoutes,
+  alertRoutes,
+  notificationRoutes,
+  prometheusRoutes
 } = require('./routes');
 
 const templateRoutes = require('./routes/templates');
 const uploadsRoutes = require('./routes/uploads');
 
 // Middleware
-const { errorHandler, notFoundHandler } = require('./middleware');
+const { errorHandler, notFoundHandler, authenticateApiToken, auditTrail } = require('./middleware');
 
 // WebSocket
-const { initTerminalHandlers } = require('./websocket');
+const { initSocketAuth, initTerminalHandlers } = require('./websocket');
 
 // Services
-const { scheduler: metricsScheduler } = require('./services/metrics');
-const { connectionPool } = require('./services/ssh');
+const { scheduler: metricsScheduler, alerts, rollups: metricsRollups } = require('./services/metrics');
+const { connectionPool, keyRotation, healthChecker } = require('./services/ssh');
+const { secretsService, storedSecrets } = require('./services/secrets');
+const auditService = require('./services/auditService');
+const { notificationService } = require('./services/notifications');
+const { checkService: deploymentChecks } = require('./services/deploymentChecks');
+const { imageUpdates } = require('./services/updates');
 
 // Initialize Express app
 const app = express();
@@ -75,8 +87,16 @@ const uploadsPath = require('path').join(__dirname, 'uploads');
 console.log('📁 Serving static uploads from:', uploadsPath);
 app.use('/uploads', express.static(uploadsPath));
 
-// Session
-app.use(session(SESSION_CONFIG));
+// API tokens (Authorization: Bearer) - must run before the session so token requests skip cookies
+app.use(authenticateApiToken);
+
+// Session (shared with the Socket.IO handshake), persisted in SQLite
+const sessionStore = new SQLiteSessionStore();
+const sessionMiddleware = session({ ...SESSION_CONFIG, store: sessionStore });
+app.use(sessionMiddleware);
+
+// Audit log of every state-changing request (after the session so the actor is known)
+app.use(auditTrail);
 
 // =============================================================================
 // API Routes
@@ -95,19 +115,31 @@ app.use('/api/system', systemRoutes);
 app.use('/api', snapshotRoutes);  // /api/snapshots/*, /api/deployments/:id/snapshots/*
 app.use('/api/migrations', migrationRoutes);  // /api/migrations/*
 app.use('/api/uploads', uploadsRoutes);  // /api/uploads/*
+app.use('/api/tokens', tokenRoutes);  // /api/tokens/* - personal access tokens
+app.use('/api/teams', teamRoutes);  // /api/teams/* - teams, members and invitations
+app.use('/api/admin', adminRoutes);  // /api/admin/* - user management (admins only)
+app.use('/api/alerts', alertRoutes);  // /api/alerts/* - alert rules and history
+app.use('/api/notifications', notificationRoutes);  // /api/notifications/* - notification channels and delivery log
+app.use('/metrics', prometheusRoutes);  // /metrics - Prometheus exposition (API token with metrics:read)
 
 // Set Socket.IO for routes that need real-time progress
 migrationRoutes.setSocketIO(io);
+appRoutes.setSocketIO(io);
+alerts.setSocketIO(io);
+healthChecker.setSocketIO(io);
+deploymentChecks.setSocketIO(io);
 
 // Store io reference for access in routes (e.g., file operations, system update progress)
 app.set('io', io);
 
-// Health check endpoint
+// Health check endpoint (public: totals only, per-server detail is at /api/system/health)
 app.get('/api/health', (req, res) => {
   res.json({
     status: 'ok',
     timestamp: new Date().toISOString(),
-    sshPoolStats: connectionPool.getStats()
+    sshPoolStats: { totalConnections: connectionPool.getStats().totalConnections },
+    metricsScheduler: metricsScheduler.getSummary(),
+    healthChecks: healthChecker.getStats()
   });
 });
 
@@ -122,6 +154,7 @@ app.use(errorHandler);
 // WebSocket Setup
 // =============================================================================
 
+initSocketAuth(io, sessionMiddleware);
 initTerminalHandlers(io);
 
 // =============================================================================
@@ -134,12 +167,46 @@ async function startServer() {
     await initDatabase();
     console.log('Database initialized');
 
+    // Load the master key and encrypt secrets stored by older versions
+    await secretsService.init();
+    const migrated = await storedSecrets.encryptPlaintextSecrets();
+    if (migrated.keys || migrated.registryPasswords || migrated.channels || migrated.totpSecrets) {
+      console.log(`Encrypted ${migrated.keys} SSH key(s), ${migrated.registryPasswords} registry password(s), ${migrated.channels} notification channel(s) and ${migrated.totpSecrets} two-factor secret(s) at rest`);
+    }
+
+    // Audit log hash chain key (encrypted with the master key)
+    await auditService.init();
+
     // Start HTTP server
     server.listen(PORT, () => {
       console.log(`Server running on http://localhost:${PORT}`);
       
+      // Probe every server's reachability and record uptime
+      healthChecker.startHealthChecks();
+
       // Start background metrics collection
       metricsScheduler.startMetricsCollection();
+
+      // Run HTTP/TCP/command checks of running deployments
+      deploymentChecks.startChecks();
+
+      // Look for newer images of running containers' tags (and roll them out in maintenance windows)
+      imageUpdates.startImageUpdateChecks();
+
+      // Downsample metrics into rollup tiers and prune each tier past its retention
+      metricsRollups.startRollups();
+
+      // Rotate SSH keys on servers with a rotation schedule
+      keyRotation.startKeyRotationSchedule();
+
+      // Prune audit log entries past the retention period
+      auditService.startRetentionCleanup();
+
+      // Prune resolved alerts past the retention period
+      alerts.startHistoryCleanup();
+
+      // Prune notification deliveries past the retention period
+      notificationService.startDeliveryCleanup();
     });
 
   } catch (err) {
@@ -155,11 +222,38 @@ async function startServer() {
 function shutdown() {
   console.log('Shutting down gracefully...');
   
+  // Stop server health checks
+  healthChecker.stopHealthChecks();
+
   // Stop metrics collection
   metricsScheduler.stopMetricsCollection();
+
+  // Stop deployment checks
+  deploymentChecks.stopChecks();
+
+  // Stop image update checks
+  imageUpdates.stopImageUpdateChecks();
+
+  // Stop metrics rollups and pruning
+  metricsRollups.stopRollups();
+
+  // Stop scheduled key rotation
+  keyRotation.stopKeyRotationSchedule();
+
+  // Stop audit log pruning
+  auditService.stopRetentionCleanup();
+
+  // Stop alert history pruning
+  alerts.stopHistoryCleanup();
+
+  // Stop notification delivery log pruning
+  notificationService.stopDeliveryCleanup();
   
   // Close SSH connection pool
   connectionPool.closeAll();
+
+  // Stop session cleanup
+  sessionStore.close();
   
   // Close HTTP server
   server.close(() => {
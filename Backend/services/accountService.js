@@ -0,0 +1,147 @@
+const { UserModel, TeamModel, ServerModel, AppModel, SnapshotModel, MetricsModel, ContainerStatsModel, DeploymentCheckModel, UptimeModel, ActivityModel, ApiTokenModel, SessionModel, AlertModel, NotificationModel } = require('../models');
+const { keyManager, connectionPool, serverConfig: { buildServerConfig } } = require('./ssh');
+const { snapshotService } = require('./snapshots');
+const { userRoom } = require('../websocket/auth');
+const { run } = require('../database/connection');
+
+/**
+ * Account Service
+ * Session revocation and account deletion with cleanup of owned data
+ */
+
+/**
+ * Disconnect a user's sockets, optionally only those opened by certain sessions
+ * Sockets keep their handshake session, so they have to be dropped explicitly
+ * @param {Server|null} io - Socket.IO server instance
+ * @param {string} userId - User ID
+ * @param {Function} shouldDisconnect - Predicate on the socket's session ID
+ */
+async function disconnectSockets(io, userId, shouldDisconnect) {
+  if (!io) return;
+  const sockets = await io.in(userRoom(userId)).fetchSockets();
+  for (const socket of sockets) {
+    if (shouldDisconnect(socket.request && socket.request.sessionID)) {
+      socket.disconnect(true);
+    }
+  }
+}
+
+/**
+ * Destroy every session belonging to a user and disconnect their sockets
+ * @param {Server|null} io - Socket.IO server instance
+ * @param {string} userId - User ID
+ * @param {string|null} keepSessionId - Session ID to keep (e.g. the current one after a password change)
+ * @returns {Promise<number>} - Number of destroyed sessions
+ */
+async function destroyUserSessions(io, userId, keepSessionId = null) {
+  const count = await SessionModel.removeByUser(userId, keepSessionId);
+  await disconnectSockets(io, userId, sid => !keepSessionId || sid !== keepSessionId);
+  return count;
+}
+
+/**
+ * Sign out one of a user's sessions
+ * @param {Server|null} io - Socket.IO server instance
+ * @param {string} userId - User ID
+ * @param {string} id - Public session ID (see SessionModel.publicId)
+ * @returns {Promise<boolean>} - True if the session existed
+ */
+async function revokeSession(io, userId, id) {
+  const sid = await SessionModel.removeByPublicId(userId, id);
+  if (!sid) return false;
+
+  await disconnectSockets(io, userId, socketSid => socketSid === sid);
+  return true;
+}
+
+/**
+ * Get teams that would be left without an owner if the user were deleted
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<{id: string, name: string}>>}
+ */
+async function findOwnershipBlockers(userId) {
+  const teams = await TeamModel.findByUser(userId);
+  const blockers = [];
+
+  for (const team of teams) {
+    if (team.role === 'owner' && team.member_count > 1 && await TeamModel.countOwners(team.id) <= 1) {
+      blockers.push({ id: team.id, name: team.name });
+    }
+  }
+
+  return blockers;
+}
+
+/**
+ * Delete a team and everything it owns: servers (and their SSH keys), apps,
+ * deployment records and snapshot archives. Containers on the servers are left running.
+ * @param {string} teamId - Team ID
+ * @returns {Promise<{servers: number, apps: number, snapshots: number}>}
+ */
+async function deleteTeamResources(teamId) {
+  const snapshots = await SnapshotModel.findByTeam(teamId);
+  for (const snapshot of snapshots) {
+    await snapshotService.deleteSnapshot(snapshot);
+  }
+
+  const apps = await AppModel.removeByTeam(teamId);
+
+  const servers = await ServerModel.findByTeam(teamId);
+  for (const server of servers) {
+    connectionPool.closeConnection(buildServerConfig(server));
+    await keyManager.deleteKeyPair(server.privateKeyPath);
+    // Deployments of other teams' apps on this server go with it
+    await DeploymentCheckModel.deleteForServer(server.id);
+    await run('DELETE FROM app_deployments WHERE server_id = ?', [server.id]);
+    await MetricsModel.deleteForServer(server.id);
+    await ContainerStatsModel.deleteForServer(server.id);
+    await UptimeModel.deleteForServer(server.id);
+    await ServerModel.remove(server.id);
+  }
+
+  await AlertModel.removeByTeam(teamId);
+  await NotificationModel.removeByTeam(teamId);
+  await TeamModel.remove(teamId);
+
+  return { servers: servers.length, apps, snapshots: snapshots.length };
+}
+
+/**
+ * Delete a user account
+ * Teams the user is the only member of are deleted with their resources;
+ * shared teams keep their resources and just lose the member.
+ * Callers must check findOwnershipBlockers() first.
+ * @param {string} userId - User ID
+ * @param {Server|null} io - Socket.IO server instance
+ * @returns {Promise<{servers: number, apps: number, snapshots: number}>}
+ */
+async function deleteAccount(userId, io = null) {
+  const totals = { servers: 0, apps: 0, snapshots: 0 };
+  const teams = await TeamModel.findByUser(userId);
+
+  for (const team of teams) {
+    if (team.member_count <= 1) {
+      const removed = await deleteTeamResources(team.id);
+      totals.servers += removed.servers;
+      totals.apps += removed.apps;
+      totals.snapshots += removed.snapshots;
+    } else {
+      await TeamModel.removeMember(team.id, userId);
+    }
+  }
+
+  await ApiTokenModel.removeByUser(userId);
+  await ActivityModel.deleteAllForUser(userId);
+  await destroyUserSessions(io, userId);
+  await UserModel.remove(userId);
+
+  return totals;
+}
+
+module.exports = {
+  destroyUserSessions,
+  revokeSession,
+  findOwnershipBlockers,
+  deleteTeamResources,
+  deleteAccount
+};
@@ -0,0 +1,413 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { AuditLogModel, SystemSettingsModel, UserModel } = require('../models');
+const secretsService = require('./secrets/secretsService');
+const { AUDIT_CONFIG } = require('../config');
+
+/**
+ * Audit Service
+ * Append-only record of privileged actions: who (user or API token, source IP) did what
+ * (action, status) to which resource, with before/after values where a handler provides them.
+ *
+ * Every entry stores an HMAC over its fields and the previous entry's hash, so editing,
+ * deleting or reordering entries breaks the chain. The HMAC key is kept encrypted with the
+ * master key, so rewriting the chain needs more than write access to the database.
+ */
+
+const CHAIN_KEY_SETTING = 'audit_chain_key';
+const ANCHOR_SETTING = 'audit_log_anchor';
+const GENESIS_HASH = '0'.repeat(64);
+
+// HMAC key for the hash chain, set by init()
+let chainKey = null;
+
+// Appends run one at a time so each entry sees the hash of the one before it
+let appendQueue = Promise.resolve();
+
+let cleanupInterval = null;
+
+/**
+ * Load (or create) the hash chain key
+ * Must run after secretsService.init()
+ * @returns {Promise<void>}
+ */
+async function init() {
+  const stored = await SystemSettingsModel.getValue(CHAIN_KEY_SETTING);
+  if (stored) {
+    chainKey = Buffer.from(secretsService.decrypt(stored), 'hex');
+    return;
+  }
+
+  const key = crypto.randomBytes(32);
+  await SystemSettingsModel.setValue(CHAIN_KEY_SETTING, secretsService.encrypt(key.toString('hex')));
+  chainKey = key;
+}
+
+/**
+ * Compute an entry's hash
+ * @param {Object} row - Row values (snake_case), including prev_hash
+ * @returns {string}
+ */
+function computeHash(row) {
+  if (!chainKey) {
+    throw new Error('Audit log is not initialized');
+  }
+  const values = AuditLogModel.HASHED_COLUMNS.map(column => row[column] === undefined ? null : row[column]);
+  return crypto.createHmac('sha256', chainKey).update(JSON.stringify(values)).digest('hex');
+}
+
+/**
+ * Truncate long text so a single entry stays a reasonable size
+ * @param {*} value - Value to store
+ * @returns {*}
+ */
+function truncate(value) {
+  if (typeof value !== 'string' || value.length <= AUDIT_CONFIG.maxTextLength) return value;
+  return `${value.slice(0, AUDIT_CONFIG.maxTextLength)}\n… [truncated, ${value.length} characters total]`;
+}
+
+/**
+ * Copy an object without secret fields, shortening long strings
+ * @param {*} value - Request body or nested value
+ * @returns {*}
+ */
+function redact(value) {
+  if (Array.isArray(value)) return value.map(redact);
+  if (!value || typeof value !== 'object') {
+    return typeof value === 'string' && value.length > 1000 ? `${value.slice(0, 1000)}…` : value;
+  }
+
+  const copy = {};
+  for (const [key, fieldValue] of Object.entries(value)) {
+    copy[key] = redactField(key, fieldValue);
+  }
+  return copy;
+}
+
+/**
+ * Redact a single named field
+ * @private
+ */
+function redactField(key, value) {
+  if (value === undefined || value === null) return null;
+  return AUDIT_CONFIG.redactedFields.includes(key) ? '[redacted]' : redact(value);
+}
+
+/**
+ * Field-level changes between two versions of a record
+ * @param {Object|null} before - Old values
+ * @param {Object|null} after - New values
+ * @param {Array<string>|null} fields - Fields to compare (default: all fields of both)
+ * @returns {Object} - { field: { from, to } } for fields that changed
+ */
+function diffObjects(before, after, fields = null) {
+  const keys = fields || [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+  const changes = {};
+
+  for (const key of keys) {
+    const from = before ? before[key] : undefined;
+    const to = after ? after[key] : undefined;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[key] = { from: redactField(key, from), to: redactField(key, to) };
+    }
+  }
+  return changes;
+}
+
+/**
+ * Append an entry to the audit log
+ * @param {Object} entry
+ * @param {Object} entry.actor - { id, name, type: 'user'|'token'|'anonymous'|'system', tokenId }
+ * @param {string|null} entry.ip - Source IP
+ * @param {string} entry.action - Action name (e.g. "PUT /api/servers/:id" or "terminal.open")
+ * @param {number|null} entry.statusCode - HTTP status of the request, if any
+ * @param {Object|null} entry.target - { type, id, label }
+ * @param {Object|null} entry.details - Extra data (request body, changes, before/after)
+ * @returns {Promise<void>}
+ */
+function record({ actor = {}, ip = null, action, statusCode = null, target = null, details = null }) {
+  const append = async () => {
+    const row = {
+      id: uuidv4(),
+      timestamp: new Date().toISOString(),
+      actor_id: actor.id || null,
+      actor_name: actor.name || null,
+      actor_type: actor.type || 'system',
+      token_id: actor.tokenId || null,
+      ip,
+      action,
+      status_code: statusCode,
+      target_type: target ? target.type || null : null,
+      target_id: target && target.id !== undefined && target.id !== null ? String(target.id) : null,
+      target_label: target ? target.label || null : null,
+      details: details && Object.keys(details).length > 0 ? JSON.stringify(details) : null
+    };
+
+    const anchor = await SystemSettingsModel.getValue(ANCHOR_SETTING);
+    row.prev_hash = (await AuditLogModel.getLastHash()) || (anchor && anchor.hash) || GENESIS_HASH;
+    row.hash = computeHash(row);
+    await AuditLogModel.insert(row);
+  };
+
+  const result = appendQueue.then(append);
+  // Keep the queue going even if this append fails
+  appendQueue = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Source IP of a request or socket handshake
+ * @param {string|undefined} address - Raw address
+ * @returns {string|null}
+ */
+function normalizeIp(address) {
+  if (!address) return null;
+  return address.startsWith('::ffff:') ? address.slice(7) : address;
+}
+
+/**
+ * Describe the user (or API token) behind a session
+ * @param {Object|null} session - Express session or socket handshake session
+ * @returns {Promise<Object>} - Actor for record()
+ */
+async function getActor(session) {
+  if (!session || !session.userId) {
+    return { type: 'anonymous' };
+  }
+
+  const user = await UserModel.findById(session.userId);
+  return {
+    id: session.userId,
+    name: user ? user.email : null,
+    type: session.apiToken ? 'token' : 'user',
+    tokenId: session.apiToken ? session.apiToken.id : null
+  };
+}
+
+/**
+ * Singular resource type for a URL segment (servers -> server)
+ * @private
+ */
+function singular(segment) {
+  if (segment.endsWith('ies')) return `${segment.slice(0, -3)}y`;
+  return segment.endsWith('s') ? segment.slice(0, -1) : segment;
+}
+
+/**
+ * Work out the target of a request from its route, e.g. /api/apps/:appId/deployments/:deploymentId
+ * targets the deployment. The last parameter that follows a plain path segment wins.
+ * @param {string} routePath - Route template
+ * @param {Object} params - Route parameters
+ * @returns {Object|null} - { type, id }
+ */
+function targetFromRoute(routePath, params) {
+  const segments = routePath.split('/').filter(Boolean);
+  let target = null;
+
+  segments.forEach((segment, index) => {
+    const previous = segments[index - 1];
+    if (segment.startsWith(':') && previous && !previous.startsWith(':') && previous !== 'api') {
+      target = { type: singular(previous), id: params[segment.slice(1)] };
+    }
+  });
+
+  // Collection routes (POST /api/servers, POST /api/admin/invitations) target the resource type itself
+  if (!target) {
+    const resource = segments[1] === 'admin' ? segments[2] : segments[1];
+    target = resource ? { type: singular(resource), id: null } : null;
+  }
+  return target;
+}
+
+/**
+ * Attach audit data to the current request (merged into its entry)
+ * @param {Object} req - Express request
+ * @param {Object} data - { target, before, after, changes, ... }
+ */
+function annotate(req, data) {
+  if (!req.audit) return;
+  const { target, ...details } = data;
+  if (target) {
+    req.audit.target = { ...req.audit.target, ...target };
+  }
+  Object.assign(req.audit.details, details);
+}
+
+/**
+ * Record a field-level diff for the current request
+ * @param {Object} req - Express request
+ * @param {Object|null} before - Old values
+ * @param {Object|null} after - New values
+ * @param {Array<string>|null} fields - Fields to compare
+ */
+function annotateChanges(req, before, after, fields = null) {
+  annotate(req, { changes: diffObjects(before, after, fields) });
+}
+
+/**
+ * Record old and new text content (files) for the current request
+ * @param {Object} req - Express request
+ * @param {string|null} before - Previous content (null if the file did not exist)
+ * @param {string|null} after - New content
+ */
+function annotateContent(req, before, after) {
+  annotate(req, {
+    before: truncate(before),
+    after: truncate(after),
+    unchanged: before === after || undefined
+  });
+}
+
+/**
+ * Record a finished HTTP request
+ * @param {Object} req - Express request (with req.audit set by the auditTrail middleware)
+ * @param {Object} res - Express response
+ * @returns {Promise<void>}
+ */
+async function recordRequest(req, res) {
+  if (!req.route || req.audit.skip) return;
+
+  const baseUrl = req.audit.baseUrl || req.baseUrl;
+  const routePath = req.route.path === '/' && baseUrl ? baseUrl : `${baseUrl}${req.route.path}`;
+  const routeParams = req.audit.params || req.params;
+  const action = `${req.method} ${routePath}`;
+  if (AUDIT_CONFIG.ignoredActions.includes(action)) return;
+
+  const details = { ...req.audit.details };
+  const params = { ...routeParams };
+  if (Object.keys(params).length > 0) details.params = params;
+  if (req.query && Object.keys(req.query).length > 0) details.query = redact(req.query);
+  if (req.body && Object.keys(req.body).length > 0) {
+    if (AUDIT_CONFIG.bodyFieldsOnlyActions.includes(action)) {
+      details.bodyFields = Object.keys(req.body);
+    } else {
+      details.body = redact(req.body);
+    }
+  }
+  const files = req.files || (req.file ? [req.file] : null);
+  if (files && files.length > 0) {
+    details.files = files.map(file => ({ name: file.originalname, size: file.size }));
+  }
+
+  await record({
+    actor: req.audit.actor || await getActor(req.session),
+    ip: req.audit.ip,
+    action,
+    statusCode: res.statusCode,
+    target: { ...targetFromRoute(routePath, routeParams), ...req.audit.target },
+    details
+  });
+}
+
+/**
+ * Check the hash chain
+ * @returns {Promise<{valid: boolean, checked: number, brokenAt?: Object}>}
+ */
+async function verifyChain() {
+  const anchor = await SystemSettingsModel.getValue(ANCHOR_SETTING);
+  let prevHash = (anchor && anchor.hash) || GENESIS_HASH;
+  let lastSeq = 0;
+  let checked = 0;
+
+  for (;;) {
+    const rows = await AuditLogModel.findRawAfter(lastSeq);
+    if (rows.length === 0) break;
+
+    for (const row of rows) {
+      if (row.prev_hash !== prevHash) {
+        return { valid: false, checked, brokenAt: { seq: row.seq, id: row.id, reason: 'An entry before this one was removed or reordered' } };
+      }
+      if (computeHash(row) !== row.hash) {
+        return { valid: false, checked, brokenAt: { seq: row.seq, id: row.id, reason: 'This entry was modified' } };
+      }
+      prevHash = row.hash;
+      lastSeq = row.seq;
+      checked++;
+    }
+  }
+
+  return { valid: true, checked };
+}
+
+/**
+ * Delete entries past the retention period
+ * The hash of the newest deleted entry is kept as the new start of the chain.
+ * @returns {Promise<number>} - Number of deleted entries
+ */
+async function pruneExpired() {
+  if (!AUDIT_CONFIG.retentionDays) return 0;
+
+  const cutoff = new Date(Date.now() - AUDIT_CONFIG.retentionDays * 24 * 60 * 60 * 1000);
+  // Run in the append queue so no entry is chained to a row being deleted
+  const result = appendQueue.then(async () => {
+    const { deleted, lastHash } = await AuditLogModel.deleteOlderThan(cutoff);
+    if (deleted > 0) {
+      await SystemSettingsModel.setValue(ANCHOR_SETTING, { hash: lastHash, prunedAt: new Date().toISOString() });
+    }
+    return deleted;
+  });
+  appendQueue = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Start daily pruning of expired entries
+ */
+function startRetentionCleanup() {
+  const cleanup = () => pruneExpired()
+    .then(deleted => {
+      if (deleted > 0) console.log(`Pruned ${deleted} audit log entries older than ${AUDIT_CONFIG.retentionDays} days`);
+    })
+    .catch(err => console.error('Error pruning audit log:', err.message));
+
+  cleanup();
+  cleanupInterval = setInterval(cleanup, AUDIT_CONFIG.cleanupInterval);
+}
+
+/**
+ * Stop pruning expired entries
+ */
+function stopRetentionCleanup() {
+  if (cleanupInterval) {
+    clearInterval(cleanupInterval);
+    cleanupInterval = null;
+  }
+}
+
+/**
+ * Convert entries to CSV
+ * @param {Array<Object>} entries - Entries from AuditLogModel.find
+ * @returns {string}
+ */
+function toCsv(entries) {
+  const columns = ['timestamp', 'actorName', 'actorType', 'tokenId', 'ip', 'action', 'statusCode', 'targetType', 'targetId', 'targetLabel', 'details'];
+  const escape = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const lines = [columns.join(',')];
+  for (const entry of entries) {
+    lines.push(columns.map(column => escape(entry[column])).join(','));
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  CHAIN_KEY_SETTING,
+  init,
+  record,
+  recordRequest,
+  getActor,
+  normalizeIp,
+  annotate,
+  annotateChanges,
+  annotateContent,
+  diffObjects,
+  verifyChain,
+  pruneExpired,
+  startRetentionCleanup,
+  stopRetentionCleanup,
+  toCsv
+};
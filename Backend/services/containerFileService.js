@@ -1,3 +1,4 @@
+const shellEscape = require('shell-escape');
 const { connectionManager } = require('./ssh');
 const { downloadFileToBuffer } = require('./ssh/sftpService');
 const path = require('path');
@@ -114,7 +115,7 @@ async function listContainerFiles(serverConfig, containerId, path = '/') {
     
     // If path is in a volume, access it directly from host
     if (hostPath) {
-      const volumeCommand = `sudo ls -la --time-style=long-iso "${hostPath}" 2>&1`;
+      const volumeCommand = `sudo ls -la --time-style=long-iso ${shellEscape([hostPath])} 2>&1`;
       const volumeResult = await connectionManager.executeCommand(serverConfig, volumeCommand);
       
       if (volumeResult.code === 0) {
@@ -126,7 +127,7 @@ async function listContainerFiles(serverConfig, containerId, path = '/') {
     
     // Fall back to docker exec if volume access didn't work
     console.log('Volume access failed or path not in volume, trying docker exec...');
-    const execCommand = `docker exec ${containerId} ls -la --time-style=long-iso "${safePath}" 2>&1`;
+    const execCommand = `docker exec ${containerId} ls -la --time-style=long-iso ${shellEscape([safePath])} 2>&1`;
     const { stdout, stderr, code } = await connectionManager.executeCommand(serverConfig, execCommand);
     
     if (code === 0 && stdout && !stderr.includes('not running')) {
@@ -232,7 +233,7 @@ async function readContainerFile(serverConfig, containerId, filePath) {
     
     // If path is in a volume, access it directly from host
     if (hostPath) {
-      const volumeCommand = `sudo cat "${hostPath}" 2>&1`;
+      const volumeCommand = `sudo cat ${shellEscape([hostPath])} 2>&1`;
       const volumeResult = await connectionManager.executeCommand(serverConfig, volumeCommand);
       
       console.log(`[readContainerFile] Volume cat result - code: ${volumeResult.code}, stdout length: ${volumeResult.stdout?.length || 0}`);
@@ -259,7 +260,7 @@ async function readContainerFile(serverConfig, containerId, filePath) {
     
     // Fall back to docker exec if volume access didn't work
     console.log('Volume access failed or path not in volume, trying docker exec...');
-    const execCommand = `docker exec ${containerId} cat "${safePath}" 2>&1`;
+    const execCommand = `docker exec ${containerId} cat ${shellEscape([safePath])} 2>&1`;
     const { stdout, stderr, code } = await connectionManager.executeCommand(serverConfig, execCommand);
     
     if (code === 0 && !stderr.includes('not running')) {
@@ -306,7 +307,7 @@ async function writeContainerFile(serverConfig, containerId, filePath, content)
     }
     
     // Get original file permissions and ownership (needs sudo for Docker volumes)
-    const statCommand = `sudo stat -c '%a|%U|%G' "${hostPath}" 2>&1`;
+    const statCommand = `sudo stat -c '%a|%U|%G' ${shellEscape([hostPath])} 2>&1`;
     const statResult = await connectionManager.executeCommand(serverConfig, statCommand);
     
     let originalPerms = '644';
@@ -334,7 +335,7 @@ async function writeContainerFile(serverConfig, containerId, filePath, content)
     }
     
     // Copy temp file to destination (needs sudo for Docker volumes)
-    const copyCommand = `sudo cp -f ${tempFile} "${hostPath}"`;
+    const copyCommand = `sudo cp -f ${tempFile} ${shellEscape([hostPath])}`;
     const copyResult = await connectionManager.executeCommand(serverConfig, copyCommand);
     
     if (copyResult.code !== 0) {
@@ -345,11 +346,11 @@ async function writeContainerFile(serverConfig, containerId, filePath, content)
     
     // Restore original permissions and ownership
     if (originalPerms) {
-      await connectionManager.executeCommand(serverConfig, `sudo chmod ${originalPerms} "${hostPath}"`);
+      await connectionManager.executeCommand(serverConfig, `sudo chmod ${originalPerms} ${shellEscape([hostPath])}`);
     }
     
     if (originalOwner && originalGroup) {
-      await connectionManager.executeCommand(serverConfig, `sudo chown ${originalOwner}:${originalGroup} "${hostPath}"`);
+      await connectionManager.executeCommand(serverConfig, `sudo chown ${originalOwner}:${originalGroup} ${shellEscape([hostPath])}`);
     }
     
     // Clean up temp file
@@ -374,7 +375,7 @@ async function getContainerFileStats(serverConfig, containerId, filePath) {
   const safePath = filePath.replace(/[;&|`$]/g, '');
   
   // Use docker exec with stat to get file info
-  const command = `docker exec ${containerId} stat -c '%s|%Y|%A|%U|%G' "${safePath}" 2>&1`;
+  const command = `docker exec ${containerId} stat -c '%s|%Y|%A|%U|%G' ${shellEscape([safePath])} 2>&1`;
   
   try {
     const { stdout, stderr, code } = await connectionManager.executeCommand(serverConfig, command);
@@ -454,7 +455,7 @@ async function downloadContainerFile(serverConfig, containerId, filePath, isDire
       if (hostPath) {
         // Volume-mapped directory - tar from host path
         console.log(`[downloadContainerFile] Creating tar from host path: ${hostPath}`);
-        const tarCommand = `sudo tar -czf ${archivePath} -C "${path.dirname(hostPath)}" "${path.basename(hostPath)}" 2>&1`;
+        const tarCommand = `sudo tar -czf ${archivePath} -C ${shellEscape([path.dirname(hostPath), path.basename(hostPath)])} 2>&1`;
         const tarResult = await connectionManager.executeCommand(serverConfig, tarCommand);
         
         if (tarResult.code !== 0) {
@@ -468,7 +469,7 @@ async function downloadContainerFile(serverConfig, containerId, filePath, isDire
         await connectionManager.executeCommand(serverConfig, `mkdir -p ${tempPath}`);
         
         // docker cp from container (works for both running and stopped containers)
-        const cpCommand = `docker cp "${containerId}:${safePath}" "${tempPath}/" 2>&1`;
+        const cpCommand = `docker cp ${shellEscape([`${containerId}:${safePath}`])} "${tempPath}/" 2>&1`;
         const cpResult = await connectionManager.executeCommand(serverConfig, cpCommand);
         
         if (cpResult.code !== 0) {
@@ -500,7 +501,7 @@ async function downloadContainerFile(serverConfig, containerId, filePath, isDire
         console.log(`[downloadContainerFile] Downloading from host path: ${hostPath}`);
         
         // Copy to temp with sudo (Docker volumes often need elevated permissions)
-        const cpCommand = `sudo cp "${hostPath}" "${tempPath}" && sudo chmod 644 "${tempPath}"`;
+        const cpCommand = `sudo cp ${shellEscape([hostPath])} "${tempPath}" && sudo chmod 644 "${tempPath}"`;
         const cpResult = await connectionManager.executeCommand(serverConfig, cpCommand);
         
         if (cpResult.code !== 0) {
@@ -514,7 +515,7 @@ async function downloadContainerFile(serverConfig, containerId, filePath, isDire
         // Non-volume file - use docker cp
         console.log(`[downloadContainerFile] Using docker cp for non-volume file`);
         
-        const cpCommand = `docker cp "${containerId}:${safePath}" "${tempPath}" 2>&1`;
+        const cpCommand = `docker cp ${shellEscape([`${containerId}:${safePath}`])} "${tempPath}" 2>&1`;
         const cpResult = await connectionManager.executeCommand(serverConfig, cpCommand);
         
         if (cpResult.code !== 0) {
@@ -577,10 +578,10 @@ async function getContainerFileInfo(serverConfig, containerId, filePath) {
     let statCommand;
     if (hostPath) {
       // Use host path with sudo
-      statCommand = `sudo stat -c '%F|%s' "${hostPath}" 2>&1`;
+      statCommand = `sudo stat -c '%F|%s' ${shellEscape([hostPath])} 2>&1`;
     } else {
       // Use docker exec for non-volume paths
-      statCommand = `docker exec ${containerId} stat -c '%F|%s' "${safePath}" 2>&1`;
+      statCommand = `docker exec ${containerId} stat -c '%F|%s' ${shellEscape([safePath])} 2>&1`;
     }
     
     const result = await connectionManager.executeCommand(serverConfig, statCommand);
@@ -598,9 +599,9 @@ async function getContainerFileInfo(serverConfig, containerId, filePath) {
     if (isDirectory) {
       let duCommand;
       if (hostPath) {
-        duCommand = `sudo du -sb "${hostPath}" 2>/dev/null | cut -f1`;
+        duCommand = `sudo du -sb ${shellEscape([hostPath])} 2>/dev/null | cut -f1`;
       } else {
-        duCommand = `docker exec ${containerId} du -sb "${safePath}" 2>/dev/null | cut -f1`;
+        duCommand = `docker exec ${containerId} du -sb ${shellEscape([safePath])} 2>/dev/null | cut -f1`;
       }
       const duResult = await connectionManager.executeCommand(serverConfig, duCommand);
       if (duResult.code === 0) {
@@ -0,0 +1,342 @@
+const { AppModel, DeploymentCheckModel, TeamModel } = require('../../models');
+const { emitToUser } = require('../../websocket/auth');
+const { notificationService } = require('../notifications');
+const { runProbe } = require('./probes');
+const { DEPLOYMENT_CHECK_CONFIG } = require('../../config');
+
+/**
+ * Deployment Check Service
+ * Runs the enabled checks of every running deployment on their own interval (at most
+ * DEPLOYMENT_CHECK_CONFIG.concurrency at a time), records each result with its response time
+ * and rolls the latest results up into the deployment's health:
+ *   healthy  - every check passes in time
+ *   degraded - some checks fail, or pass slower than their maxResponseMs
+ *   down     - every check fails
+ * Health changes are pushed to the team as `deployment-health` and sent to notification channels.
+ */
+
+const CHECK_TYPES = {
+  http: { label: 'HTTP' },
+  tcp: { label: 'TCP' },
+  exec: { label: 'Command' }
+};
+
+const CHECK_SOURCES = ['backend', 'server'];
+
+let io = null;
+let tickTimer = null;
+let cleanupTimer = null;
+
+// Check IDs queued or running, so a slow check is never started twice
+const inFlight = new Set();
+const queue = [];
+let activeWorkers = 0;
+
+/**
+ * Set Socket.IO server for health pushes
+ * @param {Server} socketIo - Socket.IO server instance
+ */
+function setSocketIO(socketIo) {
+  io = socketIo;
+}
+
+/**
+ * Parse an optional integer setting within a range
+ * @private
+ */
+function parseRange(value, fallback, min, max) {
+  if (value === undefined || value === null || value === '') return { value: fallback };
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) return { error: true };
+  return { value: number };
+}
+
+/**
+ * Validate and normalize check fields from a request body
+ * @param {Object} body - { name, type, source, config, intervalSeconds, timeoutSeconds, maxResponseMs, enabled }
+ * @returns {{check?: Object, error?: string}}
+ */
+function normalizeCheck(body) {
+  const { type } = body;
+  if (!CHECK_TYPES[type]) {
+    return { error: `Unknown check type. Use one of: ${Object.keys(CHECK_TYPES).join(', ')}` };
+  }
+
+  // Commands run in the container, so always on the server
+  const source = type === 'exec' ? 'server' : (body.source || 'backend');
+  if (!CHECK_SOURCES.includes(source)) {
+    return { error: `Source must be one of: ${CHECK_SOURCES.join(', ')}` };
+  }
+
+  const input = body.config || {};
+  const config = {};
+  if (type === 'http' || type === 'tcp') {
+    const port = Number(input.port);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+      return { error: 'Port must be a number between 1 and 65535' };
+    }
+    config.port = port;
+  }
+  if (type === 'http') {
+    config.scheme = input.scheme === 'https' ? 'https' : 'http';
+    config.path = typeof input.path === 'string' && input.path.trim() ? input.path.trim() : '/';
+    if (!config.path.startsWith('/') || /\s/.test(config.path)) {
+      return { error: 'Path must start with / and contain no spaces' };
+    }
+    const expectedStatus = parseRange(input.expectedStatus, null, 100, 599);
+    if (expectedStatus.error) {
+      return { error: 'Expected status must be an HTTP status code' };
+    }
+    config.expectedStatus = expectedStatus.value;
+    config.expectedBody = typeof input.expectedBody === 'string' && input.expectedBody ? input.expectedBody.slice(0, 500) : null;
+  }
+  if (type === 'exec') {
+    if (typeof input.command !== 'string' || !input.command.trim()) {
+      return { error: 'Command is required' };
+    }
+    config.command = input.command.trim().slice(0, 1000);
+  }
+
+  const { minInterval, maxInterval, defaultInterval, defaultTimeout, maxTimeout } = DEPLOYMENT_CHECK_CONFIG;
+  const interval = parseRange(body.intervalSeconds, defaultInterval, minInterval, maxInterval);
+  if (interval.error) {
+    return { error: `Interval must be between ${minInterval} and ${maxInterval} seconds` };
+  }
+  const timeout = parseRange(body.timeoutSeconds, Math.min(defaultTimeout, interval.value), 1, Math.min(maxTimeout, interval.value));
+  if (timeout.error) {
+    return { error: `Timeout must be between 1 and ${Math.min(maxTimeout, interval.value)} seconds (and not longer than the interval)` };
+  }
+  const maxResponseMs = parseRange(body.maxResponseMs, null, 1, timeout.value * 1000);
+  if (maxResponseMs.error) {
+    return { error: 'Slow response threshold must be a number of milliseconds within the timeout' };
+  }
+
+  const defaultName = type === 'http'
+    ? `HTTP ${config.port}${config.path}`
+    : type === 'tcp' ? `TCP ${config.port}` : config.command.slice(0, 50);
+
+  return {
+    check: {
+      name: typeof body.name === 'string' && body.name.trim() ? body.name.trim().slice(0, 100) : defaultName,
+      type,
+      source,
+      config,
+      intervalSeconds: interval.value,
+      timeoutSeconds: timeout.value,
+      maxResponseMs: maxResponseMs.value,
+      enabled: body.enabled === undefined ? true : Boolean(body.enabled)
+    }
+  };
+}
+
+/**
+ * Health of a deployment from the latest result of each of its enabled checks
+ * @param {Array} checks - Checks of the deployment (DeploymentCheckModel)
+ * @returns {string|null} - 'healthy', 'degraded', 'down', or null if nothing has run yet
+ */
+function summarizeHealth(checks) {
+  const results = checks.filter(check => check.enabled && check.lastResult).map(check => check.lastResult);
+  if (results.length === 0) return null;
+  if (results.every(result => result === 'up')) return 'healthy';
+  if (results.every(result => result === 'down')) return 'down';
+  return 'degraded';
+}
+
+/**
+ * Tell the team and its notification channels that a deployment's health changed
+ * @private
+ */
+async function notifyHealthChange(target, health, previous, checks) {
+  const failing = checks.filter(check => check.enabled && check.lastResult && check.lastResult !== 'up');
+  const recovered = health === 'healthy';
+
+  // A deployment that starts out healthy is not news
+  if (recovered && !previous) return;
+
+  if (recovered || health === 'down' || health === 'degraded') {
+    notificationService.notify(recovered ? 'deployment.recovered' : 'deployment.unhealthy', {
+      teamId: target.teamId,
+      title: recovered
+        ? `${target.name} on ${target.serverName} is healthy again`
+        : `${target.name} on ${target.serverName} is ${health}`,
+      message: recovered
+        ? 'All health checks pass.'
+        : failing.map(check => `${check.name}: ${check.lastError || (check.lastResult === 'slow' ? 'slow response' : 'failed')}`).join('\n'),
+      severity: recovered ? 'success' : health === 'down' ? 'error' : 'warning',
+      fields: [
+        { name: 'Deployment', value: target.name },
+        { name: 'Server', value: target.serverName }
+      ],
+      data: { deploymentId: target.deploymentId, appId: target.appId, serverId: target.serverId, health, previousHealth: previous }
+    });
+  }
+
+  if (!io) return;
+  try {
+    const payload = {
+      deploymentId: target.deploymentId,
+      appId: target.appId,
+      name: target.name,
+      serverName: target.serverName,
+      health,
+      previousHealth: previous
+    };
+    for (const member of await TeamModel.findMembers(target.teamId)) {
+      emitToUser(io, member.id, 'deployment-health', payload);
+    }
+  } catch (err) {
+    console.error('Failed to push deployment health:', err.message);
+  }
+}
+
+/**
+ * Recompute and store the health of a deployment after its checks changed or ran
+ * @param {string} deploymentId - Deployment ID
+ * @param {Object} [target] - Deployment target from DeploymentCheckModel.findRunnable, for notifications
+ * @returns {Promise<string|null>} - New health
+ */
+async function refreshDeploymentHealth(deploymentId, target = null) {
+  const checks = await DeploymentCheckModel.findByDeployment(deploymentId);
+  const health = summarizeHealth(checks);
+  const previous = target ? target.healthStatus : (await AppModel.findDeploymentByIdSimple(deploymentId))?.health_status || null;
+
+  await AppModel.updateDeploymentHealth(deploymentId, health);
+  if (target && health !== previous) {
+    target.healthStatus = health;
+    await notifyHealthChange(target, health, previous, checks);
+  }
+  return health;
+}
+
+/**
+ * Run a check once, record the result and update the deployment's health
+ * @param {Object} check - Check with its `target` (DeploymentCheckModel.findRunnable)
+ * @returns {Promise<Object>} - { result, responseMs, statusCode, error }
+ */
+async function runCheck(check) {
+  const probe = await runProbe(check, check.target);
+  const slow = probe.ok && check.maxResponseMs && probe.responseMs > check.maxResponseMs;
+
+  const outcome = {
+    result: probe.ok ? (slow ? 'slow' : 'up') : 'down',
+    responseMs: probe.responseMs,
+    statusCode: probe.statusCode,
+    error: slow ? `Responded in ${probe.responseMs} ms (limit ${check.maxResponseMs} ms)` : probe.error
+  };
+
+  await DeploymentCheckModel.recordResult(check, outcome);
+  await refreshDeploymentHealth(check.deploymentId, check.target);
+  return outcome;
+}
+
+/**
+ * Find a runnable check by ID (enabled, deployment running)
+ * @param {string} checkId - Check ID
+ * @returns {Promise<Object|null>}
+ */
+async function findRunnableCheck(checkId) {
+  return (await DeploymentCheckModel.findRunnable()).find(check => check.id === checkId) || null;
+}
+
+/**
+ * Start queued checks while workers are free
+ * @private
+ */
+function drainQueue() {
+  while (activeWorkers < DEPLOYMENT_CHECK_CONFIG.concurrency && queue.length > 0) {
+    const check = queue.shift();
+    activeWorkers++;
+
+    runCheck(check)
+      .catch(error => console.warn(`Deployment check "${check.name}" failed to run:`, error.message))
+      .finally(() => {
+        inFlight.delete(check.id);
+        activeWorkers--;
+        drainQueue();
+      });
+  }
+}
+
+/**
+ * Queue the checks that are due
+ * A check is due once its interval has passed since it last ran, so restarts don't re-run everything
+ * @private
+ */
+async function tick() {
+  try {
+    const now = Date.now();
+    for (const check of await DeploymentCheckModel.findRunnable()) {
+      // Checks on the server need SSH; leave unreachable servers to the server health checks
+      const needsSsh = check.source === 'server' || check.type === 'exec';
+      if (inFlight.has(check.id) || (needsSsh && check.target.serverStatus !== 'online')) {
+        continue;
+      }
+      const lastRun = check.lastCheckedAt ? new Date(check.lastCheckedAt).getTime() : 0;
+      if (now - lastRun < check.intervalSeconds * 1000) continue;
+
+      inFlight.add(check.id);
+      queue.push(check);
+    }
+    drainQueue();
+  } catch (error) {
+    console.error('Error scheduling deployment checks:', error.message);
+  }
+}
+
+/**
+ * Delete results past the retention period
+ * @private
+ */
+async function pruneResults() {
+  try {
+    const deleted = await DeploymentCheckModel.deleteResultsOlderThan(DEPLOYMENT_CHECK_CONFIG.resultRetentionDays);
+    if (deleted > 0) {
+      console.log(`Deleted ${deleted} deployment check results older than ${DEPLOYMENT_CHECK_CONFIG.resultRetentionDays} days`);
+    }
+  } catch (error) {
+    console.error('Error pruning deployment check results:', error.message);
+  }
+}
+
+/**
+ * Start scheduled deployment checks (and daily pruning of their results)
+ */
+function startChecks() {
+  console.log('Starting deployment health checks...');
+  tick();
+  tickTimer = setInterval(tick, DEPLOYMENT_CHECK_CONFIG.tickInterval);
+
+  pruneResults();
+  cleanupTimer = setInterval(pruneResults, 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Stop scheduled deployment checks
+ * Checks already running finish on their own
+ */
+function stopChecks() {
+  if (tickTimer) {
+    clearInterval(tickTimer);
+    tickTimer = null;
+  }
+  if (cleanupTimer) {
+    clearInterval(cleanupTimer);
+    cleanupTimer = null;
+  }
+  for (const check of queue.splice(0)) {
+    inFlight.delete(check.id);
+  }
+}
+
+module.exports = {
+  CHECK_TYPES,
+  CHECK_SOURCES,
+  setSocketIO,
+  normalizeCheck,
+  summarizeHealth,
+  refreshDeploymentHealth,
+  runCheck,
+  findRunnableCheck,
+  startChecks,
+  stopChecks
+};
@@ -0,0 +1,4 @@
+module.exports = {
+  checkService: require('./checkService'),
+  probes: require('./probes')
+};
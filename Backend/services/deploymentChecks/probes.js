@@ -0,0 +1,207 @@
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const shellEscape = require('shell-escape');
+const { executeCommand } = require('../ssh/connectionManager');
+const { buildServerConfig } = require('../ssh/serverConfig');
+const { DEPLOYMENT_CHECK_CONFIG } = require('../../config');
+
+/**
+ * Deployment Check Probes
+ * Run one check against a deployment, either from the backend (HTTP/TCP to the server's
+ * published port) or on the server itself over SSH (curl/TCP to 127.0.0.1, or a command
+ * run inside the container with docker exec). Every probe resolves with
+ * { ok, responseMs, statusCode, error } and never throws.
+ */
+
+// Marks the line with the exit code (and timing) at the end of on-server probe output
+const RESULT_MARKER = '__CHECK__';
+
+/**
+ * Why an HTTP response fails the check, or null if it passes
+ * Without an expected status any 2xx or 3xx response passes
+ * @private
+ */
+function httpFailure(config, statusCode, body) {
+  if (config.expectedStatus ? statusCode !== config.expectedStatus : statusCode < 200 || statusCode >= 400) {
+    return `Unexpected status ${statusCode}${config.expectedStatus ? ` (expected ${config.expectedStatus})` : ''}`;
+  }
+  if (config.expectedBody && !body.includes(config.expectedBody)) {
+    return `Response body does not contain "${config.expectedBody}"`;
+  }
+  return null;
+}
+
+/**
+ * URL a check requests on the given host
+ * @private
+ */
+function checkUrl(config, host) {
+  return `${config.scheme || 'http'}://${host}:${config.port}${config.path || '/'}`;
+}
+
+/**
+ * HTTP GET from the backend
+ * Certificates are not verified: deployments are usually reached by IP
+ * @private
+ */
+function httpFromBackend(check, host) {
+  const timeoutMs = check.timeoutSeconds * 1000;
+  const url = checkUrl(check.config, host);
+  const client = url.startsWith('https:') ? https : http;
+  const started = Date.now();
+
+  return new Promise((resolve) => {
+    let timer = null;
+    const finish = (outcome) => {
+      clearTimeout(timer);
+      resolve(outcome);
+    };
+
+    const req = client.get(url, { rejectUnauthorized: false, headers: { 'User-Agent': 'NoBase-HealthCheck' } }, (res) => {
+      const chunks = [];
+      let size = 0;
+      res.on('data', (chunk) => {
+        // Keep reading (and discarding) past the limit so the response completes
+        if (size < DEPLOYMENT_CHECK_CONFIG.maxBodyBytes) {
+          chunks.push(chunk);
+          size += chunk.length;
+        }
+      });
+      res.on('end', () => {
+        const body = Buffer.concat(chunks).toString('utf8');
+        const error = httpFailure(check.config, res.statusCode, body);
+        finish({ ok: !error, responseMs: Date.now() - started, statusCode: res.statusCode, error });
+      });
+      res.on('error', (err) => finish({ ok: false, responseMs: null, statusCode: res.statusCode, error: err.message }));
+    });
+
+    req.on('error', (err) => finish({ ok: false, responseMs: null, statusCode: null, error: err.message }));
+    timer = setTimeout(() => req.destroy(new Error(`Timed out after ${check.timeoutSeconds}s`)), timeoutMs);
+  });
+}
+
+/**
+ * TCP connect from the backend
+ * @private
+ */
+function tcpFromBackend(check, host) {
+  const started = Date.now();
+
+  return new Promise((resolve) => {
+    const socket = net.connect({ host, port: check.config.port });
+    socket.setTimeout(check.timeoutSeconds * 1000);
+    socket.once('connect', () => {
+      socket.destroy();
+      resolve({ ok: true, responseMs: Date.now() - started, statusCode: null, error: null });
+    });
+    socket.once('timeout', () => socket.destroy(new Error(`Timed out after ${check.timeoutSeconds}s`)));
+    socket.once('error', (err) => {
+      resolve({ ok: false, responseMs: null, statusCode: null, error: err.message });
+    });
+  });
+}
+
+/**
+ * Shell script that runs a check on the server and ends with the result marker line:
+ * "__CHECK__ <exit code> <milliseconds>", or "__CHECK__ <curl exit code> <http status> <seconds>" for HTTP
+ * HTTP and TCP checks go to 127.0.0.1 unless another host (e.g. a container's own IP) is given
+ * @private
+ */
+function buildServerScript(check, containerName, host = '127.0.0.1') {
+  const { config } = check;
+  const timeout = check.timeoutSeconds;
+
+  if (check.type === 'http') {
+    // curl times the request itself; the body goes through a temp file so it can be capped
+    return [
+      'f=$(mktemp)',
+      `w=$(curl -sS -k -o "$f" -w '%{http_code} %{time_total}' --max-time ${timeout} ${shellEscape([checkUrl(config, host)])})`,
+      'c=$?',
+      `head -c ${DEPLOYMENT_CHECK_CONFIG.maxBodyBytes} "$f"`,
+      'rm -f "$f"',
+      `echo; echo "${RESULT_MARKER} $c $w"`
+    ].join('\n');
+  }
+
+  const probe = check.type === 'tcp'
+    ? `if command -v nc >/dev/null 2>&1; then timeout ${timeout} nc -z ${host} ${config.port}; ` +
+      `else timeout ${timeout} bash -c ${shellEscape([`</dev/tcp/${host}/${config.port}`])}; fi 2>&1`
+    : `timeout ${timeout} docker exec ${shellEscape([containerName])} sh -c ${shellEscape([config.command])} 2>&1`;
+
+  return [
+    's=$(date +%s%N)',
+    `out=$(${probe})`,
+    'c=$?',
+    'e=$(date +%s%N)',
+    'printf \'%s\' "$out" | tail -c 500',
+    `echo; echo "${RESULT_MARKER} $c $(( (e - s) / 1000000 ))"`
+  ].join('\n');
+}
+
+/**
+ * Run a check on the server over SSH
+ * @private
+ */
+async function runOnServer(check, target) {
+  if (target.server.os_type === 'windows') {
+    return { ok: false, responseMs: null, statusCode: null, error: 'Checks on the server are not supported on Windows servers' };
+  }
+
+  let stdout;
+  let stderr;
+  try {
+    ({ stdout, stderr } = await executeCommand(buildServerConfig(target.server), buildServerScript(check, target.containerName, target.host)));
+  } catch (err) {
+    return { ok: false, responseMs: null, statusCode: null, error: `SSH: ${err.message}` };
+  }
+
+  const markerAt = stdout.lastIndexOf(RESULT_MARKER);
+  if (markerAt === -1) {
+    return { ok: false, responseMs: null, statusCode: null, error: (stderr || stdout).trim().slice(0, 500) || 'No result from server' };
+  }
+
+  const output = stdout.slice(0, markerAt).replace(/\n$/, '');
+  const fields = stdout.slice(markerAt + RESULT_MARKER.length).trim().split(/\s+/).map(Number);
+  const code = fields[0];
+  const failureOutput = (stderr.trim() || output.trim()).slice(-500);
+
+  if (check.type === 'http') {
+    if (code !== 0) {
+      return { ok: false, responseMs: null, statusCode: null, error: failureOutput || `curl exited with code ${code}` };
+    }
+    const [, status, seconds] = fields;
+    const error = httpFailure(check.config, status, output);
+    return { ok: !error, responseMs: Math.round(seconds * 1000), statusCode: status, error };
+  }
+
+  const ms = fields[1];
+
+  if (code === 124) {
+    return { ok: false, responseMs: null, statusCode: null, error: `Timed out after ${check.timeoutSeconds}s` };
+  }
+  if (code !== 0) {
+    return { ok: false, responseMs: ms, statusCode: null, error: failureOutput || `Exited with code ${code}` };
+  }
+  return { ok: true, responseMs: ms, statusCode: null, error: null };
+}
+
+/**
+ * Run a check once
+ * @param {Object} check - Check (DeploymentCheckModel)
+ * @param {Object} target - { containerName, server: { ip, port, username, ... } } of the deployment,
+ *   optionally with a `host` (an IP address) that on-server HTTP/TCP checks connect to instead of 127.0.0.1
+ * @returns {Promise<{ok: boolean, responseMs: number|null, statusCode: number|null, error: string|null}>}
+ */
+async function runProbe(check, target) {
+  if (check.type === 'exec' || check.source === 'server') {
+    return runOnServer(check, target);
+  }
+  return check.type === 'http'
+    ? httpFromBackend(check, target.server.ip)
+    : tcpFromBackend(check, target.server.ip);
+}
+
+module.exports = {
+  runProbe
+};
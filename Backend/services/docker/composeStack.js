@@ -0,0 +1,332 @@
+const yaml = require('js-yaml');
+const shellEscape = require('shell-escape');
+const { executeCommand } = require('../ssh/connectionManager');
+const { COMPOSE_CONFIG } = require('../../config');
+
+/**
+ * Docker Compose Stacks
+ * A compose app is deployed as a compose project: its file is uploaded to
+ * ~/.nobase/stacks/<project>/docker-compose.yml on the server and run from that directory with
+ * `docker compose -p <project> up -d` (or the standalone `docker-compose` on older servers).
+ * Relative bind mounts and `.env` files therefore resolve inside the stack directory.
+ * The containers of a stack are found by the `com.docker.compose.project` label compose sets.
+ */
+
+const COMPOSE_FILE_NAME = 'docker-compose.yml';
+
+// Compose's own rule for project names
+const PROJECT_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+// Mount sources that are never archived with a stack (sockets, devices, host internals)
+const SYSTEM_PATH_PATTERN = /^\/(proc|sys|dev|run|var\/run)(\/|$)/;
+
+// Field separator in docker --format output
+const SEPARATOR = '|';
+
+/**
+ * Check a project name before it is used in a command
+ * @param {string} name - Project name
+ * @returns {boolean}
+ */
+function isValidProjectName(name) {
+  return typeof name === 'string' && name.length <= 128 && PROJECT_NAME_PATTERN.test(name);
+}
+
+/**
+ * Published host/container port of one `ports` entry, or null if nothing is published
+ * Handles "80", "8080:80", "127.0.0.1:8080:80/udp" and the long { target, published } syntax
+ * @private
+ */
+function parsePortEntry(entry) {
+  if (entry && typeof entry === 'object') {
+    return entry.published && entry.target
+      ? { host: String(entry.published), container: String(entry.target) }
+      : null;
+  }
+  const match = String(entry).replace(/\/(tcp|udp|sctp)$/, '').match(/^(?:.*:)?([\d-]+):([\d-]+)$/);
+  return match ? { host: match[1], container: match[2] } : null;
+}
+
+/**
+ * Validate a compose file before it is saved or deployed
+ * Services must run a pulled image: there is no build context on the server. Fixed
+ * container names are rejected too, since a stack could then only be deployed once per server.
+ * @param {string} content - Compose file (YAML)
+ * @returns {{services?: Array<string>, ports?: Array<{host: string, container: string}>, error?: string}}
+ */
+function validateComposeFile(content) {
+  if (typeof content !== 'string' || !content.trim()) {
+    return { error: 'Compose file is empty' };
+  }
+  if (Buffer.byteLength(content, 'utf8') > COMPOSE_CONFIG.maxFileBytes) {
+    return { error: `Compose file is larger than ${Math.round(COMPOSE_CONFIG.maxFileBytes / 1024)} KB` };
+  }
+
+  let doc;
+  try {
+    doc = yaml.load(content);
+  } catch (err) {
+    return { error: `Invalid YAML: ${err.reason || err.message}${err.mark ? ` (line ${err.mark.line + 1})` : ''}` };
+  }
+
+  const services = doc && typeof doc === 'object' ? doc.services : null;
+  if (!services || typeof services !== 'object' || Array.isArray(services) || Object.keys(services).length === 0) {
+    return { error: 'Compose file must define at least one service under "services"' };
+  }
+
+  const ports = [];
+  for (const [name, service] of Object.entries(services)) {
+    if (!service || typeof service !== 'object') {
+      return { error: `Service "${name}" has no configuration` };
+    }
+    if (!service.image) {
+      return {
+        error: service.build
+          ? `Service "${name}" is built from source, which needs the build context on the server: push the image to a registry and use "image:" instead`
+          : `Service "${name}" has no image`
+      };
+    }
+    if (service.container_name) {
+      return { error: `Service "${name}" sets container_name: remove it so the stack can be deployed more than once per server` };
+    }
+    for (const entry of Array.isArray(service.ports) ? service.ports : []) {
+      const port = parsePortEntry(entry);
+      if (port) ports.push(port);
+    }
+  }
+
+  return { services: Object.keys(services), ports };
+}
+
+/**
+ * Stack directory of a project as a shell word (relative to the SSH user's home)
+ * @param {string} project - Project name
+ * @returns {string}
+ */
+function stackDir(project) {
+  return `"$HOME"/${shellEscape([`${COMPOSE_CONFIG.stacksDir}/${project}`])}`;
+}
+
+/**
+ * Build a command that runs a compose subcommand in a project's stack directory
+ * @param {string} project - Project name
+ * @param {Array<string>} args - Subcommand and its arguments, e.g. ['up', '-d']
+ * @returns {string}
+ * @throws {Error} If the project name is invalid
+ */
+function buildComposeCommand(project, args) {
+  if (!isValidProjectName(project)) {
+    throw new Error(`Invalid compose project name "${project}"`);
+  }
+  return [
+    `cd ${stackDir(project)}`,
+    // Compose v2 plugin, or the standalone v1 binary on older servers
+    'if docker compose version >/dev/null 2>&1; then dc="docker compose"; else dc="docker-compose"; fi',
+    `$dc -p ${shellEscape([project, '-f', COMPOSE_FILE_NAME, ...args])}`
+  ].join(' && ');
+}
+
+/**
+ * Run a compose subcommand and fail with its output if it does not succeed
+ * @private
+ */
+async function runCompose(serverConfig, project, args) {
+  const result = await executeCommand(serverConfig, `${buildComposeCommand(project, args)} 2>&1`);
+  if (result.code !== 0) {
+    throw new Error(result.stdout.trim().split('\n').slice(-5).join('\n') || `docker compose ${args[0]} failed`);
+  }
+  return result;
+}
+
+/**
+ * Write a project's compose file on the server
+ * The file travels base64-encoded inside the command, so its content is never parsed by the shell
+ * @param {Object} serverConfig - SSH connection config
+ * @param {string} project - Project name
+ * @param {string} content - Compose file
+ * @returns {Promise<void>}
+ */
+async function uploadComposeFile(serverConfig, project, content) {
+  if (!isValidProjectName(project)) {
+    throw new Error(`Invalid compose project name "${project}"`);
+  }
+  const dir = stackDir(project);
+  const encoded = Buffer.from(content, 'utf8').toString('base64');
+  const { code, stderr } = await executeCommand(
+    serverConfig,
+    `mkdir -p ${dir} && printf '%s' '${encoded}' | base64 -d > ${dir}/${COMPOSE_FILE_NAME}.tmp && mv ${dir}/${COMPOSE_FILE_NAME}.tmp ${dir}/${COMPOSE_FILE_NAME}`
+  );
+  if (code !== 0) {
+    throw new Error(stderr.trim() || 'Failed to upload compose file');
+  }
+}
+
+/**
+ * Upload the compose file, pull the images and (re)create the stack
+ * Services whose configuration did not change keep running
+ * @param {Object} serverConfig - SSH connection config
+ * @param {string} project - Project name
+ * @param {string} content - Compose file
+ * @param {Function} [onOutput] - Receives progress lines
+ * @returns {Promise<void>}
+ */
+async function up(serverConfig, project, content, onOutput = () => {}) {
+  await uploadComposeFile(serverConfig, project, content);
+
+  onOutput('>>> Pulling images...\n');
+  const pull = await executeCommand(serverConfig, `${buildComposeCommand(project, ['pull', '--quiet'])} 2>&1`);
+  if (pull.code !== 0) {
+    onOutput(`>>> Warning: Pull failed (may use cached images): ${pull.stdout.trim()}\n`);
+  }
+
+  onOutput('>>> Starting services...\n');
+  const result = await runCompose(serverConfig, project, ['up', '-d', '--remove-orphans']);
+  if (result.stdout.trim()) onOutput(`${result.stdout.trim()}\n`);
+}
+
+/**
+ * Start the stopped containers of a stack
+ * @param {Object} serverConfig - SSH connection config
+ * @param {string} project - Project name
+ * @returns {Promise<void>}
+ */
+async function start(serverConfig, project) {
+  await runCompose(serverConfig, project, ['start']);
+}
+
+/**
+ * Stop a stack without removing its containers
+ * @param {Object} serverConfig - SSH connection config
+ * @param {string} project - Project name
+ * @returns {Promise<void>}
+ */
+async function stop(serverConfig, project) {
+  await runCompose(serverConfig, project, ['stop']);
+}
+
+/**
+ * Remove a stack's containers and networks, then its stack directory
+ * Named volumes are kept, like `docker rm` keeps the volumes of a single container
+ * @param {Object} serverConfig - SSH connection config
+ * @param {string} project - Project name
+ * @returns {Promise<void>}
+ */
+async function down(serverConfig, project) {
+  await runCompose(serverConfig, project, ['down', '--remove-orphans']);
+  await executeCommand(serverConfig, `rm -rf ${stackDir(project)}`);
+}
+
+/**
+ * Get the logs of a stack, or of one of its services
+ * @param {Object} serverConfig - SSH connection config
+ * @param {string} project - Project name
+ * @param {Object} [options]
+ * @param {string} [options.service] - Service name (all services if omitted)
+ * @param {number} [options.tail] - Lines per service
+ * @returns {Promise<string>}
+ */
+async function getLogs(serverConfig, project, { service = null, tail = COMPOSE_CONFIG.logTail } = {}) {
+  const args = ['logs', '--no-color', '--tail', String(tail)];
+  if (service) args.push(service);
+  const { stdout } = await executeCommand(serverConfig, `${buildComposeCommand(project, args)} 2>&1`);
+  return stdout;
+}
+
+/**
+ * List the containers of a stack with the service each one runs
+ * Read from docker itself, so it also works while the stack directory is missing
+ * @param {Object} serverConfig - SSH connection config
+ * @param {string} project - Project name
+ * @returns {Promise<Array<{service: string, name: string, id: string, state: string, status: string, image: string}>>}
+ */
+async function listServices(serverConfig, project) {
+  const format = ['{{.Label "com.docker.compose.service"}}', '{{.Names}}', '{{.ID}}', '{{.State}}', '{{.Status}}', '{{.Image}}'].join(SEPARATOR);
+  const { stdout, stderr, code } = await executeCommand(
+    serverConfig,
+    `docker ps -a ${shellEscape(['--filter', `label=com.docker.compose.project=${project}`, '--format', format])}`
+  );
+  if (code !== 0) {
+    throw new Error(stderr.trim() || 'Failed to list stack containers');
+  }
+
+  return stdout.split('\n').filter(line => line.trim()).map(line => {
+    const [service, name, id, state, status, image] = line.split(SEPARATOR).map(part => part.trim());
+    return { service, name, id, state, status, image };
+  }).sort((a, b) => a.service.localeCompare(b.service) || a.name.localeCompare(b.name));
+}
+
+/**
+ * Where a stack keeps its data: the absolute path of its stack directory and the mounts of
+ * its containers (system paths such as the docker socket are left out)
+ * @param {Object} serverConfig - SSH connection config
+ * @param {string} project - Project name
+ * @returns {Promise<{stackPath: string, mounts: Array<{type: string, name: string, source: string}>}>}
+ */
+async function getMounts(serverConfig, project) {
+  const filter = shellEscape(['--filter', `label=com.docker.compose.project=${project}`]);
+  const format = `{{range .Mounts}}{{.Type}}${SEPARATOR}{{.Name}}${SEPARATOR}{{.Source}}{{println}}{{end}}`;
+  const { stdout } = await executeCommand(serverConfig, [
+    `cd ${stackDir(project)} && pwd`,
+    `ids=$(docker ps -aq ${filter})`,
+    `if [ -n "$ids" ]; then docker inspect --format '${format}' $ids; fi`
+  ].join('; '));
+
+  const [stackPath, ...lines] = stdout.split('\n').map(line => line.trim());
+  if (!stackPath || !stackPath.startsWith('/')) {
+    throw new Error(`Stack directory of ${project} not found`);
+  }
+
+  const mounts = new Map();
+  for (const line of lines.filter(Boolean)) {
+    const [type, name, source] = line.split(SEPARATOR).map(part => part.trim());
+    if (source && source.startsWith('/') && source !== '/' && !SYSTEM_PATH_PATTERN.test(source)) {
+      mounts.set(source, { type, name, source });
+    }
+  }
+  return { stackPath, mounts: [...mounts.values()] };
+}
+
+/**
+ * Host paths holding a stack's data: the stack directory plus its containers' bind mounts and
+ * volumes, without paths nested in another one (e.g. "./data" binds inside the stack directory)
+ * @param {Object} serverConfig - SSH connection config
+ * @param {string} project - Project name
+ * @returns {Promise<Array<string>>} - Absolute paths
+ */
+async function getDataPaths(serverConfig, project) {
+  const { stackPath, mounts } = await getMounts(serverConfig, project);
+  const paths = [...new Set([stackPath, ...mounts.map(mount => mount.source)])].sort();
+  return paths.filter(p => !paths.some(other => other !== p && p.startsWith(`${other}/`)));
+}
+
+/**
+ * Upload the compose file and create the stack's containers, networks and volumes without
+ * starting them (e.g. on the target of a migration, before its data is copied in)
+ * @param {Object} serverConfig - SSH connection config
+ * @param {string} project - Project name
+ * @param {string} content - Compose file
+ * @returns {Promise<void>}
+ */
+async function create(serverConfig, project, content) {
+  await uploadComposeFile(serverConfig, project, content);
+  await executeCommand(serverConfig, `${buildComposeCommand(project, ['pull', '--quiet'])} 2>&1`);
+  await runCompose(serverConfig, project, ['up', '--no-start']);
+}
+
+module.exports = {
+  COMPOSE_FILE_NAME,
+  isValidProjectName,
+  validateComposeFile,
+  stackDir,
+  buildComposeCommand,
+  uploadComposeFile,
+  up,
+  create,
+  start,
+  stop,
+  down,
+  getLogs,
+  listServices,
+  getMounts,
+  getDataPaths
+};
@@ -0,0 +1,215 @@
+const shellEscape = require('shell-escape');
+
+/**
+ * Docker Container Commands
+ * Turns an app's container settings (with a deployment's overrides) into the `docker run` or
+ * `docker create` command used by every deploy, recreate and migrate path. Each value is passed
+ * to docker as one shell-escaped argument, so quotes, `$` or backticks in env values, volume
+ * paths, custom arguments or the command reach the container literally instead of being
+ * interpreted by the server's shell.
+ */
+
+// Docker's own rule for container names
+const CONTAINER_NAME_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9_.-]*$/;
+
+/**
+ * Check a container name before it is used in a command
+ * @param {string} name - Container name
+ * @returns {boolean}
+ */
+function isValidContainerName(name) {
+  return typeof name === 'string' && name.length <= 128 && CONTAINER_NAME_PATTERN.test(name);
+}
+
+/**
+ * Container name for a new deployment of an app: the app name plus a timestamp
+ * @param {string} appName - App name
+ * @returns {string}
+ */
+function generateContainerName(appName) {
+  const base = String(appName || 'app').toLowerCase().replace(/[^a-z0-9]/g, '-').replace(/^-+/, '') || 'app';
+  return `${base.slice(0, 100)}-${Date.now()}`;
+}
+
+/**
+ * Split user-entered arguments (custom args, command) into words the way a POSIX shell would:
+ * whitespace separates words, single quotes are literal, double quotes and backslashes escape.
+ * Nothing is expanded, so `$(...)` or `;` end up as plain text in an argument.
+ * @param {string} input - Argument string
+ * @returns {Array<string>}
+ * @throws {Error} On an unterminated quote
+ */
+function splitArgs(input) {
+  const words = [];
+  let word = null;
+  let quote = null;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quote === "'") {
+      if (char === "'") quote = null;
+      else word += char;
+    } else if (quote === '"') {
+      if (char === '"') {
+        quote = null;
+      } else if (char === '\\' && i + 1 < input.length && '"\\$`'.includes(input[i + 1])) {
+        word += input[++i];
+      } else {
+        word += char;
+      }
+    } else if (/\s/.test(char)) {
+      if (word !== null) {
+        words.push(word);
+        word = null;
+      }
+    } else {
+      word = word ?? '';
+      if (char === "'" || char === '"') {
+        quote = char;
+      } else if (char === '\\' && i + 1 < input.length) {
+        word += input[++i];
+      } else {
+        word += char;
+      }
+    }
+  }
+
+  if (quote) {
+    throw new Error(`Unterminated ${quote === '"' ? 'double' : 'single'} quote in "${input}"`);
+  }
+  if (word !== null) words.push(word);
+  return words;
+}
+
+/**
+ * Full image reference of an app, including its custom registry
+ * @param {Object} app - App record (image, tag, registry_url)
+ * @returns {string} - e.g. "registry.example.com/team/api:1.2"
+ */
+function imageName(app) {
+  const tag = app.tag || 'latest';
+  const registry = (app.registry_url || '').trim().replace(/^https?:\/\//, '').replace(/\/+$/, '');
+  const image = registry && !app.image.startsWith(`${registry}/`)
+    ? `${registry}/${app.image}`
+    : app.image;
+  return `${image}:${tag}`;
+}
+
+/**
+ * Parse a JSON column (or pass through an already parsed value)
+ * @private
+ */
+function parseJson(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'string') {
+    try { return JSON.parse(value); } catch { return null; }
+  }
+  return value;
+}
+
+/**
+ * Container settings of a deployment: the deployment's own values where it has them
+ * (including deliberately empty lists and the tag of its last update), otherwise the app's defaults
+ * @param {Object} app - App record
+ * @param {Object} [deployment] - Deployment record with overrides (port_mappings, env_vars, ...)
+ * @param {Object} [overrides] - Values that win over both (e.g. name, ports or volumes on a new server)
+ * @returns {Object} - { name, image, ports, envVars, volumes, restartPolicy, networkMode, customArgs, command }
+ */
+function resolveContainerSpec(app, deployment = null, overrides = {}) {
+  const pick = (field, appField = field) => {
+    const own = deployment ? parseJson(deployment[field]) : null;
+    return own ?? parseJson(app[appField]);
+  };
+  const pickString = (field) => (deployment && deployment[field]) || app[field] || '';
+
+  return {
+    name: deployment ? deployment.container_name : generateContainerName(app.name),
+    image: imageName({ ...app, tag: (deployment && deployment.image_tag) || app.tag }),
+    ports: pick('port_mappings', 'ports') || [],
+    envVars: pick('env_vars') || [],
+    volumes: pick('volumes') || [],
+    restartPolicy: pickString('restart_policy'),
+    networkMode: pickString('network_mode'),
+    customArgs: pickString('custom_args'),
+    command: pickString('command'),
+    ...overrides
+  };
+}
+
+/**
+ * Build the docker command that creates a container
+ * @param {Object} spec - Container settings (see resolveContainerSpec)
+ * @param {Object} [options]
+ * @param {boolean} [options.create] - `docker create` (container left stopped) instead of `docker run -d`
+ * @returns {string}
+ * @throws {Error} If the name is invalid, the image is missing or an argument has an unterminated quote
+ */
+function buildRunCommand(spec, { create = false } = {}) {
+  if (!isValidContainerName(spec.name)) {
+    throw new Error(`Invalid container name "${spec.name}": use letters, digits, "_", "." and "-"`);
+  }
+  if (!spec.image) {
+    throw new Error('No Docker image configured for this app');
+  }
+
+  const args = create ? ['docker', 'create'] : ['docker', 'run', '-d'];
+  args.push('--name', spec.name);
+
+  for (const port of spec.ports || []) {
+    if (port.host && port.container) {
+      args.push('-p', `${port.host}:${port.container}`);
+    }
+  }
+
+  for (const envVar of spec.envVars || []) {
+    if (envVar.key && envVar.value) {
+      args.push('-e', `${envVar.key}=${envVar.value}`);
+    }
+  }
+
+  for (const vol of spec.volumes || []) {
+    if (vol.host && vol.container) {
+      args.push('-v', `${vol.host}:${vol.container}`);
+    }
+  }
+
+  if (spec.restartPolicy) {
+    args.push('--restart', spec.restartPolicy);
+  }
+  if (spec.networkMode) {
+    args.push('--network', spec.networkMode);
+  }
+
+  // Custom arguments go before the image, the command after it
+  if (spec.customArgs && spec.customArgs.trim()) {
+    args.push(...splitArgs(spec.customArgs.trim()));
+  }
+  args.push(spec.image);
+  if (spec.command && spec.command.trim()) {
+    args.push(...splitArgs(spec.command.trim()));
+  }
+
+  return shellEscape(args);
+}
+
+/**
+ * Build the command that logs the server into an app's registry
+ * The password is piped in, so it never shows up in the process list
+ * @param {Object} app - App record (registry_url, registry_username)
+ * @param {string} password - Decrypted registry password
+ * @returns {string}
+ */
+function buildRegistryLoginCommand(app, password) {
+  return `printf '%s' ${shellEscape([password])} | docker login ${shellEscape([app.registry_url, '-u', app.registry_username])} --password-stdin`;
+}
+
+module.exports = {
+  isValidContainerName,
+  generateContainerName,
+  splitArgs,
+  imageName,
+  resolveContainerSpec,
+  buildRunCommand,
+  buildRegistryLoginCommand
+};
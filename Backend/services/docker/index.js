@@ -0,0 +1,4 @@
+module.exports = {
+  containerCommand: require('./containerCommand'),
+  composeStack: require('./composeStack')
+};
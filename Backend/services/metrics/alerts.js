@@ -0,0 +1,329 @@
+const { AlertModel, ServerModel, TeamModel } = require('../../models');
+const { emitToUser } = require('../../websocket/auth');
+const { notificationService } = require('../notifications');
+const { ALERT_CONFIG } = require('../../config');
+
+/**
+ * Threshold Alerts
+ * Rules are checked against every metrics collection. A rule fires once its condition has held
+ * for its duration, stays firing (one open alert per rule and server) and resolves when the
+ * condition clears. Team members are notified over Socket.IO and through the team's notification channels.
+ */
+
+/**
+ * Metrics a rule can watch, read from the collector output
+ */
+const ALERT_METRICS = {
+  cpu_usage: { label: 'CPU usage', unit: '%', read: m => m.cpu?.usage },
+  cpu_load_1min: { label: 'Load (1 min)', unit: '', read: m => m.load?.['1min'] },
+  cpu_temperature: { label: 'CPU temperature', unit: '°C', read: m => m.cpu?.temperature },
+  memory_percentage: { label: 'Memory usage', unit: '%', read: m => m.memory?.percentage },
+  disk_percentage: { label: 'Disk usage', unit: '%', read: m => m.disk?.percentage },
+  filesystem_percentage: {
+    label: 'Fullest filesystem',
+    unit: '%',
+    read: m => (m.filesystems?.length ? Math.max(...m.filesystems.map(fs => fs.percentage)) : undefined)
+  },
+  swap_percentage: { label: 'Swap usage', unit: '%', read: m => m.swap?.percentage },
+  disk_read_rate: { label: 'Disk read', unit: ' B/s', read: m => m.diskIo?.read_rate },
+  disk_write_rate: { label: 'Disk write', unit: ' B/s', read: m => m.diskIo?.write_rate },
+  gpu_utilization: { label: 'GPU utilization', unit: '%', read: m => m.gpu?.utilization },
+  gpu_memory_percentage: { label: 'GPU memory', unit: '%', read: m => m.gpu?.memory_percentage },
+  gpu_temperature: { label: 'GPU temperature', unit: '°C', read: m => m.gpu?.temperature },
+  network_rx_rate: { label: 'Network download', unit: ' B/s', read: m => m.network?.rx_rate },
+  network_tx_rate: { label: 'Network upload', unit: ' B/s', read: m => m.network?.tx_rate },
+  ping_ms: { label: 'Ping', unit: ' ms', read: m => m.ping },
+  // Special metric: the server could not be reached
+  offline: { label: 'Server offline', unit: '' }
+};
+
+const OPERATORS = {
+  '>': (value, threshold) => value > threshold,
+  '>=': (value, threshold) => value >= threshold,
+  '<': (value, threshold) => value < threshold,
+  '<=': (value, threshold) => value <= threshold
+};
+
+let io = null;
+let evaluating = false;
+let cleanupInterval = null;
+
+// When each rule/server pair first met its condition (cleared when it stops matching)
+const pendingSince = new Map();
+
+/**
+ * Set Socket.IO server for notifications
+ * @param {Server} socketIo - Socket.IO server instance
+ */
+function setSocketIO(socketIo) {
+  io = socketIo;
+}
+
+/**
+ * Validate and normalize rule fields from a request body
+ * @param {Object} body - { name, serverId, tag, metric, operator, threshold, durationMinutes, enabled }
+ * @returns {{rule?: Object, error?: string}}
+ */
+function normalizeRule(body) {
+  const { name, serverId, tag, metric, operator, threshold, durationMinutes, enabled } = body;
+
+  if (!ALERT_METRICS[metric]) {
+    return { error: `Unknown metric. Use one of: ${Object.keys(ALERT_METRICS).join(', ')}` };
+  }
+  if (serverId && tag) {
+    return { error: 'A rule targets either a server or a tag, not both' };
+  }
+
+  const minutes = durationMinutes === undefined || durationMinutes === '' ? 0 : Number(durationMinutes);
+  if (!Number.isFinite(minutes) || minutes < 0 || minutes > ALERT_CONFIG.maxDurationMinutes) {
+    return { error: `Duration must be between 0 and ${ALERT_CONFIG.maxDurationMinutes} minutes` };
+  }
+
+  const rule = {
+    name: typeof name === 'string' && name.trim() ? name.trim() : null,
+    serverId: serverId || null,
+    tag: typeof tag === 'string' && tag.trim() ? tag.trim() : null,
+    metric,
+    operator: '>',
+    threshold: null,
+    durationSeconds: Math.round(minutes * 60),
+    enabled: enabled === undefined ? true : Boolean(enabled)
+  };
+
+  if (metric !== 'offline') {
+    if (!OPERATORS[operator]) {
+      return { error: `Operator must be one of: ${Object.keys(OPERATORS).join(' ')}` };
+    }
+    const value = Number(threshold);
+    if (threshold === undefined || threshold === null || threshold === '' || !Number.isFinite(value)) {
+      return { error: 'Threshold must be a number' };
+    }
+    rule.operator = operator;
+    rule.threshold = value;
+  }
+
+  if (!rule.name) {
+    rule.name = describeCondition(rule);
+  }
+
+  return { rule };
+}
+
+/**
+ * Human-readable condition, e.g. "Disk usage > 90% for 5 min"
+ * @param {Object} rule - Rule (or alert) with metric, operator, threshold and durationSeconds
+ * @returns {string}
+ */
+function describeCondition(rule) {
+  const metric = ALERT_METRICS[rule.metric] || { label: rule.metric, unit: '' };
+  let text = rule.metric === 'offline'
+    ? metric.label
+    : `${metric.label} ${rule.operator} ${rule.threshold}${metric.unit}`;
+  if (rule.durationSeconds >= 60) {
+    text += ` for ${Math.round(rule.durationSeconds / 60)} min`;
+  }
+  return text;
+}
+
+/**
+ * Servers a rule applies to
+ * @private
+ */
+function ruleTargets(rule, servers) {
+  return servers.filter(server =>
+    server.teamId === rule.teamId &&
+    (!rule.serverId || server.id === rule.serverId) &&
+    (!rule.tag || (server.tags || []).includes(rule.tag))
+  );
+}
+
+/**
+ * Work out whether a rule's condition holds for a server
+ * @private
+ * @returns {{matches: boolean, value: number|null}|null} - null when there is nothing to judge by
+ */
+function checkCondition(rule, server, collected) {
+  // Came online after this collection started
+  if (server.status === 'online' && !collected.has(server.id)) return null;
+
+  const reachable = server.status === 'online' && collected.get(server.id) !== null;
+
+  if (rule.metric === 'offline') {
+    return { matches: !reachable, value: null };
+  }
+  if (!reachable) return null;
+
+  const value = ALERT_METRICS[rule.metric].read(collected.get(server.id));
+  if (value === undefined || value === null || Number.isNaN(Number(value))) return null;
+
+  return { matches: OPERATORS[rule.operator](Number(value), rule.threshold), value: Number(value) };
+}
+
+/**
+ * Send an alert event to every member of the alert's team and to its notification channels
+ * @param {string} event - 'alert-firing' or 'alert-resolved'
+ * @param {Object} alert - Alert record
+ */
+async function notify(event, alert) {
+  const condition = describeCondition({ ...alert, durationSeconds: 0 });
+  const firing = event === 'alert-firing';
+  const unit = (ALERT_METRICS[alert.metric]?.unit || '').trim();
+  const value = firing ? alert.value : alert.resolvedValue;
+
+  notificationService.notify(firing ? 'alert.firing' : 'alert.resolved', {
+    teamId: alert.teamId,
+    title: `${firing ? 'Alert' : 'Resolved'}: ${alert.ruleName} on ${alert.serverName}`,
+    message: condition,
+    severity: firing ? 'error' : 'success',
+    fields: [
+      { name: 'Server', value: alert.serverName },
+      ...(value !== null && value !== undefined ? [{ name: 'Value', value: `${Math.round(value * 10) / 10}${unit}` }] : [])
+    ],
+    data: { ...alert, condition }
+  });
+
+  if (!io) return;
+  try {
+    const members = await TeamModel.findMembers(alert.teamId);
+    const payload = { ...alert, condition };
+    for (const member of members) {
+      emitToUser(io, member.id, event, payload);
+    }
+  } catch (err) {
+    console.error('Failed to send alert notification:', err.message);
+  }
+}
+
+/**
+ * Evaluate every enabled rule against the latest collection
+ * @param {Map<string, Object|null>} collected - serverId -> collected metrics, or null if collection failed
+ */
+async function evaluateAlerts(collected) {
+  // Collections can overlap; a second evaluation would race on the same firing alerts
+  if (evaluating) return;
+  evaluating = true;
+
+  try {
+    const rules = await AlertModel.findEnabledRules();
+    if (rules.length === 0) {
+      pendingSince.clear();
+      return;
+    }
+
+    // Servers that have never connected have nothing to alert on yet
+    const servers = (await ServerModel.findAll()).filter(server => server.status !== 'pending');
+    const firing = new Map((await AlertModel.findFiring()).map(alert => [`${alert.ruleId}:${alert.serverId}`, alert]));
+    const now = Date.now();
+    const seen = new Set();
+
+    for (const rule of rules) {
+      for (const server of ruleTargets(rule, servers)) {
+        const key = `${rule.id}:${server.id}`;
+        seen.add(key);
+
+        const result = checkCondition(rule, server, collected);
+        if (!result) continue;
+
+        const open = firing.get(key);
+
+        if (!result.matches) {
+          pendingSince.delete(key);
+          if (open) {
+            const resolved = await AlertModel.resolveAlert(open.id, result.value);
+            if (resolved) await notify('alert-resolved', resolved);
+          }
+          continue;
+        }
+
+        if (open) continue;
+
+        if (!pendingSince.has(key)) pendingSince.set(key, now);
+        if (now - pendingSince.get(key) < rule.durationSeconds * 1000) continue;
+
+        const alert = await AlertModel.createAlert({
+          ruleId: rule.id,
+          teamId: rule.teamId,
+          serverId: server.id,
+          ruleName: rule.name,
+          serverName: server.displayName || server.name || server.ip,
+          metric: rule.metric,
+          operator: rule.metric === 'offline' ? null : rule.operator,
+          threshold: rule.threshold,
+          value: result.value
+        });
+        pendingSince.delete(key);
+        await notify('alert-firing', alert);
+      }
+    }
+
+    // Forget rule/server pairs that no longer exist or match (rule retargeted, tag removed, server deleted)
+    for (const key of pendingSince.keys()) {
+      if (!seen.has(key)) pendingSince.delete(key);
+    }
+    for (const [key, alert] of firing) {
+      if (seen.has(key)) continue;
+      const resolved = await AlertModel.resolveAlert(alert.id);
+      if (resolved) await notify('alert-resolved', resolved);
+    }
+  } catch (error) {
+    console.error('Error evaluating alerts:', error.message);
+  } finally {
+    evaluating = false;
+  }
+}
+
+/**
+ * Resolve a rule's open alerts (rule disabled, changed or deleted)
+ * @param {string} ruleId - Rule ID
+ */
+async function resolveRuleAlerts(ruleId) {
+  for (const key of pendingSince.keys()) {
+    if (key.startsWith(`${ruleId}:`)) pendingSince.delete(key);
+  }
+  await AlertModel.resolveAll({ ruleId });
+}
+
+/**
+ * Delete resolved alerts past the retention period
+ */
+async function pruneHistory() {
+  try {
+    const deleted = await AlertModel.deleteResolvedOlderThan(ALERT_CONFIG.historyRetentionDays);
+    if (deleted > 0) {
+      console.log(`Deleted ${deleted} resolved alert(s) older than ${ALERT_CONFIG.historyRetentionDays} days`);
+    }
+  } catch (error) {
+    console.error('Error pruning alert history:', error.message);
+  }
+}
+
+/**
+ * Start the daily alert history cleanup
+ */
+function startHistoryCleanup() {
+  pruneHistory();
+  cleanupInterval = setInterval(pruneHistory, 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Stop the alert history cleanup
+ */
+function stopHistoryCleanup() {
+  if (cleanupInterval) {
+    clearInterval(cleanupInterval);
+    cleanupInterval = null;
+  }
+}
+
+module.exports = {
+  ALERT_METRICS,
+  OPERATORS,
+  setSocketIO,
+  normalizeRule,
+  describeCondition,
+  evaluateAlerts,
+  resolveRuleAlerts,
+  pruneHistory,
+  startHistoryCleanup,
+  stopHistoryCleanup
+};
@@ -27,7 +27,17 @@ const LINUX_METRICS_COMMANDS = [
   // We use default route interface and extract rx_bytes (field 2) and tx_bytes (field 10)
   "iface=$(ip route 2>/dev/null | grep default | head -1 | awk '{print $5}'); if [ -n \"$iface\" ]; then awk -v iface=\"$iface:\" '$1 == iface {print iface, $2, $10}' /proc/net/dev && sleep 1 && awk -v iface=\"$iface:\" '$1 == iface {print iface, $2, $10}' /proc/net/dev; else echo \"\"; fi",
   // Ping to 8.8.8.8 (Google DNS) to measure latency - quick timeout
-  'ping -c 1 -W 2 8.8.8.8 2>/dev/null | grep -E "time=" | sed -E "s/.*time=([0-9.]+).*/\\1/" || echo ""'
+  'ping -c 1 -W 2 8.8.8.8 2>/dev/null | grep -E "time=" | sed -E "s/.*time=([0-9.]+).*/\\1/" || echo ""',
+  // Every mounted filesystem with type and sizes in bytes (pseudo filesystems are dropped by the parser)
+  'df -PT -B1 2>/dev/null || echo ""',
+  // Swap usage in kB
+  'grep -E "^Swap(Total|Free):" /proc/meminfo 2>/dev/null || echo ""',
+  // Disk I/O - two /proc/diskstats readings 1 second apart, separated by "---"
+  'cat /proc/diskstats 2>/dev/null && sleep 1 && echo "---" && cat /proc/diskstats 2>/dev/null || echo ""',
+  // All network interfaces - two /proc/net/dev readings 1 second apart, separated by "---"
+  'cat /proc/net/dev 2>/dev/null && sleep 1 && echo "---" && cat /proc/net/dev 2>/dev/null || echo ""',
+  // Top 10 processes by CPU, then top 10 by memory, separated by "---" (command name last, it may contain spaces)
+  'ps -eo pid=,user=,pcpu=,pmem=,rss=,comm= --sort=-pcpu 2>/dev/null | head -10 && echo "---" && ps -eo pid=,user=,pcpu=,pmem=,rss=,comm= --sort=-rss 2>/dev/null | head -10 || echo ""'
 ];
 
 /**
@@ -108,6 +118,38 @@ try {
   }
 } catch {}
 
+# Every fixed drive
+$filesystems = @()
+foreach ($drive in (Get-CimInstance Win32_LogicalDisk -Filter "DriveType=3")) {
+  if ($drive.Size -gt 0) {
+    $filesystems += @{
+      filesystem = $drive.DeviceID
+      type = $drive.FileSystem
+      mount = $drive.DeviceID + '\\'
+      total = [int64]$drive.Size
+      used = [int64]($drive.Size - $drive.FreeSpace)
+      available = [int64]$drive.FreeSpace
+      percentage = [math]::Round((($drive.Size - $drive.FreeSpace) / $drive.Size) * 100, 0)
+    }
+  }
+}
+
+# Page files as swap (sizes in MB)
+$swapInfo = $null
+try {
+  $pageFiles = Get-CimInstance Win32_PageFileUsage -ErrorAction SilentlyContinue
+  if ($pageFiles) {
+    $swapTotal = ($pageFiles | Measure-Object -Property AllocatedBaseSize -Sum).Sum
+    $swapUsed = ($pageFiles | Measure-Object -Property CurrentUsage -Sum).Sum
+    $swapInfo = @{
+      total = $swapTotal
+      used = $swapUsed
+      free = $swapTotal - $swapUsed
+      percentage = if ($swapTotal -gt 0) { [math]::Round(($swapUsed / $swapTotal) * 100, 0) } else { 0 }
+    }
+  }
+} catch {}
+
 # Ping to measure latency
 $pingMs = $null
 try {
@@ -141,6 +183,8 @@ $result = @{
   }
   gpu = $gpuInfo
   network = $networkInfo
+  filesystems = $filesystems
+  swap = $swapInfo
   ping = $pingMs
 }
 $result | ConvertTo-Json -Compress -Depth 4
@@ -198,6 +242,11 @@ async function collectMetrics(serverConfig) {
     }
   }
 
+  // Every command failing means the server could not be reached at all
+  if (results.every(result => result && result.error)) {
+    throw new Error(results[0].error);
+  }
+
   return parseMetrics(results);
 }
 
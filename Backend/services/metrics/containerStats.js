@@ -0,0 +1,245 @@
+const { executeCommand } = require('../ssh/connectionManager');
+const { ContainerStatsModel } = require('../../models');
+
+/**
+ * Container Stats
+ * Reads `docker stats` for one container or every container on a server, turns its
+ * human-readable sizes ("12.3MiB / 1.94GiB", "1.2kB / 648B") into numbers, and records
+ * per-deployment samples for the stats history.
+ */
+
+// Fields shared by the single- and all-container queries
+const STATS_FIELDS = '{{.CPUPerc}}|{{.MemUsage}}|{{.NetIO}}|{{.BlockIO}}';
+
+// Cumulative I/O counters recorded per sample; rates are derived from the previous sample
+const COUNTERS = [
+  ['networkRx', 'networkRxRate'],
+  ['networkTx', 'networkTxRate'],
+  ['blockRead', 'blockReadRate'],
+  ['blockWrite', 'blockWriteRate']
+];
+
+// deploymentId -> { at, counters } of the last recorded sample
+const previousSamples = new Map();
+
+// Samples older than this are too far apart to derive a rate from (and their deployment may be gone)
+const PREVIOUS_SAMPLE_MAX_AGE = 10 * 60 * 1000;
+
+// docker prints memory in binary units and network/block I/O in decimal units
+const SIZE_UNITS = {
+  b: 1,
+  kb: 1e3, mb: 1e6, gb: 1e9, tb: 1e12,
+  kib: 1024, mib: 1024 ** 2, gib: 1024 ** 3, tib: 1024 ** 4
+};
+
+/**
+ * Parse a docker size such as "1.94GiB" or "648B" into bytes
+ * @param {string} text - Size with unit
+ * @returns {number|null}
+ */
+function parseSize(text) {
+  const match = String(text || '').trim().match(/^([\d.]+)\s*([a-z]*)$/i);
+  if (!match) return null;
+  const multiplier = SIZE_UNITS[(match[2] || 'b').toLowerCase()];
+  return multiplier ? Math.round(parseFloat(match[1]) * multiplier) : null;
+}
+
+/**
+ * Format bytes the way docker does, e.g. "12.3MiB" (binary) or "1.2kB" (decimal)
+ * @private
+ */
+function formatSize(bytes, binary) {
+  if (bytes == null) return '--';
+  const base = binary ? 1024 : 1000;
+  const units = binary ? ['B', 'KiB', 'MiB', 'GiB', 'TiB'] : ['B', 'kB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= base && unit < units.length - 1) {
+    value /= base;
+    unit++;
+  }
+  return `${unit === 0 ? value : value.toFixed(value < 10 ? 2 : 1)}${units[unit]}`;
+}
+
+/**
+ * Split a "used / limit" or "in / out" pair into two byte counts
+ * @private
+ */
+function parsePair(text) {
+  const [first, second] = String(text || '').split('/');
+  return [parseSize(first), parseSize(second)];
+}
+
+/**
+ * Parse the fields of one `docker stats` line (see STATS_FIELDS)
+ * @param {Array<string>} parts - CPU, memory, network and block I/O columns
+ * @returns {Object|null} - Raw strings (cpu, memory, network, blockIO) plus numeric values
+ */
+function parseStats(parts) {
+  if (parts.length < 4) return null;
+
+  const [cpu, memory, network, blockIO] = parts.map(part => part.trim());
+  const [memoryUsed, memoryLimit] = parsePair(memory);
+  const [networkRx, networkTx] = parsePair(network);
+  const [blockRead, blockWrite] = parsePair(blockIO);
+  const cpuPercent = parseFloat(cpu);
+
+  return {
+    cpu,
+    memory,
+    network,
+    blockIO,
+    cpuPercent: Number.isNaN(cpuPercent) ? null : cpuPercent,
+    memoryUsed,
+    memoryLimit,
+    networkRx,
+    networkTx,
+    blockRead,
+    blockWrite
+  };
+}
+
+/**
+ * Add up the stats of several containers (e.g. the services of a compose stack)
+ * CPU, memory use and I/O are summed; the memory limit is the host's, so the largest one is kept
+ * @param {Array<Object>} entries - Parsed stats
+ * @returns {Object|null} - Stats in the format of parseStats, plus the number of containers
+ */
+function sumStats(entries) {
+  if (entries.length === 0) return null;
+
+  const total = (key) => entries.some(entry => entry[key] != null)
+    ? entries.reduce((sum, entry) => sum + (entry[key] || 0), 0)
+    : null;
+  const limits = entries.map(entry => entry.memoryLimit).filter(limit => limit != null);
+  const summed = {
+    cpuPercent: total('cpuPercent'),
+    memoryUsed: total('memoryUsed'),
+    memoryLimit: limits.length > 0 ? Math.max(...limits) : null,
+    networkRx: total('networkRx'),
+    networkTx: total('networkTx'),
+    blockRead: total('blockRead'),
+    blockWrite: total('blockWrite')
+  };
+
+  return {
+    cpu: summed.cpuPercent == null ? '--' : `${summed.cpuPercent.toFixed(2)}%`,
+    memory: `${formatSize(summed.memoryUsed, true)} / ${formatSize(summed.memoryLimit, true)}`,
+    network: `${formatSize(summed.networkRx, false)} / ${formatSize(summed.networkTx, false)}`,
+    blockIO: `${formatSize(summed.blockRead, false)} / ${formatSize(summed.blockWrite, false)}`,
+    ...summed,
+    containers: entries.length
+  };
+}
+
+/**
+ * Get stats of one container
+ * @param {Object} serverConfig - SSH connection config
+ * @param {string} containerRef - Container name or ID
+ * @returns {Promise<Object>} - Parsed stats, or { error, status } when they cannot be read
+ */
+async function getContainerStats(serverConfig, containerRef) {
+  const { stdout, stderr, code } = await executeCommand(
+    serverConfig,
+    `docker stats ${containerRef} --no-stream --format "${STATS_FIELDS}"`
+  );
+
+  if (code !== 0 || !stdout.trim()) {
+    return { error: stderr || 'Container not running', status: 'stopped' };
+  }
+  return parseStats(stdout.trim().split('|')) || { error: 'Invalid stats format', status: 'unknown' };
+}
+
+/**
+ * Get stats of every running container on a server in one call
+ * @param {Object} serverConfig - SSH connection config
+ * @returns {Promise<Map<string, Object>>} - Container name -> parsed stats (with the short container id)
+ */
+async function getServerContainerStats(serverConfig) {
+  const { stdout, stderr, code } = await executeCommand(
+    serverConfig,
+    `docker stats --no-stream --format "{{.Name}}|{{.ID}}|${STATS_FIELDS}"`
+  );
+
+  if (code !== 0) {
+    throw new Error(stderr.trim() || 'docker stats failed');
+  }
+
+  const stats = new Map();
+  for (const line of stdout.split('\n').filter(line => line.trim())) {
+    const [name, id, ...parts] = line.split('|');
+    const parsed = parseStats(parts);
+    if (parsed) stats.set(name.trim(), { ...parsed, id: id.trim() });
+  }
+  return stats;
+}
+
+/**
+ * Find a deployment's container in the output of getServerContainerStats
+ * Matches by container name, or by id for deployments that only recorded one. A compose
+ * stack's containers are named "<project>-<service>-<n>" ("_" with compose v1) and added up.
+ * @param {Map<string, Object>} stats - Container name -> parsed stats
+ * @param {Object} deployment - Deployment row (container_name, container_id, compose_project)
+ * @returns {Object|null}
+ */
+function findDeploymentStats(stats, deployment) {
+  if (deployment.compose_project) {
+    const prefixes = [`${deployment.compose_project}-`, `${deployment.compose_project}_`];
+    return sumStats([...stats].filter(([name]) => prefixes.some(prefix => name.startsWith(prefix))).map(([, entry]) => entry));
+  }
+  if (deployment.container_name && stats.has(deployment.container_name)) {
+    return stats.get(deployment.container_name);
+  }
+  if (!deployment.container_id) return null;
+  return [...stats.values()].find(entry => deployment.container_id.startsWith(entry.id)) || null;
+}
+
+/**
+ * Sample every running deployment on a server in one docker stats call and store the results
+ * @param {Object} serverConfig - SSH connection config
+ * @param {string} serverId - Server ID
+ * @param {Array<Object>} deployments - Running deployments on the server
+ * @returns {Promise<number>} - Number of samples stored
+ */
+async function recordDeploymentStats(serverConfig, serverId, deployments) {
+  const stats = await getServerContainerStats(serverConfig);
+  const now = Date.now();
+  const samples = [];
+
+  for (const [deploymentId, previous] of previousSamples) {
+    if (now - previous.at > PREVIOUS_SAMPLE_MAX_AGE) previousSamples.delete(deploymentId);
+  }
+
+  for (const deployment of deployments) {
+    const current = findDeploymentStats(stats, deployment);
+    if (!current) continue;
+
+    const sample = { ...current, deploymentId: deployment.id, serverId };
+    const previous = previousSamples.get(deployment.id);
+    const seconds = previous ? (now - previous.at) / 1000 : 0;
+
+    for (const [counter, rate] of COUNTERS) {
+      const delta = previous && current[counter] != null && previous[counter] != null
+        ? current[counter] - previous[counter]
+        : null;
+      // A negative delta means the container restarted and its counters reset
+      sample[rate] = delta !== null && delta >= 0 && seconds > 0 ? delta / seconds : null;
+    }
+
+    previousSamples.set(deployment.id, { at: now, ...current });
+    samples.push(sample);
+  }
+
+  await ContainerStatsModel.storeMany(samples);
+  return samples.length;
+}
+
+module.exports = {
+  parseSize,
+  parseStats,
+  sumStats,
+  getContainerStats,
+  getServerContainerStats,
+  findDeploymentStats,
+  recordDeploymentStats
+};
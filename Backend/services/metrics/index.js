@@ -1,5 +1,9 @@
 module.exports = {
   collector: require('./collector'),
   parser: require('./parser'),
-  scheduler: require('./scheduler')
+  scheduler: require('./scheduler'),
+  alerts: require('./alerts'),
+  rollups: require('./rollups'),
+  containerStats: require('./containerStats'),
+  prometheus: require('./prometheus')
 };
@@ -158,9 +158,261 @@ function parseMetrics(results) {
     }
   }
 
+  // Parse mounted filesystems (df -PT -B1)
+  if (results[14] && !results[14].error && results[14].trim()) {
+    const filesystems = parseFilesystems(results[14]);
+    if (filesystems.length > 0) {
+      metrics.filesystems = filesystems;
+    }
+  }
+
+  // Parse swap usage from /proc/meminfo
+  if (results[15] && !results[15].error && results[15].trim()) {
+    const swap = parseSwap(results[15]);
+    if (swap) {
+      metrics.swap = swap;
+    }
+  }
+
+  // Parse disk throughput from /proc/diskstats (two readings)
+  if (results[16] && !results[16].error && results[16].trim()) {
+    const diskIo = parseDiskIo(results[16]);
+    if (diskIo) {
+      metrics.diskIo = diskIo;
+    }
+  }
+
+  // Parse every network interface from /proc/net/dev (two readings)
+  if (results[17] && !results[17].error && results[17].trim()) {
+    const interfaces = parseNetworkInterfaces(results[17]);
+    if (interfaces.length > 0) {
+      metrics.interfaces = interfaces;
+    }
+  }
+
+  // Parse top processes by CPU and by memory
+  if (results[18] && !results[18].error && results[18].trim()) {
+    const processes = parseProcesses(results[18]);
+    if (processes) {
+      metrics.processes = processes;
+    }
+  }
+
   return metrics;
 }
 
+// Virtual and in-memory filesystems that say nothing about disk space
+const PSEUDO_FILESYSTEMS = new Set([
+  'tmpfs', 'devtmpfs', 'ramfs', 'overlay', 'aufs', 'squashfs', 'proc', 'sysfs', 'devpts',
+  'cgroup', 'cgroup2', 'mqueue', 'hugetlbfs', 'debugfs', 'tracefs', 'securityfs', 'pstore',
+  'bpf', 'configfs', 'fusectl', 'efivarfs', 'autofs', 'binfmt_misc', 'nsfs', 'rpc_pipefs',
+  'fuse.lxcfs', 'fuse.snapfuse', 'fuse.gvfsd-fuse', 'fuse.portal', 'shm'
+]);
+
+/**
+ * Parse mounted filesystems from `df -PT -B1` output
+ * Pseudo filesystems and repeated (bind) mounts of the same device are skipped
+ * @param {string} output - df output including its header line
+ * @returns {Array<Object>} - { filesystem, type, mount, total, used, available, percentage } with sizes in bytes
+ */
+function parseFilesystems(output) {
+  const filesystems = [];
+  const seen = new Set();
+
+  for (const line of output.trim().split('\n').slice(1)) {
+    const parts = line.trim().split(/\s+/);
+    if (parts.length < 7) continue;
+
+    const [filesystem, type, total, used, available, capacity] = parts;
+    // Mount points may contain spaces
+    const mount = parts.slice(6).join(' ');
+    const totalBytes = parseInt(total);
+
+    if (PSEUDO_FILESYSTEMS.has(type) || !totalBytes) continue;
+    if (seen.has(filesystem) && filesystem.startsWith('/dev/')) continue;
+    seen.add(filesystem);
+
+    filesystems.push({
+      filesystem,
+      type,
+      mount,
+      total: totalBytes,
+      used: parseInt(used) || 0,
+      available: parseInt(available) || 0,
+      percentage: parseInt(capacity) || 0
+    });
+  }
+
+  return filesystems;
+}
+
+/**
+ * Parse swap usage from the SwapTotal/SwapFree lines of /proc/meminfo
+ * @param {string} output - meminfo lines (values in kB)
+ * @returns {Object|null} - { total, used, free, percentage } in MB, like memory
+ */
+function parseSwap(output) {
+  const totalMatch = output.match(/SwapTotal:\s+(\d+)/);
+  const freeMatch = output.match(/SwapFree:\s+(\d+)/);
+  if (!totalMatch || !freeMatch) {
+    return null;
+  }
+
+  const total = Math.round(parseInt(totalMatch[1]) / 1024);
+  const free = Math.round(parseInt(freeMatch[1]) / 1024);
+  const used = Math.max(0, total - free);
+
+  return {
+    total,
+    used,
+    free,
+    percentage: total > 0 ? Math.round((used / total) * 100) : 0
+  };
+}
+
+/**
+ * Split output of two readings separated by a "---" line
+ * @private
+ */
+function splitReadings(output) {
+  const [first, second] = output.split(/^---$/m);
+  return second !== undefined ? [first.trim(), second.trim()] : null;
+}
+
+/**
+ * Whether a /proc/diskstats device is a whole physical disk
+ * Partitions, loop/ram devices and device-mapper/RAID volumes are skipped so
+ * that the same I/O is not counted twice
+ * @private
+ */
+function isPhysicalDisk(name) {
+  if (/^(loop|ram|zram|sr|fd|dm-|md)/.test(name)) return false;
+  if (/^(nvme\d+n\d+|mmcblk\d+)p\d+$/.test(name)) return false;
+  if (/^(sd|vd|xvd|hd)[a-z]+\d+$/.test(name)) return false;
+  return true;
+}
+
+/**
+ * Parse disk throughput from two /proc/diskstats readings 1 second apart
+ * @param {string} output - Two readings separated by "---"
+ * @returns {Object|null} - { read_rate, write_rate, devices: [{ device, read_rate, write_rate }] } in bytes/sec
+ */
+function parseDiskIo(output) {
+  const readings = splitReadings(output);
+  if (!readings) {
+    return null;
+  }
+
+  // Fields: major minor name reads merged sectors_read ms_reading writes merged sectors_written ...
+  // Sectors are always 512 bytes in /proc/diskstats
+  const parseReading = (text) => {
+    const devices = new Map();
+    for (const line of text.split('\n')) {
+      const parts = line.trim().split(/\s+/);
+      if (parts.length < 10 || !isPhysicalDisk(parts[2])) continue;
+      devices.set(parts[2], {
+        read: (parseInt(parts[5]) || 0) * 512,
+        write: (parseInt(parts[9]) || 0) * 512
+      });
+    }
+    return devices;
+  };
+
+  const first = parseReading(readings[0]);
+  const second = parseReading(readings[1]);
+  const devices = [];
+
+  for (const [device, current] of second) {
+    const previous = first.get(device);
+    if (!previous) continue;
+    devices.push({
+      device,
+      read_rate: Math.max(0, current.read - previous.read),
+      write_rate: Math.max(0, current.write - previous.write)
+    });
+  }
+
+  if (devices.length === 0) {
+    return null;
+  }
+
+  return {
+    read_rate: devices.reduce((sum, d) => sum + d.read_rate, 0),
+    write_rate: devices.reduce((sum, d) => sum + d.write_rate, 0),
+    devices
+  };
+}
+
+/**
+ * Parse every network interface (except loopback) from two /proc/net/dev readings 1 second apart
+ * @param {string} output - Two readings separated by "---"
+ * @returns {Array<Object>} - { interface, rx_rate, tx_rate, rx_total, tx_total } in bytes
+ */
+function parseNetworkInterfaces(output) {
+  const readings = splitReadings(output);
+  if (!readings) {
+    return [];
+  }
+
+  // "  iface: rx_bytes rx_packets ... (8 receive fields) tx_bytes ..."
+  const parseReading = (text) => {
+    const interfaces = new Map();
+    for (const line of text.split('\n')) {
+      const separator = line.indexOf(':');
+      if (separator === -1) continue;
+      const name = line.slice(0, separator).trim();
+      const fields = line.slice(separator + 1).trim().split(/\s+/);
+      if (!name || name === 'lo' || fields.length < 9) continue;
+      interfaces.set(name, { rx: parseInt(fields[0]) || 0, tx: parseInt(fields[8]) || 0 });
+    }
+    return interfaces;
+  };
+
+  const first = parseReading(readings[0]);
+  const second = parseReading(readings[1]);
+  const interfaces = [];
+
+  for (const [name, current] of second) {
+    const previous = first.get(name) || current;
+    interfaces.push({
+      interface: name,
+      rx_rate: Math.max(0, current.rx - previous.rx),
+      tx_rate: Math.max(0, current.tx - previous.tx),
+      rx_total: current.rx,
+      tx_total: current.tx
+    });
+  }
+
+  return interfaces;
+}
+
+/**
+ * Parse the top processes by CPU and by memory from `ps -eo pid=,user=,pcpu=,pmem=,rss=,comm=`
+ * @param {string} output - CPU list and memory list separated by "---"
+ * @returns {Object|null} - { cpu: [...], memory: [...] } of { pid, user, cpu, memory, rss, command }, rss in bytes
+ */
+function parseProcesses(output) {
+  const readings = splitReadings(output);
+  if (!readings) {
+    return null;
+  }
+
+  const parseList = (text) => text.split('\n')
+    .map(line => line.trim().split(/\s+/))
+    .filter(parts => parts.length >= 6 && /^\d+$/.test(parts[0]))
+    .map(parts => ({
+      pid: parseInt(parts[0]),
+      user: parts[1],
+      cpu: parseFloat(parts[2]) || 0,
+      memory: parseFloat(parts[3]) || 0,
+      rss: (parseInt(parts[4]) || 0) * 1024,
+      command: parts.slice(5).join(' ')
+    }));
+
+  const processes = { cpu: parseList(readings[0]), memory: parseList(readings[1]) };
+  return processes.cpu.length > 0 || processes.memory.length > 0 ? processes : null;
+}
+
 /**
  * Parse CPU temperature from various sources
  * @param {string} output - Temperature reading (may be in millidegrees or degrees)
@@ -431,6 +683,14 @@ function parseWindowsMetrics(output) {
       result.ping = data.ping;
     }
 
+    // Parse fixed drives and page file usage if present
+    if (Array.isArray(data.filesystems) && data.filesystems.length > 0) {
+      result.filesystems = data.filesystems;
+    }
+    if (data.swap) {
+      result.swap = data.swap;
+    }
+
     return result;
   } catch (err) {
     console.error('Failed to parse Windows metrics:', err.message, 'Output:', output);
@@ -574,6 +834,11 @@ module.exports = {
   parseCpuUsage,
   parseCpuTemperature,
   parseNetworkBandwidth,
+  parseFilesystems,
+  parseSwap,
+  parseDiskIo,
+  parseNetworkInterfaces,
+  parseProcesses,
   parseOsRelease,
   parseWindowsMetrics,
   parseGpuMetrics,
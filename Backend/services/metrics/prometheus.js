@@ -0,0 +1,340 @@
+const { ServerModel, AppModel, MetricsModel } = require('../../models');
+const { connectionPool, serverConfig: { buildServerConfig } } = require('../ssh');
+const { getServerContainerStats, findDeploymentStats } = require('./containerStats');
+const scheduler = require('./scheduler');
+const { PROMETHEUS_CONFIG } = require('../../config');
+
+/**
+ * Prometheus Exposition
+ * Renders collected server metrics, container stats of deployments and internal gauges in the
+ * Prometheus text format (version 0.0.4), for scraping by Prometheus or Grafana Agent.
+ */
+
+const MB = 1024 * 1024;
+
+/**
+ * Scale a stored value into base units, keeping missing values missing
+ * @private
+ */
+function scaled(value, factor) {
+  return value === null || value === undefined ? null : value * factor;
+}
+
+/**
+ * Every metric this exporter can emit: [type, help]
+ */
+const METRICS = {
+  nobase_server_up: ['gauge', 'Whether the server is online (1) or not (0)'],
+  nobase_server_last_sample_timestamp_seconds: ['gauge', 'Unix time of the latest collected sample'],
+  nobase_server_cpu_usage_percent: ['gauge', 'CPU usage in percent'],
+  nobase_server_cpu_cores: ['gauge', 'Number of CPU cores'],
+  nobase_server_cpu_temperature_celsius: ['gauge', 'CPU temperature'],
+  nobase_server_load1: ['gauge', '1-minute load average'],
+  nobase_server_load5: ['gauge', '5-minute load average'],
+  nobase_server_load15: ['gauge', '15-minute load average'],
+  nobase_server_memory_used_bytes: ['gauge', 'Used memory'],
+  nobase_server_memory_free_bytes: ['gauge', 'Free memory'],
+  nobase_server_memory_total_bytes: ['gauge', 'Total memory'],
+  nobase_server_memory_usage_percent: ['gauge', 'Memory usage in percent'],
+  nobase_server_disk_usage_percent: ['gauge', 'Usage of the root filesystem in percent'],
+  nobase_server_gpu_utilization_percent: ['gauge', 'GPU utilization in percent'],
+  nobase_server_gpu_memory_used_bytes: ['gauge', 'Used GPU memory'],
+  nobase_server_gpu_memory_total_bytes: ['gauge', 'Total GPU memory'],
+  nobase_server_gpu_temperature_celsius: ['gauge', 'GPU temperature'],
+  nobase_server_network_receive_bytes_per_second: ['gauge', 'Download rate on the default interface'],
+  nobase_server_network_transmit_bytes_per_second: ['gauge', 'Upload rate on the default interface'],
+  nobase_server_network_receive_bytes_total: ['counter', 'Bytes received on the default interface since boot'],
+  nobase_server_network_transmit_bytes_total: ['counter', 'Bytes sent on the default interface since boot'],
+  nobase_server_ping_seconds: ['gauge', 'Ping latency to 8.8.8.8'],
+  nobase_server_swap_used_bytes: ['gauge', 'Used swap'],
+  nobase_server_swap_total_bytes: ['gauge', 'Total swap'],
+  nobase_server_disk_read_bytes_per_second: ['gauge', 'Read rate summed over physical disks'],
+  nobase_server_disk_write_bytes_per_second: ['gauge', 'Write rate summed over physical disks'],
+  nobase_server_filesystem_size_bytes: ['gauge', 'Size of a mounted filesystem'],
+  nobase_server_filesystem_used_bytes: ['gauge', 'Used space of a mounted filesystem'],
+  nobase_server_filesystem_avail_bytes: ['gauge', 'Available space of a mounted filesystem'],
+  nobase_server_interface_receive_bytes_per_second: ['gauge', 'Download rate of a network interface'],
+  nobase_server_interface_transmit_bytes_per_second: ['gauge', 'Upload rate of a network interface'],
+  nobase_container_stats_up: ['gauge', 'Whether docker stats could be read on the server (1) or not (0)'],
+  nobase_deployment_running: ['gauge', 'Whether the deployment is recorded as running (1) or not (0)'],
+  nobase_container_cpu_usage_percent: ['gauge', 'Container CPU usage in percent of one core'],
+  nobase_container_memory_usage_bytes: ['gauge', 'Container memory usage'],
+  nobase_container_memory_limit_bytes: ['gauge', 'Container memory limit'],
+  nobase_container_network_receive_bytes_total: ['counter', 'Bytes received by the container'],
+  nobase_container_network_transmit_bytes_total: ['counter', 'Bytes sent by the container'],
+  nobase_container_block_read_bytes_total: ['counter', 'Bytes read from block devices by the container'],
+  nobase_container_block_write_bytes_total: ['counter', 'Bytes written to block devices by the container'],
+  nobase_ssh_pool_connections: ['gauge', 'Pooled SSH connections'],
+  nobase_ssh_pool_active_connections: ['gauge', 'Pooled SSH connections with an open socket'],
+  nobase_ssh_pool_channels: ['gauge', 'Open channels (commands, shells, SFTP) on pooled connections'],
+  nobase_ssh_pool_tunnels: ['gauge', 'Jump host tunnels carried by pooled connections'],
+  nobase_migrations_active: ['gauge', 'Deployment migrations in progress'],
+  nobase_metrics_collection_running: ['gauge', 'Whether background metrics collection is running (1) or not (0)'],
+  nobase_metrics_collection_last_run_timestamp_seconds: ['gauge', 'Unix time the last server collection finished'],
+  nobase_metrics_collection_servers: ['gauge', 'Online servers scheduled for collection'],
+  nobase_metrics_collection_active: ['gauge', 'Server collections in progress'],
+  nobase_metrics_collection_queued: ['gauge', 'Due server collections waiting for a free worker'],
+  nobase_metrics_collections_total: ['counter', 'Server collections finished since start'],
+  nobase_metrics_collection_failures_total: ['counter', 'Server collections that failed since start'],
+  nobase_metrics_collection_skipped_total: ['counter', 'Server collections skipped because the previous one was still queued or running']
+};
+
+// Server gauges read from the latest stored sample
+const SERVER_SAMPLE_METRICS = [
+  ['nobase_server_cpu_usage_percent', row => row.cpu_usage],
+  ['nobase_server_cpu_cores', row => row.cpu_cores],
+  ['nobase_server_cpu_temperature_celsius', row => row.cpu_temperature],
+  ['nobase_server_load1', row => row.cpu_load_1min],
+  ['nobase_server_load5', row => row.cpu_load_5min],
+  ['nobase_server_load15', row => row.cpu_load_15min],
+  ['nobase_server_memory_used_bytes', row => scaled(row.memory_used, MB)],
+  ['nobase_server_memory_free_bytes', row => scaled(row.memory_free, MB)],
+  ['nobase_server_memory_total_bytes', row => scaled(row.memory_total, MB)],
+  ['nobase_server_memory_usage_percent', row => row.memory_percentage],
+  ['nobase_server_disk_usage_percent', row => row.disk_percentage],
+  ['nobase_server_gpu_utilization_percent', row => row.gpu_utilization],
+  ['nobase_server_gpu_memory_used_bytes', row => scaled(row.gpu_memory_used, MB)],
+  ['nobase_server_gpu_memory_total_bytes', row => scaled(row.gpu_memory_total, MB)],
+  ['nobase_server_gpu_temperature_celsius', row => row.gpu_temperature],
+  ['nobase_server_network_receive_bytes_per_second', row => row.network_rx_rate],
+  ['nobase_server_network_transmit_bytes_per_second', row => row.network_tx_rate],
+  ['nobase_server_network_receive_bytes_total', row => row.network_rx_total],
+  ['nobase_server_network_transmit_bytes_total', row => row.network_tx_total],
+  ['nobase_server_ping_seconds', row => scaled(row.ping_ms, 1 / 1000)],
+  ['nobase_server_swap_used_bytes', row => scaled(row.swap_used, MB)],
+  ['nobase_server_swap_total_bytes', row => scaled(row.swap_total, MB)],
+  ['nobase_server_disk_read_bytes_per_second', row => row.disk_read_rate],
+  ['nobase_server_disk_write_bytes_per_second', row => row.disk_write_rate]
+];
+
+// Per-filesystem gauges, labelled with the mount point, device and type
+const FILESYSTEM_METRICS = [
+  ['nobase_server_filesystem_size_bytes', fs => fs.total],
+  ['nobase_server_filesystem_used_bytes', fs => fs.used],
+  ['nobase_server_filesystem_avail_bytes', fs => fs.available]
+];
+
+// Per-interface gauges, labelled with the interface name
+const INTERFACE_METRICS = [
+  ['nobase_server_interface_receive_bytes_per_second', iface => iface.rx_rate],
+  ['nobase_server_interface_transmit_bytes_per_second', iface => iface.tx_rate]
+];
+
+// Container gauges read from docker stats
+const CONTAINER_METRICS = [
+  ['nobase_container_cpu_usage_percent', stats => stats.cpuPercent],
+  ['nobase_container_memory_usage_bytes', stats => stats.memoryUsed],
+  ['nobase_container_memory_limit_bytes', stats => stats.memoryLimit],
+  ['nobase_container_network_receive_bytes_total', stats => stats.networkRx],
+  ['nobase_container_network_transmit_bytes_total', stats => stats.networkTx],
+  ['nobase_container_block_read_bytes_total', stats => stats.blockRead],
+  ['nobase_container_block_write_bytes_total', stats => stats.blockWrite]
+];
+
+// serverId -> { at, promise } so frequent scrapes share one docker stats call per server
+const containerStatsCache = new Map();
+
+/**
+ * Add a sample to its metric family (null and non-numeric values are skipped)
+ * @private
+ */
+function addSample(families, name, labels, value) {
+  if (value === null || value === undefined || !Number.isFinite(Number(value))) return;
+  if (!families.has(name)) families.set(name, []);
+  families.get(name).push({ labels, value: Number(value) });
+}
+
+/**
+ * Escape a label value for the text format
+ * @private
+ */
+function escapeLabel(value) {
+  return String(value ?? '').replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Render metric families in the Prometheus text format
+ * @private
+ */
+function formatFamilies(families) {
+  const lines = [];
+  for (const [name, samples] of families) {
+    const [type, help] = METRICS[name];
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    for (const { labels, value } of samples) {
+      const labelText = Object.entries(labels).map(([key, labelValue]) => `${key}="${escapeLabel(labelValue)}"`).join(',');
+      lines.push(`${name}${labelText ? `{${labelText}}` : ''} ${value}`);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Labels identifying a server
+ * Tags are joined as ",a,b," so a tag can be matched with tags=~".*,a,.*"
+ * @private
+ */
+function serverLabels(server) {
+  return {
+    server_id: server.id,
+    server: server.name || server.ip,
+    region: server.region || '',
+    tags: server.tags.length > 0 ? `,${server.tags.join(',')},` : ''
+  };
+}
+
+/**
+ * Latest sample of every server, skipping samples too old to describe the server now
+ * @private
+ */
+async function addServerMetrics(families, servers) {
+  const now = Date.now();
+
+  for (const server of servers) {
+    const labels = serverLabels(server);
+    addSample(families, 'nobase_server_up', labels, server.status === 'online' ? 1 : 0);
+
+    const row = await MetricsModel.getLatest(server.id);
+    if (!row) continue;
+
+    const sampledAt = new Date(row.timestamp).getTime();
+    addSample(families, 'nobase_server_last_sample_timestamp_seconds', labels, sampledAt / 1000);
+    if (now - sampledAt > PROMETHEUS_CONFIG.sampleMaxAge) continue;
+
+    for (const [name, read] of SERVER_SAMPLE_METRICS) {
+      addSample(families, name, labels, read(row));
+    }
+
+    const { filesystems = [], interfaces = [] } = MetricsModel.toApiFormat(row);
+    for (const fs of filesystems) {
+      const fsLabels = { ...labels, mountpoint: fs.mount, device: fs.filesystem, fstype: fs.type };
+      for (const [name, read] of FILESYSTEM_METRICS) {
+        addSample(families, name, fsLabels, read(fs));
+      }
+    }
+    for (const iface of interfaces) {
+      const ifaceLabels = { ...labels, interface: iface.interface };
+      for (const [name, read] of INTERFACE_METRICS) {
+        addSample(families, name, ifaceLabels, read(iface));
+      }
+    }
+  }
+}
+
+/**
+ * docker stats of a server, cached for PROMETHEUS_CONFIG.containerStatsTtl
+ * @private
+ */
+function getCachedContainerStats(server) {
+  const cached = containerStatsCache.get(server.id);
+  if (cached && Date.now() - cached.at < PROMETHEUS_CONFIG.containerStatsTtl) {
+    return cached.promise;
+  }
+
+  const promise = getServerContainerStats(buildServerConfig(server));
+  containerStatsCache.set(server.id, { at: Date.now(), promise });
+  // Failures are not cached beyond this scrape
+  promise.catch(() => containerStatsCache.delete(server.id));
+  return promise;
+}
+
+/**
+ * Container stats of every deployment on the online servers
+ * @private
+ */
+async function addContainerMetrics(families, servers, deployments) {
+  const serversById = new Map(servers.map(server => [server.id, server]));
+  const byServer = new Map();
+  for (const deployment of deployments) {
+    if (!serversById.has(deployment.server_id)) continue;
+    if (!byServer.has(deployment.server_id)) byServer.set(deployment.server_id, []);
+    byServer.get(deployment.server_id).push(deployment);
+  }
+
+  await Promise.all([...byServer].map(async ([serverId, serverDeployments]) => {
+    const server = serversById.get(serverId);
+    const labels = serverLabels(server);
+
+    let stats = null;
+    if (server.status === 'online') {
+      try {
+        stats = await getCachedContainerStats(server);
+      } catch (error) {
+        console.warn(`Failed to read container stats on ${server.name || server.ip}:`, error.message);
+      }
+    }
+    addSample(families, 'nobase_container_stats_up', labels, stats ? 1 : 0);
+
+    for (const deployment of serverDeployments) {
+      const deploymentLabels = {
+        deployment_id: deployment.id,
+        app: deployment.app_name || '',
+        container: deployment.container_name || '',
+        ...labels
+      };
+      addSample(families, 'nobase_deployment_running', deploymentLabels, deployment.status === 'running' ? 1 : 0);
+
+      const containerStats = stats && findDeploymentStats(stats, deployment);
+      if (!containerStats) continue;
+
+      for (const [name, read] of CONTAINER_METRICS) {
+        addSample(families, name, deploymentLabels, read(containerStats));
+      }
+    }
+  }));
+}
+
+/**
+ * Connection pool, migration and scheduler gauges
+ * @private
+ */
+function addInternalMetrics(families, { activeMigrations }) {
+  const pool = connectionPool.getStats();
+  const sum = (key) => pool.connections.reduce((total, connection) => total + (connection[key] || 0), 0);
+  addSample(families, 'nobase_ssh_pool_connections', {}, pool.totalConnections);
+  addSample(families, 'nobase_ssh_pool_active_connections', {}, pool.connections.filter(connection => connection.active).length);
+  addSample(families, 'nobase_ssh_pool_channels', {}, sum('channelCount'));
+  addSample(families, 'nobase_ssh_pool_tunnels', {}, sum('tunnelCount'));
+
+  addSample(families, 'nobase_migrations_active', {}, activeMigrations);
+
+  addSample(families, 'nobase_metrics_collection_running', {}, scheduler.isRunning() ? 1 : 0);
+  const stats = scheduler.getStats();
+  if (stats.lastCollection) {
+    addSample(families, 'nobase_metrics_collection_last_run_timestamp_seconds', {}, new Date(stats.lastCollection.finishedAt).getTime() / 1000);
+  }
+  addSample(families, 'nobase_metrics_collection_servers', {}, stats.servers);
+  addSample(families, 'nobase_metrics_collection_active', {}, stats.activeWorkers);
+  addSample(families, 'nobase_metrics_collection_queued', {}, stats.queued);
+  addSample(families, 'nobase_metrics_collections_total', {}, stats.collections);
+  addSample(families, 'nobase_metrics_collection_failures_total', {}, stats.failures);
+  addSample(families, 'nobase_metrics_collection_skipped_total', {}, stats.skipped);
+}
+
+/**
+ * Render the metrics a user may see
+ * Servers and deployments come from the user's teams; internal gauges are only for admins
+ * @param {string} userId - User ID
+ * @param {Object} options - { includeInternal, activeMigrations }
+ * @returns {Promise<string>} - Prometheus text exposition
+ */
+async function renderMetrics(userId, { includeInternal = false, activeMigrations = 0 } = {}) {
+  const families = new Map();
+  const [servers, deployments] = await Promise.all([
+    ServerModel.findAll(userId),
+    AppModel.findAllDeployments(userId)
+  ]);
+
+  await addServerMetrics(families, servers);
+  await addContainerMetrics(families, servers, deployments);
+  if (includeInternal) {
+    addInternalMetrics(families, { activeMigrations });
+  }
+
+  return formatFamilies(families);
+}
+
+module.exports = {
+  METRICS,
+  renderMetrics
+};
@@ -0,0 +1,86 @@
+const { MetricsModel, ContainerStatsModel } = require('../../models');
+const { METRICS_CONFIG } = require('../../config');
+
+/**
+ * Metrics Rollups
+ * Downsamples raw samples into 1m, 15m and 1h aggregates and prunes every tier, and the
+ * per-deployment container stats, past its retention period (METRICS_CONFIG.retention),
+ * so long history stays cheap to store and read.
+ */
+
+const RETENTION_INTERVAL = 60 * 60 * 1000; // 1 hour
+
+let rollupInterval = null;
+let retentionInterval = null;
+let rolling = false;
+
+/**
+ * Bring every rollup tier up to date, finest first (each tier is built from the previous one)
+ */
+async function runRollups() {
+  // A slow backfill must not overlap with the next tick
+  if (rolling) return;
+  rolling = true;
+
+  try {
+    for (const resolution of Object.keys(MetricsModel.ROLLUP_TIERS)) {
+      await MetricsModel.rollup(resolution);
+    }
+  } catch (error) {
+    console.error('Error rolling up metrics:', error.message);
+  } finally {
+    rolling = false;
+  }
+}
+
+/**
+ * Delete raw samples, rollups and container stats past their retention period
+ */
+async function applyRetention() {
+  try {
+    const { retention } = METRICS_CONFIG;
+    const deleted = { raw: await MetricsModel.deleteOlderThan(retention.raw) };
+    for (const resolution of Object.keys(MetricsModel.ROLLUP_TIERS)) {
+      deleted[resolution] = await MetricsModel.deleteRollupsOlderThan(resolution, retention[resolution]);
+    }
+    deleted.container = await ContainerStatsModel.deleteOlderThan(retention.containers);
+
+    const summary = Object.entries(deleted).filter(([, count]) => count > 0);
+    if (summary.length > 0) {
+      console.log(`Pruned old metrics: ${summary.map(([tier, count]) => `${count} ${tier}`).join(', ')}`);
+    }
+  } catch (error) {
+    console.error('Error pruning old metrics:', error.message);
+  }
+}
+
+/**
+ * Start rollups and retention pruning
+ * Rolls up before the first prune, so raw history kept by older versions is downsampled first
+ */
+function startRollups() {
+  runRollups().then(applyRetention);
+  rollupInterval = setInterval(runRollups, METRICS_CONFIG.rollupInterval);
+  retentionInterval = setInterval(applyRetention, RETENTION_INTERVAL);
+}
+
+/**
+ * Stop rollups and retention pruning
+ */
+function stopRollups() {
+  if (rollupInterval) {
+    clearInterval(rollupInterval);
+    rollupInterval = null;
+  }
+  if (retentionInterval) {
+    clearInterval(retentionInterval);
+    retentionInterval = null;
+  }
+}
+
+module.exports = {
+  runRollups,
+  applyRetention,
+  startRollups,
+  stopRollups
+};
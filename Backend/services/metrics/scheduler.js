@@ -1,99 +1,278 @@
-const { ServerModel, MetricsModel } = require('../../models');
+const { ServerModel, MetricsModel, AppModel } = require('../../models');
 const { collectMetrics } = require('./collector');
+const { recordDeploymentStats } = require('./containerStats');
+const { buildServerConfig } = require('../ssh/serverConfig');
+const { evaluateAlerts } = require('./alerts');
 const { METRICS_CONFIG } = require('../../config');
 
-let collectionInterval = null;
+/**
+ * Metrics Scheduler
+ * Collects every online server on its own interval (METRICS_CONFIG.collectionInterval unless the
+ * server sets one). Due servers go through a queue worked by at most METRICS_CONFIG.concurrency
+ * collections at a time; a server whose previous collection is still queued or running is skipped
+ * for that round instead of piling up another one. Results are checked against alert rules in batches.
+ */
+
+let tickTimer = null;
+let ticking = false;
+
+// serverId -> { server, interval, nextRunAt, queued, running, lastFinishedAt, lastDurationMs, lastError }
+const serverStates = new Map();
+
+// Server IDs waiting for a free worker, oldest first
+const queue = [];
+let activeWorkers = 0;
+
+// Results not yet checked against alert rules: serverId -> metrics, or null if unreachable
+let pendingResults = new Map();
+let evaluatingAlerts = false;
+let lastAlertCheck = 0;
+
+// Counters since the scheduler started
+const totals = { collections: 0, failures: 0, skipped: 0 };
+
+// Most recent finished collection (exposed on /metrics and /api/health)
+let lastCollection = null;
+
+/**
+ * Collection interval of a server in milliseconds
+ * @private
+ */
+function serverInterval(server) {
+  return server.metricsInterval ? server.metricsInterval * 1000 : METRICS_CONFIG.collectionInterval;
+}
+
+/**
+ * Interval shifted by up to ±METRICS_CONFIG.jitter of itself
+ * @private
+ */
+function withJitter(interval) {
+  return interval * (1 + (Math.random() * 2 - 1) * METRICS_CONFIG.jitter);
+}
 
 /**
  * Start background metrics collection
  */
 function startMetricsCollection() {
-  console.log('Starting background metrics collection...');
-
-  // Collect metrics immediately on startup
-  collectAllServerMetrics();
+  console.log(`Starting background metrics collection (up to ${METRICS_CONFIG.concurrency} servers at a time)...`);
 
-  // Then collect at configured interval
-  collectionInterval = setInterval(() => {
-    collectAllServerMetrics();
-  }, METRICS_CONFIG.collectionInterval);
+  tick();
+  tickTimer = setInterval(tick, METRICS_CONFIG.tickInterval);
 }
 
 /**
  * Stop background metrics collection
+ * Collections already running finish on their own
  */
 function stopMetricsCollection() {
-  if (collectionInterval) {
-    clearInterval(collectionInterval);
-    collectionInterval = null;
+  if (tickTimer) {
+    clearInterval(tickTimer);
+    tickTimer = null;
+    queue.length = 0;
+    serverStates.clear();
     console.log('Stopped background metrics collection');
   }
 }
 
 /**
- * Collect metrics from all online servers
+ * Queue the online servers that are due, start workers and check alerts
+ * @private
  */
-async function collectAllServerMetrics() {
+async function tick() {
+  if (ticking) return;
+  ticking = true;
+
   try {
-    // Get all online servers
     const servers = await ServerModel.findByStatus('online');
+    const now = Date.now();
+    const online = new Set();
 
-    if (!servers || servers.length === 0) {
-      return;
-    }
+    for (const server of servers) {
+      online.add(server.id);
+      const interval = serverInterval(server);
+      let state = serverStates.get(server.id);
 
-    // Collect metrics for all servers in parallel
-    const promises = servers.map(async (server) => {
-      try {
-        const metrics = await collectMetrics({
-          host: server.ip,
-          username: server.username,
-          privateKeyPath: server.privateKeyPath,
-          osType: server.osType || 'ubuntu-debian'
-        });
-
-        // Store metrics in database
-        await MetricsModel.store(server.id, metrics);
-      } catch (error) {
-        // Silently handle metrics collection errors
-        // Server might have gone offline
-        console.warn(`Failed to collect metrics for server ${server.name || server.ip}:`, error.message);
+      if (!state) {
+        // Spread first collections over one interval instead of hitting every server at once
+        state = { queued: false, running: false, nextRunAt: now + Math.random() * interval };
+        serverStates.set(server.id, state);
+      } else if (state.interval !== interval) {
+        // Interval changed: don't wait out the old one
+        state.nextRunAt = Math.min(state.nextRunAt, now + withJitter(interval));
+      }
+      state.server = server;
+      state.interval = interval;
+
+      if (now < state.nextRunAt) continue;
+      state.nextRunAt = now + withJitter(interval);
+
+      // Previous collection still waiting or running: skip this round rather than stack another
+      if (state.queued || state.running) {
+        totals.skipped++;
+        continue;
       }
-    });
 
-    await Promise.all(promises);
+      state.queued = true;
+      queue.push(server.id);
+    }
+
+    // Forget servers that went offline or were deleted (once their last collection is done)
+    for (const [serverId, state] of serverStates) {
+      if (!online.has(serverId) && !state.running) serverStates.delete(serverId);
+    }
+    for (let i = queue.length - 1; i >= 0; i--) {
+      if (!online.has(queue[i])) queue.splice(i, 1);
+    }
+
+    drainQueue();
+    checkAlerts(now);
   } catch (error) {
     console.error('Error in metrics collection:', error.message);
+  } finally {
+    ticking = false;
   }
 }
 
 /**
- * Check if metrics collection is running
- * @returns {boolean}
+ * Start queued collections while workers are free
+ * @private
  */
-function isRunning() {
-  return collectionInterval !== null;
+function drainQueue() {
+  while (activeWorkers < METRICS_CONFIG.concurrency && queue.length > 0) {
+    const state = serverStates.get(queue.shift());
+    if (!state) continue;
+
+    state.queued = false;
+    state.running = true;
+    activeWorkers++;
+
+    collectServer(state).finally(() => {
+      state.running = false;
+      activeWorkers--;
+      drainQueue();
+    });
+  }
 }
 
 /**
- * Clean up old metrics (run periodically)
- * @param {number} daysOld - Delete metrics older than this many days
+ * Collect metrics (and container stats of running deployments) from one server
+ * @private
  */
-async function cleanupOldMetrics(daysOld = 7) {
+async function collectServer(state) {
+  const { server } = state;
+  const started = Date.now();
+
   try {
-    const deleted = await MetricsModel.deleteOlderThan(daysOld);
-    if (deleted > 0) {
-      console.log(`Cleaned up ${deleted} old metric records`);
+    const metrics = await collectMetrics(buildServerConfig(server));
+    if (metrics.error) {
+      throw new Error(metrics.error);
+    }
+    pendingResults.set(server.id, metrics);
+    state.lastError = null;
+
+    // Store metrics in database
+    await MetricsModel.store(server.id, metrics);
+
+    // Container stats of running deployments, all in one docker stats call
+    const deployments = await AppModel.findRunningDeployments(server.id);
+    if (deployments.length > 0) {
+      try {
+        await recordDeploymentStats(buildServerConfig(server), server.id, deployments);
+      } catch (error) {
+        console.warn(`Failed to collect container stats for server ${server.name || server.ip}:`, error.message);
+      }
     }
   } catch (error) {
-    console.error('Error cleaning up old metrics:', error.message);
+    // Server might have gone offline
+    if (!pendingResults.has(server.id)) pendingResults.set(server.id, null);
+    state.lastError = error.message;
+    totals.failures++;
+    console.warn(`Failed to collect metrics for server ${server.name || server.ip}:`, error.message);
+  } finally {
+    totals.collections++;
+    state.lastFinishedAt = new Date().toISOString();
+    state.lastDurationMs = Date.now() - started;
+    lastCollection = {
+      serverId: server.id,
+      finishedAt: state.lastFinishedAt,
+      durationMs: state.lastDurationMs,
+      failed: Boolean(state.lastError)
+    };
   }
 }
 
+/**
+ * Check alert rules against the results collected since the last check
+ * Offline rules still need checking when nothing was collected, so an empty batch is
+ * evaluated at least once per default collection interval
+ * @private
+ */
+function checkAlerts(now) {
+  if (evaluatingAlerts) return;
+  if (pendingResults.size === 0 && now - lastAlertCheck < METRICS_CONFIG.collectionInterval) return;
+
+  const collected = pendingResults;
+  pendingResults = new Map();
+  evaluatingAlerts = true;
+  lastAlertCheck = now;
+
+  evaluateAlerts(collected).finally(() => {
+    evaluatingAlerts = false;
+  });
+}
+
+/**
+ * Check if metrics collection is running
+ * @returns {boolean}
+ */
+function isRunning() {
+  return tickTimer !== null;
+}
+
+/**
+ * Get scheduler totals (nothing about individual servers)
+ * @returns {Object} - Queue and worker usage and counters since start
+ */
+function getSummary() {
+  return {
+    running: isRunning(),
+    concurrency: METRICS_CONFIG.concurrency,
+    activeWorkers,
+    queued: queue.length,
+    servers: serverStates.size,
+    collections: totals.collections,
+    failures: totals.failures,
+    skipped: totals.skipped
+  };
+}
+
+/**
+ * Get scheduler statistics
+ * @returns {Object} - The summary plus the last and the slowest recent collections
+ */
+function getStats() {
+  const states = [...serverStates.entries()];
+
+  return {
+    ...getSummary(),
+    lastCollection,
+    slowest: states
+      .filter(([, state]) => state.lastDurationMs != null)
+      .sort(([, a], [, b]) => b.lastDurationMs - a.lastDurationMs)
+      .slice(0, 5)
+      .map(([serverId, state]) => ({
+        serverId,
+        intervalMs: state.interval,
+        lastDurationMs: state.lastDurationMs,
+        lastError: state.lastError || null
+      }))
+  };
+}
+
 module.exports = {
   startMetricsCollection,
   stopMetricsCollection,
-  collectAllServerMetrics,
   isRunning,
-  cleanupOldMetrics
+  getSummary,
+  getStats
 };
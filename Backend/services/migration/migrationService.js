@@ -1,7 +1,9 @@
 const path = require('path');
+const shellEscape = require('shell-escape');
 const { BACKUP_CONFIG } = require('../../config');
-const { AppModel, ServerModel, ActivityModel, SnapshotModel } = require('../../models');
-const { executeCommand } = require('../ssh/connectionManager');
+const { AppModel, ServerModel, ActivityModel, SnapshotModel, DeploymentCheckModel, DeploymentRevisionModel } = require('../../models');
+const { executeCommand, buildServerConfig } = require('../ssh/connectionManager');
+const { containerCommand, composeStack } = require('../docker');
 const sftpService = require('../ssh/sftpService');
 const { v4: uuidv4 } = require('uuid');
 const fs = require('fs').promises;
@@ -71,7 +73,7 @@ async function resolveVolumePath(serverConfig, volumePath) {
   
   const result = await executeCommand(
     serverConfig,
-    `docker volume inspect ${volumePath} --format '{{.Mountpoint}}' 2>/dev/null || echo "/var/lib/docker/volumes/${volumePath}/_data"`
+    `docker volume inspect ${shellEscape([volumePath])} --format '{{.Mountpoint}}' 2>/dev/null`
   );
   
   const mountpoint = result.stdout.trim();
@@ -92,14 +94,199 @@ function getVolumes(deployment) {
 }
 
 /**
- * Parse JSON field safely
+ * Archive host paths on a server into one file, each path in its own numbered directory so it
+ * can be copied to a different path on the target
+ * @private
  */
-function parseJson(val) {
-  if (!val) return [];
-  if (typeof val === 'string') {
-    try { return JSON.parse(val); } catch { return []; }
+async function archivePaths(serverConfig, resolvedPaths, remoteArchivePath) {
+  const tarCommands = resolvedPaths.map((p, i) => `sudo tar -C ${shellEscape([p])} -cf - . | (mkdir -p /tmp/migration_vols/${i} && cd /tmp/migration_vols/${i} && tar -xf -)`).join(' && ');
+  await executeCommand(serverConfig, `rm -rf /tmp/migration_vols && mkdir -p /tmp/migration_vols && ${tarCommands}`);
+  await executeCommand(serverConfig, `cd /tmp && sudo tar -czf ${remoteArchivePath} migration_vols`);
+}
+
+/**
+ * Extract an archive made by archivePaths and copy each numbered directory to its target path
+ * @private
+ */
+async function extractPaths(serverConfig, targetPaths, remoteArchivePath, logger) {
+  await executeCommand(serverConfig, `cd /tmp && sudo tar -xzf ${remoteArchivePath}`);
+
+  for (let i = 0; i < targetPaths.length; i++) {
+    logger.info('extracting', `Copying data to ${targetPaths[i]}`);
+    await executeCommand(serverConfig, shellEscape(['sudo', 'mkdir', '-p', targetPaths[i]]));
+    await executeCommand(serverConfig, `sudo cp -a /tmp/migration_vols/${i}/. ${shellEscape([`${targetPaths[i]}/`])}`);
+  }
+
+  await executeCommand(serverConfig, `sudo rm -rf /tmp/migration_vols ${remoteArchivePath}`);
+}
+
+/**
+ * Migrate a compose stack (see migrateDeployment)
+ * The stack is created on the target under the new project name without starting it, then its
+ * data is copied in: the stack directory to the new stack directory, the project's named
+ * volumes to the volumes of the same name under the new project, and other bind mounts and
+ * volumes to the same paths and names.
+ * @private
+ */
+async function migrateStack({ deployment, sourceServer, targetServer, userId, newContainerName, deleteOriginal, onProgress, checkCancelled }) {
+  const logger = new MigrationLogger(deployment.id);
+  const project = deployment.compose_project;
+  logger.info('init', `Starting migration of stack ${project}`, {
+    source: sourceServer.ip,
+    target: targetServer.ip,
+    deleteOriginal
+  });
+
+  const sourceConfig = buildServerConfig(sourceServer);
+  const targetConfig = buildServerConfig(targetServer);
+  const archiveName = `migration_${deployment.id}_${Date.now()}.tar.gz`;
+  const localArchivePath = path.join(BACKUP_CONFIG.tempPath, archiveName);
+  const remoteArchivePath = `/tmp/${archiveName}`;
+  let downloaded = false;
+
+  const throwIfCancelled = (stage) => {
+    if (checkCancelled()) {
+      logger.warn(stage, 'Migration cancelled by user');
+      throw new Error('Migration cancelled by user');
+    }
+  };
+
+  try {
+    await fs.mkdir(BACKUP_CONFIG.tempPath, { recursive: true });
+
+    const app = await AppModel.findById(deployment.app_id, userId);
+    const validation = composeStack.validateComposeFile(app && app.compose_file);
+    if (validation.error) {
+      throw new Error(`Invalid compose file: ${validation.error}`);
+    }
+
+    throwIfCancelled('init');
+
+    // Step 1: Stop the source stack
+    logger.info('stopping', `Stopping source stack ${project}`);
+    onProgress('stopping', 5, `Stopping source stack ${project}...`);
+    await composeStack.stop(sourceConfig, project);
+    await AppModel.updateDeploymentStatus(deployment.id, 'migrating');
+
+    throwIfCancelled('stopping');
+
+    // Step 2: Archive the stack directory and mounts on the source
+    const { stackPath, mounts } = await composeStack.getMounts(sourceConfig, project);
+    const copies = [{ source: stackPath, stackDir: true }, ...mounts
+      .filter(mount => !mount.source.startsWith(`${stackPath}/`))
+      .map(mount => ({
+        source: mount.source,
+        // Volumes compose created are named "<project>_<volume>"
+        volume: mount.type === 'volume'
+          ? (mount.name.startsWith(`${project}_`) ? `${newContainerName}_${mount.name.slice(project.length + 1)}` : mount.name)
+          : null,
+        external: mount.type === 'volume' && !mount.name.startsWith(`${project}_`)
+      }))];
+    logger.info('archiving', `Archiving ${copies.length} path(s): ${copies.map(copy => copy.source).join(', ')}`);
+    onProgress('archiving', 15, 'Creating archive of stack data...');
+    await archivePaths(sourceConfig, copies.map(copy => copy.source), remoteArchivePath);
+
+    throwIfCancelled('archiving');
+
+    // Step 3: Download archive to local
+    logger.info('downloading', 'Downloading archive from source server');
+    onProgress('downloading', 30, 'Downloading stack data from source server (this may take a while for larger apps)...');
+    await sftpService.downloadFile(sourceConfig, remoteArchivePath, localArchivePath);
+    downloaded = true;
+    const stats = await fs.stat(localArchivePath);
+    logger.info('downloading', `Downloaded ${(stats.size / 1024 / 1024).toFixed(2)} MB`);
+    await executeCommand(sourceConfig, `sudo rm -rf /tmp/migration_vols ${remoteArchivePath}`);
+
+    throwIfCancelled('downloading');
+
+    // Step 4: Create the stack on the target without starting it
+    logger.info('preparing', `Creating stack ${newContainerName} on target`);
+    onProgress('preparing', 50, 'Creating stack on target server...');
+    for (const copy of copies.filter(copy => copy.external)) {
+      await executeCommand(targetConfig, shellEscape(['docker', 'volume', 'create', copy.volume]));
+    }
+    await composeStack.create(targetConfig, newContainerName, app.compose_file);
+
+    throwIfCancelled('preparing');
+
+    // Step 5: Upload and copy the data into place
+    logger.info('uploading', 'Uploading archive to target server');
+    onProgress('uploading', 60, 'Uploading stack data to target server (this may take a while for larger apps)...');
+    await sftpService.uploadFile(targetConfig, localArchivePath, remoteArchivePath);
+
+    logger.info('extracting', 'Extracting archive on target server');
+    onProgress('extracting', 75, 'Extracting stack data on target server...');
+    const { stackPath: targetStackPath } = await composeStack.getMounts(targetConfig, newContainerName);
+    const targetPaths = await Promise.all(copies.map(copy => {
+      if (copy.stackDir) return targetStackPath;
+      return copy.volume ? resolveVolumePath(targetConfig, copy.volume) : copy.source;
+    }));
+    await extractPaths(targetConfig, targetPaths, remoteArchivePath, logger);
+
+    // The copied stack directory holds the file the source was last started with
+    await composeStack.uploadComposeFile(targetConfig, newContainerName, app.compose_file);
+
+    // Step 6: Create deployment record
+    logger.info('finalizing', 'Creating deployment record');
+    onProgress('finalizing', 95, 'Creating deployment record...');
+    const newDeployment = await AppModel.createDeployment({
+      appId: deployment.app_id,
+      serverId: targetServer.id,
+      containerName: newContainerName,
+      composeProject: newContainerName,
+      status: 'stopped',
+      portMappings: validation.ports,
+      icon: deployment.icon,
+      iconUrl: deployment.icon_url
+    });
+    await AppModel.updateDeploymentConfig(newDeployment.id, {
+      web_ui_port: deployment.web_ui_port,
+      nickname: deployment.nickname
+    });
+
+    // Step 7: Handle source deployment
+    if (deleteOriginal) {
+      logger.info('cleanup', 'Removing source stack');
+      onProgress('cleanup', 98, 'Removing source stack...');
+      await composeStack.down(sourceConfig, project);
+      await DeploymentCheckModel.moveToDeployment(deployment.id, newDeployment.id);
+      await AppModel.removeDeployment(deployment.id);
+    } else {
+      logger.info('cleanup', 'Restarting source stack');
+      await composeStack.start(sourceConfig, project);
+      await AppModel.updateDeploymentStatus(deployment.id, 'running');
+    }
+
+    await fs.unlink(localArchivePath).catch(e => logger.warn('cleanup', `Failed to cleanup temp file: ${e.message}`));
+
+    logger.info('complete', `Migration completed successfully in ${Date.now() - logger.startTime}ms`);
+    onProgress('complete', 100, `Successfully ${deleteOriginal ? 'moved' : 'copied'} deployment`);
+
+    return {
+      success: true,
+      newDeploymentId: newDeployment.id,
+      message: `Deployment ${deleteOriginal ? 'moved' : 'copied'} successfully`,
+      logs: logger.getSummary()
+    };
+  } catch (error) {
+    logger.error('failed', error.message, error);
+    console.error('Migration failed:', error);
+
+    try {
+      logger.info('recovery', 'Attempting to restart source stack');
+      await composeStack.start(sourceConfig, project);
+      await AppModel.updateDeploymentStatus(deployment.id, 'running');
+    } catch (e) {
+      logger.error('recovery', 'Failed to restart source stack', e);
+    }
+
+    if (downloaded) {
+      await fs.unlink(localArchivePath).catch(() => {});
+    }
+
+    error.migrationLogs = logger.getSummary();
+    throw error;
   }
-  return val;
 }
 
 /**
@@ -129,6 +316,10 @@ async function migrateDeployment({
   onProgress = () => {},
   checkCancelled = () => false
 }) {
+  if (deployment.compose_project) {
+    return migrateStack({ deployment, sourceServer, targetServer, userId, newContainerName, deleteOriginal, onProgress, checkCancelled });
+  }
+
   const logger = new MigrationLogger(deployment.id);
   logger.info('init', `Starting migration of ${deployment.container_name}`, {
     source: sourceServer.ip,
@@ -136,17 +327,9 @@ async function migrateDeployment({
     deleteOriginal
   });
 
-  const sourceConfig = {
-    host: sourceServer.ip,
-    username: sourceServer.username,
-    privateKeyPath: sourceServer.private_key_path
-  };
+  const sourceConfig = buildServerConfig(sourceServer);
   
-  const targetConfig = {
-    host: targetServer.ip,
-    username: targetServer.username,
-    privateKeyPath: targetServer.private_key_path
-  };
+  const targetConfig = buildServerConfig(targetServer);
 
   const volumes = getVolumes(deployment);
   const hasVolumes = volumes.length > 0;
@@ -200,18 +383,14 @@ async function migrateDeployment({
       
       // Verify paths exist
       for (const rPath of resolvedPaths) {
-        const checkResult = await executeCommand(sourceConfig, `sudo test -e "${rPath}" && echo "exists" || echo "missing"`);
+        const checkResult = await executeCommand(sourceConfig, `sudo test -e ${shellEscape([rPath])} && echo "exists" || echo "missing"`);
         if (checkResult.stdout.trim() === 'missing') {
           logger.warn('archiving', `Volume path ${rPath} does not exist, skipping`);
         }
       }
       
       // Create tarball with all volumes (each in subdirectory by index)
-      const tarCommands = resolvedPaths.map((p, i) => `sudo tar -C "${p}" -cf - . | (mkdir -p /tmp/migration_vols/${i} && cd /tmp/migration_vols/${i} && tar -xf -)`).join(' && ');
-      await executeCommand(sourceConfig, `rm -rf /tmp/migration_vols && mkdir -p /tmp/migration_vols && ${tarCommands}`);
-      
-      // Create final archive
-      await executeCommand(sourceConfig, `cd /tmp && sudo tar -czf ${remoteArchivePath} migration_vols`);
+      await archivePaths(sourceConfig, resolvedPaths, remoteArchivePath);
       
       throwIfCancelled('archiving');
       
@@ -248,7 +427,7 @@ async function migrateDeployment({
     // Create bind mount directories
     for (const vol of targetVolumes) {
       if (vol.host.startsWith('/')) {
-        await executeCommand(targetConfig, `sudo mkdir -p "${vol.host}"`);
+        await executeCommand(targetConfig, shellEscape(['sudo', 'mkdir', '-p', vol.host]));
       }
     }
     
@@ -264,24 +443,9 @@ async function migrateDeployment({
       logger.info('extracting', 'Extracting archive on target server');
       onProgress('extracting', 75, 'Extracting volume data on target server...');
       
-      // Extract archive
-      await executeCommand(targetConfig, `cd /tmp && sudo tar -xzf ${remoteArchivePath}`);
-      
       // Copy each volume to its target location
-      for (let i = 0; i < targetVolumes.length; i++) {
-        const vol = targetVolumes[i];
-        const targetPath = await resolveVolumePath(targetConfig, vol.host);
-        logger.info('extracting', `Copying data to ${targetPath}`);
-        
-        // Ensure target exists
-        await executeCommand(targetConfig, `sudo mkdir -p "${targetPath}"`);
-        
-        // Copy data
-        await executeCommand(targetConfig, `sudo cp -a /tmp/migration_vols/${i}/. "${targetPath}/"`);
-      }
-      
-      // Cleanup
-      await executeCommand(targetConfig, `sudo rm -rf /tmp/migration_vols ${remoteArchivePath}`);
+      const targetPaths = await Promise.all(targetVolumes.map(vol => resolveVolumePath(targetConfig, vol.host)));
+      await extractPaths(targetConfig, targetPaths, remoteArchivePath, logger);
     }
     
     // Step 6: Create new container on target (past point of safe cancellation)
@@ -295,73 +459,21 @@ async function migrateDeployment({
       throw new Error('App not found');
     }
     
-    // Build docker create command (creates container without starting it)
-    const envVars = parseJson(deployment.env_vars);
-    const restartPolicy = deployment.restart_policy || 'unless-stopped';
-    const networkMode = deployment.network_mode || '';
-    const command = deployment.command || '';
-    const customArgs = deployment.custom_args || '';
-    const portMappings = newPortMappings || parseJson(deployment.port_mappings);
-    
-    let cmd = 'docker create';
-    cmd += ` --name ${newContainerName}`;
-    
-    // Port mappings
-    if (portMappings.length > 0) {
-      portMappings.forEach(port => {
-        if (port.host && port.container) {
-          cmd += ` -p ${port.host}:${port.container}`;
-        }
-      });
-    }
-    
-    // Environment variables
-    if (envVars.length > 0) {
-      envVars.forEach(envVar => {
-        if (envVar.key && envVar.value) {
-          cmd += ` -e "${envVar.key}=${envVar.value}"`;
-        }
-      });
-    }
-    
-    // Volumes
-    if (targetVolumes.length > 0) {
-      targetVolumes.forEach(vol => {
-        if (vol.host && vol.container) {
-          cmd += ` -v ${vol.host}:${vol.container}`;
-        }
-      });
-    }
-    
-    // Restart policy
-    if (restartPolicy) {
-      cmd += ` --restart ${restartPolicy}`;
-    }
-    
-    // Network mode
-    if (networkMode) {
-      cmd += ` --network ${networkMode}`;
-    }
-    
-    // Custom arguments
-    if (customArgs && customArgs.trim()) {
-      cmd += ` ${customArgs.trim()}`;
-    }
-    
-    // Image
-    const fullImage = app.registry_url 
-      ? `${app.registry_url}/${app.image}:${app.tag || 'latest'}` 
-      : `${app.image}:${app.tag || 'latest'}`;
-    cmd += ` ${fullImage}`;
-    
-    // Command override
-    if (command) {
-      cmd += ` ${command}`;
-    }
+    // Build docker create command (creates container without starting it), with the
+    // target's name, ports and volumes
+    const spec = containerCommand.resolveContainerSpec(app, deployment, {
+      name: newContainerName,
+      ...(newPortMappings ? { ports: newPortMappings } : {}),
+      volumes: targetVolumes
+    });
+    spec.restartPolicy = spec.restartPolicy || 'unless-stopped';
+    const cmd = containerCommand.buildRunCommand(spec, { create: true });
+    const fullImage = spec.image;
+    const portMappings = spec.ports;
     
     logger.info('creating', `Pulling image ${fullImage}`);
     // Pull image first
-    await executeCommand(targetConfig, `docker pull ${fullImage}`);
+    await executeCommand(targetConfig, shellEscape(['docker', 'pull', fullImage]));
     
     logger.info('creating', 'Creating container (stopped state)');
     // Create container without starting
@@ -393,14 +505,17 @@ async function migrateDeployment({
     // Update deployment with full config
     await AppModel.updateDeploymentConfig(newDeployment.id, {
       port_mappings: portMappings,
-      env_vars: envVars,
+      env_vars: spec.envVars,
       volumes: targetVolumes,
-      restart_policy: restartPolicy,
-      network_mode: networkMode,
-      command: command,
-      custom_args: customArgs,
-      web_ui_port: deployment.web_ui_port
+      restart_policy: spec.restartPolicy,
+      network_mode: spec.networkMode,
+      command: spec.command,
+      custom_args: spec.customArgs,
+      web_ui_port: deployment.web_ui_port,
+      image_tag: deployment.image_tag
     });
+    // Its history starts here: earlier revisions name the source server's ports and volumes
+    await DeploymentRevisionModel.create(newDeployment.id, { spec, reason: 'migrate', userId });
     
     // Step 8: Handle source deployment
     if (deleteOriginal) {
@@ -410,6 +525,9 @@ async function migrateDeployment({
       // Remove source container
       await executeCommand(sourceConfig, `docker rm ${deployment.container_id} 2>/dev/null || true`);
       
+      // Health checks follow the deployment to its new server
+      await DeploymentCheckModel.moveToDeployment(deployment.id, newDeployment.id);
+
       // Remove deployment record
       await AppModel.removeDeployment(deployment.id);
     } else {
@@ -0,0 +1,4 @@
+module.exports = {
+  notificationService: require('./notificationService'),
+  senders: require('./senders')
+};
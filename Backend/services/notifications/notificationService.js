@@ -0,0 +1,294 @@
+const { NotificationModel } = require('../../models');
+const { NOTIFICATION_CONFIG } = require('../../config');
+const { SENDERS } = require('./senders');
+
+/**
+ * Notification Service
+ * Routes events (alerts, failed or unhealthy deployments, snapshots, migrations, system updates) to the
+ * notification channels subscribed to them, retries failed deliveries and logs every delivery.
+ */
+
+/**
+ * Events a channel can subscribe to
+ * System events are not tied to a team and can only be subscribed to by admins
+ */
+const NOTIFICATION_EVENTS = {
+  'alert.firing': { label: 'Alert fired' },
+  'alert.resolved': { label: 'Alert resolved' },
+  'deployment.failed': { label: 'Deployment failed' },
+  'deployment.unhealthy': { label: 'Deployment health checks failing' },
+  'deployment.recovered': { label: 'Deployment healthy again' },
+  'deployment.updated': { label: 'Deployment updated to a new image' },
+  'deployment.update_failed': { label: 'Deployment update failed (rolled back)' },
+  'deployment.image_outdated': { label: 'Newer image available for a deployment' },
+  'snapshot.completed': { label: 'Snapshot completed' },
+  'snapshot.failed': { label: 'Snapshot failed' },
+  'migration.completed': { label: 'Migration completed' },
+  'migration.failed': { label: 'Migration failed' },
+  'system.update_completed': { label: 'System update completed', system: true },
+  'system.update_failed': { label: 'System update failed', system: true }
+};
+
+/**
+ * Channel types, their settings and which of those are secret (stored encrypted, never returned)
+ */
+const CHANNEL_TYPES = {
+  webhook: { label: 'Webhook', config: ['url'], secrets: ['secret'] },
+  email: { label: 'Email (SMTP)', config: ['host', 'port', 'security', 'username', 'from', 'to'], secrets: ['password'] },
+  slack: { label: 'Slack', config: [], secrets: ['url'] },
+  discord: { label: 'Discord', config: [], secrets: ['url'] }
+};
+
+const EMAIL_SECURITY = ['starttls', 'tls', 'none'];
+const EMAIL_PATTERN = /^[^\s@<>]+@[^\s@<>]+$/;
+
+let cleanupInterval = null;
+
+/**
+ * Check that a value is an http(s) URL
+ * @private
+ */
+function isHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validate the settings of one channel type
+ * @private
+ * @returns {string|null} - Error message
+ */
+function validateSettings(type, config, secrets) {
+  switch (type) {
+    case 'webhook':
+      if (!isHttpUrl(config.url)) return 'Webhook URL must be an http(s) URL';
+      if (!secrets.secret || secrets.secret.length < 16) return 'Signing secret must be at least 16 characters';
+      return null;
+    case 'slack':
+    case 'discord':
+      if (!isHttpUrl(secrets.url)) return 'Webhook URL must be an http(s) URL';
+      return null;
+    case 'email':
+      if (!config.host) return 'SMTP host is required';
+      if (!Number.isInteger(config.port) || config.port < 1 || config.port > 65535) return 'SMTP port must be between 1 and 65535';
+      if (!EMAIL_SECURITY.includes(config.security)) return `Security must be one of: ${EMAIL_SECURITY.join(', ')}`;
+      if (!EMAIL_PATTERN.test(config.from || '')) return 'Sender address is not a valid email address';
+      if (config.to.length === 0) return 'At least one recipient is required';
+      if (!config.to.every(address => EMAIL_PATTERN.test(address))) return 'Recipients must be valid email addresses';
+      return null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Validate and normalize channel fields from a request body
+ * Secret fields left blank keep their current value (existingSecrets) when editing
+ * @param {Object} body - { name, type, config, secrets, events, enabled }
+ * @param {Object} existingSecrets - Current secrets of the channel being edited
+ * @returns {{channel?: Object, error?: string}}
+ */
+function normalizeChannel(body, existingSecrets = {}) {
+  const { name, type, events, enabled } = body;
+  const definition = CHANNEL_TYPES[type];
+
+  if (!definition) {
+    return { error: `Unknown channel type. Use one of: ${Object.keys(CHANNEL_TYPES).join(', ')}` };
+  }
+  if (typeof name !== 'string' || !name.trim()) {
+    return { error: 'Channel name is required' };
+  }
+  if (!Array.isArray(events) || !events.every(event => NOTIFICATION_EVENTS[event])) {
+    return { error: `Events must be a list of: ${Object.keys(NOTIFICATION_EVENTS).join(', ')}` };
+  }
+
+  const input = body.config || {};
+  const config = {};
+  for (const key of definition.config) {
+    config[key] = typeof input[key] === 'string' ? input[key].trim() : input[key];
+  }
+  if (type === 'email') {
+    config.port = config.port === undefined || config.port === '' ? 587 : Number(config.port);
+    config.security = config.security || 'starttls';
+    config.username = config.username || null;
+    const recipients = Array.isArray(input.to) ? input.to : String(input.to || '').split(/[,;\s]+/);
+    config.to = recipients.map(address => String(address).trim()).filter(Boolean);
+  }
+
+  const inputSecrets = body.secrets || {};
+  const secrets = {};
+  for (const key of definition.secrets) {
+    const value = typeof inputSecrets[key] === 'string' ? inputSecrets[key].trim() : '';
+    if (value) {
+      secrets[key] = value;
+    } else if (existingSecrets[key]) {
+      secrets[key] = existingSecrets[key];
+    }
+  }
+
+  const error = validateSettings(type, config, secrets);
+  if (error) {
+    return { error };
+  }
+
+  return {
+    channel: {
+      name: name.trim(),
+      type,
+      config,
+      secrets,
+      events: [...new Set(events)],
+      enabled: enabled === undefined ? true : Boolean(enabled)
+    }
+  };
+}
+
+/**
+ * Whether a list of events includes system events (admin only)
+ * @param {Array<string>} events - Event names
+ * @returns {boolean}
+ */
+function hasSystemEvents(events) {
+  return events.some(event => NOTIFICATION_EVENTS[event]?.system);
+}
+
+/**
+ * Deliver a notification to one channel, retrying with backoff, and log the outcome
+ * @param {Object} channel - Channel record
+ * @param {Object} notification - { event, teamId, title, message, severity, fields, data, timestamp }
+ * @param {Object} options - { maxAttempts }
+ * @returns {Promise<Object>} - Delivery record
+ */
+async function deliver(channel, notification, { maxAttempts = NOTIFICATION_CONFIG.maxAttempts } = {}) {
+  const started = Date.now();
+  let attempts = 0;
+  let response = null;
+  let error = null;
+
+  try {
+    const secrets = await NotificationModel.getChannelSecrets(channel.id);
+    const send = SENDERS[channel.type];
+
+    while (attempts < maxAttempts) {
+      attempts++;
+      try {
+        response = await send({ ...channel, secrets }, notification);
+        error = null;
+        break;
+      } catch (err) {
+        error = err.message;
+        if (err.retryable === false || attempts >= maxAttempts) break;
+        await new Promise(resolve => setTimeout(resolve, NOTIFICATION_CONFIG.retryDelay * 2 ** (attempts - 1)));
+      }
+    }
+  } catch (err) {
+    error = err.message;
+  }
+
+  if (error) {
+    console.error(`Notification to channel "${channel.name}" failed: ${error}`);
+  }
+
+  return NotificationModel.createDelivery({
+    channelId: channel.id,
+    teamId: channel.teamId,
+    event: notification.event,
+    title: notification.title,
+    status: error ? 'failed' : 'success',
+    attempts,
+    response,
+    error,
+    durationMs: Date.now() - started
+  });
+}
+
+/**
+ * Send an event to every enabled channel subscribed to it
+ * Deliveries run in the background; this never throws, so callers need not await it
+ * @param {string} event - Event name (see NOTIFICATION_EVENTS)
+ * @param {Object} notification - { teamId (null for system events), title, message, severity, fields, data }
+ * @returns {Promise<void>}
+ */
+async function notify(event, notification) {
+  try {
+    const channels = await NotificationModel.findSubscribedChannels(event, notification.teamId || null);
+    const payload = {
+      severity: 'info',
+      ...notification,
+      event,
+      timestamp: new Date().toISOString()
+    };
+    await Promise.all(channels.map(channel => deliver(channel, payload).catch(err => {
+      console.error(`Failed to log notification delivery for channel "${channel.name}":`, err.message);
+    })));
+  } catch (err) {
+    console.error(`Failed to send ${event} notifications:`, err.message);
+  }
+}
+
+/**
+ * Send a test notification to a channel (single attempt)
+ * @param {Object} channel - Channel record
+ * @returns {Promise<Object>} - Delivery record
+ */
+async function sendTest(channel) {
+  return deliver(channel, {
+    event: 'test',
+    teamId: channel.teamId,
+    title: 'Test notification',
+    message: `This is a test notification for the "${channel.name}" channel.`,
+    severity: 'info',
+    fields: [],
+    data: {},
+    timestamp: new Date().toISOString()
+  }, { maxAttempts: 1 });
+}
+
+/**
+ * Delete deliveries past the retention period
+ */
+async function pruneDeliveries() {
+  try {
+    const deleted = await NotificationModel.deleteDeliveriesOlderThan(NOTIFICATION_CONFIG.deliveryRetentionDays);
+    if (deleted > 0) {
+      console.log(`Deleted ${deleted} notification deliveries older than ${NOTIFICATION_CONFIG.deliveryRetentionDays} days`);
+    }
+  } catch (error) {
+    console.error('Error pruning notification deliveries:', error.message);
+  }
+}
+
+/**
+ * Start the daily delivery log cleanup
+ */
+function startDeliveryCleanup() {
+  pruneDeliveries();
+  cleanupInterval = setInterval(pruneDeliveries, 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Stop the delivery log cleanup
+ */
+function stopDeliveryCleanup() {
+  if (cleanupInterval) {
+    clearInterval(cleanupInterval);
+    cleanupInterval = null;
+  }
+}
+
+module.exports = {
+  NOTIFICATION_EVENTS,
+  CHANNEL_TYPES,
+  normalizeChannel,
+  hasSystemEvents,
+  deliver,
+  notify,
+  sendTest,
+  pruneDeliveries,
+  startDeliveryCleanup,
+  stopDeliveryCleanup
+};
@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const { NOTIFICATION_CONFIG } = require('../../config');
+
+/**
+ * Notification Senders
+ * One sender per channel type. Each takes the channel (with its decrypted secrets) and a
+ * notification, and resolves with a short response summary or throws on failure.
+ * Errors carry `retryable: false` when sending again cannot help (e.g. HTTP 4xx).
+ */
+
+// Embed/attachment colours per severity
+const SEVERITY_COLORS = {
+  error: '#ef4444',
+  warning: '#f59e0b',
+  success: '#22c55e',
+  info: '#00d4ff'
+};
+
+/**
+ * Sign a webhook body: HMAC-SHA256 over "<timestamp>.<body>"
+ * @param {string} secret - Channel secret
+ * @param {string} timestamp - Unix timestamp in seconds
+ * @param {string} body - Raw request body
+ * @returns {string} - "sha256=<hex>"
+ */
+function signPayload(secret, timestamp, body) {
+  const hmac = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${hmac}`;
+}
+
+/**
+ * POST a JSON body and fail on non-2xx responses
+ * @private
+ */
+async function postJson(url, body, headers = {}) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'User-Agent': 'NoBase-Notifications', ...headers },
+      body,
+      signal: AbortSignal.timeout(NOTIFICATION_CONFIG.requestTimeout)
+    });
+  } catch (err) {
+    throw new Error(err.name === 'TimeoutError' ? 'Request timed out' : (err.cause?.message || err.message));
+  }
+
+  const text = (await response.text().catch(() => '')).slice(0, 500);
+  const summary = `HTTP ${response.status}${text ? `: ${text}` : ''}`;
+
+  if (!response.ok) {
+    const error = new Error(summary);
+    // Client errors will not change on retry; rate limits will
+    error.retryable = response.status >= 500 || response.status === 429;
+    throw error;
+  }
+  return summary;
+}
+
+/**
+ * Plain-text body shared by email and chat messages
+ * @private
+ */
+function formatText(notification) {
+  const lines = [notification.message];
+  for (const field of notification.fields || []) {
+    lines.push(`${field.name}: ${field.value}`);
+  }
+  return lines.filter(Boolean).join('\n');
+}
+
+/**
+ * Generic webhook: the notification as JSON, signed with the channel secret
+ */
+async function sendWebhook(channel, notification) {
+  const body = JSON.stringify({
+    event: notification.event,
+    title: notification.title,
+    message: notification.message,
+    severity: notification.severity,
+    teamId: notification.teamId || null,
+    data: notification.data || {},
+    timestamp: notification.timestamp
+  });
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+
+  return postJson(channel.config.url, body, {
+    'X-NoBase-Event': notification.event,
+    [NOTIFICATION_CONFIG.timestampHeader]: timestamp,
+    [NOTIFICATION_CONFIG.signatureHeader]: signPayload(channel.secrets.secret, timestamp, body)
+  });
+}
+
+/**
+ * Slack (and Slack-compatible, e.g. Mattermost) incoming webhook
+ */
+async function sendSlack(channel, notification) {
+  return postJson(channel.secrets.url, JSON.stringify({
+    text: `*${notification.title}*`,
+    attachments: [{
+      color: SEVERITY_COLORS[notification.severity] || SEVERITY_COLORS.info,
+      text: notification.message,
+      fields: (notification.fields || []).map(field => ({ title: field.name, value: String(field.value), short: true })),
+      ts: Math.floor(new Date(notification.timestamp).getTime() / 1000)
+    }]
+  }));
+}
+
+/**
+ * Discord incoming webhook
+ */
+async function sendDiscord(channel, notification) {
+  const color = SEVERITY_COLORS[notification.severity] || SEVERITY_COLORS.info;
+  return postJson(channel.secrets.url, JSON.stringify({
+    embeds: [{
+      title: notification.title,
+      description: notification.message,
+      color: parseInt(color.slice(1), 16),
+      fields: (notification.fields || []).map(field => ({ name: field.name, value: String(field.value), inline: true })),
+      timestamp: notification.timestamp
+    }]
+  }));
+}
+
+/**
+ * SMTP email
+ */
+async function sendEmail(channel, notification) {
+  const { host, port, security, username, from, to } = channel.config;
+
+  const transport = nodemailer.createTransport({
+    host,
+    port,
+    secure: security === 'tls',
+    requireTLS: security === 'starttls',
+    ignoreTLS: security === 'none',
+    auth: username ? { user: username, pass: channel.secrets.password || '' } : undefined,
+    connectionTimeout: NOTIFICATION_CONFIG.requestTimeout,
+    greetingTimeout: NOTIFICATION_CONFIG.requestTimeout,
+    socketTimeout: NOTIFICATION_CONFIG.requestTimeout
+  });
+
+  try {
+    const info = await transport.sendMail({
+      from,
+      to: to.join(', '),
+      subject: `[NoBase] ${notification.title}`,
+      text: `${formatText(notification)}\n\n${new Date(notification.timestamp).toUTCString()}`
+    });
+    return info.response || 'Sent';
+  } catch (err) {
+    // Permanent SMTP failures (5xx, e.g. unknown recipient or bad credentials) will not succeed on retry
+    const error = new Error(err.response || err.message);
+    error.retryable = !(err.responseCode >= 500);
+    throw error;
+  } finally {
+    transport.close();
+  }
+}
+
+const SENDERS = {
+  webhook: sendWebhook,
+  email: sendEmail,
+  slack: sendSlack,
+  discord: sendDiscord
+};
+
+module.exports = {
+  SENDERS,
+  signPayload
+};
@@ -0,0 +1,4 @@
+module.exports = {
+  secretsService: require('./secretsService'),
+  storedSecrets: require('./storedSecrets')
+};
@@ -0,0 +1,245 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const SystemSettingsModel = require('../../models/SystemSettingsModel');
+const { SECRETS_CONFIG } = require('../../config');
+
+/**
+ * Secrets Service
+ * Master key handling and authenticated encryption (AES-256-GCM) of secrets at rest
+ *
+ * Encrypted values look like enc:v1:<keyId>:<iv>:<tag>:<ciphertext> (base64 parts), so
+ * plaintext written by older versions can still be told apart and migrated.
+ */
+
+const PREFIX = 'enc:v1:';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const SETTINGS_KEY = 'master_key';
+
+// Master key used by encrypt/decrypt, set by init()
+let activeKey = null;
+
+/**
+ * Parse a raw master key
+ * @param {string} value - 32 bytes as hex (64 chars) or base64
+ * @returns {Buffer}
+ */
+function parseKey(value) {
+  const trimmed = value.trim();
+  const key = /^[0-9a-f]{64}$/i.test(trimmed)
+    ? Buffer.from(trimmed, 'hex')
+    : Buffer.from(trimmed, 'base64');
+
+  if (key.length !== KEY_LENGTH) {
+    throw new Error(`Master key must be ${KEY_LENGTH} bytes, given as hex or base64`);
+  }
+  return key;
+}
+
+/**
+ * Derive a master key from a passphrase
+ * @param {string} passphrase - Passphrase
+ * @param {string} salt - Salt (hex)
+ * @returns {Buffer}
+ */
+function deriveKey(passphrase, salt) {
+  return crypto.scryptSync(passphrase, Buffer.from(salt, 'hex'), KEY_LENGTH, SECRETS_CONFIG.scrypt);
+}
+
+/**
+ * Short fingerprint of a key, stored with every ciphertext to detect a wrong key
+ * @param {Buffer} key - Master key
+ * @returns {string}
+ */
+function getKeyId(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+}
+
+/**
+ * Generate a random master key
+ * @returns {Buffer}
+ */
+function generateKey() {
+  return crypto.randomBytes(KEY_LENGTH);
+}
+
+/**
+ * Write a key to the key file
+ * @param {Buffer} key - Master key
+ */
+function writeKeyFile(key) {
+  fs.writeFileSync(SECRETS_CONFIG.keyFile, key.toString('hex'), { mode: 0o600 });
+}
+
+/**
+ * Read the generated key file, creating it on first start
+ * @returns {Buffer}
+ */
+function loadKeyFile() {
+  try {
+    return parseKey(fs.readFileSync(SECRETS_CONFIG.keyFile, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+
+  const key = generateKey();
+  writeKeyFile(key);
+  console.warn(`[Secrets] Generated a master key in ${SECRETS_CONFIG.keyFile}. ` +
+    'Set MASTER_KEY or MASTER_KEY_PASSPHRASE to keep the key out of backups of this directory.');
+  return key;
+}
+
+/**
+ * Resolve a master key from its source
+ * @param {Object} source - { key, passphrase } (both empty = key file)
+ * @param {string|null} salt - Passphrase salt (hex); required when source.passphrase is set
+ * @returns {Buffer}
+ */
+function resolveKey({ key, passphrase }, salt = null) {
+  if (key) return parseKey(key);
+  if (passphrase) {
+    if (!salt) throw new Error('A salt is required to derive the master key from a passphrase');
+    return deriveKey(passphrase, salt);
+  }
+  return loadKeyFile();
+}
+
+/**
+ * Get the master key source from the environment
+ * @returns {{key: string|undefined, passphrase: string|undefined}}
+ */
+function getEnvSource() {
+  return {
+    key: process.env.MASTER_KEY,
+    passphrase: process.env.MASTER_KEY_PASSPHRASE
+  };
+}
+
+/**
+ * Stored key metadata (fingerprint and passphrase salt)
+ * @returns {Promise<{keyId: string, salt: string|null}|null>}
+ */
+async function getKeyInfo() {
+  return SystemSettingsModel.getValue(SETTINGS_KEY);
+}
+
+/**
+ * Save key metadata after a new key has been taken into use
+ * @param {Buffer} key - Master key
+ * @param {string|null} salt - Passphrase salt (hex)
+ * @returns {Promise<void>}
+ */
+async function saveKeyInfo(key, salt = null) {
+  await SystemSettingsModel.setValue(SETTINGS_KEY, { keyId: getKeyId(key), salt });
+}
+
+/**
+ * Load the master key from the environment and check it against the stored fingerprint
+ * Must run after the database is initialized and before secrets are read
+ * @returns {Promise<Buffer>}
+ */
+async function init() {
+  const source = getEnvSource();
+  const info = await getKeyInfo();
+
+  let salt = info ? info.salt : null;
+  if (source.passphrase && !source.key && !salt) {
+    salt = crypto.randomBytes(16).toString('hex');
+  }
+
+  const key = resolveKey(source, salt);
+
+  if (info && info.keyId !== getKeyId(key)) {
+    throw new Error('The master key does not match the one stored secrets were encrypted with. ' +
+      'Check MASTER_KEY / MASTER_KEY_PASSPHRASE or restore the key file.');
+  }
+  if (!info) {
+    await saveKeyInfo(key, source.passphrase && !source.key ? salt : null);
+  }
+
+  activeKey = key;
+  return key;
+}
+
+/**
+ * Check whether a value is encrypted
+ * @param {string|Buffer|null} value - Stored value
+ * @returns {boolean}
+ */
+function isEncrypted(value) {
+  if (!value) return false;
+  return value.toString().startsWith(PREFIX);
+}
+
+/**
+ * Get the master key, failing loudly if init() has not run
+ * @param {Buffer|null} key - Explicit key (rotation)
+ * @returns {Buffer}
+ */
+function requireKey(key) {
+  const resolved = key || activeKey;
+  if (!resolved) {
+    throw new Error('Secrets service is not initialized');
+  }
+  return resolved;
+}
+
+/**
+ * Encrypt a secret
+ * @param {string} plaintext - Secret
+ * @param {Buffer|null} key - Master key (defaults to the active key)
+ * @returns {string}
+ */
+function encrypt(plaintext, key = null) {
+  const masterKey = requireKey(key);
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(SECRETS_CONFIG.algorithm, masterKey, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+  return PREFIX + [
+    getKeyId(masterKey),
+    iv.toString('base64'),
+    cipher.getAuthTag().toString('base64'),
+    ciphertext.toString('base64')
+  ].join(':');
+}
+
+/**
+ * Decrypt a secret
+ * Values that are not encrypted (written before encryption at rest) are returned as-is
+ * @param {string|Buffer|null} value - Stored value
+ * @param {Buffer|null} key - Master key (defaults to the active key)
+ * @returns {string|null}
+ */
+function decrypt(value, key = null) {
+  if (!value) return null;
+  if (!isEncrypted(value)) return value.toString();
+
+  const masterKey = requireKey(key);
+  const [keyId, iv, tag, ciphertext] = value.toString().slice(PREFIX.length).split(':');
+
+  if (keyId !== getKeyId(masterKey)) {
+    throw new Error('Secret was encrypted with a different master key');
+  }
+
+  const decipher = crypto.createDecipheriv(SECRETS_CONFIG.algorithm, masterKey, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64')),
+    decipher.final()
+  ]).toString('utf8');
+}
+
+module.exports = {
+  init,
+  encrypt,
+  decrypt,
+  isEncrypted,
+  generateKey,
+  getKeyId,
+  resolveKey,
+  getEnvSource,
+  getKeyInfo,
+  saveKeyInfo,
+  writeKeyFile
+};
@@ -0,0 +1,113 @@
+const fs = require('fs').promises;
+const path = require('path');
+const secretsService = require('./secretsService');
+const keyManager = require('../ssh/keyManager');
+const AppModel = require('../../models/AppModel');
+const NotificationModel = require('../../models/NotificationModel');
+const UserModel = require('../../models/UserModel');
+const SystemSettingsModel = require('../../models/SystemSettingsModel');
+const { CHAIN_KEY_SETTING } = require('../auditService');
+const { SSH_KEYS_DIR } = require('../../config');
+
+/**
+ * Stored Secrets
+ * Finds every secret kept at rest and (re-)encrypts it, for the plaintext migration and key rotation
+ */
+
+/**
+ * List private key files in the SSH keys directory
+ * @returns {Promise<Array<string>>} - Absolute paths
+ */
+async function listPrivateKeyFiles() {
+  let entries;
+  try {
+    entries = await fs.readdir(SSH_KEYS_DIR);
+  } catch {
+    return [];
+  }
+  return entries
+    .filter(name => name.startsWith('server_') && !name.endsWith('.pub') && !name.endsWith('.tmp'))
+    .map(name => path.join(SSH_KEYS_DIR, name));
+}
+
+/**
+ * Encrypt every stored secret with toKey
+ * Values already encrypted are decrypted with fromKey first; plaintext values are encrypted as-is.
+ * Everything is decrypted before the first write, so a wrong fromKey changes nothing.
+ * @param {Object} options
+ * @param {Buffer|null} options.fromKey - Current master key (null = active key)
+ * @param {Buffer|null} options.toKey - New master key (null = active key)
+ * @param {boolean} options.plaintextOnly - Only encrypt values that are still plaintext
+ * @returns {Promise<{keys: number, registryPasswords: number, channels: number, totpSecrets: number, settings: number}>} - Number of rewritten secrets
+ */
+async function reencryptStoredSecrets({ fromKey = null, toKey = null, plaintextOnly = false } = {}) {
+  const keys = [];
+  for (const keyPath of await listPrivateKeyFiles()) {
+    const stored = await fs.readFile(keyPath, 'utf-8');
+    if (plaintextOnly && secretsService.isEncrypted(stored)) continue;
+    keys.push({ keyPath, privateKey: secretsService.decrypt(stored, fromKey) });
+  }
+
+  const passwords = [];
+  for (const app of await AppModel.findStoredRegistryPasswords()) {
+    if (plaintextOnly && secretsService.isEncrypted(app.registry_password)) continue;
+    passwords.push({ appId: app.id, password: secretsService.decrypt(app.registry_password, fromKey) });
+  }
+
+  const channels = [];
+  for (const channel of await NotificationModel.findStoredSecrets()) {
+    if (plaintextOnly && secretsService.isEncrypted(channel.secrets)) continue;
+    channels.push({ channelId: channel.id, secrets: secretsService.decrypt(channel.secrets, fromKey) });
+  }
+
+  const totpSecrets = [];
+  for (const user of await UserModel.findStoredTotpSecrets()) {
+    if (plaintextOnly && secretsService.isEncrypted(user.totp_secret)) continue;
+    totpSecrets.push({ userId: user.id, secret: secretsService.decrypt(user.totp_secret, fromKey) });
+  }
+
+  // The audit log's chain key never existed in plaintext, so it only needs rotating
+  const settings = [];
+  const chainKey = plaintextOnly ? null : await SystemSettingsModel.getValue(CHAIN_KEY_SETTING);
+  if (chainKey) {
+    settings.push({ key: CHAIN_KEY_SETTING, value: secretsService.decrypt(chainKey, fromKey) });
+  }
+
+  for (const { keyPath, privateKey } of keys) {
+    await keyManager.writePrivateKey(keyPath, privateKey, toKey);
+  }
+  for (const { appId, password } of passwords) {
+    await AppModel.setStoredRegistryPassword(appId, secretsService.encrypt(password, toKey));
+  }
+  for (const { channelId, secrets } of channels) {
+    await NotificationModel.setStoredSecrets(channelId, secretsService.encrypt(secrets, toKey));
+  }
+  for (const { userId, secret } of totpSecrets) {
+    await UserModel.setStoredTotpSecret(userId, secretsService.encrypt(secret, toKey));
+  }
+  for (const { key, value } of settings) {
+    await SystemSettingsModel.setValue(key, secretsService.encrypt(value, toKey));
+  }
+
+  return {
+    keys: keys.length,
+    registryPasswords: passwords.length,
+    channels: channels.length,
+    totpSecrets: totpSecrets.length,
+    settings: settings.length
+  };
+}
+
+/**
+ * Encrypt secrets left in plaintext by versions before encryption at rest
+ * @returns {Promise<{keys: number, registryPasswords: number, channels: number, totpSecrets: number, settings: number}>}
+ */
+async function encryptPlaintextSecrets() {
+  return reencryptStoredSecrets({ plaintextOnly: true });
+}
+
+module.exports = {
+  listPrivateKeyFiles,
+  reencryptStoredSecrets,
+  encryptPlaintextSecrets
+};
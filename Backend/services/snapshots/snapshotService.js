@@ -1,9 +1,11 @@
 const fs = require('fs').promises;
 const path = require('path');
+const shellEscape = require('shell-escape');
 const { BACKUP_CONFIG } = require('../../config');
 const { SnapshotModel, SystemSettingsModel, AppModel } = require('../../models');
-const { executeCommand } = require('../ssh/connectionManager');
+const { executeCommand, buildServerConfig } = require('../ssh/connectionManager');
 const sftpService = require('../ssh/sftpService');
+const { composeStack } = require('../docker');
 
 /**
  * Ensure backup directories exist
@@ -65,6 +67,30 @@ function getVolumePaths(deployment) {
     .map(v => v.host);
 }
 
+/**
+ * Stop a deployment's container, or every container of its compose stack
+ * @private
+ */
+async function stopDeployment(serverConfig, deployment) {
+  if (deployment.compose_project) {
+    await composeStack.stop(serverConfig, deployment.compose_project);
+  } else {
+    await executeCommand(serverConfig, `docker stop ${deployment.container_id}`);
+  }
+}
+
+/**
+ * Start a deployment's container, or every container of its compose stack
+ * @private
+ */
+async function startDeployment(serverConfig, deployment) {
+  if (deployment.compose_project) {
+    await composeStack.start(serverConfig, deployment.compose_project);
+  } else {
+    await executeCommand(serverConfig, `docker start ${deployment.container_id}`);
+  }
+}
+
 /**
  * Resolve volume path - handles both bind mounts (absolute paths) and named volumes
  * @param {Object} serverConfig - SSH server config
@@ -80,7 +106,7 @@ async function resolveVolumePath(serverConfig, volumePath) {
   // It's a named volume, get the actual path from Docker
   const result = await executeCommand(
     serverConfig,
-    `docker volume inspect ${volumePath} --format '{{.Mountpoint}}' 2>/dev/null || echo "/var/lib/docker/volumes/${volumePath}/_data"`
+    `docker volume inspect ${shellEscape([volumePath])} --format '{{.Mountpoint}}' 2>/dev/null`
   );
   
   const mountpoint = result.stdout.trim();
@@ -115,6 +141,8 @@ async function createSnapshot({ deployment, server, userId, notes = null, onProg
       if (app) {
         appConfig = {
           name: app.name,
+          type: app.type || 'container',
+          compose_file: app.compose_file,
           image: app.image,
           tag: app.tag,
           ports: app.ports ? JSON.parse(app.ports) : [],
@@ -140,6 +168,7 @@ async function createSnapshot({ deployment, server, userId, notes = null, onProg
   // Capture deployment-specific overrides
   const deploymentConfig = {
     container_name: deployment.container_name,
+    compose_project: deployment.compose_project,
     port_mappings: deployment.port_mappings ? JSON.parse(deployment.port_mappings) : null,
     env_overrides: deployment.env_overrides ? JSON.parse(deployment.env_overrides) : null,
     volume_overrides: deployment.volume_overrides ? JSON.parse(deployment.volume_overrides) : null,
@@ -150,7 +179,12 @@ async function createSnapshot({ deployment, server, userId, notes = null, onProg
     icon_url: deployment.icon_url
   };
   
-  const volumePaths = getVolumePaths(deployment);
+  const serverConfig = buildServerConfig(server);
+
+  // A stack's data is its stack directory plus whatever its containers mount
+  const volumePaths = deployment.compose_project
+    ? await composeStack.getDataPaths(serverConfig, deployment.compose_project)
+    : getVolumePaths(deployment);
   
   if (volumePaths.length === 0) {
     throw new Error('No volumes configured for this deployment');
@@ -167,6 +201,7 @@ async function createSnapshot({ deployment, server, userId, notes = null, onProg
     deploymentId: deployment.id,
     serverId: server.id,
     userId,
+    teamId: deployment.team_id,
     volumePaths,
     notes,
     appConfig,
@@ -175,18 +210,12 @@ async function createSnapshot({ deployment, server, userId, notes = null, onProg
     appName
   });
   
-  const serverConfig = {
-    host: server.ip,
-    username: server.username,
-    privateKeyPath: server.private_key_path
-  };
-  
   try {
     await SnapshotModel.updateStatus(snapshot.id, 'creating');
     
     // Step 1: Stop container
-    onProgress('stopping', `Stopping container ${deployment.container_name}...`);
-    await executeCommand(serverConfig, `docker stop ${deployment.container_id}`);
+    onProgress('stopping', `Stopping ${deployment.compose_project ? 'stack' : 'container'} ${deployment.container_name}...`);
+    await stopDeployment(serverConfig, deployment);
     
     // Step 2: Resolve volume paths (handle named volumes vs bind mounts)
     onProgress('archiving', 'Resolving volume paths...');
@@ -196,7 +225,7 @@ async function createSnapshot({ deployment, server, userId, notes = null, onProg
     
     // Verify paths exist
     for (const rPath of resolvedPaths) {
-      const checkResult = await executeCommand(serverConfig, `sudo test -e "${rPath}" && echo "exists" || echo "missing"`);
+      const checkResult = await executeCommand(serverConfig, `sudo test -e ${shellEscape([rPath])} && echo "exists" || echo "missing"`);
       if (checkResult.stdout.trim() === 'missing') {
         throw new Error(`Volume path does not exist: ${rPath}`);
       }
@@ -207,7 +236,7 @@ async function createSnapshot({ deployment, server, userId, notes = null, onProg
     const remoteTempPath = `/tmp/${snapshot.archive_filename}`;
     
     // Create tar with absolute paths - strip leading slash for tar to work correctly
-    const tarPaths = resolvedPaths.map(p => p.substring(1)).join(' ');
+    const tarPaths = shellEscape(resolvedPaths.map(p => p.substring(1)));
     
     // Create tar with gzip compression
     const tarResult = await executeCommand(
@@ -240,8 +269,8 @@ async function createSnapshot({ deployment, server, userId, notes = null, onProg
     await executeCommand(serverConfig, `rm -f ${remoteTempPath}`);
     
     // Step 6: Restart container
-    onProgress('restarting', `Restarting container ${deployment.container_name}...`);
-    await executeCommand(serverConfig, `docker start ${deployment.container_id}`);
+    onProgress('restarting', `Restarting ${deployment.compose_project ? 'stack' : 'container'} ${deployment.container_name}...`);
+    await startDeployment(serverConfig, deployment);
     
     // Step 7: Update snapshot record
     await SnapshotModel.updateStatus(snapshot.id, 'complete', sizeBytes);
@@ -257,7 +286,7 @@ async function createSnapshot({ deployment, server, userId, notes = null, onProg
   } catch (error) {
     // Try to restart container on failure
     try {
-      await executeCommand(serverConfig, `docker start ${deployment.container_id}`);
+      await startDeployment(serverConfig, deployment);
     } catch (restartError) {
       console.error('Failed to restart container after snapshot error:', restartError);
     }
@@ -301,19 +330,15 @@ async function deleteSnapshot(snapshot) {
  * @returns {Promise<void>}
  */
 async function restoreSnapshot({ snapshot, server, deployment, onProgress = () => {} }) {
-  const serverConfig = {
-    host: server.ip,
-    username: server.username,
-    privateKeyPath: server.private_key_path
-  };
+  const serverConfig = buildServerConfig(server);
   
   const localPath = path.join(BACKUP_CONFIG.storagePath, snapshot.archive_filename);
   const remoteTempPath = `/tmp/${snapshot.archive_filename}`;
   
   try {
     // Step 1: Stop container
-    onProgress('stopping', `Stopping container ${deployment.container_name}...`);
-    await executeCommand(serverConfig, `docker stop ${deployment.container_id}`);
+    onProgress('stopping', `Stopping ${deployment.compose_project ? 'stack' : 'container'} ${deployment.container_name}...`);
+    await stopDeployment(serverConfig, deployment);
     
     // Step 2: Upload archive to server
     onProgress('transferring', 'Uploading archive to server...');
@@ -334,8 +359,8 @@ async function restoreSnapshot({ snapshot, server, deployment, onProgress = () =
     await executeCommand(serverConfig, `rm -f ${remoteTempPath}`);
     
     // Step 5: Restart container
-    onProgress('restarting', `Restarting container ${deployment.container_name}...`);
-    await executeCommand(serverConfig, `docker start ${deployment.container_id}`);
+    onProgress('restarting', `Restarting ${deployment.compose_project ? 'stack' : 'container'} ${deployment.container_name}...`);
+    await startDeployment(serverConfig, deployment);
     
     // Step 6: Update deployment status in database to 'running'
     await AppModel.updateDeploymentStatus(deployment.id, 'running');
@@ -345,7 +370,7 @@ async function restoreSnapshot({ snapshot, server, deployment, onProgress = () =
   } catch (error) {
     // Try to restart container on failure
     try {
-      await executeCommand(serverConfig, `docker start ${deployment.container_id}`);
+      await startDeployment(serverConfig, deployment);
     } catch (restartError) {
       console.error('Failed to restart container after restore error:', restartError);
     }
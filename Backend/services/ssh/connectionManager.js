@@ -1,7 +1,5 @@
-const { Client } = require('ssh2');
-const fs = require('fs');
 const connectionPool = require('./connectionPool');
-const { SSH_POOL_CONFIG } = require('../../config');
+const { buildServerConfig } = require('./serverConfig');
 
 /**
  * Commands that require sudo when running as non-root user
@@ -93,70 +91,36 @@ function wrapWithSudo(command, forceSudo = false) {
 
 /**
  * Test SSH connection to a server
- * @param {string} host - Server IP/hostname
- * @param {string} username - SSH username
- * @param {string} privateKeyPath - Path to private key
+ * @param {Object} serverConfig - { host, port, username, privateKeyPath, jumpHostId }
  * @returns {Promise<{status: string, error?: string}>}
  */
-async function testConnection(host, username, privateKeyPath) {
-  return new Promise((resolve) => {
-    const conn = new Client();
-    let connected = false;
-
-    const timeout = setTimeout(() => {
-      if (!connected) {
-        conn.end();
-        resolve({ status: 'offline', error: 'Connection timeout' });
-      }
-    }, SSH_POOL_CONFIG.connectionTimeout);
-
-    conn.on('ready', () => {
-      connected = true;
-      clearTimeout(timeout);
-      conn.end();
-      resolve({ status: 'online' });
-    });
-
-    conn.on('error', (err) => {
-      connected = true;
-      clearTimeout(timeout);
-      resolve({ status: 'offline', error: err.message });
-    });
-
-    try {
-      conn.connect({
-        host,
-        port: 22,
-        username,
-        privateKey: fs.readFileSync(privateKeyPath),
-        readyTimeout: SSH_POOL_CONFIG.connectionTimeout
-      });
-    } catch (err) {
-      clearTimeout(timeout);
-      resolve({ status: 'offline', error: err.message });
-    }
-  });
+async function testConnection(serverConfig) {
+  try {
+    const conn = await connectionPool.connect(serverConfig);
+    conn.end();
+    return { status: 'online' };
+  } catch (err) {
+    return { status: 'offline', error: err.message };
+  }
 }
 
 /**
  * Execute a command on a server via SSH
  * Uses connection pool for efficiency
- * @param {Object} serverConfig - { host, username, privateKeyPath }
+ * @param {Object} serverConfig - { host, port, username, privateKeyPath, jumpHostId }
  * @param {string} command - Command to execute
  * @returns {Promise<{stdout: string, stderr: string, code: number}>}
  */
 async function executeCommand(serverConfig, command) {
-  const { host, username, privateKeyPath } = serverConfig;
-  
   return new Promise(async (resolve, reject) => {
     let conn;
     
     try {
-      conn = await connectionPool.getConnection({ host, username, privateKeyPath });
+      conn = await connectionPool.getConnection(serverConfig);
       
       conn.exec(command, (err, stream) => {
         if (err) {
-          connectionPool.releaseConnection(host, username);
+          connectionPool.releaseConnection(serverConfig);
           return reject(err);
         }
 
@@ -172,17 +136,51 @@ async function executeCommand(serverConfig, command) {
         });
 
         stream.on('close', (code) => {
-          connectionPool.releaseConnection(host, username);
+          connectionPool.releaseConnection(serverConfig);
           resolve({ stdout, stderr, code });
         });
       });
     } catch (err) {
-      if (conn) connectionPool.releaseConnection(host, username);
+      if (conn) connectionPool.releaseConnection(serverConfig);
       reject(err);
     }
   });
 }
 
+/**
+ * Execute a command on an already open (unpooled) connection
+ * @param {Client} conn - Connected SSH client
+ * @param {string} command - Command to execute
+ * @param {string|null} input - Data written to the command's stdin (e.g. a sudo password)
+ * @returns {Promise<{stdout: string, stderr: string, code: number}>}
+ */
+function executeOnConnection(conn, command, input = null) {
+  return new Promise((resolve, reject) => {
+    conn.exec(command, (err, stream) => {
+      if (err) return reject(err);
+
+      let stdout = '';
+      let stderr = '';
+
+      stream.on('data', (data) => {
+        stdout += data.toString();
+      });
+
+      stream.stderr.on('data', (data) => {
+        stderr += data.toString();
+      });
+
+      stream.on('close', (code) => {
+        resolve({ stdout, stderr, code });
+      });
+
+      if (input !== null) {
+        stream.end(input);
+      }
+    });
+  });
+}
+
 /**
  * Execute multiple commands sequentially
  * @param {Object} serverConfig - Server configuration
@@ -206,47 +204,30 @@ async function executeCommands(serverConfig, commands) {
 
 /**
  * Create an interactive shell session
+ * Opens a dedicated (unpooled) connection, routed through the server's jump host if set
  * @param {Object} serverConfig - Server configuration
  * @param {Object} options - Shell options
  * @returns {Promise<{conn: Client, stream: any}>}
  */
 async function createShell(serverConfig, options = { term: 'xterm-color' }) {
-  const { host, username, privateKeyPath } = serverConfig;
-  
-  return new Promise((resolve, reject) => {
-    const conn = new Client();
+  const conn = await connectionPool.connect(serverConfig);
 
-    conn.on('ready', () => {
-      conn.shell(options, (err, stream) => {
-        if (err) {
-          conn.end();
-          return reject(err);
-        }
-        resolve({ conn, stream });
-      });
-    });
-
-    conn.on('error', (err) => {
-      reject(err);
+  return new Promise((resolve, reject) => {
+    conn.shell(options, (err, stream) => {
+      if (err) {
+        conn.end();
+        return reject(err);
+      }
+      resolve({ conn, stream });
     });
-
-    try {
-      conn.connect({
-        host,
-        port: 22,
-        username,
-        privateKey: fs.readFileSync(privateKeyPath),
-        readyTimeout: SSH_POOL_CONFIG.connectionTimeout
-      });
-    } catch (err) {
-      reject(err);
-    }
   });
 }
 
 module.exports = {
+  buildServerConfig,
   testConnection,
   executeCommand,
+  executeOnConnection,
   executeCommands,
   createShell,
   wrapWithSudo,
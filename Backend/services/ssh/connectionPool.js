@@ -1,6 +1,7 @@
 const { Client } = require('ssh2');
-const fs = require('fs');
 const { SSH_POOL_CONFIG } = require('../../config');
+const { resolveJumpHost } = require('./serverConfig');
+const { readPrivateKey } = require('./keyManager');
 
 /**
  * SSH Connection Pool
@@ -8,7 +9,7 @@ const { SSH_POOL_CONFIG } = require('../../config');
  */
 class SSHConnectionPool {
   constructor() {
-    // Map of serverId -> { connection, lastUsed, shell, refCount, channelCount }
+    // Map of connection key -> { connection, lastUsed, refCount, channelCount, tunnelCount }
     this.connections = new Map();
     
     // Start cleanup interval
@@ -17,26 +18,30 @@ class SSHConnectionPool {
 
   /**
    * Get connection key for a server
+   * Includes port and jump host so the same address behind different routes gets its own connection
    */
-  _getKey(host, username) {
-    return `${username}@${host}`;
+  _getKey({ host, username, port = SSH_POOL_CONFIG.defaultPort, jumpHostId = null }) {
+    const key = `${username}@${host}:${port}`;
+    return jumpHostId ? `${key} via ${jumpHostId}` : key;
   }
 
   /**
    * Get or create a connection to a server
    * @param {Object} serverConfig - Server configuration
+   * @param {number} depth - Jump chain depth (used internally when tunnelling)
    * @returns {Promise<Client>}
    */
-  async getConnection(serverConfig) {
+  async getConnection(serverConfig, depth = 0) {
     const { host, username, privateKeyPath } = serverConfig;
-    const key = this._getKey(host, username);
+    const key = this._getKey(serverConfig);
     
     const existing = this.connections.get(key);
     
     // Check if existing connection is valid and not overloaded
     if (existing && existing.connection && existing.connection._sock && !existing.connection._sock.destroyed) {
       // If channel count is getting high (close to SSH's typical limit of 10), close and reconnect
-      if (existing.channelCount >= 8) {
+      // Connections carrying tunnels for other servers are never recycled, that would drop those servers too
+      if (existing.channelCount >= 8 && existing.tunnelCount === 0) {
         console.log(`Connection to ${key} has ${existing.channelCount} channels, forcing reconnection...`);
         existing.connection.end();
         this.connections.delete(key);
@@ -49,13 +54,14 @@ class SSHConnectionPool {
     }
 
     // Create new connection
-    const connection = await this._createConnection(serverConfig);
+    const connection = await this._createConnection(serverConfig, depth);
     
     this.connections.set(key, {
       connection,
       lastUsed: Date.now(),
       refCount: 1,
       channelCount: 1,
+      tunnelCount: 0,
       host,
       username,
       privateKeyPath
@@ -65,17 +71,62 @@ class SSHConnectionPool {
   }
 
   /**
-   * Create a new SSH connection
+   * Create a new pooled SSH connection
    * @private
    */
-  _createConnection(serverConfig) {
+  async _createConnection(serverConfig, depth = 0) {
+    const key = this._getKey(serverConfig);
+    const conn = await this.connect(serverConfig, depth);
+
+    // Drop the pool entry once this connection dies (unless it was already replaced)
+    const forget = () => {
+      const entry = this.connections.get(key);
+      if (entry && entry.connection === conn) {
+        this.connections.delete(key);
+      }
+    };
+
+    conn.on('error', forget);
+    conn.on('close', forget);
+
+    return conn;
+  }
+
+  /**
+   * Open a new SSH client, tunnelling through the server's jump host if it has one
+   * The returned client is not tracked by the pool - callers must end() it
+   * @param {Object} serverConfig - Server configuration; an optional credentials object
+   *   ({ password } or { privateKey, passphrase }) is used instead of the managed key
+   * @param {number} depth - Jump chain depth (guards against misconfigured loops)
+   * @returns {Promise<Client>}
+   */
+  async connect(serverConfig, depth = 0) {
+    const { host, username, privateKeyPath, port = SSH_POOL_CONFIG.defaultPort } = serverConfig;
+
+    if (depth > SSH_POOL_CONFIG.maxJumpDepth) {
+      throw new Error(`Jump host chain for ${host} exceeds ${SSH_POOL_CONFIG.maxJumpDepth} hops`);
+    }
+
+    // One-time credentials (server adoption) or the managed key, decrypted only in memory
+    const auth = serverConfig.credentials || { privateKey: await readPrivateKey(privateKeyPath) };
+
+    // Open a tunnel through the jump host first, if any
+    const jumpConfig = await resolveJumpHost(serverConfig);
+    const sock = jumpConfig ? await this._openTunnel(jumpConfig, host, port, depth + 1) : null;
+    let tunnelReleased = false;
+    const releaseTunnel = () => {
+      if (sock && !tunnelReleased) {
+        tunnelReleased = true;
+        this._releaseTunnel(jumpConfig);
+      }
+    };
+
     return new Promise((resolve, reject) => {
-      const { host, username, privateKeyPath, port = 22 } = serverConfig;
-      
       const conn = new Client();
       
       const timeout = setTimeout(() => {
         conn.end();
+        releaseTunnel();
         reject(new Error('Connection timeout'));
       }, SSH_POOL_CONFIG.connectionTimeout);
 
@@ -86,38 +137,83 @@ class SSHConnectionPool {
 
       conn.on('error', (err) => {
         clearTimeout(timeout);
-        const key = this._getKey(host, username);
-        this.connections.delete(key);
+        releaseTunnel();
         reject(err);
       });
 
-      conn.on('close', () => {
-        const key = this._getKey(host, username);
-        this.connections.delete(key);
-      });
+      conn.on('close', releaseTunnel);
+
+      // Servers that only offer keyboard-interactive get the password for every prompt
+      if (auth.password) {
+        conn.on('keyboard-interactive', (name, instructions, lang, prompts, finish) => {
+          finish(prompts.map(() => auth.password));
+        });
+      }
 
       try {
         conn.connect({
           host,
           port,
           username,
-          privateKey: fs.readFileSync(privateKeyPath),
-          readyTimeout: SSH_POOL_CONFIG.connectionTimeout
+          ...auth,
+          tryKeyboard: !!auth.password,
+          readyTimeout: SSH_POOL_CONFIG.connectionTimeout,
+          ...(sock ? { sock } : {})
         });
       } catch (err) {
         clearTimeout(timeout);
+        releaseTunnel();
         reject(err);
       }
     });
   }
 
+  /**
+   * Open a forwarded TCP stream to a target through a pooled jump host connection
+   * Tunnels hold a reference on the jump host connection until released
+   * @private
+   */
+  async _openTunnel(jumpConfig, host, port, depth) {
+    const jumpConn = await this.getConnection(jumpConfig, depth);
+    const entry = this.connections.get(this._getKey(jumpConfig));
+
+    // Forwarded channels don't count towards the server's session limit
+    if (entry) {
+      entry.channelCount = Math.max(0, entry.channelCount - 1);
+      entry.tunnelCount++;
+    }
+
+    return new Promise((resolve, reject) => {
+      jumpConn.forwardOut('127.0.0.1', 0, host, port, (err, stream) => {
+        if (err) {
+          this._releaseTunnel(jumpConfig);
+          return reject(new Error(`Jump host ${jumpConfig.host} could not reach ${host}:${port}: ${err.message}`));
+        }
+        resolve(stream);
+      });
+    });
+  }
+
+  /**
+   * Release a tunnel reference on a jump host connection
+   * @private
+   */
+  _releaseTunnel(jumpConfig) {
+    const entry = this.connections.get(this._getKey(jumpConfig));
+
+    if (entry) {
+      entry.refCount = Math.max(0, entry.refCount - 1);
+      entry.tunnelCount = Math.max(0, entry.tunnelCount - 1);
+      entry.lastUsed = Date.now();
+    }
+  }
+
   /**
    * Release a connection (decrement ref count)
-   * @param {string} host - Server host
-   * @param {string} username - SSH username
+   * @param {Object} serverConfig - Server configuration
    */
-  releaseConnection(host, username) {
-    const key = this._getKey(host, username);
+  releaseConnection(serverConfig) {
+    const key = this._getKey(serverConfig);
     const entry = this.connections.get(key);
     
     if (entry) {
@@ -129,11 +225,10 @@ class SSHConnectionPool {
 
   /**
    * Force close a connection
-   * @param {string} host - Server host
-   * @param {string} username - SSH username
+   * @param {Object} serverConfig - Server configuration
    */
-  closeConnection(host, username) {
-    const key = this._getKey(host, username);
+  closeConnection(serverConfig) {
+    const key = this._getKey(serverConfig);
     const entry = this.connections.get(key);
     
     if (entry && entry.connection) {
@@ -176,6 +271,7 @@ class SSHConnectionPool {
         key,
         refCount: entry.refCount,
         channelCount: entry.channelCount,
+        tunnelCount: entry.tunnelCount,
         idleTime: Date.now() - entry.lastUsed,
         active: entry.connection && entry.connection._sock && !entry.connection._sock.destroyed
       });
@@ -0,0 +1,238 @@
+const connectionManager = require('./connectionManager');
+const { buildServerConfig } = require('./serverConfig');
+const { ServerModel, UptimeModel, TeamModel } = require('../../models');
+const { emitToUser } = require('../../websocket/auth');
+const { HEALTH_CHECK_CONFIG } = require('../../config');
+
+/**
+ * Server Health Checker
+ * Probes every server in the background, whether it is online, offline or still pending:
+ * online servers every HEALTH_CHECK_CONFIG.checkInterval, unreachable ones with exponential
+ * backoff. Status changes are recorded as uptime/downtime intervals and pushed to the
+ * server's team over Socket.IO as `server-status`.
+ */
+
+let io = null;
+let tickTimer = null;
+let cleanupTimer = null;
+let ticking = false;
+
+// serverId -> { nextCheckAt, failures } (failures = consecutive unreachable probes)
+const schedule = new Map();
+
+/**
+ * Set Socket.IO server for status pushes
+ * @param {Server} socketIo - Socket.IO server instance
+ */
+function setSocketIO(socketIo) {
+  io = socketIo;
+}
+
+/**
+ * Delay before probing an unreachable server again
+ * @private
+ */
+function retryDelay(failures) {
+  return Math.min(
+    HEALTH_CHECK_CONFIG.retryInterval * 2 ** Math.max(0, failures - 1),
+    HEALTH_CHECK_CONFIG.maxRetryInterval
+  );
+}
+
+/**
+ * Plan the next probe of a server after a check
+ * @private
+ */
+function reschedule(serverId, status) {
+  const entry = schedule.get(serverId) || { failures: 0 };
+  entry.failures = status === 'online' ? 0 : entry.failures + 1;
+  entry.nextCheckAt = Date.now() + (status === 'online'
+    ? HEALTH_CHECK_CONFIG.checkInterval
+    : retryDelay(entry.failures));
+  schedule.set(serverId, entry);
+}
+
+/**
+ * Tell the server's team that its status changed
+ * @private
+ */
+async function notifyStatusChange(server, previousStatus) {
+  if (!io) return;
+  try {
+    const payload = {
+      serverId: server.id,
+      serverName: server.displayName || server.name || server.ip,
+      status: server.status,
+      previousStatus,
+      error: server.error || null,
+      changedAt: server.lastChecked
+    };
+    for (const member of await TeamModel.findMembers(server.teamId)) {
+      emitToUser(io, member.id, 'server-status', payload);
+    }
+  } catch (err) {
+    console.error('Failed to push server status:', err.message);
+  }
+}
+
+/**
+ * Store the result of a connection test: update the server's status, record the uptime
+ * interval and push the change. Used by background probes and on-demand status checks alike.
+ * @param {Object} server - Server record (ServerModel) as it was before the test
+ * @param {{status: string, error?: string}} result - Result of connectionManager.testConnection
+ * @returns {Promise<Object|null>} - Updated server record
+ */
+async function applyStatus(server, result) {
+  await ServerModel.updateStatus(server.id, result.status, result.error || null);
+  const updated = await ServerModel.findById(server.id);
+  if (!updated) return null;
+
+  // Servers that have never connected stay pending and have no uptime to record yet
+  if (updated.status === 'online' || updated.status === 'offline') {
+    await UptimeModel.recordStatus(updated.id, updated.status, updated.error);
+  }
+  if (updated.status !== server.status) {
+    await notifyStatusChange(updated, server.status);
+  }
+
+  reschedule(updated.id, result.status);
+  return updated;
+}
+
+/**
+ * Probe one server
+ * @param {Object} server - Server record (ServerModel)
+ * @returns {Promise<Object|null>} - Updated server record
+ */
+async function checkServer(server) {
+  const result = await connectionManager.testConnection(buildServerConfig(server));
+  return applyStatus(server, result);
+}
+
+/**
+ * Probe every server that is due
+ * @private
+ */
+async function runChecks() {
+  if (ticking) return;
+  ticking = true;
+
+  try {
+    const servers = await ServerModel.findAll();
+    const now = Date.now();
+
+    // Forget deleted servers
+    const ids = new Set(servers.map(server => server.id));
+    for (const serverId of schedule.keys()) {
+      if (!ids.has(serverId)) schedule.delete(serverId);
+    }
+
+    const due = servers.filter(server => {
+      if (!schedule.has(server.id)) {
+        // Online servers were just checked by whoever set them online; spread their first probe
+        // over one interval. Everything else is probed right away.
+        schedule.set(server.id, {
+          failures: 0,
+          nextCheckAt: server.status === 'online' ? now + Math.random() * HEALTH_CHECK_CONFIG.checkInterval : now
+        });
+      }
+      return now >= schedule.get(server.id).nextCheckAt;
+    });
+
+    let next = 0;
+    const worker = async () => {
+      while (next < due.length) {
+        const server = due[next++];
+        try {
+          await checkServer(server);
+        } catch (error) {
+          console.warn(`Health check failed for server ${server.name || server.ip}:`, error.message);
+          reschedule(server.id, 'offline');
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(HEALTH_CHECK_CONFIG.concurrency, due.length) }, worker));
+  } catch (error) {
+    console.error('Error in server health checks:', error.message);
+  } finally {
+    ticking = false;
+  }
+}
+
+/**
+ * Delete uptime intervals past the retention period
+ * @private
+ */
+async function cleanupHistory() {
+  try {
+    const deleted = await UptimeModel.deleteOlderThan(HEALTH_CHECK_CONFIG.historyRetentionDays);
+    if (deleted > 0) {
+      console.log(`Pruned ${deleted} uptime interval(s) older than ${HEALTH_CHECK_CONFIG.historyRetentionDays} days`);
+    }
+  } catch (error) {
+    console.error('Error pruning uptime history:', error.message);
+  }
+}
+
+/**
+ * Start background health checks (and daily pruning of the uptime history)
+ */
+function startHealthChecks() {
+  console.log('Starting background server health checks...');
+  runChecks();
+  tickTimer = setInterval(runChecks, HEALTH_CHECK_CONFIG.tickInterval);
+
+  cleanupHistory();
+  cleanupTimer = setInterval(cleanupHistory, 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Stop background health checks
+ */
+function stopHealthChecks() {
+  if (tickTimer) {
+    clearInterval(tickTimer);
+    tickTimer = null;
+  }
+  if (cleanupTimer) {
+    clearInterval(cleanupTimer);
+    cleanupTimer = null;
+  }
+  schedule.clear();
+}
+
+/**
+ * Get checker totals (nothing about individual servers)
+ * @returns {Object} - { running, servers, reachable, backingOff }
+ */
+function getStats() {
+  const backingOff = [...schedule.values()].filter(entry => entry.failures > 0).length;
+  return {
+    running: tickTimer !== null,
+    servers: schedule.size,
+    reachable: schedule.size - backingOff,
+    backingOff
+  };
+}
+
+/**
+ * Get each server's probe schedule
+ * @returns {Array<{serverId: string, failures: number, nextCheckAt: string}>}
+ */
+function getSchedule() {
+  return [...schedule.entries()].map(([serverId, entry]) => ({
+    serverId,
+    failures: entry.failures,
+    nextCheckAt: new Date(entry.nextCheckAt).toISOString()
+  }));
+}
+
+module.exports = {
+  setSocketIO,
+  applyStatus,
+  checkServer,
+  startHealthChecks,
+  stopHealthChecks,
+  getStats,
+  getSchedule
+};
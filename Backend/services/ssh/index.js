@@ -1,6 +1,10 @@
 module.exports = {
   connectionManager: require('./connectionManager'),
   connectionPool: require('./connectionPool'),
+  healthChecker: require('./healthChecker'),
   keyManager: require('./keyManager'),
+  keyRotation: require('./keyRotation'),
+  serverAdoption: require('./serverAdoption'),
+  serverConfig: require('./serverConfig'),
   sftpService: require('./sftpService')
 };
@@ -1,10 +1,14 @@
 const fs = require('fs').promises;
 const path = require('path');
-const { exec } = require('child_process');
+const crypto = require('crypto');
 const util = require('util');
-const execPromise = util.promisify(exec);
+const { utils: sshUtils } = require('ssh2');
+const shellEscape = require('shell-escape');
+const secretsService = require('../secrets/secretsService');
 const { SSH_KEYS_DIR, DEFAULT_SSH_USERNAME } = require('../../config');
 
+const generateKeyPairAsync = util.promisify(crypto.generateKeyPair);
+
 /**
  * Supported operating systems for SSH setup
  */
@@ -42,24 +46,30 @@ const OS_INFO = {
  * @param {string} serverId - Server ID
  * @param {string} username - Username to create (defaults to NoBase)
  * @param {string} osType - Operating system type
+ * @param {string} keyName - Key file name (rotated keys get a unique name so the old pair stays usable)
  * @returns {Promise<{privateKeyPath: string, publicKey: string, setupCommand: string, username: string, osType: string}>}
  */
-async function generateKeyPair(serverId, username = DEFAULT_SSH_USERNAME, osType = OS_TYPES.UBUNTU_DEBIAN) {
-  const keyPath = path.join(SSH_KEYS_DIR, `server_${serverId}`);
+async function generateKeyPair(serverId, username = DEFAULT_SSH_USERNAME, osType = OS_TYPES.UBUNTU_DEBIAN, keyName = `server_${serverId}`) {
+  const keyPath = path.join(SSH_KEYS_DIR, keyName);
   const publicKeyPath = `${keyPath}.pub`;
 
   try {
     // Ensure SSH keys directory exists
     await fs.mkdir(SSH_KEYS_DIR, { recursive: true });
 
-    // Generate SSH key pair using ssh-keygen
-    await execPromise(
-      `ssh-keygen -t rsa -b 4096 -f "${keyPath}" -N "" -C "neo-multi-server-${serverId}"`
-    );
+    // Generate in memory so the private key never touches the disk unencrypted
+    const { privateKey } = await generateKeyPairAsync('rsa', {
+      modulusLength: 4096,
+      publicKeyEncoding: { type: 'spki', format: 'pem' },
+      privateKeyEncoding: { type: 'pkcs1', format: 'pem' }
+    });
 
-    // Read the public key
-    const publicKey = await fs.readFile(publicKeyPath, 'utf-8');
-    const trimmedPublicKey = publicKey.trim();
+    // OpenSSH format for authorized_keys
+    const parsedKey = sshUtils.parseKey(privateKey);
+    const trimmedPublicKey = `${parsedKey.type} ${parsedKey.getPublicSSH().toString('base64')} neo-multi-server-${serverId}`;
+
+    await writePrivateKey(keyPath, privateKey);
+    await fs.writeFile(publicKeyPath, `${trimmedPublicKey}\n`, { mode: 0o644 });
 
     // Generate setup command based on OS type
     const setupCommand = generateSetupCommand(username, trimmedPublicKey, osType);
@@ -209,6 +219,71 @@ function generateWindowsSetup(username, publicKey) {
   return commands.join('; ');
 }
 
+/**
+ * Command that adds a public key to the login user's authorized_keys (idempotent)
+ * Used when the key is installed over an existing connection instead of by the setup command
+ * @param {string} publicKey - SSH public key
+ * @param {string} osType - Operating system type
+ * @returns {string}
+ */
+function generateAuthorizeKeyCommand(publicKey, osType = OS_TYPES.UBUNTU_DEBIAN) {
+  // Managed Windows users are administrators, whose keys live in the shared file (see generateWindowsSetup)
+  if (osType === OS_TYPES.WINDOWS) {
+    return wrapPowerShell(
+      `$authKeys = "$env:ProgramData\\ssh\\administrators_authorized_keys"; ` +
+      `if (!(Test-Path $authKeys) -or !(Select-String -Path $authKeys -SimpleMatch '${publicKey}' -Quiet)) { Add-Content -Path $authKeys -Value '${publicKey}' }`
+    );
+  }
+
+  const quotedKey = shellEscape([publicKey]);
+  return [
+    'mkdir -p ~/.ssh',
+    'chmod 700 ~/.ssh',
+    'touch ~/.ssh/authorized_keys',
+    'chmod 600 ~/.ssh/authorized_keys',
+    `(grep -qxF ${quotedKey} ~/.ssh/authorized_keys || echo ${quotedKey} >> ~/.ssh/authorized_keys)`
+  ].join(' && ');
+}
+
+/**
+ * Command that removes a public key from the login user's authorized_keys
+ * Matches on the key data only, so every line carrying that key is removed whatever its comment
+ * @param {string} publicKey - SSH public key to remove
+ * @param {string} osType - Operating system type
+ * @returns {string}
+ */
+function generateRevokeKeyCommand(publicKey, osType = OS_TYPES.UBUNTU_DEBIAN) {
+  const keyData = publicKey.trim().split(/\s+/)[1];
+  if (!keyData) {
+    throw new Error('Invalid public key');
+  }
+
+  if (osType === OS_TYPES.WINDOWS) {
+    return wrapPowerShell(
+      `$authKeys = "$env:ProgramData\\ssh\\administrators_authorized_keys"; ` +
+      `if (Test-Path $authKeys) { $keep = @(Get-Content $authKeys | Where-Object { $_ -notlike '*${keyData}*' }); Set-Content -Path $authKeys -Value $keep }`
+    );
+  }
+
+  // Rewrite in place (cat >) so the file keeps its owner, mode and SELinux context
+  const quotedKey = shellEscape([keyData]);
+  return [
+    'test -f ~/.ssh/authorized_keys',
+    `{ grep -vF ${quotedKey} ~/.ssh/authorized_keys > ~/.ssh/authorized_keys.tmp || true; }`,
+    'cat ~/.ssh/authorized_keys.tmp > ~/.ssh/authorized_keys',
+    'rm -f ~/.ssh/authorized_keys.tmp'
+  ].join(' && ');
+}
+
+/**
+ * Wrap a PowerShell script so it runs from any default OpenSSH shell (cmd.exe or PowerShell)
+ * @param {string} script - PowerShell script
+ * @returns {string}
+ */
+function wrapPowerShell(script) {
+  return `powershell -NoProfile -NonInteractive -EncodedCommand ${Buffer.from(script, 'utf16le').toString('base64')}`;
+}
+
 /**
  * Delete SSH key pair for a server
  * @param {string} privateKeyPath - Path to private key
@@ -225,12 +300,26 @@ async function deleteKeyPair(privateKeyPath) {
 }
 
 /**
- * Read a private key
+ * Encrypt a private key with the master key and write it
+ * Writes to a temp file first so a crash never leaves a truncated key behind
+ * @param {string} privateKeyPath - Path to private key
+ * @param {string} privateKey - PEM private key
+ * @param {Buffer|null} masterKey - Master key (defaults to the active key; set during rotation)
+ * @returns {Promise<void>}
+ */
+async function writePrivateKey(privateKeyPath, privateKey, masterKey = null) {
+  const tempPath = `${privateKeyPath}.tmp`;
+  await fs.writeFile(tempPath, secretsService.encrypt(privateKey, masterKey), { mode: 0o600 });
+  await fs.rename(tempPath, privateKeyPath);
+}
+
+/**
+ * Read and decrypt a private key
  * @param {string} privateKeyPath - Path to private key
  * @returns {Promise<string>}
  */
 async function readPrivateKey(privateKeyPath) {
-  return fs.readFile(privateKeyPath, 'utf-8');
+  return secretsService.decrypt(await fs.readFile(privateKeyPath, 'utf-8'));
 }
 
 /**
@@ -260,7 +349,11 @@ async function keyPairExists(privateKeyPath) {
 module.exports = {
   generateKeyPair,
   generateSetupCommand,
+  generateAuthorizeKeyCommand,
+  generateRevokeKeyCommand,
+  wrapPowerShell,
   deleteKeyPair,
+  writePrivateKey,
   readPrivateKey,
   readPublicKey,
   keyPairExists,
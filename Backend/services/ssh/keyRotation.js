@@ -0,0 +1,208 @@
+const connectionPool = require('./connectionPool');
+const keyManager = require('./keyManager');
+const { executeOnConnection } = require('./connectionManager');
+const { buildServerConfig } = require('./serverConfig');
+const { ServerModel, ActivityModel } = require('../../models');
+const { KEY_ROTATION_CONFIG } = require('../../config');
+
+/**
+ * SSH Key Rotation
+ * Replaces a server's managed key pair: the new public key is authorized over a connection made
+ * with the current key, verified with a fresh login, and only then is the old key revoked.
+ * Any failure before the switch leaves the server on its old key; once the old key is revoked
+ * the new one is kept, even if saving it fails.
+ */
+
+// Servers with a rotation in progress (a second rotation would revoke the key being installed)
+const rotating = new Set();
+
+let scheduleInterval = null;
+
+/**
+ * Run a command over an open connection and fail on a non-zero exit code
+ * @private
+ */
+async function runStep(conn, command, description) {
+  const result = await executeOnConnection(conn, command);
+  if (result.code !== 0) {
+    const output = (result.stderr || result.stdout).trim();
+    throw new Error(`${description} failed: ${output || `exit code ${result.code}`}`);
+  }
+}
+
+/**
+ * Rotate a server's SSH key
+ * @param {Object} server - Server record (ServerModel)
+ * @returns {Promise<{rotatedAt: string, publicKey: string}>}
+ */
+async function rotateServerKey(server) {
+  if (server.status !== 'online') {
+    throw new Error('Server must be online to rotate its key');
+  }
+  if (rotating.has(server.id)) {
+    throw new Error('A key rotation is already running for this server');
+  }
+
+  rotating.add(server.id);
+  const serverConfig = buildServerConfig(server);
+  let keyInfo = null;
+  let oldConn = null;
+  let newConn = null;
+  let authorized = false;
+  let revoked = false;
+
+  try {
+    const oldPublicKey = server.publicKey || await keyManager.readPublicKey(server.privateKeyPath);
+    keyInfo = await keyManager.generateKeyPair(server.id, server.username, server.osType, `server_${server.id}_${Date.now()}`);
+
+    oldConn = await connectionPool.connect(serverConfig);
+    await runStep(oldConn, keyManager.generateAuthorizeKeyCommand(keyInfo.publicKey, server.osType), 'Authorizing the new key');
+    authorized = true;
+
+    try {
+      newConn = await connectionPool.connect({ ...serverConfig, privateKeyPath: keyInfo.privateKeyPath });
+    } catch (err) {
+      throw new Error(`Logging in with the new key failed: ${err.message}`);
+    }
+
+    // Revoke over the new connection, which proves the new key works before the old one is gone
+    await runStep(newConn, keyManager.generateRevokeKeyCommand(oldPublicKey, server.osType), 'Removing the old key');
+    revoked = true;
+
+    let rotatedAt;
+    try {
+      rotatedAt = await ServerModel.updateKey(server.id, keyInfo);
+    } catch (err) {
+      throw new Error(`The server now only accepts the new key, but saving it failed: ${err.message}. The new private key is kept at ${keyInfo.privateKeyPath}`);
+    }
+    await keyManager.deleteKeyPair(server.privateKeyPath);
+
+    return { rotatedAt, publicKey: keyInfo.publicKey };
+  } catch (err) {
+    // Past the revoke there is nothing to go back to: the new key is the only one that works
+    if (revoked) {
+      throw err;
+    }
+
+    // Undo a half-finished rotation so the server keeps exactly its old key
+    if (authorized && oldConn) {
+      try {
+        await runStep(oldConn, keyManager.generateRevokeKeyCommand(keyInfo.publicKey, server.osType), 'Removing the new key');
+      } catch (cleanupErr) {
+        console.warn(`Could not remove the unused key from ${server.name || server.ip}:`, cleanupErr.message);
+      }
+    }
+    if (keyInfo) {
+      await keyManager.deleteKeyPair(keyInfo.privateKeyPath);
+    }
+    throw err;
+  } finally {
+    if (oldConn) oldConn.end();
+    if (newConn) newConn.end();
+    rotating.delete(server.id);
+  }
+}
+
+/**
+ * Rotate a server's key and record the outcome in the activity log
+ * @param {Object} server - Server record (ServerModel)
+ * @param {string} userId - User the activity is logged for
+ * @param {boolean} scheduled - Whether this is a scheduled rotation
+ * @returns {Promise<{success: boolean, rotatedAt?: string, error?: string}>}
+ */
+async function rotateAndLog(server, userId, scheduled = false) {
+  const label = server.displayName || server.name || server.ip;
+  let result;
+  try {
+    const { rotatedAt } = await rotateServerKey(server);
+    result = { success: true, rotatedAt };
+  } catch (err) {
+    result = { success: false, error: err.message };
+  }
+
+  try {
+    await ActivityModel.create(
+      userId,
+      result.success ? 'success' : 'error',
+      result.success
+        ? `SSH key for ${label} rotated${scheduled ? ' (scheduled)' : ''}`
+        : `SSH key rotation for ${label} failed: ${result.error}`
+    );
+  } catch (err) {
+    console.error('Failed to log activity:', err);
+  }
+
+  return result;
+}
+
+/**
+ * Rotate keys on several servers, a few at a time
+ * @param {Array<Object>} servers - Server records
+ * @param {string|null} userId - User the activities are logged for (null = each server's owner)
+ * @param {Object} options
+ * @param {boolean} options.scheduled - Whether these are scheduled rotations
+ * @param {Function} options.onResult - Called with ({ serverId, success, ... }, completed, total) after each server
+ * @returns {Promise<Array<Object>>} - Results in the order of servers
+ */
+async function rotateServerKeys(servers, userId = null, { scheduled = false, onResult = null } = {}) {
+  const results = new Array(servers.length);
+  const queue = servers.map((server, index) => ({ server, index }));
+  let completed = 0;
+
+  const worker = async () => {
+    while (queue.length > 0) {
+      const { server, index } = queue.shift();
+      const result = await rotateAndLog(server, userId || server.userId, scheduled);
+      results[index] = { serverId: server.id, ...result };
+
+      completed++;
+      if (onResult) onResult(results[index], completed, servers.length);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(KEY_ROTATION_CONFIG.concurrency, servers.length) }, worker));
+  return results;
+}
+
+/**
+ * Rotate keys on every server whose rotation interval has passed
+ */
+async function runScheduledRotations() {
+  try {
+    const servers = (await ServerModel.findDueForKeyRotation()).filter(server => !rotating.has(server.id));
+    if (servers.length === 0) return;
+
+    const results = await rotateServerKeys(servers, null, { scheduled: true });
+    const failed = results.filter(r => !r.success).length;
+    console.log(`Scheduled key rotation: ${results.length - failed} rotated, ${failed} failed`);
+  } catch (error) {
+    console.error('Error in scheduled key rotation:', error.message);
+  }
+}
+
+/**
+ * Start checking for scheduled key rotations
+ */
+function startKeyRotationSchedule() {
+  runScheduledRotations();
+  scheduleInterval = setInterval(runScheduledRotations, KEY_ROTATION_CONFIG.checkInterval);
+}
+
+/**
+ * Stop checking for scheduled key rotations
+ */
+function stopKeyRotationSchedule() {
+  if (scheduleInterval) {
+    clearInterval(scheduleInterval);
+    scheduleInterval = null;
+  }
+}
+
+module.exports = {
+  rotateServerKey,
+  rotateAndLog,
+  rotateServerKeys,
+  runScheduledRotations,
+  startKeyRotationSchedule,
+  stopKeyRotationSchedule
+};
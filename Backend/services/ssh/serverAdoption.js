@@ -0,0 +1,138 @@
+const shellEscape = require('shell-escape');
+const connectionPool = require('./connectionPool');
+const { testConnection, executeOnConnection } = require('./connectionManager');
+const { OS_TYPES, generateAuthorizeKeyCommand, wrapPowerShell } = require('./keyManager');
+
+/**
+ * Server Adoption
+ * Installs a server's generated key using credentials that already work (a password or an
+ * existing private key), so existing machines come online without pasting the setup command.
+ * The credentials are used for a single connection and never stored.
+ */
+
+/**
+ * Build the command that installs the generated key
+ * @param {Object} serverConfig - { username, osType }
+ * @param {Object} keyInfo - { publicKey, setupCommand } from keyManager.generateKeyPair
+ * @param {string} loginUsername - User the credentials belong to
+ * @param {string|null} password - Login password, reused for sudo
+ * @returns {{command: string, input: string|null}}
+ */
+function buildInstallCommand(serverConfig, keyInfo, loginUsername, password) {
+  const { username, osType } = serverConfig;
+
+  // Windows setup is PowerShell and needs an administrator login
+  if (osType === OS_TYPES.WINDOWS) {
+    return { command: wrapPowerShell(keyInfo.setupCommand), input: null };
+  }
+
+  // Logging in as the managed user itself: just authorize the key
+  if (loginUsername === username) {
+    return { command: generateAuthorizeKeyCommand(keyInfo.publicKey, osType), input: null };
+  }
+
+  // Root runs the full setup (creates the managed user with passwordless sudo)
+  if (loginUsername === 'root') {
+    return { command: keyInfo.setupCommand, input: null };
+  }
+
+  // Other sudoers run it through sudo, with the login password if there is one
+  const shell = osType === OS_TYPES.ALPINE ? 'sh' : 'bash';
+  const script = shellEscape([keyInfo.setupCommand]);
+  return password
+    ? { command: `sudo -S -p '' ${shell} -c ${script}`, input: `${password}\n` }
+    : { command: `sudo -n ${shell} -c ${script}`, input: null };
+}
+
+/**
+ * Install a server's generated key and verify that it works
+ * @param {Object} serverConfig - Server config for the new key (see buildServerConfig)
+ * @param {Object} keyInfo - { publicKey, setupCommand } from keyManager.generateKeyPair
+ * @param {Object} credentials - { loginUsername, password } or { loginUsername, privateKey, passphrase }
+ * @returns {Promise<void>} - Rejects with a readable message if any step fails
+ */
+async function adoptServer(serverConfig, keyInfo, credentials) {
+  const loginUsername = credentials.loginUsername || serverConfig.username;
+  const auth = credentials.password
+    ? { password: credentials.password }
+    : { privateKey: credentials.privateKey, passphrase: credentials.passphrase || undefined };
+
+  let conn;
+  try {
+    conn = await connectionPool.connect({ ...serverConfig, username: loginUsername, credentials: auth });
+  } catch (err) {
+    throw new Error(`Could not log in as ${loginUsername}: ${err.message}`);
+  }
+
+  try {
+    const { command, input } = buildInstallCommand(serverConfig, keyInfo, loginUsername, credentials.password || null);
+    const result = await executeOnConnection(conn, command, input);
+    if (result.code !== 0) {
+      const output = (result.stderr || result.stdout).trim();
+      throw new Error(`Key installation failed: ${output || `exit code ${result.code}`}`);
+    }
+  } finally {
+    conn.end();
+  }
+
+  const check = await testConnection(serverConfig);
+  if (check.status !== 'online') {
+    throw new Error(`The key was installed but logging in with it failed: ${check.error}`);
+  }
+}
+
+/**
+ * Parse a CSV host list for bulk import
+ * The first line is a header naming the columns (ip is required; name, region, port,
+ * username, loginUsername, osType, password are optional). Fields may be double-quoted.
+ * @param {string} csv - CSV text
+ * @returns {Array<Object>} - One object per row, keyed by header
+ */
+function parseHostCsv(csv) {
+  const rows = csv.split(/\r?\n/).filter(line => line.trim() && !line.trim().startsWith('#'));
+  if (rows.length === 0) return [];
+
+  const parseLine = (line) => {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (quoted) {
+        if (char === '"' && line[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        fields.push(field.trim());
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+    fields.push(field.trim());
+    return fields;
+  };
+
+  const header = parseLine(rows[0]);
+  return rows.slice(1).map(line => {
+    const fields = parseLine(line);
+    const host = {};
+    header.forEach((column, index) => {
+      if (column && fields[index]) host[column] = fields[index];
+    });
+    return host;
+  });
+}
+
+module.exports = {
+  adoptServer,
+  buildInstallCommand,
+  parseHostCsv
+};
@@ -0,0 +1,40 @@
+const ServerModel = require('../../models/ServerModel');
+const { SSH_POOL_CONFIG } = require('../../config');
+
+/**
+ * Build an SSH server config from a server record
+ * Accepts both ServerModel objects (camelCase) and raw joined rows (snake_case)
+ * @param {Object} server - Server record
+ * @returns {Object} - { host, port, username, privateKeyPath, osType, jumpHostId }
+ */
+function buildServerConfig(server) {
+  return {
+    host: server.ip,
+    port: parseInt(server.port) || SSH_POOL_CONFIG.defaultPort,
+    username: server.username,
+    privateKeyPath: server.privateKeyPath || ServerModel.resolveKeyPath(server.private_key_path),
+    osType: server.osType || server.os_type || 'ubuntu-debian',
+    jumpHostId: server.jumpHostId || server.jump_host_id || null
+  };
+}
+
+/**
+ * Look up the jump host (bastion) config for a server config
+ * @param {Object} serverConfig - Server configuration
+ * @returns {Promise<Object|null>} - Jump host server config, or null for a direct connection
+ */
+async function resolveJumpHost(serverConfig) {
+  if (!serverConfig.jumpHostId) return null;
+
+  const jumpServer = await ServerModel.findById(serverConfig.jumpHostId);
+  if (!jumpServer) {
+    throw new Error(`Jump host ${serverConfig.jumpHostId} not found`);
+  }
+
+  return buildServerConfig(jumpServer);
+}
+
+module.exports = {
+  buildServerConfig,
+  resolveJumpHost
+};
@@ -1,5 +1,6 @@
 const { Client } = require('ssh2');
 const fs = require('fs');
+const shellEscape = require('shell-escape');
 const connectionPool = require('./connectionPool');
 const { executeCommand } = require('./connectionManager');
 const { SSH_POOL_CONFIG } = require('../../config');
@@ -10,7 +11,7 @@ const { SSH_POOL_CONFIG } = require('../../config');
  * @returns {Promise<{sftp: any, release: Function}>}
  */
 async function getSftpSession(serverConfig) {
-  const { host, username, privateKeyPath } = serverConfig;
+  const { host } = serverConfig;
   
   // Try to get connection, with retry on channel failure
   let retries = 2;
@@ -18,17 +19,17 @@ async function getSftpSession(serverConfig) {
   
   while (retries > 0) {
     try {
-      const conn = await connectionPool.getConnection({ host, username, privateKeyPath });
+      const conn = await connectionPool.getConnection(serverConfig);
 
       return await new Promise((resolve, reject) => {
         conn.sftp((err, sftp) => {
           if (err) {
-            connectionPool.releaseConnection(host, username);
+            connectionPool.releaseConnection(serverConfig);
             
             // If we get a channel error, force close and retry
             if (err.message && err.message.includes('Channel open failure') && retries > 1) {
               console.log(`Channel failure for ${host}, forcing reconnection...`);
-              connectionPool.closeConnection(host, username);
+              connectionPool.closeConnection(serverConfig);
               return reject(err);
             }
             
@@ -53,7 +54,7 @@ async function getSftpSession(serverConfig) {
                   sftp.end();
                 }
               });
-              connectionPool.releaseConnection(host, username);
+              connectionPool.releaseConnection(serverConfig);
             }
           });
         });
@@ -256,7 +257,7 @@ async function deleteDirectory(serverConfig, dirPath) {
   // Use rm -rf for fast, recursive deletion
   // This is MUCH faster than SFTP recursive deletion for large directories
   try {
-    const command = `rm -rf "${dirPath.replace(/"/g, '\\"')}"`;
+    const command = `rm -rf ${shellEscape([dirPath])}`;
     console.log(`Executing: ${command}`);
     
     const result = await executeCommand(serverConfig, command);
@@ -308,7 +309,7 @@ async function rename(serverConfig, oldPath, newPath) {
 async function listFilesViaCommand(serverConfig, dirPath) {
   const { executeCommand } = require('./connectionManager');
   
-  const command = `ls -la "${dirPath}" 2>&1`;
+  const command = `ls -la ${shellEscape([dirPath])} 2>&1`;
   const { stdout, stderr, code } = await executeCommand(serverConfig, command);
 
   if (stdout.includes('cannot access') || stdout.includes('No such file')) {
@@ -372,9 +373,7 @@ async function searchFiles(serverConfig, query, searchPath = '/') {
   
   // Use find command with case-insensitive name matching
   // Search for both files and directories, limit results to 100 and timeout after 30 seconds
-  const escapedQuery = query.replace(/"/g, '\\"');
-  // Search both files and directories, use -printf to include type info
-  const command = `timeout 30 find "${searchPath}" -iname "*${escapedQuery}*" \\( -type f -o -type d \\) 2>/dev/null | head -100`;
+  const command = `timeout 30 find ${shellEscape([searchPath, '-iname', `*${query}*`])} \\( -type f -o -type d \\) 2>/dev/null | head -100`;
   
   const { stdout } = await executeCommand(serverConfig, command);
   
@@ -405,7 +404,7 @@ async function searchFiles(serverConfig, query, searchPath = '/') {
   
   // If we have results, check which ones are directories
   if (results.length > 0) {
-    const paths = results.map(r => `"${r.path}"`).join(' ');
+    const paths = shellEscape(results.map(r => r.path));
     const typeCheckCmd = `for f in ${paths}; do [ -d "$f" ] && echo "D:$f" || echo "F:$f"; done 2>/dev/null`;
     
     try {
@@ -448,9 +447,7 @@ async function searchFiles(serverConfig, query, searchPath = '/') {
 async function readProtectedFile(serverConfig, filePath) {
   const { executeCommand, isProtectedPath } = require('./connectionManager');
   
-  // Escape the path for shell
-  const escapedPath = filePath.replace(/"/g, '\\"');
-  const command = `sudo cat "${escapedPath}"`;
+  const command = `sudo cat ${shellEscape([filePath])}`;
   
   const { stdout, stderr, code } = await executeCommand(serverConfig, command);
   
@@ -472,17 +469,9 @@ async function readProtectedFile(serverConfig, filePath) {
 async function writeProtectedFile(serverConfig, filePath, content) {
   const { executeCommand } = require('./connectionManager');
   
-  // Escape the path for shell
-  const escapedPath = filePath.replace(/"/g, '\\"');
   // Use printf to handle special characters properly, pipe to sudo tee
   // This avoids issues with newlines and special chars in echo
-  const escapedContent = content
-    .replace(/\\/g, '\\\\')
-    .replace(/"/g, '\\"')
-    .replace(/\$/g, '\\$')
-    .replace(/`/g, '\\`');
-  
-  const command = `printf '%s' "${escapedContent}" | sudo tee "${escapedPath}" > /dev/null`;
+  const command = `printf '%s' ${shellEscape([content])} | sudo tee ${shellEscape([filePath])} > /dev/null`;
   
   const { stderr, code } = await executeCommand(serverConfig, command);
   
@@ -491,13 +480,25 @@ async function writeProtectedFile(serverConfig, filePath, content) {
   }
 }
 
+/**
+ * Error for a path that could only be accessed with sudo when the caller may not use it
+ * @private
+ */
+function elevationRequired(filePath) {
+  const err = new Error(`Permission denied: ${filePath} can only be accessed with sudo`);
+  err.status = 403;
+  return err;
+}
+
 /**
  * Smart read file - uses sudo for protected paths, SFTP otherwise
  * @param {Object} serverConfig - Server configuration
  * @param {string} filePath - File path
+ * @param {Object} [options]
+ * @param {boolean} [options.elevate=true] - Whether falling back to sudo is allowed
  * @returns {Promise<string>}
  */
-async function readFileSmart(serverConfig, filePath) {
+async function readFileSmart(serverConfig, filePath, { elevate = true } = {}) {
   const { isProtectedPath } = require('./connectionManager');
   
   // Try regular SFTP first
@@ -508,6 +509,7 @@ async function readFileSmart(serverConfig, filePath) {
     if (err.message.includes('Permission denied') || 
         err.message.includes('EACCES') || 
         isProtectedPath(filePath)) {
+      if (!elevate) throw elevationRequired(filePath);
       return await readProtectedFile(serverConfig, filePath);
     }
     throw err;
@@ -542,9 +544,11 @@ async function writeFileSmart(serverConfig, filePath, content) {
  * List directory with fallback to sudo ls for protected directories
  * @param {Object} serverConfig - Server configuration
  * @param {string} dirPath - Directory path
+ * @param {Object} [options]
+ * @param {boolean} [options.elevate=true] - Whether falling back to sudo is allowed
  * @returns {Promise<Array>}
  */
-async function listDirectorySmart(serverConfig, dirPath = '/') {
+async function listDirectorySmart(serverConfig, dirPath = '/', { elevate = true } = {}) {
   const { executeCommand, isProtectedPath } = require('./connectionManager');
   
   // Try regular SFTP first
@@ -555,7 +559,8 @@ async function listDirectorySmart(serverConfig, dirPath = '/') {
     if (err.message.includes('Permission denied') || 
         err.message.includes('EACCES') || 
         isProtectedPath(dirPath)) {
-      const command = `sudo ls -la "${dirPath}" 2>&1`;
+      if (!elevate) throw elevationRequired(dirPath);
+      const command = `sudo ls -la ${shellEscape([dirPath])} 2>&1`;
       const { stdout, code } = await executeCommand(serverConfig, command);
       
       if (code !== 0 || stdout.includes('cannot access')) {
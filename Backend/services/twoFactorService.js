@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const { TWO_FACTOR_CONFIG } = require('../config');
+
+/**
+ * Two-Factor Service
+ * TOTP (RFC 6238) secrets, codes and recovery codes
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encode bytes as base32 (RFC 4648, no padding) - the format authenticator apps expect
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string}
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decode a base32 string
+ * @param {string} input - Base32 string (case-insensitive, padding and spaces ignored)
+ * @returns {Buffer}
+ */
+function base32Decode(input) {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new TOTP secret
+ * @returns {string} - Base32 secret
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Compute the code for a time step (HOTP, RFC 4226)
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - Time step
+ * @returns {string}
+ */
+function generateCode(secret, counter) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % (10 ** TWO_FACTOR_CONFIG.digits);
+
+  return binary.toString().padStart(TWO_FACTOR_CONFIG.digits, '0');
+}
+
+/**
+ * Check a code from an authenticator app against a secret
+ * Callers record the returned time step so the same code can't be used twice.
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number|null} lastStep - Last time step already used (codes up to it are refused)
+ * @returns {number|null} - Time step the code belongs to, or null if it is invalid
+ */
+function verifyCode(secret, code, lastStep = null) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!secret || !/^\d+$/.test(normalized) || normalized.length !== TWO_FACTOR_CONFIG.digits) {
+    return null;
+  }
+
+  const counter = Math.floor(Date.now() / 1000 / TWO_FACTOR_CONFIG.period);
+  for (let drift = -TWO_FACTOR_CONFIG.window; drift <= TWO_FACTOR_CONFIG.window; drift++) {
+    const step = counter + drift;
+    if (lastStep !== null && step <= lastStep) continue;
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build the otpauth:// URI that authenticator apps scan
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Account label (the user's email)
+ * @returns {string}
+ */
+function getOtpauthUrl(secret, accountName) {
+  const { issuer, digits, period } = TWO_FACTOR_CONFIG;
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits, period });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * Render an otpauth:// URI as a QR code image
+ * @param {string} otpauthUrl - URI from getOtpauthUrl()
+ * @returns {Promise<string>} - PNG data URL
+ */
+async function generateQrCode(otpauthUrl) {
+  return QRCode.toDataURL(otpauthUrl, { margin: 1, width: 220 });
+}
+
+/**
+ * Generate one-time recovery codes
+ * @returns {string[]} - Codes formatted as xxxxxxxx-xxxxxxxx
+ */
+function generateRecoveryCodes() {
+  return Array.from({ length: TWO_FACTOR_CONFIG.recoveryCodeCount }, () => {
+    const hex = crypto.randomBytes(8).toString('hex');
+    return `${hex.slice(0, 8)}-${hex.slice(8)}`;
+  });
+}
+
+/**
+ * Normalize a recovery code as typed by the user
+ * @param {string} code - Recovery code
+ * @returns {string}
+ */
+function normalizeRecoveryCode(code) {
+  const cleaned = String(code || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+  return cleaned.length === 16 ? `${cleaned.slice(0, 8)}-${cleaned.slice(8)}` : cleaned;
+}
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  getOtpauthUrl,
+  generateQrCode,
+  generateRecoveryCodes,
+  normalizeRecoveryCode
+};
@@ -0,0 +1,296 @@
+const shellEscape = require('shell-escape');
+const { AppModel, ActivityModel } = require('../../models');
+const { executeCommand } = require('../ssh/connectionManager');
+const { buildServerConfig } = require('../ssh/serverConfig');
+const { notificationService } = require('../notifications');
+const registryClient = require('./registryClient');
+const rollingUpdate = require('./rollingUpdate');
+const { IMAGE_UPDATE_CONFIG } = require('../../config');
+
+/**
+ * Image Update Detection
+ * A tag like `nginx:latest` or `postgres:16` moves on in its registry while the container keeps
+ * running the image it was pulled with. Every running container deployment is checked periodically:
+ * the registry digest its image was pulled as is compared with the digest the registry has for the
+ * tag now. Apps that opt in have outdated deployments rolled to the newer image (a rolling update
+ * to the same tag) during their maintenance window.
+ */
+
+let tickInterval = null;
+let ticking = false;
+
+// Deployment ID -> digest whose automatic update failed, so it isn't retried every tick
+const failedUpdates = new Map();
+
+/**
+ * Whether a deployment's last check found a newer image for its tag
+ * @param {Object} deployment - Deployment row
+ * @returns {boolean}
+ */
+function isOutdated(deployment) {
+  return Boolean(deployment.image_digest && deployment.latest_digest && deployment.image_digest !== deployment.latest_digest);
+}
+
+/**
+ * Parse "HH:MM" into minutes of the day
+ * @private
+ */
+function parseTime(value) {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(value || '');
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+/**
+ * Check a maintenance window ("HH:MM" UTC, may wrap past midnight)
+ * @param {string} start - Window start
+ * @param {string} end - Window end
+ * @returns {boolean}
+ */
+function isValidWindow(start, end) {
+  return parseTime(start) !== null && parseTime(end) !== null && start !== end;
+}
+
+/**
+ * Whether an app's maintenance window is open
+ * @param {Object} app - App record (update_window_start, update_window_end)
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+function isInWindow(app, now = new Date()) {
+  const start = parseTime(app.update_window_start);
+  const end = parseTime(app.update_window_end);
+  if (start === null || end === null) return false;
+
+  const minute = now.getUTCHours() * 60 + now.getUTCMinutes();
+  return start < end
+    ? minute >= start && minute < end
+    : minute >= start || minute < end;
+}
+
+/**
+ * Registry digests of the image a container runs, as recorded when it was pulled
+ * @private
+ */
+async function getRunningDigests(app, deployment) {
+  const container = shellEscape([deployment.container_name || deployment.container_id]);
+  const { stdout, stderr, code } = await executeCommand(
+    buildServerConfig(deployment),
+    `docker image inspect --format '{{json .RepoDigests}}' "$(docker inspect --format '{{.Image}}' ${container})"`
+  );
+  if (code !== 0) {
+    throw new Error(`Could not inspect the container's image: ${(stderr || stdout).trim()}`);
+  }
+
+  let repoDigests;
+  try {
+    repoDigests = JSON.parse(stdout.trim()) || [];
+  } catch {
+    throw new Error('Could not read the container\'s image digests');
+  }
+  if (repoDigests.length === 0) {
+    throw new Error('The running image has no registry digest (was it built or loaded on the server?)');
+  }
+
+  // "<repository>@sha256:...", one per repository the image was pulled from
+  const { name } = registryClient.parseImageReference(app);
+  const entries = repoDigests.map(entry => entry.split('@'));
+  const own = entries.filter(([repository]) => repository === name);
+  return (own.length > 0 ? own : entries).map(([, digest]) => digest);
+}
+
+/**
+ * Compare a deployment's running image with its tag in the registry and store the result
+ * A deployment that newly turns out to be outdated is sent to notification channels.
+ * @param {Object} app - App record
+ * @param {Object} deployment - Running container deployment with its server fields
+ * @returns {Promise<Object>} - { deploymentId, tag, imageDigest, latestDigest, outdated } or { deploymentId, tag, error }
+ */
+async function checkDeployment(app, deployment) {
+  const tag = deployment.image_tag || app.tag || 'latest';
+
+  try {
+    const [runningDigests, latestDigest] = await Promise.all([
+      getRunningDigests(app, deployment),
+      registryClient.getManifestDigest({ app, tag, password: AppModel.getRegistryPassword(app) })
+    ]);
+    const imageDigest = runningDigests.includes(latestDigest) ? latestDigest : runningDigests[0];
+    const outdated = imageDigest !== latestDigest;
+
+    await AppModel.updateDeploymentImageCheck(deployment.id, { imageDigest, latestDigest });
+
+    if (outdated && deployment.latest_digest !== latestDigest) {
+      const name = deployment.nickname || deployment.container_name;
+      const where = deployment.server_display_name || deployment.server_name || deployment.ip;
+      notificationService.notify('deployment.image_outdated', {
+        teamId: deployment.team_id,
+        title: `Newer ${app.image}:${tag} available for ${name}`,
+        message: app.auto_update
+          ? `It will be updated in the maintenance window (${app.update_window_start}-${app.update_window_end} UTC).`
+          : `${name} on ${where} runs an older build of ${tag}.`,
+        severity: 'info',
+        fields: [
+          { name: 'Deployment', value: name },
+          { name: 'Server', value: where }
+        ],
+        data: { deploymentId: deployment.id, appId: app.id, tag, imageDigest, latestDigest }
+      });
+    }
+
+    return { deploymentId: deployment.id, tag, imageDigest, latestDigest, outdated };
+  } catch (err) {
+    await AppModel.updateDeploymentImageCheck(deployment.id, { error: err.message });
+    return { deploymentId: deployment.id, tag, error: err.message };
+  }
+}
+
+/**
+ * Check several deployments, a few at a time
+ * @private
+ */
+async function checkDeployments(deployments, findApp) {
+  const results = [];
+  const queue = [...deployments];
+
+  const worker = async () => {
+    while (queue.length > 0) {
+      const deployment = queue.shift();
+      const app = await findApp(deployment.app_id);
+      if (app) results.push(await checkDeployment(app, deployment));
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(IMAGE_UPDATE_CONFIG.concurrency, deployments.length) }, worker));
+  return results;
+}
+
+/**
+ * Check the running container deployments of one app now
+ * @param {Object} app - App record
+ * @returns {Promise<Array<Object>>} - Results of checkDeployment
+ */
+async function checkApp(app) {
+  const deployments = (await AppModel.findImageUpdateTargets()).filter(deployment => deployment.app_id === app.id);
+  return checkDeployments(deployments, async () => app);
+}
+
+/**
+ * Roll an outdated deployment to the newer image of its tag, logging and notifying the outcome
+ * @private
+ */
+async function autoUpdate(app, deployment) {
+  const tag = deployment.image_tag || app.tag || 'latest';
+  const name = deployment.nickname || deployment.container_name;
+  const where = deployment.server_display_name || deployment.server_name || deployment.ip;
+  let error = null;
+
+  try {
+    await rollingUpdate.updateDeployment({ app, deployment, tag });
+    // Same tag, so a deployment that followed the app's tag keeps doing so
+    await AppModel.updateDeploymentConfig(deployment.id, { image_tag: deployment.image_tag });
+    await AppModel.updateDeploymentImageCheck(deployment.id, {
+      imageDigest: deployment.latest_digest,
+      latestDigest: deployment.latest_digest
+    });
+    failedUpdates.delete(deployment.id);
+  } catch (err) {
+    error = err;
+    failedUpdates.set(deployment.id, deployment.latest_digest);
+  }
+
+  try {
+    await ActivityModel.create(
+      deployment.user_id,
+      error ? 'error' : 'success',
+      error
+        ? `Automatic update of ${name} to the latest ${tag} failed${error.rolledBack !== false ? ' and was rolled back' : ''}: ${error.message}`
+        : `Automatically updated ${name} to the latest ${tag}`
+    );
+  } catch (err) {
+    console.error('Failed to log activity:', err);
+  }
+
+  notificationService.notify(error ? 'deployment.update_failed' : 'deployment.updated', {
+    teamId: deployment.team_id,
+    title: error ? `Automatic update of ${name} failed` : `${name} updated to the latest ${tag}`,
+    message: error
+      ? `${error.message}\n${error.rolledBack !== false ? 'The previous container is running again.' : 'The previous container could not be restored.'}`
+      : `Rolled out the newer ${app.image}:${tag} on ${where} in the maintenance window.`,
+    severity: error ? 'error' : 'success',
+    fields: [
+      { name: 'Deployment', value: name },
+      { name: 'Server', value: where }
+    ],
+    data: { deploymentId: deployment.id, appId: app.id, tag, automatic: true, rolledBack: error ? error.rolledBack !== false : null }
+  });
+}
+
+/**
+ * Check deployments that are due, then update outdated ones whose app is in its maintenance window
+ * Automatic updates run one at a time; one that failed isn't retried until the tag moves on again.
+ */
+async function runImageUpdates() {
+  if (ticking) return;
+  ticking = true;
+
+  try {
+    const apps = new Map();
+    const findApp = async (appId) => {
+      if (!apps.has(appId)) apps.set(appId, await AppModel.findById(appId));
+      return apps.get(appId);
+    };
+
+    const now = Date.now();
+    const due = (await AppModel.findImageUpdateTargets()).filter(deployment => deployment.server_status === 'online'
+      && (!deployment.image_checked_at || now - new Date(deployment.image_checked_at).getTime() >= IMAGE_UPDATE_CONFIG.checkInterval));
+    if (due.length > 0) {
+      const results = await checkDeployments(due, findApp);
+      const outdated = results.filter(result => result.outdated).length;
+      const failed = results.filter(result => result.error).length;
+      console.log(`Image update check: ${results.length} deployment(s), ${outdated} outdated, ${failed} failed`);
+    }
+
+    // Fresh rows, with the digests just stored
+    for (const deployment of await AppModel.findImageUpdateTargets()) {
+      if (deployment.server_status !== 'online' || !isOutdated(deployment)) continue;
+      if (failedUpdates.get(deployment.id) === deployment.latest_digest) continue;
+
+      const app = await findApp(deployment.app_id);
+      if (app && app.auto_update && isInWindow(app)) {
+        await autoUpdate(app, deployment);
+      }
+    }
+  } catch (error) {
+    console.error('Error in image update check:', error.message);
+  } finally {
+    ticking = false;
+  }
+}
+
+/**
+ * Start the periodic image update checks
+ */
+function startImageUpdateChecks() {
+  runImageUpdates();
+  tickInterval = setInterval(runImageUpdates, IMAGE_UPDATE_CONFIG.tickInterval);
+}
+
+/**
+ * Stop the periodic image update checks
+ */
+function stopImageUpdateChecks() {
+  if (tickInterval) {
+    clearInterval(tickInterval);
+    tickInterval = null;
+  }
+}
+
+module.exports = {
+  isOutdated,
+  isValidWindow,
+  isInWindow,
+  checkDeployment,
+  checkApp,
+  runImageUpdates,
+  startImageUpdateChecks,
+  stopImageUpdateChecks
+};
@@ -0,0 +1,5 @@
+module.exports = {
+  rollingUpdate: require('./rollingUpdate'),
+  registryClient: require('./registryClient'),
+  imageUpdates: require('./imageUpdates')
+};
@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const { IMAGE_UPDATE_CONFIG } = require('../../config');
+
+/**
+ * Registry Client
+ * Reads the manifest digest of an image tag over the Docker Registry HTTP API v2, which Docker Hub,
+ * GHCR, GitLab, Harbor and the `registry` image all speak. Anonymous pulls and basic credentials
+ * are supported, including the bearer token exchange most registries ask for.
+ * Registries given as `http://...`, and those on localhost (which docker itself treats as
+ * insecure), are spoken to over plain HTTP.
+ */
+
+const DOCKER_HUB = 'registry-1.docker.io';
+
+// Manifest lists / OCI indexes first: for multi-arch images their digest is what `docker pull` records
+const MANIFEST_TYPES = [
+  'application/vnd.oci.image.index.v1+json',
+  'application/vnd.docker.distribution.manifest.list.v2+json',
+  'application/vnd.docker.distribution.manifest.v2+json',
+  'application/vnd.oci.image.manifest.v1+json'
+].join(', ');
+
+/**
+ * Where an app's image lives
+ * @param {Object} app - App record (image, registry_url)
+ * @returns {{baseUrl: string, repository: string, name: string}} - `name` is the repository as
+ *   docker writes it in image references (and in RepoDigests)
+ */
+function parseImageReference(app) {
+  const registryUrl = (app.registry_url || '').trim().replace(/\/+$/, '');
+  const registryHost = registryUrl.replace(/^https?:\/\//, '');
+  let image = app.image.trim().replace(/:[^/:]+$/, '').replace(/@.*$/, '');
+
+  let host = null;
+  if (registryHost) {
+    host = registryHost;
+    if (image.startsWith(`${registryHost}/`)) image = image.slice(registryHost.length + 1);
+  } else {
+    // A first component with a dot or port, or "localhost", is a registry host (docker's own rule)
+    const [first, ...rest] = image.split('/');
+    if (rest.length > 0 && (first.includes('.') || first.includes(':') || first === 'localhost')) {
+      host = first;
+      image = rest.join('/');
+    }
+  }
+
+  if (!host || host === 'docker.io' || host === 'index.docker.io') {
+    const repository = image.includes('/') ? image : `library/${image}`;
+    return { baseUrl: `https://${DOCKER_HUB}`, repository, name: repository.replace(/^library\//, '') };
+  }
+
+  const hostname = host.replace(/:\d+$/, '');
+  const insecure = registryUrl.startsWith('http://') || hostname === 'localhost' || hostname === '127.0.0.1';
+  return { baseUrl: `${insecure ? 'http' : 'https'}://${host}`, repository: image, name: `${host}/${image}` };
+}
+
+/**
+ * Parse a WWW-Authenticate header, e.g. `Bearer realm="...",service="...",scope="..."`
+ * @private
+ */
+function parseChallenge(header) {
+  const match = /^(\w+)\s*(.*)$/.exec(header || '');
+  if (!match) return null;
+  const params = {};
+  for (const [, key, value] of match[2].matchAll(/(\w+)="([^"]*)"/g)) {
+    params[key] = value;
+  }
+  return { scheme: match[1].toLowerCase(), params };
+}
+
+/**
+ * Fetch with the configured timeout
+ * @private
+ */
+async function request(url, options = {}) {
+  try {
+    return await fetch(url, { ...options, signal: AbortSignal.timeout(IMAGE_UPDATE_CONFIG.requestTimeout) });
+  } catch (err) {
+    const reason = err.name === 'TimeoutError' ? 'timed out' : (err.cause && err.cause.message) || err.message;
+    throw new Error(`Registry request to ${new URL(url).host} failed: ${reason}`);
+  }
+}
+
+/**
+ * Get a bearer token for pulling a repository from the realm a registry pointed to
+ * @private
+ */
+async function fetchToken(params, repository, basicAuth) {
+  if (!params.realm) {
+    throw new Error('Registry asked for a token without saying where to get it');
+  }
+  const url = new URL(params.realm);
+  if (params.service) url.searchParams.set('service', params.service);
+  url.searchParams.set('scope', params.scope || `repository:${repository}:pull`);
+
+  const response = await request(url, basicAuth ? { headers: { Authorization: basicAuth } } : {});
+  if (!response.ok) {
+    throw new Error(`Registry token request failed (HTTP ${response.status})${basicAuth ? ': check the registry credentials' : ''}`);
+  }
+  const body = await response.json();
+  const token = body.token || body.access_token;
+  if (!token) {
+    throw new Error('Registry token response had no token');
+  }
+  return `Bearer ${token}`;
+}
+
+/**
+ * Get the manifest digest a registry currently has for an image tag
+ * @param {Object} options
+ * @param {Object} options.app - App record (image, registry_url, registry_username)
+ * @param {string} options.tag - Image tag
+ * @param {string|null} [options.password] - Decrypted registry password
+ * @returns {Promise<string>} - e.g. "sha256:0a1b..."
+ * @throws {Error} If the registry can't be reached, refuses the credentials or has no such tag
+ */
+async function getManifestDigest({ app, tag, password = null }) {
+  const { baseUrl, repository } = parseImageReference(app);
+  const url = `${baseUrl}/v2/${repository}/manifests/${encodeURIComponent(tag)}`;
+  const basicAuth = app.registry_username && password
+    ? `Basic ${Buffer.from(`${app.registry_username}:${password}`).toString('base64')}`
+    : null;
+
+  const fetchManifest = (method, authorization) => request(url, {
+    method,
+    headers: { Accept: MANIFEST_TYPES, ...(authorization ? { Authorization: authorization } : {}) }
+  });
+
+  let authorization = null;
+  let response = await fetchManifest('HEAD');
+  if (response.status === 401) {
+    const challenge = parseChallenge(response.headers.get('www-authenticate'));
+    if (challenge && challenge.scheme === 'bearer') {
+      authorization = await fetchToken(challenge.params, repository, basicAuth);
+    } else if (basicAuth) {
+      authorization = basicAuth;
+    } else {
+      throw new Error(`Registry ${new URL(baseUrl).host} requires credentials`);
+    }
+    response = await fetchManifest('HEAD', authorization);
+  }
+
+  if (response.status === 404) {
+    throw new Error(`Tag ${tag} of ${repository} not found in the registry`);
+  }
+  if (response.status === 401 || response.status === 403) {
+    throw new Error(`Registry refused access to ${repository} (HTTP ${response.status})`);
+  }
+  if (!response.ok) {
+    throw new Error(`Registry returned HTTP ${response.status} for ${repository}:${tag}`);
+  }
+
+  const digest = response.headers.get('docker-content-digest');
+  if (digest) return digest;
+
+  // Not every registry sends the digest header: it is the hash of the manifest as served
+  const full = await fetchManifest('GET', authorization);
+  if (!full.ok) {
+    throw new Error(`Registry returned HTTP ${full.status} for ${repository}:${tag}`);
+  }
+  const body = Buffer.from(await full.arrayBuffer());
+  return `sha256:${crypto.createHash('sha256').update(body).digest('hex')}`;
+}
+
+module.exports = {
+  parseImageReference,
+  getManifestDigest
+};
@@ -0,0 +1,423 @@
+const net = require('net');
+const shellEscape = require('shell-escape');
+const { AppModel, DeploymentCheckModel, DeploymentRevisionModel } = require('../../models');
+const { executeCommand } = require('../ssh/connectionManager');
+const { buildServerConfig } = require('../ssh/serverConfig');
+const { containerCommand } = require('../docker');
+const { probes } = require('../deploymentChecks');
+const { ROLLING_UPDATE_CONFIG } = require('../../config');
+
+/**
+ * Rolling Updates
+ * Moves a running container deployment to another image tag without downtime, keeping the old
+ * container until the new one has proven itself:
+ *   1. pull the new image (nothing is touched if this fails)
+ *   2. start a candidate "<name>-next" beside the old container, without published ports, and
+ *      wait until it stays up and passes the deployment's health checks against its own IP
+ *   3. send new connections on the published host ports to the candidate (iptables DNAT rules
+ *      ahead of Docker's own), so the ports keep answering while they change hands
+ *   4. stop the old container and keep it as "<name>-previous", start the new container with the
+ *      real name and ports and run the checks against it; if they fail it is removed and the old
+ *      one is renamed back and started (rollback)
+ *   5. remove the rules, so connections reach the container that now owns the ports, and stop
+ *      the candidate
+ * Two containers can't publish the same host port, which is why the candidate serves the ports
+ * during the switch. Host-network containers can't run side by side at all, so they are refused.
+ */
+
+// Progress (percent) reported with each stage
+const UPDATE_STAGES = {
+  pulling: 10,
+  candidate: 30,
+  checking: 50,
+  switching: 70,
+  verifying: 85,
+  rollback: 90,
+  complete: 100
+};
+
+/**
+ * Wait for a number of seconds
+ * @private
+ */
+function sleep(seconds) {
+  return new Promise(resolve => setTimeout(resolve, seconds * 1000));
+}
+
+/**
+ * Run a command and fail with its output if it does not succeed
+ * @private
+ */
+async function runOrThrow(serverConfig, command, failure) {
+  const result = await executeCommand(serverConfig, `${command} 2>&1`);
+  if (result.code !== 0) {
+    throw new Error(`${failure}: ${result.stdout.trim().split('\n').slice(-3).join('\n') || `exit code ${result.code}`}`);
+  }
+  return result;
+}
+
+/**
+ * Check that a freshly started container stays up (no exits or restarts) for the settle period
+ * @private
+ */
+async function waitUntilStable(serverConfig, name) {
+  await sleep(ROLLING_UPDATE_CONFIG.settleSeconds);
+
+  const { stdout } = await executeCommand(
+    serverConfig,
+    `docker inspect -f '{{.State.Status}} {{.RestartCount}}' ${shellEscape([name])} 2>&1`
+  );
+  const [state, restarts] = stdout.trim().split(/\s+/);
+  if (state === 'running' && restarts === '0') return;
+
+  const { stdout: logs } = await executeCommand(serverConfig, `docker logs --tail 10 ${shellEscape([name])} 2>&1`);
+  throw new Error(`Container ${name} did not stay up (${state || 'missing'}${restarts && restarts !== '0' ? `, ${restarts} restarts` : ''})` +
+    (logs.trim() ? `:\n${logs.trim()}` : ''));
+}
+
+/**
+ * First IP address of a container on its networks, or null
+ * @private
+ */
+async function containerIp(serverConfig, name) {
+  const { stdout } = await executeCommand(
+    serverConfig,
+    `docker inspect -f '{{range .NetworkSettings.Networks}}{{.IPAddress}} {{end}}' ${shellEscape([name])}`
+  );
+  return stdout.trim().split(/\s+/).find(ip => net.isIP(ip)) || null;
+}
+
+/**
+ * Run checks until all pass or the health timeout is up, reporting retries under a stage
+ * Without checks a container only has to stay up, which waitUntilStable already verified.
+ * @private
+ */
+async function waitForChecks(checks, target, stage, onProgress) {
+  if (checks.length === 0) return;
+
+  const deadline = Date.now() + ROLLING_UPDATE_CONFIG.healthTimeout * 1000;
+  let failures = [];
+  for (;;) {
+    const results = await Promise.all(checks.map(check => probes.runProbe(check, target)));
+    failures = checks
+      .map((check, i) => (results[i].ok ? null : `${check.name}: ${results[i].error || 'failed'}`))
+      .filter(Boolean);
+    if (failures.length === 0) return;
+    if (Date.now() + ROLLING_UPDATE_CONFIG.healthInterval * 1000 > deadline) break;
+
+    onProgress(stage, UPDATE_STAGES[stage], `Waiting for health checks (${failures.length} of ${checks.length} failing)`);
+    await sleep(ROLLING_UPDATE_CONFIG.healthInterval);
+  }
+  throw new Error(`Health checks failed after ${ROLLING_UPDATE_CONFIG.healthTimeout}s:\n${failures.join('\n')}`);
+}
+
+/**
+ * Checks adapted to a candidate container: HTTP/TCP checks go from the server to the container's
+ * own IP and port (the host port it will publish maps to a container port), commands run in it
+ * @private
+ */
+function candidateChecks(checks, spec, host) {
+  return checks
+    .filter(check => check.type === 'exec' || host)
+    .map(check => {
+      if (check.type === 'exec') return check;
+      const mapping = (spec.ports || []).find(port => String(port.host) === String(check.config.port));
+      return {
+        ...check,
+        source: 'server',
+        config: { ...check.config, port: mapping ? Number(mapping.container) : check.config.port }
+      };
+    });
+}
+
+/**
+ * Parse a port mapping for the iptables rules, or null if it isn't "<host port>:<port>[/tcp|/udp]"
+ * @private
+ */
+function parsePortMapping(port) {
+  const host = /^\d+$/.exec(String(port.host).trim());
+  const container = /^(\d+)(?:\/(tcp|udp))?$/.exec(String(port.container).trim());
+  if (!host || !container) return null;
+  return { hostPort: host[0], containerPort: container[1], protocol: container[2] || 'tcp' };
+}
+
+/**
+ * iptables rules sending new connections on published host ports to a container's own IP:
+ * DNAT from outside (PREROUTING) and from the server itself (OUTPUT), both inserted before the
+ * jump to Docker's chain, and an ACCEPT in DOCKER-USER since the target port isn't published.
+ * Loopback connections go through docker-proxy instead and can't be diverted.
+ * @private
+ * @returns {Array<Array<string>>} - Per rule: -t, table, chain, then the match and target
+ */
+function divertRules(mappings, ip, name) {
+  const comment = ['-m', 'comment', '--comment', `nobase-update:${name}`];
+  return mappings.flatMap(({ hostPort, containerPort, protocol }) => {
+    const match = ['-p', protocol, '--dport', hostPort, '-m', 'addrtype', '--dst-type', 'LOCAL'];
+    const dnat = [...comment, '-j', 'DNAT', '--to-destination', `${ip}:${containerPort}`];
+    return [
+      ['-t', 'nat', 'PREROUTING', ...match, ...dnat],
+      ['-t', 'nat', 'OUTPUT', ...match, '!', '-d', '127.0.0.0/8', ...dnat],
+      ['-t', 'filter', 'DOCKER-USER', '-p', protocol, '-d', ip, '--dport', containerPort, ...comment, '-j', 'ACCEPT']
+    ];
+  });
+}
+
+/**
+ * Insert diversion rules, removing the ones already inserted if one fails
+ * @private
+ */
+async function addDivert(serverConfig, iptables, rules) {
+  const added = [];
+  try {
+    for (const [tableFlag, table, chain, ...args] of rules) {
+      await runOrThrow(serverConfig, shellEscape([...iptables, tableFlag, table, '-I', chain, '1', ...args]), 'Failed to divert traffic to the new container');
+      added.push([tableFlag, table, chain, ...args]);
+    }
+  } catch (err) {
+    await removeDivert(serverConfig, iptables, added).catch(() => {});
+    throw err;
+  }
+}
+
+/**
+ * Delete diversion rules
+ * @private
+ */
+async function removeDivert(serverConfig, iptables, rules) {
+  const failed = [];
+  for (const [tableFlag, table, chain, ...args] of rules) {
+    const { code } = await executeCommand(serverConfig, `${shellEscape([...iptables, tableFlag, table, '-D', chain, ...args])} 2>&1`);
+    if (code !== 0) failed.push(`${table} ${chain}`);
+  }
+  if (failed.length > 0) {
+    throw new Error(`Could not remove the update's iptables rules from ${failed.join(', ')}`);
+  }
+}
+
+/**
+ * Put the old container back after a failed switch
+ * @private
+ */
+async function rollBack(serverConfig, name, previousName) {
+  await executeCommand(serverConfig, `docker rm -f ${shellEscape([name])} 2>/dev/null`);
+  await runOrThrow(
+    serverConfig,
+    `docker rename ${shellEscape([previousName, name])} && docker start ${shellEscape([name])}`,
+    'Rollback failed'
+  );
+}
+
+/**
+ * Update a running container deployment to an image tag
+ * @param {Object} options
+ * @param {Object} options.app - App record
+ * @param {Object} options.deployment - Deployment with its server fields (AppModel.findDeploymentById)
+ * @param {string} options.tag - Image tag to move to
+ * @param {string} [options.userId] - User running the update (recorded with the new revision)
+ * @param {Function} [options.onProgress] - (stage, percent, message) for each step
+ * @returns {Promise<{deploymentId: string, previousTag: string, tag: string, containerId: string}>}
+ * @throws {Error} If the update failed; `rolledBack` is false only if the old container could not be restored
+ */
+async function updateDeployment({ app, deployment, tag, userId = null, onProgress = () => {} }) {
+  if (deployment.compose_project) {
+    throw new Error('Compose stacks are updated by changing image tags in the compose file and starting the stack');
+  }
+  if (deployment.status !== 'running') {
+    throw new Error(`Only running deployments can be updated (this one is ${deployment.status})`);
+  }
+
+  const name = deployment.container_name;
+  const candidateName = `${name}-next`;
+  const previousName = `${name}-previous`;
+  const previousTag = deployment.image_tag || app.tag || 'latest';
+  const serverConfig = buildServerConfig(deployment);
+
+  // Build every command first, so bad settings fail before anything changes
+  const spec = containerCommand.resolveContainerSpec(app, { ...deployment, image_tag: tag });
+  if (spec.networkMode === 'host') {
+    throw new Error('Host-network containers can\'t run beside each other, so they can\'t be updated without downtime: stop and start the deployment on the new tag instead');
+  }
+  const runCommand = containerCommand.buildRunCommand(spec);
+  const candidateCommand = containerCommand.buildRunCommand({ ...spec, name: candidateName, ports: [], restartPolicy: '' });
+
+  const mappings = (spec.ports || []).filter(port => port.host && port.container).map(port => {
+    const mapping = parsePortMapping(port);
+    if (!mapping) {
+      throw new Error(`Port mapping ${port.host}:${port.container} can't be switched without downtime: use "<host port>:<container port>[/udp]"`);
+    }
+    return mapping;
+  });
+  const iptables = deployment.username === 'root' ? ['iptables'] : ['sudo', '-n', 'iptables'];
+
+  const checks = (await DeploymentCheckModel.findByDeployment(deployment.id)).filter(check => check.enabled);
+  const server = {
+    ip: deployment.ip,
+    port: deployment.port,
+    jump_host_id: deployment.jump_host_id,
+    username: deployment.username,
+    private_key_path: deployment.private_key_path,
+    os_type: deployment.os_type
+  };
+
+  const leftover = await executeCommand(serverConfig, `docker inspect ${shellEscape([previousName])} >/dev/null 2>&1`);
+  if (leftover.code === 0) {
+    throw new Error(`A container named ${previousName} is left from an interrupted update: remove or rename it first`);
+  }
+
+  if (mappings.length > 0) {
+    const { stdout, code } = await executeCommand(
+      serverConfig,
+      `${shellEscape([...iptables, '-t', 'filter', '-S', 'DOCKER-USER'])} 2>&1 && ${shellEscape([...iptables, '-t', 'nat', '-S'])} 2>&1`
+    );
+    if (code !== 0) {
+      throw new Error(`Switching published ports without downtime needs iptables${iptables[0] === 'sudo' ? ' through passwordless sudo' : ''} and Docker's DOCKER-USER chain on the server: ${stdout.trim().split('\n').pop()}`);
+    }
+    if (stdout.includes(`nobase-update:${name}`)) {
+      throw new Error(`iptables rules commented "nobase-update:${name}" are left from an interrupted update: delete them first`);
+    }
+  }
+
+  // Scheduled checks skip deployments that aren't running, so the switch doesn't raise alerts
+  await AppModel.updateDeploymentStatus(deployment.id, 'updating');
+  let rules = [];
+  let diverted = false;
+  let switched = false;
+
+  try {
+    const registryPassword = AppModel.getRegistryPassword(app);
+    if (app.registry_url && app.registry_username && registryPassword) {
+      onProgress('pulling', UPDATE_STAGES.pulling, `Logging into ${app.registry_url}`);
+      await runOrThrow(serverConfig, containerCommand.buildRegistryLoginCommand(app, registryPassword), 'Registry login failed');
+    }
+
+    onProgress('pulling', UPDATE_STAGES.pulling, `Pulling ${spec.image}`);
+    await runOrThrow(serverConfig, shellEscape(['docker', 'pull', spec.image]), `Failed to pull ${spec.image}`);
+
+    onProgress('candidate', UPDATE_STAGES.candidate, `Starting ${candidateName} beside ${name}`);
+    await executeCommand(serverConfig, `docker rm -f ${shellEscape([candidateName])} 2>/dev/null`);
+    await runOrThrow(serverConfig, candidateCommand, 'Failed to start the new container');
+    await waitUntilStable(serverConfig, candidateName);
+
+    const candidateIp = await containerIp(serverConfig, candidateName);
+    if (!candidateIp && mappings.length > 0) {
+      throw new Error(`${candidateName} has no IP address to send the published ports to`);
+    }
+    const adapted = candidateChecks(checks, spec, candidateIp);
+    if (adapted.length < checks.length) {
+      onProgress('checking', UPDATE_STAGES.checking, 'The new container has no IP address, so only command checks run before the switch');
+    }
+    onProgress('checking', UPDATE_STAGES.checking, `Checking ${candidateName}`);
+    await waitForChecks(adapted, { containerName: candidateName, host: candidateIp, server }, 'checking', onProgress);
+
+    if (mappings.length > 0) {
+      onProgress('switching', UPDATE_STAGES.switching, `Sending new connections to ${candidateName} while ${name} is replaced`);
+      rules = divertRules(mappings, candidateIp, name);
+      await addDivert(serverConfig, iptables, rules);
+      diverted = true;
+    }
+
+    onProgress('switching', UPDATE_STAGES.switching, `Replacing ${name}`);
+    await runOrThrow(
+      serverConfig,
+      `docker stop ${shellEscape([name])} && docker rename ${shellEscape([name, previousName])}`,
+      `Failed to stop ${name}`
+    );
+    switched = true;
+
+    const { stdout } = await runOrThrow(serverConfig, runCommand, 'Failed to start the updated container');
+    const containerId = stdout.trim().split('\n').pop().substring(0, 12);
+    await waitUntilStable(serverConfig, name);
+
+    // The published ports still lead to the candidate, so the new container is checked on its own IP
+    onProgress('verifying', UPDATE_STAGES.verifying, `Checking ${name}`);
+    const host = await containerIp(serverConfig, name);
+    await waitForChecks(candidateChecks(checks, spec, host), { containerName: name, host, server }, 'verifying', onProgress);
+
+    if (diverted) {
+      await removeDivert(serverConfig, iptables, rules);
+      diverted = false;
+    }
+    // Lets connections made during the switch finish
+    await executeCommand(serverConfig, `docker stop ${shellEscape([candidateName])} && docker rm ${shellEscape([candidateName])}`);
+
+    await executeCommand(serverConfig, `docker rm ${shellEscape([previousName])}`);
+    await AppModel.updateDeploymentStatus(deployment.id, 'running', containerId);
+    await AppModel.updateDeploymentConfig(deployment.id, { image_tag: tag });
+    await DeploymentRevisionModel.create(deployment.id, { spec, reason: 'update', userId });
+    onProgress('complete', UPDATE_STAGES.complete, `${name} now runs ${spec.image}`);
+
+    return { deploymentId: deployment.id, previousTag, tag, containerId };
+  } catch (error) {
+    error.rolledBack = true;
+    // The candidate keeps serving the published ports while the old container comes back
+    if (switched) {
+      onProgress('rollback', UPDATE_STAGES.rollback, `Update failed, restoring ${name} on ${previousTag}`);
+      try {
+        await rollBack(serverConfig, name, previousName);
+        await waitUntilStable(serverConfig, name);
+      } catch (rollbackError) {
+        error.rolledBack = false;
+        error.message += `\n${rollbackError.message}`;
+      }
+    }
+    if (diverted) {
+      try {
+        await removeDivert(serverConfig, iptables, rules);
+        diverted = false;
+      } catch (divertError) {
+        error.message += `\n${divertError.message} (commented "nobase-update:${name}"); ${candidateName} is left running to serve them`;
+      }
+    }
+    if (!diverted) {
+      await executeCommand(serverConfig, `docker stop ${shellEscape([candidateName])} >/dev/null 2>&1; docker rm -f ${shellEscape([candidateName])} 2>/dev/null`);
+    }
+    await AppModel.updateDeploymentStatus(deployment.id, error.rolledBack ? 'running' : 'stopped');
+    throw error;
+  }
+}
+
+/**
+ * Update deployments of an app one after another, stopping at the first failure
+ * (which has already been rolled back), so at most one deployment is ever mid-update
+ * @param {Object} options
+ * @param {Object} options.app - App record
+ * @param {Array<Object>} options.deployments - Deployments with their server fields
+ * @param {string} options.tag - Image tag to move to
+ * @param {string} [options.userId] - User running the update
+ * @param {Function} [options.onProgress] - (deployment, stage, percent, message) for each step
+ * @returns {Promise<{updated: Array<Object>, skipped: Array<Object>, failed: Object|null}>}
+ */
+async function updateDeployments({ app, deployments, tag, userId = null, onProgress = () => {} }) {
+  const updated = [];
+  const skipped = [];
+
+  for (const deployment of deployments) {
+    if (deployment.status !== 'running' || deployment.compose_project) {
+      skipped.push({ deploymentId: deployment.id, reason: deployment.compose_project ? 'compose stack' : deployment.status });
+      continue;
+    }
+    try {
+      updated.push(await updateDeployment({
+        app,
+        deployment,
+        tag,
+        userId,
+        onProgress: (stage, percent, message) => onProgress(deployment, stage, percent, message)
+      }));
+    } catch (error) {
+      return {
+        updated,
+        skipped,
+        failed: { deploymentId: deployment.id, error: error.message, rolledBack: error.rolledBack !== false }
+      };
+    }
+  }
+
+  return { updated, skipped, failed: null };
+}
+
+module.exports = {
+  UPDATE_STAGES,
+  updateDeployment,
+  updateDeployments
+};
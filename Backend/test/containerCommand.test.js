@@ -0,0 +1,199 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const {
+  splitArgs,
+  imageName,
+  buildRunCommand,
+  buildRegistryLoginCommand
+} = require('../services/docker/containerCommand');
+
+/**
+ * Run a built command through a real shell with `docker` replaced by a function that prints
+ * its arguments, and return them: this is exactly what docker would receive on the server
+ */
+function shellArgs(command) {
+  const script = `docker() { for arg in "$@"; do printf '%s\\0' "$arg"; done; }\n${command}`;
+  const output = execFileSync('sh', ['-c', script], { encoding: 'utf8' });
+  return output.split('\0').slice(0, -1);
+}
+
+const HOSTILE = 'a "quoted" $HOME `id` $(id) it\'s\nnext line; rm -rf /';
+
+describe('splitArgs', () => {
+  test('splits on whitespace', () => {
+    assert.deepEqual(splitArgs('  --memory 512m   --cpus=2 '), ['--memory', '512m', '--cpus=2']);
+  });
+
+  test('groups quoted words and keeps empty quoted words', () => {
+    assert.deepEqual(splitArgs(`--label "a b" --label 'c d' ""`), ['--label', 'a b', '--label', 'c d', '']);
+  });
+
+  test('joins quoted parts with adjacent text', () => {
+    assert.deepEqual(splitArgs(`--env=FOO="bar baz"'!'`), ['--env=FOO=bar baz!']);
+  });
+
+  test('single quotes are literal', () => {
+    assert.deepEqual(splitArgs(`'$HOME \\n "x"'`), ['$HOME \\n "x"']);
+  });
+
+  test('backslash escapes in double quotes only before " \\ $ and `', () => {
+    assert.deepEqual(splitArgs('"a\\"b \\$c \\`d\\` \\\\ \\n"'), ['a"b $c `d` \\ \\n']);
+  });
+
+  test('backslash escapes outside quotes', () => {
+    assert.deepEqual(splitArgs('a\\ b c\\"d'), ['a b', 'c"d']);
+  });
+
+  test('never expands or chains commands', () => {
+    assert.deepEqual(splitArgs('sh -c $(id);rm `id` &&x'), ['sh', '-c', '$(id);rm', '`id`', '&&x']);
+  });
+
+  test('newlines separate words like spaces', () => {
+    assert.deepEqual(splitArgs('a\nb\t"c\nd"'), ['a', 'b', 'c\nd']);
+  });
+
+  test('throws on unterminated quotes', () => {
+    assert.throws(() => splitArgs('"open'), /Unterminated double quote/);
+    assert.throws(() => splitArgs("it's"), /Unterminated single quote/);
+  });
+});
+
+describe('imageName', () => {
+  test('defaults the tag to latest', () => {
+    assert.equal(imageName({ image: 'nginx' }), 'nginx:latest');
+  });
+
+  test('prefixes the registry host without its scheme or trailing slash', () => {
+    assert.equal(
+      imageName({ image: 'team/api', tag: '1.2', registry_url: 'https://registry.example.com/' }),
+      'registry.example.com/team/api:1.2'
+    );
+  });
+
+  test('does not prefix an image that already names the registry', () => {
+    assert.equal(
+      imageName({ image: 'registry.example.com:5000/team/api', tag: '3', registry_url: 'registry.example.com:5000' }),
+      'registry.example.com:5000/team/api:3'
+    );
+  });
+});
+
+describe('buildRunCommand', () => {
+  const spec = {
+    name: 'web-1',
+    image: 'nginx:1.27',
+    ports: [{ host: '8080', container: '80' }],
+    envVars: [{ key: 'MODE', value: 'prod' }],
+    volumes: [{ host: '/srv/web', container: '/usr/share/nginx/html' }],
+    restartPolicy: 'unless-stopped',
+    networkMode: 'bridge',
+    customArgs: '--memory 256m',
+    command: 'nginx -g "daemon off;"'
+  };
+
+  test('builds docker run with every setting in order', () => {
+    assert.deepEqual(shellArgs(buildRunCommand(spec)), [
+      'run', '-d', '--name', 'web-1',
+      '-p', '8080:80',
+      '-e', 'MODE=prod',
+      '-v', '/srv/web:/usr/share/nginx/html',
+      '--restart', 'unless-stopped',
+      '--network', 'bridge',
+      '--memory', '256m',
+      'nginx:1.27',
+      'nginx', '-g', 'daemon off;'
+    ]);
+  });
+
+  test('builds docker create when asked', () => {
+    assert.deepEqual(shellArgs(buildRunCommand({ name: 'web-1', image: 'nginx' }, { create: true })), [
+      'create', '--name', 'web-1', 'nginx'
+    ]);
+  });
+
+  test('skips incomplete ports, env vars and volumes', () => {
+    const args = shellArgs(buildRunCommand({
+      name: 'web-1',
+      image: 'nginx',
+      ports: [{ host: '', container: '80' }],
+      envVars: [{ key: 'EMPTY', value: '' }, { key: '', value: 'x' }],
+      volumes: [{ host: '/data' }]
+    }));
+    assert.deepEqual(args, ['run', '-d', '--name', 'web-1', 'nginx']);
+  });
+
+  test('passes env values with quotes, $, backticks, spaces and newlines literally', () => {
+    const args = shellArgs(buildRunCommand({
+      name: 'web-1',
+      image: 'nginx',
+      envVars: [{ key: 'SECRET', value: HOSTILE }]
+    }));
+    assert.deepEqual(args, ['run', '-d', '--name', 'web-1', '-e', `SECRET=${HOSTILE}`, 'nginx']);
+  });
+
+  test('passes volume paths literally', () => {
+    const host = '/srv/my data/$USER/`id`/"x"';
+    const args = shellArgs(buildRunCommand({
+      name: 'web-1',
+      image: 'nginx',
+      volumes: [{ host, container: '/data dir' }]
+    }));
+    assert.deepEqual(args, ['run', '-d', '--name', 'web-1', '-v', `${host}:/data dir`, 'nginx']);
+  });
+
+  test('splits custom arguments and the command without letting the shell interpret them', () => {
+    const args = shellArgs(buildRunCommand({
+      name: 'web-1',
+      image: 'alpine',
+      customArgs: `--label "note=a b" --label 'x=$(id)' -e A=\`id\`;echo`,
+      command: 'sh -c "echo \\"$HOME\\" && echo `id`"'
+    }));
+    assert.deepEqual(args, [
+      'run', '-d', '--name', 'web-1',
+      '--label', 'note=a b', '--label', 'x=$(id)', '-e', 'A=`id`;echo',
+      'alpine',
+      'sh', '-c', 'echo "$HOME" && echo `id`'
+    ]);
+  });
+
+  test('uses the registry image name from the spec', () => {
+    const image = imageName({ image: 'team/api', tag: '2', registry_url: 'http://localhost:5000' });
+    const args = shellArgs(buildRunCommand({ name: 'api-1', image }));
+    assert.deepEqual(args, ['run', '-d', '--name', 'api-1', 'localhost:5000/team/api:2']);
+  });
+
+  test('rejects invalid container names', () => {
+    assert.throws(() => buildRunCommand({ name: 'web; rm -rf /', image: 'nginx' }), /Invalid container name/);
+    assert.throws(() => buildRunCommand({ name: '-web', image: 'nginx' }), /Invalid container name/);
+  });
+
+  test('requires an image', () => {
+    assert.throws(() => buildRunCommand({ name: 'web-1', image: '' }), /No Docker image/);
+  });
+
+  test('reports unterminated quotes in custom arguments', () => {
+    assert.throws(() => buildRunCommand({ name: 'web-1', image: 'nginx', customArgs: '--label "a' }), /Unterminated/);
+  });
+});
+
+describe('buildRegistryLoginCommand', () => {
+  const app = { registry_url: 'registry.example.com', registry_username: 'deploy bot' };
+
+  test('pipes the password to docker login literally', () => {
+    const command = buildRegistryLoginCommand(app, HOSTILE);
+    const script = `docker() { printf '%s\\0' "$@"; printf 'stdin:'; cat; }\n${command}`;
+    const output = execFileSync('sh', ['-c', script], { encoding: 'utf8' });
+    const [args, stdin] = output.split('stdin:');
+
+    assert.deepEqual(args.split('\0').slice(0, -1), [
+      'login', 'registry.example.com', '-u', 'deploy bot', '--password-stdin'
+    ]);
+    assert.equal(stdin, HOSTILE);
+  });
+
+  test('keeps the password out of the docker arguments', () => {
+    const command = buildRegistryLoginCommand(app, 'hunter2');
+    assert.ok(command.indexOf('hunter2') < command.indexOf('docker login'));
+  });
+});
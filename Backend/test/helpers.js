@@ -0,0 +1,66 @@
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+
+/**
+ * Test Helpers
+ * Shared by tests that run the local stand-ins in scripts/ (notification sink, registry stub)
+ */
+
+/**
+ * Get a port nothing is listening on
+ * @returns {Promise<number>}
+ */
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.on('error', reject);
+    server.listen(0, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Run a script from scripts/ and wait until it prints its ready line
+ * @param {string} script - File name in scripts/
+ * @param {Object} env - Extra environment variables
+ * @param {RegExp} ready - Pattern of the line printed once it listens
+ * @returns {Promise<{child: ChildProcess, output: Function, waitForOutput: Function}>} - `output()`
+ *   is everything printed so far; `waitForOutput(pattern, from, timeout)` waits for a match in the
+ *   output after offset `from` and resolves with it
+ */
+async function startScript(script, env, ready) {
+  const child = spawn(process.execPath, [path.join(__dirname, '../scripts', script)], {
+    env: { ...process.env, ...env },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let output = '';
+  child.stdout.on('data', chunk => { output += chunk; });
+  child.stderr.on('data', chunk => { output += chunk; });
+
+  const waitForOutput = async (pattern, from = 0, timeout = 5000) => {
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline) {
+      const match = output.slice(from).match(pattern);
+      if (match) return match;
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error(`${script} did not print ${pattern} within ${timeout}ms:\n${output.slice(from)}`);
+  };
+
+  try {
+    await waitForOutput(ready);
+  } catch (err) {
+    child.kill();
+    throw err;
+  }
+  return { child, output: () => output, waitForOutput };
+}
+
+module.exports = {
+  freePort,
+  startScript
+};
@@ -0,0 +1,285 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const crypto = require('crypto');
+const { parseImageReference, getManifestDigest } = require('../services/updates/registryClient');
+const { isOutdated, isValidWindow, isInWindow } = require('../services/updates/imageUpdates');
+const connectionPool = require('../services/ssh/connectionPool');
+const { freePort, startScript } = require('./helpers');
+
+/**
+ * Digest lookups go to the local stand-in (scripts/registry-stub.js), started on free ports in
+ * each of its modes. Registries that take basic credentials directly are a small server below.
+ */
+
+const stubs = [];
+
+/**
+ * Start the registry stub and wait until it listens
+ * @returns {Promise<{registryUrl: string, log: () => string}>}
+ */
+async function startStub(env = {}) {
+  const port = await freePort();
+  const stub = await startScript('registry-stub.js', { REGISTRY_PORT: String(port), ...env }, /Registry stub on/);
+  stubs.push(stub.child);
+  return { registryUrl: `http://localhost:${port}`, log: stub.output };
+}
+
+/**
+ * Tell the stub a tag was pushed again
+ * @returns {Promise<string>} - The tag's new digest
+ */
+async function rebuild(registryUrl, repository, tag) {
+  const response = await fetch(`${registryUrl}/_rebuild/${repository}/${tag}`, { method: 'POST' });
+  return (await response.text()).trim();
+}
+
+after(() => {
+  for (const child of stubs) child.kill();
+  // Loaded with the update checks; its idle cleanup timer would keep the test process running
+  connectionPool.closeAll();
+});
+
+describe('parseImageReference', () => {
+  test('puts official Docker Hub images under library/', () => {
+    assert.deepEqual(parseImageReference({ image: 'nginx:1.27' }), {
+      baseUrl: 'https://registry-1.docker.io',
+      repository: 'library/nginx',
+      name: 'nginx'
+    });
+  });
+
+  test('keeps user repositories on Docker Hub as they are', () => {
+    assert.deepEqual(parseImageReference({ image: 'grafana/grafana' }), {
+      baseUrl: 'https://registry-1.docker.io',
+      repository: 'grafana/grafana',
+      name: 'grafana/grafana'
+    });
+  });
+
+  test('treats docker.io as Docker Hub', () => {
+    assert.equal(parseImageReference({ image: 'docker.io/redis:7' }).repository, 'library/redis');
+    assert.equal(parseImageReference({ image: 'index.docker.io/team/api' }).repository, 'team/api');
+  });
+
+  test('strips tags and digests', () => {
+    assert.equal(parseImageReference({ image: 'team/api@sha256:abc' }).repository, 'team/api');
+    assert.equal(parseImageReference({ image: 'ghcr.io/team/api:v2' }).repository, 'team/api');
+  });
+
+  test('reads the registry host from the image name', () => {
+    assert.deepEqual(parseImageReference({ image: 'ghcr.io/team/api:v2' }), {
+      baseUrl: 'https://ghcr.io',
+      repository: 'team/api',
+      name: 'ghcr.io/team/api'
+    });
+  });
+
+  test('keeps the port of a host:port registry', () => {
+    assert.deepEqual(parseImageReference({ image: 'registry.example.com:5000/team/api:3' }), {
+      baseUrl: 'https://registry.example.com:5000',
+      repository: 'team/api',
+      name: 'registry.example.com:5000/team/api'
+    });
+  });
+
+  test('does not take a tag for a port', () => {
+    assert.equal(parseImageReference({ image: 'api:5000' }).repository, 'library/api');
+  });
+
+  test('uses the app registry URL over the image name', () => {
+    assert.deepEqual(parseImageReference({ image: 'team/api', registry_url: 'https://registry.example.com/' }), {
+      baseUrl: 'https://registry.example.com',
+      repository: 'team/api',
+      name: 'registry.example.com/team/api'
+    });
+  });
+
+  test('does not repeat a registry host that is also in the image name', () => {
+    const ref = parseImageReference({ image: 'registry.example.com/team/api:1', registry_url: 'registry.example.com' });
+    assert.equal(ref.repository, 'team/api');
+    assert.equal(ref.name, 'registry.example.com/team/api');
+  });
+
+  test('speaks plain HTTP to http:// and localhost registries', () => {
+    assert.equal(parseImageReference({ image: 'api', registry_url: 'http://registry.lan:5000' }).baseUrl, 'http://registry.lan:5000');
+    assert.equal(parseImageReference({ image: 'localhost:5000/api' }).baseUrl, 'http://localhost:5000');
+    assert.equal(parseImageReference({ image: 'api', registry_url: '127.0.0.1:5000' }).baseUrl, 'http://127.0.0.1:5000');
+  });
+});
+
+describe('getManifestDigest', () => {
+  describe('anonymous registry', () => {
+    let stub;
+    before(async () => { stub = await startStub(); });
+
+    test('returns the digest header, which changes when the tag is rebuilt', async () => {
+      const app = { image: 'team/web', registry_url: stub.registryUrl };
+      const first = await getManifestDigest({ app, tag: 'latest' });
+      assert.match(first, /^sha256:[0-9a-f]{64}$/);
+      assert.equal(await getManifestDigest({ app, tag: 'latest' }), first);
+
+      const rebuilt = await rebuild(stub.registryUrl, 'team/web', 'latest');
+      assert.notEqual(rebuilt, first);
+      assert.equal(await getManifestDigest({ app, tag: 'latest' }), rebuilt);
+    });
+
+    test('asks with HEAD and without credentials', async () => {
+      const app = { image: 'team/head', registry_url: stub.registryUrl };
+      await getManifestDigest({ app, tag: '1.0' });
+      assert.match(stub.log(), /\[registry\] HEAD \/v2\/team\/head\/manifests\/1\.0\n/);
+    });
+  });
+
+  describe('registry with a bearer token exchange', () => {
+    let stub;
+    before(async () => { stub = await startStub({ REGISTRY_USER: 'deploy', REGISTRY_PASSWORD: 's3cret' }); });
+
+    test('gets a token with the credentials and reads the digest', async () => {
+      const app = { image: 'team/web', registry_url: stub.registryUrl, registry_username: 'deploy' };
+      const previous = await getManifestDigest({ app, tag: 'latest', password: 's3cret' });
+      const rebuilt = await rebuild(stub.registryUrl, 'team/web', 'latest');
+
+      assert.notEqual(rebuilt, previous);
+      assert.equal(await getManifestDigest({ app, tag: 'latest', password: 's3cret' }), rebuilt);
+      assert.match(stub.log(), /\[registry\] GET \/token\?service=registry-stub&scope=repository%3Ateam%2Fweb%3Apull \(Basic\)/);
+      assert.match(stub.log(), /\[registry\] HEAD \/v2\/team\/web\/manifests\/latest \(Bearer\)/);
+    });
+
+    test('reports wrong credentials', async () => {
+      const app = { image: 'team/web', registry_url: stub.registryUrl, registry_username: 'deploy' };
+      await assert.rejects(
+        getManifestDigest({ app, tag: 'latest', password: 'wrong' }),
+        /token request failed \(HTTP 401\): check the registry credentials/
+      );
+    });
+
+    test('reports missing credentials', async () => {
+      const app = { image: 'team/web', registry_url: stub.registryUrl };
+      await assert.rejects(getManifestDigest({ app, tag: 'latest' }), /token request failed \(HTTP 401\)$/);
+    });
+  });
+
+  describe('registry without the digest header', () => {
+    let stub;
+    before(async () => { stub = await startStub({ REGISTRY_NO_DIGEST_HEADER: '1' }); });
+
+    test('hashes the manifest it serves', async () => {
+      const app = { image: 'team/web', registry_url: stub.registryUrl };
+      const digest = await getManifestDigest({ app, tag: 'latest' });
+
+      const manifest = await fetch(`${stub.registryUrl}/v2/team/web/manifests/latest`).then(response => response.arrayBuffer());
+      assert.equal(digest, `sha256:${crypto.createHash('sha256').update(Buffer.from(manifest)).digest('hex')}`);
+      assert.match(stub.log(), /\[registry\] GET \/v2\/team\/web\/manifests\/latest\n/);
+    });
+  });
+
+  describe('registry taking basic credentials directly', () => {
+    const DIGEST = `sha256:${'ab'.repeat(32)}`;
+    let server;
+    let registryUrl;
+    const seen = [];
+
+    before(async () => {
+      server = http.createServer((req, res) => {
+        seen.push(`${req.method} ${req.url} ${req.headers.authorization || ''}`.trim());
+        if (req.headers.authorization !== `Basic ${Buffer.from('deploy:s3cret').toString('base64')}`) {
+          return res.writeHead(401, { 'WWW-Authenticate': 'Basic realm="registry"' }).end();
+        }
+        if (!req.url.endsWith('/manifests/latest')) return res.writeHead(404).end();
+        res.writeHead(200, { 'Docker-Content-Digest': DIGEST }).end();
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      registryUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => server.close());
+
+    test('sends the credentials after the Basic challenge', async () => {
+      const app = { image: 'team/web', registry_url: registryUrl, registry_username: 'deploy' };
+      assert.equal(await getManifestDigest({ app, tag: 'latest', password: 's3cret' }), DIGEST);
+      assert.deepEqual(seen.slice(-2).map(entry => entry.split(' ')[2] || null), [null, 'Basic']);
+    });
+
+    test('needs credentials', async () => {
+      const app = { image: 'team/web', registry_url: registryUrl };
+      await assert.rejects(getManifestDigest({ app, tag: 'latest' }), /requires credentials/);
+    });
+
+    test('reports refused credentials', async () => {
+      const app = { image: 'team/web', registry_url: registryUrl, registry_username: 'deploy' };
+      await assert.rejects(getManifestDigest({ app, tag: 'latest', password: 'wrong' }), /refused access to team\/web \(HTTP 401\)/);
+    });
+
+    test('reports unknown tags', async () => {
+      const app = { image: 'team/web', registry_url: registryUrl, registry_username: 'deploy' };
+      await assert.rejects(getManifestDigest({ app, tag: 'v9', password: 's3cret' }), /Tag v9 of team\/web not found/);
+    });
+  });
+
+  test('reports unreachable registries', async () => {
+    const app = { image: 'team/web', registry_url: `http://127.0.0.1:${await freePort()}` };
+    await assert.rejects(getManifestDigest({ app, tag: 'latest' }), /Registry request to 127\.0\.0\.1:\d+ failed/);
+  });
+});
+
+describe('isOutdated', () => {
+  test('compares the running digest with the registry digest', () => {
+    assert.equal(isOutdated({ image_digest: 'sha256:a', latest_digest: 'sha256:b' }), true);
+    assert.equal(isOutdated({ image_digest: 'sha256:a', latest_digest: 'sha256:a' }), false);
+  });
+
+  test('is false until both digests are known', () => {
+    assert.equal(isOutdated({ image_digest: null, latest_digest: 'sha256:b' }), false);
+    assert.equal(isOutdated({ image_digest: 'sha256:a', latest_digest: null }), false);
+  });
+});
+
+describe('isValidWindow', () => {
+  test('accepts HH:MM times, including windows past midnight', () => {
+    assert.equal(isValidWindow('02:00', '04:00'), true);
+    assert.equal(isValidWindow('23:30', '01:15'), true);
+    assert.equal(isValidWindow('00:00', '23:59'), true);
+  });
+
+  test('rejects malformed times and empty windows', () => {
+    assert.equal(isValidWindow('2:00', '04:00'), false);
+    assert.equal(isValidWindow('24:00', '01:00'), false);
+    assert.equal(isValidWindow('02:60', '03:00'), false);
+    assert.equal(isValidWindow('02:00', null), false);
+    assert.equal(isValidWindow('03:00', '03:00'), false);
+  });
+});
+
+describe('isInWindow', () => {
+  const at = (time) => new Date(`2026-03-14T${time}:00Z`);
+
+  test('is open from the start up to, not including, the end', () => {
+    const app = { update_window_start: '02:00', update_window_end: '04:00' };
+    assert.equal(isInWindow(app, at('01:59')), false);
+    assert.equal(isInWindow(app, at('02:00')), true);
+    assert.equal(isInWindow(app, at('03:59')), true);
+    assert.equal(isInWindow(app, at('04:00')), false);
+  });
+
+  test('wraps past midnight', () => {
+    const app = { update_window_start: '23:00', update_window_end: '01:30' };
+    assert.equal(isInWindow(app, at('22:59')), false);
+    assert.equal(isInWindow(app, at('23:00')), true);
+    assert.equal(isInWindow(app, at('00:00')), true);
+    assert.equal(isInWindow(app, at('01:29')), true);
+    assert.equal(isInWindow(app, at('01:30')), false);
+    assert.equal(isInWindow(app, at('12:00')), false);
+  });
+
+  test('uses UTC', () => {
+    const app = { update_window_start: '02:00', update_window_end: '03:00' };
+    assert.equal(isInWindow(app, new Date('2026-03-14T04:30:00+02:00')), true);
+    assert.equal(isInWindow(app, new Date('2026-03-14T02:30:00+02:00')), false);
+  });
+
+  test('is closed without a window', () => {
+    assert.equal(isInWindow({ update_window_start: null, update_window_end: null }, at('02:00')), false);
+    assert.equal(isInWindow({ update_window_start: '02:00', update_window_end: 'soon' }, at('02:00')), false);
+  });
+});
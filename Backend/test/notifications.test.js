@@ -0,0 +1,213 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { SENDERS, signPayload } = require('../services/notifications/senders');
+const notificationService = require('../services/notifications/notificationService');
+const { NotificationModel } = require('../models');
+const { NOTIFICATION_CONFIG } = require('../config');
+const { freePort, startScript } = require('./helpers');
+
+/**
+ * Deliveries go to the local stand-in (scripts/notification-sink.js), started on free ports.
+ * The sink prints what it receives, which is what these tests check.
+ */
+
+const SECRET = 'sink-test-secret';
+let sink;
+let httpUrl;
+let smtpPort;
+
+function notification(overrides = {}) {
+  return {
+    event: 'deployment.failed',
+    teamId: 'team-1',
+    title: 'Deploy of web failed',
+    message: 'Container exited with code 1',
+    severity: 'error',
+    fields: [{ name: 'Server', value: 'edge-1' }],
+    data: { appId: 'app-1' },
+    timestamp: '2026-01-02T03:04:05.000Z',
+    ...overrides
+  };
+}
+
+before(async () => {
+  const [port, smtp] = await Promise.all([freePort(), freePort()]);
+  httpUrl = `http://127.0.0.1:${port}`;
+  smtpPort = smtp;
+
+  sink = await startScript('notification-sink.js', {
+    SINK_HTTP_PORT: String(port),
+    SINK_SMTP_PORT: String(smtp),
+    SINK_SECRET: SECRET
+  }, /SMTP sink on/);
+  await sink.waitForOutput(/Webhook sink on/);
+});
+
+after(() => {
+  if (sink) sink.child.kill();
+});
+
+describe('signPayload', () => {
+  test('is an HMAC-SHA256 of "<timestamp>.<body>"', () => {
+    const expected = crypto.createHmac('sha256', 'key').update('1700000000.{"a":1}').digest('hex');
+    assert.equal(signPayload('key', '1700000000', '{"a":1}'), `sha256=${expected}`);
+  });
+
+  test('changes with the timestamp, the body and the secret', () => {
+    const base = signPayload('key', '1', 'body');
+    assert.notEqual(signPayload('key', '2', 'body'), base);
+    assert.notEqual(signPayload('key', '1', 'body!'), base);
+    assert.notEqual(signPayload('other', '1', 'body'), base);
+  });
+});
+
+describe('webhook channel', () => {
+  test('posts the notification with a signature the sink verifies', async () => {
+    const from = sink.output().length;
+    const response = await SENDERS.webhook({ config: { url: `${httpUrl}/hook` }, secrets: { secret: SECRET } }, notification());
+
+    assert.equal(response, 'HTTP 200: ok');
+    await sink.waitForOutput(/\[http\] POST \/hook \(signature valid\)/, from);
+    await sink.waitForOutput(/"event": "deployment\.failed"/, from);
+    await sink.waitForOutput(/"teamId": "team-1"/, from);
+  });
+
+  test('is refused by the sink when signed with another secret, without retrying', async () => {
+    const from = sink.output().length;
+    await assert.rejects(
+      SENDERS.webhook({ config: { url: `${httpUrl}/hook` }, secrets: { secret: 'wrong' } }, notification()),
+      (err) => err.message === 'HTTP 401: invalid signature' && err.retryable === false
+    );
+    await sink.waitForOutput(/signature INVALID/, from);
+  });
+});
+
+describe('chat channels', () => {
+  test('Slack gets the title, message colour and fields', async () => {
+    const from = sink.output().length;
+    await SENDERS.slack({ config: {}, secrets: { url: `${httpUrl}/slack` } }, notification());
+
+    await sink.waitForOutput(/\[http\] POST \/slack\n/, from);
+    await sink.waitForOutput(/"text": "\*Deploy of web failed\*"/, from);
+    await sink.waitForOutput(/"color": "#ef4444"/, from);
+    await sink.waitForOutput(/"title": "Server",\s+"value": "edge-1"/, from);
+  });
+
+  test('Discord gets an embed with the colour as a number', async () => {
+    const from = sink.output().length;
+    await SENDERS.discord({ config: {}, secrets: { url: `${httpUrl}/discord` } }, notification({ severity: 'success' }));
+
+    await sink.waitForOutput(/\[http\] POST \/discord\n/, from);
+    await sink.waitForOutput(/"title": "Deploy of web failed"/, from);
+    await sink.waitForOutput(new RegExp(`"color": ${0x22c55e}`), from);
+    await sink.waitForOutput(/"timestamp": "2026-01-02T03:04:05.000Z"/, from);
+  });
+});
+
+describe('email channel', () => {
+  test('sends the message over SMTP with login', async () => {
+    const from = sink.output().length;
+    const channel = {
+      config: {
+        host: '127.0.0.1',
+        port: smtpPort,
+        security: 'none',
+        username: 'alerts',
+        from: 'nobase@example.com',
+        to: ['ops@example.com', 'dev@example.com']
+      },
+      secrets: { password: 'pw' }
+    };
+    const response = await SENDERS.email(channel, notification());
+
+    assert.match(response, /^250 /);
+    await sink.waitForOutput(/\[smtp\] message received/, from);
+    await sink.waitForOutput(/Subject: \[NoBase\] Deploy of web failed/, from);
+    await sink.waitForOutput(/To: ops@example\.com, dev@example\.com/, from);
+    await sink.waitForOutput(/Server: edge-1/, from);
+  });
+});
+
+describe('HTTP failures', () => {
+  for (const [status, retryable] of [[400, false], [404, false], [429, true], [500, true], [503, true]]) {
+    test(`HTTP ${status} is ${retryable ? '' : 'not '}retryable`, async () => {
+      await assert.rejects(
+        SENDERS.slack({ config: {}, secrets: { url: `${httpUrl}/fail/${status}` } }, notification()),
+        (err) => err.message === `HTTP ${status}: failing on purpose` && err.retryable === retryable
+      );
+    });
+  }
+
+  test('an unreachable endpoint is retryable', async () => {
+    const port = await freePort();
+    await assert.rejects(
+      SENDERS.slack({ config: {}, secrets: { url: `http://127.0.0.1:${port}/` } }, notification()),
+      (err) => err.retryable !== false
+    );
+  });
+});
+
+describe('deliver', () => {
+  const originalModel = {};
+  const originalDelay = NOTIFICATION_CONFIG.retryDelay;
+
+  before(() => {
+    // Secrets and the delivery log come from the database; the delivery record is returned as built
+    Object.assign(originalModel, {
+      getChannelSecrets: NotificationModel.getChannelSecrets,
+      createDelivery: NotificationModel.createDelivery
+    });
+    NotificationModel.getChannelSecrets = async () => ({ url: null });
+    NotificationModel.createDelivery = async (delivery) => delivery;
+    NOTIFICATION_CONFIG.retryDelay = 1;
+  });
+
+  after(() => {
+    Object.assign(NotificationModel, originalModel);
+    NOTIFICATION_CONFIG.retryDelay = originalDelay;
+  });
+
+  const channelFor = (url) => {
+    NotificationModel.getChannelSecrets = async () => ({ url });
+    return { id: 'channel-1', name: 'Ops', type: 'slack', teamId: 'team-1', config: {} };
+  };
+
+  const countRequests = (pathname, from) => (sink.output().slice(from).match(new RegExp(`\\[http\\] POST ${pathname}\\n`, 'g')) || []).length;
+
+  test('succeeds on the first attempt', async () => {
+    const delivery = await notificationService.deliver(channelFor(`${httpUrl}/ok`), notification());
+    assert.equal(delivery.status, 'success');
+    assert.equal(delivery.attempts, 1);
+    assert.equal(delivery.response, 'HTTP 200: ok');
+    assert.equal(delivery.error, null);
+  });
+
+  for (const status of [429, 500]) {
+    test(`retries HTTP ${status} up to the attempt limit`, async () => {
+      const from = sink.output().length;
+      const delivery = await notificationService.deliver(channelFor(`${httpUrl}/fail/${status}`), notification());
+
+      assert.equal(delivery.status, 'failed');
+      assert.equal(delivery.attempts, NOTIFICATION_CONFIG.maxAttempts);
+      assert.equal(delivery.error, `HTTP ${status}: failing on purpose`);
+      await sink.waitForOutput(new RegExp(`(POST /fail/${status}\\n[\\s\\S]*){${NOTIFICATION_CONFIG.maxAttempts}}`), from);
+      assert.equal(countRequests(`/fail/${status}`, from), NOTIFICATION_CONFIG.maxAttempts);
+    });
+  }
+
+  test('gives up on HTTP 4xx after one attempt', async () => {
+    const from = sink.output().length;
+    const delivery = await notificationService.deliver(channelFor(`${httpUrl}/fail/404`), notification());
+
+    assert.equal(delivery.status, 'failed');
+    assert.equal(delivery.attempts, 1);
+    await sink.waitForOutput(/\[http\] POST \/fail\/404\n/, from);
+    assert.equal(countRequests('/fail/404', from), 1);
+  });
+
+  test('honours a lower attempt limit (test notifications)', async () => {
+    const delivery = await notificationService.deliver(channelFor(`${httpUrl}/fail/500`), notification(), { maxAttempts: 1 });
+    assert.equal(delivery.attempts, 1);
+  });
+});
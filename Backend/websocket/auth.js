@@ -0,0 +1,99 @@
+const { ApiTokenModel } = require('../models');
+const { hasScope } = require('../middleware/apiToken');
+
+/**
+ * Get the room name for a user's sockets
+ * @param {string} userId - User ID
+ * @returns {string}
+ */
+function userRoom(userId) {
+  return `user:${userId}`;
+}
+
+/**
+ * Emit an event to every socket belonging to a user
+ * @param {Server} io - Socket.IO server instance
+ * @param {string} userId - User ID
+ * @param {string} event - Event name
+ * @param {Object} payload - Event payload
+ */
+function emitToUser(io, userId, event, payload) {
+  if (!io || !userId) return;
+  io.to(userRoom(userId)).emit(event, payload);
+}
+
+/**
+ * Read an API token from the socket handshake
+ * Accepts `auth: { token }` from socket.io-client or an Authorization: Bearer header
+ * @param {Socket} socket - Socket.IO socket
+ * @returns {string|null}
+ */
+function getHandshakeToken(socket) {
+  const { auth, headers } = socket.handshake;
+  if (auth && auth.token) return auth.token;
+
+  const header = headers.authorization;
+  if (header && header.startsWith('Bearer ')) return header.slice(7).trim();
+
+  return null;
+}
+
+/**
+ * Authenticate Socket.IO connections
+ * Shares the Express session with the handshake and falls back to API tokens.
+ * Authenticated sockets get socket.data.userId and join their user room.
+ * @param {Server} io - Socket.IO server instance
+ * @param {Function} sessionMiddleware - The express-session middleware used by the app
+ */
+function initSocketAuth(io, sessionMiddleware) {
+  io.engine.use(sessionMiddleware);
+
+  io.use(async (socket, next) => {
+    const session = socket.request.session;
+    if (session && session.userId && !session.twoFactorSetupRequired) {
+      socket.data.userId = session.userId;
+      return next();
+    }
+
+    const token = getHandshakeToken(socket);
+    if (token) {
+      try {
+        const apiToken = await ApiTokenModel.findByToken(token);
+        if (apiToken && !ApiTokenModel.isExpired(apiToken)) {
+          socket.data.userId = apiToken.userId;
+          socket.data.tokenScopes = apiToken.scopes;
+          socket.data.tokenId = apiToken.id;
+          ApiTokenModel.touch(apiToken.id).catch(() => {});
+          return next();
+        }
+      } catch (err) {
+        return next(err);
+      }
+    }
+
+    next(new Error('Authentication required'));
+  });
+
+  io.on('connection', (socket) => {
+    socket.join(userRoom(socket.data.userId));
+  });
+}
+
+/**
+ * Check if a socket may perform an action needing the given token scope
+ * Session-authenticated sockets are always allowed
+ * @param {Socket} socket - Socket.IO socket
+ * @param {string} scope - Required scope (e.g. 'servers:write')
+ * @returns {boolean}
+ */
+function socketHasScope(socket, scope) {
+  if (!socket.data.tokenScopes) return true;
+  return hasScope(socket.data.tokenScopes, scope);
+}
+
+module.exports = {
+  initSocketAuth,
+  socketHasScope,
+  userRoom,
+  emitToUser
+};
@@ -1,5 +1,12 @@
-const { ServerModel, AppModel } = require('../models');
-const { createShell, executeCommand } = require('../services/ssh/connectionManager');
+const shellEscape = require('shell-escape');
+const { AppModel, DeploymentRevisionModel } = require('../models');
+const { checkServerOwnership, checkAppOwnership } = require('../middleware/ownership');
+const { socketHasScope } = require('./auth');
+const { createShell, executeCommand, buildServerConfig } = require('../services/ssh/connectionManager');
+const connectionPool = require('../services/ssh/connectionPool');
+const auditService = require('../services/auditService');
+const { notificationService } = require('../services/notifications');
+const { containerCommand, composeStack } = require('../services/docker');
 
 /**
  * Service installation commands (with version support for nodejs)
@@ -33,76 +40,28 @@ const INSTALL_COMMANDS = {
 const activeSessions = new Map();
 
 /**
- * Build docker run command from app configuration
+ * Record a socket action in the audit log (sockets bypass the HTTP audit middleware)
+ * @param {Socket} socket - Client socket
+ * @param {string} action - Action name, e.g. "terminal.open"
+ * @param {Object} server - Target server record
+ * @param {Object} details - Extra details
  */
-function buildDockerCommand(app, portMappings) {
-  let cmd = 'docker run -d';
-  
-  // Container name based on app name with timestamp
-  const timestamp = Date.now();
-  const baseContainerName = app.name.toLowerCase().replace(/[^a-z0-9]/g, '-');
-  const containerName = `${baseContainerName}-${timestamp}`;
-  cmd += ` --name ${containerName}`;
-  
-  // Port mappings
-  if (portMappings && portMappings.length > 0) {
-    portMappings.forEach(port => {
-      if (port.host && port.container) {
-        cmd += ` -p ${port.host}:${port.container}`;
-      }
-    });
-  } else if (app.ports && app.ports.length > 0) {
-    app.ports.forEach(port => {
-      if (port.host && port.container) {
-        cmd += ` -p ${port.host}:${port.container}`;
-      }
-    });
-  }
-  
-  // Environment variables
-  if (app.env_vars && app.env_vars.length > 0) {
-    app.env_vars.forEach(envVar => {
-      if (envVar.key && envVar.value) {
-        cmd += ` -e "${envVar.key}=${envVar.value}"`;
-      }
-    });
-  }
-  
-  // Volumes
-  if (app.volumes && app.volumes.length > 0) {
-    app.volumes.forEach(vol => {
-      if (vol.host && vol.container) {
-        cmd += ` -v ${vol.host}:${vol.container}`;
-      }
+async function auditSocketAction(socket, action, server, details = {}) {
+  try {
+    const session = {
+      userId: socket.data.userId,
+      apiToken: socket.data.tokenId ? { id: socket.data.tokenId } : null
+    };
+    await auditService.record({
+      actor: await auditService.getActor(session),
+      ip: auditService.normalizeIp(socket.handshake.address),
+      action,
+      target: { type: 'server', id: server.id, label: server.displayName || server.name || server.ip },
+      details
     });
+  } catch (err) {
+    console.error('Failed to record audit entry:', err.message);
   }
-  
-  // Restart policy
-  if (app.restart_policy) {
-    cmd += ` --restart ${app.restart_policy}`;
-  }
-  
-  // Network mode
-  if (app.network_mode) {
-    cmd += ` --network ${app.network_mode}`;
-  }
-  
-  // Custom arguments (added before image)
-  if (app.custom_args && app.custom_args.trim()) {
-    cmd += ` ${app.custom_args.trim()}`;
-  }
-  
-  // Image with tag
-  const image = app.image;
-  const tag = app.tag || 'latest';
-  cmd += ` ${image}:${tag}`;
-  
-  // Custom command if specified
-  if (app.command) {
-    cmd += ` ${app.command}`;
-  }
-  
-  return { cmd, containerName };
 }
 
 /**
@@ -110,20 +69,40 @@ function buildDockerCommand(app, portMappings) {
  * @param {Server} io - Socket.IO server instance
  */
 function initTerminalHandlers(io) {
+  // Forget a terminal session and record how long it was open (runs once per session)
+  const closeSession = (socket) => {
+    const session = activeSessions.get(socket.id);
+    if (!session) return;
+    activeSessions.delete(socket.id);
+    auditSocketAction(socket, 'terminal.close', session.server, {
+      durationSeconds: Math.round((Date.now() - session.openedAt) / 1000)
+    });
+  };
+
   io.on('connection', (socket) => {
     console.log('Client connected:', socket.id);
 
     // Handle app deployment
     socket.on('deploy-app', async ({ appId, serverId, portMappings, nickname, icon, iconUrl }) => {
+      // Known once access checks pass, for the failure notification
+      let app = null;
+      let server = null;
+
       try {
+        if (!socketHasScope(socket, 'deployments:write')) {
+          socket.emit('deploy-error', { message: "API token is missing the 'deployments:write' scope" });
+          return;
+        }
+
         socket.emit('deploy-output', { data: '>>> Starting deployment...\n' });
         
-        // Fetch app and server details
-        const app = await AppModel.findById(appId);
-        if (!app) {
-          socket.emit('deploy-error', { message: 'App not found' });
+        // Fetch app and server details (the user must be an operator on both)
+        const appCheck = await checkAppOwnership(appId, socket.data.userId, 'operate');
+        if (appCheck.error) {
+          socket.emit('deploy-error', { message: appCheck.error });
           return;
         }
+        app = appCheck.app;
         
         // Parse JSON fields if they're strings
         if (app.ports && typeof app.ports === 'string') {
@@ -136,65 +115,105 @@ function initTerminalHandlers(io) {
           app.volumes = JSON.parse(app.volumes);
         }
         
-        const server = await ServerModel.findById(serverId);
-        if (!server) {
-          socket.emit('deploy-error', { message: 'Server not found' });
+        const serverCheck = await checkServerOwnership(serverId, socket.data.userId, 'operate');
+        if (serverCheck.error) {
+          socket.emit('deploy-error', { message: serverCheck.error });
           return;
         }
+        server = serverCheck.server;
         
         socket.emit('deploy-output', { data: `>>> Connecting to ${server.name} (${server.ip})...\n` });
         
-        // Handle custom registry login if needed
-        if (app.registry_url && app.registry_username && app.registry_password) {
+        // Handle custom registry login if needed (the password is only decrypted in memory)
+        const registryPassword = AppModel.getRegistryPassword(app);
+        if (app.registry_url && app.registry_username && registryPassword) {
           socket.emit('deploy-output', { data: `>>> Logging into custom registry: ${app.registry_url}...\n` });
           try {
-            await executeCommand({
-              host: server.ip,
-              username: server.username,
-              privateKeyPath: server.private_key_path
-            }, `echo "${app.registry_password}" | docker login ${app.registry_url} -u ${app.registry_username} --password-stdin`);
+            await executeCommand(buildServerConfig(server), containerCommand.buildRegistryLoginCommand(app, registryPassword));
             socket.emit('deploy-output', { data: '>>> Registry login successful\n' });
           } catch (loginErr) {
             socket.emit('deploy-output', { data: `>>> Warning: Registry login failed: ${loginErr.message}\n` });
           }
         }
         
+        // Compose apps run as a compose project named like a container
+        if (app.type === 'compose') {
+          const validation = composeStack.validateComposeFile(app.compose_file);
+          if (validation.error) {
+            socket.emit('deploy-error', { message: `Invalid compose file: ${validation.error}` });
+            return;
+          }
+          const project = containerCommand.generateContainerName(app.name);
+          const serverConfig = buildServerConfig(server);
+
+          socket.emit('deploy-output', { data: `>>> Deploying stack ${project} (${validation.services.join(', ')})...\n` });
+          try {
+            await composeStack.up(serverConfig, project, app.compose_file, (data) => socket.emit('deploy-output', { data }));
+          } catch (upErr) {
+            // Nothing records a half-started stack, so don't leave one behind
+            await composeStack.down(serverConfig, project).catch(() => {});
+            throw upErr;
+          }
+
+          const services = await composeStack.listServices(serverConfig, project);
+          socket.emit('deploy-output', { data: `>>> ${services.filter(service => service.state === 'running').length}/${services.length} containers running\n` });
+
+          const deployment = await AppModel.createDeployment({
+            appId,
+            serverId,
+            containerName: project,
+            composeProject: project,
+            status: 'running',
+            portMappings: validation.ports,
+            nickname: nickname || null,
+            icon: icon || app.icon,
+            iconUrl: iconUrl || app.icon_url
+          });
+
+          auditSocketAction(socket, 'deployment.create', server, {
+            appId,
+            appName: app.name,
+            composeProject: project,
+            services: validation.services,
+            deploymentId: deployment.id
+          });
+
+          socket.emit('deploy-output', { data: '\n>>> Deployment complete!\n' });
+          socket.emit('deploy-complete', { success: true, deploymentId: deployment.id });
+          return;
+        }
+
         // Check if image is configured
         if (!app.image) {
           socket.emit('deploy-error', { message: 'No Docker image configured for this app. Please configure the app with a Docker image first.' });
           return;
         }
         
+        // Container settings (ports chosen in the deploy dialog win over the app's)
+        const spec = containerCommand.resolveContainerSpec(
+          app,
+          null,
+          portMappings && portMappings.length > 0 ? { ports: portMappings } : {}
+        );
+        const cmd = containerCommand.buildRunCommand(spec);
+        const containerName = spec.name;
+        const fullImage = spec.image;
+
         // Pull the image
-        const image = app.image;
-        const tag = app.tag || 'latest';
-        const fullImage = app.registry_url 
-          ? `${app.registry_url}/${image}:${tag}` 
-          : `${image}:${tag}`;
-        
         socket.emit('deploy-output', { data: `>>> Pulling image: ${fullImage}...\n` });
         
         try {
-          const pullResult = await executeCommand({
-            host: server.ip,
-            username: server.username,
-            privateKeyPath: server.private_key_path
-          }, `docker pull ${fullImage}`);
+          const pullResult = await executeCommand(buildServerConfig(server), shellEscape(['docker', 'pull', fullImage]));
           socket.emit('deploy-output', { data: pullResult.stdout + '\n' });
         } catch (pullErr) {
           socket.emit('deploy-output', { data: `>>> Warning: Pull failed (may use cached image): ${pullErr.message}\n` });
         }
         
-        // Build and run the container
-        const { cmd, containerName } = buildDockerCommand(app, portMappings);
+        // Run the container
         socket.emit('deploy-output', { data: `>>> Running container...\n` });
         socket.emit('deploy-output', { data: `>>> Command: ${cmd}\n\n` });
         
-        const runResult = await executeCommand({
-          host: server.ip,
-          username: server.username,
-          privateKeyPath: server.private_key_path
-        }, cmd);
+        const runResult = await executeCommand(buildServerConfig(server), cmd);
         
         // Docker run returns the full container ID - extract it properly
         const fullOutput = runResult.stdout.trim();
@@ -212,11 +231,7 @@ function initTerminalHandlers(io) {
         // Get the actual container name (docker may have modified it)
         let actualContainerName = containerName;
         try {
-          const inspectResult = await executeCommand({
-            host: server.ip,
-            username: server.username,
-            privateKeyPath: server.private_key_path
-          }, `docker inspect --format='{{.Name}}' ${containerId}`);
+          const inspectResult = await executeCommand(buildServerConfig(server), `docker inspect --format='{{.Name}}' ${containerId}`);
           actualContainerName = inspectResult.stdout.trim().replace(/^\//, '');
         } catch (err) {
           // Use default name
@@ -234,7 +249,16 @@ function initTerminalHandlers(io) {
           icon: icon || app.icon,
           iconUrl: iconUrl || app.icon_url
         });
+        await DeploymentRevisionModel.create(deployment.id, { spec, reason: 'deploy', userId: socket.data.userId });
         
+        auditSocketAction(socket, 'deployment.create', server, {
+          appId,
+          appName: app.name,
+          image: fullImage,
+          deploymentId: deployment.id,
+          containerId
+        });
+
         socket.emit('deploy-output', { data: '\n>>> Deployment complete!\n' });
         socket.emit('deploy-complete', { success: true, deploymentId: deployment.id });
         
@@ -242,6 +266,21 @@ function initTerminalHandlers(io) {
         console.error('Deployment error:', error);
         socket.emit('deploy-output', { data: `\n>>> Deployment failed: ${error.message}\n` });
         socket.emit('deploy-error', { message: error.message });
+
+        if (app && server) {
+          const serverName = server.displayName || server.name || server.ip;
+          notificationService.notify('deployment.failed', {
+            teamId: server.teamId,
+            title: `Deployment of ${app.name} failed on ${serverName}`,
+            message: error.message,
+            severity: 'error',
+            fields: [
+              { name: 'App', value: app.name },
+              { name: 'Server', value: serverName }
+            ],
+            data: { appId: app.id, serverId: server.id }
+          });
+        }
       }
     });
 
@@ -250,11 +289,17 @@ function initTerminalHandlers(io) {
       try {
         console.log(`Installing ${serviceName} on server ${serverId}${version ? ` (version ${version})` : ''}`);
         
-        const server = await ServerModel.findById(serverId);
-        if (!server) {
-          socket.emit('install-error', { message: 'Server not found' });
+        if (!socketHasScope(socket, 'servers:write')) {
+          socket.emit('install-error', { message: "API token is missing the 'servers:write' scope" });
+          return;
+        }
+
+        const check = await checkServerOwnership(serverId, socket.data.userId, 'operate');
+        if (check.error) {
+          socket.emit('install-error', { message: check.error });
           return;
         }
+        const server = check.server;
 
         // Get install command
         let installCmd = INSTALL_COMMANDS[serviceName.toLowerCase()];
@@ -268,69 +313,60 @@ function initTerminalHandlers(io) {
           installCmd = installCmd(version);
         }
 
+        auditSocketAction(socket, 'service.install', server, { service: serviceName, version: version || null });
+
         socket.emit('install-output', { data: `>>> Installing ${serviceName}...\n` });
         socket.emit('install-output', { data: `>>> Running: ${installCmd}\n\n` });
 
-        // Create SSH connection for exec with streaming
-        const { Client } = require('ssh2');
-        const fs = require('fs');
-        const conn = new Client();
+        // Create a dedicated SSH connection for exec with streaming
+        const conn = await connectionPool.connect(buildServerConfig(server));
 
-        conn.on('ready', () => {
-          // Use exec instead of shell for proper exit code handling
-          conn.exec(installCmd, { pty: true }, (err, stream) => {
-            if (err) {
-              socket.emit('install-error', { message: err.message });
-              conn.end();
-              return;
-            }
+        conn.on('error', (err) => {
+          socket.emit('install-error', { message: err.message });
+        });
 
-            let hasError = false;
-
-            stream.on('data', (data) => {
-              const text = data.toString('utf-8');
-              socket.emit('install-output', { data: text });
-              
-              // Check for common sudo password prompts
-              if (text.includes('[sudo] password') || text.includes('password is required')) {
-                hasError = true;
-                socket.emit('install-error', { 
-                  message: 'Sudo password is required. Please configure passwordless sudo or use a root user.' 
-                });
-                stream.close();
-                conn.end();
-              }
-            });
-
-            stream.stderr.on('data', (data) => {
-              const text = data.toString('utf-8');
-              socket.emit('install-output', { data: text });
-            });
-
-            stream.on('close', (code) => {
-              if (!hasError) {
-                if (code === 0) {
-                  socket.emit('install-output', { data: `\n>>> ${serviceName} installation complete!\n` });
-                  socket.emit('install-complete', { success: true, message: `${serviceName} installed successfully` });
-                } else {
-                  socket.emit('install-output', { data: `\n>>> Installation failed with exit code ${code}\n` });
-                  socket.emit('install-complete', { success: false, message: `Installation failed with exit code ${code}` });
-                }
-              }
+        // Use exec instead of shell for proper exit code handling
+        conn.exec(installCmd, { pty: true }, (err, stream) => {
+          if (err) {
+            socket.emit('install-error', { message: err.message });
+            conn.end();
+            return;
+          }
+
+          let hasError = false;
+
+          stream.on('data', (data) => {
+            const text = data.toString('utf-8');
+            socket.emit('install-output', { data: text });
+            
+            // Check for common sudo password prompts
+            if (text.includes('[sudo] password') || text.includes('password is required')) {
+              hasError = true;
+              socket.emit('install-error', { 
+                message: 'Sudo password is required. Please configure passwordless sudo or use a root user.' 
+              });
+              stream.close();
               conn.end();
-            });
+            }
           });
-        });
 
-        conn.on('error', (err) => {
-          socket.emit('install-error', { message: err.message });
-        });
+          stream.stderr.on('data', (data) => {
+            const text = data.toString('utf-8');
+            socket.emit('install-output', { data: text });
+          });
 
-        conn.connect({
-          host: server.ip,
-          port: 22,
-          username: server.username,
-          privateKey: fs.readFileSync(server.privateKeyPath)
+          stream.on('close', (code) => {
+            if (!hasError) {
+              if (code === 0) {
+                socket.emit('install-output', { data: `\n>>> ${serviceName} installation complete!\n` });
+                socket.emit('install-complete', { success: true, message: `${serviceName} installed successfully` });
+              } else {
+                socket.emit('install-output', { data: `\n>>> Installation failed with exit code ${code}\n` });
+                socket.emit('install-complete', { success: false, message: `Installation failed with exit code ${code}` });
+              }
+            }
+            conn.end();
+          });
         });
 
       } catch (error) {
@@ -342,24 +378,26 @@ function initTerminalHandlers(io) {
     // Start terminal session
     socket.on('start-terminal', async ({ serverId }) => {
       try {
-        const server = await ServerModel.findById(serverId);
+        if (!socketHasScope(socket, 'servers:write')) {
+          socket.emit('error', { message: "API token is missing the 'servers:write' scope" });
+          return;
+        }
 
-        if (!server) {
-          socket.emit('error', { message: 'Server not found' });
+        const check = await checkServerOwnership(serverId, socket.data.userId, 'operate');
+        if (check.error) {
+          socket.emit('error', { message: check.error });
           return;
         }
+        const server = check.server;
 
         // Create SSH shell session
-        const { conn, stream } = await createShell({
-          host: server.ip,
-          username: server.username,
-          privateKeyPath: server.privateKeyPath
-        });
+        const { conn, stream } = await createShell(buildServerConfig(server));
 
         socket.emit('status', { message: 'Connected to server' });
 
         // Store the session
-        activeSessions.set(socket.id, { conn, stream, serverId });
+        activeSessions.set(socket.id, { conn, stream, serverId, server, openedAt: Date.now() });
+        auditSocketAction(socket, 'terminal.open', server);
 
         // Send data from server to client
         stream.on('data', (data) => {
@@ -373,7 +411,7 @@ function initTerminalHandlers(io) {
         stream.on('close', () => {
           socket.emit('status', { message: 'Terminal closed' });
           conn.end();
-          activeSessions.delete(socket.id);
+          closeSession(socket);
         });
 
       } catch (error) {
@@ -405,7 +443,7 @@ function initTerminalHandlers(io) {
       if (session) {
         if (session.stream) session.stream.end();
         if (session.conn) session.conn.end();
-        activeSessions.delete(socket.id);
+        closeSession(socket);
       }
     });
   });
@@ -17,6 +17,8 @@ import Apps from './pages/Apps';
 import AppDetail from './pages/AppDetail';
 import Settings from './pages/Settings';
 import Storage from './pages/Storage';
+import Teams from './pages/Teams';
+import Alerts from './pages/Alerts';
 import Docs from './pages/Docs';
 import ComingSoon from './components/ComingSoon';
 import './styles/global.css';
@@ -50,6 +52,8 @@ function App() {
                   <Route path="/apps" element={<Apps />} />
                   <Route path="/apps/:id" element={<AppDetail />} />
                   <Route path="/storage" element={<Storage />} />
+                  <Route path="/teams" element={<Teams />} />
+                  <Route path="/alerts" element={<Alerts />} />
                   <Route path="/connections" element={<ComingSoon title="Connections" icon="🔗" />} />
                   <Route path="/docs" element={<Docs />} />
                   <Route path="/settings" element={<Settings />} />
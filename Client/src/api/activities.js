@@ -7,9 +7,4 @@ export const activitiesService = {
     });
     return response.data;
   },
-
-  addActivity: async (data) => {
-    const response = await api.post('/activities', data);
-    return response.data;
-  },
 };
@@ -0,0 +1,74 @@
+import api from './axiosConfig';
+
+export const adminService = {
+  getUsers: async () => {
+    const response = await api.get('/admin/users');
+    return response.data;
+  },
+
+  updateUser: async ({ id, ...data }) => {
+    const response = await api.put(`/admin/users/${id}`, data);
+    return response.data;
+  },
+
+  resetTwoFactor: async (id) => {
+    const response = await api.delete(`/admin/users/${id}/2fa`);
+    return response.data;
+  },
+
+  deleteUser: async (id) => {
+    const response = await api.delete(`/admin/users/${id}`);
+    return response.data;
+  },
+
+  getInvitations: async () => {
+    const response = await api.get('/admin/invitations');
+    return response.data;
+  },
+
+  createInvitation: async (email) => {
+    const response = await api.post('/admin/invitations', { email });
+    return response.data;
+  },
+
+  revokeInvitation: async (id) => {
+    const response = await api.delete(`/admin/invitations/${id}`);
+    return response.data;
+  },
+
+  getSettings: async () => {
+    const response = await api.get('/admin/settings');
+    return response.data;
+  },
+
+  updateSettings: async (data) => {
+    const response = await api.put('/admin/settings', data);
+    return response.data;
+  },
+
+  getAuditLog: async (params) => {
+    const response = await api.get('/admin/audit', { params });
+    return response.data;
+  },
+
+  exportAuditLog: async (params, format) => {
+    const response = await api.get('/admin/audit/export', {
+      params: { ...params, format },
+      responseType: 'blob',
+    });
+
+    const url = window.URL.createObjectURL(new Blob([response.data]));
+    const link = document.createElement('a');
+    link.href = url;
+    link.setAttribute('download', `audit-log-${new Date().toISOString().slice(0, 10)}.${format}`);
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    window.URL.revokeObjectURL(url);
+  },
+
+  verifyAuditLog: async () => {
+    const response = await api.get('/admin/audit/verify');
+    return response.data;
+  },
+};
@@ -0,0 +1,33 @@
+import api from './axiosConfig';
+
+export const alertsService = {
+  getMetrics: async () => {
+    const response = await api.get('/alerts/metrics');
+    return response.data;
+  },
+
+  getRules: async () => {
+    const response = await api.get('/alerts/rules');
+    return response.data;
+  },
+
+  createRule: async (rule) => {
+    const response = await api.post('/alerts/rules', rule);
+    return response.data;
+  },
+
+  updateRule: async ({ id, ...rule }) => {
+    const response = await api.put(`/alerts/rules/${id}`, rule);
+    return response.data;
+  },
+
+  deleteRule: async (id) => {
+    const response = await api.delete(`/alerts/rules/${id}`);
+    return response.data;
+  },
+
+  getAlerts: async (params) => {
+    const response = await api.get('/alerts', { params });
+    return response.data;
+  },
+};
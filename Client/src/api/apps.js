@@ -76,8 +76,20 @@ export const appsService = {
     return response.data;
   },
 
-  getDeploymentLogs: async (appId, deploymentId, lines = 100) => {
-    const response = await api.get(`/apps/${appId}/deployments/${deploymentId}/logs`, { params: { lines } });
+  getDeploymentStatsHistory: async (appId, deploymentId, hours = 24) => {
+    const response = await api.get(`/apps/${appId}/deployments/${deploymentId}/stats/history`, { params: { hours } });
+    return response.data;
+  },
+
+  getDeploymentLogs: async (appId, deploymentId, lines = 100, service = null) => {
+    const params = service ? { lines, service } : { lines };
+    const response = await api.get(`/apps/${appId}/deployments/${deploymentId}/logs`, { params });
+    return response.data;
+  },
+
+  // Containers of a compose stack with their service, state and stats
+  getDeploymentServices: async (appId, deploymentId) => {
+    const response = await api.get(`/apps/${appId}/deployments/${deploymentId}/services`);
     return response.data;
   },
 
@@ -96,6 +108,64 @@ export const appsService = {
     return response.data;
   },
 
+  // Rolling updates to an image tag (progress arrives as `deployment-update-progress`)
+  rollingUpdateDeployment: async (appId, deploymentId, tag) => {
+    const response = await api.post(`/apps/${appId}/deployments/${deploymentId}/update`, { tag });
+    return response.data;
+  },
+
+  rollingUpdateApp: async (appId, tag) => {
+    const response = await api.post(`/apps/${appId}/update`, { tag });
+    return response.data;
+  },
+
+  checkImageUpdates: async (appId) => {
+    const response = await api.post(`/apps/${appId}/image-updates/check`);
+    return response.data;
+  },
+
+  // Deployment revisions
+  getDeploymentRevisions: async (appId, deploymentId) => {
+    const response = await api.get(`/apps/${appId}/deployments/${deploymentId}/revisions`);
+    return response.data;
+  },
+
+  rollbackDeploymentRevision: async (appId, deploymentId, revisionId) => {
+    const response = await api.post(`/apps/${appId}/deployments/${deploymentId}/revisions/${revisionId}/rollback`);
+    return response.data;
+  },
+
+  // Deployment health checks
+  getDeploymentChecks: async (appId, deploymentId) => {
+    const response = await api.get(`/apps/${appId}/deployments/${deploymentId}/checks`);
+    return response.data;
+  },
+
+  createDeploymentCheck: async (appId, deploymentId, check) => {
+    const response = await api.post(`/apps/${appId}/deployments/${deploymentId}/checks`, check);
+    return response.data;
+  },
+
+  updateDeploymentCheck: async (appId, deploymentId, checkId, check) => {
+    const response = await api.put(`/apps/${appId}/deployments/${deploymentId}/checks/${checkId}`, check);
+    return response.data;
+  },
+
+  deleteDeploymentCheck: async (appId, deploymentId, checkId) => {
+    const response = await api.delete(`/apps/${appId}/deployments/${deploymentId}/checks/${checkId}`);
+    return response.data;
+  },
+
+  runDeploymentCheck: async (appId, deploymentId, checkId) => {
+    const response = await api.post(`/apps/${appId}/deployments/${deploymentId}/checks/${checkId}/run`);
+    return response.data;
+  },
+
+  getDeploymentCheckResults: async (appId, deploymentId, checkId, hours = 24) => {
+    const response = await api.get(`/apps/${appId}/deployments/${deploymentId}/checks/${checkId}/results`, { params: { hours } });
+    return response.data;
+  },
+
   // Container file browsing
   getContainerFiles: async (appId, deploymentId, path = '/') => {
     const response = await api.get(`/apps/${appId}/deployments/${deploymentId}/files`, {
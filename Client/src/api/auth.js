@@ -16,6 +16,11 @@ export const authService = {
     return response.data;
   },
 
+  verifyTwoFactor: async (data) => {
+    const response = await api.post('/auth/login/2fa', data);
+    return response.data;
+  },
+
   logout: async () => {
     const response = await api.post('/auth/logout');
     return response.data;
@@ -25,4 +30,54 @@ export const authService = {
     const response = await api.get('/auth/me');
     return response.data;
   },
+
+  changePassword: async (data) => {
+    const response = await api.put('/auth/password', data);
+    return response.data;
+  },
+
+  deleteAccount: async (password) => {
+    const response = await api.delete('/auth/account', { data: { password } });
+    return response.data;
+  },
+
+  getTwoFactorStatus: async () => {
+    const response = await api.get('/auth/2fa');
+    return response.data;
+  },
+
+  setupTwoFactor: async () => {
+    const response = await api.post('/auth/2fa/setup');
+    return response.data;
+  },
+
+  enableTwoFactor: async (code) => {
+    const response = await api.post('/auth/2fa/enable', { code });
+    return response.data;
+  },
+
+  disableTwoFactor: async (data) => {
+    const response = await api.post('/auth/2fa/disable', data);
+    return response.data;
+  },
+
+  regenerateRecoveryCodes: async (code) => {
+    const response = await api.post('/auth/2fa/recovery-codes', { code });
+    return response.data;
+  },
+
+  getSessions: async () => {
+    const response = await api.get('/auth/sessions');
+    return response.data;
+  },
+
+  revokeSession: async (id) => {
+    const response = await api.delete(`/auth/sessions/${id}`);
+    return response.data;
+  },
+
+  revokeOtherSessions: async () => {
+    const response = await api.delete('/auth/sessions');
+    return response.data;
+  },
 };
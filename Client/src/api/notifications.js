@@ -0,0 +1,38 @@
+import api from './axiosConfig';
+
+export const notificationsService = {
+  getOptions: async () => {
+    const response = await api.get('/notifications/options');
+    return response.data;
+  },
+
+  getChannels: async () => {
+    const response = await api.get('/notifications/channels');
+    return response.data;
+  },
+
+  createChannel: async (channel) => {
+    const response = await api.post('/notifications/channels', channel);
+    return response.data;
+  },
+
+  updateChannel: async ({ id, ...channel }) => {
+    const response = await api.put(`/notifications/channels/${id}`, channel);
+    return response.data;
+  },
+
+  deleteChannel: async (id) => {
+    const response = await api.delete(`/notifications/channels/${id}`);
+    return response.data;
+  },
+
+  testChannel: async (id) => {
+    const response = await api.post(`/notifications/channels/${id}/test`);
+    return response.data;
+  },
+
+  getDeliveries: async (params) => {
+    const response = await api.get('/notifications/deliveries', { params });
+    return response.data;
+  },
+};
@@ -16,6 +16,26 @@ export const serversService = {
     return response.data;
   },
 
+  adoptServer: async (data) => {
+    const response = await api.post('/servers/adopt', data);
+    return response.data;
+  },
+
+  importServers: async (data) => {
+    const response = await api.post('/servers/import', data);
+    return response.data;
+  },
+
+  rotateServerKey: async (id) => {
+    const response = await api.post(`/servers/${id}/rotate-key`);
+    return response.data;
+  },
+
+  rotateServerKeys: async (serverIds) => {
+    const response = await api.post('/servers/rotate-keys', { serverIds });
+    return response.data;
+  },
+
   updateServer: async (id, data) => {
     const response = await api.put(`/servers/${id}`, data);
     return response.data;
@@ -37,6 +57,11 @@ export const serversService = {
     return response.data;
   },
 
+  getUptime: async (id, hours = 24) => {
+    const response = await api.get(`/servers/${id}/uptime?hours=${hours}`);
+    return response.data;
+  },
+
   getMetrics: async (id) => {
     const response = await api.get(`/servers/${id}/metrics`);
     return response.data;
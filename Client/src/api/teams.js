@@ -0,0 +1,68 @@
+import api from './axiosConfig';
+
+export const teamsService = {
+  getTeams: async () => {
+    const response = await api.get('/teams');
+    return response.data;
+  },
+
+  createTeam: async (name) => {
+    const response = await api.post('/teams', { name });
+    return response.data;
+  },
+
+  renameTeam: async (id, name) => {
+    const response = await api.put(`/teams/${id}`, { name });
+    return response.data;
+  },
+
+  deleteTeam: async (id) => {
+    const response = await api.delete(`/teams/${id}`);
+    return response.data;
+  },
+
+  getMembers: async (id) => {
+    const response = await api.get(`/teams/${id}/members`);
+    return response.data;
+  },
+
+  updateMemberRole: async (id, userId, role) => {
+    const response = await api.put(`/teams/${id}/members/${userId}`, { role });
+    return response.data;
+  },
+
+  removeMember: async (id, userId) => {
+    const response = await api.delete(`/teams/${id}/members/${userId}`);
+    return response.data;
+  },
+
+  getInvitations: async (id) => {
+    const response = await api.get(`/teams/${id}/invitations`);
+    return response.data;
+  },
+
+  inviteMember: async (id, data) => {
+    const response = await api.post(`/teams/${id}/invitations`, data);
+    return response.data;
+  },
+
+  revokeInvitation: async (id, invitationId) => {
+    const response = await api.delete(`/teams/${id}/invitations/${invitationId}`);
+    return response.data;
+  },
+
+  previewInvitation: async (token) => {
+    const response = await api.get('/teams/invitations/preview', { params: { token } });
+    return response.data;
+  },
+
+  acceptInvitation: async (token) => {
+    const response = await api.post('/teams/invitations/accept', { token });
+    return response.data;
+  },
+
+  declineInvitation: async (token) => {
+    const response = await api.post('/teams/invitations/decline', { token });
+    return response.data;
+  },
+};
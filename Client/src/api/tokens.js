@@ -0,0 +1,23 @@
+import api from './axiosConfig';
+
+export const tokensService = {
+  getTokens: async () => {
+    const response = await api.get('/tokens');
+    return response.data;
+  },
+
+  getScopes: async () => {
+    const response = await api.get('/tokens/scopes');
+    return response.data;
+  },
+
+  createToken: async (data) => {
+    const response = await api.post('/tokens', data);
+    return response.data;
+  },
+
+  revokeToken: async (id) => {
+    const response = await api.delete(`/tokens/${id}`);
+    return response.data;
+  },
+};
@@ -0,0 +1,238 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import Button from './Button';
+import Modal from './Modal';
+import ConfirmModal from './ConfirmModal';
+import { KeyIcon, CopyIcon, TrashIcon, PlusIcon } from './Icons';
+import { tokensService } from '../api/tokens';
+import { showSuccess, showError, showCopied } from '../utils/toast';
+import styles from './ApiTokensSection.module.css';
+
+const emptyForm = { name: '', scopes: [], expiresInDays: '30' };
+
+const ApiTokensSection = () => {
+  const queryClient = useQueryClient();
+  const [showCreateModal, setShowCreateModal] = useState(false);
+  const [formData, setFormData] = useState(emptyForm);
+  const [createdToken, setCreatedToken] = useState(null);
+  const [tokenToRevoke, setTokenToRevoke] = useState(null);
+
+  const { data: tokens = [], isLoading } = useQuery({
+    queryKey: ['api-tokens'],
+    queryFn: tokensService.getTokens,
+  });
+
+  const { data: scopes = [] } = useQuery({
+    queryKey: ['api-token-scopes'],
+    queryFn: tokensService.getScopes,
+    staleTime: Infinity, // Scopes only change with a backend release
+  });
+
+  const createMutation = useMutation({
+    mutationFn: tokensService.createToken,
+    onSuccess: (data) => {
+      queryClient.invalidateQueries({ queryKey: ['api-tokens'] });
+      setShowCreateModal(false);
+      setFormData(emptyForm);
+      setCreatedToken(data.token);
+    },
+    onError: (error) => {
+      showError(error.response?.data?.error || 'Failed to create token');
+    },
+  });
+
+  const revokeMutation = useMutation({
+    mutationFn: tokensService.revokeToken,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['api-tokens'] });
+      showSuccess('API token revoked');
+    },
+    onError: (error) => {
+      showError(error.response?.data?.error || 'Failed to revoke token');
+    },
+  });
+
+  const toggleScope = (scope) => {
+    setFormData(prev => ({
+      ...prev,
+      scopes: prev.scopes.includes(scope)
+        ? prev.scopes.filter(s => s !== scope)
+        : [...prev.scopes, scope],
+    }));
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    createMutation.mutate({
+      name: formData.name,
+      scopes: formData.scopes,
+      expiresInDays: formData.expiresInDays ? parseInt(formData.expiresInDays) : null,
+    });
+  };
+
+  const handleCopy = async () => {
+    await navigator.clipboard.writeText(createdToken);
+    showCopied('Token copied to clipboard');
+  };
+
+  const formatDate = (dateString) => {
+    if (!dateString) return 'Never';
+    return new Date(dateString).toLocaleDateString();
+  };
+
+  const isExpired = (token) => token.expiresAt && new Date(token.expiresAt) <= new Date();
+
+  return (
+    <div className={styles.section}>
+      <div className={styles.header}>
+        <div>
+          <div className={styles.title}>
+            <KeyIcon size={18} />
+            API Tokens
+          </div>
+          <p className={styles.description}>
+            Personal access tokens let scripts and CI call the REST API with an{' '}
+            <code>Authorization: Bearer</code> header.
+          </p>
+        </div>
+        <Button size="small" onClick={() => setShowCreateModal(true)}>
+          <PlusIcon size={16} /> New Token
+        </Button>
+      </div>
+
+      {isLoading ? (
+        <p className={styles.empty}>Loading tokens...</p>
+      ) : tokens.length === 0 ? (
+        <p className={styles.empty}>No API tokens yet.</p>
+      ) : (
+        <div className={styles.tokenList}>
+          {tokens.map(token => (
+            <div key={token.id} className={styles.tokenRow}>
+              <div className={styles.tokenInfo}>
+                <div className={styles.tokenName}>
+                  {token.name}
+                  {isExpired(token) && <span className={styles.expiredBadge}>Expired</span>}
+                </div>
+                <div className={styles.tokenMeta}>
+                  <code>{token.tokenPrefix}…</code>
+                  <span>Expires: {formatDate(token.expiresAt)}</span>
+                  <span>Last used: {formatDate(token.lastUsedAt)}</span>
+                </div>
+                <div className={styles.scopeList}>
+                  {token.scopes.map(scope => (
+                    <span key={scope} className={styles.scope}>{scope}</span>
+                  ))}
+                </div>
+              </div>
+              <Button
+                variant="danger"
+                size="small"
+                onClick={() => setTokenToRevoke(token)}
+                title="Revoke token"
+              >
+                <TrashIcon size={16} />
+              </Button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Create Token Modal */}
+      <Modal
+        isOpen={showCreateModal}
+        onClose={() => setShowCreateModal(false)}
+        title="New API Token"
+      >
+        <form onSubmit={handleCreate} className={styles.form}>
+          <div className={styles.formGroup}>
+            <label className={styles.label}>Name</label>
+            <input
+              type="text"
+              className={styles.input}
+              value={formData.name}
+              onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+              placeholder="e.g. GitHub Actions deploy"
+              maxLength={100}
+              required
+            />
+          </div>
+
+          <div className={styles.formGroup}>
+            <label className={styles.label}>Expires</label>
+            <select
+              className={styles.input}
+              value={formData.expiresInDays}
+              onChange={(e) => setFormData({ ...formData, expiresInDays: e.target.value })}
+            >
+              <option value="7">In 7 days</option>
+              <option value="30">In 30 days</option>
+              <option value="90">In 90 days</option>
+              <option value="365">In 1 year</option>
+              <option value="">Never</option>
+            </select>
+          </div>
+
+          <div className={styles.formGroup}>
+            <label className={styles.label}>Scopes</label>
+            <div className={styles.scopeGrid}>
+              {scopes.map(scope => (
+                <label key={scope} className={styles.scopeOption}>
+                  <input
+                    type="checkbox"
+                    checked={formData.scopes.includes(scope)}
+                    onChange={() => toggleScope(scope)}
+                  />
+                  {scope}
+                </label>
+              ))}
+            </div>
+            <span className={styles.hint}>A write scope also grants read access to the same resource.</span>
+          </div>
+
+          <div className={styles.actions}>
+            <Button variant="outline" onClick={() => setShowCreateModal(false)}>
+              Cancel
+            </Button>
+            <Button
+              type="submit"
+              disabled={!formData.name.trim() || formData.scopes.length === 0 || createMutation.isPending}
+            >
+              {createMutation.isPending ? 'Creating...' : 'Create Token'}
+            </Button>
+          </div>
+        </form>
+      </Modal>
+
+      {/* Created Token Modal - the token is only shown once */}
+      <Modal
+        isOpen={!!createdToken}
+        onClose={() => setCreatedToken(null)}
+        title="API Token Created"
+      >
+        <p className={styles.description}>
+          Copy this token now. For security it is stored hashed and will not be shown again.
+        </p>
+        <div className={styles.createdToken}>
+          <code>{createdToken}</code>
+          <Button variant="outline" size="small" onClick={handleCopy}>
+            <CopyIcon size={16} />
+          </Button>
+        </div>
+        <div className={styles.actions}>
+          <Button onClick={() => setCreatedToken(null)}>Done</Button>
+        </div>
+      </Modal>
+
+      <ConfirmModal
+        isOpen={!!tokenToRevoke}
+        onClose={() => setTokenToRevoke(null)}
+        onConfirm={() => revokeMutation.mutate(tokenToRevoke.id)}
+        title="Revoke API Token"
+        message={`Revoke "${tokenToRevoke?.name}"? Anything using this token will stop working immediately.`}
+        confirmText="Revoke"
+      />
+    </div>
+  );
+};
+
+export default ApiTokensSection;
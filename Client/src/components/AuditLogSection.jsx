@@ -0,0 +1,327 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation } from '@tanstack/react-query';
+import Button from './Button';
+import Modal from './Modal';
+import { DocumentTextIcon, DownloadIcon, CheckCircleIcon, AlertIcon, ChevronLeftIcon, ChevronRightIcon } from './Icons';
+import { adminService } from '../api/admin';
+import { showSuccess, showError } from '../utils/toast';
+import styles from './AuditLogSection.module.css';
+
+const PAGE_SIZE = 25;
+
+const emptyFilters = {
+  search: '',
+  action: '',
+  targetType: '',
+  outcome: '',
+  from: '',
+  to: '',
+};
+
+// Date inputs give local calendar days, the API filters on ISO timestamps
+const toQueryParams = (filters) => {
+  const params = {};
+  if (filters.search) params.search = filters.search;
+  if (filters.action) params.action = filters.action;
+  if (filters.targetType) params.targetType = filters.targetType;
+  if (filters.outcome) params.outcome = filters.outcome;
+  if (filters.from) params.from = new Date(`${filters.from}T00:00:00`).toISOString();
+  if (filters.to) params.to = new Date(`${filters.to}T23:59:59.999`).toISOString();
+  return params;
+};
+
+const formatValue = (value) => {
+  if (value === undefined || value === null || value === '') return '—';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+/**
+ * Admin view of the audit log: filter, inspect changes, export and verify the hash chain
+ */
+const AuditLogSection = () => {
+  const [filters, setFilters] = useState(emptyFilters);
+  const [page, setPage] = useState(0);
+  const [selectedEntry, setSelectedEntry] = useState(null);
+  const [verification, setVerification] = useState(null);
+
+  const params = toQueryParams(filters);
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['admin-audit', params, page],
+    queryFn: () => adminService.getAuditLog({ ...params, limit: PAGE_SIZE, offset: page * PAGE_SIZE }),
+    placeholderData: (previous) => previous,
+  });
+
+  const entries = data?.entries || [];
+  const total = data?.total || 0;
+  const pageCount = Math.max(1, Math.ceil(total / PAGE_SIZE));
+
+  const verifyMutation = useMutation({
+    mutationFn: adminService.verifyAuditLog,
+    onSuccess: (result) => {
+      setVerification(result);
+      if (result.valid) {
+        showSuccess(`Audit log intact (${result.checked} entries checked)`);
+      } else {
+        showError('Audit log integrity check failed');
+      }
+    },
+    onError: (error) => {
+      showError(error.response?.data?.error || 'Failed to verify audit log');
+    },
+  });
+
+  const exportMutation = useMutation({
+    mutationFn: (format) => adminService.exportAuditLog(params, format),
+    onError: () => {
+      showError('Failed to export audit log');
+    },
+  });
+
+  const updateFilter = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+    setPage(0);
+  };
+
+  const formatTime = (timestamp) => new Date(timestamp).toLocaleString();
+
+  const describeTarget = (entry) => {
+    if (!entry.targetType) return '—';
+    return `${entry.targetType} ${entry.targetLabel || entry.targetId || ''}`.trim();
+  };
+
+  const details = selectedEntry?.details || {};
+  const changes = details.changes ? Object.entries(details.changes) : [];
+  const hasContent = details.before !== undefined || details.after !== undefined;
+
+  return (
+    <div className={styles.section}>
+      <div className={styles.header}>
+        <div>
+          <div className={styles.title}>
+            <DocumentTextIcon size={18} />
+            Privileged Actions
+          </div>
+          <p className={styles.description}>
+            Every change made through the API or a terminal session, with who made it, from where and what changed.
+            Entries are hash-chained so edits or deletions are detected.
+          </p>
+        </div>
+        <div className={styles.headerActions}>
+          <Button
+            variant="outline"
+            size="small"
+            onClick={() => verifyMutation.mutate()}
+            disabled={verifyMutation.isPending}
+          >
+            <CheckCircleIcon size={16} /> {verifyMutation.isPending ? 'Verifying...' : 'Verify'}
+          </Button>
+          <Button
+            variant="outline"
+            size="small"
+            onClick={() => exportMutation.mutate('csv')}
+            disabled={exportMutation.isPending}
+          >
+            <DownloadIcon size={16} /> CSV
+          </Button>
+          <Button
+            variant="outline"
+            size="small"
+            onClick={() => exportMutation.mutate('json')}
+            disabled={exportMutation.isPending}
+          >
+            <DownloadIcon size={16} /> JSON
+          </Button>
+        </div>
+      </div>
+
+      {verification && !verification.valid && (
+        <div className={styles.verifyError}>
+          <AlertIcon size={16} />
+          Chain broken at entry #{verification.brokenAt?.seq}: {verification.brokenAt?.reason}
+        </div>
+      )}
+
+      <div className={styles.filters}>
+        <input
+          type="text"
+          className={styles.input}
+          placeholder="Search user, target, IP or details"
+          value={filters.search}
+          onChange={(e) => updateFilter('search', e.target.value)}
+        />
+        <input
+          type="text"
+          className={styles.input}
+          placeholder="Action (e.g. files/write)"
+          value={filters.action}
+          onChange={(e) => updateFilter('action', e.target.value)}
+        />
+        <select
+          className={styles.input}
+          value={filters.targetType}
+          onChange={(e) => updateFilter('targetType', e.target.value)}
+        >
+          <option value="">All targets</option>
+          <option value="server">Servers</option>
+          <option value="app">Apps</option>
+          <option value="deployment">Deployments</option>
+          <option value="user">Users</option>
+          <option value="team">Teams</option>
+          <option value="snapshot">Snapshots</option>
+          <option value="token">API tokens</option>
+        </select>
+        <select
+          className={styles.input}
+          value={filters.outcome}
+          onChange={(e) => updateFilter('outcome', e.target.value)}
+        >
+          <option value="">Any outcome</option>
+          <option value="success">Succeeded</option>
+          <option value="failure">Failed</option>
+        </select>
+        <input
+          type="date"
+          className={styles.input}
+          value={filters.from}
+          onChange={(e) => updateFilter('from', e.target.value)}
+          title="From"
+        />
+        <input
+          type="date"
+          className={styles.input}
+          value={filters.to}
+          onChange={(e) => updateFilter('to', e.target.value)}
+          title="To"
+        />
+      </div>
+
+      {isLoading ? (
+        <p className={styles.empty}>Loading audit log...</p>
+      ) : entries.length === 0 ? (
+        <p className={styles.empty}>No entries match these filters.</p>
+      ) : (
+        <div className={styles.tableWrapper}>
+          <table className={styles.table}>
+            <thead>
+              <tr>
+                <th>Time</th>
+                <th>Actor</th>
+                <th>Action</th>
+                <th>Target</th>
+                <th>IP</th>
+                <th>Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map(entry => (
+                <tr key={entry.id} className={styles.entryRow} onClick={() => setSelectedEntry(entry)}>
+                  <td className={styles.nowrap}>{formatTime(entry.timestamp)}</td>
+                  <td>
+                    {entry.actorName || entry.actorType}
+                    {entry.actorType === 'token' && <span className={styles.badge}>Token</span>}
+                  </td>
+                  <td className={styles.action}>{entry.action}</td>
+                  <td>{describeTarget(entry)}</td>
+                  <td className={styles.nowrap}>{entry.ip || '—'}</td>
+                  <td>
+                    {entry.statusCode ? (
+                      <span className={entry.statusCode >= 400 ? styles.statusError : styles.statusOk}>
+                        {entry.statusCode}
+                      </span>
+                    ) : '—'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {total > PAGE_SIZE && (
+        <div className={styles.pagination}>
+          <Button variant="outline" size="small" onClick={() => setPage(page - 1)} disabled={page === 0}>
+            <ChevronLeftIcon size={16} />
+          </Button>
+          <span className={styles.meta}>Page {page + 1} of {pageCount} · {total} entries</span>
+          <Button variant="outline" size="small" onClick={() => setPage(page + 1)} disabled={page + 1 >= pageCount}>
+            <ChevronRightIcon size={16} />
+          </Button>
+        </div>
+      )}
+
+      <Modal
+        isOpen={!!selectedEntry}
+        onClose={() => setSelectedEntry(null)}
+        title="Audit Entry"
+        size="large"
+      >
+        {selectedEntry && (
+          <div className={styles.entryDetails}>
+            <dl className={styles.fields}>
+              <dt>Time</dt>
+              <dd>{formatTime(selectedEntry.timestamp)}</dd>
+              <dt>Actor</dt>
+              <dd>
+                {selectedEntry.actorName || selectedEntry.actorType}
+                {selectedEntry.tokenId && ` (API token ${selectedEntry.tokenId})`}
+              </dd>
+              <dt>Action</dt>
+              <dd className={styles.action}>{selectedEntry.action}</dd>
+              <dt>Target</dt>
+              <dd>{describeTarget(selectedEntry)}{selectedEntry.targetId && ` · ${selectedEntry.targetId}`}</dd>
+              <dt>Source IP</dt>
+              <dd>{selectedEntry.ip || '—'}</dd>
+              <dt>Status</dt>
+              <dd>{selectedEntry.statusCode || '—'}</dd>
+            </dl>
+
+            {changes.length > 0 && (
+              <div className={styles.block}>
+                <div className={styles.blockTitle}>Changes</div>
+                <table className={styles.table}>
+                  <thead>
+                    <tr>
+                      <th>Field</th>
+                      <th>Before</th>
+                      <th>After</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {changes.map(([field, change]) => (
+                      <tr key={field}>
+                        <td>{field}</td>
+                        <td className={styles.before}>{formatValue(change.from)}</td>
+                        <td className={styles.after}>{formatValue(change.to)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            {hasContent && (
+              <div className={styles.contentDiff}>
+                <div className={styles.block}>
+                  <div className={styles.blockTitle}>Before</div>
+                  <pre className={styles.code}>{details.before ?? '(did not exist)'}</pre>
+                </div>
+                <div className={styles.block}>
+                  <div className={styles.blockTitle}>After</div>
+                  <pre className={styles.code}>{details.after ?? '—'}</pre>
+                </div>
+              </div>
+            )}
+
+            <div className={styles.block}>
+              <div className={styles.blockTitle}>Raw details</div>
+              <pre className={styles.code}>{JSON.stringify(details, null, 2)}</pre>
+            </div>
+          </div>
+        )}
+      </Modal>
+    </div>
+  );
+};
+
+export default AuditLogSection;
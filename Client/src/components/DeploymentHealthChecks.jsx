@@ -0,0 +1,476 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip } from 'recharts';
+import Button from './Button';
+import Modal from './Modal';
+import ConfirmModal from './ConfirmModal';
+import DebouncedChart from './DebouncedChart';
+import { PlusIcon, EditIcon, TrashIcon, PlayIcon, ActivityIcon } from './Icons';
+import { appsService } from '../api/apps';
+import { formatDate } from '../utils/formatters';
+import { showSuccess, showError } from '../utils/toast';
+import styles from './DeploymentHealthChecks.module.css';
+
+const TYPE_LABELS = { http: 'HTTP', tcp: 'TCP', exec: 'Command' };
+
+const RESULT_LABELS = { up: 'Up', slow: 'Slow', down: 'Down' };
+
+const emptyCheck = {
+  name: '',
+  type: 'http',
+  source: 'backend',
+  port: '',
+  scheme: 'http',
+  path: '/',
+  expectedStatus: '',
+  expectedBody: '',
+  command: '',
+  intervalSeconds: '60',
+  timeoutSeconds: '10',
+  maxResponseMs: '',
+  enabled: true,
+};
+
+const checkToForm = (check) => ({
+  ...emptyCheck,
+  name: check.name,
+  type: check.type,
+  source: check.source,
+  port: check.config.port ? String(check.config.port) : '',
+  scheme: check.config.scheme || 'http',
+  path: check.config.path || '/',
+  expectedStatus: check.config.expectedStatus ? String(check.config.expectedStatus) : '',
+  expectedBody: check.config.expectedBody || '',
+  command: check.config.command || '',
+  intervalSeconds: String(check.intervalSeconds),
+  timeoutSeconds: String(check.timeoutSeconds),
+  maxResponseMs: check.maxResponseMs ? String(check.maxResponseMs) : '',
+  enabled: check.enabled,
+});
+
+const toPayload = (form) => ({
+  name: form.name,
+  type: form.type,
+  source: form.type === 'exec' ? 'server' : form.source,
+  config: form.type === 'exec'
+    ? { command: form.command }
+    : form.type === 'tcp'
+      ? { port: form.port }
+      : { port: form.port, scheme: form.scheme, path: form.path, expectedStatus: form.expectedStatus, expectedBody: form.expectedBody },
+  intervalSeconds: form.intervalSeconds,
+  timeoutSeconds: form.timeoutSeconds,
+  maxResponseMs: form.maxResponseMs,
+  enabled: form.enabled,
+});
+
+const describeCheck = (check) => {
+  const where = check.source === 'server' || check.type === 'exec' ? 'on the server' : 'from the backend';
+  if (check.type === 'http') {
+    const expected = [
+      check.config.expectedStatus ? `status ${check.config.expectedStatus}` : null,
+      check.config.expectedBody ? `body contains "${check.config.expectedBody}"` : null,
+    ].filter(Boolean).join(', ');
+    return `GET ${check.config.scheme}://…:${check.config.port}${check.config.path} ${where}${expected ? ` · expects ${expected}` : ''}`;
+  }
+  if (check.type === 'tcp') return `Port ${check.config.port} ${where}`;
+  return `docker exec … ${check.config.command}`;
+};
+
+const tooltipStyle = {
+  backgroundColor: 'var(--card-bg)',
+  border: '1px solid var(--border-color)',
+  borderRadius: '8px',
+};
+
+/**
+ * Response times and availability of one check over the last 24 hours
+ */
+const CheckHistory = ({ deployment, check }) => {
+  const { data: results = [], isLoading } = useQuery({
+    queryKey: ['deployment-check-results', check.id],
+    queryFn: () => appsService.getDeploymentCheckResults(deployment.app_id, deployment.id, check.id, 24),
+    refetchInterval: 60000,
+  });
+
+  if (isLoading) return <p className={styles.empty}>Loading results...</p>;
+  if (results.length === 0) return <p className={styles.empty}>No results in the last 24 hours.</p>;
+
+  const passed = results.filter(r => r.result !== 'down').length;
+  const timings = results.filter(r => r.responseMs != null).map(r => r.responseMs);
+  const points = results.map(r => ({
+    time: new Date(r.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
+    'Response ms': r.result === 'down' ? null : r.responseMs,
+  }));
+
+  return (
+    <div className={styles.history}>
+      <div className={styles.meta}>
+        Last 24 hours: {Math.round((passed / results.length) * 10000) / 100}% passing over {results.length} runs
+        {timings.length > 0 && ` · avg ${Math.round(timings.reduce((sum, ms) => sum + ms, 0) / timings.length)} ms · max ${Math.max(...timings)} ms`}
+      </div>
+      <DebouncedChart height={160}>
+        <LineChart data={points}>
+          <CartesianGrid strokeDasharray="3 3" stroke="var(--border-color)" />
+          <XAxis dataKey="time" stroke="var(--text-medium)" tick={{ fontSize: 11 }} />
+          <YAxis stroke="var(--text-medium)" tick={{ fontSize: 11 }} width={50} />
+          <Tooltip contentStyle={tooltipStyle} />
+          <Line type="monotone" dataKey="Response ms" stroke="#00d4ff" strokeWidth={2} dot={false} connectNulls={false} />
+        </LineChart>
+      </DebouncedChart>
+    </div>
+  );
+};
+
+/**
+ * Synthetic health checks of a deployment (HTTP, TCP or a command in the container):
+ * list with latest results, response time history, add/edit/delete and run now
+ */
+const DeploymentHealthChecks = ({ deployment }) => {
+  const queryClient = useQueryClient();
+  const [editingCheck, setEditingCheck] = useState(null); // null | 'new' | check
+  const [form, setForm] = useState(emptyCheck);
+  const [checkToDelete, setCheckToDelete] = useState(null);
+  const [historyCheckId, setHistoryCheckId] = useState(null);
+  const [runningId, setRunningId] = useState(null);
+
+  const queryKey = ['deployment-checks', deployment.id];
+  const { data, isLoading } = useQuery({
+    queryKey,
+    queryFn: () => appsService.getDeploymentChecks(deployment.app_id, deployment.id),
+    refetchInterval: 15000,
+  });
+  const checks = data?.checks || [];
+
+  const isRunning = deployment.status === 'running';
+  const isEditing = editingCheck && editingCheck !== 'new';
+
+  // Suggest the web UI port (or the first published port) for new checks
+  const defaultPort = deployment.web_ui_port || deployment.port_mappings?.[0]?.host || '';
+
+  const refresh = () => {
+    queryClient.invalidateQueries({ queryKey });
+    queryClient.invalidateQueries({ queryKey: ['all-deployments'] });
+  };
+
+  const closeEditor = () => {
+    setEditingCheck(null);
+    setForm(emptyCheck);
+  };
+
+  const saveMutation = useMutation({
+    mutationFn: (payload) => (isEditing
+      ? appsService.updateDeploymentCheck(deployment.app_id, deployment.id, editingCheck.id, payload)
+      : appsService.createDeploymentCheck(deployment.app_id, deployment.id, payload)),
+    onSuccess: () => {
+      refresh();
+      showSuccess(isEditing ? 'Health check updated' : 'Health check added');
+      closeEditor();
+    },
+    onError: (error) => showError(error.response?.data?.error || 'Failed to save health check'),
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: (checkId) => appsService.deleteDeploymentCheck(deployment.app_id, deployment.id, checkId),
+    onSuccess: () => {
+      refresh();
+      showSuccess('Health check removed');
+    },
+    onError: (error) => showError(error.response?.data?.error || 'Failed to remove health check'),
+  });
+
+  const runMutation = useMutation({
+    mutationFn: (checkId) => appsService.runDeploymentCheck(deployment.app_id, deployment.id, checkId),
+    onMutate: (checkId) => setRunningId(checkId),
+    onSuccess: (outcome) => {
+      refresh();
+      queryClient.invalidateQueries({ queryKey: ['deployment-check-results'] });
+      if (outcome.result === 'down') {
+        showError(`Check failed: ${outcome.error}`);
+      } else {
+        showSuccess(`Check ${outcome.result === 'slow' ? 'passed slowly' : 'passed'} in ${outcome.responseMs} ms`);
+      }
+    },
+    onError: (error) => showError(error.response?.data?.error || 'Failed to run health check'),
+    onSettled: () => setRunningId(null),
+  });
+
+  const openEditor = (check) => {
+    setEditingCheck(check || 'new');
+    setForm(check ? checkToForm(check) : { ...emptyCheck, port: String(defaultPort) });
+  };
+
+  const updateForm = (key, value) => setForm(prev => ({ ...prev, [key]: value }));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    saveMutation.mutate(toPayload(form));
+  };
+
+  return (
+    <div className={styles.section}>
+      <div className={styles.header}>
+        <span className={styles.title}>Health Checks</span>
+        <Button variant="outline" size="small" onClick={() => openEditor(null)}>
+          <PlusIcon size={16} /> Add Check
+        </Button>
+      </div>
+
+      {isLoading ? (
+        <p className={styles.empty}>Loading health checks...</p>
+      ) : checks.length === 0 ? (
+        <p className={styles.empty}>
+          No health checks yet. Add an HTTP, TCP or command check to see whether the app itself responds, not just its container.
+        </p>
+      ) : (
+        <div className={styles.list}>
+          {checks.map(check => (
+            <div key={check.id} className={`${styles.row} ${check.enabled ? '' : styles.rowDisabled}`}>
+              <div className={styles.rowMain}>
+                <div className={styles.info}>
+                  <div className={styles.name}>
+                    {check.name}
+                    <span className={styles.badge}>{TYPE_LABELS[check.type]}</span>
+                    {!check.enabled && <span className={styles.badge}>Paused</span>}
+                    {check.lastResult ? (
+                      <span className={`${styles.result} ${styles[check.lastResult]}`}>
+                        {RESULT_LABELS[check.lastResult]}
+                        {check.lastResponseMs != null && ` · ${check.lastResponseMs} ms`}
+                      </span>
+                    ) : (
+                      <span className={styles.result}>Not run yet</span>
+                    )}
+                  </div>
+                  <div className={styles.meta}>
+                    {describeCheck(check)} · every {check.intervalSeconds}s
+                    {check.lastCheckedAt && ` · ${formatDate(check.lastCheckedAt)}`}
+                  </div>
+                  {check.lastError && <div className={styles.error}>{check.lastError}</div>}
+                </div>
+                <div className={styles.rowActions}>
+                  <Button
+                    variant="outline"
+                    size="small"
+                    onClick={() => runMutation.mutate(check.id)}
+                    disabled={!isRunning || !check.enabled || runningId === check.id}
+                    title="Run now"
+                  >
+                    <PlayIcon size={16} />
+                  </Button>
+                  <Button
+                    variant="outline"
+                    size="small"
+                    onClick={() => setHistoryCheckId(historyCheckId === check.id ? null : check.id)}
+                    title="Response times"
+                  >
+                    <ActivityIcon size={16} />
+                  </Button>
+                  <Button variant="outline" size="small" onClick={() => openEditor(check)} title="Edit check">
+                    <EditIcon size={16} />
+                  </Button>
+                  <Button variant="danger" size="small" onClick={() => setCheckToDelete(check)} title="Remove check">
+                    <TrashIcon size={16} />
+                  </Button>
+                </div>
+              </div>
+              {historyCheckId === check.id && <CheckHistory deployment={deployment} check={check} />}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <Modal
+        isOpen={!!editingCheck}
+        onClose={closeEditor}
+        title={isEditing ? 'Edit Health Check' : 'New Health Check'}
+        size="large"
+        footer={
+          <div className={styles.modalFooter}>
+            <Button variant="outline" onClick={closeEditor}>Cancel</Button>
+            <Button type="submit" form="deployment-check-form" disabled={saveMutation.isPending}>
+              {saveMutation.isPending ? 'Saving...' : 'Save'}
+            </Button>
+          </div>
+        }
+      >
+        <form id="deployment-check-form" className={styles.form} onSubmit={handleSubmit}>
+          <div className={styles.formRow}>
+            <div className={styles.formGroup}>
+              <label className={styles.label}>Name</label>
+              <input
+                type="text"
+                className={styles.input}
+                value={form.name}
+                onChange={(e) => updateForm('name', e.target.value)}
+                placeholder="Defaults to what is checked"
+              />
+            </div>
+            <div className={styles.formGroup}>
+              <label className={styles.label}>Type</label>
+              <select
+                className={styles.input}
+                value={form.type}
+                onChange={(e) => updateForm('type', e.target.value)}
+              >
+                <option value="http">HTTP request</option>
+                <option value="tcp">TCP port</option>
+                <option value="exec">Command in container</option>
+              </select>
+            </div>
+          </div>
+
+          {form.type !== 'exec' && (
+            <div className={styles.formRow}>
+              <div className={styles.formGroup}>
+                <label className={styles.label}>Host port</label>
+                <input
+                  type="number"
+                  className={styles.input}
+                  value={form.port}
+                  onChange={(e) => updateForm('port', e.target.value)}
+                  min="1"
+                  max="65535"
+                  required
+                />
+              </div>
+              <div className={styles.formGroup}>
+                <label className={styles.label}>Run from</label>
+                <select
+                  className={styles.input}
+                  value={form.source}
+                  onChange={(e) => updateForm('source', e.target.value)}
+                >
+                  <option value="backend">Backend (server IP)</option>
+                  <option value="server">Server over SSH (127.0.0.1)</option>
+                </select>
+              </div>
+            </div>
+          )}
+
+          {form.type === 'http' && (
+            <>
+              <div className={styles.formRow}>
+                <div className={styles.formGroup}>
+                  <label className={styles.label}>Scheme</label>
+                  <select
+                    className={styles.input}
+                    value={form.scheme}
+                    onChange={(e) => updateForm('scheme', e.target.value)}
+                  >
+                    <option value="http">http</option>
+                    <option value="https">https</option>
+                  </select>
+                </div>
+                <div className={styles.formGroup}>
+                  <label className={styles.label}>Path</label>
+                  <input
+                    type="text"
+                    className={styles.input}
+                    value={form.path}
+                    onChange={(e) => updateForm('path', e.target.value)}
+                    placeholder="/health"
+                  />
+                </div>
+              </div>
+              <div className={styles.formRow}>
+                <div className={styles.formGroup}>
+                  <label className={styles.label}>Expected status</label>
+                  <input
+                    type="number"
+                    className={styles.input}
+                    value={form.expectedStatus}
+                    onChange={(e) => updateForm('expectedStatus', e.target.value)}
+                    placeholder="Any 2xx or 3xx"
+                    min="100"
+                    max="599"
+                  />
+                </div>
+                <div className={styles.formGroup}>
+                  <label className={styles.label}>Body contains</label>
+                  <input
+                    type="text"
+                    className={styles.input}
+                    value={form.expectedBody}
+                    onChange={(e) => updateForm('expectedBody', e.target.value)}
+                    placeholder="Optional"
+                  />
+                </div>
+              </div>
+            </>
+          )}
+
+          {form.type === 'exec' && (
+            <div className={styles.formGroup}>
+              <label className={styles.label}>Command</label>
+              <input
+                type="text"
+                className={`${styles.input} ${styles.mono}`}
+                value={form.command}
+                onChange={(e) => updateForm('command', e.target.value)}
+                placeholder="pg_isready -U postgres"
+                required
+              />
+              <span className={styles.hint}>Runs with sh -c inside the container over SSH; exit code 0 passes.</span>
+            </div>
+          )}
+
+          <div className={styles.formRow}>
+            <div className={styles.formGroup}>
+              <label className={styles.label}>Interval (seconds)</label>
+              <input
+                type="number"
+                className={styles.input}
+                value={form.intervalSeconds}
+                onChange={(e) => updateForm('intervalSeconds', e.target.value)}
+                min="10"
+                max="3600"
+              />
+            </div>
+            <div className={styles.formGroup}>
+              <label className={styles.label}>Timeout (seconds)</label>
+              <input
+                type="number"
+                className={styles.input}
+                value={form.timeoutSeconds}
+                onChange={(e) => updateForm('timeoutSeconds', e.target.value)}
+                min="1"
+                max="60"
+              />
+            </div>
+          </div>
+
+          <div className={styles.formGroup}>
+            <label className={styles.label}>Slow response threshold (ms)</label>
+            <input
+              type="number"
+              className={styles.input}
+              value={form.maxResponseMs}
+              onChange={(e) => updateForm('maxResponseMs', e.target.value)}
+              placeholder="Optional: slower passing responses mark the deployment degraded"
+              min="1"
+            />
+          </div>
+
+          <label className={styles.checkbox}>
+            <input
+              type="checkbox"
+              checked={form.enabled}
+              onChange={(e) => updateForm('enabled', e.target.checked)}
+            />
+            Enabled
+          </label>
+        </form>
+      </Modal>
+
+      <ConfirmModal
+        isOpen={!!checkToDelete}
+        onClose={() => setCheckToDelete(null)}
+        onConfirm={() => deleteMutation.mutate(checkToDelete.id)}
+        title="Remove Health Check"
+        message={`Remove the health check "${checkToDelete?.name}" and its results?`}
+        confirmText="Remove"
+      />
+    </div>
+  );
+};
+
+export default DeploymentHealthChecks;
@@ -0,0 +1,232 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import Button from './Button';
+import { ClockIcon, RotateIcon } from './Icons';
+import { appsService } from '../api/apps';
+import { formatDate } from '../utils/formatters';
+import { showSuccess, showError } from '../utils/toast';
+import styles from './DeploymentRevisions.module.css';
+
+// Compared settings of a revision, each as the lines shown in the diff
+const FIELDS = [
+  { label: 'Image', lines: (revision) => [revision.image] },
+  {
+    label: 'Ports',
+    lines: (revision) => (revision.config.ports || [])
+      .filter(port => port.host && port.container)
+      .map(port => `${port.host}:${port.container}`),
+  },
+  {
+    label: 'Environment',
+    lines: (revision) => (revision.config.envVars || [])
+      .filter(envVar => envVar.key)
+      .map(envVar => `${envVar.key}=${envVar.value ?? ''}`),
+  },
+  {
+    label: 'Volumes',
+    lines: (revision) => (revision.config.volumes || [])
+      .filter(vol => vol.host && vol.container)
+      .map(vol => `${vol.host}:${vol.container}`),
+  },
+  { label: 'Restart policy', lines: (revision) => (revision.config.restartPolicy ? [revision.config.restartPolicy] : []) },
+  { label: 'Network', lines: (revision) => (revision.config.networkMode ? [revision.config.networkMode] : []) },
+  { label: 'Custom arguments', lines: (revision) => (revision.config.customArgs ? [revision.config.customArgs] : []) },
+  { label: 'Command', lines: (revision) => (revision.config.command ? [revision.config.command] : []) },
+];
+
+const describeReason = (revision) => {
+  switch (revision.reason) {
+    case 'deploy': return 'Deployed';
+    case 'recreate': return 'Recreated with edited settings';
+    case 'update': return 'Rolling update';
+    case 'migrate': return 'Migrated to this server';
+    case 'rollback': return `Rolled back to #${revision.rolledBackTo}`;
+    default: return revision.reason;
+  }
+};
+
+// Lines only in `before` are removed, lines only in `after` added
+const diffLines = (before, after) => [
+  ...before.filter(line => !after.includes(line)).map(text => ({ type: 'removed', text })),
+  ...after.map(text => ({ type: before.includes(text) ? 'same' : 'added', text })),
+];
+
+/**
+ * Configurations a container deployment has run with (image tag, ports, env vars, volumes, arguments),
+ * a diff between any two of them and a rollback that recreates the container from an earlier one
+ */
+const DeploymentRevisions = ({ appId, deployments }) => {
+  const queryClient = useQueryClient();
+  const [selectedId, setSelectedId] = useState(null);
+  const [revisionId, setRevisionId] = useState(null);
+  const [compareId, setCompareId] = useState(null);
+
+  const containers = deployments.filter(d => !d.compose_project);
+  const deployment = containers.find(d => d.id === selectedId)
+    || containers.find(d => d.status === 'running')
+    || containers[0];
+
+  const { data: revisions = [], isLoading } = useQuery({
+    queryKey: ['deployment-revisions', appId, deployment?.id],
+    queryFn: () => appsService.getDeploymentRevisions(appId, deployment.id),
+    enabled: !!deployment,
+  });
+
+  // Default to the latest revision compared with the one before it
+  const selected = revisions.find(r => r.id === revisionId) || revisions[0];
+  const selectedIndex = revisions.indexOf(selected);
+  const base = compareId === 'none'
+    ? null
+    : revisions.find(r => r.id === compareId && r !== selected) || revisions[selectedIndex + 1] || null;
+
+  const rollbackMutation = useMutation({
+    mutationFn: (revision) => appsService.rollbackDeploymentRevision(appId, deployment.id, revision.id),
+    onSuccess: (data) => {
+      showSuccess(data.message);
+      setRevisionId(null);
+      setCompareId(null);
+    },
+    onError: (error) => {
+      showError(error.response?.data?.error || 'Rollback failed');
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries(['deployment-revisions', appId, deployment?.id]);
+      queryClient.invalidateQueries(['app-deployments', appId]);
+    },
+  });
+
+  const handleRollback = (revision) => {
+    const effect = deployment.status === 'running'
+      ? 'The running container will be replaced'
+      : 'The container will be recreated and started';
+    if (window.confirm(`Roll back ${deployment.nickname || deployment.container_name} to revision #${revision.revision} (${revision.tag})? ${effect} with that revision's settings.`)) {
+      rollbackMutation.mutate(revision);
+    }
+  };
+
+  const selectRevision = (id) => {
+    setRevisionId(id);
+    setCompareId(null);
+  };
+
+  if (containers.length === 0) return null;
+
+  const changes = selected
+    ? FIELDS.map(field => ({
+      label: field.label,
+      lines: diffLines(base ? field.lines(base) : [], field.lines(selected)),
+    })).filter(field => !base || field.lines.some(line => line.type !== 'same'))
+    : [];
+  const canRollBack = ['running', 'stopped'].includes(deployment.status);
+
+  return (
+    <div className={styles.section}>
+      <div className={styles.header}>
+        <h3><ClockIcon size={20} /> Revision History</h3>
+        {containers.length > 1 && (
+          <select
+            className={styles.select}
+            value={deployment.id}
+            onChange={(e) => {
+              setSelectedId(e.target.value);
+              selectRevision(null);
+            }}
+          >
+            {containers.map(d => (
+              <option key={d.id} value={d.id}>
+                {d.container_name || d.id} on {d.server_name || 'Unknown'}
+              </option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      {isLoading ? (
+        <div className={styles.empty}>Loading revisions...</div>
+      ) : revisions.length === 0 ? (
+        <div className={styles.empty}>
+          No revisions yet. One is recorded each time this container is created with new settings.
+        </div>
+      ) : (
+        <div className={styles.body}>
+          <div className={styles.revisionList}>
+            {revisions.map((revision, index) => (
+              <button
+                key={revision.id}
+                type="button"
+                className={`${styles.revision} ${revision === selected ? styles.revisionSelected : ''}`}
+                onClick={() => selectRevision(revision.id)}
+              >
+                <div className={styles.revisionTitle}>
+                  <span className={styles.revisionNumber}>#{revision.revision}</span>
+                  <span className={styles.revisionTag}>{revision.tag}</span>
+                  {index === 0 && <span className={styles.currentBadge}>Current</span>}
+                </div>
+                <div className={styles.revisionMeta}>
+                  {describeReason(revision)} · {revision.createdByName || 'System'} · {formatDate(revision.createdAt)}
+                </div>
+              </button>
+            ))}
+          </div>
+
+          {selected && (
+            <div className={styles.diff}>
+              <div className={styles.diffHeader}>
+                <div className={styles.diffTitle}>
+                  Revision #{selected.revision}
+                  <span className={styles.diffDate}>{new Date(selected.createdAt).toLocaleString()}</span>
+                </div>
+                <div className={styles.diffControls}>
+                  <label>
+                    Compare with
+                    <select
+                      className={styles.select}
+                      value={base ? base.id : 'none'}
+                      onChange={(e) => setCompareId(e.target.value)}
+                    >
+                      <option value="none">Nothing (full settings)</option>
+                      {revisions.filter(r => r !== selected).map(r => (
+                        <option key={r.id} value={r.id}>#{r.revision} ({r.tag})</option>
+                      ))}
+                    </select>
+                  </label>
+                  {selectedIndex > 0 && (
+                    <Button
+                      variant="outline"
+                      size="small"
+                      onClick={() => handleRollback(selected)}
+                      disabled={!canRollBack || rollbackMutation.isPending}
+                      title={canRollBack ? 'Recreate the container with this revision' : `Not possible while the deployment is ${deployment.status}`}
+                    >
+                      <RotateIcon size={14} /> {rollbackMutation.isPending ? 'Rolling back...' : 'Roll Back'}
+                    </Button>
+                  )}
+                </div>
+              </div>
+
+              {changes.length === 0 ? (
+                <div className={styles.empty}>Same settings as #{base.revision}.</div>
+              ) : (
+                changes.map(field => (
+                  <div key={field.label} className={styles.field}>
+                    <div className={styles.fieldLabel}>{field.label}</div>
+                    <pre className={styles.fieldLines}>
+                      {field.lines.length === 0 && <div className={styles.lineNone}>(none)</div>}
+                      {field.lines.map((line, index) => (
+                        <div key={index} className={styles[line.type]}>
+                          {line.type === 'added' ? '+ ' : line.type === 'removed' ? '- ' : '  '}{line.text}
+                        </div>
+                      ))}
+                    </pre>
+                  </div>
+                ))
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DeploymentRevisions;
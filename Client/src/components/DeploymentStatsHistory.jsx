@@ -0,0 +1,181 @@
+import React, { useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend } from 'recharts';
+import DebouncedChart from './DebouncedChart';
+import { ActivityIcon } from './Icons';
+import { appsService } from '../api/apps';
+import { formatBytes } from '../utils/formatters';
+import styles from './DeploymentStatsHistory.module.css';
+
+const TIME_RANGES = [
+  { hours: 1, label: 'Last Hour' },
+  { hours: 6, label: 'Last 6 Hours' },
+  { hours: 24, label: 'Last 24 Hours' },
+  { hours: 72, label: 'Last 3 Days' },
+  { hours: 168, label: 'Last Week' },
+];
+
+const MB = 1024 * 1024;
+
+// Format timestamp for chart X-axis based on time range
+const formatChartTime = (timestamp, hours) => {
+  const date = new Date(timestamp);
+  if (hours <= 1) {
+    return date.toLocaleTimeString();
+  } else if (hours <= 24) {
+    return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  } else if (hours <= 72) {
+    return date.toLocaleDateString([], { weekday: 'short' }) + ' ' +
+           date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  }
+  return date.toLocaleDateString([], { month: 'short', day: 'numeric' });
+};
+
+// Bytes per second, e.g. "1.2 MB/s"
+const formatRate = (value) => (value >= 1 ? `${formatBytes(Math.round(value))}/s` : '0 B/s');
+
+const tooltipStyle = {
+  backgroundColor: 'var(--card-bg)',
+  border: '1px solid var(--border-color)',
+  borderRadius: '8px',
+};
+
+/**
+ * One line chart of the stats history
+ */
+const StatsChart = ({ title, data, lines, domain, tickFormatter, tooltipFormatter }) => (
+  <div className={styles.chartCard}>
+    <h3 className={styles.chartTitle}>{title}</h3>
+    <DebouncedChart>
+      <LineChart data={data}>
+        <CartesianGrid strokeDasharray="3 3" stroke="var(--border-color)" />
+        <XAxis dataKey="time" stroke="var(--text-medium)" tick={{ fontSize: 12 }} />
+        <YAxis stroke="var(--text-medium)" tick={{ fontSize: 12 }} domain={domain} tickFormatter={tickFormatter} width={80} />
+        <Tooltip contentStyle={tooltipStyle} formatter={tooltipFormatter} />
+        <Legend />
+        {lines.map(({ key, color, dashed }) => (
+          <Line key={key} type="monotone" dataKey={key} stroke={color} strokeWidth={2} strokeDasharray={dashed ? '5 5' : undefined} dot={false} />
+        ))}
+      </LineChart>
+    </DebouncedChart>
+  </div>
+);
+
+/**
+ * Container resource history (CPU, memory, network, disk I/O) of an app's deployments
+ * Samples are taken by the server metrics collection every 30 seconds
+ */
+const DeploymentStatsHistory = ({ appId, deployments }) => {
+  const [selectedId, setSelectedId] = useState(null);
+  const [timeRange, setTimeRange] = useState(24);
+
+  // Default to the first running deployment
+  const deploymentId = selectedId
+    || (deployments.find(d => d.status === 'running') || deployments[0])?.id;
+
+  const { data: history = [], isLoading, isFetching } = useQuery({
+    queryKey: ['deployment-stats-history', appId, deploymentId, timeRange],
+    queryFn: () => appsService.getDeploymentStatsHistory(appId, deploymentId, timeRange),
+    enabled: !!deploymentId,
+    placeholderData: (previous) => previous,
+    refetchInterval: timeRange >= 168 ? 60000 : timeRange >= 24 ? 30000 : 10000,
+  });
+
+  const points = history.map(sample => ({
+    time: formatChartTime(sample.timestamp, timeRange),
+    'CPU %': sample.cpu_percent != null ? Math.round(sample.cpu_percent * 100) / 100 : null,
+    'Peak CPU %': sample.cpu_percent_max != null ? Math.round(sample.cpu_percent_max * 100) / 100 : undefined,
+    'Used MB': sample.memory_used != null ? Math.round(sample.memory_used / MB) : null,
+    'Limit MB': sample.memory_limit != null ? Math.round(sample.memory_limit / MB) : null,
+    'Download': sample.network_rx_rate,
+    'Upload': sample.network_tx_rate,
+    'Read': sample.block_read_rate,
+    'Write': sample.block_write_rate,
+  }));
+  const hasPeak = history.some(sample => sample.cpu_percent_max != null);
+
+  return (
+    <div className={styles.section}>
+      <div className={styles.header}>
+        <h3>
+          <ActivityIcon size={20} /> Resource History
+          {isFetching && !isLoading && <span className={styles.fetchingIndicator}>Updating...</span>}
+        </h3>
+        <div className={styles.controls}>
+          {deployments.length > 1 && (
+            <select
+              className={styles.select}
+              value={deploymentId || ''}
+              onChange={(e) => setSelectedId(e.target.value)}
+            >
+              {deployments.map(d => (
+                <option key={d.id} value={d.id}>
+                  {d.container_name || d.id} on {d.server_name || 'Unknown'}
+                </option>
+              ))}
+            </select>
+          )}
+          <select
+            className={styles.select}
+            value={timeRange}
+            onChange={(e) => setTimeRange(Number(e.target.value))}
+          >
+            {TIME_RANGES.map(range => (
+              <option key={range.hours} value={range.hours}>{range.label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {isLoading ? (
+        <div className={styles.empty}>Loading stats...</div>
+      ) : history.length === 0 ? (
+        <div className={styles.empty}>
+          No samples in this range yet. Stats are recorded every 30 seconds while the container is running.
+        </div>
+      ) : (
+        <div className={styles.chartsGrid}>
+          <StatsChart
+            title="CPU Usage"
+            data={points}
+            lines={[
+              { key: 'CPU %', color: '#8b5cf6' },
+              ...(hasPeak ? [{ key: 'Peak CPU %', color: '#8b5cf6', dashed: true }] : []),
+            ]}
+          />
+          <StatsChart
+            title="Memory"
+            data={points}
+            lines={[
+              { key: 'Used MB', color: '#10b981' },
+              { key: 'Limit MB', color: '#f59e0b', dashed: true },
+            ]}
+            domain={[0, 'auto']}
+          />
+          <StatsChart
+            title="Network"
+            data={points}
+            lines={[
+              { key: 'Download', color: '#06b6d4' },
+              { key: 'Upload', color: '#f59e0b' },
+            ]}
+            tickFormatter={formatRate}
+            tooltipFormatter={formatRate}
+          />
+          <StatsChart
+            title="Disk I/O"
+            data={points}
+            lines={[
+              { key: 'Read', color: '#3b82f6' },
+              { key: 'Write', color: '#ef4444' },
+            ]}
+            tickFormatter={formatRate}
+            tooltipFormatter={formatRate}
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DeploymentStatsHistory;
@@ -245,6 +245,9 @@ const EditDeploymentModal = ({ isOpen, onClose, deployment, serverId, server })
   // Check if deployment is running
   const isRunning = (freshDeployment?.status || deployment?.status) === 'running';
 
+  // Compose stacks are configured by the app's compose file, not per deployment
+  const isStack = Boolean(deployment?.compose_project);
+
   // Check if only the icon has changed
   const currentDeployment = freshDeployment || deployment;
   const iconChanged = currentDeployment && (
@@ -363,7 +366,7 @@ const EditDeploymentModal = ({ isOpen, onClose, deployment, serverId, server })
           <Button variant="outline" onClick={onClose} disabled={isSaving || isStopping}>
             {(activeTab === 'snapshots' || activeTab === 'files') ? 'Close' : 'Cancel'}
           </Button>
-          {activeTab === 'config' && (
+          {activeTab === 'config' && !isStack && (
             isRunning ? (
               <Button 
                 variant="danger" 
@@ -404,18 +407,22 @@ const EditDeploymentModal = ({ isOpen, onClose, deployment, serverId, server })
         >
           <HardDriveIcon size={16} /> Snapshots
         </button>
-        <button
-          className={`${styles.tab} ${activeTab === 'files' ? styles.activeTab : ''}`}
-          onClick={() => setActiveTab('files')}
-        >
-          <FolderIcon size={16} /> Files
-        </button>
-        <button
-          className={`${styles.tab} ${activeTab === 'preview' ? styles.activeTab : ''}`}
-          onClick={() => setActiveTab('preview')}
-        >
-          <EyeIcon size={16} /> Preview
-        </button>
+        {!isStack && (
+          <>
+            <button
+              className={`${styles.tab} ${activeTab === 'files' ? styles.activeTab : ''}`}
+              onClick={() => setActiveTab('files')}
+            >
+              <FolderIcon size={16} /> Files
+            </button>
+            <button
+              className={`${styles.tab} ${activeTab === 'preview' ? styles.activeTab : ''}`}
+              onClick={() => setActiveTab('preview')}
+            >
+              <EyeIcon size={16} /> Preview
+            </button>
+          </>
+        )}
         <button
           className={`${styles.tab} ${activeTab === 'copy' ? styles.activeTab : ''}`}
           onClick={() => setActiveTab('copy')}
@@ -439,7 +446,7 @@ const EditDeploymentModal = ({ isOpen, onClose, deployment, serverId, server })
           </div>
         )}
 
-        {isRunning ? (
+        {!isStack && (isRunning ? (
           <div className={styles.warningBox}>
             <StopCircleIcon size={16} />
             <span>
@@ -452,7 +459,7 @@ const EditDeploymentModal = ({ isOpen, onClose, deployment, serverId, server })
             <strong>Note:</strong> Changes will take effect the next time the container is started.
             The container will be recreated with the new configuration.
           </div>
-        )}
+        ))}
 
         {/* Deployment Nickname */}
         <div className={styles.configSection}>
@@ -505,194 +512,203 @@ const EditDeploymentModal = ({ isOpen, onClose, deployment, serverId, server })
           </Button>
         </div>
 
-        {/* Port Mappings */}
-        <div className={styles.configSection}>
-          <h3>Port Mappings {checkingPorts && <span className={styles.checkingIndicator}>checking...</span>}</h3>
-          <p className={styles.hint}>Map host ports to container ports. The host port is what you access from outside, the container port is where the app listens inside.</p>
-          {portConflicts.length > 0 && (
-            <div className={styles.portConflictWarning}>
-              <AlertIcon size={14} style={{ marginRight: '6px', display: 'inline-block' }} />
-              Port conflict detected: {portConflicts.join(', ')} already in use on this server
-            </div>
-          )}
-          {formData.port_mappings.length > 0 && (
-            <div className={styles.portLabels}>
-              <span className={styles.portLabel}>Host Port (external)</span>
-              <span className={styles.portLabelSpacer}></span>
-              <span className={styles.portLabel}>Container Port (internal)</span>
-            </div>
-          )}
-          {formData.port_mappings.map((port, index) => (
-            <div key={index} className={styles.arrayRow}>
-              <input
-                type="text"
-                value={port.host}
-                onChange={(e) => updatePort(index, 'host', e.target.value)}
-                placeholder="e.g., 8080"
-                className={portConflicts.includes(port.host) ? styles.portConflict : ''}
-                disabled={isRunning}
-              />
-              <span className={styles.arrow}>→</span>
-              <input
-                type="text"
-                value={port.container}
-                onChange={(e) => updatePort(index, 'container', e.target.value)}
-                placeholder="e.g., 80"
-                disabled={isRunning}
-              />
-              <button className={styles.removeBtn} onClick={() => removePort(index)} disabled={isRunning}>
-                <XIcon size={16} />
-              </button>
+        {isStack ? (
+          <div className={styles.infoBox}>
+            The services, ports, volumes and other settings of this stack are set in the app&apos;s compose file.
+            Edit the app and start the stack again to apply changes.
+          </div>
+        ) : (
+          <>
+            {/* Port Mappings */}
+            <div className={styles.configSection}>
+              <h3>Port Mappings {checkingPorts && <span className={styles.checkingIndicator}>checking...</span>}</h3>
+              <p className={styles.hint}>Map host ports to container ports. The host port is what you access from outside, the container port is where the app listens inside.</p>
+              {portConflicts.length > 0 && (
+                <div className={styles.portConflictWarning}>
+                  <AlertIcon size={14} style={{ marginRight: '6px', display: 'inline-block' }} />
+                  Port conflict detected: {portConflicts.join(', ')} already in use on this server
+                </div>
+              )}
+              {formData.port_mappings.length > 0 && (
+                <div className={styles.portLabels}>
+                  <span className={styles.portLabel}>Host Port (external)</span>
+                  <span className={styles.portLabelSpacer}></span>
+                  <span className={styles.portLabel}>Container Port (internal)</span>
+                </div>
+              )}
+              {formData.port_mappings.map((port, index) => (
+                <div key={index} className={styles.arrayRow}>
+                  <input
+                    type="text"
+                    value={port.host}
+                    onChange={(e) => updatePort(index, 'host', e.target.value)}
+                    placeholder="e.g., 8080"
+                    className={portConflicts.includes(port.host) ? styles.portConflict : ''}
+                    disabled={isRunning}
+                  />
+                  <span className={styles.arrow}>→</span>
+                  <input
+                    type="text"
+                    value={port.container}
+                    onChange={(e) => updatePort(index, 'container', e.target.value)}
+                    placeholder="e.g., 80"
+                    disabled={isRunning}
+                  />
+                  <button className={styles.removeBtn} onClick={() => removePort(index)} disabled={isRunning}>
+                    <XIcon size={16} />
+                  </button>
+                </div>
+              ))}
+              <button className={styles.addBtn} onClick={addPort} disabled={isRunning}>+ Add Port Mapping</button>
             </div>
-          ))}
-          <button className={styles.addBtn} onClick={addPort} disabled={isRunning}>+ Add Port Mapping</button>
-        </div>
 
-        {/* Environment Variables */}
-        <div className={styles.configSection}>
-          <h3>Environment Variables</h3>
-          <p className={styles.hint}>Set environment variables for the container</p>
-          {formData.env_vars.map((env, index) => (
-            <div key={index} className={styles.arrayRow}>
-              <input
-                type="text"
-                value={env.key}
-                onChange={(e) => updateEnvVar(index, 'key', e.target.value)}
-                placeholder="Variable Name"
-                disabled={isRunning}
-              />
-              <span className={styles.equals}>=</span>
-              <input
-                type="text"
-                value={env.value}
-                onChange={(e) => updateEnvVar(index, 'value', e.target.value)}
-                placeholder="Value"
-                disabled={isRunning}
-              />
-              <button className={styles.removeBtn} onClick={() => removeEnvVar(index)} disabled={isRunning}>
-                <XIcon size={16} />
-              </button>
+            {/* Environment Variables */}
+            <div className={styles.configSection}>
+              <h3>Environment Variables</h3>
+              <p className={styles.hint}>Set environment variables for the container</p>
+              {formData.env_vars.map((env, index) => (
+                <div key={index} className={styles.arrayRow}>
+                  <input
+                    type="text"
+                    value={env.key}
+                    onChange={(e) => updateEnvVar(index, 'key', e.target.value)}
+                    placeholder="Variable Name"
+                    disabled={isRunning}
+                  />
+                  <span className={styles.equals}>=</span>
+                  <input
+                    type="text"
+                    value={env.value}
+                    onChange={(e) => updateEnvVar(index, 'value', e.target.value)}
+                    placeholder="Value"
+                    disabled={isRunning}
+                  />
+                  <button className={styles.removeBtn} onClick={() => removeEnvVar(index)} disabled={isRunning}>
+                    <XIcon size={16} />
+                  </button>
+                </div>
+              ))}
+              <button className={styles.addBtn} onClick={addEnvVar} disabled={isRunning}>+ Add Environment Variable</button>
             </div>
-          ))}
-          <button className={styles.addBtn} onClick={addEnvVar} disabled={isRunning}>+ Add Environment Variable</button>
-        </div>
 
-        {/* Volume Mounts */}
-        <div className={styles.configSection}>
-          <h3>Volume Mounts</h3>
-          <p className={styles.hint}>Mount host directories into the container</p>
-          {formData.volumes.map((vol, index) => (
-            <div key={index} className={styles.arrayRow}>
-              <input
-                type="text"
-                value={vol.host}
-                onChange={(e) => updateVolume(index, 'host', e.target.value)}
-                placeholder="Host Path (e.g., /data)"
-                disabled={isRunning}
-              />
-              <span className={styles.arrow}>→</span>
-              <input
-                type="text"
-                value={vol.container}
-                onChange={(e) => updateVolume(index, 'container', e.target.value)}
-                placeholder="Container Path (e.g., /app/data)"
-                disabled={isRunning}
-              />
-              <button className={styles.removeBtn} onClick={() => removeVolume(index)} disabled={isRunning}>
-                <XIcon size={16} />
-              </button>
+            {/* Volume Mounts */}
+            <div className={styles.configSection}>
+              <h3>Volume Mounts</h3>
+              <p className={styles.hint}>Mount host directories into the container</p>
+              {formData.volumes.map((vol, index) => (
+                <div key={index} className={styles.arrayRow}>
+                  <input
+                    type="text"
+                    value={vol.host}
+                    onChange={(e) => updateVolume(index, 'host', e.target.value)}
+                    placeholder="Host Path (e.g., /data)"
+                    disabled={isRunning}
+                  />
+                  <span className={styles.arrow}>→</span>
+                  <input
+                    type="text"
+                    value={vol.container}
+                    onChange={(e) => updateVolume(index, 'container', e.target.value)}
+                    placeholder="Container Path (e.g., /app/data)"
+                    disabled={isRunning}
+                  />
+                  <button className={styles.removeBtn} onClick={() => removeVolume(index)} disabled={isRunning}>
+                    <XIcon size={16} />
+                  </button>
+                </div>
+              ))}
+              <button className={styles.addBtn} onClick={addVolume} disabled={isRunning}>+ Add Volume Mount</button>
             </div>
-          ))}
-          <button className={styles.addBtn} onClick={addVolume} disabled={isRunning}>+ Add Volume Mount</button>
-        </div>
 
-        {/* Advanced Options */}
-        <div className={styles.configSection}>
-          <h3>Advanced Options</h3>
+            {/* Advanced Options */}
+            <div className={styles.configSection}>
+              <h3>Advanced Options</h3>
           
-          <div className={styles.formRow}>
-            <div className={styles.formGroup}>
-              <label>Restart Policy</label>
-              <select
-                value={formData.restart_policy}
-                onChange={(e) => setFormData(prev => ({ ...prev, restart_policy: e.target.value }))}
-                disabled={isRunning}
-              >
-                <option value="no">No</option>
-                <option value="always">Always</option>
-                <option value="unless-stopped">Unless Stopped</option>
-                <option value="on-failure">On Failure</option>
-              </select>
-            </div>
-            <div className={styles.formGroup}>
-              <label>Network Mode</label>
-              <input
-                type="text"
-                value={formData.network_mode}
-                onChange={(e) => setFormData(prev => ({ ...prev, network_mode: e.target.value }))}
-                placeholder="bridge, host, or custom network"
-                disabled={isRunning}
-              />
-            </div>
-          </div>
-
-          <div className={styles.formGroup}>
-            <label>Command Override</label>
-            <input
-              type="text"
-              value={formData.command}
-              onChange={(e) => setFormData(prev => ({ ...prev, command: e.target.value }))}
-              placeholder="Override default container command"
-              disabled={isRunning}
-            />
-          </div>
-
-          <div className={styles.formGroup}>
-            <label>Custom Docker Arguments</label>
-            <input
-              type="text"
-              value={formData.custom_args}
-              onChange={(e) => setFormData(prev => ({ ...prev, custom_args: e.target.value }))}
-              placeholder="Additional docker run arguments (e.g., --cap-add=SYS_ADMIN)"
-              disabled={isRunning}
-            />
-          </div>
+              <div className={styles.formRow}>
+                <div className={styles.formGroup}>
+                  <label>Restart Policy</label>
+                  <select
+                    value={formData.restart_policy}
+                    onChange={(e) => setFormData(prev => ({ ...prev, restart_policy: e.target.value }))}
+                    disabled={isRunning}
+                  >
+                    <option value="no">No</option>
+                    <option value="always">Always</option>
+                    <option value="unless-stopped">Unless Stopped</option>
+                    <option value="on-failure">On Failure</option>
+                  </select>
+                </div>
+                <div className={styles.formGroup}>
+                  <label>Network Mode</label>
+                  <input
+                    type="text"
+                    value={formData.network_mode}
+                    onChange={(e) => setFormData(prev => ({ ...prev, network_mode: e.target.value }))}
+                    placeholder="bridge, host, or custom network"
+                    disabled={isRunning}
+                  />
+                </div>
+              </div>
+
+              <div className={styles.formGroup}>
+                <label>Command Override</label>
+                <input
+                  type="text"
+                  value={formData.command}
+                  onChange={(e) => setFormData(prev => ({ ...prev, command: e.target.value }))}
+                  placeholder="Override default container command"
+                  disabled={isRunning}
+                />
+              </div>
 
-          <div className={styles.formGroup}>
-            <label>Web GUI</label>
-            <div className={styles.toggleWithSelect}>
-              <label className={styles.toggleLabel}>
+              <div className={styles.formGroup}>
+                <label>Custom Docker Arguments</label>
                 <input
-                  type="checkbox"
-                  checked={!!formData.web_ui_port}
-                  onChange={(e) => setFormData(prev => ({ ...prev, web_ui_port: e.target.checked ? '' : '' }))}
+                  type="text"
+                  value={formData.custom_args}
+                  onChange={(e) => setFormData(prev => ({ ...prev, custom_args: e.target.value }))}
+                  placeholder="Additional docker run arguments (e.g., --cap-add=SYS_ADMIN)"
                   disabled={isRunning}
                 />
-                <span>Enable Web UI Access</span>
-              </label>
-              {formData.port_mappings.length > 0 && formData.web_ui_port !== false && (
-                <select
-                  value={formData.web_ui_port || ''}
-                  onChange={(e) => setFormData(prev => ({ ...prev, web_ui_port: e.target.value }))}
-                  className={styles.webUiSelect}
-                  disabled={isRunning || !formData.port_mappings.some(p => p.host)}
-                >
-                  <option value="">Select port with web UI...</option>
-                  {formData.port_mappings.map((port, index) => (
-                    port.host && (
-                      <option key={index} value={port.host}>
-                        Port {port.host} → {port.container} {server?.ip && `(http://${server.ip}:${port.host})`}
-                      </option>
-                    )
-                  ))}
-                </select>
-              )}
-              {formData.port_mappings.length === 0 && (
-                <p className={styles.hint}>Add port mappings first to enable web UI access</p>
-              )}
+              </div>
+
+              <div className={styles.formGroup}>
+                <label>Web GUI</label>
+                <div className={styles.toggleWithSelect}>
+                  <label className={styles.toggleLabel}>
+                    <input
+                      type="checkbox"
+                      checked={!!formData.web_ui_port}
+                      onChange={(e) => setFormData(prev => ({ ...prev, web_ui_port: e.target.checked ? '' : '' }))}
+                      disabled={isRunning}
+                    />
+                    <span>Enable Web UI Access</span>
+                  </label>
+                  {formData.port_mappings.length > 0 && formData.web_ui_port !== false && (
+                    <select
+                      value={formData.web_ui_port || ''}
+                      onChange={(e) => setFormData(prev => ({ ...prev, web_ui_port: e.target.value }))}
+                      className={styles.webUiSelect}
+                      disabled={isRunning || !formData.port_mappings.some(p => p.host)}
+                    >
+                      <option value="">Select port with web UI...</option>
+                      {formData.port_mappings.map((port, index) => (
+                        port.host && (
+                          <option key={index} value={port.host}>
+                            Port {port.host} → {port.container} {server?.ip && `(http://${server.ip}:${port.host})`}
+                          </option>
+                        )
+                      ))}
+                    </select>
+                  )}
+                  {formData.port_mappings.length === 0 && (
+                    <p className={styles.hint}>Add port mappings first to enable web UI access</p>
+                  )}
+                </div>
+              </div>
             </div>
-          </div>
-        </div>
+          </>
+        )}
       </div>
       )}
 
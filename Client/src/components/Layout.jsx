@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { Navigate } from 'react-router-dom';
+import { Navigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import Sidebar from './Sidebar';
 import JobDetailsModal from './JobDetailsModal';
@@ -7,6 +7,7 @@ import styles from './Layout.module.css';
 
 const Layout = ({ children }) => {
   const { user, loading } = useAuth();
+  const location = useLocation();
   const [sidebarCollapsed, setSidebarCollapsed] = useState(() => {
     return localStorage.getItem('sidebarCollapsed') === 'true';
   });
@@ -33,7 +34,13 @@ const Layout = ({ children }) => {
   }
 
   if (!user) {
-    return <Navigate to="/login" replace />;
+    // Come back here after signing in (e.g. a team invitation link)
+    return <Navigate to="/login" replace state={{ from: `${location.pathname}${location.search}` }} />;
+  }
+
+  // Mandatory 2FA: keep the user on Settings until they have enrolled
+  if (user.twoFactorSetupRequired && location.pathname !== '/settings') {
+    return <Navigate to="/settings" replace />;
   }
 
   return (
@@ -21,6 +21,8 @@ const MigrationContent = ({ deployment, mode = 'copy', isVisible = false }) => {
   const [socket, setSocket] = useState(null);
   
   const isMove = mode === 'move';
+  // A stack's name becomes its compose project name and its ports come from the compose file
+  const isStack = Boolean(deployment?.compose_project);
 
   // Fetch servers
   const { data: servers = [] } = useQuery({
@@ -74,7 +76,8 @@ const MigrationContent = ({ deployment, mode = 'copy', isVisible = false }) => {
     if (isVisible && deployment) {
       setStep(1);
       setTargetServerId('');
-      setContainerName(`${deployment.container_name}_${isMove ? 'moved' : 'copy'}`);
+      const name = `${deployment.container_name}_${isMove ? 'moved' : 'copy'}`;
+      setContainerName(deployment.compose_project ? name.toLowerCase() : name);
       
       let ports = deployment.port_mappings;
       if (typeof ports === 'string') {
@@ -165,7 +168,8 @@ const MigrationContent = ({ deployment, mode = 'copy', isVisible = false }) => {
   const handleReset = () => {
     setStep(1);
     setTargetServerId('');
-    setContainerName(`${deployment?.container_name}_${isMove ? 'moved' : 'copy'}`);
+    const name = `${deployment?.container_name}_${isMove ? 'moved' : 'copy'}`;
+    setContainerName(isStack ? name.toLowerCase() : name);
     setConflicts({ containerName: false, ports: [] });
     setError('');
     setProgress({ stage: '', percent: 0, message: '' });
@@ -256,16 +260,16 @@ const MigrationContent = ({ deployment, mode = 'copy', isVisible = false }) => {
           </div>
 
           <div className={styles.formGroup}>
-            <label>Container Name</label>
+            <label>{isStack ? 'Stack Name' : 'Container Name'}</label>
             <input
               type="text"
               value={containerName}
-              onChange={(e) => setContainerName(e.target.value)}
+              onChange={(e) => setContainerName(isStack ? e.target.value.toLowerCase() : e.target.value)}
               className={conflicts.containerName ? styles.inputError : ''}
             />
             {conflicts.containerName && (
               <span className={styles.errorText}>
-                <AlertIcon size={14} /> Container name already exists on target server
+                <AlertIcon size={14} /> {isStack ? 'Stack' : 'Container'} name already exists on target server
               </span>
             )}
           </div>
@@ -280,6 +284,7 @@ const MigrationContent = ({ deployment, mode = 'copy', isVisible = false }) => {
                     value={port.host}
                     onChange={(e) => handlePortChange(index, 'host', e.target.value)}
                     placeholder="Host"
+                    readOnly={isStack}
                     className={conflicts.ports.includes(String(port.host)) ? styles.inputError : ''}
                   />
                   <span className={styles.portArrow}>→</span>
@@ -288,18 +293,25 @@ const MigrationContent = ({ deployment, mode = 'copy', isVisible = false }) => {
                     value={port.container}
                     onChange={(e) => handlePortChange(index, 'container', e.target.value)}
                     placeholder="Container"
+                    readOnly={isStack}
                   />
-                  <button
-                    className={styles.removePortBtn}
-                    onClick={() => handleRemovePort(index)}
-                  >
-                    <XIcon size={14} />
-                  </button>
+                  {!isStack && (
+                    <button
+                      className={styles.removePortBtn}
+                      onClick={() => handleRemovePort(index)}
+                    >
+                      <XIcon size={14} />
+                    </button>
+                  )}
                 </div>
               ))}
-              <Button variant="outline" size="small" onClick={handleAddPort}>
-                + Add Port
-              </Button>
+              {isStack ? (
+                <span className={styles.portHint}>Ports of a stack are set in the app&apos;s compose file.</span>
+              ) : (
+                <Button variant="outline" size="small" onClick={handleAddPort}>
+                  + Add Port
+                </Button>
+              )}
             </div>
             {conflicts.ports.length > 0 && (
               <span className={styles.errorText}>
@@ -0,0 +1,574 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import Button from './Button';
+import Modal from './Modal';
+import ConfirmModal from './ConfirmModal';
+import { PlusIcon, EditIcon, TrashIcon, DocumentTextIcon, ChevronLeftIcon, ChevronRightIcon } from './Icons';
+import { notificationsService } from '../api/notifications';
+import { teamsService } from '../api/teams';
+import { useAuth } from '../contexts/AuthContext';
+import { showSuccess, showError } from '../utils/toast';
+import styles from './NotificationChannelsSection.module.css';
+
+const DELIVERY_PAGE_SIZE = 20;
+
+const emptyChannel = {
+  name: '',
+  teamId: '',
+  type: 'webhook',
+  url: '',
+  secret: '',
+  host: '',
+  port: '587',
+  security: 'starttls',
+  username: '',
+  password: '',
+  from: '',
+  to: '',
+  events: ['alert.firing', 'alert.resolved'],
+  enabled: true,
+};
+
+// Form state for an existing channel (secrets are never sent back, so they start blank)
+const channelToForm = (channel) => ({
+  ...emptyChannel,
+  name: channel.name,
+  teamId: channel.teamId,
+  type: channel.type,
+  url: channel.config.url || '',
+  host: channel.config.host || '',
+  port: channel.config.port ? String(channel.config.port) : emptyChannel.port,
+  security: channel.config.security || emptyChannel.security,
+  username: channel.config.username || '',
+  from: channel.config.from || '',
+  to: (channel.config.to || []).join(', '),
+  events: channel.events,
+  enabled: channel.enabled,
+});
+
+// Split the flat form into the API's config and secrets
+const toPayload = (form, teamId) => {
+  const base = { name: form.name, teamId, type: form.type, events: form.events, enabled: form.enabled };
+  switch (form.type) {
+    case 'webhook':
+      return { ...base, config: { url: form.url }, secrets: { secret: form.secret } };
+    case 'email':
+      return {
+        ...base,
+        config: {
+          host: form.host,
+          port: form.port,
+          security: form.security,
+          username: form.username,
+          from: form.from,
+          to: form.to,
+        },
+        secrets: { password: form.password },
+      };
+    default:
+      return { ...base, config: {}, secrets: { url: form.url } };
+  }
+};
+
+const generateSecret = () => {
+  const bytes = new Uint8Array(32);
+  window.crypto.getRandomValues(bytes);
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+};
+
+const describeChannel = (channel) => {
+  if (channel.type === 'webhook') return channel.config.url;
+  if (channel.type === 'email') return `${(channel.config.to || []).join(', ')} via ${channel.config.host}`;
+  return `${channel.type === 'slack' ? 'Slack' : 'Discord'} incoming webhook`;
+};
+
+/**
+ * Notification channels of the user's teams: create, edit, test and inspect deliveries
+ */
+const NotificationChannelsSection = () => {
+  const queryClient = useQueryClient();
+  const { user } = useAuth();
+  const [editingChannel, setEditingChannel] = useState(null); // null | 'new' | channel
+  const [form, setForm] = useState(emptyChannel);
+  const [channelToDelete, setChannelToDelete] = useState(null);
+  const [logChannel, setLogChannel] = useState(null);
+  const [logPage, setLogPage] = useState(0);
+  const [testingId, setTestingId] = useState(null);
+
+  const { data: channels = [], isLoading } = useQuery({
+    queryKey: ['notification-channels'],
+    queryFn: notificationsService.getChannels,
+  });
+
+  const { data: options } = useQuery({
+    queryKey: ['notification-options'],
+    queryFn: notificationsService.getOptions,
+  });
+
+  const { data: teams = [] } = useQuery({
+    queryKey: ['teams'],
+    queryFn: teamsService.getTeams,
+  });
+  const writableTeams = teams.filter(t => t.role !== 'viewer');
+
+  const { data: deliveryData, isLoading: deliveriesLoading } = useQuery({
+    queryKey: ['notification-deliveries', logChannel?.id, logPage],
+    queryFn: () => notificationsService.getDeliveries({
+      channelId: logChannel.id,
+      limit: DELIVERY_PAGE_SIZE,
+      offset: logPage * DELIVERY_PAGE_SIZE,
+    }),
+    enabled: !!logChannel,
+    placeholderData: (previous) => previous,
+  });
+
+  const events = options?.events || [];
+  const eventLabel = (key) => events.find(e => e.key === key)?.label || key;
+  const deliveries = deliveryData?.deliveries || [];
+  const deliveryTotal = deliveryData?.total || 0;
+  const logPageCount = Math.max(1, Math.ceil(deliveryTotal / DELIVERY_PAGE_SIZE));
+
+  const formTeamId = form.teamId || writableTeams[0]?.id;
+  const isEditing = editingChannel && editingChannel !== 'new';
+  // A blank secret keeps the stored one as long as the type is unchanged
+  const hasStoredSecret = (key) => isEditing && editingChannel.type === form.type && editingChannel.secretFields.includes(key);
+
+  const closeEditor = () => {
+    setEditingChannel(null);
+    setForm(emptyChannel);
+  };
+
+  const handleSaved = (message) => {
+    queryClient.invalidateQueries({ queryKey: ['notification-channels'] });
+    showSuccess(message);
+    closeEditor();
+  };
+
+  const createMutation = useMutation({
+    mutationFn: notificationsService.createChannel,
+    onSuccess: () => handleSaved('Notification channel created'),
+    onError: (error) => showError(error.response?.data?.error || 'Failed to create channel'),
+  });
+
+  const updateMutation = useMutation({
+    mutationFn: notificationsService.updateChannel,
+    onSuccess: () => handleSaved('Notification channel updated'),
+    onError: (error) => showError(error.response?.data?.error || 'Failed to update channel'),
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: notificationsService.deleteChannel,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['notification-channels'] });
+      showSuccess('Notification channel deleted');
+    },
+    onError: (error) => showError(error.response?.data?.error || 'Failed to delete channel'),
+  });
+
+  const testMutation = useMutation({
+    mutationFn: notificationsService.testChannel,
+    onMutate: (id) => setTestingId(id),
+    onSuccess: (delivery) => {
+      if (delivery.status === 'success') {
+        showSuccess(`Test notification sent (${delivery.response})`);
+      } else {
+        showError(`Test notification failed: ${delivery.error}`);
+      }
+      queryClient.invalidateQueries({ queryKey: ['notification-deliveries'] });
+    },
+    onError: (error) => showError(error.response?.data?.error || 'Failed to send test notification'),
+    onSettled: () => setTestingId(null),
+  });
+
+  const openEditor = (channel) => {
+    setEditingChannel(channel || 'new');
+    setForm(channel ? channelToForm(channel) : emptyChannel);
+  };
+
+  const openLog = (channel) => {
+    setLogChannel(channel);
+    setLogPage(0);
+  };
+
+  const updateForm = (key, value) => setForm(prev => ({ ...prev, [key]: value }));
+
+  const toggleEvent = (key) => {
+    setForm(prev => ({
+      ...prev,
+      events: prev.events.includes(key) ? prev.events.filter(e => e !== key) : [...prev.events, key],
+    }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (isEditing) {
+      updateMutation.mutate({ id: editingChannel.id, ...toPayload(form, editingChannel.teamId) });
+    } else {
+      createMutation.mutate(toPayload(form, formTeamId));
+    }
+  };
+
+  const isSaving = createMutation.isPending || updateMutation.isPending;
+  const secretPlaceholder = (key, fallback) => (hasStoredSecret(key) ? 'Leave blank to keep the current value' : fallback);
+
+  return (
+    <div className={styles.section}>
+      <div className={styles.header}>
+        <div>
+          <h2 className={styles.title}>Notification Channels</h2>
+          <p className={styles.description}>
+            Send alerts, failed or unhealthy deployments, snapshots, migrations and system updates to webhooks, email, Slack or Discord.
+          </p>
+        </div>
+        <Button variant="outline" size="small" onClick={() => openEditor(null)} disabled={writableTeams.length === 0}>
+          <PlusIcon size={16} /> Add Channel
+        </Button>
+      </div>
+
+      {isLoading ? (
+        <p className={styles.empty}>Loading channels...</p>
+      ) : channels.length === 0 ? (
+        <p className={styles.empty}>No notification channels yet.</p>
+      ) : (
+        <div className={styles.list}>
+          {channels.map(channel => (
+            <div key={channel.id} className={`${styles.row} ${channel.enabled ? '' : styles.rowDisabled}`}>
+              <div className={styles.info}>
+                <div className={styles.name}>
+                  {channel.name}
+                  <span className={styles.badge}>{channel.type}</span>
+                  {!channel.enabled && <span className={styles.badge}>Paused</span>}
+                </div>
+                <div className={styles.meta}>{describeChannel(channel)}</div>
+                <div className={styles.meta}>
+                  {channel.events.length > 0 ? channel.events.map(eventLabel).join(', ') : 'No events selected'}
+                  {teams.length > 1 && channel.teamName && ` · ${channel.teamName}`}
+                </div>
+              </div>
+              <div className={styles.rowActions}>
+                <Button
+                  variant="outline"
+                  size="small"
+                  onClick={() => testMutation.mutate(channel.id)}
+                  disabled={testingId === channel.id}
+                >
+                  {testingId === channel.id ? 'Sending...' : 'Test'}
+                </Button>
+                <Button variant="outline" size="small" onClick={() => openLog(channel)} title="Delivery log">
+                  <DocumentTextIcon size={16} />
+                </Button>
+                <Button variant="outline" size="small" onClick={() => openEditor(channel)} title="Edit channel">
+                  <EditIcon size={16} />
+                </Button>
+                <Button variant="danger" size="small" onClick={() => setChannelToDelete(channel)} title="Delete channel">
+                  <TrashIcon size={16} />
+                </Button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <Modal
+        isOpen={!!editingChannel}
+        onClose={closeEditor}
+        title={isEditing ? 'Edit Notification Channel' : 'New Notification Channel'}
+        size="large"
+        footer={
+          <div className={styles.modalFooter}>
+            <Button variant="outline" onClick={closeEditor}>Cancel</Button>
+            <Button type="submit" form="notification-channel-form" disabled={isSaving}>
+              {isSaving ? 'Saving...' : 'Save'}
+            </Button>
+          </div>
+        }
+      >
+        <form id="notification-channel-form" className={styles.form} onSubmit={handleSubmit}>
+          <div className={styles.formRow}>
+            <div className={styles.formGroup}>
+              <label className={styles.label}>Name</label>
+              <input
+                type="text"
+                className={styles.input}
+                value={form.name}
+                onChange={(e) => updateForm('name', e.target.value)}
+                placeholder="e.g. On-call webhook"
+                required
+              />
+            </div>
+            <div className={styles.formGroup}>
+              <label className={styles.label}>Type</label>
+              <select
+                className={styles.input}
+                value={form.type}
+                onChange={(e) => updateForm('type', e.target.value)}
+              >
+                {(options?.types || []).map(type => (
+                  <option key={type.key} value={type.key}>{type.label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          {!isEditing && writableTeams.length > 1 && (
+            <div className={styles.formGroup}>
+              <label className={styles.label}>Team</label>
+              <select
+                className={styles.input}
+                value={formTeamId || ''}
+                onChange={(e) => updateForm('teamId', e.target.value)}
+              >
+                {writableTeams.map(team => (
+                  <option key={team.id} value={team.id}>{team.name}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          {form.type === 'webhook' && (
+            <>
+              <div className={styles.formGroup}>
+                <label className={styles.label}>URL</label>
+                <input
+                  type="url"
+                  className={styles.input}
+                  value={form.url}
+                  onChange={(e) => updateForm('url', e.target.value)}
+                  placeholder="https://example.com/hooks/nobase"
+                  required
+                />
+              </div>
+              <div className={styles.formGroup}>
+                <label className={styles.label}>Signing secret</label>
+                <div className={styles.inline}>
+                  <input
+                    type="text"
+                    className={styles.input}
+                    value={form.secret}
+                    onChange={(e) => updateForm('secret', e.target.value)}
+                    placeholder={secretPlaceholder('secret', 'At least 16 characters')}
+                    required={!hasStoredSecret('secret')}
+                  />
+                  <Button type="button" variant="outline" size="small" onClick={() => updateForm('secret', generateSecret())}>
+                    Generate
+                  </Button>
+                </div>
+                <span className={styles.hint}>
+                  Requests carry X-NoBase-Timestamp and X-NoBase-Signature: sha256=HMAC(secret, "timestamp.body").
+                </span>
+              </div>
+            </>
+          )}
+
+          {(form.type === 'slack' || form.type === 'discord') && (
+            <div className={styles.formGroup}>
+              <label className={styles.label}>Incoming webhook URL</label>
+              <input
+                type="url"
+                className={styles.input}
+                value={form.url}
+                onChange={(e) => updateForm('url', e.target.value)}
+                placeholder={secretPlaceholder('url', form.type === 'slack'
+                  ? 'https://hooks.slack.com/services/...'
+                  : 'https://discord.com/api/webhooks/...')}
+                required={!hasStoredSecret('url')}
+              />
+            </div>
+          )}
+
+          {form.type === 'email' && (
+            <>
+              <div className={styles.formRow}>
+                <div className={styles.formGroup}>
+                  <label className={styles.label}>SMTP host</label>
+                  <input
+                    type="text"
+                    className={styles.input}
+                    value={form.host}
+                    onChange={(e) => updateForm('host', e.target.value)}
+                    placeholder="smtp.example.com"
+                    required
+                  />
+                </div>
+                <div className={styles.formRow}>
+                  <div className={styles.formGroup}>
+                    <label className={styles.label}>Port</label>
+                    <input
+                      type="number"
+                      className={styles.input}
+                      value={form.port}
+                      onChange={(e) => updateForm('port', e.target.value)}
+                      min="1"
+                      max="65535"
+                    />
+                  </div>
+                  <div className={styles.formGroup}>
+                    <label className={styles.label}>Security</label>
+                    <select
+                      className={styles.input}
+                      value={form.security}
+                      onChange={(e) => updateForm('security', e.target.value)}
+                    >
+                      <option value="starttls">STARTTLS</option>
+                      <option value="tls">TLS</option>
+                      <option value="none">None</option>
+                    </select>
+                  </div>
+                </div>
+              </div>
+              <div className={styles.formRow}>
+                <div className={styles.formGroup}>
+                  <label className={styles.label}>Username</label>
+                  <input
+                    type="text"
+                    className={styles.input}
+                    value={form.username}
+                    onChange={(e) => updateForm('username', e.target.value)}
+                    placeholder="Leave blank for no authentication"
+                    autoComplete="off"
+                  />
+                </div>
+                <div className={styles.formGroup}>
+                  <label className={styles.label}>Password</label>
+                  <input
+                    type="password"
+                    className={styles.input}
+                    value={form.password}
+                    onChange={(e) => updateForm('password', e.target.value)}
+                    placeholder={secretPlaceholder('password', '')}
+                    autoComplete="new-password"
+                  />
+                </div>
+              </div>
+              <div className={styles.formRow}>
+                <div className={styles.formGroup}>
+                  <label className={styles.label}>From</label>
+                  <input
+                    type="email"
+                    className={styles.input}
+                    value={form.from}
+                    onChange={(e) => updateForm('from', e.target.value)}
+                    placeholder="nobase@example.com"
+                    required
+                  />
+                </div>
+                <div className={styles.formGroup}>
+                  <label className={styles.label}>To</label>
+                  <input
+                    type="text"
+                    className={styles.input}
+                    value={form.to}
+                    onChange={(e) => updateForm('to', e.target.value)}
+                    placeholder="ops@example.com, oncall@example.com"
+                    required
+                  />
+                </div>
+              </div>
+            </>
+          )}
+
+          <div className={styles.formGroup}>
+            <label className={styles.label}>Events</label>
+            <div className={styles.events}>
+              {events.map(event => {
+                const locked = event.system && !user?.isAdmin;
+                return (
+                  <label
+                    key={event.key}
+                    className={`${styles.checkbox} ${locked ? styles.checkboxDisabled : ''}`}
+                    title={locked ? 'Only admins can subscribe to system events' : undefined}
+                  >
+                    <input
+                      type="checkbox"
+                      checked={form.events.includes(event.key)}
+                      onChange={() => toggleEvent(event.key)}
+                      disabled={locked && !form.events.includes(event.key)}
+                    />
+                    {event.label}
+                  </label>
+                );
+              })}
+            </div>
+          </div>
+
+          <label className={styles.checkbox}>
+            <input
+              type="checkbox"
+              checked={form.enabled}
+              onChange={(e) => updateForm('enabled', e.target.checked)}
+            />
+            Enabled
+          </label>
+        </form>
+      </Modal>
+
+      <Modal
+        isOpen={!!logChannel}
+        onClose={() => setLogChannel(null)}
+        title={`Delivery Log: ${logChannel?.name || ''}`}
+        size="large"
+      >
+        {deliveriesLoading ? (
+          <p className={styles.empty}>Loading deliveries...</p>
+        ) : deliveries.length === 0 ? (
+          <p className={styles.empty}>Nothing has been sent to this channel yet.</p>
+        ) : (
+          <div className={styles.tableWrapper}>
+            <table className={styles.table}>
+              <thead>
+                <tr>
+                  <th>Time</th>
+                  <th>Event</th>
+                  <th>Status</th>
+                  <th>Attempts</th>
+                  <th>Response</th>
+                </tr>
+              </thead>
+              <tbody>
+                {deliveries.map(delivery => (
+                  <tr key={delivery.id}>
+                    <td className={styles.nowrap}>{new Date(delivery.createdAt).toLocaleString()}</td>
+                    <td>
+                      <div>{delivery.event === 'test' ? 'Test' : eventLabel(delivery.event)}</div>
+                      <div className={styles.meta}>{delivery.title}</div>
+                    </td>
+                    <td>
+                      <span className={delivery.status === 'success' ? styles.statusOk : styles.statusError}>
+                        {delivery.status}
+                      </span>
+                    </td>
+                    <td>{delivery.attempts}</td>
+                    <td className={styles.response}>{delivery.error || delivery.response || '—'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {deliveryTotal > DELIVERY_PAGE_SIZE && (
+          <div className={styles.pagination}>
+            <Button variant="outline" size="small" onClick={() => setLogPage(logPage - 1)} disabled={logPage === 0}>
+              <ChevronLeftIcon size={16} />
+            </Button>
+            <span className={styles.meta}>Page {logPage + 1} of {logPageCount}</span>
+            <Button variant="outline" size="small" onClick={() => setLogPage(logPage + 1)} disabled={logPage + 1 >= logPageCount}>
+              <ChevronRightIcon size={16} />
+            </Button>
+          </div>
+        )}
+      </Modal>
+
+      <ConfirmModal
+        isOpen={!!channelToDelete}
+        onClose={() => setChannelToDelete(null)}
+        onConfirm={() => deleteMutation.mutate(channelToDelete.id)}
+        title="Delete Notification Channel"
+        message={`Delete "${channelToDelete?.name}" and its delivery log?`}
+        confirmText="Delete"
+      />
+    </div>
+  );
+};
+
+export default NotificationChannelsSection;
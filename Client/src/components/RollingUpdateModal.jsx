@@ -0,0 +1,174 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { io } from 'socket.io-client';
+import Modal from './Modal';
+import Button from './Button';
+import { appsService } from '../api/apps';
+import { RefreshIcon, AlertIcon, CheckCircleIcon } from './Icons';
+import { showSuccess, showError } from '../utils/toast';
+import styles from './RollingUpdateModal.module.css';
+
+const API_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:3044';
+
+/**
+ * Roll one deployment (or every running deployment of an app) to an image tag.
+ * The backend starts the new container beside the old one, checks it, switches over and
+ * rolls back on failure; its steps stream in as `deployment-update-progress`.
+ */
+const RollingUpdateModal = ({ isOpen, onClose, appId, deployment = null, deployments = [], currentTag }) => {
+  const queryClient = useQueryClient();
+  const [tag, setTag] = useState('');
+  const [log, setLog] = useState([]);
+  const [result, setResult] = useState(null);
+  const logRef = useRef(null);
+
+  useEffect(() => {
+    if (isOpen) {
+      setTag(currentTag || 'latest');
+      setLog([]);
+      setResult(null);
+    }
+  }, [isOpen, currentTag]);
+
+  // Progress of this app's updates
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const socket = io(API_URL, { withCredentials: true });
+    socket.on('deployment-update-progress', (data) => {
+      if (data.appId !== appId) return;
+      setLog(prev => [...prev, data]);
+    });
+
+    return () => {
+      socket.disconnect();
+    };
+  }, [isOpen, appId]);
+
+  useEffect(() => {
+    if (logRef.current) {
+      logRef.current.scrollTop = logRef.current.scrollHeight;
+    }
+  }, [log]);
+
+  const updateMutation = useMutation({
+    mutationFn: () => (deployment
+      ? appsService.rollingUpdateDeployment(appId, deployment.id, tag.trim())
+      : appsService.rollingUpdateApp(appId, tag.trim())),
+    onSuccess: (data) => {
+      setResult(data);
+      showSuccess(deployment
+        ? `Updated to ${tag.trim()}`
+        : `Updated ${data.updated.length} deployment(s) to ${tag.trim()}`);
+    },
+    onError: (error) => {
+      const data = error.response?.data || {};
+      setResult({ ...data, success: false, error: data.error || error.message });
+      showError(data.error ? 'Update failed' : 'Failed to start the update');
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries(['app-deployments', appId]);
+      queryClient.invalidateQueries(['app', appId]);
+    },
+  });
+
+  const isRunning = updateMutation.isPending;
+  const nameOf = (deploymentId) => {
+    const match = deployments.find(d => d.id === deploymentId) || deployment;
+    return match ? (match.nickname || match.container_name) : deploymentId;
+  };
+  // A failure is rolled back unless the backend says the old container could not be restored
+  const rolledBack = result && !result.success && (result.failed ? result.failed.rolledBack : result.rolledBack !== false);
+
+  const handleClose = () => {
+    if (!isRunning) onClose();
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={handleClose}
+      title={<><RefreshIcon size={20} /> {deployment ? 'Update Deployment' : 'Update All Deployments'}</>}
+      size="large"
+      footer={
+        <div className={styles.footer}>
+          <Button variant="outline" onClick={handleClose} disabled={isRunning}>
+            {result ? 'Close' : 'Cancel'}
+          </Button>
+          {!result && (
+            <Button
+              variant="primary"
+              onClick={() => updateMutation.mutate()}
+              disabled={isRunning || !tag.trim()}
+            >
+              {isRunning ? 'Updating...' : 'Start Update'}
+            </Button>
+          )}
+        </div>
+      }
+    >
+      <div className={styles.content}>
+        <p className={styles.intro}>
+          {deployment
+            ? <>Roll <strong>{deployment.nickname || deployment.container_name}</strong> to a new image tag.</>
+            : 'Roll every running deployment of this app to a new image tag, one after another. The first failure stops the rollout; once all succeed the tag becomes the app\'s tag.'}
+          {' '}The new container starts beside the old one and has to pass the deployment&apos;s health checks before it takes over; if it fails them after the switch, the old container is restored.
+        </p>
+
+        <div className={styles.formGroup}>
+          <label>Image tag</label>
+          <input
+            type="text"
+            value={tag}
+            onChange={(e) => setTag(e.target.value)}
+            placeholder="latest"
+            disabled={isRunning || !!result}
+          />
+          {deployment && (
+            <span className={styles.hint}>Currently running {deployment.image_tag || currentTag || 'latest'}</span>
+          )}
+        </div>
+
+        {(log.length > 0 || isRunning) && (
+          <pre className={styles.log} ref={logRef}>
+            {log.length === 0 && 'Starting update...'}
+            {log.map((entry, index) => (
+              <div key={index} className={entry.stage === 'rollback' ? styles.logRollback : undefined}>
+                {!deployment && <span className={styles.logTarget}>[{nameOf(entry.deploymentId)}] </span>}
+                {entry.message}
+              </div>
+            ))}
+          </pre>
+        )}
+
+        {result && result.success && (
+          <div className={styles.success}>
+            <CheckCircleIcon size={16} />
+            {deployment
+              ? `Now running ${result.tag}.`
+              : `Updated ${result.updated.length} deployment(s)${result.skipped.length ? `, skipped ${result.skipped.length} that are not running containers` : ''}.`}
+          </div>
+        )}
+
+        {result && !result.success && (
+          <div className={styles.error}>
+            <AlertIcon size={16} />
+            <div>
+              <strong>
+                {result.failed ? `Update of ${nameOf(result.failed.deploymentId)} failed` : 'Update failed'}
+                {rolledBack ? ' and was rolled back' : ''}
+              </strong>
+              <div className={styles.errorMessage}>{result.error}</div>
+              {!rolledBack && <div>The previous container could not be restored: check the server.</div>}
+              {result.updated && result.updated.length > 0 && (
+                <div>{result.updated.length} deployment(s) were updated before the failure.</div>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </Modal>
+  );
+};
+
+export default RollingUpdateModal;
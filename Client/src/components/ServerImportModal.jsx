@@ -0,0 +1,206 @@
+import React, { useState, useEffect } from 'react';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { io } from 'socket.io-client';
+import Modal from './Modal';
+import Button from './Button';
+import ServerCredentialsFields, { emptyCredentials, toCredentialPayload, hasCredentials } from './ServerCredentialsFields';
+import { serversService } from '../api/servers';
+import { showSuccess, showError } from '../utils/toast';
+import styles from './ServerImportModal.module.css';
+
+const CSV_EXAMPLE = `ip,name,region,port,loginUsername,password
+203.0.113.10,web-1,us-east,22,root,
+203.0.113.11,web-2,us-east,2222,admin,s3cret`;
+
+// A leading '[' means a JSON host array, anything else is CSV with a header row
+const parseHostList = (text) => {
+  const trimmed = text.trim();
+  if (!trimmed.startsWith('[')) return { csv: trimmed };
+  const hosts = JSON.parse(trimmed);
+  if (!Array.isArray(hosts)) throw new Error('JSON host list must be an array');
+  return { hosts };
+};
+
+/**
+ * Bulk import of existing servers
+ * Every host is logged into once with the shared (or per-row) credentials to install its key
+ */
+const ServerImportModal = ({ isOpen, onClose, teams = [] }) => {
+  const queryClient = useQueryClient();
+  const [hostList, setHostList] = useState('');
+  const [teamId, setTeamId] = useState('');
+  const [username, setUsername] = useState('');
+  const [osType, setOsType] = useState('linux');
+  const [credentials, setCredentials] = useState(emptyCredentials);
+  const [progress, setProgress] = useState(null);
+  const [results, setResults] = useState(null);
+
+  // Per-host results arrive over the socket while the request is still running
+  useEffect(() => {
+    if (!isOpen) return;
+    const socket = io(window.location.origin.replace(':3000', ':3044'), {
+      withCredentials: true
+    });
+    socket.on('server-import-progress', (data) => {
+      setProgress({ completed: data.completed, total: data.total });
+      setResults(prev => [...(prev || []), data.result]);
+    });
+    return () => socket.disconnect();
+  }, [isOpen]);
+
+  const importMutation = useMutation({
+    mutationFn: serversService.importServers,
+    onSuccess: (data) => {
+      queryClient.invalidateQueries(['servers']);
+      setResults(data.results);
+      setProgress(null);
+      if (data.imported > 0) {
+        showSuccess(`Imported ${data.imported} server${data.imported === 1 ? '' : 's'}`);
+      }
+      if (data.failed > 0) {
+        showError(`${data.failed} host${data.failed === 1 ? '' : 's'} could not be imported`);
+      }
+    },
+    onError: (error) => {
+      setProgress(null);
+      showError(error.response?.data?.error || 'Import failed');
+    },
+  });
+
+  const handleFile = (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => setHostList(reader.result);
+    reader.readAsText(file);
+  };
+
+  const handleImport = () => {
+    let list;
+    try {
+      list = parseHostList(hostList);
+    } catch (err) {
+      showError(`Invalid host list: ${err.message}`);
+      return;
+    }
+
+    setResults(null);
+    setProgress(null);
+    importMutation.mutate({
+      ...list,
+      teamId: teamId || teams[0]?.id,
+      username: username || undefined,
+      osType,
+      // Shared credentials are optional when every row has its own password
+      ...(hasCredentials(credentials) ? toCredentialPayload(credentials) : {}),
+    });
+  };
+
+  const handleClose = () => {
+    if (importMutation.isPending) return;
+    setHostList('');
+    setCredentials(emptyCredentials);
+    setProgress(null);
+    setResults(null);
+    onClose();
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={handleClose}
+      title="Import Servers"
+      size="large"
+      footer={
+        <div className={styles.footer}>
+          <Button variant="outline" onClick={handleClose} disabled={importMutation.isPending}>
+            {results && !importMutation.isPending ? 'Done' : 'Cancel'}
+          </Button>
+          <Button onClick={handleImport} disabled={importMutation.isPending || !hostList.trim()}>
+            {importMutation.isPending
+              ? (progress ? `Importing ${progress.completed}/${progress.total}...` : 'Importing...')
+              : 'Import'}
+          </Button>
+        </div>
+      }
+    >
+      <div className={styles.form}>
+        <div className={styles.formGroup}>
+          <label className={styles.label}>Hosts</label>
+          <textarea
+            className={`${styles.input} ${styles.hostList}`}
+            value={hostList}
+            onChange={(e) => setHostList(e.target.value)}
+            placeholder={CSV_EXAMPLE}
+            spellCheck={false}
+          />
+          <input type="file" accept=".csv,.json,.txt" className={styles.fileInput} onChange={handleFile} />
+          <span className={styles.hint}>
+            CSV with a header row (columns: ip, name, region, port, username, loginUsername, osType, password)
+            or a JSON array of the same fields. Empty columns use the defaults below.
+          </span>
+        </div>
+
+        <div className={styles.row}>
+          {teams.length > 1 && (
+            <div className={styles.formGroup}>
+              <label className={styles.label}>Team</label>
+              <select
+                className={styles.input}
+                value={teamId || teams[0]?.id || ''}
+                onChange={(e) => setTeamId(e.target.value)}
+              >
+                {teams.map(team => (
+                  <option key={team.id} value={team.id}>{team.name}</option>
+                ))}
+              </select>
+            </div>
+          )}
+          <div className={styles.formGroup}>
+            <label className={styles.label}>Operating System</label>
+            <select
+              className={styles.input}
+              value={osType}
+              onChange={(e) => setOsType(e.target.value)}
+            >
+              <option value="linux">Linux</option>
+              <option value="windows">Windows Server</option>
+            </select>
+          </div>
+          <div className={styles.formGroup}>
+            <label className={styles.label}>Managed User</label>
+            <input
+              type="text"
+              className={styles.input}
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+              placeholder="nobase"
+            />
+          </div>
+        </div>
+
+        <ServerCredentialsFields value={credentials} onChange={setCredentials} />
+
+        {results && results.length > 0 && (
+          <div className={styles.results}>
+            {results.map((result, index) => (
+              <div
+                key={`${result.ip}-${index}`}
+                className={`${styles.result} ${result.success ? styles.resultSuccess : styles.resultError}`}
+              >
+                <span className={styles.resultHost}>
+                  {result.success ? (result.server.name || result.ip) : (result.ip || 'Unknown host')}
+                </span>
+                <span className={styles.resultMessage}>
+                  {result.success ? 'Online' : result.error}
+                </span>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </Modal>
+  );
+};
+
+export default ServerImportModal;
@@ -0,0 +1,181 @@
+import React, { useState } from 'react';
+import { formatBytes } from '../utils/formatters';
+import styles from './ServerMetricsDetails.module.css';
+
+// Bytes per second, e.g. "1.2 MB/s"
+const formatRate = (value) => (value >= 1 ? `${formatBytes(Math.round(value))}/s` : '0 B/s');
+
+const usageClass = (percentage) => {
+  if (percentage >= 90) return styles.critical;
+  if (percentage >= 75) return styles.warning;
+  return '';
+};
+
+/**
+ * Detailed metrics of the latest sample: every mounted filesystem, per-disk I/O,
+ * every network interface and the top processes by CPU or memory
+ */
+const ServerMetricsDetails = ({ metrics }) => {
+  const [processSort, setProcessSort] = useState('cpu');
+
+  const filesystems = metrics.filesystems || [];
+  const disks = metrics.diskIo?.devices || [];
+  const interfaces = metrics.interfaces || [];
+  const processes = metrics.processes?.[processSort] || [];
+
+  if (!filesystems.length && !disks.length && !interfaces.length && !metrics.processes) {
+    return null;
+  }
+
+  return (
+    <div className={styles.detailsGrid}>
+      {filesystems.length > 0 && (
+        <div className={`${styles.card} ${styles.wide}`}>
+          <h3 className={styles.title}>Filesystems</h3>
+          <div className={styles.tableWrapper}>
+            <table className={styles.table}>
+              <thead>
+                <tr>
+                  <th>Mount</th>
+                  <th>Device</th>
+                  <th>Type</th>
+                  <th>Used</th>
+                  <th>Available</th>
+                  <th className={styles.usageColumn}>Usage</th>
+                </tr>
+              </thead>
+              <tbody>
+                {filesystems.map(fs => (
+                  <tr key={`${fs.filesystem}-${fs.mount}`}>
+                    <td className={styles.mono}>{fs.mount}</td>
+                    <td className={styles.mono}>{fs.filesystem}</td>
+                    <td>{fs.type}</td>
+                    <td>{formatBytes(fs.used)} / {formatBytes(fs.total)}</td>
+                    <td>{formatBytes(fs.available)}</td>
+                    <td>
+                      <div className={styles.usage}>
+                        <div className={styles.usageBar}>
+                          <div
+                            className={`${styles.usageFill} ${usageClass(fs.percentage)}`}
+                            style={{ width: `${fs.percentage}%` }}
+                          ></div>
+                        </div>
+                        <span>{fs.percentage}%</span>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {disks.length > 0 && (
+        <div className={styles.card}>
+          <h3 className={styles.title}>Disk I/O</h3>
+          <div className={styles.tableWrapper}>
+            <table className={styles.table}>
+              <thead>
+                <tr>
+                  <th>Disk</th>
+                  <th>Read</th>
+                  <th>Write</th>
+                </tr>
+              </thead>
+              <tbody>
+                {disks.map(disk => (
+                  <tr key={disk.device}>
+                    <td className={styles.mono}>{disk.device}</td>
+                    <td>{formatRate(disk.read_rate)}</td>
+                    <td>{formatRate(disk.write_rate)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {interfaces.length > 0 && (
+        <div className={styles.card}>
+          <h3 className={styles.title}>Network Interfaces</h3>
+          <div className={styles.tableWrapper}>
+            <table className={styles.table}>
+              <thead>
+                <tr>
+                  <th>Interface</th>
+                  <th>Download</th>
+                  <th>Upload</th>
+                  <th>Received</th>
+                  <th>Sent</th>
+                </tr>
+              </thead>
+              <tbody>
+                {interfaces.map(iface => (
+                  <tr key={iface.interface}>
+                    <td className={styles.mono}>{iface.interface}</td>
+                    <td>{formatRate(iface.rx_rate)}</td>
+                    <td>{formatRate(iface.tx_rate)}</td>
+                    <td>{formatBytes(iface.rx_total)}</td>
+                    <td>{formatBytes(iface.tx_total)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {metrics.processes && (
+        <div className={`${styles.card} ${styles.wide}`}>
+          <div className={styles.cardHeader}>
+            <h3 className={styles.title}>Top Processes</h3>
+            <div className={styles.toggle}>
+              <button
+                className={processSort === 'cpu' ? styles.activeToggle : ''}
+                onClick={() => setProcessSort('cpu')}
+              >
+                By CPU
+              </button>
+              <button
+                className={processSort === 'memory' ? styles.activeToggle : ''}
+                onClick={() => setProcessSort('memory')}
+              >
+                By Memory
+              </button>
+            </div>
+          </div>
+          <div className={styles.tableWrapper}>
+            <table className={styles.table}>
+              <thead>
+                <tr>
+                  <th>PID</th>
+                  <th>User</th>
+                  <th>Command</th>
+                  <th>CPU</th>
+                  <th>Memory</th>
+                  <th>RSS</th>
+                </tr>
+              </thead>
+              <tbody>
+                {processes.map(proc => (
+                  <tr key={proc.pid}>
+                    <td className={styles.mono}>{proc.pid}</td>
+                    <td>{proc.user}</td>
+                    <td className={styles.mono}>{proc.command}</td>
+                    <td>{proc.cpu}%</td>
+                    <td>{proc.memory}%</td>
+                    <td>{formatBytes(proc.rss)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ServerMetricsDetails;
@@ -7,7 +7,7 @@ import IconSelector from './IconSelector';
 import { XIcon } from './Icons';
 import styles from './ServerSettingsModal.module.css';
 
-const ServerSettingsModal = ({ isOpen, onClose, server, onSave, isLoading }) => {
+const ServerSettingsModal = ({ isOpen, onClose, server, servers = [], onSave, isLoading, onRotateKey, isRotatingKey }) => {
   const navigate = useNavigate();
   const [formData, setFormData] = useState({
     displayName: '',
@@ -16,7 +16,11 @@ const ServerSettingsModal = ({ isOpen, onClose, server, onSave, isLoading }) =>
     color: null,
     icon: null,
     icon_url: null,
-    tags: []
+    tags: [],
+    port: '22',
+    jumpHostId: '',
+    keyRotationDays: '',
+    metricsInterval: ''
   });
   const [tagInput, setTagInput] = useState('');
 
@@ -30,7 +34,11 @@ const ServerSettingsModal = ({ isOpen, onClose, server, onSave, isLoading }) =>
         color: server.color || null,
         icon: server.icon || null,
         icon_url: server.icon_url || null,
-        tags: server.tags || []
+        tags: server.tags || [],
+        port: String(server.port || 22),
+        jumpHostId: server.jumpHostId || '',
+        keyRotationDays: server.keyRotationDays ? String(server.keyRotationDays) : '',
+        metricsInterval: server.metricsInterval ? String(server.metricsInterval) : ''
       });
     }
   }, [server]);
@@ -73,7 +81,11 @@ const ServerSettingsModal = ({ isOpen, onClose, server, onSave, isLoading }) =>
       color: formData.color,
       icon: formData.icon,
       icon_url: formData.icon_url,
-      tags: formData.tags
+      tags: formData.tags,
+      port: parseInt(formData.port) || 22,
+      jumpHostId: formData.jumpHostId || null,
+      keyRotationDays: parseInt(formData.keyRotationDays) || null,
+      metricsInterval: parseInt(formData.metricsInterval) || null
     });
   };
 
@@ -144,6 +156,88 @@ const ServerSettingsModal = ({ isOpen, onClose, server, onSave, isLoading }) =>
           </select>
         </div>
 
+        {/* SSH Port */}
+        <div className={styles.formGroup}>
+          <label className={styles.label}>SSH Port</label>
+          <input
+            type="number"
+            className={styles.input}
+            placeholder="22"
+            value={formData.port}
+            onChange={(e) => handleInputChange('port', e.target.value)}
+            min={1}
+            max={65535}
+          />
+        </div>
+
+        {/* Jump Host */}
+        <div className={styles.formGroup}>
+          <label className={styles.label}>Jump Host</label>
+          <select
+            className={styles.select}
+            value={formData.jumpHostId}
+            onChange={(e) => handleInputChange('jumpHostId', e.target.value)}
+          >
+            <option value="">None (direct connection)</option>
+            {servers.filter(s => s.id !== server.id && s.teamId === server.teamId).map(s => (
+              <option key={s.id} value={s.id}>
+                {s.displayName || s.name || s.ip} ({s.ip})
+              </option>
+            ))}
+          </select>
+          <span className={styles.hint}>
+            SSH connections to this server are tunnelled through the selected bastion.
+          </span>
+        </div>
+
+        {/* SSH Key Rotation */}
+        <div className={styles.formGroup}>
+          <label className={styles.label}>SSH Key Rotation</label>
+          <div className={styles.inputWithUnit}>
+            <input
+              type="number"
+              className={styles.input}
+              placeholder="Never"
+              value={formData.keyRotationDays}
+              onChange={(e) => handleInputChange('keyRotationDays', e.target.value)}
+              min={1}
+              max={365}
+            />
+            <span className={styles.inputUnit}>days</span>
+            <Button
+              variant="outline"
+              onClick={() => onRotateKey?.(server)}
+              disabled={isRotatingKey || server.status !== 'online'}
+            >
+              {isRotatingKey ? 'Rotating...' : 'Rotate Now'}
+            </Button>
+          </div>
+          <span className={styles.hint}>
+            Generates a new key, installs it and removes the old one. Leave empty to rotate only on demand.
+            {server.keyRotatedAt && ` Last rotated ${new Date(server.keyRotatedAt).toLocaleDateString()}.`}
+          </span>
+        </div>
+
+        {/* Metrics Interval */}
+        <div className={styles.formGroup}>
+          <label className={styles.label}>Metrics Interval</label>
+          <div className={styles.inputWithUnit}>
+            <input
+              type="number"
+              className={styles.input}
+              placeholder="30"
+              value={formData.metricsInterval}
+              onChange={(e) => handleInputChange('metricsInterval', e.target.value)}
+              min={10}
+              max={3600}
+            />
+            <span className={styles.inputUnit}>seconds</span>
+          </div>
+          <span className={styles.hint}>
+            How often metrics are collected from this server. Leave empty for the default of 30 seconds.
+          </span>
+        </div>
+
         {/* Color Picker */}
         <div className={styles.formGroup}>
           <ColorPicker
@@ -53,7 +53,7 @@ const ServicesManager = ({ serverId }) => {
 
   // Socket.IO connection - only connect once on mount
   useEffect(() => {
-    const socket = io(API_URL);
+    const socket = io(API_URL, { withCredentials: true });
     socketRef.current = socket;
 
     socket.on('connect', () => {
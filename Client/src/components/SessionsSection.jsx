@@ -0,0 +1,129 @@
+import React from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import Button from './Button';
+import { GlobeIcon, LogOutIcon } from './Icons';
+import { authService } from '../api/auth';
+import { showSuccess, showError } from '../utils/toast';
+import styles from './SessionsSection.module.css';
+
+const BROWSERS = [
+  ['Edg/', 'Edge'],
+  ['OPR/', 'Opera'],
+  ['Firefox/', 'Firefox'],
+  ['Chrome/', 'Chrome'],
+  ['Safari/', 'Safari'],
+];
+
+const PLATFORMS = [
+  ['Windows', 'Windows'],
+  ['Android', 'Android'],
+  ['iPhone', 'iOS'],
+  ['iPad', 'iPadOS'],
+  ['Mac OS X', 'macOS'],
+  ['Linux', 'Linux'],
+];
+
+// Short "Browser on OS" label, falls back to the raw user agent for CLIs and bots
+const describeUserAgent = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+  const browser = BROWSERS.find(([token]) => userAgent.includes(token));
+  const platform = PLATFORMS.find(([token]) => userAgent.includes(token));
+  if (!browser) return userAgent.slice(0, 60);
+  return platform ? `${browser[1]} on ${platform[1]}` : browser[1];
+};
+
+const SessionsSection = () => {
+  const queryClient = useQueryClient();
+
+  const { data: sessions = [], isLoading } = useQuery({
+    queryKey: ['sessions'],
+    queryFn: authService.getSessions,
+  });
+
+  const revokeMutation = useMutation({
+    mutationFn: authService.revokeSession,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['sessions'] });
+      showSuccess('Session signed out');
+    },
+    onError: (error) => {
+      showError(error.response?.data?.error || 'Failed to sign out session');
+    },
+  });
+
+  const revokeOthersMutation = useMutation({
+    mutationFn: authService.revokeOtherSessions,
+    onSuccess: (data) => {
+      queryClient.invalidateQueries({ queryKey: ['sessions'] });
+      showSuccess(`Signed out ${data.count} other session${data.count === 1 ? '' : 's'}`);
+    },
+    onError: (error) => {
+      showError(error.response?.data?.error || 'Failed to sign out sessions');
+    },
+  });
+
+  const formatDate = (dateString) => {
+    if (!dateString) return 'Unknown';
+    return new Date(dateString).toLocaleString();
+  };
+
+  const hasOtherSessions = sessions.some(session => !session.current);
+
+  return (
+    <div className={styles.section}>
+      <div className={styles.header}>
+        <div>
+          <div className={styles.title}>
+            <GlobeIcon size={18} />
+            Active Sessions
+          </div>
+          <p className={styles.description}>
+            Browsers and devices signed in to your account. Sign out any you don&apos;t recognize.
+          </p>
+        </div>
+        <Button
+          variant="outline"
+          size="small"
+          onClick={() => revokeOthersMutation.mutate()}
+          disabled={!hasOtherSessions || revokeOthersMutation.isPending}
+        >
+          <LogOutIcon size={16} /> Sign Out Others
+        </Button>
+      </div>
+
+      {isLoading ? (
+        <p className={styles.empty}>Loading sessions...</p>
+      ) : (
+        <div className={styles.list}>
+          {sessions.map(session => (
+            <div key={session.id} className={styles.row}>
+              <div className={styles.info}>
+                <div className={styles.name} title={session.userAgent || undefined}>
+                  {describeUserAgent(session.userAgent)}
+                  {session.current && <span className={styles.currentBadge}>This device</span>}
+                </div>
+                <div className={styles.meta}>
+                  <span>{session.ip || 'Unknown IP'}</span>
+                  <span>Signed in: {formatDate(session.createdAt)}</span>
+                  <span>Last active: {formatDate(session.lastSeenAt)}</span>
+                </div>
+              </div>
+              {!session.current && (
+                <Button
+                  variant="outline"
+                  size="small"
+                  onClick={() => revokeMutation.mutate(session.id)}
+                  disabled={revokeMutation.isPending}
+                >
+                  Sign Out
+                </Button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SessionsSection;
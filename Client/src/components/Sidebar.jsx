@@ -1,7 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { NavLink, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
-import { DashboardIcon, ServersIcon, AppsIcon, ConnectionsIcon, SettingsIcon, BookOpenIcon, HardDriveIcon, ChevronLeftIcon, ChevronRightIcon } from './Icons';
+import { DashboardIcon, ServersIcon, AppsIcon, ConnectionsIcon, SettingsIcon, BookOpenIcon, HardDriveIcon, UsersIcon, BellIcon, ChevronLeftIcon, ChevronRightIcon } from './Icons';
 import { systemService } from '../api/system';
 import styles from './Sidebar.module.css';
 
@@ -44,6 +44,8 @@ const Sidebar = () => {
     { path: '/servers', icon: ServersIcon, label: 'Servers' },
     { path: '/apps', icon: AppsIcon, label: 'Apps' },
     { path: '/storage', icon: HardDriveIcon, label: 'Storage' },
+    { path: '/teams', icon: UsersIcon, label: 'Teams' },
+    { path: '/alerts', icon: BellIcon, label: 'Alerts' },
     // { path: '/connections', icon: ConnectionsIcon, label: 'Connections' },
   ];
 
@@ -45,7 +45,7 @@ const SnapshotContent = ({ deployment, server, isVisible = true, showFooter = fa
   // Socket.IO connection for progress tracking
   useEffect(() => {
     if (isVisible && deployment?.id) {
-      const socket = io(API_URL);
+      const socket = io(API_URL, { withCredentials: true });
       socketRef.current = socket;
       
       socket.on('connect', () => {
@@ -166,7 +166,9 @@ const SnapshotContent = ({ deployment, server, isVisible = true, showFooter = fa
     return deployment.volumes || [];
   };
 
-  const hasVolumes = getVolumes().length > 0;
+  // A compose stack always has its stack directory to back up
+  const isStack = Boolean(deployment?.compose_project);
+  const hasVolumes = isStack || getVolumes().length > 0;
 
   if (!deployment) return null;
 
@@ -203,7 +205,9 @@ const SnapshotContent = ({ deployment, server, isVisible = true, showFooter = fa
           ) : (
             <>
               <p className={styles.hint}>
-                Create a backup of all volume data. The container will be stopped briefly during the snapshot.
+                {isStack
+                  ? 'Create a backup of the stack directory and all volume data. The stack will be stopped briefly during the snapshot.'
+                  : 'Create a backup of all volume data. The container will be stopped briefly during the snapshot.'}
               </p>
               <div className={styles.createForm}>
                 <input
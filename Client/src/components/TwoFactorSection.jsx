@@ -0,0 +1,267 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import Button from './Button';
+import Modal from './Modal';
+import { KeyIcon, CopyIcon, AlertIcon } from './Icons';
+import { authService } from '../api/auth';
+import { useAuth } from '../contexts/AuthContext';
+import { showSuccess, showError, showCopied } from '../utils/toast';
+import styles from './TwoFactorSection.module.css';
+
+const TwoFactorSection = () => {
+  const { user, checkAuth } = useAuth();
+  const queryClient = useQueryClient();
+  const [enrollment, setEnrollment] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  // 'disable' or 'regenerate' while the confirmation modal is open
+  const [confirmAction, setConfirmAction] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [formError, setFormError] = useState('');
+
+  const { data: status, isLoading } = useQuery({
+    queryKey: ['two-factor'],
+    queryFn: authService.getTwoFactorStatus,
+  });
+
+  const resetForm = () => {
+    setCode('');
+    setPassword('');
+    setFormError('');
+  };
+
+  const setupMutation = useMutation({
+    mutationFn: authService.setupTwoFactor,
+    onSuccess: (data) => {
+      resetForm();
+      setEnrollment(data);
+    },
+    onError: (error) => {
+      showError(error.response?.data?.error || 'Failed to start two-factor setup');
+    },
+  });
+
+  const enableMutation = useMutation({
+    mutationFn: authService.enableTwoFactor,
+    onSuccess: (data) => {
+      setEnrollment(null);
+      resetForm();
+      setRecoveryCodes(data.recoveryCodes);
+      queryClient.invalidateQueries({ queryKey: ['two-factor'] });
+      checkAuth();
+    },
+    onError: (error) => {
+      setFormError(error.response?.data?.error || 'Failed to enable two-factor authentication');
+    },
+  });
+
+  const disableMutation = useMutation({
+    mutationFn: authService.disableTwoFactor,
+    onSuccess: () => {
+      setConfirmAction(null);
+      resetForm();
+      queryClient.invalidateQueries({ queryKey: ['two-factor'] });
+      checkAuth();
+      showSuccess('Two-factor authentication disabled');
+    },
+    onError: (error) => {
+      setFormError(error.response?.data?.error || 'Failed to disable two-factor authentication');
+    },
+  });
+
+  const regenerateMutation = useMutation({
+    mutationFn: authService.regenerateRecoveryCodes,
+    onSuccess: (data) => {
+      setConfirmAction(null);
+      resetForm();
+      setRecoveryCodes(data.recoveryCodes);
+      queryClient.invalidateQueries({ queryKey: ['two-factor'] });
+    },
+    onError: (error) => {
+      setFormError(error.response?.data?.error || 'Failed to create recovery codes');
+    },
+  });
+
+  const handleEnable = (e) => {
+    e.preventDefault();
+    enableMutation.mutate(code.trim());
+  };
+
+  const handleConfirm = (e) => {
+    e.preventDefault();
+    if (confirmAction === 'disable') {
+      disableMutation.mutate({ password, code: code.trim() });
+    } else {
+      regenerateMutation.mutate(code.trim());
+    }
+  };
+
+  const closeConfirm = () => {
+    setConfirmAction(null);
+    resetForm();
+  };
+
+  const handleCopyCodes = async () => {
+    await navigator.clipboard.writeText(recoveryCodes.join('\n'));
+    showCopied('Recovery codes copied to clipboard');
+  };
+
+  const confirmPending = disableMutation.isPending || regenerateMutation.isPending;
+
+  return (
+    <div className={styles.section}>
+      {user?.twoFactorSetupRequired && (
+        <div className={styles.requiredBanner}>
+          <AlertIcon size={18} />
+          <span>Your administrator requires two-factor authentication. Set it up to continue using the dashboard.</span>
+        </div>
+      )}
+
+      <div className={styles.header}>
+        <div>
+          <div className={styles.title}>
+            <KeyIcon size={18} />
+            Two-Factor Authentication
+            {status?.enabled && <span className={styles.enabledBadge}>Enabled</span>}
+          </div>
+          <p className={styles.description}>
+            {isLoading
+              ? 'Loading...'
+              : status?.enabled
+                ? `Signing in asks for a code from your authenticator app. ${status.recoveryCodesRemaining} recovery code${status.recoveryCodesRemaining === 1 ? '' : 's'} left.`
+                : 'Protect your account with a code from an authenticator app (Google Authenticator, 1Password, Authy...) when signing in.'}
+          </p>
+        </div>
+        {status && !status.enabled && (
+          <Button size="small" onClick={() => setupMutation.mutate()} disabled={setupMutation.isPending}>
+            {setupMutation.isPending ? 'Preparing...' : 'Enable'}
+          </Button>
+        )}
+      </div>
+
+      {status?.enabled && (
+        <div className={styles.actions}>
+          <Button variant="outline" size="small" onClick={() => setConfirmAction('regenerate')}>
+            New Recovery Codes
+          </Button>
+          {!status.required && (
+            <Button variant="danger" size="small" onClick={() => setConfirmAction('disable')}>
+              Disable
+            </Button>
+          )}
+        </div>
+      )}
+
+      {/* Enrollment Modal */}
+      <Modal
+        isOpen={!!enrollment}
+        onClose={() => setEnrollment(null)}
+        title="Set Up Two-Factor Authentication"
+      >
+        <form className={styles.form} onSubmit={handleEnable}>
+          <p className={styles.description}>
+            Scan this QR code with your authenticator app, or enter the key manually, then type the 6-digit code it shows.
+          </p>
+          {enrollment && (
+            <>
+              <img className={styles.qrCode} src={enrollment.qrCode} alt="Two-factor QR code" />
+              <code className={styles.secret}>{enrollment.secret}</code>
+            </>
+          )}
+          {formError && <div className={styles.formError}>{formError}</div>}
+          <input
+            type="text"
+            className={styles.input}
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            placeholder="123456"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            required
+          />
+          <div className={styles.modalActions}>
+            <Button variant="outline" onClick={() => setEnrollment(null)}>
+              Cancel
+            </Button>
+            <Button type="submit" disabled={!code.trim() || enableMutation.isPending}>
+              {enableMutation.isPending ? 'Verifying...' : 'Enable'}
+            </Button>
+          </div>
+        </form>
+      </Modal>
+
+      {/* Disable / Regenerate Modal */}
+      <Modal
+        isOpen={!!confirmAction}
+        onClose={closeConfirm}
+        title={confirmAction === 'disable' ? 'Disable Two-Factor Authentication' : 'New Recovery Codes'}
+      >
+        <form className={styles.form} onSubmit={handleConfirm}>
+          <p className={styles.description}>
+            {confirmAction === 'disable'
+              ? 'Confirm with your password and a code from your authenticator app (or a recovery code).'
+              : 'Your current recovery codes will stop working. Confirm with a code from your authenticator app.'}
+          </p>
+          {formError && <div className={styles.formError}>{formError}</div>}
+          {confirmAction === 'disable' && (
+            <input
+              type="password"
+              className={styles.input}
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              placeholder="Password"
+              autoComplete="current-password"
+              required
+            />
+          )}
+          <input
+            type="text"
+            className={styles.input}
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            placeholder="Authentication code"
+            autoComplete="one-time-code"
+            required
+          />
+          <div className={styles.modalActions}>
+            <Button variant="outline" onClick={closeConfirm}>
+              Cancel
+            </Button>
+            <Button
+              type="submit"
+              variant={confirmAction === 'disable' ? 'danger' : 'primary'}
+              disabled={!code.trim() || confirmPending}
+            >
+              {confirmAction === 'disable' ? 'Disable' : 'Create Codes'}
+            </Button>
+          </div>
+        </form>
+      </Modal>
+
+      {/* Recovery Codes Modal - the codes are only shown once */}
+      <Modal
+        isOpen={!!recoveryCodes}
+        onClose={() => setRecoveryCodes(null)}
+        title="Recovery Codes"
+      >
+        <p className={styles.description}>
+          Save these codes somewhere safe. Each one can be used once to sign in if you lose your device.
+          They will not be shown again.
+        </p>
+        <div className={styles.codeGrid}>
+          {recoveryCodes?.map(recoveryCode => (
+            <code key={recoveryCode}>{recoveryCode}</code>
+          ))}
+        </div>
+        <div className={styles.modalActions}>
+          <Button variant="outline" onClick={handleCopyCodes}>
+            <CopyIcon size={16} /> Copy
+          </Button>
+          <Button onClick={() => setRecoveryCodes(null)}>Done</Button>
+        </div>
+      </Modal>
+    </div>
+  );
+};
+
+export default TwoFactorSection;
@@ -0,0 +1,279 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import Button from './Button';
+import Modal from './Modal';
+import ConfirmModal from './ConfirmModal';
+import { UsersIcon, CopyIcon, TrashIcon, PlusIcon } from './Icons';
+import { adminService } from '../api/admin';
+import { useAuth } from '../contexts/AuthContext';
+import { showSuccess, showError, showCopied } from '../utils/toast';
+import styles from './UserManagementSection.module.css';
+
+const UserManagementSection = () => {
+  const { user: currentUser } = useAuth();
+  const queryClient = useQueryClient();
+  const [inviteEmail, setInviteEmail] = useState('');
+  const [inviteLink, setInviteLink] = useState(null);
+  const [userToDelete, setUserToDelete] = useState(null);
+
+  const { data: users = [], isLoading } = useQuery({
+    queryKey: ['admin-users'],
+    queryFn: adminService.getUsers,
+  });
+
+  const { data: invitations = [] } = useQuery({
+    queryKey: ['admin-invitations'],
+    queryFn: adminService.getInvitations,
+  });
+
+  const { data: settings } = useQuery({
+    queryKey: ['admin-settings'],
+    queryFn: adminService.getSettings,
+  });
+
+  const settingsMutation = useMutation({
+    mutationFn: adminService.updateSettings,
+    onSuccess: (data) => {
+      queryClient.setQueryData(['admin-settings'], data);
+      showSuccess('Settings saved');
+    },
+    onError: (error) => {
+      showError(error.response?.data?.error || 'Failed to update settings');
+    },
+  });
+
+  const inviteMutation = useMutation({
+    mutationFn: adminService.createInvitation,
+    onSuccess: (data) => {
+      queryClient.invalidateQueries({ queryKey: ['admin-invitations'] });
+      setInviteEmail('');
+      setInviteLink(`${window.location.origin}/register?invite=${data.token}`);
+    },
+    onError: (error) => {
+      showError(error.response?.data?.error || 'Failed to create invitation');
+    },
+  });
+
+  const revokeInvitationMutation = useMutation({
+    mutationFn: adminService.revokeInvitation,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['admin-invitations'] });
+      showSuccess('Invitation revoked');
+    },
+    onError: (error) => {
+      showError(error.response?.data?.error || 'Failed to revoke invitation');
+    },
+  });
+
+  const updateUserMutation = useMutation({
+    mutationFn: adminService.updateUser,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['admin-users'] });
+    },
+    onError: (error) => {
+      showError(error.response?.data?.error || 'Failed to update user');
+    },
+  });
+
+  const resetTwoFactorMutation = useMutation({
+    mutationFn: adminService.resetTwoFactor,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['admin-users'] });
+      showSuccess('Two-factor authentication reset');
+    },
+    onError: (error) => {
+      showError(error.response?.data?.error || 'Failed to reset two-factor authentication');
+    },
+  });
+
+  const deleteUserMutation = useMutation({
+    mutationFn: adminService.deleteUser,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['admin-users'] });
+      showSuccess('User deleted');
+    },
+    onError: (error) => {
+      showError(error.response?.data?.error || 'Failed to delete user');
+    },
+  });
+
+  const handleInvite = (e) => {
+    e.preventDefault();
+    inviteMutation.mutate(inviteEmail.trim());
+  };
+
+  const handleCopy = async () => {
+    await navigator.clipboard.writeText(inviteLink);
+    showCopied('Invitation link copied to clipboard');
+  };
+
+  const formatDate = (dateString) => new Date(dateString).toLocaleDateString();
+
+  return (
+    <div className={styles.section}>
+      <div className={styles.header}>
+        <div>
+          <div className={styles.title}>
+            <UsersIcon size={18} />
+            Users
+          </div>
+          <p className={styles.description}>
+            Invite people, disable accounts and choose who can administer this instance.
+          </p>
+        </div>
+        <div className={styles.toggles}>
+          <label className={styles.toggleLabel}>
+            <input
+              type="checkbox"
+              checked={settings?.registrationOpen ?? true}
+              disabled={!settings || settingsMutation.isPending}
+              onChange={(e) => settingsMutation.mutate({ registrationOpen: e.target.checked })}
+            />
+            Allow public registration
+          </label>
+          <label className={styles.toggleLabel}>
+            <input
+              type="checkbox"
+              checked={settings?.twoFactorRequired ?? false}
+              disabled={!settings || settingsMutation.isPending}
+              onChange={(e) => settingsMutation.mutate({ twoFactorRequired: e.target.checked })}
+            />
+            Require two-factor authentication
+          </label>
+        </div>
+      </div>
+
+      <form className={styles.inviteForm} onSubmit={handleInvite}>
+        <input
+          type="email"
+          className={styles.input}
+          placeholder="Email address to invite"
+          value={inviteEmail}
+          onChange={(e) => setInviteEmail(e.target.value)}
+          required
+        />
+        <Button type="submit" size="small" disabled={!inviteEmail.trim() || inviteMutation.isPending}>
+          <PlusIcon size={16} /> {inviteMutation.isPending ? 'Inviting...' : 'Invite'}
+        </Button>
+      </form>
+
+      {invitations.length > 0 && (
+        <div className={styles.list}>
+          {invitations.map(invitation => (
+            <div key={invitation.id} className={styles.row}>
+              <div className={styles.info}>
+                <div className={styles.name}>{invitation.email}</div>
+                <div className={styles.meta}>Invitation pending · expires {formatDate(invitation.expires_at)}</div>
+              </div>
+              <Button
+                variant="outline"
+                size="small"
+                onClick={() => revokeInvitationMutation.mutate(invitation.id)}
+                disabled={revokeInvitationMutation.isPending}
+              >
+                Revoke
+              </Button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {isLoading ? (
+        <p className={styles.empty}>Loading users...</p>
+      ) : (
+        <div className={styles.list}>
+          {users.map(account => {
+            const isSelf = account.id === currentUser?.id;
+            return (
+              <div key={account.id} className={`${styles.row} ${account.disabled ? styles.rowDisabled : ''}`}>
+                <div className={styles.info}>
+                  <div className={styles.name}>
+                    {account.name}
+                    {account.isAdmin && <span className={`${styles.badge} ${styles.adminBadge}`}>Admin</span>}
+                    {account.disabled && <span className={`${styles.badge} ${styles.disabledBadge}`}>Disabled</span>}
+                    {account.twoFactorEnabled && <span className={styles.badge}>2FA</span>}
+                    {isSelf && <span className={styles.badge}>You</span>}
+                  </div>
+                  <div className={styles.meta}>
+                    {account.email} · joined {formatDate(account.createdAt)}
+                  </div>
+                </div>
+                {!isSelf && (
+                  <div className={styles.rowActions}>
+                    {account.twoFactorEnabled && (
+                      <Button
+                        variant="outline"
+                        size="small"
+                        onClick={() => resetTwoFactorMutation.mutate(account.id)}
+                        disabled={resetTwoFactorMutation.isPending}
+                        title="For users who lost their authenticator and recovery codes"
+                      >
+                        Reset 2FA
+                      </Button>
+                    )}
+                    <Button
+                      variant="outline"
+                      size="small"
+                      onClick={() => updateUserMutation.mutate({ id: account.id, isAdmin: !account.isAdmin })}
+                      disabled={updateUserMutation.isPending}
+                    >
+                      {account.isAdmin ? 'Remove Admin' : 'Make Admin'}
+                    </Button>
+                    <Button
+                      variant="outline"
+                      size="small"
+                      onClick={() => updateUserMutation.mutate({ id: account.id, disabled: !account.disabled })}
+                      disabled={updateUserMutation.isPending}
+                    >
+                      {account.disabled ? 'Enable' : 'Disable'}
+                    </Button>
+                    <Button
+                      variant="danger"
+                      size="small"
+                      onClick={() => setUserToDelete(account)}
+                      title="Delete user"
+                    >
+                      <TrashIcon size={16} />
+                    </Button>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {/* Invitation Link Modal - the token is only shown once */}
+      <Modal
+        isOpen={!!inviteLink}
+        onClose={() => setInviteLink(null)}
+        title="Invitation Created"
+      >
+        <p className={styles.description}>
+          Send this signup link to the invitee. It works even while public registration is closed
+          and will not be shown again.
+        </p>
+        <div className={styles.inviteLink}>
+          <code>{inviteLink}</code>
+          <Button variant="outline" size="small" onClick={handleCopy}>
+            <CopyIcon size={16} />
+          </Button>
+        </div>
+        <div className={styles.actions}>
+          <Button onClick={() => setInviteLink(null)}>Done</Button>
+        </div>
+      </Modal>
+
+      <ConfirmModal
+        isOpen={!!userToDelete}
+        onClose={() => setUserToDelete(null)}
+        onConfirm={() => deleteUserMutation.mutate(userToDelete.id)}
+        title="Delete User"
+        message={`Delete ${userToDelete?.email}? Teams only they belong to are deleted with their servers, apps and snapshots. Running containers are not touched.`}
+        confirmText="Delete"
+      />
+    </div>
+  );
+};
+
+export default UserManagementSection;
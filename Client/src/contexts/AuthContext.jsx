@@ -28,12 +28,30 @@ export const AuthProvider = ({ children }) => {
   const login = async (credentials) => {
     try {
       const data = await authService.login(credentials);
+      if (data.twoFactorRequired) {
+        return { success: false, twoFactorRequired: true };
+      }
       setUser(data.user);
       setError(null);
       return { success: true };
     } catch (err) {
-      setError(err.response?.data?.message || 'Login failed');
-      return { success: false, error: err.response?.data?.message };
+      const message = err.response?.data?.error || err.response?.data?.message;
+      setError(message || 'Login failed');
+      return { success: false, error: message };
+    }
+  };
+
+  const verifyTwoFactor = async (factors) => {
+    try {
+      const data = await authService.verifyTwoFactor(factors);
+      setUser(data.user);
+      setError(null);
+      return { success: true };
+    } catch (err) {
+      const message = err.response?.data?.error;
+      setError(message || 'Verification failed');
+      // After too many attempts or a timeout the password has to be entered again
+      return { success: false, error: message, loginExpired: !!err.response?.data?.loginExpired };
     }
   };
 
@@ -44,8 +62,9 @@ export const AuthProvider = ({ children }) => {
       setError(null);
       return { success: true };
     } catch (err) {
-      setError(err.response?.data?.message || 'Registration failed');
-      return { success: false, error: err.response?.data?.message };
+      const message = err.response?.data?.error || err.response?.data?.message;
+      setError(message || 'Registration failed');
+      return { success: false, error: message };
     }
   };
 
@@ -64,6 +83,7 @@ export const AuthProvider = ({ children }) => {
     loading,
     error,
     login,
+    verifyTwoFactor,
     register,
     logout,
     checkAuth,
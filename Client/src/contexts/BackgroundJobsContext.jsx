@@ -1,7 +1,9 @@
 import React, { createContext, useContext, useState, useCallback, useEffect, useRef } from 'react';
 import { io } from 'socket.io-client';
+import { useQueryClient } from '@tanstack/react-query';
 import { appsService } from '../api/apps';
 import { systemService } from '../api/system';
+import { showError, showSuccess } from '../utils/toast';
 
 const BackgroundJobsContext = createContext(null);
 
@@ -14,6 +16,7 @@ export const useBackgroundJobs = () => {
 };
 
 export const BackgroundJobsProvider = ({ children }) => {
+  const queryClient = useQueryClient();
   const [jobs, setJobs] = useState({});
   const [progress, setProgress] = useState({}); // Track progress from socket events
   const [fileJobs, setFileJobs] = useState({}); // Track file operation jobs
@@ -40,7 +43,7 @@ export const BackgroundJobsProvider = ({ children }) => {
     const fetchActiveJobs = async () => {
       try {
         const deployments = await appsService.getAllDeployments();
-        const activeStatuses = ['snapshotting', 'restoring', 'migrating'];
+        const activeStatuses = ['snapshotting', 'restoring', 'migrating', 'updating'];
         
         const activeJobs = {};
         deployments.forEach(dep => {
@@ -51,7 +54,8 @@ export const BackgroundJobsProvider = ({ children }) => {
               deploymentId: dep.id,
               type: dep.status === 'snapshotting' ? 'Snapshotting' :
                     dep.status === 'restoring' ? 'Restoring' :
-                    dep.status === 'migrating' ? 'Migrating' : dep.status,
+                    dep.status === 'migrating' ? 'Migrating' :
+                    dep.status === 'updating' ? 'Updating' : dep.status,
               containerName: dep.container_name,
               appName: dep.app_name,
               percent: progress[dep.id]?.percent ?? 0,
@@ -152,6 +156,18 @@ export const BackgroundJobsProvider = ({ children }) => {
       }));
     });
 
+    // Listen for rolling update progress
+    socketInstance.on('deployment-update-progress', (data) => {
+      setProgress(prev => ({
+        ...prev,
+        [data.deploymentId]: {
+          percent: data.percent,
+          stage: data.stage,
+          message: data.message
+        }
+      }));
+    });
+
     // Listen for system update progress logs
     socketInstance.on('system-update-progress', (data) => {
       setSystemUpdate(prev => ({
@@ -254,12 +270,46 @@ export const BackgroundJobsProvider = ({ children }) => {
       });
     });
 
+    // Threshold alerts from metric collection, shown wherever the user is
+    socketInstance.on('alert-firing', (data) => {
+      showError(`Alert: ${data.serverName} - ${data.ruleName} (${data.condition})`);
+      queryClient.invalidateQueries({ queryKey: ['alerts'] });
+    });
+
+    socketInstance.on('alert-resolved', (data) => {
+      showSuccess(`Resolved: ${data.serverName} - ${data.ruleName}`);
+      queryClient.invalidateQueries({ queryKey: ['alerts'] });
+    });
+
+    // Reachability changes from background health checks
+    socketInstance.on('server-status', (data) => {
+      if (data.status === 'offline') {
+        showError(`${data.serverName} is unreachable${data.error ? `: ${data.error}` : ''}`);
+      } else if (data.status === 'online' && data.previousStatus === 'offline') {
+        showSuccess(`${data.serverName} is back online`);
+      }
+      queryClient.invalidateQueries({ queryKey: ['servers'] });
+      queryClient.invalidateQueries({ queryKey: ['server', data.serverId] });
+      queryClient.invalidateQueries({ queryKey: ['server-uptime', data.serverId] });
+    });
+
+    // Health changes from deployment checks
+    socketInstance.on('deployment-health', (data) => {
+      if (data.health === 'down' || data.health === 'degraded') {
+        showError(`${data.name} on ${data.serverName} is ${data.health}`);
+      } else if (data.health === 'healthy' && data.previousHealth) {
+        showSuccess(`${data.name} on ${data.serverName} is healthy again`);
+      }
+      queryClient.invalidateQueries({ queryKey: ['all-deployments'] });
+      queryClient.invalidateQueries({ queryKey: ['deployment-checks', data.deploymentId] });
+    });
+
     socketRef.current = socketInstance;
 
     return () => {
       socketInstance.disconnect();
     };
-  }, []);
+  }, [queryClient]);
 
   // Get socket ID for passing to API calls
   const getSocketId = useCallback(() => {
@@ -20,7 +20,7 @@ export const SnapshotProgressProvider = ({ children }) => {
 
   // Initialize socket connection
   useEffect(() => {
-    const socket = io(API_URL);
+    const socket = io(API_URL, { withCredentials: true });
     socketRef.current = socket;
     
     socket.on('connect', () => {
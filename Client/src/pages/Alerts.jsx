@@ -0,0 +1,484 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import Layout from '../components/Layout';
+import Button from '../components/Button';
+import Modal from '../components/Modal';
+import ConfirmModal from '../components/ConfirmModal';
+import NotificationChannelsSection from '../components/NotificationChannelsSection';
+import { BellIcon, PlusIcon, EditIcon, TrashIcon, ChevronLeftIcon, ChevronRightIcon } from '../components/Icons';
+import { alertsService } from '../api/alerts';
+import { serversService } from '../api/servers';
+import { teamsService } from '../api/teams';
+import { showSuccess, showError } from '../utils/toast';
+import styles from './Alerts.module.css';
+
+const HISTORY_PAGE_SIZE = 25;
+
+const emptyRule = {
+  name: '',
+  teamId: '',
+  scope: 'all', // 'all' | 'server' | 'tag'
+  serverId: '',
+  tag: '',
+  metric: 'disk_percentage',
+  operator: '>',
+  threshold: '90',
+  durationMinutes: '5',
+  enabled: true,
+};
+
+// Form state for an existing rule
+const ruleToForm = (rule) => ({
+  name: rule.name,
+  teamId: rule.teamId,
+  scope: rule.serverId ? 'server' : rule.tag ? 'tag' : 'all',
+  serverId: rule.serverId || '',
+  tag: rule.tag || '',
+  metric: rule.metric,
+  operator: rule.operator || '>',
+  threshold: rule.threshold ?? '',
+  durationMinutes: String(Math.round((rule.durationSeconds || 0) / 60)),
+  enabled: rule.enabled,
+});
+
+const formatDuration = (from, to) => {
+  const seconds = Math.max(0, Math.round((new Date(to || Date.now()) - new Date(from)) / 1000));
+  if (seconds < 60) return `${seconds}s`;
+  if (seconds < 3600) return `${Math.round(seconds / 60)}m`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ${Math.round((seconds % 3600) / 60)}m`;
+  return `${Math.floor(seconds / 86400)}d ${Math.round((seconds % 86400) / 3600)}h`;
+};
+
+const Alerts = () => {
+  const queryClient = useQueryClient();
+  const [editingRule, setEditingRule] = useState(null); // null | 'new' | rule
+  const [form, setForm] = useState(emptyRule);
+  const [ruleToDelete, setRuleToDelete] = useState(null);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [page, setPage] = useState(0);
+
+  const { data: rules = [], isLoading: rulesLoading } = useQuery({
+    queryKey: ['alert-rules'],
+    queryFn: alertsService.getRules,
+  });
+
+  const { data: alertData, isLoading: alertsLoading } = useQuery({
+    queryKey: ['alerts', statusFilter, page],
+    queryFn: () => alertsService.getAlerts({
+      status: statusFilter || undefined,
+      limit: HISTORY_PAGE_SIZE,
+      offset: page * HISTORY_PAGE_SIZE,
+    }),
+    placeholderData: (previous) => previous,
+    refetchInterval: 30000,
+  });
+
+  const { data: options } = useQuery({
+    queryKey: ['alert-metrics'],
+    queryFn: alertsService.getMetrics,
+  });
+
+  const { data: servers = [] } = useQuery({
+    queryKey: ['servers'],
+    queryFn: serversService.getServers,
+  });
+
+  const { data: teams = [] } = useQuery({
+    queryKey: ['teams'],
+    queryFn: teamsService.getTeams,
+  });
+  const writableTeams = teams.filter(t => t.role !== 'viewer');
+
+  const metrics = options?.metrics || [];
+  const metricInfo = (key) => metrics.find(m => m.key === key);
+  const alerts = alertData?.alerts || [];
+  const total = alertData?.total || 0;
+  const pageCount = Math.max(1, Math.ceil(total / HISTORY_PAGE_SIZE));
+
+  const formTeamId = form.teamId || writableTeams[0]?.id;
+  const teamServers = servers.filter(server => server.teamId === formTeamId);
+  const teamTags = [...new Set(teamServers.flatMap(server => server.tags || []))];
+  const serverName = (id) => {
+    const server = servers.find(s => s.id === id);
+    return server ? (server.displayName || server.name || server.ip) : 'deleted server';
+  };
+
+  const closeEditor = () => {
+    setEditingRule(null);
+    setForm(emptyRule);
+  };
+
+  const handleSaved = (message) => {
+    queryClient.invalidateQueries({ queryKey: ['alert-rules'] });
+    queryClient.invalidateQueries({ queryKey: ['alerts'] });
+    showSuccess(message);
+    closeEditor();
+  };
+
+  const createMutation = useMutation({
+    mutationFn: alertsService.createRule,
+    onSuccess: () => handleSaved('Alert rule created'),
+    onError: (error) => showError(error.response?.data?.error || 'Failed to create alert rule'),
+  });
+
+  const updateMutation = useMutation({
+    mutationFn: alertsService.updateRule,
+    onSuccess: () => handleSaved('Alert rule updated'),
+    onError: (error) => showError(error.response?.data?.error || 'Failed to update alert rule'),
+  });
+
+  const toggleMutation = useMutation({
+    mutationFn: alertsService.updateRule,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['alert-rules'] });
+      queryClient.invalidateQueries({ queryKey: ['alerts'] });
+    },
+    onError: (error) => showError(error.response?.data?.error || 'Failed to update alert rule'),
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: alertsService.deleteRule,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['alert-rules'] });
+      queryClient.invalidateQueries({ queryKey: ['alerts'] });
+      showSuccess('Alert rule deleted');
+    },
+    onError: (error) => showError(error.response?.data?.error || 'Failed to delete alert rule'),
+  });
+
+  const openEditor = (rule) => {
+    setEditingRule(rule || 'new');
+    setForm(rule ? ruleToForm(rule) : emptyRule);
+  };
+
+  const updateForm = (key, value) => setForm(prev => ({ ...prev, [key]: value }));
+
+  // The API takes a server or a tag, never both
+  const toPayload = (values) => ({
+    name: values.name,
+    teamId: formTeamId,
+    serverId: values.scope === 'server' ? values.serverId : null,
+    tag: values.scope === 'tag' ? values.tag : null,
+    metric: values.metric,
+    operator: values.operator,
+    threshold: values.threshold,
+    durationMinutes: values.durationMinutes,
+    enabled: values.enabled,
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (editingRule === 'new') {
+      createMutation.mutate(toPayload(form));
+    } else {
+      updateMutation.mutate({ id: editingRule.id, ...toPayload(form) });
+    }
+  };
+
+  const handleToggle = (rule) => {
+    toggleMutation.mutate({ id: rule.id, ...toPayload({ ...ruleToForm(rule), enabled: !rule.enabled }), teamId: rule.teamId });
+  };
+
+  const describeScope = (rule) => {
+    if (rule.serverId) return serverName(rule.serverId);
+    if (rule.tag) return `servers tagged "${rule.tag}"`;
+    return `all servers${teams.length > 1 && rule.teamName ? ` in ${rule.teamName}` : ''}`;
+  };
+
+  const formatValue = (alert, value) => {
+    if (value === null || value === undefined) return null;
+    const unit = metricInfo(alert.metric)?.unit || '';
+    return `${Math.round(value * 10) / 10}${unit}`;
+  };
+
+  const isSaving = createMutation.isPending || updateMutation.isPending;
+
+  return (
+    <Layout>
+      <div className={styles.pageHeader}>
+        <h1 className={styles.pageTitle}>
+          <BellIcon size={32} />
+          Alerts
+        </h1>
+        <Button onClick={() => openEditor(null)} disabled={writableTeams.length === 0}>
+          <PlusIcon size={16} /> New Rule
+        </Button>
+      </div>
+
+      <section className={styles.section}>
+        <h2 className={styles.sectionTitle}>Rules</h2>
+        {rulesLoading ? (
+          <p className={styles.empty}>Loading rules...</p>
+        ) : rules.length === 0 ? (
+          <p className={styles.empty}>
+            No alert rules yet. Rules are checked every time server metrics are collected.
+          </p>
+        ) : (
+          <div className={styles.list}>
+            {rules.map(rule => (
+              <div key={rule.id} className={`${styles.row} ${rule.enabled ? '' : styles.rowDisabled}`}>
+                <div className={styles.info}>
+                  <div className={styles.name}>
+                    {rule.name}
+                    {!rule.enabled && <span className={styles.badge}>Paused</span>}
+                  </div>
+                  <div className={styles.meta}>
+                    {rule.condition} · {describeScope(rule)}
+                  </div>
+                </div>
+                <div className={styles.rowActions}>
+                  <Button
+                    variant="outline"
+                    size="small"
+                    onClick={() => handleToggle(rule)}
+                    disabled={toggleMutation.isPending}
+                  >
+                    {rule.enabled ? 'Pause' : 'Resume'}
+                  </Button>
+                  <Button variant="outline" size="small" onClick={() => openEditor(rule)} title="Edit rule">
+                    <EditIcon size={16} />
+                  </Button>
+                  <Button variant="danger" size="small" onClick={() => setRuleToDelete(rule)} title="Delete rule">
+                    <TrashIcon size={16} />
+                  </Button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </section>
+
+      <section className={styles.section}>
+        <div className={styles.sectionHeader}>
+          <h2 className={styles.sectionTitle}>History</h2>
+          <select
+            className={styles.filter}
+            value={statusFilter}
+            onChange={(e) => { setStatusFilter(e.target.value); setPage(0); }}
+          >
+            <option value="">All alerts</option>
+            <option value="firing">Firing</option>
+            <option value="resolved">Resolved</option>
+          </select>
+        </div>
+
+        {alertsLoading ? (
+          <p className={styles.empty}>Loading alerts...</p>
+        ) : alerts.length === 0 ? (
+          <p className={styles.empty}>No alerts{statusFilter ? ` ${statusFilter}` : ''}.</p>
+        ) : (
+          <div className={styles.list}>
+            {alerts.map(alert => (
+              <div
+                key={alert.id}
+                className={`${styles.alertRow} ${alert.status === 'firing' ? styles.alertFiring : styles.alertResolved}`}
+              >
+                <div className={styles.info}>
+                  <div className={styles.name}>
+                    <span className={`${styles.status} ${alert.status === 'firing' ? styles.statusFiring : styles.statusResolved}`}>
+                      {alert.status}
+                    </span>
+                    {alert.serverName} · {alert.ruleName}
+                  </div>
+                  <div className={styles.meta}>
+                    {alert.condition}
+                    {formatValue(alert, alert.value) && ` · was ${formatValue(alert, alert.value)}`}
+                    {formatValue(alert, alert.resolvedValue) && ` · recovered at ${formatValue(alert, alert.resolvedValue)}`}
+                  </div>
+                </div>
+                <div className={styles.times}>
+                  <div>{new Date(alert.startedAt).toLocaleString()}</div>
+                  <div className={styles.meta}>
+                    {alert.status === 'firing' ? 'for ' : 'lasted '}
+                    {formatDuration(alert.startedAt, alert.resolvedAt)}
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {total > HISTORY_PAGE_SIZE && (
+          <div className={styles.pagination}>
+            <Button variant="outline" size="small" onClick={() => setPage(page - 1)} disabled={page === 0}>
+              <ChevronLeftIcon size={16} />
+            </Button>
+            <span className={styles.meta}>Page {page + 1} of {pageCount}</span>
+            <Button variant="outline" size="small" onClick={() => setPage(page + 1)} disabled={page + 1 >= pageCount}>
+              <ChevronRightIcon size={16} />
+            </Button>
+          </div>
+        )}
+      </section>
+
+      <section className={styles.section}>
+        <NotificationChannelsSection />
+      </section>
+
+      <Modal
+        isOpen={!!editingRule}
+        onClose={closeEditor}
+        title={editingRule === 'new' ? 'New Alert Rule' : 'Edit Alert Rule'}
+        footer={
+          <div className={styles.modalFooter}>
+            <Button variant="outline" onClick={closeEditor}>Cancel</Button>
+            <Button type="submit" form="alert-rule-form" disabled={isSaving}>
+              {isSaving ? 'Saving...' : 'Save'}
+            </Button>
+          </div>
+        }
+      >
+        <form id="alert-rule-form" className={styles.form} onSubmit={handleSubmit}>
+          <div className={styles.formGroup}>
+            <label className={styles.label}>Name</label>
+            <input
+              type="text"
+              className={styles.input}
+              value={form.name}
+              onChange={(e) => updateForm('name', e.target.value)}
+              placeholder="Defaults to the condition"
+            />
+          </div>
+
+          {editingRule === 'new' && writableTeams.length > 1 && (
+            <div className={styles.formGroup}>
+              <label className={styles.label}>Team</label>
+              <select
+                className={styles.input}
+                value={formTeamId || ''}
+                onChange={(e) => setForm(prev => ({ ...prev, teamId: e.target.value, serverId: '', tag: '' }))}
+              >
+                {writableTeams.map(team => (
+                  <option key={team.id} value={team.id}>{team.name}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          <div className={styles.formRow}>
+            <div className={styles.formGroup}>
+              <label className={styles.label}>Applies to</label>
+              <select
+                className={styles.input}
+                value={form.scope}
+                onChange={(e) => updateForm('scope', e.target.value)}
+              >
+                <option value="all">All servers</option>
+                <option value="server">One server</option>
+                <option value="tag">Servers with a tag</option>
+              </select>
+            </div>
+            {form.scope === 'server' && (
+              <div className={styles.formGroup}>
+                <label className={styles.label}>Server</label>
+                <select
+                  className={styles.input}
+                  value={form.serverId}
+                  onChange={(e) => updateForm('serverId', e.target.value)}
+                  required
+                >
+                  <option value="">Select a server</option>
+                  {teamServers.map(server => (
+                    <option key={server.id} value={server.id}>{server.displayName || server.name || server.ip}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+            {form.scope === 'tag' && (
+              <div className={styles.formGroup}>
+                <label className={styles.label}>Tag</label>
+                <input
+                  type="text"
+                  className={styles.input}
+                  value={form.tag}
+                  onChange={(e) => updateForm('tag', e.target.value)}
+                  list="alert-rule-tags"
+                  required
+                />
+                <datalist id="alert-rule-tags">
+                  {teamTags.map(tag => <option key={tag} value={tag} />)}
+                </datalist>
+              </div>
+            )}
+          </div>
+
+          <div className={styles.formRow}>
+            <div className={styles.formGroup}>
+              <label className={styles.label}>Metric</label>
+              <select
+                className={styles.input}
+                value={form.metric}
+                onChange={(e) => updateForm('metric', e.target.value)}
+              >
+                {metrics.map(metric => (
+                  <option key={metric.key} value={metric.key}>{metric.label}</option>
+                ))}
+              </select>
+            </div>
+            {form.metric !== 'offline' && (
+              <div className={styles.formGroup}>
+                <label className={styles.label}>Condition</label>
+                <div className={styles.condition}>
+                  <select
+                    className={`${styles.input} ${styles.operator}`}
+                    value={form.operator}
+                    onChange={(e) => updateForm('operator', e.target.value)}
+                  >
+                    {(options?.operators || []).map(op => (
+                      <option key={op} value={op}>{op}</option>
+                    ))}
+                  </select>
+                  <input
+                    type="number"
+                    step="any"
+                    className={styles.input}
+                    value={form.threshold}
+                    onChange={(e) => updateForm('threshold', e.target.value)}
+                    required
+                  />
+                  {metricInfo(form.metric)?.unit && (
+                    <span className={styles.unit}>{metricInfo(form.metric).unit}</span>
+                  )}
+                </div>
+              </div>
+            )}
+          </div>
+
+          <div className={styles.formGroup}>
+            <label className={styles.label}>For (minutes)</label>
+            <input
+              type="number"
+              min="0"
+              className={styles.input}
+              value={form.durationMinutes}
+              onChange={(e) => updateForm('durationMinutes', e.target.value)}
+            />
+            <span className={styles.hint}>
+              The condition has to hold this long before the alert fires. 0 fires on the first match.
+            </span>
+          </div>
+
+          <label className={styles.checkbox}>
+            <input
+              type="checkbox"
+              checked={form.enabled}
+              onChange={(e) => updateForm('enabled', e.target.checked)}
+            />
+            Enabled
+          </label>
+        </form>
+      </Modal>
+
+      <ConfirmModal
+        isOpen={!!ruleToDelete}
+        onClose={() => setRuleToDelete(null)}
+        onConfirm={() => deleteMutation.mutate(ruleToDelete.id)}
+        title="Delete Alert Rule"
+        message={`Delete "${ruleToDelete?.name}"? Its firing alerts are resolved; past alerts stay in the history.`}
+        confirmText="Delete"
+      />
+    </Layout>
+  );
+};
+
+export default Alerts;
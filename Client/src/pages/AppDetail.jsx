@@ -6,6 +6,9 @@ import Layout from '../components/Layout';
 import Button from '../components/Button';
 import Modal from '../components/Modal';
 import SnapshotModal from '../components/SnapshotModal';
+import RollingUpdateModal from '../components/RollingUpdateModal';
+import DeploymentStatsHistory from '../components/DeploymentStatsHistory';
+import DeploymentRevisions from '../components/DeploymentRevisions';
 import IconSelector from '../components/IconSelector';
 import { appsService } from '../api/apps';
 import { serversService } from '../api/servers';
@@ -27,6 +30,8 @@ const AppDetail = () => {
   const [formData, setFormData] = useState({
     name: '',
     description: '',
+    type: 'container',
+    compose_file: '',
     image: '',
     tag: 'latest',
     ports: [],
@@ -42,7 +47,10 @@ const AppDetail = () => {
     use_custom_registry: false,
     web_ui_port: '',
     icon: '',
-    icon_url: ''
+    icon_url: '',
+    auto_update: false,
+    update_window_start: '',
+    update_window_end: ''
   });
   const [hasChanges, setHasChanges] = useState(false);
   
@@ -94,6 +102,9 @@ const AppDetail = () => {
   // Snapshot modal state
   const [snapshotModal, setSnapshotModal] = useState({ isOpen: false, deployment: null, server: null });
 
+  // Rolling update modal state (deployment null = all deployments)
+  const [updateModal, setUpdateModal] = useState({ isOpen: false, deployment: null });
+
   // Update mutation
   const updateMutation = useMutation({
     mutationFn: (data) => appsService.updateApp(id, data),
@@ -107,6 +118,26 @@ const AppDetail = () => {
     },
   });
 
+  // Compare running images with their tags in the registry now
+  const checkImagesMutation = useMutation({
+    mutationFn: () => appsService.checkImageUpdates(id),
+    onSuccess: (results) => {
+      queryClient.invalidateQueries(['app-deployments', id]);
+      const outdated = results.filter(result => result.outdated).length;
+      const failed = results.filter(result => result.error);
+      if (failed.length > 0) {
+        showError(`Image check failed: ${failed[0].error}`);
+      } else {
+        showSuccess(outdated > 0
+          ? `${outdated} of ${results.length} deployment(s) can be updated to a newer image`
+          : `All ${results.length} deployment(s) run the latest image of their tag`);
+      }
+    },
+    onError: (error) => {
+      showError(error.response?.data?.error || 'Failed to check for image updates');
+    },
+  });
+
   // Delete mutation
   const deleteMutation = useMutation({
     mutationFn: () => appsService.deleteApp(id),
@@ -135,6 +166,8 @@ const AppDetail = () => {
       setFormData({
         name: app.name || '',
         description: app.description || '',
+        type: app.type || 'container',
+        compose_file: app.compose_file || '',
         image: app.image || '',
         tag: app.tag || 'latest',
         ports: app.ports || [],
@@ -150,7 +183,10 @@ const AppDetail = () => {
         use_custom_registry: !!(app.registry_url || app.registry_username),
         web_ui_port: app.web_ui_port || '',
         icon: app.icon || '',
-        icon_url: app.icon_url || ''
+        icon_url: app.icon_url || '',
+        auto_update: !!app.auto_update,
+        update_window_start: app.update_window_start || '',
+        update_window_end: app.update_window_end || ''
       });
       setCustomPorts(app.ports || []);
     }
@@ -158,7 +194,7 @@ const AppDetail = () => {
 
   // Socket.IO for deployment
   useEffect(() => {
-    const socket = io(API_URL);
+    const socket = io(API_URL, { withCredentials: true });
     socketRef.current = socket;
 
     socket.on('deploy-output', ({ data }) => {
@@ -472,7 +508,8 @@ const AppDetail = () => {
 
   // Remove deployment with confirmation
   const handleRemoveDeployment = (deployment) => {
-    if (window.confirm(`Stop and remove container "${deployment.container_name}" from ${deployment.server_name || deployment.server_ip}?`)) {
+    const target = deployment.compose_project ? 'stack' : 'container';
+    if (window.confirm(`Stop and remove ${target} "${deployment.container_name}" from ${deployment.server_name || deployment.server_ip}?`)) {
       removeDeploymentMutation.mutate(deployment.id);
     }
   };
@@ -502,6 +539,7 @@ const AppDetail = () => {
 
   // Filter servers that are online
   const dockerServers = servers.filter(s => s.status === 'online');
+  const isCompose = formData.type === 'compose';
 
   return (
     <Layout>
@@ -514,7 +552,11 @@ const AppDetail = () => {
             <AppsIcon size={32} />
             {app.name}
           </h1>
-          {app.image && (
+          {app.type === 'compose' ? (
+            <span className={styles.imageBadge}>
+              <LayersIcon size={16} /> Compose stack
+            </span>
+          ) : app.image && (
             <span className={styles.imageBadge}>
               <DockerIcon size={16} /> {app.image}:{app.tag || 'latest'}
             </span>
@@ -524,7 +566,7 @@ const AppDetail = () => {
           <Button
             onClick={handleOpenDeployModal}
             variant="primary"
-            disabled={!formData.image}
+            disabled={isCompose ? !formData.compose_file : !formData.image}
           >
             <PlayIcon size={18} /> Deploy
           </Button>
@@ -545,21 +587,23 @@ const AppDetail = () => {
         >
           <SettingsIcon size={16} /> Config
         </button>
-        <button
-          className={`${styles.tab} ${activeTab === 'yaml' ? styles.activeTab : ''}`}
-          onClick={() => {
-            // Reset YAML changes so it regenerates from form
-            if (activeTab !== 'yaml') {
-              setYamlHasChanges(false);
-              const generatedYaml = generateDockerComposeYaml(formData);
-              setYamlText(generatedYaml);
-            }
-            setActiveTab('yaml');
-          }}
-        >
-          <FileIcon size={16} style={{ marginRight: '6px', display: 'inline-block' }} />
-          YAML
-        </button>
+        {!isCompose && (
+          <button
+            className={`${styles.tab} ${activeTab === 'yaml' ? styles.activeTab : ''}`}
+            onClick={() => {
+              // Reset YAML changes so it regenerates from form
+              if (activeTab !== 'yaml') {
+                setYamlHasChanges(false);
+                const generatedYaml = generateDockerComposeYaml(formData);
+                setYamlText(generatedYaml);
+              }
+              setActiveTab('yaml');
+            }}
+          >
+            <FileIcon size={16} style={{ marginRight: '6px', display: 'inline-block' }} />
+            YAML
+          </button>
+        )}
         <button
           className={`${styles.tab} ${activeTab === 'deployments' ? styles.activeTab : ''}`}
           onClick={() => setActiveTab('deployments')}
@@ -575,36 +619,38 @@ const AppDetail = () => {
       {activeTab === 'config' && (
         <div className={styles.tabContent}>
           {/* Import Section */}
-          <div className={styles.importSection}>
-            <div className={styles.importHeader}>
-              <h3>📥 Quick Import</h3>
-              <p>Import configuration from a docker run command or docker-compose YAML</p>
-            </div>
-            <div className={styles.importActions}>
-              <Button
-                variant="outline"
-                onClick={() => {
-                  setImportType('docker-run');
-                  setImportText('');
-                  setImportError('');
-                  setShowImportModal(true);
-                }}
-              >
-                Import from docker run
-              </Button>
-              <Button
-                variant="outline"
-                onClick={() => {
-                  setImportType('yaml');
-                  setImportText('');
-                  setImportError('');
-                  setShowImportModal(true);
-                }}
-              >
-                Import from YAML
-              </Button>
+          {!isCompose && (
+            <div className={styles.importSection}>
+              <div className={styles.importHeader}>
+                <h3>📥 Quick Import</h3>
+                <p>Import configuration from a docker run command or docker-compose YAML</p>
+              </div>
+              <div className={styles.importActions}>
+                <Button
+                  variant="outline"
+                  onClick={() => {
+                    setImportType('docker-run');
+                    setImportText('');
+                    setImportError('');
+                    setShowImportModal(true);
+                  }}
+                >
+                  Import from docker run
+                </Button>
+                <Button
+                  variant="outline"
+                  onClick={() => {
+                    setImportType('yaml');
+                    setImportText('');
+                    setImportError('');
+                    setShowImportModal(true);
+                  }}
+                >
+                  Import from YAML
+                </Button>
+              </div>
             </div>
-          </div>
+          )}
 
           <div className={styles.configGrid}>
             <div className={styles.configSection}>
@@ -629,6 +675,24 @@ const AppDetail = () => {
                   />
                 </div>
               </div>
+              <div className={styles.formRow}>
+                <div className={styles.formGroup}>
+                  <label>App Type</label>
+                  <select
+                    value={formData.type}
+                    onChange={(e) => handleFormChange('type', e.target.value)}
+                    disabled={deployments.length > 0}
+                  >
+                    <option value="container">Single container</option>
+                    <option value="compose">Compose stack</option>
+                  </select>
+                  <span className={styles.hint}>
+                    {deployments.length > 0
+                      ? 'Remove all deployments to change the app type'
+                      : 'A compose stack runs several services from one docker-compose file'}
+                  </span>
+                </div>
+              </div>
               <div className={styles.formRow}>
                 <div className={styles.formGroup}>
                   <IconSelector
@@ -660,7 +724,21 @@ const AppDetail = () => {
             </div>
 
             <div className={styles.configSection}>
-            <h3>Docker Image</h3>
+            <h3>{isCompose ? 'Compose File' : 'Docker Image'}</h3>
+            {isCompose ? (
+              <div className={styles.formGroup}>
+                <textarea
+                  className={styles.composeEditor}
+                  value={formData.compose_file}
+                  onChange={(e) => handleFormChange('compose_file', e.target.value)}
+                  spellCheck={false}
+                  placeholder={"services:\n  web:\n    image: nginx:latest\n    ports:\n      - \"8080:80\"\n  db:\n    image: postgres:16\n    volumes:\n      - db-data:/var/lib/postgresql/data\nvolumes:\n  db-data:"}
+                />
+                <span className={styles.hint}>
+                  Uploaded to the server and started with <code>docker compose up -d</code>. Every service needs an image; <code>build</code> and <code>container_name</code> are not supported. Changes apply the next time a deployment is started.
+                </span>
+              </div>
+            ) : (
             <div className={styles.formRow}>
               <div className={styles.formGroup} style={{ flex: 2 }}>
                 <label>Image Name *</label>
@@ -681,6 +759,7 @@ const AppDetail = () => {
                 />
               </div>
             </div>
+            )}
             
             {/* Registry Configuration */}
             <div className={styles.registryToggle}>
@@ -776,8 +855,69 @@ const AppDetail = () => {
             )}
           </div>
 
+          {!isCompose && (
+          <div className={styles.configSection}>
+            <h3>Image Updates</h3>
+            <p className={styles.hint}>
+              Running containers are compared with their tag in the registry every few hours, so a rebuilt tag like latest shows up as an update on the Apps page.
+            </p>
+            <label className={styles.checkboxLabel}>
+              <input
+                type="checkbox"
+                checked={formData.auto_update}
+                onChange={(e) => handleFormChange('auto_update', e.target.checked)}
+              />
+              <span>Update automatically during a maintenance window</span>
+            </label>
+            {formData.auto_update && (
+              <div className={styles.updateWindow}>
+                <div className={styles.formRow}>
+                  <div className={styles.formGroup}>
+                    <label>Window start (UTC) *</label>
+                    <input
+                      type="time"
+                      value={formData.update_window_start}
+                      onChange={(e) => handleFormChange('update_window_start', e.target.value)}
+                    />
+                  </div>
+                  <div className={styles.formGroup}>
+                    <label>Window end (UTC) *</label>
+                    <input
+                      type="time"
+                      value={formData.update_window_end}
+                      onChange={(e) => handleFormChange('update_window_end', e.target.value)}
+                    />
+                  </div>
+                </div>
+                <span className={styles.hint}>
+                  Outdated deployments get a rolling update to the newer image, checked and rolled back on failure like a manual one. The window may wrap past midnight.
+                </span>
+              </div>
+            )}
+            <div className={styles.updateCheck}>
+              <Button
+                variant="outline"
+                size="small"
+                onClick={() => checkImagesMutation.mutate()}
+                disabled={checkImagesMutation.isPending || !deployments.some(d => d.status === 'running')}
+              >
+                <RefreshIcon size={14} /> {checkImagesMutation.isPending ? 'Checking...' : 'Check Now'}
+              </Button>
+            </div>
+          </div>
+          )}
+
           <div className={styles.configSection}>
             <h3>Port Mappings</h3>
+            {isCompose ? (
+              <>
+                <p className={styles.hint}>Published ports are read from the compose file when it is saved</p>
+                {formData.ports.map((port, index) => (
+                  <span key={index} className={styles.portBadge}>{port.host}:{port.container}</span>
+                ))}
+              </>
+            ) : (
+            <>
             <p className={styles.hint}>Map host ports to container ports</p>
             {formData.ports.map((port, index) => (
               <div key={index} className={styles.arrayRow}>
@@ -800,6 +940,8 @@ const AppDetail = () => {
               </div>
             ))}
             <button className={styles.addBtn} onClick={addPort}>+ Add Port Mapping</button>
+            </>
+            )}
             
             {/* Web UI Configuration */}
             <div className={styles.webUiConfig}>
@@ -817,7 +959,7 @@ const AppDetail = () => {
                     }
                   }}
                 />
-                <span>This container has a Web UI</span>
+                <span>This {isCompose ? 'stack' : 'container'} has a Web UI</span>
               </label>
               {formData.web_ui_port && formData.ports.filter(p => p.host).length > 0 && (
                 <div className={styles.webUiPortSelect}>
@@ -838,6 +980,8 @@ const AppDetail = () => {
             </div>
           </div>
 
+          {!isCompose && (
+          <>
           <div className={styles.configSection}>
             <h3>Environment Variables</h3>
             <p className={styles.hint}>Set environment variables for the container</p>
@@ -932,9 +1076,11 @@ const AppDetail = () => {
                 onChange={(e) => handleFormChange('custom_args', e.target.value)}
                 placeholder="e.g., --memory=512m --cpus=1 --privileged"
               />
-              <small className={styles.fieldHint}>Additional docker run arguments (added before image name)</small>
+              <small className={styles.fieldHint}>Additional docker run arguments (added before image name). Quote values with spaces; shell syntax such as $VAR or ; is passed literally.</small>
             </div>
           </div>
+          </>
+          )}
           </div>
 
           <div className={styles.configActions}>
@@ -1042,8 +1188,19 @@ const AppDetail = () => {
         <div className={styles.tabContent}>
           <div className={styles.deploymentsSection}>
             <div className={styles.deploymentsHeader}>
-              <h3>Active Deployments</h3>
-              <p>Manage your running container instances across servers</p>
+              <div>
+                <h3>Active Deployments</h3>
+                <p>Manage your running container instances across servers</p>
+              </div>
+              {!isCompose && deployments.some(d => d.status === 'running') && (
+                <Button
+                  variant="outline"
+                  size="small"
+                  onClick={() => setUpdateModal({ isOpen: true, deployment: null })}
+                >
+                  <RefreshIcon size={14} /> Update All
+                </Button>
+              )}
             </div>
             
             {deployments.length === 0 ? (
@@ -1069,6 +1226,7 @@ const AppDetail = () => {
                     appId={id}
                     webUiPort={formData.web_ui_port}
                     onRemove={() => handleRemoveDeployment(deployment)}
+                    onUpdate={() => setUpdateModal({ isOpen: true, deployment })}
                     onSnapshot={() => {
                       // Find the server for this deployment
                       const server = servers.find(s => s.id === deployment.server_id);
@@ -1079,6 +1237,14 @@ const AppDetail = () => {
               </div>
             )}
           </div>
+
+          {deployments.length > 0 && (
+            <DeploymentStatsHistory appId={id} deployments={deployments} />
+          )}
+
+          {!isCompose && deployments.length > 0 && (
+            <DeploymentRevisions appId={id} deployments={deployments} />
+          )}
         </div>
       )}
 
@@ -1195,7 +1361,7 @@ const AppDetail = () => {
                               }
                             }}
                             placeholder="Host"
-                            disabled={isDeploying}
+                            disabled={isDeploying || isCompose}
                           />
                           <span>→</span>
                           <input
@@ -1215,7 +1381,11 @@ const AppDetail = () => {
                       <div className={styles.conflictWarning}>
                         <strong><AlertIcon size={16} /> Port Conflict Detected</strong>
                         <p>Ports {portConflicts.join(', ')} are already in use on this server.</p>
-                        <p>You can change the host ports above, or proceed anyway (may fail).</p>
+                        <p>
+                          {isCompose
+                            ? 'You can change the published ports in the compose file, or proceed anyway (may fail).'
+                            : 'You can change the host ports above, or proceed anyway (may fail).'}
+                        </p>
                       </div>
                     )}
                   </div>
@@ -1371,6 +1541,16 @@ const AppDetail = () => {
         </div>
       </Modal>
 
+      {/* Rolling Update Modal */}
+      <RollingUpdateModal
+        isOpen={updateModal.isOpen}
+        onClose={() => setUpdateModal({ isOpen: false, deployment: null })}
+        appId={id}
+        deployment={updateModal.deployment}
+        deployments={deployments}
+        currentTag={app.tag}
+      />
+
       {/* Snapshot Modal */}
       <SnapshotModal
         isOpen={snapshotModal.isOpen}
@@ -1383,7 +1563,7 @@ const AppDetail = () => {
 };
 
 // Deployment row component with stats fetching
-const DeploymentRow = ({ deployment, appId, onRemove, onSnapshot, webUiPort }) => {
+const DeploymentRow = ({ deployment, appId, onRemove, onSnapshot, onUpdate, webUiPort }) => {
   const [stats, setStats] = useState(null);
 
   useEffect(() => {
@@ -1407,6 +1587,7 @@ const DeploymentRow = ({ deployment, appId, onRemove, onSnapshot, webUiPort }) =
       case 'running':
         return <span className={styles.statusRunning}><CheckCircleIcon size={14} /> Running</span>;
       case 'exited':
+      case 'stopped':
         return <span className={styles.statusStopped}><XCircleIcon size={14} /> Stopped</span>;
       default:
         return <span className={styles.statusUnknown}>Unknown</span>;
@@ -1414,6 +1595,7 @@ const DeploymentRow = ({ deployment, appId, onRemove, onSnapshot, webUiPort }) =
   };
 
   return (
+    <>
     <div className={styles.tableRow}>
       <div>
         <strong>{deployment.server_name || 'Unknown'}</strong>
@@ -1421,13 +1603,17 @@ const DeploymentRow = ({ deployment, appId, onRemove, onSnapshot, webUiPort }) =
       </div>
       <div>
         <code>{deployment.container_name}</code>
-        <div className={styles.containerId}>{deployment.container_id}</div>
+        <div className={styles.containerId}>
+          {deployment.compose_project ? 'Compose stack' : deployment.container_id}
+        </div>
       </div>
       <div>
         {stats ? getStatusBadge(stats.status) : <span className={styles.loading}>...</span>}
         {stats && stats.cpu && (
           <div className={styles.statsRow}>
-            CPU: {stats.cpu} | Mem: {stats.memoryPercent}
+            {stats.containers
+              ? `CPU: ${stats.cpu} | Mem: ${stats.memory} | ${stats.containers} running`
+              : `CPU: ${stats.cpu} | Mem: ${stats.memoryPercent}`}
           </div>
         )}
       </div>
@@ -1481,6 +1667,11 @@ const DeploymentRow = ({ deployment, appId, onRemove, onSnapshot, webUiPort }) =
             </a>
           );
         })()}
+        {!deployment.compose_project && deployment.status === 'running' && (
+          <Button variant="outline" size="small" onClick={onUpdate} title="Update to a new image tag">
+            <RefreshIcon size={14} />
+          </Button>
+        )}
         <Button variant="secondary" size="small" onClick={onSnapshot} title="Manage Snapshots">
           <HardDriveIcon size={14} />
         </Button>
@@ -1489,6 +1680,99 @@ const DeploymentRow = ({ deployment, appId, onRemove, onSnapshot, webUiPort }) =
         </Button>
       </div>
     </div>
+    {deployment.compose_project && (
+      <StackServices appId={appId} deploymentId={deployment.id} />
+    )}
+    </>
+  );
+};
+
+// Services of a compose stack deployment, with their state, stats and logs
+const StackServices = ({ appId, deploymentId }) => {
+  const [logService, setLogService] = useState(null);
+  const logsRef = useRef(null);
+
+  const { data: services = [], isLoading, error } = useQuery({
+    queryKey: ['deployment-services', appId, deploymentId],
+    queryFn: () => appsService.getDeploymentServices(appId, deploymentId),
+    refetchInterval: 10000,
+  });
+
+  const { data: logsData, isFetching: logsLoading, refetch: refetchLogs } = useQuery({
+    queryKey: ['deployment-logs', appId, deploymentId, logService],
+    queryFn: () => appsService.getDeploymentLogs(appId, deploymentId, 200, logService),
+    enabled: !!logService,
+  });
+
+  // Keep the newest log lines in view
+  useEffect(() => {
+    if (logsRef.current && logsData?.logs) {
+      logsRef.current.scrollTop = logsRef.current.scrollHeight;
+    }
+  }, [logsData]);
+
+  if (isLoading) {
+    return <div className={styles.stackServices}><span className={styles.loading}>Loading services...</span></div>;
+  }
+
+  if (error) {
+    return (
+      <div className={styles.stackServices}>
+        <span className={styles.stackServicesError}>
+          {error.response?.data?.error || 'Failed to load services'}
+        </span>
+      </div>
+    );
+  }
+
+  return (
+    <div className={styles.stackServices}>
+      {services.length === 0 ? (
+        <span className={styles.loading}>No containers found for this stack</span>
+      ) : services.map(service => (
+        <div key={service.id} className={styles.serviceRow}>
+          <div className={styles.serviceName}>
+            <strong>{service.service}</strong>
+            <span className={styles.containerId}>{service.image}</span>
+          </div>
+          <div>
+            {service.state === 'running' ? (
+              <span className={styles.statusRunning}><CheckCircleIcon size={14} /> Running</span>
+            ) : (
+              <span className={styles.statusStopped}><XCircleIcon size={14} /> {service.status || service.state}</span>
+            )}
+          </div>
+          <div className={styles.statsRow}>
+            {service.stats ? `CPU: ${service.stats.cpu} | Mem: ${service.stats.memory}` : '-'}
+          </div>
+          <div>
+            <Button
+              variant={logService === service.service ? 'primary' : 'outline'}
+              size="small"
+              onClick={() => setLogService(logService === service.service ? null : service.service)}
+            >
+              <FileIcon size={12} /> Logs
+            </Button>
+          </div>
+        </div>
+      ))}
+
+      {logService && (
+        <div className={styles.serviceLogs}>
+          <div className={styles.serviceLogsHeader}>
+            <span>Logs: {logService}</span>
+            <Button variant="outline" size="small" onClick={() => refetchLogs()} disabled={logsLoading}>
+              <RefreshIcon size={12} /> Refresh
+            </Button>
+          </div>
+          <pre className={styles.serviceLogsOutput} ref={logsRef}>
+            {logsLoading && !logsData
+              ? 'Loading logs...'
+              : logsData?.error || logsData?.logs || 'No logs available'}
+          </pre>
+        </div>
+      )}
+    </div>
   );
 };
 
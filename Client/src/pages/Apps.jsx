@@ -6,8 +6,11 @@ import Button from '../components/Button';
 import Modal from '../components/Modal';
 import ConfirmModal from '../components/ConfirmModal';
 import EditDeploymentModal from '../components/EditDeploymentModal';
+import DeploymentHealthChecks from '../components/DeploymentHealthChecks';
 import { appsService } from '../api/apps';
 import { templatesService } from '../api/templates';
+import { teamsService } from '../api/teams';
+import { showError } from '../utils/toast';
 import { 
   AppsIcon, 
   PlusIcon, 
@@ -64,6 +67,20 @@ const getCategoryIcon = (categoryId, size = 14) => {
   return icons[categoryId] || <LayersIcon size={size} />;
 };
 
+// Roll-up of a running deployment's health checks
+const HEALTH_BADGES = {
+  healthy: { label: '♥ Healthy', className: styles.healthHealthy },
+  degraded: { label: '◑ Degraded', className: styles.healthDegraded },
+  down: { label: '✕ Down', className: styles.healthDown },
+};
+
+// The registry has a newer build of the tag than the running container (see the image update check)
+const isImageOutdated = (deployment) =>
+  Boolean(deployment.image_digest && deployment.latest_digest && deployment.image_digest !== deployment.latest_digest);
+
+const imageUpdateTitle = (deployment) =>
+  `The registry has a newer build of ${deployment.image_tag || deployment.app_tag || 'latest'} (checked ${new Date(deployment.image_checked_at).toLocaleString()})`;
+
 const Apps = () => {
   const queryClient = useQueryClient();
   const navigate = useNavigate();
@@ -72,6 +89,7 @@ const Apps = () => {
   const [showAddModal, setShowAddModal] = useState(false);
   const [expandedDeployments, setExpandedDeployments] = useState({});
   const [expandedLogs, setExpandedLogs] = useState({});
+  const [expandedChecks, setExpandedChecks] = useState({});
   const [confirmModal, setConfirmModal] = useState({ isOpen: false, type: null, data: null });
   const [editingDeployment, setEditingDeployment] = useState(null);
   const [selectedCategory, setSelectedCategory] = useState('all');
@@ -80,7 +98,15 @@ const Apps = () => {
   const [formData, setFormData] = useState({
     name: '',
     description: '',
+    teamId: '',
+  });
+
+  // Teams the user can create apps in (viewers can't)
+  const { data: teams = [] } = useQuery({
+    queryKey: ['teams'],
+    queryFn: teamsService.getTeams,
   });
+  const writableTeams = teams.filter(t => t.role !== 'viewer');
 
   // Mobile detection
   React.useEffect(() => {
@@ -146,7 +172,10 @@ const Apps = () => {
     onSuccess: () => {
       queryClient.invalidateQueries(['apps']);
       setShowAddModal(false);
-      setFormData({ name: '', description: '' });
+      setFormData({ name: '', description: '', teamId: '' });
+    },
+    onError: (error) => {
+      showError(error.response?.data?.error || 'Failed to create app');
     },
   });
 
@@ -188,6 +217,9 @@ const Apps = () => {
     onSuccess: () => {
       queryClient.invalidateQueries(['apps']);
     },
+    onError: (error) => {
+      showError(error.response?.data?.error || 'Failed to delete app');
+    },
   });
 
   const removeDeploymentMutation = useMutation({
@@ -195,6 +227,9 @@ const Apps = () => {
     onSuccess: () => {
       queryClient.invalidateQueries(['all-deployments']);
     },
+    onError: (error) => {
+      showError(error.response?.data?.error || 'Failed to remove deployment');
+    },
   });
 
   const startDeploymentMutation = useMutation({
@@ -202,6 +237,9 @@ const Apps = () => {
     onSuccess: () => {
       queryClient.invalidateQueries(['all-deployments']);
     },
+    onError: (error) => {
+      showError(error.response?.data?.error || 'Failed to start deployment');
+    },
   });
 
   const stopDeploymentMutation = useMutation({
@@ -209,11 +247,14 @@ const Apps = () => {
     onSuccess: () => {
       queryClient.invalidateQueries(['all-deployments']);
     },
+    onError: (error) => {
+      showError(error.response?.data?.error || 'Failed to stop deployment');
+    },
   });
 
   const handleCreateApp = (e) => {
     e.preventDefault();
-    createAppMutation.mutate(formData);
+    createAppMutation.mutate({ ...formData, teamId: formData.teamId || writableTeams[0]?.id });
   };
 
   const handleDeleteApp = (id, name) => {
@@ -280,6 +321,13 @@ const Apps = () => {
     }));
   };
 
+  const toggleDeploymentChecks = (deploymentId) => {
+    setExpandedChecks(prev => ({
+      ...prev,
+      [deploymentId]: !prev[deploymentId]
+    }));
+  };
+
   // Component for deployment stats section
   const DeploymentStatsRow = ({ deployment }) => {
     const { data: stats, isLoading: statsLoading } = useQuery({
@@ -453,6 +501,7 @@ const Apps = () => {
                   {filteredDeployments.map((deployment) => {
                     const isExpanded = expandedDeployments[deployment.id];
                     const isLogsExpanded = expandedLogs[deployment.id];
+                    const isChecksExpanded = expandedChecks[deployment.id];
                     const isOrphaned = !deployment.server_id || !deployment.server_name;
                     return (
                       <React.Fragment key={deployment.id}>
@@ -500,7 +549,11 @@ const Apps = () => {
                                   <span className={styles.originalAppName}>({deployment.app_name})</span>
                                 )}
                                 <span className={styles.appImage}>
-                                  <DockerIcon size={12} /> {deployment.app_image}:{deployment.app_tag || 'latest'}
+                                  {deployment.compose_project ? (
+                                    <><LayersIcon size={12} /> Compose stack</>
+                                  ) : (
+                                    <><DockerIcon size={12} /> {deployment.app_image}:{deployment.image_tag || deployment.app_tag || 'latest'}</>
+                                  )}
                                 </span>
                               </div>
                             </Link>
@@ -528,7 +581,7 @@ const Apps = () => {
                             <span className={`${styles.statusBadge} ${
                               isOrphaned ? styles.statusOrphaned :
                               deployment.status === 'running' ? styles.statusRunning :
-                              ['snapshotting', 'restoring', 'migrating'].includes(deployment.status) ? styles.statusPending :
+                              ['snapshotting', 'restoring', 'migrating', 'updating'].includes(deployment.status) ? styles.statusPending :
                               styles.statusStopped
                             }`}>
                               {isOrphaned ? '⚠ Orphaned' : 
@@ -536,8 +589,19 @@ const Apps = () => {
                                deployment.status === 'snapshotting' ? '◐ Snapshotting' :
                                deployment.status === 'restoring' ? '◐ Restoring' :
                                deployment.status === 'migrating' ? '◐ Migrating' :
+                               deployment.status === 'updating' ? '◐ Updating' :
                                '○ Stopped'}
                             </span>
+                            {!isOrphaned && deployment.status === 'running' && deployment.health_status && (
+                              <span className={`${styles.healthBadge} ${HEALTH_BADGES[deployment.health_status].className}`}>
+                                {HEALTH_BADGES[deployment.health_status].label}
+                              </span>
+                            )}
+                            {!isOrphaned && deployment.status === 'running' && isImageOutdated(deployment) && (
+                              <span className={styles.updateBadge} title={imageUpdateTitle(deployment)}>
+                                ⬆ Update available
+                              </span>
+                            )}
                           </div>
                           <div className={styles.portsCell}>
                             {deployment.port_mappings && deployment.port_mappings.length > 0 ? (
@@ -580,14 +644,15 @@ const Apps = () => {
                             ) : (
                               // Normal deployment - show all controls
                               <>
-                                {['snapshotting', 'restoring', 'migrating'].includes(deployment.status) ? (
+                                {['snapshotting', 'restoring', 'migrating', 'updating'].includes(deployment.status) ? (
                                   <Button
                                     variant="outline"
                                     size="small"
                                     disabled
                                   >
                                     {deployment.status === 'snapshotting' ? 'Snapshotting...' : 
-                                     deployment.status === 'restoring' ? 'Restoring...' : 'Migrating...'}
+                                     deployment.status === 'restoring' ? 'Restoring...' :
+                                     deployment.status === 'updating' ? 'Updating...' : 'Migrating...'}
                                   </Button>
                                 ) : deployment.status === 'running' ? (
                                   <Button
@@ -628,6 +693,14 @@ const Apps = () => {
                                 >
                                   <DocumentTextIcon size={14} />
                                 </Button>
+                                <Button
+                                  variant="outline"
+                                  size="small"
+                                  onClick={() => toggleDeploymentChecks(deployment.id)}
+                                  title="Health checks"
+                                >
+                                  <ActivityIcon size={14} />
+                                </Button>
                                 <Button
                                   variant="outline"
                                   size="small"
@@ -655,6 +728,9 @@ const Apps = () => {
                         {isLogsExpanded && (
                           <DeploymentLogsRow deployment={deployment} />
                         )}
+                        {isChecksExpanded && !isOrphaned && (
+                          <DeploymentHealthChecks deployment={deployment} />
+                        )}
                       </React.Fragment>
                     );
                   })}
@@ -667,6 +743,7 @@ const Apps = () => {
                   {filteredDeployments.map((deployment) => {
                     const isExpanded = expandedDeployments[deployment.id];
                     const isLogsExpanded = expandedLogs[deployment.id];
+                    const isChecksExpanded = expandedChecks[deployment.id];
                     const isOrphaned = !deployment.server_id || !deployment.server_name;
                     return (
                       <div key={deployment.id} className={`${styles.deploymentCard} ${isOrphaned ? styles.orphanedCard : ''}`}>
@@ -678,7 +755,7 @@ const Apps = () => {
                           <span className={`${styles.statusBadge} ${
                             isOrphaned ? styles.statusOrphaned :
                             deployment.status === 'running' ? styles.statusRunning :
-                            ['snapshotting', 'restoring', 'migrating'].includes(deployment.status) ? styles.statusPending :
+                            ['snapshotting', 'restoring', 'migrating', 'updating'].includes(deployment.status) ? styles.statusPending :
                             styles.statusStopped
                           }`}>
                             {isOrphaned ? '⚠ Orphaned' : 
@@ -686,14 +763,19 @@ const Apps = () => {
                              deployment.status === 'snapshotting' ? '◐ Snapshotting' :
                              deployment.status === 'restoring' ? '◐ Restoring' :
                              deployment.status === 'migrating' ? '◐ Migrating' :
+                             deployment.status === 'updating' ? '◐ Updating' :
                              '○ Stopped'}
                           </span>
                         </div>
                         
                         <div className={styles.deploymentCardMeta}>
                           <div className={styles.deploymentCardRow}>
-                            <span className={styles.deploymentCardLabel}>Image:</span>
-                            <span className={styles.deploymentCardValue}><DockerIcon size={12} /> {deployment.app_image}:{deployment.app_tag || 'latest'}</span>
+                            <span className={styles.deploymentCardLabel}>{deployment.compose_project ? 'Type:' : 'Image:'}</span>
+                            <span className={styles.deploymentCardValue}>
+                              {deployment.compose_project
+                                ? <><LayersIcon size={12} /> Compose stack</>
+                                : <><DockerIcon size={12} /> {deployment.app_image}:{deployment.image_tag || deployment.app_tag || 'latest'}</>}
+                            </span>
                           </div>
                           <div className={styles.deploymentCardRow}>
                             <span className={styles.deploymentCardLabel}>Container:</span>
@@ -712,6 +794,22 @@ const Apps = () => {
                               </Link>
                             )}
                           </div>
+                          {!isOrphaned && deployment.status === 'running' && deployment.health_status && (
+                            <div className={styles.deploymentCardRow}>
+                              <span className={styles.deploymentCardLabel}>Health:</span>
+                              <span className={`${styles.healthBadge} ${HEALTH_BADGES[deployment.health_status].className}`}>
+                                {HEALTH_BADGES[deployment.health_status].label}
+                              </span>
+                            </div>
+                          )}
+                          {!isOrphaned && deployment.status === 'running' && isImageOutdated(deployment) && (
+                            <div className={styles.deploymentCardRow}>
+                              <span className={styles.deploymentCardLabel}>Updates:</span>
+                              <span className={styles.updateBadge} title={imageUpdateTitle(deployment)}>
+                                ⬆ Update available
+                              </span>
+                            </div>
+                          )}
                           {deployment.port_mappings && deployment.port_mappings.length > 0 && (
                             <div className={styles.deploymentCardRow}>
                               <span className={styles.deploymentCardLabel}>Ports:</span>
@@ -738,14 +836,15 @@ const Apps = () => {
                             </Button>
                           ) : (
                             <>
-                              {['snapshotting', 'restoring', 'migrating'].includes(deployment.status) ? (
+                              {['snapshotting', 'restoring', 'migrating', 'updating'].includes(deployment.status) ? (
                                 <Button
                                   variant="outline"
                                   size="small"
                                   disabled
                                 >
                                   {deployment.status === 'snapshotting' ? 'Snapshotting...' : 
-                                   deployment.status === 'restoring' ? 'Restoring...' : 'Migrating...'}
+                                   deployment.status === 'restoring' ? 'Restoring...' :
+                                   deployment.status === 'updating' ? 'Updating...' : 'Migrating...'}
                                 </Button>
                               ) : deployment.status === 'running' ? (
                                 <Button
@@ -784,6 +883,14 @@ const Apps = () => {
                             {isLogsExpanded ? <ChevronUpIcon size={14} /> : <ChevronDownIcon size={14} />}
                             Logs
                           </Button>
+                          <Button
+                            variant="outline"
+                            size="small"
+                            onClick={() => toggleDeploymentChecks(deployment.id)}
+                          >
+                            {isChecksExpanded ? <ChevronUpIcon size={14} /> : <ChevronDownIcon size={14} />}
+                            Checks
+                          </Button>
                           <Button
                             variant="outline"
                             size="small"
@@ -809,6 +916,9 @@ const Apps = () => {
                         {isLogsExpanded && !isOrphaned && (
                           <DeploymentLogsRow deployment={deployment} />
                         )}
+                        {isChecksExpanded && !isOrphaned && (
+                          <DeploymentHealthChecks deployment={deployment} />
+                        )}
                       </div>
                     );
                   })}
@@ -1109,6 +1219,23 @@ const Apps = () => {
             />
           </div>
 
+          {writableTeams.length > 1 && (
+            <div className={styles.formGroup}>
+              <label className={styles.formLabel}>Team</label>
+              <select
+                className={styles.formInput}
+                value={formData.teamId || writableTeams[0]?.id}
+                onChange={(e) =>
+                  setFormData({ ...formData, teamId: e.target.value })
+                }
+              >
+                {writableTeams.map(team => (
+                  <option key={team.id} value={team.id}>{team.name}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
           <div className={styles.modalFooter}>
             <Button
               type="button"
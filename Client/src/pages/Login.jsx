@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { Link, useNavigate, Navigate } from 'react-router-dom';
+import { Link, useNavigate, useLocation, Navigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { authService } from '../api/auth';
 import Button from '../components/Button';
@@ -7,7 +7,9 @@ import styles from './Auth.module.css';
 
 const Login = () => {
   const navigate = useNavigate();
-  const { user, login } = useAuth();
+  const location = useLocation();
+  const redirectTo = location.state?.from || '/';
+  const { user, login, verifyTwoFactor } = useAuth();
   const [formData, setFormData] = useState({
     email: '',
     password: '',
@@ -15,15 +17,21 @@ const Login = () => {
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
   const [checkingUsers, setCheckingUsers] = useState(true);
+  const [registrationOpen, setRegistrationOpen] = useState(true);
+  // Second step for accounts with two-factor authentication
+  const [twoFactorStep, setTwoFactorStep] = useState(false);
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
 
   // Check if any users exist - if not, redirect to register
   useEffect(() => {
     const checkUsers = async () => {
       try {
-        const { hasUsers } = await authService.hasUsers();
+        const { hasUsers, registrationOpen } = await authService.hasUsers();
         if (!hasUsers) {
           navigate('/register', { replace: true });
         }
+        setRegistrationOpen(registrationOpen);
       } catch (err) {
         // If check fails, just show login page
         console.error('Failed to check users:', err);
@@ -35,7 +43,7 @@ const Login = () => {
   }, [navigate]);
 
   if (user) {
-    return <Navigate to="/" replace />;
+    return <Navigate to={redirectTo} replace />;
   }
 
   if (checkingUsers) {
@@ -89,12 +97,43 @@ const Login = () => {
     setLoading(false);
 
     if (result.success) {
-      navigate('/');
+      navigate(redirectTo);
+    } else if (result.twoFactorRequired) {
+      setTwoFactorStep(true);
     } else {
       setError(result.error || 'Invalid email or password');
     }
   };
 
+  const handleTwoFactorSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    const result = await verifyTwoFactor(
+      useRecoveryCode ? { recoveryCode: twoFactorCode } : { code: twoFactorCode }
+    );
+
+    setLoading(false);
+    setTwoFactorCode('');
+
+    if (result.success) {
+      navigate(redirectTo);
+    } else {
+      if (result.loginExpired) {
+        setTwoFactorStep(false);
+        setFormData({ ...formData, password: '' });
+      }
+      setError(result.error || 'Invalid authentication code');
+    }
+  };
+
+  const toggleRecoveryCode = () => {
+    setUseRecoveryCode(!useRecoveryCode);
+    setTwoFactorCode('');
+    setError('');
+  };
+
   return (
     <div className={styles.authContainer}>
       <div className={styles.authBox}>
@@ -120,61 +159,104 @@ const Login = () => {
             </svg>
             <span>NoBase</span>
           </div>
-          <h1 className={styles.authTitle}>Welcome Back</h1>
-          <p className={styles.authSubtitle}>Sign in to your account</p>
+          <h1 className={styles.authTitle}>{twoFactorStep ? 'Two-Factor Authentication' : 'Welcome Back'}</h1>
+          <p className={styles.authSubtitle}>
+            {twoFactorStep
+              ? (useRecoveryCode ? 'Enter one of your recovery codes' : 'Enter the code from your authenticator app')
+              : 'Sign in to your account'}
+          </p>
         </div>
 
-        <form className={styles.authForm} onSubmit={handleSubmit}>
-          {error && <div className={styles.errorMessage}>{error}</div>}
-
-          <div className={styles.formGroup}>
-            <label className={styles.formLabel} htmlFor="email">
-              Email Address
-            </label>
-            <input
-              type="email"
-              id="email"
-              name="email"
-              className={styles.formInput}
-              value={formData.email}
-              onChange={handleChange}
-              required
-              autoComplete="email"
-            />
-          </div>
+        {twoFactorStep ? (
+          <form className={styles.authForm} onSubmit={handleTwoFactorSubmit}>
+            {error && <div className={styles.errorMessage}>{error}</div>}
 
-          <div className={styles.formGroup}>
-            <label className={styles.formLabel} htmlFor="password">
-              Password
-            </label>
-            <input
-              type="password"
-              id="password"
-              name="password"
-              className={styles.formInput}
-              value={formData.password}
-              onChange={handleChange}
-              required
-              autoComplete="current-password"
-            />
-          </div>
+            <div className={styles.formGroup}>
+              <label className={styles.formLabel} htmlFor="twoFactorCode">
+                {useRecoveryCode ? 'Recovery Code' : 'Authentication Code'}
+              </label>
+              <input
+                type="text"
+                id="twoFactorCode"
+                className={styles.formInput}
+                value={twoFactorCode}
+                onChange={(e) => setTwoFactorCode(e.target.value)}
+                required
+                autoFocus
+                autoComplete="one-time-code"
+                inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                placeholder={useRecoveryCode ? 'xxxxxxxx-xxxxxxxx' : '123456'}
+              />
+            </div>
 
-          <Button
-            type="submit"
-            variant="primary"
-            className={styles.submitBtn}
-            disabled={loading}
-          >
-            {loading ? 'Signing in...' : 'Sign In'}
-          </Button>
-        </form>
-
-        <div className={styles.authFooter}>
-          Don't have an account?{' '}
-          <Link to="/register" className={styles.authLink}>
-            Sign Up
-          </Link>
-        </div>
+            <Button
+              type="submit"
+              variant="primary"
+              className={styles.submitBtn}
+              disabled={loading || !twoFactorCode.trim()}
+            >
+              {loading ? 'Verifying...' : 'Verify'}
+            </Button>
+
+            <button type="button" className={styles.linkButton} onClick={toggleRecoveryCode}>
+              {useRecoveryCode ? 'Use your authenticator app instead' : 'Lost your device? Use a recovery code'}
+            </button>
+          </form>
+        ) : (
+          <form className={styles.authForm} onSubmit={handleSubmit}>
+            {error && <div className={styles.errorMessage}>{error}</div>}
+
+            <div className={styles.formGroup}>
+              <label className={styles.formLabel} htmlFor="email">
+                Email Address
+              </label>
+              <input
+                type="email"
+                id="email"
+                name="email"
+                className={styles.formInput}
+                value={formData.email}
+                onChange={handleChange}
+                required
+                autoComplete="email"
+              />
+            </div>
+
+            <div className={styles.formGroup}>
+              <label className={styles.formLabel} htmlFor="password">
+                Password
+              </label>
+              <input
+                type="password"
+                id="password"
+                name="password"
+                className={styles.formInput}
+                value={formData.password}
+                onChange={handleChange}
+                required
+                autoComplete="current-password"
+              />
+            </div>
+
+            <Button
+              type="submit"
+              variant="primary"
+              className={styles.submitBtn}
+              disabled={loading}
+            >
+              {loading ? 'Signing in...' : 'Sign In'}
+            </Button>
+          </form>
+        )}
+
+        {registrationOpen && (
+          <div className={styles.authFooter}>
+            Don't have an account?{' '}
+            <Link to="/register" className={styles.authLink}>
+              Sign Up
+            </Link>
+          </div>
+        )}
       </div>
     </div>
   );
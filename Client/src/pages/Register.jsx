@@ -1,12 +1,15 @@
-import React, { useState } from 'react';
-import { Link, useNavigate, Navigate } from 'react-router-dom';
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate, Navigate, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import { authService } from '../api/auth';
 import Button from '../components/Button';
 import styles from './Auth.module.css';
 
 const Register = () => {
   const navigate = useNavigate();
   const { user, register } = useAuth();
+  const [searchParams] = useSearchParams();
+  const inviteToken = searchParams.get('invite');
   const [formData, setFormData] = useState({
     name: '',
     email: '',
@@ -15,6 +18,15 @@ const Register = () => {
   });
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
+  const [registrationOpen, setRegistrationOpen] = useState(true);
+
+  // Without an invitation, signup is only possible while public registration is open
+  useEffect(() => {
+    if (inviteToken) return;
+    authService.hasUsers()
+      .then(({ registrationOpen }) => setRegistrationOpen(registrationOpen))
+      .catch((err) => console.error('Failed to check registration status:', err));
+  }, [inviteToken]);
 
   if (user) {
     return <Navigate to="/" replace />;
@@ -39,8 +51,8 @@ const Register = () => {
       return;
     }
 
-    if (formData.password.length < 6) {
-      setError('Password must be at least 6 characters');
+    if (formData.password.length < 8) {
+      setError('Password must be at least 8 characters');
       setLoading(false);
       return;
     }
@@ -49,6 +61,7 @@ const Register = () => {
       name: formData.name,
       email: formData.email,
       password: formData.password,
+      ...(inviteToken && { inviteToken }),
     });
 
     setLoading(false);
@@ -89,83 +102,91 @@ const Register = () => {
           <p className={styles.authSubtitle}>Start managing your servers</p>
         </div>
 
-        <form className={styles.authForm} onSubmit={handleSubmit}>
-          {error && <div className={styles.errorMessage}>{error}</div>}
-
-          <div className={styles.formGroup}>
-            <label className={styles.formLabel} htmlFor="name">
-              Full Name
-            </label>
-            <input
-              type="text"
-              id="name"
-              name="name"
-              className={styles.formInput}
-              value={formData.name}
-              onChange={handleChange}
-              required
-              autoComplete="name"
-            />
-          </div>
-
-          <div className={styles.formGroup}>
-            <label className={styles.formLabel} htmlFor="email">
-              Email Address
-            </label>
-            <input
-              type="email"
-              id="email"
-              name="email"
-              className={styles.formInput}
-              value={formData.email}
-              onChange={handleChange}
-              required
-              autoComplete="email"
-            />
-          </div>
-
-          <div className={styles.formGroup}>
-            <label className={styles.formLabel} htmlFor="password">
-              Password
-            </label>
-            <input
-              type="password"
-              id="password"
-              name="password"
-              className={styles.formInput}
-              value={formData.password}
-              onChange={handleChange}
-              required
-              autoComplete="new-password"
-              minLength={6}
-            />
-          </div>
-
-          <div className={styles.formGroup}>
-            <label className={styles.formLabel} htmlFor="confirmPassword">
-              Confirm Password
-            </label>
-            <input
-              type="password"
-              id="confirmPassword"
-              name="confirmPassword"
-              className={styles.formInput}
-              value={formData.confirmPassword}
-              onChange={handleChange}
-              required
-              autoComplete="new-password"
-            />
+        {!registrationOpen ? (
+          <div className={styles.authForm}>
+            <div className={styles.errorMessage}>
+              Registration is closed. Ask an administrator for an invitation link.
+            </div>
           </div>
-
-          <Button
-            type="submit"
-            variant="primary"
-            className={styles.submitBtn}
-            disabled={loading}
-          >
-            {loading ? 'Creating Account...' : 'Sign Up'}
-          </Button>
-        </form>
+        ) : (
+          <form className={styles.authForm} onSubmit={handleSubmit}>
+            {error && <div className={styles.errorMessage}>{error}</div>}
+
+            <div className={styles.formGroup}>
+              <label className={styles.formLabel} htmlFor="name">
+                Full Name
+              </label>
+              <input
+                type="text"
+                id="name"
+                name="name"
+                className={styles.formInput}
+                value={formData.name}
+                onChange={handleChange}
+                required
+                autoComplete="name"
+              />
+            </div>
+
+            <div className={styles.formGroup}>
+              <label className={styles.formLabel} htmlFor="email">
+                Email Address
+              </label>
+              <input
+                type="email"
+                id="email"
+                name="email"
+                className={styles.formInput}
+                value={formData.email}
+                onChange={handleChange}
+                required
+                autoComplete="email"
+              />
+            </div>
+
+            <div className={styles.formGroup}>
+              <label className={styles.formLabel} htmlFor="password">
+                Password
+              </label>
+              <input
+                type="password"
+                id="password"
+                name="password"
+                className={styles.formInput}
+                value={formData.password}
+                onChange={handleChange}
+                required
+                autoComplete="new-password"
+                minLength={8}
+              />
+            </div>
+
+            <div className={styles.formGroup}>
+              <label className={styles.formLabel} htmlFor="confirmPassword">
+                Confirm Password
+              </label>
+              <input
+                type="password"
+                id="confirmPassword"
+                name="confirmPassword"
+                className={styles.formInput}
+                value={formData.confirmPassword}
+                onChange={handleChange}
+                required
+                autoComplete="new-password"
+              />
+            </div>
+
+            <Button
+              type="submit"
+              variant="primary"
+              className={styles.submitBtn}
+              disabled={loading}
+            >
+              {loading ? 'Creating Account...' : 'Sign Up'}
+            </Button>
+          </form>
+        )}
 
         <div className={styles.authFooter}>
           Already have an account?{' '}
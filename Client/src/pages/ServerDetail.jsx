@@ -12,9 +12,10 @@ import ColorPicker from '../components/ColorPicker';
 import IconSelector, { SERVER_ICONS } from '../components/IconSelector';
 import EditDeploymentModal from '../components/EditDeploymentModal';
 import ConfirmModal from '../components/ConfirmModal';
+import ServerMetricsDetails from '../components/ServerMetricsDetails';
 import { serversService } from '../api/servers';
 import { appsService } from '../api/apps';
-import { getRegionFlag } from '../utils/formatters';
+import { getRegionFlag, formatUptime } from '../utils/formatters';
 import { showCopied, showSuccess, showError } from '../utils/toast';
 import { RefreshIcon, ServersIcon, AlertIcon, EyeIcon, EyeOffIcon, AppsIcon, PlayIcon, StopCircleIcon, TrashIcon, ChevronDownIcon, ChevronUpIcon, EditIcon, DockerIcon, GlobeAltIcon, XIcon, CheckCircleIcon, SettingsIcon, DocumentTextIcon, MoreVerticalIcon } from '../components/Icons';
 import styles from './ServerDetail.module.css';
@@ -42,7 +43,7 @@ const formatChartTime = (timestamp, hours) => {
     return date.toLocaleDateString([], { weekday: 'short' }) + ' ' + 
            date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
   } else {
-    // Week view: show date (Jan 28)
+    // Week or longer: show date (Jan 28)
     return date.toLocaleDateString([], { month: 'short', day: 'numeric' });
   }
 };
@@ -158,7 +159,7 @@ const ServerDetail = () => {
     queryFn: () => serversService.getMetricsHistory(id, timeRange),
     enabled: !!server && server.status === 'online',
     // Adjust refetch interval based on time range - longer ranges need less frequent updates
-    refetchInterval: timeRange >= 168 ? 60000 : timeRange >= 24 ? 30000 : 10000,
+    refetchInterval: timeRange >= 720 ? 300000 : timeRange >= 168 ? 60000 : timeRange >= 24 ? 30000 : 10000,
     retry: 1,
     staleTime: 5000, // Consider data fresh for 5 seconds
     keepPreviousData: true, // Show old data while fetching new time range
@@ -172,6 +173,14 @@ const ServerDetail = () => {
     retry: 1,
   });
 
+  const { data: uptime } = useQuery({
+    queryKey: ['server-uptime', id],
+    queryFn: () => serversService.getUptime(id),
+    enabled: !!server,
+    refetchInterval: 60000,
+    retry: 1,
+  });
+
   const { data: deployments = [], isLoading: deploymentsLoading } = useQuery({
     queryKey: ['server-deployments', id],
     queryFn: async () => {
@@ -483,6 +492,53 @@ const ServerDetail = () => {
           )}
         </div>
 
+        {/* Availability Card (from background health checks) */}
+        {uptime?.since && (
+          <div className={styles.infoCard}>
+            <h3 className={styles.infoCardTitle}>Availability</h3>
+            <div className={styles.infoContent}>
+              <div className={styles.infoRow}>
+                <span className={styles.infoLabel}>{uptime.status === 'online' ? 'Online for' : 'Offline for'}</span>
+                <span className={styles.infoValue}>
+                  {formatUptime(Math.floor((Date.now() - new Date(uptime.since).getTime()) / 1000))}
+                </span>
+              </div>
+              {[
+                { key: 'day', label: 'Last 24 Hours' },
+                { key: 'week', label: 'Last 7 Days' },
+                { key: 'month', label: 'Last 30 Days' },
+              ].map(period => (
+                <div key={period.key} className={styles.infoRow}>
+                  <span className={styles.infoLabel}>{period.label}</span>
+                  <span className={styles.infoValue}>
+                    {uptime.availability[period.key].percentage != null
+                      ? `${uptime.availability[period.key].percentage}%`
+                      : '-'}
+                  </span>
+                </div>
+              ))}
+              <div className={styles.uptimeTimeline} title="Last 24 hours">
+                {uptime.intervals.map(interval => {
+                  const rangeStart = Date.now() - 24 * 60 * 60 * 1000;
+                  const start = Math.max(new Date(interval.startedAt).getTime(), rangeStart);
+                  const end = interval.endedAt ? new Date(interval.endedAt).getTime() : Date.now();
+                  return (
+                    <div
+                      key={interval.id}
+                      className={`${styles.uptimeSegment} ${styles[interval.status]}`}
+                      style={{
+                        left: `${((start - rangeStart) / (24 * 60 * 60 * 1000)) * 100}%`,
+                        width: `${((end - start) / (24 * 60 * 60 * 1000)) * 100}%`,
+                      }}
+                      title={`${interval.status} since ${new Date(interval.startedAt).toLocaleString()}${interval.error ? ` (${interval.error})` : ''}`}
+                    ></div>
+                  );
+                })}
+              </div>
+            </div>
+          </div>
+        )}
+
         {/* System Info Card */}
         {server.status === 'online' && metrics?.os && (
           <div className={styles.infoCard}>
@@ -523,7 +579,7 @@ const ServerDetail = () => {
         >
           System Metrics
         </button>
-        {!isMobile && (
+        {!isMobile && server.role !== 'viewer' && (
           <button
             className={`${styles.tab} ${activeTab === 'terminal' ? styles.activeTab : ''}`}
             onClick={() => setActiveTab('terminal')}
@@ -580,6 +636,8 @@ const ServerDetail = () => {
                         <option value={24}>Last 24 Hours</option>
                         <option value={72}>Last 3 Days</option>
                         <option value={168}>Last Week</option>
+                        <option value={720}>Last 30 Days</option>
+                        <option value={2160}>Last 90 Days</option>
                       </>
                     )}
                   </select>
@@ -666,6 +724,14 @@ const ServerDetail = () => {
                       <span className={styles.metricLabel}>Usage</span>
                       <span className={styles.metricValue}>{metrics.memory.percentage}%</span>
                     </div>
+                    {metrics.swap?.total > 0 && (
+                      <div className={styles.metricDetail}>
+                        <span className={styles.metricLabel}>Swap</span>
+                        <span className={styles.metricValue}>
+                          {metrics.swap.used} MB / {metrics.swap.total} MB ({metrics.swap.percentage}%)
+                        </span>
+                      </div>
+                    )}
                   </div>
                 </div>
               )}
@@ -697,6 +763,18 @@ const ServerDetail = () => {
                       <span className={styles.metricLabel}>Usage</span>
                       <span className={styles.metricValue}>{metrics.disk.percentage}%</span>
                     </div>
+                    {metrics.diskIo && (
+                      <>
+                        <div className={styles.metricDetail}>
+                          <span className={styles.metricLabel}>Read</span>
+                          <span className={styles.metricValue}>{formatBandwidth(metrics.diskIo.read_rate)}/s</span>
+                        </div>
+                        <div className={styles.metricDetail}>
+                          <span className={styles.metricLabel}>Write</span>
+                          <span className={styles.metricValue}>{formatBandwidth(metrics.diskIo.write_rate)}/s</span>
+                        </div>
+                      </>
+                    )}
                   </div>
                 </div>
               )}
@@ -801,6 +879,8 @@ const ServerDetail = () => {
             </div>
           ) : null}
 
+              {metrics && !metricsLoading && !metricsError && !metricsQueryError && <ServerMetricsDetails metrics={metrics} />}
+
               {/* Historical Graphs */}
               {metricsHistory && metricsHistory.length > 0 && (
                 <>
@@ -887,70 +967,143 @@ const ServerDetail = () => {
 
                     {/* Memory Charts - shown when Memory card is selected */}
                     {selectedMetricCard === 'memory' && (
-                      <div className={styles.chartCard}>
-                        <h3 className={styles.chartTitle}>Memory Usage{formatAveragesDisplay(metrics?.memory?.percentage, metricsAverages, 'memory_percentage')}</h3>
-                        <DebouncedChart>
-                          <LineChart data={metricsHistory.map(m => ({
-                            time: formatChartTime(m.timestamp, timeRange),
-                            'Usage %': m.memory_percentage,
-                          }))}>
-                            <CartesianGrid strokeDasharray="3 3" stroke="var(--border-color)" />
-                            <XAxis 
-                              dataKey="time" 
-                              stroke="var(--text-medium)"
-                              tick={{ fontSize: 12 }}
-                            />
-                            <YAxis 
-                              stroke="var(--text-medium)" 
-                              tick={{ fontSize: 12 }}
-                              domain={[0, 100]}
-                            />
-                            <Tooltip 
-                              contentStyle={{
-                                backgroundColor: 'var(--card-bg)',
-                                border: '1px solid var(--border-color)',
-                                borderRadius: '8px',
-                              }}
-                            />
-                            <Legend />
-                            <Line type="monotone" dataKey="Usage %" stroke="#f59e0b" strokeWidth={2} dot={false} />
-                          </LineChart>
-                        </DebouncedChart>
-                      </div>
+                      <>
+                        <div className={styles.chartCard}>
+                          <h3 className={styles.chartTitle}>Memory Usage{formatAveragesDisplay(metrics?.memory?.percentage, metricsAverages, 'memory_percentage')}</h3>
+                          <DebouncedChart>
+                            <LineChart data={metricsHistory.map(m => ({
+                              time: formatChartTime(m.timestamp, timeRange),
+                              'Usage %': m.memory_percentage,
+                            }))}>
+                              <CartesianGrid strokeDasharray="3 3" stroke="var(--border-color)" />
+                              <XAxis 
+                                dataKey="time" 
+                                stroke="var(--text-medium)"
+                                tick={{ fontSize: 12 }}
+                              />
+                              <YAxis 
+                                stroke="var(--text-medium)" 
+                                tick={{ fontSize: 12 }}
+                                domain={[0, 100]}
+                              />
+                              <Tooltip 
+                                contentStyle={{
+                                  backgroundColor: 'var(--card-bg)',
+                                  border: '1px solid var(--border-color)',
+                                  borderRadius: '8px',
+                                }}
+                              />
+                              <Legend />
+                              <Line type="monotone" dataKey="Usage %" stroke="#f59e0b" strokeWidth={2} dot={false} />
+                            </LineChart>
+                          </DebouncedChart>
+                        </div>
+
+                        {/* Swap Chart - only shown if the server has swap */}
+                        {metricsHistory.some(m => m.swap_total > 0) && (
+                          <div className={styles.chartCard}>
+                            <h3 className={styles.chartTitle}>Swap Usage{formatAveragesDisplay(metrics?.swap?.percentage, metricsAverages, 'swap_percentage')}</h3>
+                            <DebouncedChart>
+                              <LineChart data={metricsHistory.filter(m => m.swap_percentage != null).map(m => ({
+                                time: formatChartTime(m.timestamp, timeRange),
+                                'Swap %': m.swap_percentage,
+                              }))}>
+                                <CartesianGrid strokeDasharray="3 3" stroke="var(--border-color)" />
+                                <XAxis 
+                                  dataKey="time" 
+                                  stroke="var(--text-medium)"
+                                  tick={{ fontSize: 12 }}
+                                />
+                                <YAxis 
+                                  stroke="var(--text-medium)" 
+                                  tick={{ fontSize: 12 }}
+                                  domain={[0, 100]}
+                                />
+                                <Tooltip 
+                                  contentStyle={{
+                                    backgroundColor: 'var(--card-bg)',
+                                    border: '1px solid var(--border-color)',
+                                    borderRadius: '8px',
+                                  }}
+                                />
+                                <Legend />
+                                <Line type="monotone" dataKey="Swap %" stroke="#ec4899" strokeWidth={2} dot={false} />
+                              </LineChart>
+                            </DebouncedChart>
+                          </div>
+                        )}
+                      </>
                     )}
 
                     {/* Disk Charts - shown when Disk card is selected */}
                     {selectedMetricCard === 'disk' && (
-                      <div className={styles.chartCard}>
-                        <h3 className={styles.chartTitle}>Disk Usage{formatAveragesDisplay(metrics?.disk?.percentage, metricsAverages, 'disk_percentage')}</h3>
-                        <DebouncedChart>
-                          <LineChart data={metricsHistory.map(m => ({
-                            time: formatChartTime(m.timestamp, timeRange),
-                            'Usage %': m.disk_percentage,
-                          }))}>
-                            <CartesianGrid strokeDasharray="3 3" stroke="var(--border-color)" />
-                            <XAxis 
-                              dataKey="time" 
-                              stroke="var(--text-medium)"
-                              tick={{ fontSize: 12 }}
-                            />
-                            <YAxis 
-                              stroke="var(--text-medium)" 
-                              tick={{ fontSize: 12 }}
-                              domain={[0, 100]}
-                            />
-                            <Tooltip 
-                              contentStyle={{
-                                backgroundColor: 'var(--card-bg)',
-                                border: '1px solid var(--border-color)',
-                                borderRadius: '8px',
-                              }}
-                            />
-                            <Legend />
-                            <Line type="monotone" dataKey="Usage %" stroke="#ef4444" strokeWidth={2} dot={false} />
-                          </LineChart>
-                        </DebouncedChart>
-                      </div>
+                      <>
+                        <div className={styles.chartCard}>
+                          <h3 className={styles.chartTitle}>Disk Usage{formatAveragesDisplay(metrics?.disk?.percentage, metricsAverages, 'disk_percentage')}</h3>
+                          <DebouncedChart>
+                            <LineChart data={metricsHistory.map(m => ({
+                              time: formatChartTime(m.timestamp, timeRange),
+                              'Usage %': m.disk_percentage,
+                            }))}>
+                              <CartesianGrid strokeDasharray="3 3" stroke="var(--border-color)" />
+                              <XAxis 
+                                dataKey="time" 
+                                stroke="var(--text-medium)"
+                                tick={{ fontSize: 12 }}
+                              />
+                              <YAxis 
+                                stroke="var(--text-medium)" 
+                                tick={{ fontSize: 12 }}
+                                domain={[0, 100]}
+                              />
+                              <Tooltip 
+                                contentStyle={{
+                                  backgroundColor: 'var(--card-bg)',
+                                  border: '1px solid var(--border-color)',
+                                  borderRadius: '8px',
+                                }}
+                              />
+                              <Legend />
+                              <Line type="monotone" dataKey="Usage %" stroke="#ef4444" strokeWidth={2} dot={false} />
+                            </LineChart>
+                          </DebouncedChart>
+                        </div>
+
+                        {/* Disk I/O Chart */}
+                        {metricsHistory.some(m => m.disk_read_rate != null || m.disk_write_rate != null) && (
+                          <div className={styles.chartCard}>
+                            <h3 className={styles.chartTitle}>Disk I/O{formatAveragesDisplay(metrics?.diskIo?.write_rate, metricsAverages, 'disk_write_rate', '', (v) => formatBandwidth(v) + '/s')}</h3>
+                            <DebouncedChart>
+                              <LineChart data={metricsHistory.filter(m => m.disk_read_rate != null || m.disk_write_rate != null).map(m => ({
+                                time: formatChartTime(m.timestamp, timeRange),
+                                'Read KB/s': m.disk_read_rate ? Math.round(m.disk_read_rate / 1024) : 0,
+                                'Write KB/s': m.disk_write_rate ? Math.round(m.disk_write_rate / 1024) : 0,
+                              }))}>
+                                <CartesianGrid strokeDasharray="3 3" stroke="var(--border-color)" />
+                                <XAxis 
+                                  dataKey="time" 
+                                  stroke="var(--text-medium)"
+                                  tick={{ fontSize: 12 }}
+                                />
+                                <YAxis 
+                                  stroke="var(--text-medium)" 
+                                  tick={{ fontSize: 12 }}
+                                />
+                                <Tooltip 
+                                  contentStyle={{
+                                    backgroundColor: 'var(--card-bg)',
+                                    border: '1px solid var(--border-color)',
+                                    borderRadius: '8px',
+                                  }}
+                                />
+                                <Legend />
+                                <Line type="monotone" dataKey="Read KB/s" stroke="#3b82f6" strokeWidth={2} dot={false} />
+                                <Line type="monotone" dataKey="Write KB/s" stroke="#ef4444" strokeWidth={2} dot={false} />
+                              </LineChart>
+                            </DebouncedChart>
+                          </div>
+                        )}
+                      </>
                     )}
 
                     {/* GPU Charts - shown when GPU card is selected */}
@@ -1150,7 +1303,7 @@ const ServerDetail = () => {
       )}
 
       {/* Keep terminal mounted but hidden to maintain connection - desktop only */}
-      {server.status === 'online' && !isMobile && (
+      {server.status === 'online' && !isMobile && server.role !== 'viewer' && (
         <div style={{ display: activeTab === 'terminal' ? 'block' : 'none', width: '100%', height: 'calc(100vh - 300px)', marginTop: '16px' }}>
           <Terminal serverId={id} isVisible={activeTab === 'terminal'} />
         </div>
@@ -1267,13 +1420,14 @@ const ServerDetail = () => {
                       <div>
                         <span className={`${styles.statusBadge} ${
                           deployment.status === 'running' ? styles.statusRunning :
-                          ['snapshotting', 'restoring', 'migrating'].includes(deployment.status) ? styles.statusPending :
+                          ['snapshotting', 'restoring', 'migrating', 'updating'].includes(deployment.status) ? styles.statusPending :
                           styles.statusStopped
                         }`}>
                           {deployment.status === 'running' ? '● Running' : 
                            deployment.status === 'snapshotting' ? '◐ Snapshotting' :
                            deployment.status === 'restoring' ? '◐ Restoring' :
                            deployment.status === 'migrating' ? '◐ Migrating' :
+                           deployment.status === 'updating' ? '◐ Updating' :
                            '○ Stopped'}
                         </span>
                       </div>
@@ -1304,14 +1458,15 @@ const ServerDetail = () => {
                         {new Date(deployment.deployed_at).toLocaleString()}
                       </div>
                       <div className={styles.actionsCell}>
-                        {['snapshotting', 'restoring', 'migrating'].includes(deployment.status) ? (
+                        {['snapshotting', 'restoring', 'migrating', 'updating'].includes(deployment.status) ? (
                           <Button
                             variant="outline"
                             size="small"
                             disabled
                           >
                             {deployment.status === 'snapshotting' ? 'Snapshotting...' : 
-                             deployment.status === 'restoring' ? 'Restoring...' : 'Migrating...'}
+                             deployment.status === 'restoring' ? 'Restoring...' :
+                             deployment.status === 'updating' ? 'Updating...' : 'Migrating...'}
                           </Button>
                         ) : deployment.status === 'running' ? (
                           <Button
@@ -5,11 +5,15 @@ import Layout from '../components/Layout';
 import Button from '../components/Button';
 import Modal from '../components/Modal';
 import ServerSettingsModal from '../components/ServerSettingsModal';
+import ServerImportModal from '../components/ServerImportModal';
+import ConfirmModal from '../components/ConfirmModal';
+import ServerCredentialsFields, { emptyCredentials, toCredentialPayload, hasCredentials } from '../components/ServerCredentialsFields';
 import { SERVER_ICONS } from '../components/IconSelector';
 import { serversService } from '../api/servers';
+import { teamsService } from '../api/teams';
 import { getRegionFlag } from '../utils/formatters';
-import { showError, showCopied } from '../utils/toast';
-import { RefreshIcon, PlusIcon, ServersIcon, EyeIcon, EyeOffIcon, SettingsIcon, ClipboardIcon, AlertIcon } from '../components/Icons';
+import { showSuccess, showError, showCopied } from '../utils/toast';
+import { RefreshIcon, PlusIcon, ServersIcon, EyeIcon, EyeOffIcon, SettingsIcon, ClipboardIcon, AlertIcon, UploadIcon, KeyIcon } from '../components/Icons';
 import styles from './Servers.module.css';
 
 // Helper to get full icon URL
@@ -24,6 +28,10 @@ const Servers = () => {
   const queryClient = useQueryClient();
   const [searchQuery, setSearchQuery] = useState('');
   const [showAddModal, setShowAddModal] = useState(false);
+  const [showImportModal, setShowImportModal] = useState(false);
+  const [showRotateKeysConfirm, setShowRotateKeysConfirm] = useState(false);
+  const [setupMethod, setSetupMethod] = useState('command');
+  const [credentials, setCredentials] = useState(emptyCredentials);
   const [showSetupModal, setShowSetupModal] = useState(false);
   const [showErrorModal, setShowErrorModal] = useState(false);
   const [showSuccessModal, setShowSuccessModal] = useState(false);
@@ -42,6 +50,9 @@ const Servers = () => {
     name: '',
     region: 'us-east',
     ip: '',
+    port: '22',
+    jumpHostId: '',
+    teamId: '',
     osType: '',
   });
 
@@ -51,6 +62,14 @@ const Servers = () => {
     refetchInterval: 30000,
   });
 
+  // Teams the user can add servers to (viewers can't)
+  const { data: teams = [] } = useQuery({
+    queryKey: ['teams'],
+    queryFn: teamsService.getTeams,
+  });
+  const writableTeams = teams.filter(t => t.role !== 'viewer');
+  const selectedTeamId = formData.teamId || writableTeams[0]?.id;
+
   // Fetch OS types for the dropdown
   const { data: osTypes } = useQuery({
     queryKey: ['os-types'],
@@ -79,29 +98,49 @@ const Servers = () => {
     }
   });
 
+  const handleAddServerError = (error) => {
+    if (error.response?.status === 409) {
+      const errorData = error.response.data;
+      setModalMessage({
+        title: <>
+          <AlertIcon size={20} style={{ marginRight: '8px', display: 'inline-block' }} />
+          Duplicate Server
+        </>,
+        content: `${errorData.error}\n\nExisting server: ${errorData.existingServer?.name || 'Unnamed'} (${errorData.existingServer?.ip})`
+      });
+      setShowErrorModal(true);
+    } else {
+      showError(error.response?.data?.error || 'Failed to add server');
+    }
+  };
+
+  const resetAddForm = () => {
+    setShowAddModal(false);
+    setFormData({ name: '', region: 'us-east', ip: '', port: '22', jumpHostId: '', teamId: '', osType: 'ubuntu-debian' });
+    setCredentials(emptyCredentials);
+  };
+
   const addServerMutation = useMutation({
     mutationFn: serversService.addServer,
     onSuccess: (data) => {
       queryClient.invalidateQueries(['servers']);
-      setShowAddModal(false);
-      setFormData({ name: '', region: 'us-east', ip: '', osType: 'ubuntu-debian' });
+      resetAddForm();
       // Show setup command modal
       setNewServerData(data);
       setShowSetupModal(true);
     },
-    onError: (error) => {
-      if (error.response?.status === 409) {
-        const errorData = error.response.data;
-        setModalMessage({
-          title: <>
-            <AlertIcon size={20} style={{ marginRight: '8px', display: 'inline-block' }} />
-            Duplicate Server
-          </>,
-          content: `${errorData.error}\n\nExisting server: ${errorData.existingServer?.name || 'Unnamed'} (${errorData.existingServer?.ip})`
-        });
-        setShowErrorModal(true);
-      }
+    onError: handleAddServerError,
+  });
+
+  // Existing credentials: the backend installs the key itself, so the server comes online right away
+  const adoptServerMutation = useMutation({
+    mutationFn: serversService.adoptServer,
+    onSuccess: (data) => {
+      queryClient.invalidateQueries(['servers']);
+      resetAddForm();
+      showSuccess(`${data.name || data.ip} is connected and online`);
     },
+    onError: handleAddServerError,
   });
 
   const checkAllMutation = useMutation({
@@ -120,6 +159,33 @@ const Servers = () => {
     },
   });
 
+  const rotateKeyMutation = useMutation({
+    mutationFn: (server) => serversService.rotateServerKey(server.id),
+    onSuccess: (data) => {
+      queryClient.invalidateQueries(['servers']);
+      setSelectedServer(data);
+      showSuccess(`SSH key for ${data.displayName || data.name || data.ip} rotated`);
+    },
+    onError: (error) => {
+      showError(error.response?.data?.error || 'Failed to rotate SSH key');
+    },
+  });
+
+  const rotateKeysMutation = useMutation({
+    mutationFn: serversService.rotateServerKeys,
+    onSuccess: (data) => {
+      queryClient.invalidateQueries(['servers']);
+      if (data.failed > 0) {
+        showError(`Rotated ${data.rotated} key(s), ${data.failed} failed - see the activity log`);
+      } else {
+        showSuccess(`Rotated ${data.rotated} SSH key(s)`);
+      }
+    },
+    onError: (error) => {
+      showError(error.response?.data?.error || 'Failed to rotate SSH keys');
+    },
+  });
+
   const handleAddServer = (e) => {
     e.preventDefault();
     // Validate OS selection
@@ -128,9 +194,19 @@ const Servers = () => {
       return;
     }
     // Username defaults to 'nobase' on backend if not provided
-    addServerMutation.mutate(formData);
+    if (setupMethod === 'adopt') {
+      if (!hasCredentials(credentials)) {
+        showError('Enter the password or private key to connect with.');
+        return;
+      }
+      adoptServerMutation.mutate({ ...formData, teamId: selectedTeamId, ...toCredentialPayload(credentials) });
+      return;
+    }
+    addServerMutation.mutate({ ...formData, teamId: selectedTeamId });
   };
 
+  const isAddingServer = addServerMutation.isPending || adoptServerMutation.isPending;
+
   const toggleIPVisibility = (serverId) => {
     setHiddenIPs(prev => ({
       ...prev,
@@ -225,6 +301,9 @@ const Servers = () => {
     return matchesSearch && matchesTags && matchesColors && matchesStatus;
   });
 
+  // Bulk rotation covers the online servers in view that the user can manage
+  const rotatableServers = filteredServers?.filter(s => s.status === 'online' && s.role === 'owner') || [];
+
   const handleToggleTag = (tag) => {
     setSelectedTags(prev => 
       prev.includes(tag) ? prev.filter(t => t !== tag) : [...prev, tag]
@@ -269,6 +348,16 @@ const Servers = () => {
               Filters {hasActiveFilters && `(${selectedTags.length + selectedColors.length + (selectedStatus !== 'all' ? 1 : 0)})`}
             </Button>
           )}
+          <Button
+            onClick={() => setShowRotateKeysConfirm(true)}
+            variant="outline"
+            disabled={rotatableServers.length === 0 || rotateKeysMutation.isPending}
+          >
+            <KeyIcon size={18} /> {rotateKeysMutation.isPending ? 'Rotating...' : 'Rotate Keys'}
+          </Button>
+          <Button onClick={() => setShowImportModal(true)} variant="outline">
+            <UploadIcon size={18} /> Import
+          </Button>
           <Button onClick={() => setShowAddModal(true)}>
             <PlusIcon size={18} /> Add Server
           </Button>
@@ -445,6 +534,20 @@ const Servers = () => {
                 <div className={styles.serverDetail}>
                   <strong>Username:</strong> {server.username}
                 </div>
+                {server.port && server.port !== 22 && (
+                  <div className={styles.serverDetail}>
+                    <strong>SSH Port:</strong> {server.port}
+                  </div>
+                )}
+                {server.jumpHostId && (
+                  <div className={styles.serverDetail}>
+                    <strong>Via:</strong>{' '}
+                    {(() => {
+                      const jumpHost = servers?.find(s => s.id === server.jumpHostId);
+                      return jumpHost ? (jumpHost.displayName || jumpHost.name || 'bastion') : 'bastion';
+                    })()}
+                  </div>
+                )}
                 {server.last_checked && (
                   <div className={styles.serverDetail}>
                     <strong>Last checked:</strong>{' '}
@@ -574,18 +677,73 @@ const Servers = () => {
             </div>
           </div>
 
+          <div className={styles.formRow}>
+            <div className={styles.formGroup}>
+              <label className={styles.formLabel}>IP Address / Hostname</label>
+              <input
+                type="text"
+                className={styles.formInput}
+                value={formData.ip}
+                onChange={(e) =>
+                  setFormData({ ...formData, ip: e.target.value })
+                }
+                required
+                placeholder="192.168.1.100"
+              />
+            </div>
+
+            <div className={styles.formGroup}>
+              <label className={styles.formLabel}>SSH Port</label>
+              <input
+                type="number"
+                className={styles.formInput}
+                value={formData.port}
+                onChange={(e) =>
+                  setFormData({ ...formData, port: e.target.value })
+                }
+                min="1"
+                max="65535"
+                placeholder="22"
+              />
+            </div>
+          </div>
+
+          {writableTeams.length > 1 && (
+            <div className={styles.formGroup}>
+              <label className={styles.formLabel}>Team</label>
+              <select
+                className={styles.formSelect}
+                value={selectedTeamId}
+                onChange={(e) =>
+                  setFormData({ ...formData, teamId: e.target.value, jumpHostId: '' })
+                }
+              >
+                {writableTeams.map(team => (
+                  <option key={team.id} value={team.id}>{team.name}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
           <div className={styles.formGroup}>
-            <label className={styles.formLabel}>IP Address / Hostname</label>
-            <input
-              type="text"
-              className={styles.formInput}
-              value={formData.ip}
+            <label className={styles.formLabel}>Jump Host</label>
+            <select
+              className={styles.formSelect}
+              value={formData.jumpHostId}
               onChange={(e) =>
-                setFormData({ ...formData, ip: e.target.value })
+                setFormData({ ...formData, jumpHostId: e.target.value })
               }
-              required
-              placeholder="192.168.1.100"
-            />
+            >
+              <option value="">None (direct connection)</option>
+              {servers?.filter(s => s.teamId === selectedTeamId).map(s => (
+                <option key={s.id} value={s.id}>
+                  {s.displayName || s.name || s.ip} ({s.ip})
+                </option>
+              ))}
+            </select>
+            <p className={styles.formHint}>
+              Connect through a bastion server when this server is not directly reachable
+            </p>
           </div>
 
           <div className={styles.formGroup}>
@@ -609,6 +767,22 @@ const Servers = () => {
             </p>
           </div>
 
+          <div className={styles.formGroup}>
+            <label className={styles.formLabel}>Setup</label>
+            <select
+              className={styles.formSelect}
+              value={setupMethod}
+              onChange={(e) => setSetupMethod(e.target.value)}
+            >
+              <option value="command">Run the setup command myself</option>
+              <option value="adopt">Connect with a password or existing key</option>
+            </select>
+          </div>
+
+          {setupMethod === 'adopt' && (
+            <ServerCredentialsFields value={credentials} onChange={setCredentials} />
+          )}
+
           <div className={styles.modalFooter}>
             <Button
               type="button"
@@ -620,15 +794,23 @@ const Servers = () => {
             {formData.name && formData.ip && formData.osType && (
               <Button
                 type="submit"
-                disabled={addServerMutation.isPending}
+                disabled={isAddingServer}
               >
-                {addServerMutation.isPending ? 'Adding...' : 'Add Server'}
+                {setupMethod === 'adopt'
+                  ? (isAddingServer ? 'Connecting...' : 'Add & Connect')
+                  : (isAddingServer ? 'Adding...' : 'Add Server')}
               </Button>
             )}
           </div>
         </form>
       </Modal>
 
+      <ServerImportModal
+        isOpen={showImportModal}
+        onClose={() => setShowImportModal(false)}
+        teams={writableTeams}
+      />
+
       {/* Setup Command Modal */}
       <Modal
         isOpen={showSetupModal}
@@ -794,8 +976,21 @@ const Servers = () => {
           setSelectedServer(null);
         }}
         server={selectedServer}
+        servers={servers}
         onSave={handleSaveSettings}
         isLoading={updateServerMutation.isPending}
+        onRotateKey={(server) => rotateKeyMutation.mutate(server)}
+        isRotatingKey={rotateKeyMutation.isPending}
+      />
+
+      <ConfirmModal
+        isOpen={showRotateKeysConfirm}
+        onClose={() => setShowRotateKeysConfirm(false)}
+        onConfirm={() => rotateKeysMutation.mutate(rotatableServers.map(s => s.id))}
+        title="Rotate SSH Keys"
+        message={`Generate and install new SSH keys on ${rotatableServers.length} online server(s)? The old keys are removed once the new ones are verified.`}
+        confirmText="Rotate Keys"
+        variant="primary"
       />
     </Layout>
   );
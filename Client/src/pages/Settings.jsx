@@ -1,24 +1,35 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { useQuery, useQueryClient } from '@tanstack/react-query';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import Layout from '../components/Layout';
 import Button from '../components/Button';
 import Modal from '../components/Modal';
+import ApiTokensSection from '../components/ApiTokensSection';
+import UserManagementSection from '../components/UserManagementSection';
+import AuditLogSection from '../components/AuditLogSection';
+import TwoFactorSection from '../components/TwoFactorSection';
+import SessionsSection from '../components/SessionsSection';
 import { useAuth } from '../contexts/AuthContext';
 import { useTheme } from '../contexts/ThemeContext';
 import { useBackgroundJobs } from '../contexts/BackgroundJobsContext';
 import { SettingsIcon, RefreshIcon, ServerIcon, CheckCircleIcon, AlertIcon, MoonIcon, SunIcon } from '../components/Icons';
 import { systemService } from '../api/system';
+import { authService } from '../api/auth';
+import { showSuccess } from '../utils/toast';
 import styles from './Settings.module.css';
 
 const Settings = () => {
-  const { user, logout } = useAuth();
+  const { user, logout, checkAuth } = useAuth();
   const { isDarkMode, toggleDarkMode } = useTheme();
   const { systemUpdate, startSystemUpdate, restartServer } = useBackgroundJobs();
   const navigate = useNavigate();
   const queryClient = useQueryClient();
-  const [showInfoModal, setShowInfoModal] = useState(false);
-  const [infoMessage, setInfoMessage] = useState({ title: '', content: '' });
+  const [showPasswordModal, setShowPasswordModal] = useState(false);
+  const [passwordForm, setPasswordForm] = useState({ currentPassword: '', newPassword: '', confirmPassword: '' });
+  const [passwordError, setPasswordError] = useState('');
+  const [showDeleteModal, setShowDeleteModal] = useState(false);
+  const [deletePassword, setDeletePassword] = useState('');
+  const [deleteError, setDeleteError] = useState('');
   const [showUpdateModal, setShowUpdateModal] = useState(false);
   const [preferences, setPreferences] = useState({
     autoRefresh: true,
@@ -104,6 +115,60 @@ const Settings = () => {
     localStorage.setItem('NoBase_preferences', JSON.stringify(newPreferences));
   };
 
+  const changePasswordMutation = useMutation({
+    mutationFn: authService.changePassword,
+    onSuccess: () => {
+      closePasswordModal();
+      showSuccess('Password changed. Other sessions have been signed out.');
+    },
+    onError: (error) => {
+      setPasswordError(error.response?.data?.error || 'Failed to change password');
+    },
+  });
+
+  const deleteAccountMutation = useMutation({
+    mutationFn: authService.deleteAccount,
+    onSuccess: () => {
+      queryClient.clear();
+      checkAuth();
+      navigate('/login');
+    },
+    onError: (error) => {
+      const data = error.response?.data;
+      const teams = data?.teams?.map(team => team.name).join(', ');
+      setDeleteError(teams ? `${data.error}: ${teams}` : data?.error || 'Failed to delete account');
+    },
+  });
+
+  const closePasswordModal = () => {
+    setShowPasswordModal(false);
+    setPasswordForm({ currentPassword: '', newPassword: '', confirmPassword: '' });
+    setPasswordError('');
+  };
+
+  const closeDeleteModal = () => {
+    setShowDeleteModal(false);
+    setDeletePassword('');
+    setDeleteError('');
+  };
+
+  const handleChangePassword = (e) => {
+    e.preventDefault();
+    if (passwordForm.newPassword !== passwordForm.confirmPassword) {
+      setPasswordError('New passwords do not match');
+      return;
+    }
+    changePasswordMutation.mutate({
+      currentPassword: passwordForm.currentPassword,
+      newPassword: passwordForm.newPassword,
+    });
+  };
+
+  const handleDeleteAccount = (e) => {
+    e.preventDefault();
+    deleteAccountMutation.mutate(deletePassword);
+  };
+
   const handleLogout = async () => {
     if (window.confirm('Are you sure you want to logout?')) {
       await logout();
@@ -130,261 +195,263 @@ const Settings = () => {
         </h1>
       </div>
 
-      {/* System Update Section */}
-      <div className={styles.settingsSection}>
-        <h2 className={styles.sectionTitle}>
-          <ServerIcon size={20} />
-          System Update
-        </h2>
+      {/* System Update (admins only) */}
+      {user?.isAdmin && (
+        <div className={styles.settingsSection}>
+          <h2 className={styles.sectionTitle}>
+            <ServerIcon size={20} />
+            System Update
+          </h2>
         
-        {/* Split Layout when update available */}
-        {versionInfo?.updateAvailable ? (
-          <div className={styles.updateContainer}>
-            {/* Left: Update Status and Changelog */}
-            <div className={styles.updateLeft}>
-              <div className={styles.updateStatusCard}>
-                <div className={styles.updateStatusHeader}>
-                  <div className={styles.updateStatusIcon}>
-                    <AlertIcon size={28} />
-                  </div>
-                  <div>
-                    <div className={styles.updateStatusTitle}>Update Available</div>
-                    <div className={styles.updateStatusDetail}>
-                      {versionInfo.behindBy} commit{versionInfo.behindBy > 1 ? 's' : ''} behind
+          {/* Split Layout when update available */}
+          {versionInfo?.updateAvailable ? (
+            <div className={styles.updateContainer}>
+              {/* Left: Update Status and Changelog */}
+              <div className={styles.updateLeft}>
+                <div className={styles.updateStatusCard}>
+                  <div className={styles.updateStatusHeader}>
+                    <div className={styles.updateStatusIcon}>
+                      <AlertIcon size={28} />
                     </div>
-                    {/* Changelog */}
-                    {showChangelog && changelog?.commits?.length > 0 && (
-                      <div className={styles.changelog}>
-                        <h4>Incoming Changes:</h4>
-                        <ul>
-                          {changelog.commits.map((commit, idx) => (
-                            <li key={idx}>
-                              <code>{commit.hash}</code> {commit.message}
-                            </li>
-                          ))}
-                        </ul>
+                    <div>
+                      <div className={styles.updateStatusTitle}>Update Available</div>
+                      <div className={styles.updateStatusDetail}>
+                        {versionInfo.behindBy} commit{versionInfo.behindBy > 1 ? 's' : ''} behind
                       </div>
-                    )}
+                      {/* Changelog */}
+                      {showChangelog && changelog?.commits?.length > 0 && (
+                        <div className={styles.changelog}>
+                          <h4>Incoming Changes:</h4>
+                          <ul>
+                            {changelog.commits.map((commit, idx) => (
+                              <li key={idx}>
+                                <code>{commit.hash}</code> {commit.message}
+                              </li>
+                            ))}
+                          </ul>
+                        </div>
+                      )}
+                    </div>
+                  </div>
+                  <div className={styles.updateStatusActions}>
+                    <Button
+                      variant="primary"
+                      size="small"
+                      onClick={handleStartUpdate}
+                      disabled={isUpdating}
+                    >
+                      {isUpdating ? 'Updating...' : 'Update Now'}
+                    </Button>
+                    <Button
+                      variant="outline"
+                      size="small"
+                      onClick={handleCheckForUpdates}
+                      disabled={versionLoading || isUpdating}
+                      title="Check for updates"
+                    >
+                      <RefreshIcon size={16} />
+                    </Button>
+                    <button 
+                      className={styles.changelogToggle}
+                      onClick={() => setShowChangelog(!showChangelog)}
+                    >
+                      {showChangelog ? 'Hide Changelog' : 'View Changelog'}
+                    </button>
                   </div>
                 </div>
-                <div className={styles.updateStatusActions}>
-                  <Button
-                    variant="primary"
-                    size="small"
-                    onClick={handleStartUpdate}
-                    disabled={isUpdating}
-                  >
-                    {isUpdating ? 'Updating...' : 'Update Now'}
-                  </Button>
-                  <Button
-                    variant="outline"
-                    size="small"
-                    onClick={handleCheckForUpdates}
-                    disabled={versionLoading || isUpdating}
-                    title="Check for updates"
-                  >
-                    <RefreshIcon size={16} />
-                  </Button>
-                  <button 
-                    className={styles.changelogToggle}
-                    onClick={() => setShowChangelog(!showChangelog)}
-                  >
-                    {showChangelog ? 'Hide Changelog' : 'View Changelog'}
-                  </button>
-                </div>
-              </div>
 
-              {/* Changelog - removed, now inside updateStatusCard */}
+                {/* Changelog - removed, now inside updateStatusCard */}
 
-            </div>
+              </div>
 
-            {/* Right: Version Info */}
-            <div className={styles.updateRight}>
-              <div className={styles.infoGrid}>
-                <div className={styles.infoCard}>
-                  <div className={styles.infoLabel}>Current Version</div>
-                  <div className={styles.infoValue}>
-                    {versionLoading ? '...' : `v${versionInfo?.currentVersion || '?.?.?'}`}
+              {/* Right: Version Info */}
+              <div className={styles.updateRight}>
+                <div className={styles.infoGrid}>
+                  <div className={styles.infoCard}>
+                    <div className={styles.infoLabel}>Current Version</div>
+                    <div className={styles.infoValue}>
+                      {versionLoading ? '...' : `v${versionInfo?.currentVersion || '?.?.?'}`}
+                    </div>
                   </div>
-                </div>
-                <div className={styles.infoCard}>
-                  <div className={styles.infoLabel}>Git Commit</div>
-                  <div className={styles.infoValue}>
-                    {versionLoading ? '...' : versionInfo?.currentCommit || 'N/A'}
+                  <div className={styles.infoCard}>
+                    <div className={styles.infoLabel}>Git Commit</div>
+                    <div className={styles.infoValue}>
+                      {versionLoading ? '...' : versionInfo?.currentCommit || 'N/A'}
+                    </div>
                   </div>
-                </div>
-                <div className={styles.infoCard}>
-                  <div className={styles.infoLabel}>Branch</div>
-                  <div className={styles.infoValue}>
-                    {versionLoading ? '...' : versionInfo?.currentBranch || 'N/A'}
+                  <div className={styles.infoCard}>
+                    <div className={styles.infoLabel}>Branch</div>
+                    <div className={styles.infoValue}>
+                      {versionLoading ? '...' : versionInfo?.currentBranch || 'N/A'}
+                    </div>
+                  </div>
+                  <div className={styles.infoCard}>
+                    <div className={styles.infoLabel}>Server Uptime</div>
+                    <div className={styles.infoValue}>
+                      {statusLoading ? '...' : systemStatus?.uptime || 'N/A'}
+                    </div>
                   </div>
                 </div>
-                <div className={styles.infoCard}>
-                  <div className={styles.infoLabel}>Server Uptime</div>
-                  <div className={styles.infoValue}>
-                    {statusLoading ? '...' : systemStatus?.uptime || 'N/A'}
+                {/* PM2 Notice - inside right column when split */}
+                {systemStatus && !systemStatus.pm2Running && (
+                  <div className={styles.pm2Notice}>
+                    <AlertIcon size={16} />
+                    <span>
+                      <strong>Note:</strong> PM2 not detected. For automatic restarts after updates, 
+                      run the server with PM2: <code>npm run pm2:start</code>
+                    </span>
                   </div>
+                )}
+              </div>
+            </div>
+          ) : (
+            /* Regular Version Info Grid when no update */
+            <div className={styles.infoGrid}>
+              <div className={styles.infoCard}>
+                <div className={styles.infoLabel}>Current Version</div>
+                <div className={styles.infoValue}>
+                  {versionLoading ? '...' : `v${versionInfo?.currentVersion || '?.?.?'}`}
                 </div>
               </div>
-              {/* PM2 Notice - inside right column when split */}
-              {systemStatus && !systemStatus.pm2Running && (
-                <div className={styles.pm2Notice}>
-                  <AlertIcon size={16} />
-                  <span>
-                    <strong>Note:</strong> PM2 not detected. For automatic restarts after updates, 
-                    run the server with PM2: <code>npm run pm2:start</code>
-                  </span>
+              <div className={styles.infoCard}>
+                <div className={styles.infoLabel}>Git Commit</div>
+                <div className={styles.infoValue}>
+                  {versionLoading ? '...' : versionInfo?.currentCommit || 'N/A'}
                 </div>
-              )}
-            </div>
-          </div>
-        ) : (
-          /* Regular Version Info Grid when no update */
-          <div className={styles.infoGrid}>
-            <div className={styles.infoCard}>
-              <div className={styles.infoLabel}>Current Version</div>
-              <div className={styles.infoValue}>
-                {versionLoading ? '...' : `v${versionInfo?.currentVersion || '?.?.?'}`}
               </div>
-            </div>
-            <div className={styles.infoCard}>
-              <div className={styles.infoLabel}>Git Commit</div>
-              <div className={styles.infoValue}>
-                {versionLoading ? '...' : versionInfo?.currentCommit || 'N/A'}
+              <div className={styles.infoCard}>
+                <div className={styles.infoLabel}>Branch</div>
+                <div className={styles.infoValue}>
+                  {versionLoading ? '...' : versionInfo?.currentBranch || 'N/A'}
+                </div>
               </div>
-            </div>
-            <div className={styles.infoCard}>
-              <div className={styles.infoLabel}>Branch</div>
-              <div className={styles.infoValue}>
-                {versionLoading ? '...' : versionInfo?.currentBranch || 'N/A'}
+              <div className={styles.infoCard}>
+                <div className={styles.infoLabel}>Server Uptime</div>
+                <div className={styles.infoValue}>
+                  {statusLoading ? '...' : systemStatus?.uptime || 'N/A'}
+                </div>
               </div>
             </div>
-            <div className={styles.infoCard}>
-              <div className={styles.infoLabel}>Server Uptime</div>
-              <div className={styles.infoValue}>
-                {statusLoading ? '...' : systemStatus?.uptime || 'N/A'}
-              </div>
+          )}
+
+          {/* Changelog (outside container for non-split layout) */}
+          {!versionInfo?.updateAvailable && showChangelog && changelog?.commits?.length > 0 && (
+            <div className={styles.changelog}>
+              <h4>Incoming Changes:</h4>
+              <ul>
+                {changelog.commits.map((commit, idx) => (
+                  <li key={idx}>
+                    <code>{commit.hash}</code> {commit.message}
+                  </li>
+                ))}
+              </ul>
             </div>
-          </div>
-        )}
-
-        {/* Changelog (outside container for non-split layout) */}
-        {!versionInfo?.updateAvailable && showChangelog && changelog?.commits?.length > 0 && (
-          <div className={styles.changelog}>
-            <h4>Incoming Changes:</h4>
-            <ul>
-              {changelog.commits.map((commit, idx) => (
-                <li key={idx}>
-                  <code>{commit.hash}</code> {commit.message}
-                </li>
+          )}
+
+          {/* Update Logs */}
+          {systemUpdate.logs.length > 0 && (
+            <div className={styles.updateLogs} ref={updateLogsRef}>
+              {systemUpdate.logs.map((log, idx) => (
+                <div key={idx} className={`${styles.logEntry} ${styles[log.type]}`}>
+                  <span className={styles.logTime}>
+                    {new Date(log.timestamp).toLocaleTimeString()}
+                  </span>
+                  {log.message}
+                </div>
               ))}
-            </ul>
-          </div>
-        )}
-
-        {/* Update Logs */}
-        {systemUpdate.logs.length > 0 && (
-          <div className={styles.updateLogs} ref={updateLogsRef}>
-            {systemUpdate.logs.map((log, idx) => (
-              <div key={idx} className={`${styles.logEntry} ${styles[log.type]}`}>
-                <span className={styles.logTime}>
-                  {new Date(log.timestamp).toLocaleTimeString()}
-                </span>
-                {log.message}
-              </div>
-            ))}
-          </div>
-        )}
-
-        {/* Update Progress Indicator */}
-        {isUpdating && (
-          <div className={styles.updateProgress}>
-            <div className={styles.progressBar}>
-              <div 
-                className={styles.progressFill} 
-                style={{ width: `${systemUpdate.percent}%` }}
-              />
             </div>
-            <span className={styles.progressText}>
-              {systemUpdate.stage ? `${systemUpdate.stage}...` : 'Updating...'} ({systemUpdate.percent}%)
-            </span>
-          </div>
-        )}
+          )}
 
-        {/* Update Complete Banner */}
-        {updateComplete && systemUpdate.requiresRestart && (
-          <div className={`${styles.updateBanner} ${styles.successBanner}`}>
-            <div className={styles.updateBannerIcon}>
-              <CheckCircleIcon size={24} />
-            </div>
-            <div className={styles.updateBannerContent}>
-              <strong>Update Complete!</strong>
-              <span>Restart required to apply changes</span>
+          {/* Update Progress Indicator */}
+          {isUpdating && (
+            <div className={styles.updateProgress}>
+              <div className={styles.progressBar}>
+                <div 
+                  className={styles.progressFill} 
+                  style={{ width: `${systemUpdate.percent}%` }}
+                />
+              </div>
+              <span className={styles.progressText}>
+                {systemUpdate.stage ? `${systemUpdate.stage}...` : 'Updating...'} ({systemUpdate.percent}%)
+              </span>
             </div>
-          </div>
-        )}
+          )}
 
-        {/* Update Error Banner */}
-        {updateError && (
-          <div className={`${styles.updateBanner} ${styles.errorBanner}`}>
-            <div className={styles.updateBannerIcon}>
-              <AlertIcon size={24} />
+          {/* Update Complete Banner */}
+          {updateComplete && systemUpdate.requiresRestart && (
+            <div className={`${styles.updateBanner} ${styles.successBanner}`}>
+              <div className={styles.updateBannerIcon}>
+                <CheckCircleIcon size={24} />
+              </div>
+              <div className={styles.updateBannerContent}>
+                <strong>Update Complete!</strong>
+                <span>Restart required to apply changes</span>
+              </div>
             </div>
-            <div className={styles.updateBannerContent}>
-              <strong>Update Failed</strong>
-              <span>{systemUpdate.error}</span>
+          )}
+
+          {/* Update Error Banner */}
+          {updateError && (
+            <div className={`${styles.updateBanner} ${styles.errorBanner}`}>
+              <div className={styles.updateBannerIcon}>
+                <AlertIcon size={24} />
+              </div>
+              <div className={styles.updateBannerContent}>
+                <strong>Update Failed</strong>
+                <span>{systemUpdate.error}</span>
+              </div>
             </div>
-          </div>
-        )}
-
-        {/* Actions */}
-        <div className={styles.updateActions}>
-          {!versionInfo?.updateAvailable && (
-            <Button
-              variant="outline"
-              size="small"
-              onClick={handleCheckForUpdates}
-              disabled={versionLoading || isUpdating}
-            >
-              <RefreshIcon size={16} />
-              Check for Updates
-            </Button>
           )}
+
+          {/* Actions */}
+          <div className={styles.updateActions}>
+            {!versionInfo?.updateAvailable && (
+              <Button
+                variant="outline"
+                size="small"
+                onClick={handleCheckForUpdates}
+                disabled={versionLoading || isUpdating}
+              >
+                <RefreshIcon size={16} />
+                Check for Updates
+              </Button>
+            )}
           
-          {!versionInfo?.updateAvailable && !updateComplete && (
-            <Button
-              variant="primary"
-              size="small"
-              onClick={handleStartUpdate}
-              disabled={isUpdating}
-            >
-              {isUpdating ? 'Updating...' : 'Update Now'}
-            </Button>
-          )}
+            {!versionInfo?.updateAvailable && !updateComplete && (
+              <Button
+                variant="primary"
+                size="small"
+                onClick={handleStartUpdate}
+                disabled={isUpdating}
+              >
+                {isUpdating ? 'Updating...' : 'Update Now'}
+              </Button>
+            )}
 
-          {(updateComplete && systemUpdate.requiresRestart) && (
-            <Button
-              variant="warning"
-              size="small"
-              onClick={handleRestartServer}
-            >
-              <RefreshIcon size={16} />
-              Restart Server
-            </Button>
+            {(updateComplete && systemUpdate.requiresRestart) && (
+              <Button
+                variant="warning"
+                size="small"
+                onClick={handleRestartServer}
+              >
+                <RefreshIcon size={16} />
+                Restart Server
+              </Button>
+            )}
+          </div>
+
+          {/* PM2 Notice - only show here when NOT in split layout */}
+          {!versionInfo?.updateAvailable && systemStatus && !systemStatus.pm2Running && (
+            <div className={styles.pm2Notice}>
+              <AlertIcon size={16} />
+              <span>
+                <strong>Note:</strong> PM2 not detected. For automatic restarts after updates, 
+                run the server with PM2: <code>npm run pm2:start</code>
+              </span>
+            </div>
           )}
         </div>
-
-        {/* PM2 Notice - only show here when NOT in split layout */}
-        {!versionInfo?.updateAvailable && systemStatus && !systemStatus.pm2Running && (
-          <div className={styles.pm2Notice}>
-            <AlertIcon size={16} />
-            <span>
-              <strong>Note:</strong> PM2 not detected. For automatic restarts after updates, 
-              run the server with PM2: <code>npm run pm2:start</code>
-            </span>
-          </div>
-        )}
-      </div>
+      )}
 
       {/* Account Information */}
       <div className={styles.settingsSection}>
@@ -401,7 +468,7 @@ const Settings = () => {
           <div className={styles.infoCard}>
             <div className={styles.infoLabel}>Member Since</div>
             <div className={styles.infoValue}>
-              {formatDate(user?.created_at)}
+              {formatDate(user?.createdAt)}
             </div>
           </div>
         </div>
@@ -420,18 +487,43 @@ const Settings = () => {
               <Button
                 variant="outline"
                 size="small"
-                onClick={() => {
-                  setInfoMessage({ title: 'Coming Soon', content: 'Password change feature coming soon!' });
-                  setShowInfoModal(true);
-                }}
+                onClick={() => setShowPasswordModal(true)}
               >
                 Change Password
               </Button>
             </div>
           </div>
+
+          <div className={styles.settingItem}>
+            <TwoFactorSection />
+          </div>
+
+          <div className={styles.settingItem}>
+            <SessionsSection />
+          </div>
+
+          <div className={styles.settingItem}>
+            <ApiTokensSection />
+          </div>
         </div>
       </div>
 
+      {/* User Management (admins only) */}
+      {user?.isAdmin && (
+        <div className={styles.settingsSection}>
+          <h2 className={styles.sectionTitle}>User Management</h2>
+          <UserManagementSection />
+        </div>
+      )}
+
+      {/* Audit Log (admins only) */}
+      {user?.isAdmin && (
+        <div className={styles.settingsSection}>
+          <h2 className={styles.sectionTitle}>Audit Log</h2>
+          <AuditLogSection />
+        </div>
+      )}
+
       {/* Preferences */}
       <div className={styles.settingsSection}>
         <h2 className={styles.sectionTitle}>Preferences</h2>
@@ -512,16 +604,14 @@ const Settings = () => {
           <div className={styles.settingItem}>
             <div className={styles.settingLabel}>Delete Account</div>
             <p className={styles.settingDescription}>
-              Permanently delete your account and all data
+              Permanently delete your account. Teams only you belong to are deleted with their
+              servers, apps and snapshots; you are removed from shared teams.
             </p>
             <div className={styles.settingActions}>
               <Button
                 variant="danger"
                 size="small"
-                onClick={() => {
-                  setInfoMessage({ title: 'Coming Soon', content: 'Account deletion feature coming soon!' });
-                  setShowInfoModal(true);
-                }}
+                onClick={() => setShowDeleteModal(true)}
               >
                 Delete Account
               </Button>
@@ -530,22 +620,95 @@ const Settings = () => {
         </div>
       </div>
 
-      {/* Info Modal */}
+      {/* Change Password Modal */}
       <Modal
-        isOpen={showInfoModal}
-        onClose={() => setShowInfoModal(false)}
-        title={infoMessage.title}
+        isOpen={showPasswordModal}
+        onClose={closePasswordModal}
+        title="Change Password"
       >
-        <div style={{ padding: '1rem 0' }}>
-          <p style={{ color: 'var(--text-secondary)', lineHeight: '1.6', margin: 0 }}>
-            {infoMessage.content}
+        <form className={styles.modalForm} onSubmit={handleChangePassword}>
+          {passwordError && <div className={styles.formError}>{passwordError}</div>}
+          <div className={styles.formGroup}>
+            <label className={styles.formLabel} htmlFor="currentPassword">Current Password</label>
+            <input
+              type="password"
+              id="currentPassword"
+              className={styles.formInput}
+              value={passwordForm.currentPassword}
+              onChange={(e) => setPasswordForm({ ...passwordForm, currentPassword: e.target.value })}
+              autoComplete="current-password"
+              required
+            />
+          </div>
+          <div className={styles.formGroup}>
+            <label className={styles.formLabel} htmlFor="newPassword">New Password</label>
+            <input
+              type="password"
+              id="newPassword"
+              className={styles.formInput}
+              value={passwordForm.newPassword}
+              onChange={(e) => setPasswordForm({ ...passwordForm, newPassword: e.target.value })}
+              autoComplete="new-password"
+              minLength={8}
+              required
+            />
+          </div>
+          <div className={styles.formGroup}>
+            <label className={styles.formLabel} htmlFor="confirmNewPassword">Confirm New Password</label>
+            <input
+              type="password"
+              id="confirmNewPassword"
+              className={styles.formInput}
+              value={passwordForm.confirmPassword}
+              onChange={(e) => setPasswordForm({ ...passwordForm, confirmPassword: e.target.value })}
+              autoComplete="new-password"
+              required
+            />
+          </div>
+          <div className={styles.modalActions}>
+            <Button variant="secondary" onClick={closePasswordModal}>
+              Cancel
+            </Button>
+            <Button type="submit" variant="primary" disabled={changePasswordMutation.isPending}>
+              {changePasswordMutation.isPending ? 'Saving...' : 'Change Password'}
+            </Button>
+          </div>
+        </form>
+      </Modal>
+
+      {/* Delete Account Modal */}
+      <Modal
+        isOpen={showDeleteModal}
+        onClose={closeDeleteModal}
+        title="Delete Account"
+      >
+        <form className={styles.modalForm} onSubmit={handleDeleteAccount}>
+          <p className={styles.settingDescription}>
+            This cannot be undone. Servers, apps and snapshots of teams only you belong to are deleted,
+            along with your API tokens and activity. Containers already running on your servers are left as they are.
           </p>
-          <div style={{ marginTop: '1.5rem', display: 'flex', justifyContent: 'flex-end' }}>
-            <Button onClick={() => setShowInfoModal(false)}>
-              OK
+          {deleteError && <div className={styles.formError}>{deleteError}</div>}
+          <div className={styles.formGroup}>
+            <label className={styles.formLabel} htmlFor="deletePassword">Confirm with your password</label>
+            <input
+              type="password"
+              id="deletePassword"
+              className={styles.formInput}
+              value={deletePassword}
+              onChange={(e) => setDeletePassword(e.target.value)}
+              autoComplete="current-password"
+              required
+            />
+          </div>
+          <div className={styles.modalActions}>
+            <Button variant="secondary" onClick={closeDeleteModal}>
+              Cancel
+            </Button>
+            <Button type="submit" variant="danger" disabled={!deletePassword || deleteAccountMutation.isPending}>
+              {deleteAccountMutation.isPending ? 'Deleting...' : 'Delete Account'}
             </Button>
           </div>
-        </div>
+        </form>
       </Modal>
 
       {/* Update Confirmation Modal */}
@@ -0,0 +1,471 @@
+import React, { useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import Layout from '../components/Layout';
+import Button from '../components/Button';
+import Modal from '../components/Modal';
+import ConfirmModal from '../components/ConfirmModal';
+import { UsersIcon, PlusIcon, TrashIcon, EditIcon, CheckIcon, XIcon, CopyIcon } from '../components/Icons';
+import { useAuth } from '../contexts/AuthContext';
+import { teamsService } from '../api/teams';
+import { showSuccess, showError, showCopied } from '../utils/toast';
+import styles from './Teams.module.css';
+
+const ROLES = [
+  { value: 'owner', label: 'Owner', description: 'Full access, manages members and deletes resources' },
+  { value: 'operator', label: 'Operator', description: 'Deploys apps, opens terminals and edits files' },
+  { value: 'viewer', label: 'Viewer', description: 'Sees servers, metrics and logs only' },
+];
+
+const Teams = () => {
+  const { user } = useAuth();
+  const queryClient = useQueryClient();
+  const [selectedTeamId, setSelectedTeamId] = useState(null);
+  const [showCreateModal, setShowCreateModal] = useState(false);
+  const [newTeamName, setNewTeamName] = useState('');
+  const [renaming, setRenaming] = useState(false);
+  const [teamName, setTeamName] = useState('');
+  const [invite, setInvite] = useState({ email: '', role: 'viewer' });
+  const [confirm, setConfirm] = useState({ isOpen: false, type: '', data: null });
+  const [inviteLink, setInviteLink] = useState(null);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const inviteToken = searchParams.get('invite');
+
+  const { data: teams = [], isLoading } = useQuery({
+    queryKey: ['teams'],
+    queryFn: teamsService.getTeams,
+  });
+
+  // Invitation link opened by the invitee (/teams?invite=<token>)
+  const { data: pendingInvitation, error: pendingInvitationError } = useQuery({
+    queryKey: ['team-invitation-preview', inviteToken],
+    queryFn: () => teamsService.previewInvitation(inviteToken),
+    enabled: !!inviteToken,
+    retry: false,
+  });
+
+  const selectedTeam = teams.find(t => t.id === selectedTeamId) || teams[0];
+  const isOwner = selectedTeam?.role === 'owner';
+
+  const { data: members = [] } = useQuery({
+    queryKey: ['team-members', selectedTeam?.id],
+    queryFn: () => teamsService.getMembers(selectedTeam.id),
+    enabled: !!selectedTeam,
+  });
+
+  const { data: invitations = [] } = useQuery({
+    queryKey: ['team-invitations', selectedTeam?.id],
+    queryFn: () => teamsService.getInvitations(selectedTeam.id),
+    enabled: !!selectedTeam && isOwner,
+  });
+
+  const invalidateTeam = () => {
+    queryClient.invalidateQueries({ queryKey: ['teams'] });
+    queryClient.invalidateQueries({ queryKey: ['team-members', selectedTeam?.id] });
+    queryClient.invalidateQueries({ queryKey: ['team-invitations', selectedTeam?.id] });
+  };
+
+  const onError = (fallback) => (error) => {
+    showError(error.response?.data?.error || fallback);
+  };
+
+  const createMutation = useMutation({
+    mutationFn: teamsService.createTeam,
+    onSuccess: (team) => {
+      queryClient.invalidateQueries({ queryKey: ['teams'] });
+      setSelectedTeamId(team.id);
+      setShowCreateModal(false);
+      setNewTeamName('');
+      showSuccess(`Team "${team.name}" created`);
+    },
+    onError: onError('Failed to create team'),
+  });
+
+  const renameMutation = useMutation({
+    mutationFn: ({ id, name }) => teamsService.renameTeam(id, name),
+    onSuccess: () => {
+      invalidateTeam();
+      setRenaming(false);
+    },
+    onError: onError('Failed to rename team'),
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: teamsService.deleteTeam,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['teams'] });
+      setSelectedTeamId(null);
+      showSuccess('Team deleted');
+    },
+    onError: onError('Failed to delete team'),
+  });
+
+  const roleMutation = useMutation({
+    mutationFn: ({ userId, role }) => teamsService.updateMemberRole(selectedTeam.id, userId, role),
+    onSuccess: invalidateTeam,
+    onError: onError('Failed to change role'),
+  });
+
+  const removeMemberMutation = useMutation({
+    mutationFn: (userId) => teamsService.removeMember(selectedTeam.id, userId),
+    onSuccess: (_, userId) => {
+      if (userId === user?.id) {
+        setSelectedTeamId(null);
+        showSuccess('You left the team');
+      }
+      invalidateTeam();
+      queryClient.invalidateQueries({ queryKey: ['servers'] });
+      queryClient.invalidateQueries({ queryKey: ['apps'] });
+    },
+    onError: onError('Failed to remove member'),
+  });
+
+  const inviteMutation = useMutation({
+    mutationFn: (data) => teamsService.inviteMember(selectedTeam.id, data),
+    onSuccess: (invitation) => {
+      invalidateTeam();
+      setInvite({ email: '', role: 'viewer' });
+      setInviteLink(`${window.location.origin}/teams?invite=${invitation.token}`);
+    },
+    onError: onError('Failed to create invitation'),
+  });
+
+  const revokeInvitationMutation = useMutation({
+    mutationFn: (invitationId) => teamsService.revokeInvitation(selectedTeam.id, invitationId),
+    onSuccess: invalidateTeam,
+    onError: onError('Failed to revoke invitation'),
+  });
+
+  const respondMutation = useMutation({
+    mutationFn: ({ accept }) => (accept
+      ? teamsService.acceptInvitation(inviteToken)
+      : teamsService.declineInvitation(inviteToken)),
+    onSuccess: (data, { accept }) => {
+      setSearchParams({}, { replace: true });
+      if (accept) {
+        queryClient.invalidateQueries({ queryKey: ['teams'] });
+        queryClient.invalidateQueries({ queryKey: ['servers'] });
+        queryClient.invalidateQueries({ queryKey: ['apps'] });
+        setSelectedTeamId(data.teamId);
+        showSuccess('Invitation accepted');
+      }
+    },
+    onError: onError('Failed to respond to invitation'),
+  });
+
+  const handleConfirm = () => {
+    if (confirm.type === 'delete-team') {
+      deleteMutation.mutate(confirm.data.id);
+    } else if (confirm.type === 'remove-member') {
+      removeMemberMutation.mutate(confirm.data.id);
+    }
+    setConfirm({ isOpen: false, type: '', data: null });
+  };
+
+  const startRename = () => {
+    setTeamName(selectedTeam.name);
+    setRenaming(true);
+  };
+
+  const handleInvite = (e) => {
+    e.preventDefault();
+    inviteMutation.mutate(invite);
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    createMutation.mutate(newTeamName);
+  };
+
+  const handleCopyInviteLink = async () => {
+    await navigator.clipboard.writeText(inviteLink);
+    showCopied('Invitation link copied to clipboard');
+  };
+
+  const formatDate = (dateString) => new Date(dateString).toLocaleDateString();
+
+  return (
+    <Layout>
+      <div className={styles.pageHeader}>
+        <h1 className={styles.pageTitle}>
+          <UsersIcon size={32} />
+          Teams
+        </h1>
+        <Button onClick={() => setShowCreateModal(true)}>
+          <PlusIcon size={16} /> New Team
+        </Button>
+      </div>
+
+      {inviteToken && (pendingInvitation || pendingInvitationError) && (
+        <div className={styles.invitationBanner}>
+          {pendingInvitation ? (
+            <div className={styles.invitationRow}>
+              <span>
+                <strong>{pendingInvitation.invitedByName || 'Someone'}</strong> invited you to join{' '}
+                <strong>{pendingInvitation.teamName}</strong> as {pendingInvitation.role}
+              </span>
+              <div className={styles.rowActions}>
+                <Button
+                  size="small"
+                  onClick={() => respondMutation.mutate({ accept: true })}
+                  disabled={respondMutation.isPending}
+                >
+                  <CheckIcon size={16} /> Accept
+                </Button>
+                <Button
+                  size="small"
+                  variant="outline"
+                  onClick={() => respondMutation.mutate({ accept: false })}
+                  disabled={respondMutation.isPending}
+                >
+                  Decline
+                </Button>
+              </div>
+            </div>
+          ) : (
+            <div className={styles.invitationRow}>
+              <span>{pendingInvitationError.response?.data?.error || 'Invitation not found'}</span>
+              <Button size="small" variant="outline" onClick={() => setSearchParams({}, { replace: true })}>
+                <XIcon size={16} />
+              </Button>
+            </div>
+          )}
+        </div>
+      )}
+
+      {isLoading ? (
+        <p className={styles.empty}>Loading teams...</p>
+      ) : (
+        <div className={styles.layout}>
+          <div className={styles.teamList}>
+            {teams.map(team => (
+              <button
+                key={team.id}
+                className={`${styles.teamItem} ${team.id === selectedTeam?.id ? styles.teamItemActive : ''}`}
+                onClick={() => {
+                  setSelectedTeamId(team.id);
+                  setRenaming(false);
+                }}
+              >
+                <span className={styles.teamItemName}>{team.name}</span>
+                <span className={styles.teamItemMeta}>
+                  {team.role} · {team.member_count} member{team.member_count !== 1 ? 's' : ''}
+                </span>
+              </button>
+            ))}
+          </div>
+
+          {selectedTeam && (
+            <div className={styles.teamPanel}>
+              <div className={styles.teamHeader}>
+                {renaming ? (
+                  <form
+                    className={styles.renameForm}
+                    onSubmit={(e) => {
+                      e.preventDefault();
+                      renameMutation.mutate({ id: selectedTeam.id, name: teamName });
+                    }}
+                  >
+                    <input
+                      className={styles.input}
+                      value={teamName}
+                      onChange={(e) => setTeamName(e.target.value)}
+                      maxLength={100}
+                      autoFocus
+                    />
+                    <Button type="submit" size="small" disabled={!teamName.trim()}>
+                      <CheckIcon size={16} />
+                    </Button>
+                    <Button size="small" variant="outline" onClick={() => setRenaming(false)}>
+                      <XIcon size={16} />
+                    </Button>
+                  </form>
+                ) : (
+                  <h2 className={styles.teamName}>
+                    {selectedTeam.name}
+                    {isOwner && (
+                      <button className={styles.iconButton} onClick={startRename} title="Rename team">
+                        <EditIcon size={16} />
+                      </button>
+                    )}
+                  </h2>
+                )}
+                <span className={`${styles.roleBadge} ${styles[selectedTeam.role]}`}>{selectedTeam.role}</span>
+              </div>
+
+              <h3 className={styles.sectionTitle}>Members</h3>
+              <div className={styles.memberList}>
+                {members.map(member => (
+                  <div key={member.id} className={styles.memberRow}>
+                    <div className={styles.memberInfo}>
+                      <span className={styles.memberName}>
+                        {member.name}{member.id === user?.id && ' (you)'}
+                      </span>
+                      <span className={styles.memberMeta}>{member.email} · joined {formatDate(member.joined_at)}</span>
+                    </div>
+                    <div className={styles.rowActions}>
+                      {isOwner ? (
+                        <select
+                          className={styles.input}
+                          value={member.role}
+                          onChange={(e) => roleMutation.mutate({ userId: member.id, role: e.target.value })}
+                        >
+                          {ROLES.map(role => (
+                            <option key={role.value} value={role.value}>{role.label}</option>
+                          ))}
+                        </select>
+                      ) : (
+                        <span className={`${styles.roleBadge} ${styles[member.role]}`}>{member.role}</span>
+                      )}
+                      {(isOwner || member.id === user?.id) && (
+                        <Button
+                          size="small"
+                          variant="danger"
+                          onClick={() => setConfirm({ isOpen: true, type: 'remove-member', data: member })}
+                          title={member.id === user?.id ? 'Leave team' : 'Remove member'}
+                        >
+                          <TrashIcon size={16} />
+                        </Button>
+                      )}
+                    </div>
+                  </div>
+                ))}
+              </div>
+
+              {isOwner && (
+                <>
+                  <h3 className={styles.sectionTitle}>Invite</h3>
+                  <form className={styles.inviteForm} onSubmit={handleInvite}>
+                    <input
+                      type="email"
+                      className={styles.input}
+                      placeholder="teammate@example.com"
+                      value={invite.email}
+                      onChange={(e) => setInvite({ ...invite, email: e.target.value })}
+                      required
+                    />
+                    <select
+                      className={styles.input}
+                      value={invite.role}
+                      onChange={(e) => setInvite({ ...invite, role: e.target.value })}
+                    >
+                      {ROLES.map(role => (
+                        <option key={role.value} value={role.value}>{role.label}</option>
+                      ))}
+                    </select>
+                    <Button type="submit" disabled={inviteMutation.isPending}>
+                      {inviteMutation.isPending ? 'Inviting...' : 'Invite'}
+                    </Button>
+                  </form>
+                  <ul className={styles.roleHelp}>
+                    {ROLES.map(role => (
+                      <li key={role.value}><strong>{role.label}:</strong> {role.description}</li>
+                    ))}
+                  </ul>
+                  <p className={styles.hint}>
+                    Each invitation creates a link for you to send to the invitee. Whoever opens it while
+                    signed in can join, so only share it with them.
+                  </p>
+
+                  {invitations.length > 0 && (
+                    <div className={styles.memberList}>
+                      {invitations.map(invitation => (
+                        <div key={invitation.id} className={styles.memberRow}>
+                          <div className={styles.memberInfo}>
+                            <span className={styles.memberName}>{invitation.email}</span>
+                            <span className={styles.memberMeta}>
+                              {invitation.role} · expires {formatDate(invitation.expires_at)}
+                            </span>
+                          </div>
+                          <Button
+                            size="small"
+                            variant="outline"
+                            onClick={() => revokeInvitationMutation.mutate(invitation.id)}
+                          >
+                            Revoke
+                          </Button>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+
+                  <div className={styles.dangerZone}>
+                    <Button
+                      variant="danger"
+                      onClick={() => setConfirm({ isOpen: true, type: 'delete-team', data: selectedTeam })}
+                    >
+                      <TrashIcon size={16} /> Delete Team
+                    </Button>
+                    <span className={styles.hint}>Only teams without servers or apps can be deleted.</span>
+                  </div>
+                </>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+
+      <Modal
+        isOpen={showCreateModal}
+        onClose={() => setShowCreateModal(false)}
+        title="New Team"
+      >
+        <form onSubmit={handleCreate} className={styles.createForm}>
+          <input
+            type="text"
+            className={styles.input}
+            value={newTeamName}
+            onChange={(e) => setNewTeamName(e.target.value)}
+            placeholder="e.g. Platform"
+            maxLength={100}
+            autoFocus
+            required
+          />
+          <div className={styles.modalActions}>
+            <Button variant="outline" onClick={() => setShowCreateModal(false)}>
+              Cancel
+            </Button>
+            <Button type="submit" disabled={!newTeamName.trim() || createMutation.isPending}>
+              {createMutation.isPending ? 'Creating...' : 'Create Team'}
+            </Button>
+          </div>
+        </form>
+      </Modal>
+
+      {/* Invitation Link Modal - the token is only shown once */}
+      <Modal
+        isOpen={!!inviteLink}
+        onClose={() => setInviteLink(null)}
+        title="Invitation Created"
+      >
+        <p className={styles.hint}>
+          Send this link to the invitee. They join the team by opening it while signed in. It will not be shown again.
+        </p>
+        <div className={styles.inviteLink}>
+          <code>{inviteLink}</code>
+          <Button variant="outline" size="small" onClick={handleCopyInviteLink}>
+            <CopyIcon size={16} />
+          </Button>
+        </div>
+        <div className={styles.modalActions}>
+          <Button onClick={() => setInviteLink(null)}>Done</Button>
+        </div>
+      </Modal>
+
+      <ConfirmModal
+        isOpen={confirm.isOpen}
+        onClose={() => setConfirm({ isOpen: false, type: '', data: null })}
+        onConfirm={handleConfirm}
+        title={confirm.type === 'delete-team' ? 'Delete Team' : 'Remove Member'}
+        message={confirm.type === 'delete-team'
+          ? `Delete "${confirm.data?.name}"? Members will lose access to it.`
+          : confirm.data?.id === user?.id
+            ? 'Leave this team? You will lose access to its servers and apps.'
+            : `Remove ${confirm.data?.name} from the team?`}
+        confirmText={confirm.type === 'delete-team' ? 'Delete' : 'Remove'}
+      />
+    </Layout>
+  );
+};
+
+export default Teams;